@@ -40,10 +40,21 @@ import { convertBitmapFramesToVideoFrames, getLiveCaptureContext } from './index
  * @returns {{ over: boolean, projectedMB: number, budgetMB: number }}
  */
 export function projectClipMemory(context) {
-  const budgetMB = loadSettings().capture.memoryBudgetMB;
   const dims = context?.workerManager?.getEffectiveFrameDimensions?.() ?? null;
   const frameCount = context?.stats?.frameCount ?? 0;
   const incomingMB = dims ? (frameCount * dims.width * dims.height * 4) / (1024 * 1024) : 0;
+  return projectIncomingMemory(incomingMB);
+}
+
+/**
+ * Would adding a clip of `incomingMB` exceed the memory budget?
+ * Shared by Clip Now and file import, so every way a clip enters memory is
+ * held to the same budget.
+ * @param {number} incomingMB - Raw RGBA size of the new clip
+ * @returns {{ over: boolean, projectedMB: number, budgetMB: number, heldMB: number, incomingMB: number }}
+ */
+export function projectIncomingMemory(incomingMB) {
+  const budgetMB = loadSettings().capture.memoryBudgetMB;
   const heldMB = getClipMemoryEstimateMB();
   const projectedMB = heldMB + incomingMB;
   return {
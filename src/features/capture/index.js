@@ -15,10 +15,12 @@ import {
 } from '../../shared/app-store.js';
 import { emit } from '../../shared/bus.js';
 import { announce } from '../../shared/live-region.js';
+import { showToast } from '../../shared/toast.js';
 import { loadSettings, updateSetting } from '../../shared/user-settings.js';
 import { qsRequired } from '../../shared/utils/dom.js';
 import { throttle } from '../../shared/utils/performance.js';
 import { CaptureWorkerManager } from '../../workers/capture-worker-manager.js';
+import { importClipFile, importImageSequence, isImageFile } from '../import/index.js';
 import { createVideoElement, startScreenCapture, stopScreenCapture } from './api.js';
 // Circular with clip-service (it imports getLiveCaptureContext from here);
 // safe because both sides only call the other's hoisted function declarations
@@ -173,6 +175,7 @@ function render(container) {
     onStart: handleStart,
     onStop: handleStop,
     onCreateClip: handleCreateClip,
+    onImportFiles: handleImportFiles,
     onSettingsChange: handleSettingsChange,
     getSettings: () => store?.getState()?.settings ?? null,
   });
@@ -518,6 +521,31 @@ async function handleCreateClip() {
   return true;
 }
 
+/**
+ * Handle picked files: they become the active clip, exactly like Create
+ * Clip (the previous active clip demotes into the queue). Any images among
+ * them are imported together as an image sequence; otherwise the first file
+ * (a GIF or video) is imported.
+ * @param {File[]} files
+ * @param {(decoded: number, total: number) => void} [onProgress] - Decode progress
+ * @returns {Promise<boolean>} Whether the clip was stored
+ */
+async function handleImportFiles(files, onProgress) {
+  const images = files.filter(isImageFile);
+  const result =
+    images.length > 0
+      ? await importImageSequence(images, { activate: true, onProgress })
+      : await importClipFile(files[0], { activate: true, onProgress });
+  if (!result.ok) {
+    if (result.message) {
+      showToast(result.message);
+      announce(result.message);
+    }
+    return false;
+  }
+  return true;
+}
+
 /**
  * Handle settings change
  * @param {Partial<import('./types.js').CaptureSettings>} newSettings
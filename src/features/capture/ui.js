@@ -94,6 +94,8 @@ function createHeartIcon() {
  * @property {() => Promise<void>} onStart - Start capture handler
  * @property {() => void} onStop - Stop capture handler
  * @property {() => Promise<boolean>} onCreateClip - Create clip handler (async)
+ * @property {(files: File[], onProgress?: (decoded: number, total: number) => void) => Promise<boolean>} onImportFiles -
+ *   Import a GIF, a video or an image sequence as the active clip (async)
  * @property {(settings: Partial<import('./types.js').CaptureSettings>) => void} onSettingsChange - Settings change handler
  * @property {() => import('./types.js').CaptureSettings | null} getSettings - Get current settings
  */
@@ -292,6 +294,8 @@ function renderCaptureActions(state, handlers, cleanups) {
     );
   }
 
+  actions.appendChild(renderImportButton(handlers, cleanups));
+
   // Error display (inline with retry hint)
   if (state.error) {
     const errorContainer = createElement(
@@ -312,6 +316,65 @@ function renderCaptureActions(state, handlers, cleanups) {
   return actions;
 }
 
+/**
+ * Render the "Import" button with its hidden file picker. Picking several
+ * images imports them as one image-sequence clip.
+ * @param {CaptureUIHandlers} handlers
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderImportButton(handlers, cleanups) {
+  const fileInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'file',
+      accept:
+        '.gif,.mp4,.m4v,.mov,.webm,.mkv,.png,.jpg,.jpeg,.webp,' +
+        'image/gif,video/mp4,video/quicktime,video/webm,image/png,image/jpeg,image/webp',
+      multiple: true,
+      className: 'capture-import-input',
+      hidden: true,
+    })
+  );
+  const importBtn = createElement(
+    'button',
+    {
+      className: 'btn btn-secondary btn-import-clip',
+      type: 'button',
+      title:
+        'Open a GIF, a screen recording or a set of screenshots to crop, trim and export ' +
+        '(or drop them anywhere)',
+    },
+    ['Import GIF, video or images\u2026'],
+  );
+
+  cleanups.push(on(importBtn, 'click', () => fileInput.click()));
+  cleanups.push(
+    on(fileInput, 'change', async () => {
+      const files = Array.from(fileInput.files ?? []);
+      fileInput.value = '';
+      if (files.length === 0) return;
+      importBtn.setAttribute('disabled', 'true');
+      importBtn.textContent = 'Importing...';
+      try {
+        const onProgress = (/** @type {number} */ decoded, /** @type {number} */ total) => {
+          importBtn.textContent = `Importing... ${Math.round((decoded / total) * 100)}%`;
+        };
+        if (await handlers.onImportFiles(files, onProgress)) {
+          const settings = handlers.getSettings();
+          navigate(settings?.sceneDetection ? '/loading' : '/editor');
+          return;
+        }
+      } catch (err) {
+        console.error('[Capture UI] Failed to import file:', err);
+      }
+      importBtn.removeAttribute('disabled');
+      importBtn.textContent = 'Import GIF, video or images\u2026';
+    }),
+  );
+
+  return createElement('div', { className: 'capture-import' }, [importBtn, fileInput]);
+}
+
 /**
  * Create a stat item element
  * @param {string} label
@@ -4,11 +4,15 @@
  */
 
 import {
+  drawAnnotation,
+  drawShape,
   getDrawableSource,
   isVideoFrameValid,
   renderFramePlaceholder,
   syncCanvasSize,
 } from '../../shared/utils/canvas.js';
+import { getFrameRGBA } from '../export/api.js';
+import { getStillFormat, STILL_QUALITY } from './core.js';
 
 /**
  * @typedef {Object} OverlayOptions
@@ -19,6 +23,11 @@ import {
  * @property {import('./types.js').HandlePosition} [hoveredHandle] - Currently hovered handle
  * @property {import('./types.js').HandlePosition} [activeHandle] - Currently active (dragging) handle
  * @property {import('./types.js').BoundaryHit} [boundaryHit] - Boundary collision state
+ * @property {{ x: number, y: number, width: number, height: number } | null} [annotationBox] - Box
+ *   of the caption or shape being edited or drawn
+ * @property {import('./types.js').HandlePosition} [annotationHandle] - Handle of that box under
+ *   the cursor or being dragged
+ * @property {import('./types.js').Shape | null} [draftShape] - Shape being drawn, not yet added
  */
 
 /** Handle visual size in pixels */
@@ -180,6 +189,34 @@ export function renderCropOverlay(ctx, crop, options = {}) {
   }
 }
 
+/** Outline color of the caption or shape being edited */
+const ANNOTATION_OUTLINE_COLOR = 'rgba(250, 204, 21, 0.9)';
+
+/**
+ * Outline the box of the caption or shape being edited, with resize handles
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ * @param {import('./types.js').HandlePosition} [handle] - Handle under the cursor or dragged
+ */
+function renderAnnotationBox(ctx, box, handle) {
+  ctx.save();
+  ctx.strokeStyle = ANNOTATION_OUTLINE_COLOR;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([6, 4]);
+  ctx.strokeRect(box.x, box.y, box.width, box.height);
+  ctx.restore();
+
+  const handles = [
+    { id: 'top-left', x: box.x, y: box.y },
+    { id: 'top-right', x: box.x + box.width, y: box.y },
+    { id: 'bottom-left', x: box.x, y: box.y + box.height },
+    { id: 'bottom-right', x: box.x + box.width, y: box.y + box.height },
+  ];
+  for (const { id, x, y } of handles) {
+    renderHandle(ctx, x, y, ANNOTATION_OUTLINE_COLOR, handle === id, false);
+  }
+}
+
 /**
  * Render grid in specific area
  * @param {CanvasRenderingContext2D} ctx
@@ -364,6 +401,67 @@ export function renderFrameOnly(ctx, frame) {
   }
 }
 
+/**
+ * Draw a frame as a still image, with the crop applied.
+ *
+ * The whole frame is drawn like the preview (renderFrameOnly); a crop is
+ * read through getFrameRGBA, so the still holds exactly the pixels an
+ * export of that frame starts from. Captions and shapes are burned in
+ * either way.
+ *
+ * @param {import('../capture/types.js').Frame} frame
+ * @param {import('./types.js').CropArea | null} crop
+ * @param {import('./types.js').Annotation[]} [annotations] - Captions and shapes on the frame
+ * @returns {Promise<HTMLCanvasElement>}
+ * @throws {Error} When the frame has already been released
+ */
+export async function renderFrameStill(frame, crop, annotations = []) {
+  if (!frame?.frame || !isVideoFrameValid(frame.frame)) {
+    throw new Error('This frame is no longer available');
+  }
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Failed to get still canvas context');
+  }
+
+  if (!crop) {
+    renderFrameOnly(ctx, frame);
+    for (const annotation of annotations) {
+      drawAnnotation(ctx, annotation);
+    }
+    return canvas;
+  }
+
+  const { data, width, height } = await getFrameRGBA(frame, crop, annotations);
+  canvas.width = width;
+  canvas.height = height;
+  ctx.putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas;
+}
+
+/**
+ * Encode a frame as a PNG, JPEG or WebP file
+ * @param {import('../capture/types.js').Frame} frame
+ * @param {import('./types.js').CropArea | null} crop
+ * @param {import('./types.js').StillFormat} format
+ * @param {import('./types.js').Annotation[]} [annotations] - Captions and shapes on the frame
+ * @returns {Promise<Blob>}
+ * @throws {Error} When the frame is gone or the browser cannot write the format
+ */
+export async function encodeFrameStill(frame, crop, format, annotations = []) {
+  const canvas = await renderFrameStill(frame, crop, annotations);
+  const { mimeType } = getStillFormat(format);
+  /** @type {Blob | null} */
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, mimeType, STILL_QUALITY));
+  // Browsers fall back to PNG for types they cannot write
+  if (!blob || blob.type !== mimeType) {
+    throw new Error(`This browser cannot write ${format.toUpperCase()} images`);
+  }
+  return blob;
+}
+
 /**
  * Render crop overlay and grid to overlay canvas
  * @param {CanvasRenderingContext2D} ctx
@@ -397,4 +495,12 @@ export function renderOverlay(ctx, crop, frameWidth, frameHeight, options = {})
     const area = crop || { x: 0, y: 0, width: frameWidth, height: frameHeight };
     renderGridInArea(ctx, area, divisions);
   }
+
+  if (options.draftShape) {
+    drawShape(ctx, options.draftShape);
+  }
+
+  if (options.annotationBox) {
+    renderAnnotationBox(ctx, options.annotationBox, options.annotationHandle);
+  }
 }
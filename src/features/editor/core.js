@@ -120,6 +120,10 @@ export function createClip(frames, fps = DEFAULT_FPS) {
       end: Math.max(0, frames.length - 1),
     },
     cropArea: null,
+    cuts: [],
+    delayOverrides: {},
+    captions: [],
+    shapes: [],
     createdAt: Date.now(),
     fps,
   };
@@ -144,6 +148,57 @@ export function getPlaybackIntervalMs(fps, playbackSpeed = 1) {
   return 1000 / fps / playbackSpeed;
 }
 
+/**
+ * Calculate how long a frame stays on screen when playback follows capture
+ * timestamps: the gap to the next frame's capture time. The last frame, and
+ * frames whose timestamps do not increase, get the nominal interval.
+ * @param {import('../capture/types.js').Frame[]} frames - Clip frames
+ * @param {number} index - Frame being shown
+ * @param {number} fps - Frames per second
+ * @param {number} [playbackSpeed] - Playback speed multiplier (default: 1)
+ * @returns {number} Display time in ms
+ */
+export function getFrameDisplayMs(frames, index, fps, playbackSpeed = 1) {
+  const current = frames[index];
+  const next = frames[index + 1];
+  // Frame timestamps are in microseconds
+  const deltaMs = current && next ? (next.timestamp - current.timestamp) / 1000 : Number.NaN;
+  const intervalMs = Number.isFinite(deltaMs) && deltaMs > 0 ? deltaMs : 1000 / fps;
+  return intervalMs / playbackSpeed;
+}
+
+/**
+ * Frame shown after `current` while playing a range in a direction.
+ *
+ * Ping-pong turns around at either end without showing the end frame
+ * twice, the same order the export writes. Cut frames are skipped.
+ *
+ * @param {number} current - Frame on screen
+ * @param {import('./types.js').FrameRange} range - Range that loops
+ * @param {import('../export/types.js').PlaybackDirection} direction
+ * @param {number} [step=1] - Current ping-pong heading, 1 or -1
+ * @param {import('./types.js').FrameRange[]} [cuts] - Normalized cuts
+ * @returns {{ index: number, step: number }} Next frame and the heading after it
+ */
+export function getNextPlaybackFrame(current, range, direction, step = 1, cuts = []) {
+  // First and last frames that are not cut
+  const start = stepOverCuts(range.start - 1, 1, cuts);
+  const end = stepOverCuts(range.end + 1, -1, cuts);
+  if (start > end) return { index: current, step };
+
+  if (direction === 'reverse') {
+    const next = stepOverCuts(current, -1, cuts);
+    return { index: next < start ? end : next, step: -1 };
+  }
+  if (direction === 'pingpong') {
+    if (end <= start) return { index: start, step: 1 };
+    const heading = current >= end ? -1 : current <= start ? 1 : step;
+    return { index: stepOverCuts(current, heading, cuts), step: heading };
+  }
+  const next = stepOverCuts(current, 1, cuts);
+  return { index: next > end ? start : next, step: 1 };
+}
+
 /**
  * Update frame range selection
  * @param {import('./types.js').Clip} clip
@@ -333,13 +388,16 @@ export function getOutputDimensions(crop, frame) {
 }
 
 /**
- * Get frames in selected range
+ * Get frames in selected range, without the cut ones
  * @param {import('./types.js').Clip} clip
  * @returns {import('../capture/types.js').Frame[]}
  */
 export function getSelectedFrames(clip) {
   const { start, end } = clip.selectedRange;
-  return clip.frames.slice(start, end + 1);
+  if (!clip.cuts?.length) {
+    return clip.frames.slice(start, end + 1);
+  }
+  return getKeptFrameIndices(clip.selectedRange, clip.cuts).map((i) => clip.frames[i]);
 }
 
 /**
@@ -377,11 +435,19 @@ export function calculateCropFromDrag(start, end, frame, aspectRatio = 'free') {
  * Returns frame count, duration, and formatted strings for UI display
  * @param {import('./types.js').FrameRange} selection - Current selection range
  * @param {number} fps - Frames per second
+ * @param {import('./types.js').FrameRange[]} [cuts] - Excluded ranges, not counted
+ * @param {import('./types.js').DelayOverrides} [delayOverrides] - Held frames last their hold
  * @returns {import('./types.js').SelectionDisplayInfo} Computed selection information
  */
-export function calculateSelectionInfo(selection, fps) {
-  const frameCount = selection.end - selection.start + 1;
-  const duration = frameCount / fps;
+export function calculateSelectionInfo(selection, fps, cuts = [], delayOverrides = {}) {
+  const frameCount = countKeptFrames(selection, cuts);
+  let duration = frameCount / fps;
+  for (const [key, ms] of Object.entries(delayOverrides)) {
+    const index = Number(key);
+    if (index >= selection.start && index <= selection.end && !isFrameCut(index, cuts)) {
+      duration += ms / 1000 - 1 / fps;
+    }
+  }
 
   return {
     frameCount,
@@ -631,3 +697,581 @@ export function isFrameInRange(frameIndex, start, end) {
 
   return frameIndex >= min && frameIndex <= max;
 }
+
+// ============================================================
+// Cut List
+// ============================================================
+
+/**
+ * Sort, clamp and merge excluded ranges, so every frame is in at most one
+ * cut and touching cuts become one
+ * @param {import('./types.js').FrameRange[]} cuts
+ * @param {number} totalFrames
+ * @returns {import('./types.js').FrameRange[]}
+ */
+export function normalizeCuts(cuts, totalFrames) {
+  const sorted = cuts
+    .map((cut) => ({
+      start: Math.max(0, Math.min(cut.start, cut.end)),
+      end: Math.min(totalFrames - 1, Math.max(cut.start, cut.end)),
+    }))
+    .filter((cut) => cut.start <= cut.end)
+    .sort((a, b) => a.start - b.start);
+
+  /** @type {import('./types.js').FrameRange[]} */
+  const merged = [];
+  for (const cut of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && cut.start <= last.end + 1) {
+      last.end = Math.max(last.end, cut.end);
+    } else {
+      merged.push(cut);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Exclude a range of frames
+ * @param {import('./types.js').FrameRange[]} cuts
+ * @param {import('./types.js').FrameRange} range
+ * @param {number} totalFrames
+ * @returns {import('./types.js').FrameRange[]}
+ */
+export function addCut(cuts, range, totalFrames) {
+  return normalizeCuts([...cuts, range], totalFrames);
+}
+
+/**
+ * Bring a range of frames back, splitting any cut it falls inside
+ * @param {import('./types.js').FrameRange[]} cuts
+ * @param {import('./types.js').FrameRange} range
+ * @returns {import('./types.js').FrameRange[]}
+ */
+export function restoreCut(cuts, range) {
+  /** @type {import('./types.js').FrameRange[]} */
+  const result = [];
+  for (const cut of cuts) {
+    if (cut.end < range.start || cut.start > range.end) {
+      result.push(cut);
+      continue;
+    }
+    if (cut.start < range.start) result.push({ start: cut.start, end: range.start - 1 });
+    if (cut.end > range.end) result.push({ start: range.end + 1, end: cut.end });
+  }
+  return result;
+}
+
+/**
+ * Check whether a frame is excluded
+ * @param {number} frameIndex
+ * @param {import('./types.js').FrameRange[]} cuts - Normalized cuts
+ * @returns {boolean}
+ */
+export function isFrameCut(frameIndex, cuts) {
+  return cuts.some((cut) => frameIndex >= cut.start && frameIndex <= cut.end);
+}
+
+/**
+ * Frames of a range that are not cut, in order
+ * @param {import('./types.js').FrameRange} range
+ * @param {import('./types.js').FrameRange[]} cuts - Normalized cuts
+ * @returns {number[]} Clip frame indices
+ */
+export function getKeptFrameIndices(range, cuts) {
+  /** @type {number[]} */
+  const kept = [];
+  let next = 0;
+  for (let i = range.start; i <= range.end; i++) {
+    while (next < cuts.length && cuts[next].end < i) next++;
+    const cut = cuts[next];
+    if (cut && i >= cut.start) {
+      i = cut.end;
+      continue;
+    }
+    kept.push(i);
+  }
+  return kept;
+}
+
+/**
+ * Count the frames of a range that are not cut
+ * @param {import('./types.js').FrameRange} range
+ * @param {import('./types.js').FrameRange[]} cuts - Normalized cuts
+ * @returns {number}
+ */
+export function countKeptFrames(range, cuts) {
+  let count = range.end - range.start + 1;
+  for (const cut of cuts) {
+    const start = Math.max(cut.start, range.start);
+    const end = Math.min(cut.end, range.end);
+    if (start <= end) count -= end - start + 1;
+  }
+  return count;
+}
+
+/**
+ * Frame reached by stepping from `index`, jumping over cuts
+ * @param {number} index
+ * @param {number} heading - 1 or -1
+ * @param {import('./types.js').FrameRange[]} cuts - Normalized cuts
+ * @returns {number} May lie outside the clip when nothing is left that way
+ */
+function stepOverCuts(index, heading, cuts) {
+  let next = index + heading;
+  for (let moved = true; moved; ) {
+    moved = false;
+    for (const cut of cuts) {
+      if (next >= cut.start && next <= cut.end) {
+        next = heading > 0 ? cut.end + 1 : cut.start - 1;
+        moved = true;
+      }
+    }
+  }
+  return next;
+}
+
+// ============================================================
+// Frame Holds
+// ============================================================
+
+/** Shortest hold; browsers play shorter GIF delays slower, not faster */
+export const MIN_HOLD_MS = 20;
+
+/** Longest hold */
+export const MAX_HOLD_MS = 60_000;
+
+/**
+ * Set or clear how long one frame stays on screen
+ * @param {import('./types.js').DelayOverrides} overrides
+ * @param {number} frameIndex
+ * @param {number | null} ms - Display time; null or 0 goes back to the captured delay
+ * @returns {import('./types.js').DelayOverrides}
+ */
+export function setFrameHold(overrides, frameIndex, ms) {
+  const next = { ...overrides };
+  if (ms && Number.isFinite(ms) && ms > 0) {
+    next[frameIndex] = Math.round(Math.min(MAX_HOLD_MS, Math.max(MIN_HOLD_MS, ms)));
+  } else {
+    delete next[frameIndex];
+  }
+  return next;
+}
+
+/**
+ * Drop holds of frames the clip does not have and bring the rest into range
+ * @param {import('./types.js').DelayOverrides} overrides
+ * @param {number} totalFrames
+ * @returns {import('./types.js').DelayOverrides}
+ */
+export function normalizeDelayOverrides(overrides, totalFrames) {
+  /** @type {import('./types.js').DelayOverrides} */
+  let result = {};
+  for (const [key, ms] of Object.entries(overrides)) {
+    const index = Number(key);
+    if (Number.isInteger(index) && index >= 0 && index < totalFrames) {
+      result = setFrameHold(result, index, ms);
+    }
+  }
+  return result;
+}
+
+/**
+ * Check whether any frame is held
+ * @param {import('./types.js').DelayOverrides | undefined} overrides
+ * @returns {boolean}
+ */
+export function hasDelayOverrides(overrides) {
+  return Boolean(overrides) && Object.keys(/** @type {object} */ (overrides)).length > 0;
+}
+
+/**
+ * Short label of a hold, e.g. "2s" or "0.25s"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatHold(ms) {
+  return `${Number((ms / 1000).toFixed(2))}s`;
+}
+
+// ============================================================
+// Captions
+// ============================================================
+
+/** Smallest caption font size in frame pixels */
+export const MIN_CAPTION_FONT_SIZE = 8;
+
+/** Largest caption font size in frame pixels */
+export const MAX_CAPTION_FONT_SIZE = 400;
+
+/**
+ * Look of a new caption when there is no other caption to copy it from
+ * @type {Readonly<Pick<import('./types.js').Caption, 'font' | 'fontSize' | 'color' | 'background' | 'outline'>>}
+ */
+export const DEFAULT_CAPTION_STYLE = {
+  font: 'system-ui, sans-serif',
+  fontSize: 32,
+  color: '#ffffff',
+  background: '#000000',
+  outline: null,
+};
+
+/**
+ * Create a caption
+ * @param {{ x: number, y: number, width: number, height: number }} box - Frame pixels
+ * @param {import('./types.js').FrameRange} range - Frames showing it
+ * @param {Partial<import('./types.js').Caption>} [style] - Font and colors to start from
+ * @returns {import('./types.js').Caption}
+ */
+export function createCaption(box, range, style = DEFAULT_CAPTION_STYLE) {
+  return {
+    id: crypto.randomUUID(),
+    text: 'Text',
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height),
+    start: range.start,
+    end: range.end,
+    font: style.font ?? DEFAULT_CAPTION_STYLE.font,
+    fontSize: style.fontSize ?? DEFAULT_CAPTION_STYLE.fontSize,
+    color: style.color ?? DEFAULT_CAPTION_STYLE.color,
+    background:
+      style.background === undefined ? DEFAULT_CAPTION_STYLE.background : style.background,
+    outline: style.outline === undefined ? DEFAULT_CAPTION_STYLE.outline : style.outline,
+  };
+}
+
+/**
+ * Draw, move or resize a caption or shape box the way the crop is dragged
+ * @param {{ x: number, y: number, width: number, height: number }} box - Box before the drag
+ * @param {import('./types.js').HandlePosition} handle - 'draw' spans a new box between the points
+ * @param {{ x: number, y: number }} start - Drag start (frame coords)
+ * @param {{ x: number, y: number }} current - Pointer now (frame coords)
+ * @param {import('../capture/types.js').Frame} frame - Source frame for bounds
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function dragAnnotationBox(box, handle, start, current, frame) {
+  /** @type {import('./types.js').CropArea} */
+  const area = { x: box.x, y: box.y, width: box.width, height: box.height, aspectRatio: 'free' };
+  let next = area;
+  if (handle === 'draw') {
+    next = calculateCropFromDrag(start, current, frame);
+  } else if (handle === 'move') {
+    next = moveCrop(area, { x: current.x - start.x, y: current.y - start.y }, frame);
+  } else if (handle) {
+    next = resizeCropByHandle(area, handle, start, current, frame);
+  }
+  return { x: next.x, y: next.y, width: next.width, height: next.height };
+}
+
+/**
+ * Change some properties of one caption
+ * @param {import('./types.js').Caption[]} captions
+ * @param {string} id
+ * @param {Partial<import('./types.js').Caption>} changes
+ * @returns {import('./types.js').Caption[]}
+ */
+export function updateCaption(captions, id, changes) {
+  return captions.map((caption) =>
+    caption.id === id ? { ...caption, ...changes, id: caption.id } : caption,
+  );
+}
+
+/**
+ * Remove one caption
+ * @param {import('./types.js').Caption[]} captions
+ * @param {string} id
+ * @returns {import('./types.js').Caption[]}
+ */
+export function removeCaption(captions, id) {
+  return captions.filter((caption) => caption.id !== id);
+}
+
+/**
+ * Bring frame ranges and font sizes into bounds. Captions left unchanged
+ * keep their identity, so an edit that changes nothing is seen as such.
+ * @param {import('./types.js').Caption[]} captions
+ * @param {number} totalFrames
+ * @returns {import('./types.js').Caption[]}
+ */
+export function normalizeCaptions(captions, totalFrames) {
+  if (totalFrames <= 0) return [];
+
+  const last = totalFrames - 1;
+  return captions.map((caption) => {
+    const a = Math.round(Math.min(last, Math.max(0, caption.start)));
+    const b = Math.round(Math.min(last, Math.max(0, caption.end)));
+    const fontSize = Math.round(
+      Math.min(MAX_CAPTION_FONT_SIZE, Math.max(MIN_CAPTION_FONT_SIZE, caption.fontSize)),
+    );
+    const start = Math.min(a, b);
+    const end = Math.max(a, b);
+    if (start === caption.start && end === caption.end && fontSize === caption.fontSize) {
+      return caption;
+    }
+    return { ...caption, start, end, fontSize };
+  });
+}
+
+/**
+ * Captions drawn on a frame, bottom first; empty ones are skipped
+ * @param {import('./types.js').Caption[]} captions
+ * @param {number} frameIndex - Clip frame index
+ * @returns {import('./types.js').Caption[]}
+ */
+export function getCaptionsAt(captions, frameIndex) {
+  return captions.filter(
+    (caption) =>
+      frameIndex >= caption.start && frameIndex <= caption.end && caption.text.trim() !== '',
+  );
+}
+
+/**
+ * Topmost caption on a frame whose box holds a point
+ * @param {import('./types.js').Caption[]} captions
+ * @param {number} frameIndex - Clip frame index
+ * @param {{ x: number, y: number }} point - Frame coords
+ * @returns {import('./types.js').Caption | null}
+ */
+export function findCaptionAt(captions, frameIndex, point) {
+  for (let i = captions.length - 1; i >= 0; i--) {
+    const caption = captions[i];
+    if (
+      frameIndex >= caption.start &&
+      frameIndex <= caption.end &&
+      point.x >= caption.x &&
+      point.x <= caption.x + caption.width &&
+      point.y >= caption.y &&
+      point.y <= caption.y + caption.height
+    ) {
+      return caption;
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// Shapes
+// ============================================================
+
+/** Thinnest shape stroke in frame pixels */
+export const MIN_SHAPE_STROKE = 1;
+
+/** Thickest shape stroke in frame pixels */
+export const MAX_SHAPE_STROKE = 64;
+
+/** Longest fade in or out, in frames */
+export const MAX_SHAPE_FADE = 300;
+
+/**
+ * Kinds the shape tool draws, in toolbar order
+ * @type {ReadonlyArray<{ id: import('./types.js').ShapeKind, name: string, description: string }>}
+ */
+export const SHAPE_KINDS = [
+  { id: 'arrow', name: 'Arrow', description: 'Point from where the drag starts to where it ends' },
+  { id: 'rect', name: 'Box', description: 'Outline a rectangle' },
+  { id: 'ellipse', name: 'Ellipse', description: 'Circle an area' },
+  { id: 'pen', name: 'Pen', description: 'Draw freehand' },
+  { id: 'spotlight', name: 'Spotlight', description: 'Dim everything outside a box' },
+];
+
+/**
+ * Look of a new shape when there is no other shape to copy it from
+ * @type {Readonly<Pick<import('./types.js').Shape, 'color' | 'strokeWidth' | 'fadeIn' | 'fadeOut'>>}
+ */
+export const DEFAULT_SHAPE_STYLE = {
+  color: '#ef4444',
+  strokeWidth: 6,
+  fadeIn: 0,
+  fadeOut: 0,
+};
+
+/**
+ * Create a shape from the points it was drawn through
+ * @param {import('./types.js').ShapeKind} kind
+ * @param {{ x: number, y: number }[]} points - Frame pixels: the drag start and end, or
+ *   every point of a pen stroke
+ * @param {import('./types.js').FrameRange} range - Frames showing it
+ * @param {Partial<import('./types.js').Shape>} [style] - Color, stroke and fades to start from
+ * @returns {import('./types.js').Shape}
+ */
+export function createShape(kind, points, range, style = DEFAULT_SHAPE_STYLE) {
+  const xs = points.map((p) => Math.round(p.x));
+  const ys = points.map((p) => Math.round(p.y));
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  const width = Math.max(...xs) - x;
+  const height = Math.max(...ys) - y;
+  const keepsPoints = kind === 'arrow' || kind === 'pen';
+  return {
+    id: crypto.randomUUID(),
+    kind,
+    x,
+    y,
+    width,
+    height,
+    // A flat box has nowhere to place points across it
+    points: keepsPoints
+      ? xs.map((px, i) => ({
+          x: width > 0 ? (px - x) / width : 0,
+          y: height > 0 ? (ys[i] - y) / height : 0,
+        }))
+      : [],
+    start: range.start,
+    end: range.end,
+    color: style.color ?? DEFAULT_SHAPE_STYLE.color,
+    strokeWidth: style.strokeWidth ?? DEFAULT_SHAPE_STYLE.strokeWidth,
+    fadeIn: style.fadeIn ?? DEFAULT_SHAPE_STYLE.fadeIn,
+    fadeOut: style.fadeOut ?? DEFAULT_SHAPE_STYLE.fadeOut,
+  };
+}
+
+/**
+ * Change some properties of one shape
+ * @param {import('./types.js').Shape[]} shapes
+ * @param {string} id
+ * @param {Partial<import('./types.js').Shape>} changes
+ * @returns {import('./types.js').Shape[]}
+ */
+export function updateShape(shapes, id, changes) {
+  return shapes.map((shape) => (shape.id === id ? { ...shape, ...changes, id: shape.id } : shape));
+}
+
+/**
+ * Remove one shape
+ * @param {import('./types.js').Shape[]} shapes
+ * @param {string} id
+ * @returns {import('./types.js').Shape[]}
+ */
+export function removeShape(shapes, id) {
+  return shapes.filter((shape) => shape.id !== id);
+}
+
+/**
+ * Bring frame ranges, strokes and fades into bounds. Shapes left unchanged
+ * keep their identity, so an edit that changes nothing is seen as such.
+ * @param {import('./types.js').Shape[]} shapes
+ * @param {number} totalFrames
+ * @returns {import('./types.js').Shape[]}
+ */
+export function normalizeShapes(shapes, totalFrames) {
+  if (totalFrames <= 0) return [];
+
+  const last = totalFrames - 1;
+  /**
+   * @param {number} value
+   * @param {number} min
+   * @param {number} max
+   */
+  const clampRound = (value, min, max) => Math.round(Math.min(max, Math.max(min, value)));
+  return shapes.map((shape) => {
+    const a = clampRound(shape.start, 0, last);
+    const b = clampRound(shape.end, 0, last);
+    const next = {
+      start: Math.min(a, b),
+      end: Math.max(a, b),
+      strokeWidth: clampRound(shape.strokeWidth, MIN_SHAPE_STROKE, MAX_SHAPE_STROKE),
+      fadeIn: clampRound(shape.fadeIn, 0, MAX_SHAPE_FADE),
+      fadeOut: clampRound(shape.fadeOut, 0, MAX_SHAPE_FADE),
+    };
+    const unchanged = Object.entries(next).every(([key, value]) => shape[key] === value);
+    return unchanged ? shape : { ...shape, ...next };
+  });
+}
+
+/**
+ * How visible a shape is on a frame: ramps up over its fade-in frames and
+ * down over its fade-out frames, never reaching 0 inside its range
+ * @param {import('./types.js').Shape} shape
+ * @param {number} frameIndex - Clip frame index
+ * @returns {number} 0 outside the range, up to 1
+ */
+export function getShapeOpacity(shape, frameIndex) {
+  if (frameIndex < shape.start || frameIndex > shape.end) return 0;
+  const fadeIn = (frameIndex - shape.start + 1) / (shape.fadeIn + 1);
+  const fadeOut = (shape.end - frameIndex + 1) / (shape.fadeOut + 1);
+  return Math.min(1, fadeIn, fadeOut);
+}
+
+/**
+ * Topmost shape on a frame whose box, widened by its stroke, holds a point
+ * @param {import('./types.js').Shape[]} shapes
+ * @param {number} frameIndex - Clip frame index
+ * @param {{ x: number, y: number }} point - Frame coords
+ * @returns {import('./types.js').Shape | null}
+ */
+export function findShapeAt(shapes, frameIndex, point) {
+  for (let i = shapes.length - 1; i >= 0; i--) {
+    const shape = shapes[i];
+    // Thin arrows and strokes would be impossible to pick up otherwise
+    const pad = Math.max(HANDLE_HIT_ZONE / 2, shape.strokeWidth);
+    if (
+      frameIndex >= shape.start &&
+      frameIndex <= shape.end &&
+      point.x >= shape.x - pad &&
+      point.x <= shape.x + shape.width + pad &&
+      point.y >= shape.y - pad &&
+      point.y <= shape.y + shape.height + pad
+    ) {
+      return shape;
+    }
+  }
+  return null;
+}
+
+/**
+ * Everything drawn over a frame, bottom first: shapes, then captions on top
+ * so text stays readable inside a spotlight
+ * @param {import('./types.js').Caption[]} captions
+ * @param {import('./types.js').Shape[]} shapes
+ * @param {number} frameIndex - Clip frame index
+ * @returns {import('./types.js').Annotation[]}
+ */
+export function getAnnotationsAt(captions, shapes, frameIndex) {
+  /** @type {import('./types.js').Annotation[]} */
+  const annotations = [];
+  for (const shape of shapes) {
+    const opacity = getShapeOpacity(shape, frameIndex);
+    if (opacity > 0) annotations.push({ type: 'shape', shape, opacity });
+  }
+  for (const caption of getCaptionsAt(captions, frameIndex)) {
+    annotations.push({ type: 'caption', caption });
+  }
+  return annotations;
+}
+
+// ============================================================
+// Frame Stills
+// ============================================================
+
+/** @type {Readonly<Record<import('./types.js').StillFormat, { mimeType: string, extension: string }>>} */
+const STILL_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+};
+
+/** Encoder quality of lossy stills; high enough for text in bug reports */
+export const STILL_QUALITY = 0.92;
+
+/**
+ * Get the MIME type and file extension of a still format
+ * @param {import('./types.js').StillFormat} format - Unknown formats fall back to PNG
+ * @returns {{ mimeType: string, extension: string }}
+ */
+export function getStillFormat(format) {
+  return STILL_FORMATS[format] ?? STILL_FORMATS.png;
+}
+
+/**
+ * File name of a frame still, numbered like the editor counts frames (from 1)
+ * @param {number} frameIndex - Index of the frame in the clip
+ * @param {import('./types.js').StillFormat} format
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getStillFileName(frameIndex, format, date = new Date()) {
+  const timestamp = date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  return `glinfs-frame-${frameIndex + 1}-${timestamp}.${getStillFormat(format).extension}`;
+}
@@ -7,7 +7,17 @@
 import { createElement, on } from '../../shared/utils/dom.js';
 import { getThumbnailSizes } from '../../shared/utils/quality-settings.js';
 import { createThumbnailCanvas } from './api.js';
-import { isFrameInRange, normalizeSelectionRange } from './core.js';
+import {
+  addCut,
+  countKeptFrames,
+  formatHold,
+  isFrameCut,
+  isFrameInRange,
+  MAX_HOLD_MS,
+  normalizeSelectionRange,
+  restoreCut,
+  setFrameHold,
+} from './core.js';
 
 /** Controls that must retain their native keyboard behavior inside the modal. */
 const INTERACTIVE_ELEMENT_SELECTOR = [
@@ -291,6 +301,18 @@ const FRAME_GRID_STYLES = `
     border-radius: inherit;
   }
 
+  /* Cut frames - struck out, still selectable so they can be restored */
+  .frame-grid-item.is-cut canvas {
+    opacity: 0.35;
+    filter: grayscale(1);
+  }
+
+  .frame-grid-item.is-cut .frame-grid-number {
+    text-decoration: line-through;
+    text-decoration-color: var(--color-error, #ef4444);
+    text-decoration-thickness: 2px;
+  }
+
   /* Start/End frames take priority over range styling */
   .frame-grid-item.is-start.is-in-range,
   .frame-grid-item.is-end.is-in-range {
@@ -427,6 +449,20 @@ const FRAME_GRID_STYLES = `
     border-radius: 3px;
   }
 
+  /* Held frames - how long they stay on screen */
+  .frame-grid-hold {
+    position: absolute;
+    top: 4px;
+    right: 4px;
+    padding: 2px 6px;
+    font-size: 11px;
+    font-weight: 600;
+    font-family: var(--font-mono, monospace);
+    background: var(--color-selection, #f59e0b);
+    color: #000;
+    border-radius: 3px;
+  }
+
   .frame-grid-item.is-start .frame-grid-number,
   .frame-grid-item.is-end .frame-grid-number {
     display: none;
@@ -455,6 +491,25 @@ const FRAME_GRID_STYLES = `
     gap: var(--space-3, 12px);
   }
 
+  .frame-grid-hold-control {
+    display: flex;
+    align-items: center;
+    gap: var(--space-2, 8px);
+    font-size: var(--font-size-sm, 13px);
+    color: var(--color-text-secondary, #888);
+    white-space: nowrap;
+  }
+
+  .frame-grid-hold-input {
+    width: 64px;
+    padding: var(--space-2, 8px);
+    font-family: var(--font-mono, monospace);
+    color: var(--color-text, #fff);
+    background: var(--color-bg-tertiary, #1f1f23);
+    border: 1px solid var(--color-border, #333);
+    border-radius: var(--radius-sm, 4px);
+  }
+
   .frame-grid-btn {
     flex: 1;
     padding: var(--space-3, 12px) var(--space-5, 20px);
@@ -479,6 +534,25 @@ const FRAME_GRID_STYLES = `
     background: var(--color-surface-hover, #444);
   }
 
+  .frame-grid-btn-cut,
+  .frame-grid-btn-restore {
+    flex: 0 0 auto;
+    background: var(--color-surface, #333);
+    border: 1px solid var(--color-border, #444);
+    color: var(--color-text, #fff);
+  }
+
+  .frame-grid-btn-cut:hover:not(:disabled),
+  .frame-grid-btn-restore:hover:not(:disabled) {
+    background: var(--color-surface-hover, #444);
+  }
+
+  .frame-grid-btn-cut:disabled,
+  .frame-grid-btn-restore:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
   .frame-grid-btn-apply {
     background: var(--color-primary, #3b82f6);
     border: none;
@@ -695,6 +769,10 @@ const FRAME_GRID_STYLES = `
  * @typedef {Object} FrameGridCallbacks
  * @property {(range: import('./types.js').FrameRange) => void} onApply - Called when user clicks Apply
  * @property {() => void} onCancel - Called when user cancels (Escape, click outside, Cancel button)
+ * @property {(cuts: import('./types.js').FrameRange[]) => void} [onCutsChange] - Called before
+ *   onApply when the cut list was edited
+ * @property {(overrides: import('./types.js').DelayOverrides) => void} [onDelayOverridesChange] -
+ *   Called before onApply when frame holds were edited
  */
 
 /**
@@ -765,10 +843,20 @@ function calculateOptimalThumbnailSize(
  * @param {import('../capture/types.js').Frame[]} params.frames - All clip frames
  * @param {import('./types.js').FrameRange} params.initialRange - Current selection from editor
  * @param {import('../scene-detection/types.js').Scene[]} [params.scenes] - Detected scenes
+ * @param {import('./types.js').FrameRange[]} [params.initialCuts] - Current cut list from editor
+ * @param {import('./types.js').DelayOverrides} [params.initialDelayOverrides] - Current frame holds
  * @param {FrameGridCallbacks} params.callbacks - Event callbacks
  * @returns {{ cleanup: () => void }} - Cleanup function
  */
-export function renderFrameGridModal({ container, frames, initialRange, scenes = [], callbacks }) {
+export function renderFrameGridModal({
+  container,
+  frames,
+  initialRange,
+  scenes = [],
+  initialCuts = [],
+  initialDelayOverrides = {},
+  callbacks,
+}) {
   injectStyles();
 
   const cleanups = [];
@@ -786,6 +874,11 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
   let startFrame = initialRange.start;
   let endFrame = initialRange.end;
   let focusedFrame = startFrame;
+  // Edited locally; only handed back on Apply
+  let cuts = initialCuts;
+  let holds = initialDelayOverrides;
+  // Frame the hold control edits; follows the focused frame
+  let holdFrame = focusedFrame;
   let thumbnailSize = DEFAULT_THUMBNAIL_SIZE;
   const hasScenes = scenes.length > 0;
   let disposed = false;
@@ -1121,6 +1214,7 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
     item.appendChild(
       createElement('span', { className: 'frame-grid-number' }, [String(index + 1)]),
     );
+    updateFrameMarks(item, index);
     return item;
   }
 
@@ -1344,6 +1438,7 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
       const target = e.target instanceof Element ? e.target : null;
       if (!target?.classList.contains('frame-grid-item')) return;
       focusedFrame = Number.parseInt(/** @type {HTMLElement} */ (target).dataset.index, 10);
+      updateHoldControl();
     }),
   );
 
@@ -1401,6 +1496,52 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
 
   const actions = createElement('div', { className: 'frame-grid-actions' });
 
+  const holdLabel = createElement('span', { className: 'frame-grid-hold-label' });
+  const holdInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      className: 'frame-grid-hold-input',
+      type: 'number',
+      min: '0',
+      max: String(MAX_HOLD_MS / 1000),
+      step: '0.1',
+      placeholder: 'auto',
+    })
+  );
+  const holdControl = createElement(
+    'label',
+    {
+      className: 'frame-grid-hold-control',
+      title: 'Keep the focused frame on screen this long. Empty plays it for its captured time.',
+    },
+    [holdLabel, holdInput, 's'],
+  );
+  cleanups.push(on(holdInput, 'change', handleHoldEdit));
+  updateHoldControl();
+
+  const cutBtn = createElement(
+    'button',
+    {
+      className: 'frame-grid-btn frame-grid-btn-cut',
+      type: 'button',
+      title: 'Leave the marked frames out of playback and export',
+      disabled: startFrame === null,
+    },
+    ['Cut'],
+  );
+  cleanups.push(on(cutBtn, 'click', () => handleCutEdit('cut')));
+
+  const restoreBtn = createElement(
+    'button',
+    {
+      className: 'frame-grid-btn frame-grid-btn-restore',
+      type: 'button',
+      title: 'Bring cut frames in the marked range back',
+      disabled: startFrame === null,
+    },
+    ['Restore'],
+  );
+  cleanups.push(on(restoreBtn, 'click', () => handleCutEdit('restore')));
+
   const cancelBtn = createElement(
     'button',
     {
@@ -1422,6 +1563,9 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
   );
   cleanups.push(on(applyBtn, 'click', handleApply));
 
+  actions.appendChild(holdControl);
+  actions.appendChild(cutBtn);
+  actions.appendChild(restoreBtn);
   actions.appendChild(cancelBtn);
   actions.appendChild(applyBtn);
   footer.appendChild(selectionInfo);
@@ -1569,6 +1713,7 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
     focusedFrame = index;
     updateVisualState();
     updateSelectionInfo();
+    updateHoldControl();
   }
 
   /**
@@ -1584,6 +1729,7 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
     focusedFrame = index;
     updateVisualState();
     updateSelectionInfo();
+    updateHoldControl();
   }
 
   /**
@@ -1609,6 +1755,7 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
     focusedFrame = index;
     updateVisualState();
     updateSelectionInfo();
+    updateHoldControl();
   }
 
   /**
@@ -1694,10 +1841,85 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
   function handleApply() {
     const range = normalizeSelectionRange(startFrame, endFrame, frames.length);
     if (range) {
+      if (cuts !== initialCuts) {
+        callbacks.onCutsChange?.(cuts);
+      }
+      if (holds !== initialDelayOverrides) {
+        callbacks.onDelayOverridesChange?.(holds);
+      }
       callbacks.onApply(range);
     }
   }
 
+  /**
+   * Cut or restore the marked frames. The marks then go back to the
+   * editor's selection, so Apply does not turn the edited range into it.
+   * @param {'cut' | 'restore'} action
+   */
+  function handleCutEdit(action) {
+    const marked = normalizeSelectionRange(startFrame, endFrame, frames.length);
+    if (!marked) return;
+
+    cuts = action === 'cut' ? addCut(cuts, marked, frames.length) : restoreCut(cuts, marked);
+    startFrame = initialRange.start;
+    endFrame = initialRange.end;
+    focusedFrame = startFrame;
+
+    materializedIndices.forEach((index) => {
+      const item = gridItems[index];
+      if (item) updateSingleItemVisualState(item, index);
+    });
+    updateVisualState();
+    updateSelectionInfo();
+    updateSceneButtonStates();
+    updateHoldControl();
+  }
+
+  /**
+   * Set or clear the hold of the frame the hold control points at
+   */
+  function handleHoldEdit() {
+    const seconds = Number.parseFloat(holdInput.value);
+    holds = setFrameHold(holds, holdFrame, Number.isFinite(seconds) ? seconds * 1000 : null);
+
+    const item = gridItems[holdFrame];
+    if (item) updateFrameMarks(item, holdFrame);
+    updateHoldControl();
+  }
+
+  /**
+   * Point the hold control at the focused frame
+   */
+  function updateHoldControl() {
+    holdFrame = focusedFrame;
+    const ms = holds[holdFrame];
+    holdLabel.textContent = `Hold frame ${holdFrame + 1}`;
+    holdInput.value = ms ? String(ms / 1000) : '';
+    holdInput.setAttribute('aria-label', `Hold frame ${holdFrame + 1}, in seconds`);
+  }
+
+  /**
+   * Show whether a frame is cut and how long it is held
+   * @param {HTMLElement} item
+   * @param {number} index
+   */
+  function updateFrameMarks(item, index) {
+    item.classList.toggle('is-cut', cuts.length > 0 && isFrameCut(index, cuts));
+
+    const ms = holds[index];
+    let badge = item.querySelector('.frame-grid-hold');
+    if (!ms) {
+      badge?.remove();
+      return;
+    }
+    if (!badge) {
+      badge = createElement('span', { className: 'frame-grid-hold' });
+      item.appendChild(badge);
+    }
+    badge.textContent = formatHold(ms);
+    badge.setAttribute('title', `Held for ${formatHold(ms)}`);
+  }
+
   /**
    * Update visual state of a single grid item
    * @param {HTMLElement} item
@@ -1712,6 +1934,7 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
     item.classList.toggle('is-start', isStart);
     item.classList.toggle('is-end', isEnd && endFrame !== null);
     item.classList.toggle('is-in-range', inRange);
+    updateFrameMarks(item, index);
 
     // Remove existing badges
     item.querySelectorAll('.frame-grid-badge').forEach((badge) => {
@@ -1801,6 +2024,8 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
 
     // Update apply button state
     applyBtn.disabled = startFrame === null;
+    cutBtn.disabled = startFrame === null;
+    restoreBtn.disabled = startFrame === null;
   }
 
   /**
@@ -1815,7 +2040,9 @@ export function renderFrameGridModal({ container, frames, initialRange, scenes =
       const count = Math.abs(endFrame - startFrame) + 1;
       const min = Math.min(startFrame, endFrame);
       const max = Math.max(startFrame, endFrame);
-      selectionInfo.textContent = `Selection: Frame ${min + 1} \u2192 Frame ${max + 1} (${count} frame${count !== 1 ? 's' : ''})`;
+      const cutCount = count - countKeptFrames({ start: min, end: max }, cuts);
+      const cutNote = cutCount > 0 ? `, ${cutCount} cut` : '';
+      selectionInfo.textContent = `Selection: Frame ${min + 1} \u2192 Frame ${max + 1} (${count} frame${count !== 1 ? 's' : ''}${cutNote})`;
     }
   }
 
@@ -0,0 +1,150 @@
+/**
+ * Edit History
+ * Bounded undo/redo stack for the edits that shape an export: selection
+ * range, crop, aspect ratio, cut list, frame holds, captions and shapes.
+ * Playback position, speed, the grid and which caption or shape is selected
+ * are not edits and never enter the history.
+ * @module features/editor/history
+ */
+
+/** Most steps kept; the oldest are dropped first */
+export const MAX_HISTORY_STEPS = 50;
+
+/**
+ * Edits of the same kind closer together than this become one step, so a
+ * drag that reports every mouse move is undone in one go
+ */
+export const COALESCE_MS = 500;
+
+/**
+ * Empty history
+ * @returns {import('./types.js').EditHistory}
+ */
+export function createHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * The undoable part of the editor state
+ * @param {import('./types.js').EditorState} state
+ * @returns {import('./types.js').EditSnapshot}
+ */
+export function takeSnapshot(state) {
+  return {
+    selectedRange: state.selectedRange,
+    cropArea: state.cropArea,
+    selectedAspectRatio: state.selectedAspectRatio,
+    cuts: state.cuts,
+    delayOverrides: state.delayOverrides,
+    captions: state.captions,
+    shapes: state.shapes,
+  };
+}
+
+/**
+ * @param {import('./types.js').CropArea | null} a
+ * @param {import('./types.js').CropArea | null} b
+ * @returns {boolean}
+ */
+function isSameCrop(a, b) {
+  if (!a || !b) return a === b;
+  return (
+    a.x === b.x &&
+    a.y === b.y &&
+    a.width === b.width &&
+    a.height === b.height &&
+    a.aspectRatio === b.aspectRatio
+  );
+}
+
+/**
+ * @param {import('./types.js').DelayOverrides} a
+ * @param {import('./types.js').DelayOverrides} b
+ * @returns {boolean}
+ */
+function isSameHolds(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+}
+
+/**
+ * Check whether two snapshots describe the same edit state
+ * @param {import('./types.js').EditSnapshot} a
+ * @param {import('./types.js').EditSnapshot} b
+ * @returns {boolean}
+ */
+export function isSameSnapshot(a, b) {
+  return (
+    a.selectedRange.start === b.selectedRange.start &&
+    a.selectedRange.end === b.selectedRange.end &&
+    a.selectedAspectRatio === b.selectedAspectRatio &&
+    isSameCrop(a.cropArea, b.cropArea) &&
+    a.cuts.length === b.cuts.length &&
+    a.cuts.every((cut, i) => cut.start === b.cuts[i].start && cut.end === b.cuts[i].end) &&
+    isSameHolds(a.delayOverrides, b.delayOverrides) &&
+    // Captions and shapes are replaced, never changed in place
+    a.captions.length === b.captions.length &&
+    a.captions.every((caption, i) => caption === b.captions[i]) &&
+    a.shapes.length === b.shapes.length &&
+    a.shapes.every((shape, i) => shape === b.shapes[i])
+  );
+}
+
+/**
+ * Record an edit. A new edit clears the redo steps; one of the same kind
+ * right after the previous is folded into it.
+ * @param {import('./types.js').EditHistory} history
+ * @param {import('./types.js').EditSnapshot} before - State the edit started from
+ * @param {import('./types.js').EditSnapshot} after - State the edit produced
+ * @param {string} label - Kind of edit, shown in the history list
+ * @param {number} [now] - Milliseconds, for coalescing
+ * @returns {import('./types.js').EditHistory}
+ */
+export function recordEdit(history, before, after, label, now = Date.now()) {
+  if (isSameSnapshot(before, after)) return history;
+
+  const last = history.past[history.past.length - 1];
+  if (
+    last &&
+    history.future.length === 0 &&
+    last.label === label &&
+    now - last.time <= COALESCE_MS
+  ) {
+    // Keep the state from before the first edit of the run
+    return { past: [...history.past.slice(0, -1), { ...last, time: now }], future: [] };
+  }
+
+  const past = [...history.past, { label, snapshot: before, time: now }];
+  return { past: past.slice(-MAX_HISTORY_STEPS), future: [] };
+}
+
+/**
+ * Move through the history
+ * @param {import('./types.js').EditHistory} history
+ * @param {import('./types.js').EditSnapshot} current - State on screen
+ * @param {number} steps - Negative to undo, positive to redo
+ * @returns {{ history: import('./types.js').EditHistory, snapshot: import('./types.js').EditSnapshot } | null}
+ *   null when there is nothing to move to
+ */
+export function travelHistory(history, current, steps) {
+  const count = Math.min(Math.abs(steps), steps < 0 ? history.past.length : history.future.length);
+  if (count === 0) return null;
+
+  let { past, future } = history;
+  let snapshot = current;
+  for (let i = 0; i < count; i++) {
+    if (steps < 0) {
+      const entry = past[past.length - 1];
+      past = past.slice(0, -1);
+      // The same edit, now waiting to be redone from the state it left
+      future = [{ ...entry, snapshot }, ...future];
+      snapshot = entry.snapshot;
+    } else {
+      const entry = future[0];
+      future = future.slice(1);
+      past = [...past, { ...entry, snapshot }];
+      snapshot = entry.snapshot;
+    }
+  }
+  return { history: { past, future }, snapshot };
+}
@@ -22,46 +22,87 @@ import { emit, on as onBus } from '../../shared/bus.js';
 import { announce } from '../../shared/live-region.js';
 import { navigate } from '../../shared/router.js';
 import { showToast } from '../../shared/toast.js';
+import { loadSettings, updateSetting } from '../../shared/user-settings.js';
 import { createElement, createErrorScreen, qsRequired } from '../../shared/utils/dom.js';
 import { frameToTimecode } from '../../shared/utils/format.js';
 import { throttle } from '../../shared/utils/performance.js';
 import { updateStepIndicator } from '../../shared/utils/step-indicator.js';
+import { copyToClipboard, downloadBlob } from '../export/api.js';
 import { createSceneDetectionManager } from '../scene-detection/index.js';
+import { encodeFrameStill } from './api.js';
 import {
   centerCropAfterConstraint,
   constrainAspectRatio,
+  countKeptFrames,
+  createCaption,
+  createShape,
+  getAnnotationsAt,
   getClipFps,
+  getFrameDisplayMs,
+  getNextPlaybackFrame,
   getPlaybackIntervalMs,
   getPositionInSelection,
+  getStillFileName,
+  hasDelayOverrides,
+  removeCaption,
+  removeShape,
+  setFrameHold,
+  updateCaption,
+  updateShape,
 } from './core.js';
 import { initLiveMonitor } from './live-monitor.js';
 import {
   clearCrop,
+  commitEdit,
   completeSceneDetection,
   createEditorStore,
   createEditorStoreFromClip,
+  getEditedCaption,
+  getEditedShape,
   goToFrame,
+  selectCaption,
+  selectShape,
+  setCaptions,
+  setCuts,
+  setDelayOverrides,
+  setHistory,
+  setMode,
+  setPlaybackDirection,
   setPlaybackSpeed,
+  setRealTiming,
   setSceneDetectionError,
   setSelectedAspectRatio,
+  setShapeKind,
+  setShapes,
   startSceneDetection,
+  stepHistory,
   toggleGrid,
   togglePlayback,
   updateCrop,
   updateRange,
   updateSceneDetectionProgress,
 } from './state.js';
-import { renderTimeline, updatePlayheadPosition, updateTimelineRange } from './timeline.js';
+import {
+  renderTimeline,
+  updatePlayheadPosition,
+  updateTimelineCuts,
+  updateTimelineHolds,
+  updateTimelineRange,
+} from './timeline.js';
 import {
   renderEditorScreen,
   showClipsQueueFullBanner,
   updateBaseCanvas,
+  updateCaptionsPanel,
   updateClipsPanel,
   updateCropInfoPanel,
+  updateHistoryPanel,
   updateOverlayCanvas,
   updateScenesPanel,
   updateScenesSelection,
+  updateShapesPanel,
   updateTimelineHeader,
+  updateTimelineHold,
 } from './ui.js';
 
 /** @type {ReturnType<typeof createEditorStore> | null} */
@@ -70,6 +111,12 @@ let store = null;
 /** @type {number | null} */
 let playbackIntervalId = null;
 
+/** @type {number | null} Pending frame advance while playing with real timing */
+let playbackTimeoutId = null;
+
+/** Heading of ping-pong playback: 1 forward, -1 back */
+let playbackStep = 1;
+
 /** @type {(() => void) | null} */
 let uiCleanup = null;
 
@@ -265,6 +312,12 @@ export function initEditor() {
     }
   }
 
+  // Real timing and direction are shared with the export settings of the same name
+  const { realTiming, playbackDirection } = loadSettings().export;
+  store.setState((state) =>
+    setPlaybackDirection(setRealTiming(state, realTiming), playbackDirection),
+  );
+
   // Initial render
   render(container);
 
@@ -276,7 +329,11 @@ export function initEditor() {
     const st = store.getState();
     const firstFrame = st.clip?.frames[st.currentFrame];
     if (baseCanvas && firstFrame) {
-      updateBaseCanvas(baseCanvas, firstFrame);
+      updateBaseCanvas(
+        baseCanvas,
+        firstFrame,
+        getAnnotationsAt(st.captions, st.shapes, st.currentFrame),
+      );
     }
   }
 
@@ -330,11 +387,21 @@ export function initEditor() {
     currentFrame: initialState.currentFrame,
     cropArea: initialState.cropArea,
     showGrid: initialState.showGrid,
+    realTiming: initialState.realTiming,
     selectedAspectRatio: initialState.selectedAspectRatio,
     sceneDetectionStatus: initialState.sceneDetectionStatus,
     sceneDetectionProgress: initialState.sceneDetectionProgress,
     scenes: initialState.scenes,
     selectedRange: initialState.selectedRange,
+    cuts: initialState.cuts,
+    delayOverrides: initialState.delayOverrides,
+    captions: initialState.captions,
+    selectedCaptionId: initialState.selectedCaptionId,
+    shapes: initialState.shapes,
+    selectedShapeId: initialState.selectedShapeId,
+    shapeKind: initialState.shapeKind,
+    mode: initialState.mode,
+    history: initialState.history,
   };
 
   // Subscribe to state changes (must be set up before setting pre-computed scenes)
@@ -376,21 +443,41 @@ export function initEditor() {
       }
     }
 
-    // Update base canvas ONLY when frame changes
-    if (frameChanged && state.clip?.frames[state.currentFrame]) {
-      updateBaseCanvas(baseCanvas, state.clip.frames[state.currentFrame]);
-    }
-
-    if (frameChanged) {
-      lastRendered.currentFrame = state.currentFrame;
+    const captionsChanged = state.captions !== lastRendered.captions;
+    const shapesChanged = state.shapes !== lastRendered.shapes;
+    const modeChanged = state.mode !== lastRendered.mode;
+    const captionEditChanged =
+      state.selectedCaptionId !== lastRendered.selectedCaptionId || modeChanged;
+    const shapeEditChanged =
+      state.selectedShapeId !== lastRendered.selectedShapeId ||
+      state.shapeKind !== lastRendered.shapeKind ||
+      modeChanged;
+
+    // Update base canvas ONLY when the frame or the annotations burned into it change
+    if (
+      (frameChanged || captionsChanged || shapesChanged) &&
+      state.clip?.frames[state.currentFrame]
+    ) {
+      updateBaseCanvas(
+        baseCanvas,
+        state.clip.frames[state.currentFrame],
+        getAnnotationsAt(state.captions, state.shapes, state.currentFrame),
+      );
     }
 
     const cropChanged = state.cropArea !== lastRendered.cropArea;
     const gridChanged = state.showGrid !== lastRendered.showGrid;
-
-    // Update overlay ONLY when crop or grid changes
+    // The edited caption or shape box comes and goes with its frame range
+    const annotationBoxChanged =
+      captionsChanged ||
+      shapesChanged ||
+      captionEditChanged ||
+      shapeEditChanged ||
+      (frameChanged && (state.mode === 'caption' || state.mode === 'shape'));
+
+    // Update overlay ONLY when crop, grid or the edited annotation box changes
     // Note: During drag, setupCropInteraction handles overlay updates directly
-    if (cropChanged || gridChanged) {
+    if (cropChanged || gridChanged || annotationBoxChanged) {
       const frame = state.clip?.frames[state.currentFrame];
       if (frame) {
         updateOverlayCanvas(
@@ -399,10 +486,29 @@ export function initEditor() {
           frame.width,
           frame.height,
           state.showGrid,
+          getEditedCaption(state) ?? getEditedShape(state),
         );
       }
     }
 
+    if (frameChanged) {
+      lastRendered.currentFrame = state.currentFrame;
+    }
+
+    if (captionsChanged || captionEditChanged) {
+      updateCaptionsPanel(container, state);
+      lastRendered.captions = state.captions;
+      lastRendered.selectedCaptionId = state.selectedCaptionId;
+    }
+
+    if (shapesChanged || shapeEditChanged) {
+      updateShapesPanel(container, state);
+      lastRendered.shapes = state.shapes;
+      lastRendered.selectedShapeId = state.selectedShapeId;
+      lastRendered.shapeKind = state.shapeKind;
+    }
+    lastRendered.mode = state.mode;
+
     // Update crop info panel when crop changes
     if (cropChanged) {
       // Clean up previous crop info panel event listeners
@@ -427,9 +533,42 @@ export function initEditor() {
       state.selectedRange.start !== lastRendered.selectedRange.start ||
       state.selectedRange.end !== lastRendered.selectedRange.end;
 
-    // Update timeline header info when selection changes
-    if (rangeChanged) {
-      updateTimelineHeader(container, state.selectedRange, state.currentFrame, fps);
+    const cutsChanged = state.cuts !== lastRendered.cuts;
+
+    if (cutsChanged && timelineContainer && state.clip) {
+      updateTimelineCuts(
+        /** @type {HTMLElement} */ (timelineContainer),
+        state.cuts,
+        state.clip.frames.length,
+      );
+    }
+
+    const holdsChanged = state.delayOverrides !== lastRendered.delayOverrides;
+
+    if (holdsChanged && timelineContainer && state.clip) {
+      updateTimelineHolds(
+        /** @type {HTMLElement} */ (timelineContainer),
+        state.delayOverrides,
+        state.clip.frames.length,
+      );
+    }
+
+    // Update timeline header info when selection, cuts or holds change
+    if (rangeChanged || cutsChanged || holdsChanged) {
+      updateTimelineHeader(
+        container,
+        state.selectedRange,
+        state.currentFrame,
+        fps,
+        state.cuts,
+        state.delayOverrides,
+      );
+      lastRendered.cuts = state.cuts;
+    }
+
+    if (frameChanged || holdsChanged) {
+      updateTimelineHold(container, state.currentFrame, state.delayOverrides);
+      lastRendered.delayOverrides = state.delayOverrides;
     }
 
     // Update aspect ratio buttons when selection changes
@@ -455,6 +594,21 @@ export function initEditor() {
       lastRendered.showGrid = state.showGrid;
     }
 
+    if (state.history !== lastRendered.history) {
+      updateHistoryPanel(container, state.history);
+      lastRendered.history = state.history;
+    }
+
+    if (state.realTiming !== lastRendered.realTiming) {
+      const timingBtn = container.querySelector('.btn-real-timing-toggle');
+      if (timingBtn) {
+        timingBtn.classList.toggle('active', state.realTiming);
+        timingBtn.textContent = state.realTiming ? 'On' : 'Off';
+        timingBtn.setAttribute('aria-pressed', String(state.realTiming));
+      }
+      lastRendered.realTiming = state.realTiming;
+    }
+
     // Full rebuild only when the scene list/status actually changes - a
     // rangeChanged-only tick (e.g. every 16ms during a drag) must NOT tear
     // down and recreate the whole scenes sidebar (issue #99, fix 2).
@@ -473,11 +627,19 @@ export function initEditor() {
         onTogglePlay: handleTogglePlay,
         onFrameChange: handleFrameChange,
         onRangeChange: handleRangeChange,
+        onCutsChange: handleCutsChange,
+        onHoldChange: handleHoldChange,
+        onDelayOverridesChange: handleDelayOverridesChange,
         onCropChange: handleCropChange,
         onToggleGrid: handleToggleGrid,
+        onToggleRealTiming: handleToggleRealTiming,
         onAspectRatioChange: handleAspectRatioChange,
         onSpeedChange: handleSpeedChange,
+        onDirectionChange: handleDirectionChange,
         onExport: handleExport,
+        onUndo: handleUndo,
+        onRedo: handleRedo,
+        onHistoryJump: handleHistoryJump,
       });
       lastRendered.sceneDetectionStatus = state.sceneDetectionStatus;
       lastRendered.sceneDetectionProgress = state.sceneDetectionProgress;
@@ -541,11 +703,32 @@ function render(container) {
       onTogglePlay: handleTogglePlay,
       onFrameChange: handleFrameChange,
       onRangeChange: handleRangeChange,
+      onCutsChange: handleCutsChange,
+      onHoldChange: handleHoldChange,
+      onDelayOverridesChange: handleDelayOverridesChange,
       onCropChange: handleCropChange,
+      onToggleCaptionTool: handleToggleCaptionTool,
+      onCaptionAdd: handleCaptionAdd,
+      onCaptionChange: handleCaptionChange,
+      onCaptionSelect: handleCaptionSelect,
+      onCaptionDelete: handleCaptionDelete,
+      onToggleShapeTool: handleToggleShapeTool,
+      onShapeAdd: handleShapeAdd,
+      onShapeChange: handleShapeChange,
+      onShapeSelect: handleShapeSelect,
+      onShapeDelete: handleShapeDelete,
       onToggleGrid: handleToggleGrid,
+      onToggleRealTiming: handleToggleRealTiming,
       onAspectRatioChange: handleAspectRatioChange,
       onSpeedChange: handleSpeedChange,
+      onDirectionChange: handleDirectionChange,
       onExport: handleExport,
+      onUndo: handleUndo,
+      onRedo: handleRedo,
+      onHistoryJump: handleHistoryJump,
+      onSaveFrame: handleSaveFrame,
+      onCopyFrame: handleCopyFrame,
+      onStillFormatChange: handleStillFormatChange,
       onPromoteClip: handlePromoteClip,
       onDeleteClip: handleDeleteClip,
       onDeleteActiveClip: handleDeleteActiveClip,
@@ -613,6 +796,29 @@ function handleTogglePlay() {
   emit('editor:playback', { playing: state.isPlaying, speed: state.playbackSpeed });
 }
 
+/**
+ * Advance playback by one frame, looping within the selected range
+ */
+function advancePlayback() {
+  if (!store) return;
+
+  const currentState = store.getState();
+  if (!currentState.clip) return;
+
+  // Loop within selected range in the chosen direction
+  const { index: nextFrameIndex, step } = getNextPlaybackFrame(
+    currentState.currentFrame,
+    currentState.selectedRange,
+    currentState.playbackDirection,
+    playbackStep,
+    currentState.cuts,
+  );
+  playbackStep = step;
+
+  store.setState((s) => goToFrame(s, nextFrameIndex));
+  emit('editor:frame', { index: nextFrameIndex });
+}
+
 /**
  * Start playback loop
  */
@@ -620,24 +826,50 @@ function startPlayback() {
   if (!store) return;
 
   const state = store.getState();
-  const interval = getPlaybackIntervalMs(getClipFps(state.clip), state.playbackSpeed);
-
-  playbackIntervalId = window.setInterval(() => {
-    if (!store) return;
-
-    const currentState = store.getState();
-    if (!currentState.clip) return;
+  if (state.realTiming || hasDelayOverrides(state.delayOverrides)) {
+    startTimedPlayback();
+    return;
+  }
 
-    let nextFrameIndex = currentState.currentFrame + 1;
+  const interval = getPlaybackIntervalMs(getClipFps(state.clip), state.playbackSpeed);
+  playbackIntervalId = window.setInterval(advancePlayback, interval);
+}
 
-    // Loop within selected range
-    if (nextFrameIndex > currentState.selectedRange.end) {
-      nextFrameIndex = currentState.selectedRange.start;
+/**
+ * Start playback that holds each frame for its captured duration, or for
+ * its hold when one is set.
+ *
+ * Each advance is scheduled against an absolute deadline, so timer
+ * lateness does not accumulate into drift. A deadline far in the past
+ * (e.g. after the tab was hidden) restarts the clock instead of replaying
+ * the missed frames in a burst.
+ */
+function startTimedPlayback() {
+  let deadline = performance.now();
+
+  const scheduleNext = () => {
+    const state = store?.getState();
+    if (!state?.clip) return;
+
+    const fps = getClipFps(state.clip);
+    deadline +=
+      state.delayOverrides[state.currentFrame] ??
+      (state.realTiming
+        ? getFrameDisplayMs(state.clip.frames, state.currentFrame, fps, state.playbackSpeed)
+        : getPlaybackIntervalMs(fps, state.playbackSpeed));
+    const now = performance.now();
+    if (deadline < now - 250) {
+      deadline = now;
     }
 
-    store.setState((s) => goToFrame(s, nextFrameIndex));
-    emit('editor:frame', { index: nextFrameIndex });
-  }, interval);
+    playbackTimeoutId = window.setTimeout(() => {
+      playbackTimeoutId = null;
+      advancePlayback();
+      scheduleNext();
+    }, deadline - now);
+  };
+
+  scheduleNext();
 }
 
 /**
@@ -648,6 +880,10 @@ function stopPlayback() {
     clearInterval(playbackIntervalId);
     playbackIntervalId = null;
   }
+  if (playbackTimeoutId !== null) {
+    clearTimeout(playbackTimeoutId);
+    playbackTimeoutId = null;
+  }
 }
 
 /**
@@ -668,10 +904,49 @@ function handleFrameChange(frameIndex) {
 function handleRangeChange(range) {
   if (!store) return;
 
-  store.setState((state) => updateRange(state, range));
+  store.setState((state) => commitEdit(state, updateRange(state, range), 'Selection'));
   emit('editor:range', { range });
 }
 
+/**
+ * Handle cut list change from the frame grid
+ * @param {import('./types.js').FrameRange[]} cuts
+ */
+function handleCutsChange(cuts) {
+  if (!store) return;
+
+  store.setState((state) => commitEdit(state, setCuts(state, cuts), 'Cut list'));
+  emit('editor:cuts', { cuts: store.getState().cuts });
+}
+
+/**
+ * Handle a hold set on one frame from the timeline
+ * @param {number} frameIndex
+ * @param {number | null} ms - null clears the hold
+ */
+function handleHoldChange(frameIndex, ms) {
+  if (!store) return;
+
+  handleDelayOverridesChange(setFrameHold(store.getState().delayOverrides, frameIndex, ms));
+}
+
+/**
+ * Handle frame holds edited in the frame grid or the timeline
+ * @param {import('./types.js').DelayOverrides} delayOverrides
+ */
+function handleDelayOverridesChange(delayOverrides) {
+  if (!store) return;
+
+  store.setState((state) => commitEdit(state, setDelayOverrides(state, delayOverrides), 'Hold'));
+  emit('editor:holds', { delayOverrides: store.getState().delayOverrides });
+
+  // Playback switches between a fixed interval and per-frame timing
+  if (store.getState().isPlaying) {
+    stopPlayback();
+    startPlayback();
+  }
+}
+
 /**
  * Handle crop change
  * @param {import('./types.js').CropArea | null} crop
@@ -679,10 +954,239 @@ function handleRangeChange(range) {
 function handleCropChange(crop) {
   if (!store) return;
 
-  store.setState((state) => (crop ? updateCrop(state, crop) : clearCrop(state)));
+  store.setState((state) =>
+    crop
+      ? commitEdit(state, updateCrop(state, crop), 'Crop')
+      : commitEdit(state, clearCrop(state), 'Clear crop'),
+  );
   emit('editor:crop', { crop });
 }
 
+/**
+ * Switch preview drags between cropping and placing captions
+ */
+function handleToggleCaptionTool() {
+  if (!store) return;
+
+  store.setState((state) => setMode(state, state.mode === 'caption' ? 'select' : 'caption'));
+}
+
+/**
+ * Add a caption drawn on the preview. It starts on the current frame, runs
+ * to the end of the selection and takes the style of the caption last worked on.
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ */
+function handleCaptionAdd(box) {
+  if (!store) return;
+
+  const { captions, selectedCaptionId, currentFrame, selectedRange } = store.getState();
+  const template =
+    captions.find((caption) => caption.id === selectedCaptionId) ?? captions[captions.length - 1];
+  const caption = createCaption(
+    box,
+    { start: currentFrame, end: Math.max(currentFrame, selectedRange.end) },
+    template,
+  );
+  store.setState((state) =>
+    selectCaption(
+      commitEdit(state, setCaptions(state, [...state.captions, caption]), 'Add caption'),
+      caption.id,
+    ),
+  );
+  emit('editor:captions', { captions: store.getState().captions });
+}
+
+/**
+ * Handle a caption moved, resized or restyled
+ * @param {string} id
+ * @param {Partial<import('./types.js').Caption>} changes
+ */
+function handleCaptionChange(id, changes) {
+  if (!store) return;
+
+  const caption = store.getState().captions.find((c) => c.id === id);
+  if (!caption || Object.entries(changes).every(([key, value]) => caption[key] === value)) return;
+
+  store.setState((state) =>
+    commitEdit(state, setCaptions(state, updateCaption(state.captions, id, changes)), 'Caption'),
+  );
+  emit('editor:captions', { captions: store.getState().captions });
+}
+
+/**
+ * Handle a caption picked for editing
+ * @param {string | null} id
+ */
+function handleCaptionSelect(id) {
+  if (!store) return;
+
+  store.setState((state) => selectCaption(state, id));
+}
+
+/**
+ * Handle a caption deleted
+ * @param {string} id
+ */
+function handleCaptionDelete(id) {
+  if (!store) return;
+
+  store.setState((state) =>
+    commitEdit(state, setCaptions(state, removeCaption(state.captions, id)), 'Delete caption'),
+  );
+  emit('editor:captions', { captions: store.getState().captions });
+}
+
+/**
+ * Switch preview drags between cropping and drawing shapes. Picking another
+ * kind while the tool is on switches to it instead of turning the tool off.
+ * @param {import('./types.js').ShapeKind} [kind]
+ */
+function handleToggleShapeTool(kind) {
+  if (!store) return;
+
+  store.setState((state) => {
+    if (state.mode === 'shape' && (!kind || kind === state.shapeKind)) {
+      return setMode(state, 'select');
+    }
+    return setMode(kind ? setShapeKind(state, kind) : state, 'shape');
+  });
+}
+
+/**
+ * Add a shape drawn on the preview. Like a caption, it starts on the current
+ * frame, runs to the end of the selection and takes the style of the shape
+ * last worked on.
+ * @param {{ x: number, y: number }[]} points - Frame points the drag went through
+ */
+function handleShapeAdd(points) {
+  if (!store) return;
+
+  const { shapes, selectedShapeId, shapeKind, currentFrame, selectedRange } = store.getState();
+  const template =
+    shapes.find((shape) => shape.id === selectedShapeId) ?? shapes[shapes.length - 1];
+  const shape = createShape(
+    shapeKind,
+    points,
+    { start: currentFrame, end: Math.max(currentFrame, selectedRange.end) },
+    template,
+  );
+  store.setState((state) =>
+    selectShape(
+      commitEdit(state, setShapes(state, [...state.shapes, shape]), 'Add shape'),
+      shape.id,
+    ),
+  );
+  emit('editor:shapes', { shapes: store.getState().shapes });
+}
+
+/**
+ * Handle a shape moved, resized or restyled
+ * @param {string} id
+ * @param {Partial<import('./types.js').Shape>} changes
+ */
+function handleShapeChange(id, changes) {
+  if (!store) return;
+
+  const shape = store.getState().shapes.find((s) => s.id === id);
+  if (!shape || Object.entries(changes).every(([key, value]) => shape[key] === value)) return;
+
+  store.setState((state) =>
+    commitEdit(state, setShapes(state, updateShape(state.shapes, id, changes)), 'Shape'),
+  );
+  emit('editor:shapes', { shapes: store.getState().shapes });
+}
+
+/**
+ * Handle a shape picked for editing
+ * @param {string | null} id
+ */
+function handleShapeSelect(id) {
+  if (!store) return;
+
+  store.setState((state) => selectShape(state, id));
+}
+
+/**
+ * Handle a shape deleted
+ * @param {string} id
+ */
+function handleShapeDelete(id) {
+  if (!store) return;
+
+  store.setState((state) =>
+    commitEdit(state, setShapes(state, removeShape(state.shapes, id)), 'Delete shape'),
+  );
+  emit('editor:shapes', { shapes: store.getState().shapes });
+}
+
+/**
+ * Move through the edit history
+ * @param {number} steps - Negative to undo, positive to redo
+ */
+function handleHistoryJump(steps) {
+  if (!store) return;
+
+  const before = store.getState();
+  store.setState((state) => stepHistory(state, steps));
+  const after = store.getState();
+  if (after === before) return;
+
+  emit('editor:history', { past: after.history.past.length, future: after.history.future.length });
+  if (after.cropArea !== before.cropArea) {
+    emit('editor:crop', { crop: after.cropArea });
+  }
+  if (after.selectedRange !== before.selectedRange) {
+    emit('editor:range', { range: after.selectedRange });
+  }
+  if (after.delayOverrides !== before.delayOverrides && after.isPlaying) {
+    stopPlayback();
+    startPlayback();
+  }
+}
+
+/**
+ * Undo the last edit
+ */
+function handleUndo() {
+  handleHistoryJump(-1);
+}
+
+/**
+ * Redo the last undone edit
+ */
+function handleRedo() {
+  handleHistoryJump(1);
+}
+
+/**
+ * Handle playback direction change
+ * @param {import('../export/types.js').PlaybackDirection} direction
+ */
+function handleDirectionChange(direction) {
+  if (!store) return;
+
+  playbackStep = direction === 'reverse' ? -1 : 1;
+  store.setState((state) => setPlaybackDirection(state, direction));
+  updateSetting('export', 'playbackDirection', direction);
+}
+
+/**
+ * Handle real timing toggle
+ */
+function handleToggleRealTiming() {
+  if (!store) return;
+
+  const realTiming = !store.getState().realTiming;
+  store.setState((state) => setRealTiming(state, realTiming));
+  updateSetting('export', 'realTiming', realTiming);
+
+  // Restart playback if playing
+  if (store.getState().isPlaying) {
+    stopPlayback();
+    startPlayback();
+  }
+}
+
 /**
  * Handle grid toggle
  */
@@ -710,7 +1214,7 @@ function handleAspectRatioChange(ratio) {
       newState = updateCrop(newState, centered);
     }
 
-    return newState;
+    return commitEdit(state, newState, 'Aspect ratio');
   });
 
   // Emit event after state update completes
@@ -751,6 +1255,11 @@ function handleExport() {
   const state = store.getState();
   if (!state.clip) return;
 
+  if (countKeptFrames(state.selectedRange, state.cuts) === 0) {
+    showToast('Every selected frame is cut');
+    return;
+  }
+
   // Store editor settings (NOT frames) for Export
   // Export will read frames from clipPayload using selectedRange
   setEditorPayload({
@@ -758,9 +1267,14 @@ function handleExport() {
     cropArea: state.cropArea,
     clip: state.clip, // For returning to Editor with preserved state
     fps: state.clip.fps,
+    scenes: state.scenes,
+    cuts: state.cuts,
+    delayOverrides: state.delayOverrides,
+    captions: state.captions,
+    shapes: state.shapes,
   });
 
-  const selectedCount = state.selectedRange.end - state.selectedRange.start + 1;
+  const selectedCount = countKeptFrames(state.selectedRange, state.cuts);
 
   emit('editor:export-ready', {
     frameCount: selectedCount,
@@ -768,6 +1282,68 @@ function handleExport() {
   });
 }
 
+// ============================================================
+// Frame Stills
+// ============================================================
+
+/**
+ * The frame under the playhead, the crop applied to it and its captions and shapes
+ * @returns {{ frame: import('../capture/types.js').Frame, index: number, crop: import('./types.js').CropArea | null, annotations: import('./types.js').Annotation[] } | null}
+ */
+function getStillSource() {
+  const state = store?.getState();
+  const frame = state?.clip?.frames[state.currentFrame];
+  if (!state || !frame) return null;
+  return {
+    frame,
+    index: state.currentFrame,
+    crop: state.cropArea,
+    annotations: getAnnotationsAt(state.captions, state.shapes, state.currentFrame),
+  };
+}
+
+/**
+ * Save the frame under the playhead in the chosen still format
+ */
+async function handleSaveFrame() {
+  const source = getStillSource();
+  if (!source) return;
+
+  const format = loadSettings().export.stillFormat ?? 'png';
+  try {
+    const blob = await encodeFrameStill(source.frame, source.crop, format, source.annotations);
+    downloadBlob(blob, getStillFileName(source.index, format));
+    announce(`Frame ${source.index + 1} saved`);
+  } catch (error) {
+    showToast(error instanceof Error ? error.message : 'Could not save the frame');
+  }
+}
+
+/**
+ * Copy the frame under the playhead to the clipboard as PNG, the one
+ * image type every clipboard accepts
+ */
+async function handleCopyFrame() {
+  const source = getStillSource();
+  if (!source) return;
+
+  try {
+    const blob = await encodeFrameStill(source.frame, source.crop, 'png', source.annotations);
+    const copied = await copyToClipboard(blob);
+    showToast(copied ? `Frame ${source.index + 1} copied` : 'Could not copy the frame');
+  } catch (error) {
+    showToast(error instanceof Error ? error.message : 'Could not copy the frame');
+  }
+}
+
+/**
+ * Remember the still format for later saves
+ * @param {import('./types.js').StillFormat} format
+ */
+function handleStillFormatChange(format) {
+  updateSetting('export', 'stillFormat', format);
+}
+
 // ============================================================
 // Clip Queue (#95)
 // ============================================================
@@ -793,12 +1369,30 @@ function restoreSavedEditorState(saved, frameCount) {
     if (saved.cropArea) {
       newState = updateCrop(newState, saved.cropArea);
     }
+    if (saved.selectedAspectRatio) {
+      newState = setSelectedAspectRatio(newState, saved.selectedAspectRatio);
+    }
+    if (Array.isArray(saved.cuts)) {
+      newState = setCuts(newState, saved.cuts);
+    }
+    if (saved.delayOverrides) {
+      newState = setDelayOverrides(newState, saved.delayOverrides);
+    }
+    if (Array.isArray(saved.captions)) {
+      newState = setCaptions(newState, saved.captions);
+    }
+    if (Array.isArray(saved.shapes)) {
+      newState = setShapes(newState, saved.shapes);
+    }
     if (typeof saved.playbackSpeed === 'number') {
       newState = setPlaybackSpeed(newState, saved.playbackSpeed);
     }
     if (typeof saved.currentFrame === 'number') {
       newState = goToFrame(newState, saved.currentFrame);
     }
+    if (saved.history) {
+      newState = setHistory(newState, saved.history);
+    }
     return newState;
   });
 }
@@ -856,6 +1450,12 @@ function swapPromotedClip(id) {
   const result = promoteQueuedClip(id, {
     selectedRange: state.selectedRange,
     cropArea: state.cropArea,
+    selectedAspectRatio: state.selectedAspectRatio,
+    cuts: state.cuts,
+    delayOverrides: state.delayOverrides,
+    captions: state.captions,
+    shapes: state.shapes,
+    history: state.history,
     playbackSpeed: state.playbackSpeed,
     currentFrame: state.currentFrame,
     scenes: state.scenes,
@@ -5,7 +5,16 @@
 
 import { createStore } from '../../shared/store.js';
 import { clamp } from '../../shared/utils/math.js';
-import { clampCropArea, createClip, setFrameRange } from './core.js';
+import {
+  clampCropArea,
+  createClip,
+  normalizeCaptions,
+  normalizeCuts,
+  normalizeDelayOverrides,
+  normalizeShapes,
+  setFrameRange,
+} from './core.js';
+import { createHistory, recordEdit, takeSnapshot, travelHistory } from './history.js';
 
 /**
  * Initialize editor state with clip
@@ -18,15 +27,25 @@ export function initEditorState(clip) {
     currentFrame: clip.selectedRange.start,
     selectedRange: clip.selectedRange,
     cropArea: clip.cropArea,
+    cuts: clip.cuts ?? [],
+    delayOverrides: clip.delayOverrides ?? {},
+    captions: clip.captions ?? [],
+    selectedCaptionId: null,
+    shapes: clip.shapes ?? [],
+    selectedShapeId: null,
+    shapeKind: 'arrow',
     selectedAspectRatio: clip.cropArea?.aspectRatio ?? 'free',
     isPlaying: true,
     playbackSpeed: 1,
+    realTiming: false,
+    playbackDirection: 'forward',
     mode: 'select',
     showGrid: false,
     scenes: [],
     sceneDetectionStatus: 'idle',
     sceneDetectionProgress: 0,
     sceneDetectionError: null,
+    history: createHistory(),
   };
 }
 
@@ -177,6 +196,195 @@ export function clearCrop(state) {
   return updateCrop(state, null);
 }
 
+/**
+ * Replace the cut list; the frames themselves are left alone
+ * @param {import('./types.js').EditorState} state
+ * @param {import('./types.js').FrameRange[]} cuts
+ * @returns {import('./types.js').EditorState}
+ */
+export function setCuts(state, cuts) {
+  if (!state.clip) return state;
+
+  const normalized = normalizeCuts(cuts, state.clip.frames.length);
+  return {
+    ...state,
+    cuts: normalized,
+    clip: {
+      ...state.clip,
+      cuts: normalized,
+    },
+  };
+}
+
+/**
+ * Replace the frame holds
+ * @param {import('./types.js').EditorState} state
+ * @param {import('./types.js').DelayOverrides} delayOverrides
+ * @returns {import('./types.js').EditorState}
+ */
+export function setDelayOverrides(state, delayOverrides) {
+  if (!state.clip) return state;
+
+  const normalized = normalizeDelayOverrides(delayOverrides, state.clip.frames.length);
+  return {
+    ...state,
+    delayOverrides: normalized,
+    clip: {
+      ...state.clip,
+      delayOverrides: normalized,
+    },
+  };
+}
+
+/**
+ * Replace the captions. The selection is dropped when its caption is gone.
+ * @param {import('./types.js').EditorState} state
+ * @param {import('./types.js').Caption[]} captions
+ * @returns {import('./types.js').EditorState}
+ */
+export function setCaptions(state, captions) {
+  if (!state.clip) return state;
+
+  const normalized = normalizeCaptions(captions, state.clip.frames.length);
+  const selectedCaptionId = normalized.some((caption) => caption.id === state.selectedCaptionId)
+    ? state.selectedCaptionId
+    : null;
+  return {
+    ...state,
+    captions: normalized,
+    selectedCaptionId,
+    clip: {
+      ...state.clip,
+      captions: normalized,
+    },
+  };
+}
+
+/**
+ * Choose the caption being edited
+ * @param {import('./types.js').EditorState} state
+ * @param {string | null} id - null selects none
+ * @returns {import('./types.js').EditorState}
+ */
+export function selectCaption(state, id) {
+  const selectedCaptionId = state.captions.some((caption) => caption.id === id) ? id : null;
+  if (selectedCaptionId === state.selectedCaptionId) return state;
+
+  return {
+    ...state,
+    selectedCaptionId,
+  };
+}
+
+/**
+ * Caption outlined on the preview for editing: the selected one, while the
+ * text tool is on and the caption shows on the current frame
+ * @param {import('./types.js').EditorState} state
+ * @returns {import('./types.js').Caption | null}
+ */
+export function getEditedCaption(state) {
+  if (state.mode !== 'caption') return null;
+  const caption = state.captions.find((c) => c.id === state.selectedCaptionId);
+  if (!caption || state.currentFrame < caption.start || state.currentFrame > caption.end) {
+    return null;
+  }
+  return caption;
+}
+
+/**
+ * Replace the shapes. The selection is dropped when its shape is gone.
+ * @param {import('./types.js').EditorState} state
+ * @param {import('./types.js').Shape[]} shapes
+ * @returns {import('./types.js').EditorState}
+ */
+export function setShapes(state, shapes) {
+  if (!state.clip) return state;
+
+  const normalized = normalizeShapes(shapes, state.clip.frames.length);
+  const selectedShapeId = normalized.some((shape) => shape.id === state.selectedShapeId)
+    ? state.selectedShapeId
+    : null;
+  return {
+    ...state,
+    shapes: normalized,
+    selectedShapeId,
+    clip: {
+      ...state.clip,
+      shapes: normalized,
+    },
+  };
+}
+
+/**
+ * Choose the shape being edited
+ * @param {import('./types.js').EditorState} state
+ * @param {string | null} id - null selects none
+ * @returns {import('./types.js').EditorState}
+ */
+export function selectShape(state, id) {
+  const selectedShapeId = state.shapes.some((shape) => shape.id === id) ? id : null;
+  if (selectedShapeId === state.selectedShapeId) return state;
+
+  return {
+    ...state,
+    selectedShapeId,
+  };
+}
+
+/**
+ * Set the kind of shape the shape tool draws
+ * @param {import('./types.js').EditorState} state
+ * @param {import('./types.js').ShapeKind} shapeKind
+ * @returns {import('./types.js').EditorState}
+ */
+export function setShapeKind(state, shapeKind) {
+  return {
+    ...state,
+    shapeKind,
+  };
+}
+
+/**
+ * Shape outlined on the preview for editing: the selected one, while the
+ * shape tool is on and the shape shows on the current frame
+ * @param {import('./types.js').EditorState} state
+ * @returns {import('./types.js').Shape | null}
+ */
+export function getEditedShape(state) {
+  if (state.mode !== 'shape') return null;
+  const shape = state.shapes.find((s) => s.id === state.selectedShapeId);
+  if (!shape || state.currentFrame < shape.start || state.currentFrame > shape.end) {
+    return null;
+  }
+  return shape;
+}
+
+/**
+ * Set whether playback follows capture timestamps
+ * @param {import('./types.js').EditorState} state
+ * @param {boolean} realTiming
+ * @returns {import('./types.js').EditorState}
+ */
+export function setRealTiming(state, realTiming) {
+  return {
+    ...state,
+    realTiming,
+  };
+}
+
+/**
+ * Set the order frames play in
+ * @param {import('./types.js').EditorState} state
+ * @param {import('../export/types.js').PlaybackDirection} playbackDirection
+ * @returns {import('./types.js').EditorState}
+ */
+export function setPlaybackDirection(state, playbackDirection) {
+  return {
+    ...state,
+    playbackDirection,
+  };
+}
+
 /**
  * Toggle grid visibility
  * @param {import('./types.js').EditorState} state
@@ -291,6 +499,87 @@ export function resetSceneDetection(state) {
   };
 }
 
+// ============================================================
+// Edit History
+// ============================================================
+
+/**
+ * Apply an edit and record it in the history
+ * @param {import('./types.js').EditorState} state - State before the edit
+ * @param {import('./types.js').EditorState} next - State the edit produced
+ * @param {string} label - Kind of edit, shown in the history list
+ * @param {number} [now] - Milliseconds, for coalescing drags
+ * @returns {import('./types.js').EditorState}
+ */
+export function commitEdit(state, next, label, now = Date.now()) {
+  if (next === state) return state;
+
+  const history = recordEdit(state.history, takeSnapshot(state), takeSnapshot(next), label, now);
+  return history === state.history ? next : { ...next, history };
+}
+
+/**
+ * Put a snapshot back on screen
+ * @param {import('./types.js').EditorState} state
+ * @param {import('./types.js').EditSnapshot} snapshot
+ * @returns {import('./types.js').EditorState}
+ */
+function applySnapshot(state, snapshot) {
+  let next = updateRange(state, snapshot.selectedRange);
+  next = setSelectedAspectRatio(next, snapshot.selectedAspectRatio);
+  next = updateCrop(next, snapshot.cropArea);
+  next = setCuts(next, snapshot.cuts);
+  next = setDelayOverrides(next, snapshot.delayOverrides);
+  next = setCaptions(next, snapshot.captions);
+  return setShapes(next, snapshot.shapes);
+}
+
+/**
+ * Undo or redo edits
+ * @param {import('./types.js').EditorState} state
+ * @param {number} steps - Negative to undo, positive to redo
+ * @returns {import('./types.js').EditorState}
+ */
+export function stepHistory(state, steps) {
+  if (!state.clip) return state;
+
+  const result = travelHistory(state.history, takeSnapshot(state), steps);
+  if (!result) return state;
+
+  return { ...applySnapshot(state, result.snapshot), history: result.history };
+}
+
+/**
+ * Undo the last edit
+ * @param {import('./types.js').EditorState} state
+ * @returns {import('./types.js').EditorState}
+ */
+export function undoEdit(state) {
+  return stepHistory(state, -1);
+}
+
+/**
+ * Redo the last undone edit
+ * @param {import('./types.js').EditorState} state
+ * @returns {import('./types.js').EditorState}
+ */
+export function redoEdit(state) {
+  return stepHistory(state, 1);
+}
+
+/**
+ * Replace the history, e.g. with one saved when the clip was queued
+ * @param {import('./types.js').EditorState} state
+ * @param {import('./types.js').EditHistory} history
+ * @returns {import('./types.js').EditorState}
+ */
+export function setHistory(state, history) {
+  return {
+    ...state,
+    history,
+  };
+}
+
 // ============================================================
 // Store Creation
 // ============================================================
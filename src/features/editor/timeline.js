@@ -10,7 +10,7 @@ import { clamp } from '../../shared/utils/math.js';
 import { getThumbnailSizes } from '../../shared/utils/quality-settings.js';
 import { getThumbnailCache } from '../../shared/utils/thumbnail-cache.js';
 import { createThumbnailCanvas } from './api.js';
-import { getClipFps } from './core.js';
+import { formatHold, getClipFps } from './core.js';
 import {
   DEFAULT_THUMBNAIL_COUNT,
   frameToPercent,
@@ -29,6 +29,14 @@ const MAX_THUMBNAILS = DEFAULT_THUMBNAIL_COUNT;
 /** Minimum selection width in frames */
 const MIN_SELECTION_FRAMES = 2;
 
+/**
+ * Range each rendered timeline drags from, by container. Ranges set from
+ * outside (undo, scene jumps, the frame grid) must reach it, or the next
+ * handle drag would start from the old range.
+ * @type {WeakMap<HTMLElement, (range: import('./types.js').FrameRange) => void>}
+ */
+const rangeSyncs = new WeakMap();
+
 /**
  * Render timeline component
  * @param {HTMLElement} container
@@ -90,6 +98,11 @@ export function renderTimeline(container, clip, currentFrame, selectedRange, han
 
     ruler.appendChild(tick);
   }
+
+  // Held frames, with how long each stays on screen
+  const holdsLayer = createElement('div', { className: 'tl-holds-layer' });
+  renderHolds(holdsLayer, clip.delayOverrides ?? {}, totalFrames);
+  ruler.appendChild(holdsLayer);
   timeline.appendChild(ruler);
 
   // ═══════════════════════════════════════════════════════════
@@ -138,6 +151,11 @@ export function renderTimeline(container, clip, currentFrame, selectedRange, han
   }
   track.appendChild(filmstrip);
 
+  // Cut ranges, struck out over the filmstrip
+  const cutsLayer = createElement('div', { className: 'tl-cuts-layer' });
+  renderCuts(cutsLayer, clip.cuts ?? [], totalFrames);
+  track.appendChild(cutsLayer);
+
   // ═══════════════════════════════════════════════════════════
   // LAYER 3: Selection Range with Handles
   // ═══════════════════════════════════════════════════════════
@@ -474,7 +492,15 @@ export function renderTimeline(container, clip, currentFrame, selectedRange, han
   container.innerHTML = '';
   container.appendChild(timeline);
 
+  const syncRange = (range) => {
+    state.range = { ...range };
+  };
+  rangeSyncs.set(container, syncRange);
+
   return () => {
+    if (rangeSyncs.get(container) === syncRange) {
+      rangeSyncs.delete(container);
+    }
     cleanups.forEach((fn) => {
       fn();
     });
@@ -514,6 +540,8 @@ function updateSelectionPositions(dimLeft, dimRight, selectionBox, range, totalF
  * Update timeline selection range (external API)
  */
 export function updateTimelineRange(container, range, totalFrames) {
+  rangeSyncs.get(container)?.(range);
+
   const dimLeft = container.querySelector('.tl-dim--left');
   const dimRight = container.querySelector('.tl-dim--right');
   const selectionBox = container.querySelector('.tl-selection');
@@ -529,6 +557,77 @@ export function updateTimelineRange(container, range, totalFrames) {
   }
 }
 
+/**
+ * Fill the cuts layer with one struck-out block per cut
+ * @param {HTMLElement} layer
+ * @param {import('./types.js').FrameRange[]} cuts
+ * @param {number} totalFrames
+ */
+function renderCuts(layer, cuts, totalFrames) {
+  layer.replaceChildren(
+    ...cuts.map((cut) => {
+      const left = frameToPercent(cut.start, totalFrames);
+      const right = frameToPercent(cut.end, totalFrames);
+      const count = cut.end - cut.start + 1;
+      return createElement('div', {
+        className: 'tl-cut',
+        style: `left: ${left}%; width: ${right - left}%`,
+        title: `Cut: ${count} frame${count !== 1 ? 's' : ''}`,
+      });
+    }),
+  );
+}
+
+/**
+ * Update the struck-out cut ranges (external API)
+ * @param {HTMLElement} container - Timeline container element
+ * @param {import('./types.js').FrameRange[]} cuts - Excluded ranges
+ * @param {number} totalFrames - Total number of frames
+ */
+export function updateTimelineCuts(container, cuts, totalFrames) {
+  const layer = container.querySelector('.tl-cuts-layer');
+  if (!layer) return;
+
+  renderCuts(/** @type {HTMLElement} */ (layer), cuts, totalFrames);
+}
+
+/**
+ * Fill the holds layer with one marker per held frame
+ * @param {HTMLElement} layer
+ * @param {import('./types.js').DelayOverrides} delayOverrides
+ * @param {number} totalFrames
+ */
+function renderHolds(layer, delayOverrides, totalFrames) {
+  layer.replaceChildren(
+    ...Object.entries(delayOverrides).map(([key, ms]) => {
+      const frameIndex = Number(key);
+      return createElement(
+        'div',
+        {
+          className: 'tl-hold',
+          style: `left: ${frameToPercent(frameIndex, totalFrames)}%`,
+          title: `Frame ${frameIndex + 1} held for ${formatHold(ms)}`,
+          'data-frame': String(frameIndex),
+        },
+        [createElement('span', { className: 'tl-hold-label' }, [formatHold(ms)])],
+      );
+    }),
+  );
+}
+
+/**
+ * Update the held-frame markers (external API)
+ * @param {HTMLElement} container - Timeline container element
+ * @param {import('./types.js').DelayOverrides} delayOverrides - Holds by frame index
+ * @param {number} totalFrames - Total number of frames
+ */
+export function updateTimelineHolds(container, delayOverrides, totalFrames) {
+  const layer = container.querySelector('.tl-holds-layer');
+  if (!layer) return;
+
+  renderHolds(/** @type {HTMLElement} */ (layer), delayOverrides, totalFrames);
+}
+
 /**
  * Update playhead position (external API)
  * @param {HTMLElement} container - Timeline container element
@@ -25,6 +25,59 @@
  * @property {AspectRatio} aspectRatio - Constraint
  */
 
+/**
+ * Display times that replace the captured delay of single frames
+ * @typedef {Object<number, number>} DelayOverrides - Milliseconds by clip frame index
+ */
+
+/**
+ * Timed text box burned into the exported frames
+ * @typedef {Object} Caption
+ * @property {string} id - Unique identifier
+ * @property {string} text - Lines are wrapped to the box width; empty captions are not drawn
+ * @property {number} x - Left of the box in frame pixels
+ * @property {number} y - Top of the box in frame pixels
+ * @property {number} width - Box width in frame pixels
+ * @property {number} height - Box height in frame pixels
+ * @property {number} start - First clip frame showing the caption (inclusive)
+ * @property {number} end - Last clip frame showing the caption (inclusive)
+ * @property {string} font - CSS font family
+ * @property {number} fontSize - Font size in frame pixels
+ * @property {string} color - Text color, #rrggbb
+ * @property {string|null} background - Color of the pill behind the text; null for none
+ * @property {string|null} outline - Color of the text outline; null for none
+ */
+
+/**
+ * Kind of shape annotation. A spotlight dims everything outside its box.
+ * @typedef {'arrow'|'rect'|'ellipse'|'pen'|'spotlight'} ShapeKind
+ */
+
+/**
+ * Timed vector shape burned into the exported frames
+ * @typedef {Object} Shape
+ * @property {string} id - Unique identifier
+ * @property {ShapeKind} kind
+ * @property {number} x - Left of the bounding box in frame pixels
+ * @property {number} y - Top of the bounding box in frame pixels
+ * @property {number} width - Box width in frame pixels
+ * @property {number} height - Box height in frame pixels
+ * @property {{ x: number, y: number }[]} points - Arrow tail and head, or the pen stroke, as
+ *   fractions of the box so they follow it when moved or resized; empty for the other kinds
+ * @property {number} start - First clip frame showing the shape (inclusive)
+ * @property {number} end - Last clip frame showing the shape (inclusive)
+ * @property {string} color - Stroke color, #rrggbb; spotlights always dim to black
+ * @property {number} strokeWidth - Line width in frame pixels
+ * @property {number} fadeIn - Frames the shape takes to appear; 0 shows it at once
+ * @property {number} fadeOut - Frames the shape takes to disappear; 0 hides it at once
+ */
+
+/**
+ * Something drawn over one frame: a caption, or a shape at the opacity its
+ * fade gives it there
+ * @typedef {{ type: 'caption', caption: Caption } | { type: 'shape', shape: Shape, opacity: number }} Annotation
+ */
+
 /**
  * A clip being edited
  * @typedef {Object} Clip
@@ -32,13 +85,22 @@
  * @property {import('../capture/types.js').Frame[]} frames - Copied frames from buffer
  * @property {FrameRange} selectedRange - Start/end selection
  * @property {CropArea|null} cropArea - Optional crop region
+ * @property {FrameRange[]} [cuts] - Excluded ranges, sorted and not overlapping
+ * @property {DelayOverrides} [delayOverrides] - Held frames
+ * @property {Caption[]} [captions] - Text drawn over the frames, bottom first
+ * @property {Shape[]} [shapes] - Shapes drawn under the captions, bottom first
  * @property {number} createdAt - Creation timestamp
  * @property {number} fps - Source FPS (default: 30)
  */
 
+/**
+ * Image format of a single-frame still export
+ * @typedef {'png'|'jpeg'|'webp'} StillFormat
+ */
+
 /**
  * Editor interaction mode
- * @typedef {'select'|'crop'|'preview'} EditorMode
+ * @typedef {'select'|'crop'|'preview'|'caption'|'shape'} EditorMode
  */
 
 /**
@@ -85,6 +147,34 @@
  * @typedef {'idle' | 'detecting' | 'completed' | 'error'} SceneDetectionStatus
  */
 
+/**
+ * The undoable part of the editor state
+ * @typedef {Object} EditSnapshot
+ * @property {FrameRange} selectedRange
+ * @property {CropArea|null} cropArea
+ * @property {AspectRatio} selectedAspectRatio
+ * @property {FrameRange[]} cuts
+ * @property {DelayOverrides} delayOverrides
+ * @property {Caption[]} captions
+ * @property {Shape[]} shapes
+ */
+
+/**
+ * One step of the edit history
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Kind of edit, e.g. "Selection" or "Crop"
+ * @property {EditSnapshot} snapshot - In the undo list: the state before the edit.
+ *   In the redo list: the state after it.
+ * @property {number} time - When the edit was last extended, in milliseconds
+ */
+
+/**
+ * Undo and redo steps, oldest first and next first
+ * @typedef {Object} EditHistory
+ * @property {HistoryEntry[]} past - Steps that can be undone
+ * @property {HistoryEntry[]} future - Steps that can be redone
+ */
+
 /**
  * Editor feature state
  * @typedef {Object} EditorState
@@ -92,15 +182,27 @@
  * @property {number} currentFrame - Currently displayed frame index
  * @property {FrameRange} selectedRange - Selected frame range
  * @property {CropArea|null} cropArea - Active crop selection
+ * @property {FrameRange[]} cuts - Excluded ranges; frames stay in the clip but are skipped
+ * @property {DelayOverrides} delayOverrides - Frames held on screen for a set time
+ * @property {Caption[]} captions - Text drawn over the frames, bottom first
+ * @property {string|null} selectedCaptionId - Caption being edited
+ * @property {Shape[]} shapes - Shapes drawn under the captions, bottom first
+ * @property {string|null} selectedShapeId - Shape being edited
+ * @property {ShapeKind} shapeKind - Kind of shape the shape tool draws
  * @property {AspectRatio} selectedAspectRatio - Currently selected aspect ratio (independent of cropArea)
  * @property {boolean} isPlaying - Playback in progress
  * @property {number} playbackSpeed - Current playback speed
- * @property {EditorMode} mode - Current interaction mode
+ * @property {boolean} realTiming - Playback follows capture timestamps instead of the nominal FPS
+ * @property {import('../export/types.js').PlaybackDirection} playbackDirection - Forward, reverse
+ *   or ping-pong looping of the selected range
+ * @property {EditorMode} mode - Current interaction mode; 'caption' and 'shape' make preview
+ *   drags place text or shapes
  * @property {boolean} showGrid - Grid overlay enabled
  * @property {import('../scene-detection/types.js').Scene[]} scenes - Detected scenes
  * @property {SceneDetectionStatus} sceneDetectionStatus - Scene detection progress status
  * @property {number} sceneDetectionProgress - Detection progress percentage (0-100)
  * @property {string|null} sceneDetectionError - Error message if detection failed
+ * @property {EditHistory} history - Undo/redo steps of the edits above
  */
 
 /**
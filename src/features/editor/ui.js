@@ -13,11 +13,13 @@ import {
 import { getOrderedClipRows, renderClipEntries } from '../../shared/clip-entries.js';
 import { navigate } from '../../shared/router.js';
 import { loadSettings } from '../../shared/user-settings.js';
+import { drawAnnotation } from '../../shared/utils/canvas.js';
 import { createElement, on } from '../../shared/utils/dom.js';
 import { frameToTimecode } from '../../shared/utils/format.js';
 import { formatMemory } from '../../shared/utils/memory-monitor.js';
 import { updateStepIndicator } from '../../shared/utils/step-indicator.js';
 import { getThumbnailCache } from '../../shared/utils/thumbnail-cache.js';
+import { PLAYBACK_DIRECTIONS } from '../export/core.js';
 import {
   createThumbnailCanvas,
   getCursorForHandle,
@@ -28,24 +30,68 @@ import {
 import {
   calculateCropFromDrag,
   calculateSelectionInfo,
+  createShape,
   detectBoundaryHit,
+  dragAnnotationBox,
+  findCaptionAt,
+  findShapeAt,
+  getAnnotationsAt,
   getOutputDimensions,
   getPositionInSelection,
+  HANDLE_HIT_ZONE,
+  MAX_CAPTION_FONT_SIZE,
+  MAX_HOLD_MS,
+  MAX_SHAPE_FADE,
+  MAX_SHAPE_STROKE,
+  MIN_CAPTION_FONT_SIZE,
+  MIN_SHAPE_STROKE,
   moveCrop,
   resizeCropByHandle,
+  SHAPE_KINDS,
 } from './core.js';
 import { renderFrameGridModal } from './frame-grid.js';
+import { getEditedCaption, getEditedShape } from './state.js';
 
 /**
  * @typedef {Object} EditorUIHandlers
  * @property {() => void} onTogglePlay - Toggle playback
  * @property {(frame: number) => void} onFrameChange - Frame changed
  * @property {(range: import('./types.js').FrameRange) => void} onRangeChange - Range changed
+ * @property {(cuts: import('./types.js').FrameRange[]) => void} [onCutsChange] - Cut list edited
+ * @property {(frameIndex: number, ms: number | null) => void} [onHoldChange] - Hold of one frame
+ *   set; null clears it
+ * @property {(overrides: import('./types.js').DelayOverrides) => void} [onDelayOverridesChange] -
+ *   Frame holds edited in the frame grid
  * @property {(crop: import('./types.js').CropArea | null) => void} onCropChange - Crop changed
+ * @property {() => void} [onToggleCaptionTool] - Switch preview drags between crop and captions
+ * @property {(box: { x: number, y: number, width: number, height: number }) => void} [onCaptionAdd] -
+ *   Caption box drawn on the preview
+ * @property {(id: string, changes: Partial<import('./types.js').Caption>) => void} [onCaptionChange] -
+ *   Caption moved, resized or restyled
+ * @property {(id: string | null) => void} [onCaptionSelect] - Caption picked for editing
+ * @property {(id: string) => void} [onCaptionDelete] - Caption removed
+ * @property {(kind?: import('./types.js').ShapeKind) => void} [onToggleShapeTool] - Switch
+ *   preview drags between crop and shapes; a kind other than the current one switches to it
+ * @property {(points: { x: number, y: number }[]) => void} [onShapeAdd] - Shape drawn on the
+ *   preview through these frame points
+ * @property {(id: string, changes: Partial<import('./types.js').Shape>) => void} [onShapeChange] -
+ *   Shape moved, resized or restyled
+ * @property {(id: string | null) => void} [onShapeSelect] - Shape picked for editing
+ * @property {(id: string) => void} [onShapeDelete] - Shape removed
  * @property {() => void} onToggleGrid - Toggle grid
+ * @property {() => void} [onToggleRealTiming] - Toggle playback by capture timestamps
  * @property {(ratio: string) => void} onAspectRatioChange - Aspect ratio changed
  * @property {(speed: number) => void} onSpeedChange - Speed changed
+ * @property {(direction: import('../export/types.js').PlaybackDirection) => void} [onDirectionChange] - Playback direction changed
  * @property {() => void} onExport - Export clicked
+ * @property {() => void} [onUndo] - Undo the last edit
+ * @property {() => void} [onRedo] - Redo the last undone edit
+ * @property {(steps: number) => void} [onHistoryJump] - Move several steps through the
+ *   history; negative undoes
+ * @property {() => void} [onSaveFrame] - Save the frame under the playhead as a still image
+ * @property {() => void} [onCopyFrame] - Copy the frame under the playhead to the clipboard
+ * @property {(format: import('./types.js').StillFormat) => void} [onStillFormatChange] - Still
+ *   image format changed
  * @property {(id: string) => void} [onPromoteClip] - Queue clip entry clicked (promote to active)
  * @property {(id: string) => void} [onDeleteClip] - Queue clip delete clicked
  * @property {() => void} [onDeleteActiveClip] - Active clip delete confirmed (#100 round 4)
@@ -59,6 +105,24 @@ const ASPECT_RATIOS = ['free', '1:1', '16:9', '4:3', '9:16'];
 /** @type {number[]} */
 const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 1.5, 2];
 
+/** Frame pixels the pointer must travel before a drag draws a caption or shape */
+const MIN_ANNOTATION_DRAG = 4;
+
+/** Font families offered for captions */
+const CAPTION_FONT_OPTIONS = [
+  { value: 'system-ui, sans-serif', label: 'Sans' },
+  { value: 'Georgia, serif', label: 'Serif' },
+  { value: 'ui-monospace, monospace', label: 'Mono' },
+  { value: "'Comic Sans MS', 'Comic Neue', cursive", label: 'Hand' },
+];
+
+/** @type {ReadonlyArray<{ value: import('./types.js').StillFormat, label: string }>} */
+const STILL_FORMAT_OPTIONS = [
+  { value: 'png', label: 'PNG' },
+  { value: 'jpeg', label: 'JPEG' },
+  { value: 'webp', label: 'WebP' },
+];
+
 /**
  * Render the editor screen
  * @param {HTMLElement} container
@@ -214,8 +278,34 @@ export function renderEditorScreen(container, state, handlers, fps) {
   ]);
   playbackControls.appendChild(timeDisplay);
 
-  // Toolbar right - Export button
+  // Toolbar right - Frame still and Export buttons
   const toolbarRight = createElement('div', { className: 'editor-toolbar-right' });
+  const saveFrameBtn = createElement(
+    'button',
+    {
+      className: 'btn btn-ghost btn-save-frame',
+      type: 'button',
+      'aria-label': 'Save current frame as an image',
+      title: 'Save frame (S)',
+    },
+    ['Save Frame'],
+  );
+  cleanups.push(on(saveFrameBtn, 'click', () => handlers.onSaveFrame?.()));
+  toolbarRight.appendChild(saveFrameBtn);
+
+  const copyFrameBtn = createElement(
+    'button',
+    {
+      className: 'btn btn-ghost btn-copy-frame',
+      type: 'button',
+      'aria-label': 'Copy current frame to the clipboard',
+      title: 'Copy frame (Ctrl+C)',
+    },
+    ['Copy Frame'],
+  );
+  cleanups.push(on(copyFrameBtn, 'click', () => handlers.onCopyFrame?.()));
+  toolbarRight.appendChild(copyFrameBtn);
+
   const exportBtn = createElement(
     'button',
     {
@@ -351,8 +441,12 @@ export function renderEditorScreen(container, state, handlers, fps) {
   const baseCtx = baseCanvas.getContext('2d');
   const overlayCtx = overlayCanvas.getContext('2d');
   if (baseCtx && overlayCtx && frame) {
-    // Render frame to base canvas
-    renderFrameOnly(baseCtx, frame);
+    // Render frame with its captions and shapes to base canvas
+    renderFrameWithAnnotations(
+      baseCtx,
+      frame,
+      getAnnotationsAt(state.captions, state.shapes, state.currentFrame),
+    );
 
     // Render overlay to overlay canvas
     const hasCrop = state.cropArea !== null;
@@ -360,11 +454,15 @@ export function renderEditorScreen(container, state, handlers, fps) {
       showCropOverlay: hasCrop,
       showGrid: state.showGrid,
       gridDivisions: 3,
+      annotationBox: getEditedCaption(state) ?? getEditedShape(state),
     });
   }
 
-  // Setup crop mouse interaction on overlay canvas
+  // Setup crop, caption and shape mouse interaction on overlay canvas; the
+  // text and shape tools decide which of them a drag goes to
   cleanups.push(setupCropInteraction(overlayCanvas, baseCanvas, handlers, frame));
+  cleanups.push(setupCaptionInteraction(overlayCanvas, baseCanvas, handlers, frame));
+  cleanups.push(setupShapeInteraction(overlayCanvas, baseCanvas, handlers, frame));
 
   canvasContainer.appendChild(baseCanvas);
   canvasContainer.appendChild(overlayCanvas);
@@ -406,6 +504,50 @@ export function renderEditorScreen(container, state, handlers, fps) {
   cleanups.push(on(speedSelect, 'change', () => handlers.onSpeedChange(Number(speedSelect.value))));
   speedGroup.querySelector('.property-row').appendChild(speedSelect);
 
+  const timingBtn = createElement(
+    'button',
+    {
+      className: `btn btn-secondary btn-real-timing-toggle ${state.realTiming ? 'active' : ''}`,
+      type: 'button',
+      'aria-pressed': String(state.realTiming),
+      title: 'Hold each frame as long as it was captured for',
+    },
+    [state.realTiming ? 'On' : 'Off'],
+  );
+  cleanups.push(on(timingBtn, 'click', () => handlers.onToggleRealTiming?.()));
+  speedGroup.appendChild(
+    createElement('div', { className: 'property-row' }, [
+      createElement('span', { className: 'property-label' }, ['Real Timing']),
+      timingBtn,
+    ]),
+  );
+
+  const directionSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { className: 'playback-direction-select', 'aria-label': 'Playback direction' },
+      PLAYBACK_DIRECTIONS.map((direction) =>
+        createElement('option', { value: direction.id, title: direction.description }, [
+          direction.name,
+        ]),
+      ),
+    )
+  );
+  directionSelect.value = state.playbackDirection;
+  cleanups.push(
+    on(directionSelect, 'change', () =>
+      handlers.onDirectionChange?.(
+        /** @type {import('../export/types.js').PlaybackDirection} */ (directionSelect.value),
+      ),
+    ),
+  );
+  speedGroup.appendChild(
+    createElement('div', { className: 'property-row' }, [
+      createElement('span', { className: 'property-label' }, ['Direction']),
+      directionSelect,
+    ]),
+  );
+
   // Crop/Aspect ratio controls
   const cropGroup = createElement('div', { className: 'property-group' }, [
     createElement('div', { className: 'property-group-title' }, ['Aspect Ratio']),
@@ -446,6 +588,86 @@ export function renderEditorScreen(container, state, handlers, fps) {
   cleanups.push(on(gridBtn, 'click', () => handlers.onToggleGrid()));
   gridGroup.querySelector('.property-row').appendChild(gridBtn);
 
+  // Frame still format
+  const stillGroup = createElement('div', { className: 'property-group' }, [
+    createElement('div', { className: 'property-group-title' }, ['Frame Still']),
+    createElement('div', { className: 'property-row' }, [
+      createElement('span', { className: 'property-label' }, ['Format']),
+    ]),
+  ]);
+  const stillFormatSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { 'aria-label': 'Frame still format' },
+      STILL_FORMAT_OPTIONS.map(({ value, label }) => createElement('option', { value }, [label])),
+    )
+  );
+  stillFormatSelect.value = loadSettings().export.stillFormat ?? 'png';
+  cleanups.push(
+    on(stillFormatSelect, 'change', () =>
+      handlers.onStillFormatChange?.(
+        /** @type {import('./types.js').StillFormat} */ (stillFormatSelect.value),
+      ),
+    ),
+  );
+  stillGroup.querySelector('.property-row').appendChild(stillFormatSelect);
+
+  // Edit history: undo/redo and every step that can be jumped back to
+  const historyGroup = createElement('div', { className: 'property-group history-group' }, [
+    createElement('div', { className: 'property-group-title' }, ['History']),
+    createElement('div', { className: 'history-actions' }, [
+      createElement(
+        'button',
+        {
+          className: 'btn btn-secondary btn-undo',
+          type: 'button',
+          title: 'Undo (Ctrl+Z)',
+          disabled: state.history.past.length === 0,
+        },
+        ['Undo'],
+      ),
+      createElement(
+        'button',
+        {
+          className: 'btn btn-secondary btn-redo',
+          type: 'button',
+          title: 'Redo (Ctrl+Shift+Z)',
+          disabled: state.history.future.length === 0,
+        },
+        ['Redo'],
+      ),
+    ]),
+    createElement('ol', { className: 'history-list', 'aria-label': 'Edit history' }),
+  ]);
+  renderHistoryList(historyGroup, state.history);
+  // Delegated so the listener survives updateHistoryPanel() rebuilding the list
+  cleanups.push(
+    on(historyGroup, 'click', (e) => {
+      const target = /** @type {Element | null} */ (e.target);
+      if (!(target instanceof Element)) return;
+      if (target.closest('.btn-undo')) {
+        handlers.onUndo?.();
+        return;
+      }
+      if (target.closest('.btn-redo')) {
+        handlers.onRedo?.();
+        return;
+      }
+      const item = target.closest('.history-item');
+      if (item instanceof HTMLElement && item.dataset.steps) {
+        handlers.onHistoryJump?.(Number(item.dataset.steps));
+      }
+    }),
+  );
+
+  // Captions: text tool, the clip's captions and the selected one's style
+  const captionsGroup = createElement('div', { className: 'property-group captions-group' });
+  cleanups.push(...renderCaptionsGroup(captionsGroup, state, handlers));
+
+  // Shapes: drawing tools, the clip's shapes and the selected one's style
+  const shapesGroup = createElement('div', { className: 'property-group shapes-group' });
+  cleanups.push(...renderShapesGroup(shapesGroup, state, handlers));
+
   // Crop info panel (always visible)
   const cropValues = state.cropArea
     ? {
@@ -496,7 +718,15 @@ export function renderEditorScreen(container, state, handlers, fps) {
   };
   panelContent.appendChild(makeAccordion('Playback', speedGroup));
   panelContent.appendChild(makeAccordion('Overlay', gridGroup));
+  panelContent.appendChild(
+    makeAccordion('Captions', captionsGroup, state.mode === 'caption' || state.captions.length > 0),
+  );
+  panelContent.appendChild(
+    makeAccordion('Shapes', shapesGroup, state.mode === 'shape' || state.shapes.length > 0),
+  );
+  panelContent.appendChild(makeAccordion('Frame Still', stillGroup));
   panelContent.appendChild(makeAccordion('Crop Range', cropInfoGroup, Boolean(state.cropArea)));
+  panelContent.appendChild(makeAccordion('History', historyGroup));
 
   // Clear Crop clicks are handled via delegation so the listener survives
   // updateCropInfoPanel() re-creating the button on crop updates (issue #37)
@@ -517,7 +747,12 @@ export function renderEditorScreen(container, state, handlers, fps) {
   const timelineSection = createElement('div', { className: 'editor-timeline' });
 
   // Calculate selection info using the new utility function
-  const selectionInfo = calculateSelectionInfo(state.selectedRange, fps);
+  const selectionInfo = calculateSelectionInfo(
+    state.selectedRange,
+    fps,
+    state.cuts,
+    state.delayOverrides,
+  );
   const inPoint = frameToTimecode(state.selectedRange.start, fps);
   const outPoint = frameToTimecode(state.selectedRange.end, fps);
 
@@ -534,6 +769,30 @@ export function renderEditorScreen(container, state, handlers, fps) {
   );
   cleanups.push(on(frameGridBtn, 'click', handleOpenFrameGrid));
 
+  // Hold of the frame under the playhead, in seconds; empty = captured delay
+  const holdInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      className: 'timeline-hold-input',
+      type: 'number',
+      min: '0',
+      max: String(MAX_HOLD_MS / 1000),
+      step: '0.1',
+      placeholder: 'auto',
+      'aria-label': 'Hold the current frame, in seconds',
+      title: 'Keep the current frame on screen this long. Empty plays it for its captured time.',
+    })
+  );
+  setHoldInput(holdInput, state.currentFrame, state.delayOverrides);
+  cleanups.push(
+    on(holdInput, 'change', () => {
+      const seconds = Number.parseFloat(holdInput.value);
+      handlers.onHoldChange?.(
+        Number(holdInput.dataset.frame),
+        Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null,
+      );
+    }),
+  );
+
   timelineSection.appendChild(
     createElement('div', { className: 'timeline-header' }, [
       createElement('div', { className: 'timeline-header-left' }, [
@@ -559,6 +818,11 @@ export function renderEditorScreen(container, state, handlers, fps) {
             `(${selectionInfo.formattedFrameCount})`,
           ]),
         ]),
+        createElement('label', { className: 'timeline-point timeline-hold' }, [
+          createElement('span', { className: 'label' }, ['HOLD']),
+          holdInput,
+          createElement('span', { className: 'frames' }, ['s']),
+        ]),
       ]),
     ]),
   );
@@ -589,6 +853,18 @@ export function renderEditorScreen(container, state, handlers, fps) {
             createElement('span', { className: 'kbd' }, ['G']),
             ' Grid',
           ]),
+          createElement('span', { className: 'shortcut' }, [
+            createElement('span', { className: 'kbd' }, ['T']),
+            ' Text',
+          ]),
+          createElement('span', { className: 'shortcut' }, [
+            createElement('span', { className: 'kbd' }, ['D']),
+            ' Draw',
+          ]),
+          createElement('span', { className: 'shortcut' }, [
+            createElement('span', { className: 'kbd' }, ['S']),
+            ' Save Frame',
+          ]),
           createElement('span', { className: 'shortcut' }, [
             createElement('span', { className: 'kbd' }, ['1-9']),
             ' Switch Clip',
@@ -719,21 +995,82 @@ function setupKeyboardShortcuts(handlers, state, options = {}) {
         e.preventDefault();
         handlers.onToggleGrid();
         break;
-      case 'Escape':
+      case 't':
+      case 'T':
+        // Ctrl/Cmd+T stays with the browser
+        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+          e.preventDefault();
+          handlers.onToggleCaptionTool?.();
+        }
+        break;
+      case 'd':
+      case 'D':
+        // Ctrl/Cmd+D stays with the browser (bookmark)
+        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+          e.preventDefault();
+          handlers.onToggleShapeTool?.();
+        }
+        break;
+      case 'Escape': {
         e.preventDefault();
-        handlers.onCropChange(null);
+        // Leaves the text or shape tool first; the crop survives
+        const { mode } = getCurrentState();
+        if (mode === 'caption') {
+          handlers.onToggleCaptionTool?.();
+        } else if (mode === 'shape') {
+          handlers.onToggleShapeTool?.();
+        } else {
+          handlers.onCropChange(null);
+        }
         break;
+      }
       case 'f':
       case 'F':
         e.preventDefault();
         options.onOpenFrameGrid?.();
         break;
       case 'Delete':
-      case 'Backspace':
-        // Delete the clip being edited (undo toast covers safety, #100 r7)
+      case 'Backspace': {
         e.preventDefault();
+        const { mode, selectedCaptionId, selectedShapeId } = getCurrentState();
+        if (mode === 'caption' && selectedCaptionId) {
+          handlers.onCaptionDelete?.(selectedCaptionId);
+          break;
+        }
+        if (mode === 'shape' && selectedShapeId) {
+          handlers.onShapeDelete?.(selectedShapeId);
+          break;
+        }
+        // Delete the clip being edited (undo toast covers safety, #100 r7)
         handlers.onDeleteActiveClip?.();
         break;
+      }
+      case 's':
+      case 'S':
+        // Cmd/Ctrl+S stays with the browser
+        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+          e.preventDefault();
+          handlers.onSaveFrame?.();
+        }
+        break;
+      case 'c':
+        // Only when nothing on the page is selected, so copying text works
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !window.getSelection()?.toString()) {
+          e.preventDefault();
+          handlers.onCopyFrame?.();
+        }
+        break;
+      case 'z':
+      case 'Z':
+        if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+          e.preventDefault();
+          if (e.shiftKey) {
+            handlers.onRedo?.();
+          } else {
+            handlers.onUndo?.();
+          }
+        }
+        break;
       case 'e':
         if (e.ctrlKey || e.metaKey) {
           e.preventDefault();
@@ -749,25 +1086,50 @@ function setupKeyboardShortcuts(handlers, state, options = {}) {
 }
 
 /**
- * Update base canvas with new frame only (no overlays)
+ * Draw a frame with the captions and shapes burned into it, as the export
+ * will show it
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('../capture/types.js').Frame} frame
+ * @param {import('./types.js').Annotation[]} annotations - Captions and shapes on the frame
+ */
+function renderFrameWithAnnotations(ctx, frame, annotations) {
+  renderFrameOnly(ctx, frame);
+  for (const annotation of annotations) {
+    drawAnnotation(ctx, annotation);
+  }
+}
+
+/**
+ * Update base canvas with new frame and its captions and shapes (no overlays)
  * @param {HTMLCanvasElement} canvas
  * @param {import('../capture/types.js').Frame} frame
+ * @param {import('./types.js').Annotation[]} [annotations] - Captions and shapes on the frame
  */
-export function updateBaseCanvas(canvas, frame) {
+export function updateBaseCanvas(canvas, frame, annotations = []) {
   const ctx = canvas.getContext('2d');
   if (!ctx) return;
-  renderFrameOnly(ctx, frame);
+  renderFrameWithAnnotations(ctx, frame, annotations);
 }
 
 /**
- * Update overlay canvas with crop and grid
+ * Update overlay canvas with crop, grid and the box of the caption or shape
+ * being edited
  * @param {HTMLCanvasElement} canvas
  * @param {import('./types.js').CropArea | null} crop
  * @param {number} frameWidth
  * @param {number} frameHeight
  * @param {boolean} showGrid
+ * @param {{ x: number, y: number, width: number, height: number } | null} [annotationBox] -
+ *   Box outlined for editing
  */
-export function updateOverlayCanvas(canvas, crop, frameWidth, frameHeight, showGrid) {
+export function updateOverlayCanvas(
+  canvas,
+  crop,
+  frameWidth,
+  frameHeight,
+  showGrid,
+  annotationBox,
+) {
   const ctx = canvas.getContext('2d');
   if (!ctx) return;
 
@@ -776,9 +1138,27 @@ export function updateOverlayCanvas(canvas, crop, frameWidth, frameHeight, showG
     showCropOverlay: hasCrop,
     showGrid,
     gridDivisions: 3,
+    annotationBox,
   });
 }
 
+/**
+ * Convert a mouse position to frame pixels
+ * @param {MouseEvent} e
+ * @param {HTMLCanvasElement} baseCanvas - Canvas the frame is drawn on
+ * @param {import('../capture/types.js').Frame} frame
+ * @returns {{ x: number, y: number }}
+ */
+function getFrameCoords(e, baseCanvas, frame) {
+  const rect = baseCanvas.getBoundingClientRect();
+  const scaleX = frame.width / rect.width;
+  const scaleY = frame.height / rect.height;
+  return {
+    x: Math.round((e.clientX - rect.left) * scaleX),
+    y: Math.round((e.clientY - rect.top) * scaleY),
+  };
+}
+
 /**
  * Setup crop mouse interaction on overlay canvas with visual feedback
  * @param {HTMLCanvasElement} overlayCanvas - Overlay canvas for interaction
@@ -805,21 +1185,11 @@ function setupCropInteraction(overlayCanvas, baseCanvas, handlers, initialFrame)
   const getCurrentState = () => handlers.getState?.();
   const getCurrentFrame = () => handlers.getFrame?.() ?? initialFrame;
 
-  /**
-   * Get mouse coordinates relative to frame (using base canvas for coordinate reference)
-   * @param {MouseEvent} e
-   * @returns {{ x: number, y: number }}
-   */
-  function getFrameCoords(e) {
-    const frame = getCurrentFrame();
-    const rect = baseCanvas.getBoundingClientRect();
-    const scaleX = frame.width / rect.width;
-    const scaleY = frame.height / rect.height;
-    return {
-      x: Math.round((e.clientX - rect.left) * scaleX),
-      y: Math.round((e.clientY - rect.top) * scaleY),
-    };
-  }
+  // Drags place captions or shapes while the text or shape tool is on
+  const isAnnotating = () => {
+    const mode = getCurrentState()?.mode;
+    return mode === 'caption' || mode === 'shape';
+  };
 
   /**
    * Re-render the overlay canvas with current visual state
@@ -850,9 +1220,10 @@ function setupCropInteraction(overlayCanvas, baseCanvas, handlers, initialFrame)
    * @param {MouseEvent} e
    */
   function onMouseDown(e) {
+    if (isAnnotating()) return;
     e.preventDefault();
     const state = getCurrentState();
-    const coords = getFrameCoords(e);
+    const coords = getFrameCoords(e, baseCanvas, getCurrentFrame());
     dragStart = coords;
 
     if (state?.cropArea) {
@@ -884,9 +1255,10 @@ function setupCropInteraction(overlayCanvas, baseCanvas, handlers, initialFrame)
    * @param {MouseEvent} e
    */
   function onMouseMove(e) {
+    if (isAnnotating()) return;
     const state = getCurrentState();
     const frame = getCurrentFrame();
-    const coords = getFrameCoords(e);
+    const coords = getFrameCoords(e, baseCanvas, frame);
 
     if (!dragStart || !dragMode) {
       // Not dragging - update cursor and hover state
@@ -944,10 +1316,11 @@ function setupCropInteraction(overlayCanvas, baseCanvas, handlers, initialFrame)
     initialCrop = null;
     activeHandle = null;
     boundaryHit = null;
+    if (isAnnotating()) return;
 
     // Reset cursor to reflect current hover state
     const state = getCurrentState();
-    const coords = getFrameCoords(e);
+    const coords = getFrameCoords(e, baseCanvas, getCurrentFrame());
     if (state?.cropArea) {
       const handle = hitTestCropHandle(coords.x, coords.y, state.cropArea, 15);
       hoveredHandle = handle;
@@ -971,6 +1344,307 @@ function setupCropInteraction(overlayCanvas, baseCanvas, handlers, initialFrame)
   };
 }
 
+/**
+ * Setup caption placement on the overlay canvas while the text tool is on.
+ * Dragging on empty preview draws a new caption box, dragging a caption
+ * moves it and dragging the handles of the selected one resizes it.
+ * @param {HTMLCanvasElement} overlayCanvas - Overlay canvas for interaction
+ * @param {HTMLCanvasElement} baseCanvas - Base canvas for coordinate reference
+ * @param {EditorUIHandlers} handlers
+ * @param {import('../capture/types.js').Frame} initialFrame
+ * @returns {() => void} Cleanup function
+ */
+function setupCaptionInteraction(overlayCanvas, baseCanvas, handlers, initialFrame) {
+  /** @type {import('./types.js').HandlePosition} */
+  let dragMode = null;
+  /** @type {{ x: number, y: number } | null} */
+  let dragStart = null;
+  /** @type {import('./types.js').Caption | null} */
+  let dragCaption = null;
+  /** Box being drawn; becomes a caption on mouse up */
+  /** @type {{ x: number, y: number, width: number, height: number } | null} */
+  let draftBox = null;
+
+  const getCurrentState = () => handlers.getState?.();
+  const getCurrentFrame = () => handlers.getFrame?.() ?? initialFrame;
+  const isCaptionMode = () => getCurrentState()?.mode === 'caption';
+
+  /**
+   * Re-render the overlay with the box being drawn or edited
+   */
+  function renderOverlayWithState() {
+    const state = getCurrentState();
+    const frame = getCurrentFrame();
+    const ctx = overlayCanvas.getContext('2d');
+    if (!state || !frame || !ctx) return;
+
+    renderOverlay(ctx, state.cropArea, frame.width, frame.height, {
+      showCropOverlay: state.cropArea !== null,
+      showGrid: state.showGrid,
+      gridDivisions: 3,
+      annotationBox: draftBox ?? getEditedCaption(state),
+      annotationHandle: dragMode,
+    });
+  }
+
+  /**
+   * Handle under the pointer on the selected caption, if any
+   * @param {{ x: number, y: number }} coords
+   * @returns {import('./types.js').HandlePosition}
+   */
+  function hitTestSelected(coords) {
+    const caption = getEditedCaption(getCurrentState());
+    if (!caption) return null;
+    return hitTestCropHandle(coords.x, coords.y, caption, HANDLE_HIT_ZONE);
+  }
+
+  /**
+   * @param {MouseEvent} e
+   */
+  function onMouseDown(e) {
+    const state = getCurrentState();
+    if (state?.mode !== 'caption') return;
+    e.preventDefault();
+    const coords = getFrameCoords(e, baseCanvas, getCurrentFrame());
+    dragStart = coords;
+
+    const handle = hitTestSelected(coords);
+    if (handle) {
+      dragMode = handle;
+      dragCaption = getEditedCaption(state);
+    } else {
+      const hit = findCaptionAt(state.captions, state.currentFrame, coords);
+      if (hit) {
+        handlers.onCaptionSelect?.(hit.id);
+        dragMode = 'move';
+        dragCaption = hit;
+      } else {
+        handlers.onCaptionSelect?.(null);
+        dragMode = 'draw';
+        dragCaption = null;
+      }
+    }
+
+    overlayCanvas.style.cursor = getCursorForHandle(dragMode);
+    renderOverlayWithState();
+  }
+
+  /**
+   * @param {MouseEvent} e
+   */
+  function onMouseMove(e) {
+    if (!isCaptionMode()) return;
+    const frame = getCurrentFrame();
+    const coords = getFrameCoords(e, baseCanvas, frame);
+
+    if (!dragStart || !dragMode) {
+      const state = getCurrentState();
+      const handle =
+        hitTestSelected(coords) ??
+        (state && findCaptionAt(state.captions, state.currentFrame, coords) ? 'move' : null);
+      overlayCanvas.style.cursor = getCursorForHandle(handle || 'draw');
+      return;
+    }
+
+    e.preventDefault();
+    if (dragMode === 'draw') {
+      // A click without a drag only clears the selection
+      const distance = Math.hypot(coords.x - dragStart.x, coords.y - dragStart.y);
+      if (!draftBox && distance < MIN_ANNOTATION_DRAG) return;
+      draftBox = dragAnnotationBox(dragStart, 'draw', dragStart, coords, frame);
+    } else if (dragCaption) {
+      handlers.onCaptionChange?.(
+        dragCaption.id,
+        dragAnnotationBox(dragCaption, dragMode, dragStart, coords, frame),
+      );
+    }
+    renderOverlayWithState();
+  }
+
+  function onMouseUp() {
+    const box = draftBox;
+    const wasDragging = dragMode !== null;
+    dragMode = null;
+    dragStart = null;
+    dragCaption = null;
+    draftBox = null;
+    if (!wasDragging || !isCaptionMode()) return;
+
+    if (box) {
+      handlers.onCaptionAdd?.(box);
+    }
+    renderOverlayWithState();
+  }
+
+  overlayCanvas.addEventListener('mousedown', onMouseDown);
+  overlayCanvas.addEventListener('mousemove', onMouseMove);
+  window.addEventListener('mouseup', onMouseUp);
+
+  return () => {
+    overlayCanvas.removeEventListener('mousedown', onMouseDown);
+    overlayCanvas.removeEventListener('mousemove', onMouseMove);
+    window.removeEventListener('mouseup', onMouseUp);
+  };
+}
+
+/**
+ * Setup shape drawing on the overlay canvas while the shape tool is on.
+ * Dragging on empty preview draws a shape of the chosen kind, dragging a
+ * shape moves it and dragging the handles of the selected one resizes it.
+ * @param {HTMLCanvasElement} overlayCanvas - Overlay canvas for interaction
+ * @param {HTMLCanvasElement} baseCanvas - Base canvas for coordinate reference
+ * @param {EditorUIHandlers} handlers
+ * @param {import('../capture/types.js').Frame} initialFrame
+ * @returns {() => void} Cleanup function
+ */
+function setupShapeInteraction(overlayCanvas, baseCanvas, handlers, initialFrame) {
+  /** @type {import('./types.js').HandlePosition} */
+  let dragMode = null;
+  /** @type {{ x: number, y: number } | null} */
+  let dragStart = null;
+  /** @type {import('./types.js').Shape | null} */
+  let dragShape = null;
+  /** Points of the shape being drawn; it is added on mouse up */
+  /** @type {{ x: number, y: number }[] | null} */
+  let draftPoints = null;
+
+  const getCurrentState = () => handlers.getState?.();
+  const getCurrentFrame = () => handlers.getFrame?.() ?? initialFrame;
+  const isShapeMode = () => getCurrentState()?.mode === 'shape';
+
+  /**
+   * Re-render the overlay with the shape being drawn or the box being edited
+   */
+  function renderOverlayWithState() {
+    const state = getCurrentState();
+    const frame = getCurrentFrame();
+    const ctx = overlayCanvas.getContext('2d');
+    if (!state || !frame || !ctx) return;
+
+    renderOverlay(ctx, state.cropArea, frame.width, frame.height, {
+      showCropOverlay: state.cropArea !== null,
+      showGrid: state.showGrid,
+      gridDivisions: 3,
+      // Drawn in the style the new shape will take
+      draftShape: draftPoints
+        ? createShape(
+            state.shapeKind,
+            draftPoints,
+            { start: 0, end: 0 },
+            state.shapes[state.shapes.length - 1],
+          )
+        : null,
+      annotationBox: draftPoints ? null : getEditedShape(state),
+      annotationHandle: dragMode,
+    });
+  }
+
+  /**
+   * Handle under the pointer on the selected shape, if any
+   * @param {{ x: number, y: number }} coords
+   * @returns {import('./types.js').HandlePosition}
+   */
+  function hitTestSelected(coords) {
+    const shape = getEditedShape(getCurrentState());
+    if (!shape) return null;
+    return hitTestCropHandle(coords.x, coords.y, shape, HANDLE_HIT_ZONE);
+  }
+
+  /**
+   * @param {MouseEvent} e
+   */
+  function onMouseDown(e) {
+    const state = getCurrentState();
+    if (state?.mode !== 'shape') return;
+    e.preventDefault();
+    const coords = getFrameCoords(e, baseCanvas, getCurrentFrame());
+    dragStart = coords;
+
+    const handle = hitTestSelected(coords);
+    if (handle) {
+      dragMode = handle;
+      dragShape = getEditedShape(state);
+    } else {
+      const hit = findShapeAt(state.shapes, state.currentFrame, coords);
+      if (hit) {
+        handlers.onShapeSelect?.(hit.id);
+        dragMode = 'move';
+        dragShape = hit;
+      } else {
+        handlers.onShapeSelect?.(null);
+        dragMode = 'draw';
+        dragShape = null;
+      }
+    }
+
+    overlayCanvas.style.cursor = getCursorForHandle(dragMode);
+    renderOverlayWithState();
+  }
+
+  /**
+   * @param {MouseEvent} e
+   */
+  function onMouseMove(e) {
+    const state = getCurrentState();
+    if (state?.mode !== 'shape') return;
+    const frame = getCurrentFrame();
+    const coords = getFrameCoords(e, baseCanvas, frame);
+
+    if (!dragStart || !dragMode) {
+      const handle =
+        hitTestSelected(coords) ??
+        (findShapeAt(state.shapes, state.currentFrame, coords) ? 'move' : null);
+      overlayCanvas.style.cursor = getCursorForHandle(handle || 'draw');
+      return;
+    }
+
+    e.preventDefault();
+    if (dragMode === 'draw') {
+      // A click without a drag only clears the selection
+      const distance = Math.hypot(coords.x - dragStart.x, coords.y - dragStart.y);
+      if (!draftPoints && distance < MIN_ANNOTATION_DRAG) return;
+      const point = {
+        x: Math.max(0, Math.min(frame.width, coords.x)),
+        y: Math.max(0, Math.min(frame.height, coords.y)),
+      };
+      // The pen keeps every point it passes; the other kinds span start to end
+      draftPoints =
+        state.shapeKind === 'pen' ? [...(draftPoints ?? [dragStart]), point] : [dragStart, point];
+    } else if (dragShape) {
+      handlers.onShapeChange?.(
+        dragShape.id,
+        dragAnnotationBox(dragShape, dragMode, dragStart, coords, frame),
+      );
+    }
+    renderOverlayWithState();
+  }
+
+  function onMouseUp() {
+    const points = draftPoints;
+    const wasDragging = dragMode !== null;
+    dragMode = null;
+    dragStart = null;
+    dragShape = null;
+    draftPoints = null;
+    if (!wasDragging || !isShapeMode()) return;
+
+    if (points) {
+      handlers.onShapeAdd?.(points);
+    }
+    renderOverlayWithState();
+  }
+
+  overlayCanvas.addEventListener('mousedown', onMouseDown);
+  overlayCanvas.addEventListener('mousemove', onMouseMove);
+  window.addEventListener('mouseup', onMouseUp);
+
+  return () => {
+    overlayCanvas.removeEventListener('mousedown', onMouseDown);
+    overlayCanvas.removeEventListener('mousemove', onMouseMove);
+    window.removeEventListener('mouseup', onMouseUp);
+  };
+}
+
 /**
  * Update timeline header info (SEL, IN, OUT) and the toolbar time display
  * Called when selection range or current frame changes
@@ -978,9 +1652,18 @@ function setupCropInteraction(overlayCanvas, baseCanvas, handlers, initialFrame)
  * @param {import('./types.js').FrameRange} selectedRange - Current selection range
  * @param {number} currentFrame - Current playhead position
  * @param {number} fps - Frames per second
+ * @param {import('./types.js').FrameRange[]} [cuts] - Excluded ranges, left out of SEL
+ * @param {import('./types.js').DelayOverrides} [delayOverrides] - Held frames, counted at their hold
  */
-export function updateTimelineHeader(container, selectedRange, currentFrame, fps) {
-  const selectionInfo = calculateSelectionInfo(selectedRange, fps);
+export function updateTimelineHeader(
+  container,
+  selectedRange,
+  currentFrame,
+  fps,
+  cuts = [],
+  delayOverrides = {},
+) {
+  const selectionInfo = calculateSelectionInfo(selectedRange, fps, cuts, delayOverrides);
   const inPoint = frameToTimecode(selectedRange.start, fps);
   const outPoint = frameToTimecode(selectedRange.end, fps);
 
@@ -1016,6 +1699,35 @@ export function updateTimelineHeader(container, selectedRange, currentFrame, fps
   }
 }
 
+/**
+ * Point the hold input at a frame and show that frame's hold
+ * @param {HTMLInputElement} input
+ * @param {number} frameIndex
+ * @param {import('./types.js').DelayOverrides} delayOverrides
+ */
+function setHoldInput(input, frameIndex, delayOverrides) {
+  const ms = delayOverrides[frameIndex];
+  input.dataset.frame = String(frameIndex);
+  input.value = ms ? String(ms / 1000) : '';
+  input.classList.toggle('is-held', Boolean(ms));
+}
+
+/**
+ * Update the hold input for the frame under the playhead. Left alone while
+ * it is being typed in, so the value lands on the frame it was started for.
+ * @param {HTMLElement} container - The editor screen container
+ * @param {number} currentFrame
+ * @param {import('./types.js').DelayOverrides} delayOverrides
+ */
+export function updateTimelineHold(container, currentFrame, delayOverrides) {
+  const input = /** @type {HTMLInputElement | null} */ (
+    container.querySelector('.timeline-hold-input')
+  );
+  if (!input || input === document.activeElement) return;
+
+  setHoldInput(input, currentFrame, delayOverrides);
+}
+
 /**
  * Render scenes sidebar with thumbnails (left sidebar)
  * @param {HTMLElement} container - The scenes container element
@@ -1257,7 +1969,11 @@ function openFrameGridModal(state, handlers, onClose) {
     frames: state.clip.frames,
     initialRange: state.selectedRange,
     scenes: state.scenes,
+    initialCuts: state.cuts,
+    initialDelayOverrides: state.delayOverrides,
     callbacks: {
+      onCutsChange: handlers.onCutsChange,
+      onDelayOverridesChange: handlers.onDelayOverridesChange,
       onApply: (range) => {
         // If onRangeChange throws, the modal must still close instead of
         // leaving its document-level listeners mounted forever
@@ -1278,6 +1994,604 @@ function openFrameGridModal(state, handlers, onClose) {
   return cleanup;
 }
 
+/**
+ * Fill the history list: the oldest state kept, every edit after it, and
+ * the edits that can be redone. Each row carries the steps to reach it.
+ * @param {Element} group - The History property group
+ * @param {import('./types.js').EditHistory} history
+ */
+function renderHistoryList(group, history) {
+  const list = group.querySelector('.history-list');
+  if (!list) return;
+
+  const { past, future } = history;
+  if (past.length === 0 && future.length === 0) {
+    list.replaceChildren(createElement('li', { className: 'history-empty' }, ['No edits yet']));
+    return;
+  }
+
+  const rows = [
+    { label: 'Start', steps: -past.length },
+    ...past.map((entry, i) => ({ label: entry.label, steps: i + 1 - past.length })),
+    ...future.map((entry, i) => ({ label: entry.label, steps: i + 1 })),
+  ];
+  list.replaceChildren(
+    ...rows.map(({ label, steps }) => {
+      const current = steps === 0;
+      return createElement(
+        'li',
+        {
+          className: `history-item${current ? ' is-current' : ''}${steps > 0 ? ' is-future' : ''}`,
+          'data-steps': String(steps),
+          'aria-current': current ? 'step' : null,
+        },
+        [
+          createElement(
+            'button',
+            { className: 'history-item-btn', type: 'button', disabled: current },
+            [label],
+          ),
+        ],
+      );
+    }),
+  );
+}
+
+/**
+ * Update the history list and the undo/redo buttons
+ * @param {HTMLElement} container - The editor screen container
+ * @param {import('./types.js').EditHistory} history
+ */
+export function updateHistoryPanel(container, history) {
+  const group = container.querySelector('.history-group');
+  if (!group) return;
+
+  const undoBtn = /** @type {HTMLButtonElement | null} */ (group.querySelector('.btn-undo'));
+  const redoBtn = /** @type {HTMLButtonElement | null} */ (group.querySelector('.btn-redo'));
+  if (undoBtn) undoBtn.disabled = history.past.length === 0;
+  if (redoBtn) redoBtn.disabled = history.future.length === 0;
+  renderHistoryList(group, history);
+}
+
+/**
+ * Labelled row of a property group
+ * @param {string} label
+ * @param {...HTMLElement} controls
+ * @returns {HTMLElement}
+ */
+function createPropertyRow(label, ...controls) {
+  return createElement('div', { className: 'property-row' }, [
+    createElement('span', { className: 'property-label' }, [label]),
+    ...controls,
+  ]);
+}
+
+/**
+ * Input bound to one property of the caption or shape being edited
+ * @param {string} type - Input type
+ * @param {string} field - Property it edits, read back from data-field
+ * @param {string} label - Accessible name
+ * @param {Record<string, string | number>} [attrs]
+ * @returns {HTMLElement}
+ */
+function createFieldInput(type, field, label, attrs = {}) {
+  return createElement('input', { type, 'data-field': field, 'aria-label': label, ...attrs });
+}
+
+/**
+ * First and last frame inputs of a caption or shape, shown 1-based
+ * @returns {HTMLElement}
+ */
+function createFrameRangeRow() {
+  return createPropertyRow(
+    'Frames',
+    createFieldInput('number', 'start', 'First frame', { min: 1 }),
+    createFieldInput('number', 'end', 'Last frame', { min: 1 }),
+  );
+}
+
+/**
+ * Set In, Set Out and Delete buttons of the caption or shape being edited
+ * @param {string} noun - What is edited, for the tooltips
+ * @param {string} deleteClassName - Class the delete button is found by
+ * @returns {HTMLElement}
+ */
+function createAnnotationActions(noun, deleteClassName) {
+  return createElement('div', { className: 'annotation-actions' }, [
+    createElement(
+      'button',
+      {
+        className: 'btn btn-secondary',
+        type: 'button',
+        'data-action': 'set-start',
+        title: `Show the ${noun} from the current frame`,
+      },
+      ['Set In'],
+    ),
+    createElement(
+      'button',
+      {
+        className: 'btn btn-secondary',
+        type: 'button',
+        'data-action': 'set-end',
+        title: `Show the ${noun} until the current frame`,
+      },
+      ['Set Out'],
+    ),
+    createElement('button', { className: `btn btn-secondary ${deleteClassName}`, type: 'button' }, [
+      'Delete',
+    ]),
+  ]);
+}
+
+/**
+ * Build the Captions property group. Listeners are delegated to the group so
+ * they survive updateCaptionsPanel() rebuilding the list.
+ * @param {HTMLElement} group - Empty property group to fill
+ * @param {import('./types.js').EditorState} state
+ * @param {EditorUIHandlers} handlers
+ * @returns {(() => void)[]} Cleanup functions for event listeners
+ */
+function renderCaptionsGroup(group, state, handlers) {
+  group.append(
+    createElement('div', { className: 'property-group-title' }, ['Captions']),
+    createPropertyRow(
+      'Text Tool',
+      createElement(
+        'button',
+        {
+          className: 'btn btn-secondary btn-caption-tool',
+          type: 'button',
+          title: 'Drag on the preview to place a caption (T)',
+        },
+        ['Off'],
+      ),
+    ),
+    createElement('ol', { className: 'caption-list', 'aria-label': 'Captions' }),
+    createElement('div', { className: 'caption-editor' }, [
+      createElement('textarea', {
+        className: 'caption-text-input',
+        'data-field': 'text',
+        rows: 2,
+        'aria-label': 'Caption text',
+      }),
+      createPropertyRow(
+        'Font',
+        createElement(
+          'select',
+          { 'data-field': 'font', 'aria-label': 'Caption font' },
+          CAPTION_FONT_OPTIONS.map(({ value, label }) =>
+            createElement('option', { value }, [label]),
+          ),
+        ),
+        createFieldInput('number', 'fontSize', 'Caption size in pixels', {
+          min: MIN_CAPTION_FONT_SIZE,
+          max: MAX_CAPTION_FONT_SIZE,
+        }),
+      ),
+      createPropertyRow('Color', createFieldInput('color', 'color', 'Text color')),
+      createPropertyRow(
+        'Background',
+        createFieldInput('checkbox', 'background-on', 'Background pill'),
+        createFieldInput('color', 'background', 'Background color'),
+      ),
+      createPropertyRow(
+        'Outline',
+        createFieldInput('checkbox', 'outline-on', 'Text outline'),
+        createFieldInput('color', 'outline', 'Outline color'),
+      ),
+      createFrameRangeRow(),
+      createAnnotationActions('caption', 'btn-caption-delete'),
+    ]),
+  );
+  updateCaptionsGroup(group, state);
+
+  const selectedId = () => handlers.getState?.()?.selectedCaptionId ?? null;
+
+  /**
+   * Changes one editor field asks for
+   * @param {HTMLElement} target
+   * @returns {Partial<import('./types.js').Caption> | null}
+   */
+  function readField(target) {
+    const input = /** @type {HTMLInputElement} */ (target);
+    /**
+     * Color of an optional style, or null while its checkbox is off
+     * @param {string} field - 'background' or 'outline'
+     */
+    const readOptionalColor = (field) => {
+      const toggle = /** @type {HTMLInputElement} */ (
+        group.querySelector(`[data-field="${field}-on"]`)
+      );
+      const color = /** @type {HTMLInputElement} */ (
+        group.querySelector(`[data-field="${field}"]`)
+      );
+      return toggle.checked ? color.value : null;
+    };
+
+    switch (input.dataset.field) {
+      case 'text':
+        return { text: input.value };
+      case 'font':
+        return { font: input.value };
+      case 'color':
+        return { color: input.value };
+      case 'fontSize':
+      case 'start':
+      case 'end': {
+        const value = Number(input.value);
+        if (input.value === '' || !Number.isFinite(value)) return null;
+        // Frames are shown 1-based
+        return { [input.dataset.field]: input.dataset.field === 'fontSize' ? value : value - 1 };
+      }
+      case 'background':
+      case 'background-on':
+        return { background: readOptionalColor('background') };
+      case 'outline':
+      case 'outline-on':
+        return { outline: readOptionalColor('outline') };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @param {Event} e
+   */
+  function onFieldEdit(e) {
+    const id = selectedId();
+    if (!id || !(e.target instanceof HTMLElement)) return;
+    // Frame numbers are applied once typed, not on every digit
+    const field = e.target.dataset.field;
+    if (e.type === 'input' && (field === 'start' || field === 'end')) return;
+    const changes = readField(e.target);
+    if (changes) handlers.onCaptionChange?.(id, changes);
+  }
+
+  return [
+    on(group, 'input', onFieldEdit),
+    on(group, 'change', onFieldEdit),
+    on(group, 'click', (e) => {
+      const target = /** @type {Element | null} */ (e.target);
+      if (!(target instanceof Element)) return;
+      if (target.closest('.btn-caption-tool')) {
+        handlers.onToggleCaptionTool?.();
+        return;
+      }
+      const item = target.closest('.caption-item');
+      if (item instanceof HTMLElement && item.dataset.captionId) {
+        const state = handlers.getState?.();
+        const caption = state?.captions.find((c) => c.id === item.dataset.captionId);
+        if (!state || !caption) return;
+        handlers.onCaptionSelect?.(caption.id);
+        // Bring the caption on screen so its box can be dragged
+        if (state.currentFrame < caption.start || state.currentFrame > caption.end) {
+          handlers.onFrameChange(caption.start);
+        }
+        return;
+      }
+      const id = selectedId();
+      if (!id) return;
+      if (target.closest('.btn-caption-delete')) {
+        handlers.onCaptionDelete?.(id);
+        return;
+      }
+      const action = target.closest('[data-action]');
+      if (action instanceof HTMLElement) {
+        const frame = handlers.getState?.()?.currentFrame ?? 0;
+        handlers.onCaptionChange?.(
+          id,
+          action.dataset.action === 'set-start' ? { start: frame } : { end: frame },
+        );
+      }
+    }),
+  ];
+}
+
+/**
+ * Sync the Captions group with the state. The field being typed in is left
+ * alone so the cursor does not jump.
+ * @param {HTMLElement} group
+ * @param {import('./types.js').EditorState} state
+ */
+function updateCaptionsGroup(group, state) {
+  const isOn = state.mode === 'caption';
+  const toolBtn = group.querySelector('.btn-caption-tool');
+  if (toolBtn) {
+    toolBtn.classList.toggle('active', isOn);
+    toolBtn.setAttribute('aria-pressed', String(isOn));
+    toolBtn.textContent = isOn ? 'On' : 'Off';
+  }
+
+  const list = group.querySelector('.caption-list');
+  if (list) {
+    list.replaceChildren(
+      ...state.captions.map((caption) =>
+        createElement('li', {}, [
+          createElement(
+            'button',
+            {
+              className: `caption-item ${caption.id === state.selectedCaptionId ? 'is-selected' : ''}`,
+              type: 'button',
+              'data-caption-id': caption.id,
+              title: caption.text,
+            },
+            [
+              createElement('span', { className: 'caption-item-frames' }, [
+                `${caption.start + 1}\u2013${caption.end + 1}`,
+              ]),
+              createElement('span', { className: 'caption-item-text' }, [
+                caption.text.trim() || '(empty)',
+              ]),
+            ],
+          ),
+        ]),
+      ),
+    );
+    if (state.captions.length === 0) {
+      list.appendChild(
+        createElement('li', { className: 'caption-list-empty' }, [
+          'Turn on the text tool and drag on the preview',
+        ]),
+      );
+    }
+  }
+
+  const editor = group.querySelector('.caption-editor');
+  if (!(editor instanceof HTMLElement)) return;
+  const caption = state.captions.find((c) => c.id === state.selectedCaptionId);
+  editor.hidden = !caption;
+  if (!caption) return;
+
+  /** @type {Record<string, string | boolean>} */
+  const values = {
+    text: caption.text,
+    font: caption.font,
+    fontSize: String(caption.fontSize),
+    color: caption.color,
+    'background-on': caption.background !== null,
+    background: caption.background ?? '#000000',
+    'outline-on': caption.outline !== null,
+    outline: caption.outline ?? '#000000',
+    start: String(caption.start + 1),
+    end: String(caption.end + 1),
+  };
+  for (const [field, value] of Object.entries(values)) {
+    const input = /** @type {HTMLInputElement | null} */ (
+      editor.querySelector(`[data-field="${field}"]`)
+    );
+    if (!input || input === document.activeElement) continue;
+    if (typeof value === 'boolean') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  }
+}
+
+/**
+ * Update the Captions panel after the captions, the selection or the tool
+ * changed. Opens its accordion when the text tool is switched on.
+ * @param {HTMLElement} container - The editor screen container
+ * @param {import('./types.js').EditorState} state
+ */
+export function updateCaptionsPanel(container, state) {
+  const group = container.querySelector('.captions-group');
+  if (!(group instanceof HTMLElement)) return;
+
+  updateCaptionsGroup(group, state);
+
+  const accordion = group.closest('details.prop-accordion');
+  if (state.mode === 'caption' && accordion instanceof HTMLElement) {
+    accordion.setAttribute('open', '');
+  }
+}
+
+/**
+ * Build the Shapes property group. Like the Captions group, listeners are
+ * delegated so they survive updateShapesPanel() rebuilding the list.
+ * @param {HTMLElement} group - Empty property group to fill
+ * @param {import('./types.js').EditorState} state
+ * @param {EditorUIHandlers} handlers
+ * @returns {(() => void)[]} Cleanup functions for event listeners
+ */
+function renderShapesGroup(group, state, handlers) {
+  group.append(
+    createElement('div', { className: 'property-group-title' }, ['Shapes']),
+    createElement(
+      'div',
+      { className: 'shape-kind-buttons', role: 'group', 'aria-label': 'Shape tool' },
+      SHAPE_KINDS.map((kind) =>
+        createElement(
+          'button',
+          {
+            className: 'shape-kind-btn',
+            type: 'button',
+            'data-kind': kind.id,
+            title: `${kind.description} (D)`,
+          },
+          [kind.name],
+        ),
+      ),
+    ),
+    createElement('ol', { className: 'shape-list', 'aria-label': 'Shapes' }),
+    createElement('div', { className: 'shape-editor' }, [
+      createPropertyRow(
+        'Stroke',
+        createFieldInput('color', 'color', 'Shape color'),
+        createFieldInput('number', 'strokeWidth', 'Stroke width in pixels', {
+          min: MIN_SHAPE_STROKE,
+          max: MAX_SHAPE_STROKE,
+        }),
+      ),
+      createFrameRangeRow(),
+      createPropertyRow(
+        'Fade',
+        createFieldInput('number', 'fadeIn', 'Fade in frames', { min: 0, max: MAX_SHAPE_FADE }),
+        createFieldInput('number', 'fadeOut', 'Fade out frames', { min: 0, max: MAX_SHAPE_FADE }),
+      ),
+      createAnnotationActions('shape', 'btn-shape-delete'),
+    ]),
+  );
+  updateShapesGroup(group, state);
+
+  const selectedId = () => handlers.getState?.()?.selectedShapeId ?? null;
+
+  /**
+   * @param {Event} e
+   */
+  function onFieldEdit(e) {
+    const id = selectedId();
+    const input = /** @type {HTMLInputElement} */ (e.target);
+    if (!id || !(input instanceof HTMLInputElement) || !input.dataset.field) return;
+    const field = input.dataset.field;
+    if (field === 'color') {
+      handlers.onShapeChange?.(id, { color: input.value });
+      return;
+    }
+    // Numbers are applied once typed, not on every digit
+    if (e.type === 'input') return;
+    const value = Number(input.value);
+    if (input.value === '' || !Number.isFinite(value)) return;
+    // Frames are shown 1-based
+    const isFrame = field === 'start' || field === 'end';
+    handlers.onShapeChange?.(id, { [field]: isFrame ? value - 1 : value });
+  }
+
+  return [
+    on(group, 'input', onFieldEdit),
+    on(group, 'change', onFieldEdit),
+    on(group, 'click', (e) => {
+      const target = /** @type {Element | null} */ (e.target);
+      if (!(target instanceof Element)) return;
+      const kindBtn = target.closest('.shape-kind-btn');
+      if (kindBtn instanceof HTMLElement) {
+        handlers.onToggleShapeTool?.(
+          /** @type {import('./types.js').ShapeKind} */ (kindBtn.dataset.kind),
+        );
+        return;
+      }
+      const item = target.closest('.shape-item');
+      if (item instanceof HTMLElement && item.dataset.shapeId) {
+        const state = handlers.getState?.();
+        const shape = state?.shapes.find((s) => s.id === item.dataset.shapeId);
+        if (!state || !shape) return;
+        handlers.onShapeSelect?.(shape.id);
+        // Bring the shape on screen so its box can be dragged
+        if (state.currentFrame < shape.start || state.currentFrame > shape.end) {
+          handlers.onFrameChange(shape.start);
+        }
+        return;
+      }
+      const id = selectedId();
+      if (!id) return;
+      if (target.closest('.btn-shape-delete')) {
+        handlers.onShapeDelete?.(id);
+        return;
+      }
+      const action = target.closest('[data-action]');
+      if (action instanceof HTMLElement) {
+        const frame = handlers.getState?.()?.currentFrame ?? 0;
+        handlers.onShapeChange?.(
+          id,
+          action.dataset.action === 'set-start' ? { start: frame } : { end: frame },
+        );
+      }
+    }),
+  ];
+}
+
+/**
+ * Sync the Shapes group with the state, leaving the focused field alone
+ * @param {HTMLElement} group
+ * @param {import('./types.js').EditorState} state
+ */
+function updateShapesGroup(group, state) {
+  for (const btn of group.querySelectorAll('.shape-kind-btn')) {
+    if (!(btn instanceof HTMLElement)) continue;
+    const isOn = state.mode === 'shape' && state.shapeKind === btn.dataset.kind;
+    btn.classList.toggle('active', isOn);
+    btn.setAttribute('aria-pressed', String(isOn));
+  }
+
+  const list = group.querySelector('.shape-list');
+  if (list) {
+    list.replaceChildren(
+      ...state.shapes.map((shape) =>
+        createElement('li', {}, [
+          createElement(
+            'button',
+            {
+              className: `shape-item ${shape.id === state.selectedShapeId ? 'is-selected' : ''}`,
+              type: 'button',
+              'data-shape-id': shape.id,
+            },
+            [
+              createElement('span', {
+                className: 'shape-item-swatch',
+                style: `background: ${shape.color}`,
+              }),
+              createElement('span', { className: 'shape-item-frames' }, [
+                `${shape.start + 1}\u2013${shape.end + 1}`,
+              ]),
+              createElement('span', { className: 'shape-item-kind' }, [
+                SHAPE_KINDS.find((kind) => kind.id === shape.kind)?.name ?? shape.kind,
+              ]),
+            ],
+          ),
+        ]),
+      ),
+    );
+    if (state.shapes.length === 0) {
+      list.appendChild(
+        createElement('li', { className: 'shape-list-empty' }, [
+          'Pick a shape and drag on the preview',
+        ]),
+      );
+    }
+  }
+
+  const editor = group.querySelector('.shape-editor');
+  if (!(editor instanceof HTMLElement)) return;
+  const shape = state.shapes.find((s) => s.id === state.selectedShapeId);
+  editor.hidden = !shape;
+  if (!shape) return;
+
+  /** @type {Record<string, string>} */
+  const values = {
+    color: shape.color,
+    strokeWidth: String(shape.strokeWidth),
+    start: String(shape.start + 1),
+    end: String(shape.end + 1),
+    fadeIn: String(shape.fadeIn),
+    fadeOut: String(shape.fadeOut),
+  };
+  for (const [field, value] of Object.entries(values)) {
+    const input = /** @type {HTMLInputElement | null} */ (
+      editor.querySelector(`[data-field="${field}"]`)
+    );
+    if (input && input !== document.activeElement) input.value = value;
+  }
+}
+
+/**
+ * Update the Shapes panel after the shapes, the selection or the tool
+ * changed. Opens its accordion when a shape tool is picked.
+ * @param {HTMLElement} container - The editor screen container
+ * @param {import('./types.js').EditorState} state
+ */
+export function updateShapesPanel(container, state) {
+  const group = container.querySelector('.shapes-group');
+  if (!(group instanceof HTMLElement)) return;
+
+  updateShapesGroup(group, state);
+
+  const accordion = group.closest('details.prop-accordion');
+  if (state.mode === 'shape' && accordion instanceof HTMLElement) {
+    accordion.setAttribute('open', '');
+  }
+}
+
 /**
  * Create the Clear Crop button element
  * Click handling is delegated to the sidebar panel in renderEditorScreen,
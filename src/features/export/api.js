@@ -3,24 +3,57 @@
  * @module features/export/api
  */
 
+import { drawAnnotation } from '../../shared/utils/canvas.js';
 import { createEncoderManager } from '../../workers/worker-manager.js';
 import {
   applyFrameSkip,
+  applySizeLevel,
+  buildPngSequenceManifest,
+  buildSizeLadder,
+  buildSpriteAtlas,
+  buildSpriteSheetCss,
   calculateFrameDelay,
+  calculateFrameDelays,
   calculateMaxColors,
+  calculatePaletteStride,
+  calculateSpriteGrid,
+  extrapolateSize,
+  fitsMergedDelay,
+  getCroppedDimensions,
   getEncoderPreset,
+  getOutputFrames,
+  getPlaybackOrder,
+  getSpriteCellPosition,
+  getSpriteSheetMimeType,
+  isDuplicateFrame,
+  mapSceneCuts,
+  SPRITE_SHEET_MAX_SIDE,
+  selectPaletteFrames,
+  selectSampleIndices,
+  subsamplePixels,
+  usesGlobalPalette,
 } from './core.js';
+import {
+  extractSwatchColors,
+  parseAct,
+  parseGpl,
+  parseHexColor,
+  readGifColorTables,
+  toHexColor,
+} from './palette-file.js';
+import { resampleRGBA } from './resample.js';
 
 /**
  * Cached OffscreenCanvas + 2d context used by getFrameRGBA's non-copyTo
  * paths (the crop path, and the full-frame fallback for environments
- * without VideoFrame.copyTo). Resized in place instead of being recreated
- * on every call.
+ * without VideoFrame.copyTo) and for burning in captions and shapes.
+ * Resized in place instead of being recreated on every call.
  *
- * SAFETY: getFrameRGBA is only ever invoked sequentially, from the
- * frame-extraction loop in encodeGif — there is no concurrent/overlapping
- * use of this cache. Do not call getFrameRGBA from more than one place at
- * a time without revisiting this assumption.
+ * SAFETY: getFrameRGBA is only ever invoked sequentially, from encodeGif's
+ * duplicate scan, palette sampling and then its frame-extraction loop, or
+ * for one editor frame still (never while an export runs) — there is no
+ * concurrent/overlapping use of this cache. Do not call getFrameRGBA from
+ * more than one place at a time without revisiting this assumption.
  *
  * The cached canvas intentionally stays allocated for the lifetime of the
  * module (i.e. it is not freed once an export completes) — a single small
@@ -72,15 +105,50 @@ export function __resetFrameExtractionCacheForTests() {
   extractionCanvasCache = null;
 }
 
+/**
+ * Draw captions and shapes into extracted pixels. Runs after the crop, so
+ * only the part of an annotation inside the crop shows, and before scaling
+ * and quantization, so the drawing goes through the same steps as the frame.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image - Cropped pixels
+ * @param {import('../editor/types.js').Annotation[]} annotations - Drawn in frame coordinates
+ * @param {import('../editor/types.js').CropArea | null} crop - Crop the pixels came from
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+function burnAnnotations(image, annotations, crop) {
+  const { width, height } = image;
+  const { ctx } = getExtractionCanvas(width, height);
+  ctx.putImageData(new ImageData(image.data, width, height), 0, 0);
+  ctx.save();
+  ctx.translate(-(crop?.x ?? 0), -(crop?.y ?? 0));
+  for (const annotation of annotations) {
+    drawAnnotation(ctx, annotation);
+  }
+  ctx.restore();
+  return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
 /**
  * Extract RGBA pixel data from a VideoFrame
  * Handles both full-frame (copyTo) and cropped (OffscreenCanvas) cases
  *
  * @param {import('../capture/types.js').Frame} frame - Frame containing VideoFrame
  * @param {import('../editor/types.js').CropArea | null} crop - Optional crop region
+ * @param {import('../editor/types.js').Annotation[]} [annotations] - Captions and shapes
+ *   burned into the result
  * @returns {Promise<{ data: Uint8ClampedArray, width: number, height: number }>}
  */
-export async function getFrameRGBA(frame, crop) {
+export async function getFrameRGBA(frame, crop, annotations = []) {
+  const image = await extractFrameRGBA(frame, crop);
+  return annotations.length > 0 ? burnAnnotations(image, annotations, crop) : image;
+}
+
+/**
+ * Read the pixels of a VideoFrame, cropped
+ * @param {import('../capture/types.js').Frame} frame
+ * @param {import('../editor/types.js').CropArea | null} crop
+ * @returns {Promise<{ data: Uint8ClampedArray, width: number, height: number }>}
+ */
+async function extractFrameRGBA(frame, crop) {
   // Validate frame
   if (!frame?.frame) {
     throw new Error('Invalid frame: VideoFrame is missing or closed');
@@ -174,12 +242,104 @@ export async function checkEncoderStatus() {
   return 'gifenc-js';
 }
 
+/**
+ * Group consecutive duplicate frames into runs.
+ *
+ * Each frame is compared with the first frame of the current run rather
+ * than its direct predecessor, so slow drift below the tolerance cannot
+ * accumulate into a visible jump.
+ *
+ * @param {import('../capture/types.js').Frame[]} frames
+ * @param {import('../editor/types.js').CropArea | null} crop
+ * @param {import('../editor/types.js').Annotation[][] | undefined} annotations - Drawn on
+ *   each frame
+ * @param {number} tolerance - Largest per-channel difference to ignore
+ * @param {number[]} delaysCs - Delay of each frame, in centiseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<number[]>} Index of the first frame of each run, ascending
+ * @throws {DOMException} Throws AbortError if cancelled via signal
+ */
+async function findDuplicateRuns(frames, crop, annotations, tolerance, delaysCs, signal) {
+  /** @type {number[]} */
+  const starts = [];
+  /** @type {Uint8ClampedArray | null} */
+  let reference = null;
+  let runDelayCs = 0;
+
+  for (let i = 0; i < frames.length; i++) {
+    if (signal?.aborted) {
+      throw new DOMException('Encoding cancelled', 'AbortError');
+    }
+    const { data } = await getFrameRGBA(frames[i], crop, annotations?.[i]);
+    if (
+      reference &&
+      fitsMergedDelay(runDelayCs + delaysCs[i]) &&
+      isDuplicateFrame(reference, data, tolerance)
+    ) {
+      runDelayCs += delaysCs[i];
+      continue;
+    }
+    starts.push(i);
+    reference = data;
+    runDelayCs = delaysCs[i];
+  }
+
+  return starts;
+}
+
+/**
+ * Sample pixels from across the clip for one global palette (first pass of
+ * two-pass palette generation)
+ * @param {import('../capture/types.js').Frame[]} frames - Frames being exported
+ * @param {import('../editor/types.js').CropArea | null} crop
+ * @param {import('../editor/types.js').Annotation[][] | undefined} annotations - Drawn on
+ *   each frame
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Uint8ClampedArray>} RGBA pixels
+ * @throws {DOMException} Throws AbortError if cancelled via signal
+ */
+async function buildPaletteSample(frames, crop, annotations, signal) {
+  const indices = selectPaletteFrames(frames.length);
+  /** @type {Uint8ClampedArray[]} */
+  const parts = [];
+  let stride = 1;
+
+  for (let i = 0; i < indices.length; i++) {
+    if (signal?.aborted) {
+      throw new DOMException('Encoding cancelled', 'AbortError');
+    }
+    const { data, width, height } = await getFrameRGBA(
+      frames[indices[i]],
+      crop,
+      annotations?.[indices[i]],
+    );
+    if (i === 0) {
+      stride = calculatePaletteStride(width * height, indices.length);
+    }
+    parts.push(subsamplePixels(data, stride, i));
+  }
+
+  const sample = new Uint8ClampedArray(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    sample.set(part, offset);
+    offset += part.length;
+  }
+  return sample;
+}
+
 /**
  * @typedef {Object} EncodeParams
  * @property {import('../capture/types.js').Frame[]} frames - Frames to encode
  * @property {import('../editor/types.js').CropArea | null} crop - Crop region
  * @property {import('./types.js').ExportSettings} settings - Export settings
  * @property {number} fps - Source FPS for frame delay calculation
+ * @property {number[]} [sceneStarts] - Indices into `frames` where a new scene begins
+ * @property {number[]} [cutJoins] - Indices into `frames` followed by cut frames
+ * @property {import('../editor/types.js').DelayOverrides} [holds] - Display times in ms by index
+ *   into `frames`, written in place of their delays
+ * @property {import('../editor/types.js').Annotation[][]} [annotations] - Captions and shapes
+ *   burned into each of `frames`
  * @property {(progress: { percent: number, current: number, total: number }) => void} onProgress
  */
 
@@ -202,10 +362,24 @@ const DEFAULT_FPS = 30;
 export const MAX_IN_FLIGHT_FRAMES = 4;
 
 export async function encodeGif(params, signal) {
-  const { frames, crop, settings, fps = DEFAULT_FPS, onProgress } = params;
+  const {
+    frames,
+    crop,
+    settings,
+    fps = DEFAULT_FPS,
+    sceneStarts,
+    cutJoins,
+    holds,
+    annotations,
+    onProgress,
+  } = params;
 
-  // Apply frame skip
-  const skippedFrames = applyFrameSkip(frames, settings.frameSkip);
+  // Apply frame skip, then the playback direction. Reverse and ping-pong
+  // only rearrange frame references; pixels are read per written frame.
+  const keptFrames = applyFrameSkip(frames, settings.frameSkip);
+  const playbackOrder = getPlaybackOrder(keptFrames.length, settings.playbackDirection);
+  const skippedFrames = playbackOrder ? playbackOrder.map((i) => keptFrames[i]) : keptFrames;
+  const skippedAnnotations = annotations && getOutputFrames(annotations, settings);
 
   if (skippedFrames.length === 0) {
     throw new Error('No frames to encode');
@@ -215,16 +389,59 @@ export async function encodeGif(params, signal) {
   const frameDelayCs = calculateFrameDelay(fps, settings.playbackSpeed, settings.frameSkip);
   const frameDelayMs = frameDelayCs * 10;
 
-  // Determine output dimensions
-  const firstFrame = skippedFrames[0];
-  const width = crop ? crop.width : firstFrame.width;
-  const height = crop ? crop.height : firstFrame.height;
+  // Per-frame delays: all frameDelayCs, or measured from capture timestamps
+  const delaysCs = calculateFrameDelays(frames, fps, settings, cutJoins, holds);
+
+  // Determine output dimensions: crop size, then output scaling
+  const { width, height } = getCroppedDimensions(skippedFrames[0], crop, settings);
 
   // Get encoder preset configuration
   const preset = getEncoderPreset(settings.encoderPreset);
 
-  // Calculate max colors based on quality and preset
-  const maxColors = calculateMaxColors(settings.quality, settings.encoderPreset);
+  // Calculate max colors based on quality and preset, unless pinned
+  const maxColors =
+    settings.maxColors ?? calculateMaxColors(settings.quality, settings.encoderPreset);
+
+  // A PNG sequence writes one file per selected frame, duplicates included
+  const isPngSequence = settings.encoderId === 'png-zip';
+  const mergeDuplicates = settings.mergeDuplicates && !isPngSequence;
+
+  // Collapse runs of duplicate frames into one frame each. Every source
+  // frame still contributes its delay, so the total length is unchanged.
+  const runStarts = mergeDuplicates
+    ? await findDuplicateRuns(
+        skippedFrames,
+        crop,
+        skippedAnnotations,
+        settings.duplicateTolerance ?? 0,
+        delaysCs,
+        signal,
+      )
+    : skippedFrames.map((_, i) => i);
+  const outputFrameCount = runStarts.length;
+  if (mergeDuplicates) {
+    onProgress({ percent: 0, current: 0, total: outputFrameCount });
+  }
+
+  // Rebuild the palette where the content actually changes
+  const sceneCuts = sceneStarts
+    ? mapSceneCuts(sceneStarts, settings.frameSkip, runStarts, keptFrames.length, playbackOrder)
+    : undefined;
+
+  // Two-pass palette: sample the whole selection before any frame is sent
+  const paletteSample = usesGlobalPalette(settings)
+    ? await buildPaletteSample(skippedFrames, crop, skippedAnnotations, signal)
+    : undefined;
+
+  const manifest = isPngSequence
+    ? buildPngSequenceManifest({
+        frames: skippedFrames,
+        delaysMs: delaysCs.map((cs) => cs * 10),
+        crop,
+        size: { width, height },
+        fps,
+      })
+    : undefined;
 
   // Create worker manager
   const manager = createEncoderManager();
@@ -262,12 +479,24 @@ export async function encodeGif(params, signal) {
       encoderId: settings.encoderId,
       width,
       height,
-      totalFrames: skippedFrames.length,
+      totalFrames: outputFrameCount,
       maxColors,
       frameDelayMs,
       loopCount: settings.loopCount,
       quantizeFormat: preset.format,
       paletteInterval: preset.paletteInterval,
+      quantizer: settings.quantizer,
+      sceneCuts,
+      dither: settings.dithering ? settings.ditherMethod : 'none',
+      optimizeFrames: settings.optimizeFrames,
+      palette: settings.customPalette?.colors.map(parseHexColor),
+      pinnedColors: settings.pinnedColors?.length
+        ? settings.pinnedColors.map(parseHexColor)
+        : undefined,
+      paletteSample,
+      quality: settings.quality,
+      lossless: settings.lossless,
+      manifest,
     });
 
     // Setup progress callback (also releases backpressure window slots)
@@ -289,7 +518,7 @@ export async function encodeGif(params, signal) {
     };
 
     // Extract and send frames to worker with bounded in-flight window
-    for (let i = 0; i < skippedFrames.length; i++) {
+    for (let i = 0; i < outputFrameCount; i++) {
       // Wait until the in-flight window has room (i frames submitted so far)
       while (i - processedFrames >= MAX_IN_FLIGHT_FRAMES && !signal?.aborted && !frameError) {
         await new Promise((resolve) => {
@@ -307,14 +536,19 @@ export async function encodeGif(params, signal) {
         throw frameError;
       }
 
-      const frame = skippedFrames[i];
+      const frame = skippedFrames[runStarts[i]];
+      const runEnd = runStarts[i + 1] ?? skippedFrames.length;
+      let runDelayCs = 0;
+      for (let j = runStarts[i]; j < runEnd; j++) {
+        runDelayCs += delaysCs[j];
+      }
 
       // Extract RGBA data (handles crop internally)
       const {
         data: rgba,
         width: frameWidth,
         height: frameHeight,
-      } = await getFrameRGBA(frame, crop);
+      } = await getFrameRGBA(frame, crop, skippedAnnotations?.[runStarts[i]]);
 
       // Re-check after the await: an abort during extraction has already
       // disposed the manager, and addFrame would throw WorkerError instead
@@ -330,9 +564,20 @@ export async function encodeGif(params, signal) {
         throw frameError;
       }
 
+      // Resize to the output size when scaling is active
+      const output =
+        frameWidth === width && frameHeight === height
+          ? { data: rgba, width, height }
+          : scaleFrame(
+              { data: rgba, width: frameWidth, height: frameHeight },
+              width,
+              height,
+              settings.resampleFilter,
+            );
+
       // Send frame to worker. The buffer is transferred (detached), so
-      // `rgba` must not be reused after this call.
-      manager.addFrame(rgba, frameWidth, frameHeight, i);
+      // `output.data` must not be reused after this call.
+      manager.addFrame(output.data, output.width, output.height, i, runDelayCs * 10);
     }
 
     // A frame error that arrived after the last submission must fail the
@@ -350,6 +595,352 @@ export async function encodeGif(params, signal) {
   }
 }
 
+/**
+ * Share of the budget a sample-based estimate may use. Samples are noisy,
+ * and a full encode that overshoots costs far more than the margin.
+ */
+const TARGET_SIZE_HEADROOM = 0.95;
+
+/** Full encodes tried before settling for the smallest result */
+const MAX_TARGET_ENCODES = 3;
+
+/**
+ * @typedef {Object} TargetSizeParams
+ * @property {import('../capture/types.js').Frame[]} frames - Frames to encode
+ * @property {import('../editor/types.js').CropArea | null} crop - Crop region
+ * @property {import('./types.js').ExportSettings} settings - Starting settings (ladder rung 0)
+ * @property {number} fps - Source FPS for frame delay calculation
+ * @property {number[]} [sceneStarts] - Indices into `frames` where a new scene begins
+ * @property {number[]} [cutJoins] - Indices into `frames` followed by cut frames
+ * @property {import('../editor/types.js').DelayOverrides} [holds] - Display times in ms by index
+ *   into `frames`, written in place of their delays
+ * @property {import('../editor/types.js').Annotation[][]} [annotations] - Captions and shapes
+ *   burned into each of `frames`
+ * @property {number} targetBytes - File size budget
+ * @property {(progress: { percent: number, current: number, total: number, phase: import('./types.js').EncodingPhase }) => void} onProgress
+ */
+
+/**
+ * @typedef {Object} TargetSizeResult
+ * @property {Blob} blob - Smallest encode that fits, or the smallest one tried
+ * @property {import('./types.js').ExportSettings} settings - Settings that produced blob
+ * @property {number} frameCount - Frames written to blob, after merging duplicates
+ * @property {import('./types.js').TargetSizeReport} report
+ */
+
+/**
+ * Encode under a file size budget.
+ *
+ * Walks the ladder from buildSizeLadder: sample frames are trial-encoded
+ * through encodeGif to bisect for the highest-quality rung whose
+ * extrapolated size fits, then the whole clip is encoded at that rung. If
+ * the real file still overshoots, the estimates are scaled by the observed
+ * error and the search resumes below that rung.
+ *
+ * @param {TargetSizeParams} params
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<TargetSizeResult>}
+ * @throws {DOMException} Throws AbortError if cancelled via signal
+ */
+export async function encodeToTargetSize(params, signal) {
+  const {
+    frames,
+    crop,
+    settings,
+    fps = DEFAULT_FPS,
+    sceneStarts,
+    cutJoins,
+    holds,
+    annotations,
+    targetBytes,
+    onProgress,
+  } = params;
+
+  if (frames.length === 0) {
+    throw new Error('No frames to encode');
+  }
+
+  const cropSize = getCroppedDimensions(frames[0], crop);
+  const ladder = buildSizeLadder(settings);
+  const rungSettings = ladder.map((level, i) => applySizeLevel(settings, level, cropSize, i === 0));
+
+  const throwIfAborted = () => {
+    if (signal?.aborted) {
+      throw new DOMException('Encoding cancelled', 'AbortError');
+    }
+  };
+
+  /** @type {Map<number, { bytes: number, blob: Blob | null, frameCount: number }>} */
+  const estimates = new Map();
+  let trials = 0;
+  let encodes = 0;
+  // Bisection cost; only used to scale progress during the search
+  const expectedTrials = Math.max(1, Math.ceil(Math.log2(ladder.length)));
+
+  /**
+   * Estimate a rung's full size from a sample encode. Short clips are
+   * sampled whole, so their "trial" is already the final file.
+   * @param {number} index
+   */
+  const estimate = async (index) => {
+    const cached = estimates.get(index);
+    if (cached) return cached;
+
+    throwIfAborted();
+    const rung = rungSettings[index];
+    const rungFrames = getOutputFrames(frames, rung);
+    const rungAnnotations = annotations && getOutputFrames(annotations, rung);
+    const indices = selectSampleIndices(rungFrames.length);
+    const complete = indices.length === rungFrames.length;
+
+    // Samples are already skipped; keep the rung's frame delay by scaling fps
+    let frameCount = rungFrames.length;
+    const blob = complete
+      ? await encodeGif(
+          {
+            frames,
+            crop,
+            settings: rung,
+            fps,
+            sceneStarts,
+            cutJoins,
+            holds,
+            annotations,
+            onProgress: (progress) => {
+              frameCount = progress.total;
+            },
+          },
+          signal,
+        )
+      : await encodeGif(
+          {
+            frames: indices.map((i) => rungFrames[i]),
+            crop,
+            // Samples are not consecutive, so their timestamps and scene
+            // cuts mean nothing; they are already in playback order
+            settings: { ...rung, frameSkip: 1, realTiming: false, playbackDirection: 'forward' },
+            fps: fps / rung.frameSkip,
+            annotations: rungAnnotations && indices.map((i) => rungAnnotations[i]),
+            onProgress: () => {},
+          },
+          signal,
+        );
+
+    trials++;
+    onProgress({
+      percent: Math.min(95, Math.round((trials / expectedTrials) * 100)),
+      current: trials,
+      total: Math.max(trials, expectedTrials),
+      phase: 'searching',
+    });
+
+    const entry = complete
+      ? { bytes: blob.size, blob, frameCount }
+      : {
+          bytes: extrapolateSize(blob.size, indices.length, rungFrames.length),
+          blob: null,
+          frameCount,
+        };
+    estimates.set(index, entry);
+    return entry;
+  };
+
+  /**
+   * @param {number} index
+   * @returns {Promise<{ blob: Blob, frameCount: number }>}
+   */
+  const encodeFull = async (index) => {
+    throwIfAborted();
+    encodes++;
+    let frameCount = getOutputFrames(frames, rungSettings[index]).length;
+    const blob = await encodeGif(
+      {
+        frames,
+        crop,
+        settings: rungSettings[index],
+        fps,
+        sceneStarts,
+        cutJoins,
+        holds,
+        annotations,
+        onProgress: (progress) => {
+          frameCount = progress.total;
+          onProgress({ ...progress, phase: 'encoding' });
+        },
+      },
+      signal,
+    );
+    return { blob, frameCount };
+  };
+
+  const budget = targetBytes * TARGET_SIZE_HEADROOM;
+  let correction = 1;
+  let low = 0;
+  /** @type {{ index: number, blob: Blob, frameCount: number } | null} */
+  let smallest = null;
+
+  while (low < ladder.length && encodes < MAX_TARGET_ENCODES) {
+    // Bisect for the first rung that fits; the last rung is the fallback
+    let lo = low;
+    let hi = ladder.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if ((await estimate(mid)).bytes * correction <= budget) {
+        hi = mid;
+      } else {
+        lo = mid + 1;
+      }
+    }
+
+    const trial = estimates.get(lo);
+    const { blob, frameCount } = trial?.blob
+      ? { blob: trial.blob, frameCount: trial.frameCount }
+      : await encodeFull(lo);
+    if (!smallest || blob.size < smallest.blob.size) {
+      smallest = { index: lo, blob, frameCount };
+    }
+    if (blob.size <= targetBytes) break;
+
+    if (trial && !trial.blob) {
+      correction = Math.max(correction, blob.size / trial.bytes);
+    }
+    low = lo + 1;
+  }
+
+  if (!smallest) {
+    throw new Error('No frames to encode');
+  }
+
+  const { index, blob, frameCount } = smallest;
+  const level = ladder[index];
+  const output = getCroppedDimensions(frames[0], crop, rungSettings[index]);
+  return {
+    blob,
+    settings: rungSettings[index],
+    frameCount,
+    report: {
+      targetBytes,
+      fits: blob.size <= targetBytes,
+      quality: level.quality,
+      maxColors: level.maxColors,
+      frameSkip: level.frameSkip,
+      width: output.width,
+      height: output.height,
+      trials,
+      encodes,
+    },
+  };
+}
+
+/**
+ * @typedef {Object} SpriteSheetParams
+ * @property {import('../capture/types.js').Frame[]} frames - Frames to lay out
+ * @property {import('../editor/types.js').CropArea | null} crop - Crop region
+ * @property {import('./types.js').ExportSettings} settings - Export settings
+ * @property {number} fps - Source FPS for frame delay calculation
+ * @property {number[]} [cutJoins] - Indices into `frames` followed by cut frames
+ * @property {import('../editor/types.js').DelayOverrides} [holds] - Display times in ms by index
+ *   into `frames`, written in place of their delays
+ * @property {import('../editor/types.js').Annotation[][]} [annotations] - Captions and shapes
+ *   burned into each of `frames`
+ * @property {string} imageName - File name the atlas and CSS refer to the sheet by
+ * @property {(progress: { percent: number, current: number, total: number }) => void} onProgress
+ */
+
+/**
+ * Lay the frames out as a grid in one PNG or WebP image, with a JSON atlas
+ * and a CSS animation that plays it.
+ *
+ * Frames are chosen by frame skip and cropped and scaled exactly like the
+ * GIF path; the atlas carries the same per-frame delays a GIF would get.
+ * Drawing happens on the main thread: putImageData is cheap next to the
+ * frame readback, and the sheet is compressed once by the browser.
+ *
+ * @param {SpriteSheetParams} params
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ blob: Blob } & import('./types.js').SpriteSheetFiles>}
+ * @throws {DOMException} Throws AbortError if cancelled via signal
+ */
+export async function encodeSpriteSheet(params, signal) {
+  const {
+    frames,
+    crop,
+    settings,
+    fps = DEFAULT_FPS,
+    cutJoins,
+    holds,
+    annotations,
+    imageName,
+    onProgress,
+  } = params;
+
+  const selectedFrames = getOutputFrames(frames, settings);
+  const selectedAnnotations = annotations && getOutputFrames(annotations, settings);
+  if (selectedFrames.length === 0) {
+    throw new Error('No frames to encode');
+  }
+
+  const cell = getCroppedDimensions(selectedFrames[0], crop, settings);
+  const grid = calculateSpriteGrid(selectedFrames.length, cell, settings.spriteSheetColumns);
+  if (grid.width > SPRITE_SHEET_MAX_SIDE || grid.height > SPRITE_SHEET_MAX_SIDE) {
+    throw new Error(
+      `A ${grid.width}\u00D7${grid.height} sprite sheet is over the ${SPRITE_SHEET_MAX_SIDE} pixel limit; ` +
+        'reduce the output size, skip frames or change the columns',
+    );
+  }
+
+  const canvas = new OffscreenCanvas(grid.width, grid.height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Failed to get OffscreenCanvas 2d context');
+  }
+
+  for (let i = 0; i < selectedFrames.length; i++) {
+    if (signal?.aborted) {
+      throw new DOMException('Encoding cancelled', 'AbortError');
+    }
+
+    const rgba = await getFrameRGBA(selectedFrames[i], crop, selectedAnnotations?.[i]);
+    const output =
+      rgba.width === cell.width && rgba.height === cell.height
+        ? rgba
+        : scaleFrame(rgba, cell.width, cell.height, settings.resampleFilter);
+    const { x, y } = getSpriteCellPosition(i, grid.columns, cell);
+    ctx.putImageData(new ImageData(output.data, output.width, output.height), x, y);
+
+    onProgress({
+      percent: Math.round(((i + 1) / selectedFrames.length) * 100),
+      current: i + 1,
+      total: selectedFrames.length,
+    });
+  }
+
+  if (signal?.aborted) {
+    throw new DOMException('Encoding cancelled', 'AbortError');
+  }
+
+  const type = getSpriteSheetMimeType(settings.spriteSheetFormat);
+  const blob = await canvas.convertToBlob(
+    type === 'image/webp' ? { type, quality: settings.lossless ? 1 : settings.quality } : { type },
+  );
+  // Browsers without a WebP encoder silently hand back a PNG
+  if (blob.type !== type) {
+    throw new Error(`This browser cannot write ${settings.spriteSheetFormat.toUpperCase()} images`);
+  }
+
+  const atlas = buildSpriteAtlas({
+    image: imageName,
+    format: settings.spriteSheetFormat,
+    cell,
+    columns: settings.spriteSheetColumns,
+    delaysMs: calculateFrameDelays(frames, fps, settings, cutJoins, holds).map(
+      (delayCs) => delayCs * 10,
+    ),
+    loopCount: settings.loopCount,
+  });
+  return { blob, atlas, css: buildSpriteSheetCss(atlas) };
+}
+
 /**
  * Download blob as file
  * @param {Blob} blob
@@ -366,6 +957,66 @@ export function downloadBlob(blob, filename) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Read a palette file chosen by the user
+ * @param {File} file - GIMP .gpl, Adobe .act, or a PNG swatch image
+ * @returns {Promise<import('./types.js').CustomPalette>}
+ * @throws {Error} For unsupported or malformed files
+ */
+export async function importPaletteFile(file) {
+  const extension = file.name.split('.').pop()?.toLowerCase() ?? '';
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+
+  /** @type {{ name: string, colors: number[][] }} */
+  let palette;
+  if (extension === 'gpl') {
+    const parsed = parseGpl(await file.text());
+    palette = { name: parsed.name || baseName, colors: parsed.colors };
+  } else if (extension === 'act') {
+    palette = { name: baseName, colors: parseAct(new Uint8Array(await file.arrayBuffer())) };
+  } else if (extension === 'png' || file.type === 'image/png') {
+    const bitmap = await createImageBitmap(file);
+    try {
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) {
+        throw new Error('Failed to get OffscreenCanvas 2d context');
+      }
+      ctx.drawImage(bitmap, 0, 0);
+      const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+      palette = { name: baseName, colors: extractSwatchColors(data) };
+    } finally {
+      bitmap.close();
+    }
+  } else {
+    throw new Error('Unsupported palette file: use .gpl, .act or a PNG swatch image');
+  }
+
+  return { name: palette.name, colors: palette.colors.map(toHexColor) };
+}
+
+/**
+ * Read back the palette a GIF encode produced
+ * @param {Blob} blob - Encoded output
+ * @returns {Promise<{ palette: number[][], localPalettes: number } | null>} null for non-GIF output
+ */
+export async function readOutputPalette(blob) {
+  if (blob.type !== 'image/gif') return null;
+
+  const tables = readGifColorTables(new Uint8Array(await blob.arrayBuffer()));
+  if (!tables?.global) return null;
+
+  // Tables are padded to a power of two; show each color once
+  const seen = new Set();
+  const palette = tables.global.filter((color) => {
+    const hex = toHexColor(color);
+    if (seen.has(hex)) return false;
+    seen.add(hex);
+    return true;
+  });
+  return { palette, localPalettes: tables.localTables };
+}
+
 /** Delay before revoking blob URL in new tab (ms) - allows tab to load content */
 const BLOB_URL_REVOKE_DELAY_MS = 60000;
 
@@ -423,36 +1074,25 @@ export function getBlobSize(blob) {
 }
 
 /**
- * Scale a frame to target dimensions using Canvas
- * @param {ImageData} imageData - Source image data
+ * Scale a frame to target dimensions with the selected resampling filter.
+ *
+ * Pure JavaScript rather than canvas drawImage: canvas smoothing quality is
+ * browser-defined, and the filter choice must actually change the output.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData - Source RGBA (ImageData-compatible)
  * @param {number} targetWidth - Target width
  * @param {number} targetHeight - Target height
- * @returns {ImageData} Scaled image data
+ * @param {import('./types.js').ResampleFilter} [filter='lanczos'] - Resampling filter
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }} Scaled RGBA
  */
-export function scaleFrame(imageData, targetWidth, targetHeight) {
-  // Create source canvas with original image
-  const srcCanvas = document.createElement('canvas');
-  srcCanvas.width = imageData.width;
-  srcCanvas.height = imageData.height;
-  const srcCtx = srcCanvas.getContext('2d');
-  if (!srcCtx) {
-    throw new Error('Failed to get source canvas context');
-  }
-  srcCtx.putImageData(imageData, 0, 0);
-
-  // Create destination canvas with target dimensions
-  const dstCanvas = document.createElement('canvas');
-  dstCanvas.width = targetWidth;
-  dstCanvas.height = targetHeight;
-  const dstCtx = dstCanvas.getContext('2d');
-  if (!dstCtx) {
-    throw new Error('Failed to get destination canvas context');
-  }
-
-  // Use high-quality image scaling
-  dstCtx.imageSmoothingEnabled = true;
-  dstCtx.imageSmoothingQuality = 'high';
-  dstCtx.drawImage(srcCanvas, 0, 0, targetWidth, targetHeight);
-
-  return dstCtx.getImageData(0, 0, targetWidth, targetHeight);
+export function scaleFrame(imageData, targetWidth, targetHeight, filter = 'lanczos') {
+  const data = resampleRGBA(
+    imageData.data,
+    imageData.width,
+    imageData.height,
+    targetWidth,
+    targetHeight,
+    filter,
+  );
+  return { data, width: targetWidth, height: targetHeight };
 }
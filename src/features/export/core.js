@@ -4,6 +4,7 @@
  */
 
 import { loadSettings } from '../../shared/user-settings.js';
+import { getAnnotationsAt } from '../editor/core.js';
 
 /** @type {readonly [1, 2, 3, 4, 5]} */
 const VALID_FRAME_SKIPS = /** @type {const} */ ([1, 2, 3, 4, 5]);
@@ -26,6 +27,27 @@ const SIZE_ESTIMATION = {
   ditheringMultiplier: 1.2,
 };
 
+/**
+ * File extension of each encoder's output
+ * @type {Readonly<Record<import('./encoders/types.js').EncoderId, string>>}
+ */
+const ENCODER_FILE_EXTENSIONS = {
+  'gifenc-js': 'gif',
+  'gifsicle-wasm': 'gif',
+  'webp-native': 'webp',
+  'apng-js': 'png',
+  'webm-webcodecs': 'webm',
+  'mp4-webcodecs': 'mp4',
+  'sprite-sheet': 'png',
+  'png-zip': 'zip',
+};
+
+/** Encoders whose output size cannot be traded for quality */
+const FIXED_SIZE_ENCODERS = new Set(['sprite-sheet', 'png-zip']);
+
+/** Output size bounds in pixels (per side) */
+const OUTPUT_SIZE = { min: 1, max: 8192 };
+
 /** Preset size factors for file size estimation */
 const PRESET_SIZE_FACTORS = {
   fast: 0.7,
@@ -64,6 +86,90 @@ export const ENCODER_PRESETS = /** @type {const} */ ([
   },
 ]);
 
+/**
+ * Selectable palette quantizers (gifenc), in UI order, with their speed/quality tradeoff
+ * (1-5, relative to each other)
+ * @type {ReadonlyArray<import('./quantizers/types.js').QuantizerMetadata>}
+ */
+export const QUANTIZERS = [
+  {
+    id: 'gifenc',
+    name: 'gifenc (default)',
+    description: "Built-in quantizer at the preset's color precision; fastest",
+    speed: 5,
+    quality: 2,
+  },
+  {
+    id: 'median-cut',
+    name: 'Median cut',
+    description: 'Splits color space where the image varies most; solid all-rounder',
+    speed: 4,
+    quality: 3,
+  },
+  {
+    id: 'octree',
+    name: 'Octree',
+    description: 'Keeps flat UI and terminal colors distinct; coarse on gradients',
+    speed: 4,
+    quality: 2,
+  },
+  {
+    id: 'neuquant',
+    name: 'NeuQuant',
+    description: 'Neural network; smooth photo-like gradients, slower',
+    speed: 2,
+    quality: 4,
+  },
+  {
+    id: 'kmeans',
+    name: 'K-means',
+    description: 'Refines median cut to the lowest color error; slowest',
+    speed: 1,
+    quality: 5,
+  },
+];
+
+/**
+ * Resampling filters for output scaling, fastest first
+ * @type {ReadonlyArray<{ id: import('./types.js').ResampleFilter, name: string, description: string }>}
+ */
+export const RESAMPLE_FILTERS = [
+  {
+    id: 'nearest',
+    name: 'Nearest',
+    description: 'Hard pixel edges, for pixel art and exact 2x/3x sizes',
+  },
+  {
+    id: 'bilinear',
+    name: 'Bilinear',
+    description: 'Fast and smooth, slightly soft',
+  },
+  {
+    id: 'bicubic',
+    name: 'Bicubic',
+    description: 'Sharper than bilinear, good all-rounder',
+  },
+  {
+    id: 'lanczos',
+    name: 'Lanczos',
+    description: 'Sharpest downscaling, keeps small text readable',
+  },
+];
+
+/**
+ * Playback directions shared by the editor preview and export
+ * @type {ReadonlyArray<{ id: import('./types.js').PlaybackDirection, name: string, description: string }>}
+ */
+export const PLAYBACK_DIRECTIONS = [
+  { id: 'forward', name: 'Forward', description: 'Frames in capture order' },
+  { id: 'reverse', name: 'Reverse', description: 'Last frame first' },
+  {
+    id: 'pingpong',
+    name: 'Ping-pong',
+    description: 'Forward, then back again without repeating the end frames',
+  },
+];
+
 /**
  * Get encoder preset by ID
  * @param {import('./types.js').EncoderPreset} presetId
@@ -106,10 +212,33 @@ export function createDefaultSettings() {
       frameSkip: userSettings.export.frameSkip,
       playbackSpeed: userSettings.export.playbackSpeed,
       dithering: userSettings.export.dithering,
+      ditherMethod: userSettings.export.ditherMethod,
+      quantizer: userSettings.export.quantizer,
+      optimizeFrames: userSettings.export.optimizeFrames,
+      globalPalette: userSettings.export.globalPalette,
+      customPalette: userSettings.export.customPalette,
+      pinnedColors: userSettings.export.pinnedColors,
+      realTiming: userSettings.export.realTiming,
+      playbackDirection: userSettings.export.playbackDirection,
+      mergeDuplicates: userSettings.export.mergeDuplicates,
+      duplicateTolerance: userSettings.export.duplicateTolerance,
       loopCount: userSettings.export.loopCount,
       openInNewTab: userSettings.export.openInNewTab,
       encoderPreset: userSettings.export.encoderPreset,
       encoderId: userSettings.export.encoderId,
+      lossless: userSettings.export.lossless,
+      spriteSheetFormat: userSettings.export.spriteSheetFormat,
+      spriteSheetColumns: userSettings.export.spriteSheetColumns,
+      scaleMode: userSettings.export.scaleMode,
+      scalePercent: userSettings.export.scalePercent,
+      scaleMaxWidth: userSettings.export.scaleMaxWidth,
+      scaleMaxHeight: userSettings.export.scaleMaxHeight,
+      scaleWidth: userSettings.export.scaleWidth,
+      scaleHeight: userSettings.export.scaleHeight,
+      scaleLockAspect: userSettings.export.scaleLockAspect,
+      resampleFilter: userSettings.export.resampleFilter,
+      targetSizeEnabled: userSettings.export.targetSizeEnabled,
+      targetSizeKB: userSettings.export.targetSizeKB,
     };
   } catch {
     // Fallback to hardcoded defaults if import fails
@@ -118,10 +247,33 @@ export function createDefaultSettings() {
       frameSkip: 1,
       playbackSpeed: 1,
       dithering: true,
+      ditherMethod: 'floyd-steinberg',
+      quantizer: 'gifenc',
+      optimizeFrames: false,
+      globalPalette: false,
+      customPalette: null,
+      pinnedColors: [],
+      realTiming: false,
+      playbackDirection: 'forward',
+      mergeDuplicates: false,
+      duplicateTolerance: 0,
       loopCount: 0,
       openInNewTab: false,
       encoderPreset: 'balanced',
       encoderId: 'gifenc-js',
+      lossless: true,
+      spriteSheetFormat: 'png',
+      spriteSheetColumns: 0,
+      scaleMode: 'original',
+      scalePercent: 50,
+      scaleMaxWidth: 640,
+      scaleMaxHeight: 0,
+      scaleWidth: 0,
+      scaleHeight: 0,
+      scaleLockAspect: true,
+      resampleFilter: 'lanczos',
+      targetSizeEnabled: false,
+      targetSizeKB: 10240,
     };
   }
 }
@@ -174,6 +326,7 @@ export function validateSettings(settings) {
  * @property {number} quality - Quality setting
  * @property {boolean} dithering - Dithering enabled
  * @property {number} frameSkip - Frame skip factor
+ * @property {import('./types.js').PlaybackDirection} [playbackDirection='forward'] - Frame order
  * @property {import('./types.js').EncoderPreset} [encoderPreset='balanced'] - Encoder preset
  */
 
@@ -193,8 +346,8 @@ export function estimateSize(params) {
     encoderPreset = 'balanced',
   } = params;
 
-  // Effective frame count after skip
-  const effectiveFrames = Math.ceil(frameCount / frameSkip);
+  // Effective frame count after skip and ping-pong
+  const effectiveFrames = getOutputFrameCount(frameCount, frameSkip, params.playbackDirection);
 
   // Pixels per frame
   const pixelsPerFrame = width * height;
@@ -255,10 +408,11 @@ export function calculateFrameDelay(fps, playbackSpeed, frameSkip) {
 }
 
 /**
- * Apply frame skip to frame array
- * @param {import('../capture/types.js').Frame[]} frames
+ * Apply frame skip to frame array, or to any per-frame values alongside it
+ * @template T
+ * @param {T[]} frames
  * @param {number} skip - Use every Nth frame
- * @returns {import('../capture/types.js').Frame[]}
+ * @returns {T[]}
  */
 export function applyFrameSkip(frames, skip) {
   if (skip <= 1) return frames;
@@ -270,6 +424,71 @@ export function applyFrameSkip(frames, skip) {
   return result;
 }
 
+/**
+ * Order in which the frames kept by frame skip are written.
+ *
+ * Ping-pong plays forward, then back without repeating either end frame,
+ * so the loop joins seamlessly: 0 1 2 3 2 1 | 0 1 2 3 2 1 ...
+ *
+ * @param {number} count - Frames after frame skip
+ * @param {import('./types.js').PlaybackDirection} [direction='forward']
+ * @returns {number[] | null} Kept-frame index of each written frame; null when
+ *   frames play in capture order
+ */
+export function getPlaybackOrder(count, direction = 'forward') {
+  if (direction === 'reverse') {
+    return Array.from({ length: count }, (_, i) => count - 1 - i);
+  }
+  if (direction === 'pingpong' && count > 2) {
+    const order = Array.from({ length: count }, (_, i) => i);
+    for (let i = count - 2; i > 0; i--) {
+      order.push(i);
+    }
+    return order;
+  }
+  return null;
+}
+
+/**
+ * Reorder per-frame values for a playback direction. Only references are
+ * rearranged; ping-pong repeats them, it does not copy what they point to.
+ * @template T
+ * @param {T[]} items - One entry per frame kept by frame skip
+ * @param {import('./types.js').PlaybackDirection} [direction]
+ * @returns {T[]}
+ */
+export function applyPlaybackDirection(items, direction) {
+  const order = getPlaybackOrder(items.length, direction);
+  return order ? order.map((i) => items[i]) : items;
+}
+
+/**
+ * Frames an export writes: frame skip, then the playback direction. Per-frame
+ * values alongside the frames come out in the same order.
+ * @template T
+ * @param {T[]} frames
+ * @param {Pick<import('./types.js').ExportSettings, 'frameSkip' | 'playbackDirection'>} settings
+ * @returns {T[]}
+ */
+export function getOutputFrames(frames, settings) {
+  return applyPlaybackDirection(
+    applyFrameSkip(frames, settings.frameSkip),
+    settings.playbackDirection,
+  );
+}
+
+/**
+ * Number of frames an export writes, before duplicates are merged
+ * @param {number} frameCount - Selected frames
+ * @param {number} frameSkip
+ * @param {import('./types.js').PlaybackDirection} [direction]
+ * @returns {number}
+ */
+export function getOutputFrameCount(frameCount, frameSkip, direction) {
+  const kept = Math.ceil(frameCount / Math.max(1, frameSkip));
+  return direction === 'pingpong' && kept > 2 ? kept * 2 - 2 : kept;
+}
+
 /**
  * @typedef {Object} ProgressInfo
  * @property {number} percent - Completion percentage (0-100)
@@ -305,24 +524,109 @@ export function calculateProgress(current, total, startTime) {
 import { getEffectiveDimensions } from '../../shared/utils/geometry.js';
 
 /**
- * Apply crop to frame dimensions
+ * Output scaling fields of ExportSettings
+ * @typedef {Pick<import('./types.js').ExportSettings,
+ *   'scaleMode'|'scalePercent'|'scaleMaxWidth'|'scaleMaxHeight'|'scaleWidth'|'scaleHeight'|'scaleLockAspect'>} ScaleSettings
+ */
+
+/**
+ * Calculate the output size for a crop under the scaling settings
+ * @param {{ width: number, height: number }} source - Crop (or frame) size
+ * @param {Partial<ScaleSettings>} settings
+ * @returns {{ width: number, height: number }}
+ */
+export function calculateOutputDimensions(source, settings) {
+  const { width, height } = source;
+  const clampSide = (/** @type {number} */ v) =>
+    Math.min(OUTPUT_SIZE.max, Math.max(OUTPUT_SIZE.min, Math.round(v)));
+
+  switch (settings.scaleMode) {
+    case 'percent': {
+      const factor = (settings.scalePercent ?? 100) / 100;
+      return { width: clampSide(width * factor), height: clampSide(height * factor) };
+    }
+
+    case 'fit': {
+      const limits = [];
+      if (settings.scaleMaxWidth) limits.push(settings.scaleMaxWidth / width);
+      if (settings.scaleMaxHeight) limits.push(settings.scaleMaxHeight / height);
+      const factor = Math.min(1, ...limits);
+      return { width: clampSide(width * factor), height: clampSide(height * factor) };
+    }
+
+    case 'exact': {
+      const exactWidth = settings.scaleWidth || 0;
+      const exactHeight = settings.scaleHeight || 0;
+      if (settings.scaleLockAspect) {
+        if (exactWidth > 0) {
+          return { width: clampSide(exactWidth), height: clampSide((exactWidth * height) / width) };
+        }
+        if (exactHeight > 0) {
+          return {
+            width: clampSide((exactHeight * width) / height),
+            height: clampSide(exactHeight),
+          };
+        }
+        return { width, height };
+      }
+      return {
+        width: clampSide(exactWidth || width),
+        height: clampSide(exactHeight || height),
+      };
+    }
+
+    default:
+      return { width, height };
+  }
+}
+
+/**
+ * Apply crop, and optionally output scaling, to frame dimensions
  * @param {import('../capture/types.js').Frame} frame
  * @param {import('../editor/types.js').CropArea | null} crop
+ * @param {Partial<ScaleSettings>} [settings] - Scaling to apply; omitted = crop size
  * @returns {{ width: number, height: number }}
  */
-export function getCroppedDimensions(frame, crop) {
-  return getEffectiveDimensions(frame, crop);
+export function getCroppedDimensions(frame, crop, settings) {
+  const dimensions = getEffectiveDimensions(frame, crop);
+  return settings ? calculateOutputDimensions(dimensions, settings) : dimensions;
+}
+
+/**
+ * Get the file extension for an encoder's output
+ * @param {import('./encoders/types.js').EncoderId} encoderId
+ * @param {Partial<Pick<import('./types.js').ExportSettings, 'spriteSheetFormat'>>} [settings] -
+ *   Decides the image format of sprite sheets
+ * @returns {string} Extension without the leading dot
+ */
+export function getFileExtension(encoderId, settings) {
+  if (encoderId === 'sprite-sheet' && settings?.spriteSheetFormat) {
+    return settings.spriteSheetFormat;
+  }
+  return ENCODER_FILE_EXTENSIONS[encoderId] ?? 'gif';
+}
+
+/**
+ * Whether an encoder can be fitted to a file size budget. Sprite sheets
+ * and PNG sequences are written losslessly at the chosen size, so there
+ * is no quality ladder to walk.
+ * @param {import('./encoders/types.js').EncoderId} encoderId
+ * @returns {boolean}
+ */
+export function supportsTargetSize(encoderId) {
+  return !FIXED_SIZE_ENCODERS.has(encoderId);
 }
 
 /**
  * Generate filename for export
  * @param {string} [prefix='glinfs']
+ * @param {string} [extension='gif'] - Extension without the leading dot
  * @returns {string}
  */
-export function generateFilename(prefix = 'glinfs') {
+export function generateFilename(prefix = 'glinfs', extension = 'gif') {
   const date = new Date();
   const timestamp = date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  return `${prefix}-${timestamp}.gif`;
+  return `${prefix}-${timestamp}.${extension}`;
 }
 
 /**
@@ -335,3 +639,831 @@ export function generateFilename(prefix = 'glinfs') {
 export function calculateEffectiveFps(sourceFps, frameSkip, playbackSpeed) {
   return (sourceFps / frameSkip) * playbackSpeed;
 }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TARGET FILE SIZE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Common upload limits offered as one-click targets
+ * @type {ReadonlyArray<{ label: string, description: string, kilobytes: number }>}
+ */
+export const TARGET_SIZE_PRESETS = [
+  { label: '10 MB', description: 'Chat apps', kilobytes: 10 * 1024 },
+  { label: '5 MB', description: 'Issue trackers', kilobytes: 5 * 1024 },
+  { label: '256 KB', description: 'Emoji', kilobytes: 256 },
+];
+
+/** Target size bounds in kilobytes */
+export const TARGET_SIZE_KB = { min: 16, max: 1024 * 1024 };
+
+/** Palette sizes tried, largest first (capped by the quality-derived count) */
+const TARGET_COLOR_STEPS = [256, 128, 64, 32, 16];
+
+/** Quality multipliers paired with TARGET_COLOR_STEPS (lossy WebP / video bitrate) */
+const TARGET_QUALITY_STEPS = [1, 0.85, 0.7, 0.55, 0.4];
+
+/** Output scale factors tried, relative to the configured output size */
+const TARGET_SCALE_STEPS = [1, 0.85, 0.7, 0.6, 0.5, 0.4, 0.3, 0.25];
+
+/**
+ * Order in which knobs are stepped down. Scale is stepped most often: it
+ * shrinks files fastest while keeping motion and colors; frame skip goes
+ * last because dropped frames are the most visible loss.
+ */
+const TARGET_SCHEDULE = /** @type {const} */ ([
+  'colors',
+  'scale',
+  'colors',
+  'scale',
+  'skip',
+  'scale',
+  'colors',
+  'scale',
+  'skip',
+  'scale',
+  'colors',
+  'scale',
+  'skip',
+  'scale',
+  'skip',
+]);
+
+/**
+ * One rung of the target size search, from the user's own settings (rung 0)
+ * down to the smallest output the search will try
+ * @typedef {Object} SizeLevel
+ * @property {number} quality - 0.1-1.0
+ * @property {number} maxColors - Palette size
+ * @property {1|2|3|4|5} frameSkip
+ * @property {number} scale - Factor applied to the configured output size
+ */
+
+/**
+ * Build the ladder of settings the target size search walks.
+ *
+ * Each rung steps down exactly one knob, so estimated size shrinks
+ * (close to) monotonically and the search can bisect it.
+ *
+ * @param {import('./types.js').ExportSettings} settings
+ * @returns {SizeLevel[]}
+ */
+export function buildSizeLadder(settings) {
+  const baseColors = calculateMaxColors(settings.quality, settings.encoderPreset);
+  const steps = { colors: 0, scale: 0, skip: 0 };
+
+  /** @returns {SizeLevel} */
+  const level = () => ({
+    quality: Math.max(
+      0.1,
+      Math.round(settings.quality * TARGET_QUALITY_STEPS[steps.colors] * 100) / 100,
+    ),
+    maxColors: Math.min(baseColors, TARGET_COLOR_STEPS[steps.colors]),
+    frameSkip: /** @type {1|2|3|4|5} */ (Math.min(5, settings.frameSkip + steps.skip)),
+    scale: TARGET_SCALE_STEPS[steps.scale],
+  });
+
+  const ladder = [level()];
+  for (const knob of TARGET_SCHEDULE) {
+    const previous = ladder[ladder.length - 1];
+    if (knob === 'colors' && steps.colors < TARGET_COLOR_STEPS.length - 1) {
+      steps.colors++;
+    } else if (knob === 'scale' && steps.scale < TARGET_SCALE_STEPS.length - 1) {
+      steps.scale++;
+    } else if (knob === 'skip' && settings.frameSkip + steps.skip < 5) {
+      steps.skip++;
+    } else {
+      continue;
+    }
+    const next = level();
+    // A colors step below an already-small palette changes nothing but quality
+    if (
+      next.maxColors !== previous.maxColors ||
+      next.scale !== previous.scale ||
+      next.frameSkip !== previous.frameSkip ||
+      next.quality !== previous.quality
+    ) {
+      ladder.push(next);
+    }
+  }
+  return ladder;
+}
+
+/**
+ * Turn a ladder rung into concrete export settings.
+ *
+ * Rung 0 is returned unchanged. Scaled rungs pin the output to an exact
+ * size derived from the configured one, and give up lossless output.
+ *
+ * @param {import('./types.js').ExportSettings} settings
+ * @param {SizeLevel} level
+ * @param {{ width: number, height: number }} cropSize - Crop size before scaling
+ * @param {boolean} [isBase=false] - Whether this is rung 0
+ * @returns {import('./types.js').ExportSettings}
+ */
+export function applySizeLevel(settings, level, cropSize, isBase = false) {
+  if (isBase) return settings;
+
+  /** @type {import('./types.js').ExportSettings} */
+  const applied = {
+    ...settings,
+    quality: level.quality,
+    maxColors: level.maxColors,
+    frameSkip: level.frameSkip,
+    lossless: false,
+  };
+
+  if (level.scale !== 1) {
+    const output = calculateOutputDimensions(cropSize, settings);
+    applied.scaleMode = 'exact';
+    applied.scaleLockAspect = false;
+    applied.scaleWidth = Math.max(OUTPUT_SIZE.min, Math.round(output.width * level.scale));
+    applied.scaleHeight = Math.max(OUTPUT_SIZE.min, Math.round(output.height * level.scale));
+  }
+  return applied;
+}
+
+/**
+ * Pick the frames a trial encode samples: short runs of consecutive frames
+ * spread evenly over the clip, so inter-frame compression is represented.
+ *
+ * @param {number} frameCount
+ * @param {number} [runs=4]
+ * @param {number} [runLength=3]
+ * @returns {number[]} Ascending frame indices (all of them for short clips)
+ */
+export function selectSampleIndices(frameCount, runs = 4, runLength = 3) {
+  if (frameCount <= runs * runLength) {
+    return Array.from({ length: frameCount }, (_, i) => i);
+  }
+
+  /** @type {number[]} */
+  const indices = [];
+  const span = frameCount - runLength;
+  for (let run = 0; run < runs; run++) {
+    const start = Math.round((span * run) / (runs - 1 || 1));
+    for (let i = 0; i < runLength; i++) {
+      // Rounding can make neighbouring runs touch; skip the overlap
+      const index = start + i;
+      if (index > (indices[indices.length - 1] ?? -1)) {
+        indices.push(index);
+      }
+    }
+  }
+  return indices;
+}
+
+/**
+ * Extrapolate a full encode's size from a trial encode of some of its frames
+ * @param {number} sampleBytes - Size of the trial encode
+ * @param {number} sampleFrames - Frames in the trial encode
+ * @param {number} totalFrames - Frames in the full encode
+ * @returns {number} Estimated bytes
+ */
+export function extrapolateSize(sampleBytes, sampleFrames, totalFrames) {
+  if (sampleFrames <= 0) return 0;
+  const header = SIZE_ESTIMATION.headerOverhead.base;
+  const perFrame = Math.max(0, sampleBytes - header) / sampleFrames;
+  return Math.round(header + perFrame * totalFrames);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DUPLICATE FRAMES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Per-channel difference still counted as "the same frame" */
+export const DUPLICATE_TOLERANCE = { min: 0, max: 32 };
+
+/**
+ * Longest delay one merged frame may carry, in centiseconds. APNG stores
+ * delays as 16-bit milliseconds, the tightest limit of the formats, so a
+ * run longer than this is split rather than silently clamped.
+ */
+const MAX_MERGED_DELAY_CS = 6553;
+
+/**
+ * Check whether two frames look the same
+ * @param {Uint8ClampedArray | Uint8Array} a - RGBA pixels
+ * @param {Uint8ClampedArray | Uint8Array} b - RGBA pixels of the same size
+ * @param {number} tolerance - Largest per-channel difference to ignore (0 = identical)
+ * @returns {boolean}
+ */
+export function isDuplicateFrame(a, b, tolerance) {
+  if (a.length !== b.length) return false;
+
+  if (tolerance <= 0) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    if (diff > tolerance || diff < -tolerance) return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether one merged frame may carry this delay
+ * @param {number} delayCs - Summed delay of the run, in centiseconds
+ * @returns {boolean}
+ */
+export function fitsMergedDelay(delayCs) {
+  return delayCs <= MAX_MERGED_DELAY_CS;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FRAME TIMING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Time from one frame's capture to the next.
+ *
+ * The last frame has no successor, and a missing or non-increasing
+ * timestamp cannot be trusted, so both fall back to the nominal interval.
+ * So does a frame followed by a cut: the time of the cut frames is left
+ * out with them.
+ *
+ * @param {import('../capture/types.js').Frame[]} frames
+ * @param {number} index
+ * @param {number} nominalUs - 1 / fps, in microseconds
+ * @param {Set<number>} joins - Indices followed by a cut
+ * @returns {number} Microseconds
+ */
+function getCaptureIntervalUs(frames, index, nominalUs, joins) {
+  const next = frames[index + 1];
+  if (!next || joins.has(index)) return nominalUs;
+  const delta = next.timestamp - frames[index].timestamp;
+  return Number.isFinite(delta) && delta > 0 ? delta : nominalUs;
+}
+
+/**
+ * Calculate per-frame delays from capture timestamps.
+ *
+ * Each frame left after frame skip lasts until the next kept frame was
+ * captured, divided by playbackSpeed. A held frame lasts its hold instead,
+ * whatever the speed. Delays are whole centiseconds, so
+ * each one is rounded against the exact elapsed time rather than on its
+ * own: the rounding error is carried into the next frame and the total
+ * stays within half a centisecond of the real duration.
+ *
+ * @param {import('../capture/types.js').Frame[]} frames - Source frames (before frame skip)
+ * @param {number} fps - Source FPS, for frames without a usable timestamp
+ * @param {number} playbackSpeed - Playback multiplier
+ * @param {number} frameSkip - Frame skip factor
+ * @param {number[]} [cutJoins] - Indices into `frames` followed by a cut (see getCutJoins)
+ * @param {import('../editor/types.js').DelayOverrides} [holds] - Display times in ms by index
+ *   into `frames` (see getFrameHolds)
+ * @returns {number[]} Delay in centiseconds for each frame kept by applyFrameSkip
+ */
+export function calculateTimestampDelays(
+  frames,
+  fps,
+  playbackSpeed,
+  frameSkip,
+  cutJoins = [],
+  holds = {},
+) {
+  const skip = Math.max(1, frameSkip);
+  const nominalUs = 1000000 / fps;
+  const joins = new Set(cutJoins);
+
+  /** @type {number[]} */
+  const delays = [];
+  let elapsedCs = 0;
+  let writtenCs = 0;
+  for (let start = 0; start < frames.length; start += skip) {
+    const end = Math.min(start + skip, frames.length);
+    for (let i = start; i < end; i++) {
+      elapsedCs +=
+        holds[i] !== undefined
+          ? holds[i] / 10
+          : getCaptureIntervalUs(frames, i, nominalUs, joins) / 10000 / playbackSpeed;
+    }
+    const delay = Math.max(MIN_DELAY_CS, Math.round(elapsedCs - writtenCs));
+    writtenCs += delay;
+    delays.push(delay);
+  }
+  return delays;
+}
+
+/**
+ * Put holds into constant delays. A held frame dropped by frame skip lends
+ * its hold to the kept frame that stands in for it.
+ * @param {number} frameCount - Source frames (before frame skip)
+ * @param {number} frameSkip
+ * @param {number} delay - Constant delay in centiseconds
+ * @param {number} frameMs - Nominal time of one source frame at the playback speed
+ * @param {import('../editor/types.js').DelayOverrides} holds - Display times by index
+ * @returns {number[]} Delay in centiseconds for each frame kept by applyFrameSkip
+ */
+function calculateHeldDelays(frameCount, frameSkip, delay, frameMs, holds) {
+  const skip = Math.max(1, frameSkip);
+
+  /** @type {number[]} */
+  const delays = [];
+  for (let start = 0; start < frameCount; start += skip) {
+    const end = Math.min(start + skip, frameCount);
+    let heldMs = 0;
+    let held = 0;
+    for (let i = start; i < end; i++) {
+      if (holds[i] !== undefined) {
+        heldMs += holds[i];
+        held++;
+      }
+    }
+    delays.push(
+      held === 0
+        ? delay
+        : Math.max(MIN_DELAY_CS, Math.round((heldMs + (end - start - held) * frameMs) / 10)),
+    );
+  }
+  return delays;
+}
+
+/**
+ * Calculate the delay of every exported frame
+ * @param {import('../capture/types.js').Frame[]} frames - Source frames (before frame skip)
+ * @param {number} fps - Source FPS
+ * @param {Pick<import('./types.js').ExportSettings, 'frameSkip' | 'playbackSpeed' | 'realTiming' | 'playbackDirection'>} settings
+ * @param {number[]} [cutJoins] - Indices into `frames` followed by a cut
+ * @param {import('../editor/types.js').DelayOverrides} [holds] - Display times in ms by index
+ *   into `frames`
+ * @returns {number[]} Delay in centiseconds for each frame of getOutputFrames
+ */
+export function calculateFrameDelays(frames, fps, settings, cutJoins, holds = {}) {
+  // Each frame keeps its own delay wherever the playback direction puts it
+  if (settings.realTiming) {
+    const delays = calculateTimestampDelays(
+      frames,
+      fps,
+      settings.playbackSpeed,
+      settings.frameSkip,
+      cutJoins,
+      holds,
+    );
+    return applyPlaybackDirection(delays, settings.playbackDirection);
+  }
+  const delay = calculateFrameDelay(fps, settings.playbackSpeed, settings.frameSkip);
+  if (Object.keys(holds).length > 0) {
+    const frameMs = 1000 / fps / settings.playbackSpeed;
+    const delays = calculateHeldDelays(frames.length, settings.frameSkip, delay, frameMs, holds);
+    return applyPlaybackDirection(delays, settings.playbackDirection);
+  }
+  return getOutputFrames(frames, settings).map(() => delay);
+}
+
+/**
+ * Calculate the playback length of an export.
+ *
+ * Merging duplicates only sums delays, so the length depends on the
+ * frames left after frame skip and playback direction, not on how many
+ * frames are written.
+ *
+ * @param {import('../capture/types.js').Frame[]} frames - Source frames
+ * @param {number} fps - Source FPS
+ * @param {Pick<import('./types.js').ExportSettings, 'frameSkip' | 'playbackSpeed' | 'realTiming' | 'playbackDirection'>} settings
+ * @param {number[]} [cutJoins] - Indices into `frames` followed by a cut
+ * @param {import('../editor/types.js').DelayOverrides} [holds] - Display times by index into `frames`
+ * @returns {number} Duration in seconds
+ */
+export function calculateOutputDuration(frames, fps, settings, cutJoins, holds) {
+  const totalCs = calculateFrameDelays(frames, fps, settings, cutJoins, holds).reduce(
+    (sum, d) => sum + d,
+    0,
+  );
+  return totalCs / 100;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GLOBAL PALETTE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pixel budget of the global palette sample. Frames beyond maxFrames are
+ * represented by a stratified subset; pixels beyond maxPixels by a stride.
+ */
+const PALETTE_SAMPLE = { maxFrames: 64, maxPixels: 1 << 20 };
+
+/**
+ * Check whether an export builds one palette for the whole clip
+ * @param {Pick<import('./types.js').ExportSettings, 'globalPalette' | 'encoderId'> & { customPalette?: import('./types.js').CustomPalette | null }} settings
+ * @returns {boolean}
+ */
+export function usesGlobalPalette(settings) {
+  // Only gifenc quantizes in JavaScript; gifsicle runs libimagequant per frame
+  // An imported palette is already global
+  return (
+    Boolean(settings.globalPalette) && !settings.customPalette && settings.encoderId === 'gifenc-js'
+  );
+}
+
+/**
+ * Pick the frames a global palette is sampled from: every frame of short
+ * clips, otherwise the middle frame of equal-length strata, so each part
+ * of the clip is represented
+ * @param {number} frameCount
+ * @param {number} [maxFrames]
+ * @returns {number[]} Ascending frame indices
+ */
+export function selectPaletteFrames(frameCount, maxFrames = PALETTE_SAMPLE.maxFrames) {
+  if (frameCount <= maxFrames) {
+    return Array.from({ length: frameCount }, (_, i) => i);
+  }
+  return Array.from({ length: maxFrames }, (_, i) =>
+    Math.floor(((i + 0.5) * frameCount) / maxFrames),
+  );
+}
+
+/**
+ * Calculate the pixel stride that keeps a palette sample within budget
+ * @param {number} pixelsPerFrame
+ * @param {number} frameCount - Frames being sampled
+ * @param {number} [maxPixels]
+ * @returns {number} Take every Nth pixel
+ */
+export function calculatePaletteStride(
+  pixelsPerFrame,
+  frameCount,
+  maxPixels = PALETTE_SAMPLE.maxPixels,
+) {
+  return Math.max(1, Math.ceil((pixelsPerFrame * frameCount) / maxPixels));
+}
+
+/**
+ * Copy every Nth pixel of a frame
+ * @param {Uint8ClampedArray} rgba
+ * @param {number} stride - Take every Nth pixel
+ * @param {number} offset - First pixel; vary it between frames so strided
+ *   sampling does not always land on the same columns
+ * @returns {Uint8ClampedArray}
+ */
+export function subsamplePixels(rgba, stride, offset) {
+  const pixels = new Uint32Array(rgba.buffer, rgba.byteOffset, rgba.length >> 2);
+  const start = offset % stride;
+  const count = Math.max(0, Math.ceil((pixels.length - start) / stride));
+  const sample = new Uint32Array(count);
+  for (let i = 0, p = start; i < count; i++, p += stride) {
+    sample[i] = pixels[p];
+  }
+  return new Uint8ClampedArray(sample.buffer);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENE CUTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find where scenes begin inside the exported range
+ * @param {import('../scene-detection/types.js').Scene[] | undefined} scenes - Scenes of the whole clip
+ * @param {import('../editor/types.js').FrameRange} range - Exported range (inclusive)
+ * @param {number[]} [kept] - Clip indices of the exported frames when some are cut
+ * @returns {number[] | undefined} Ascending indices into the exported frames, without the
+ *   first one; undefined when no scenes were detected
+ */
+export function getSceneStarts(scenes, range, kept) {
+  if (!scenes?.length) return undefined;
+  const starts = kept
+    ? scenes.map((scene) => lowerBound(kept, scene.startFrame)).filter((i) => i < kept.length)
+    : scenes
+        .map((scene) => scene.startFrame - range.start)
+        .filter((index) => index <= range.end - range.start);
+  return [...new Set(starts.filter((index) => index > 0))].sort((a, b) => a - b);
+}
+
+/**
+ * Position of the first value not below `target`
+ * @param {number[]} sorted - Ascending
+ * @param {number} target
+ * @returns {number} sorted.length when every value is below target
+ */
+function lowerBound(sorted, target) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Find the exported frames that are followed by cut ones
+ * @param {number[]} kept - Ascending clip indices of the exported frames
+ * @returns {number[]} Ascending indices into the exported frames
+ */
+export function getCutJoins(kept) {
+  /** @type {number[]} */
+  const joins = [];
+  for (let i = 0; i < kept.length - 1; i++) {
+    if (kept[i + 1] !== kept[i] + 1) joins.push(i);
+  }
+  return joins;
+}
+
+/**
+ * Move frame holds from clip frame indices onto the exported frames
+ * @param {number[]} kept - Ascending clip indices of the exported frames
+ * @param {import('../editor/types.js').DelayOverrides} [delayOverrides] - Holds by clip frame index
+ * @returns {import('../editor/types.js').DelayOverrides} Holds by index into the exported frames
+ */
+export function getFrameHolds(kept, delayOverrides = {}) {
+  /** @type {import('../editor/types.js').DelayOverrides} */
+  const holds = {};
+  for (const [key, ms] of Object.entries(delayOverrides)) {
+    const index = lowerBound(kept, Number(key));
+    if (kept[index] === Number(key)) holds[index] = ms;
+  }
+  return holds;
+}
+
+/**
+ * Captions and shapes to burn into each exported frame
+ * @param {number[]} kept - Clip indices of the exported frames
+ * @param {import('../editor/types.js').Caption[]} [captions] - Ranges in clip frame indices
+ * @param {import('../editor/types.js').Shape[]} [shapes] - Ranges in clip frame indices
+ * @returns {import('../editor/types.js').Annotation[][] | undefined} One list per exported
+ *   frame; undefined when nothing is drawn
+ */
+export function getFrameAnnotations(kept, captions = [], shapes = []) {
+  const lists = kept.map((index) => getAnnotationsAt(captions, shapes, index));
+  return lists.some((list) => list.length > 0) ? lists : undefined;
+}
+
+/**
+ * Move scene starts into playback order: a cut falls wherever two
+ * neighbouring written frames belong to different scenes.
+ * @param {number[]} starts - Ascending kept-frame indices
+ * @param {number[]} order - Kept-frame index of each written frame
+ * @param {number} keptCount - Frames left after frame skip
+ * @returns {number[]} Ascending positions in order
+ */
+function reorderSceneStarts(starts, order, keptCount) {
+  const sceneOf = new Uint32Array(keptCount);
+  for (let i = 0, scene = 0; i < keptCount; i++) {
+    while (scene < starts.length && starts[scene] <= i) scene++;
+    sceneOf[i] = scene;
+  }
+  /** @type {number[]} */
+  const positions = [];
+  for (let p = 1; p < order.length; p++) {
+    if (sceneOf[order[p]] !== sceneOf[order[p - 1]]) positions.push(p);
+  }
+  return positions;
+}
+
+/**
+ * Map scene starts onto the frames actually written.
+ *
+ * A cut lands on the first frame kept by frame skip at or after it, then,
+ * for reverse and ping-pong, on the boundary between scenes in playback
+ * order, then on the merged-duplicate run containing that frame.
+ *
+ * @param {number[]} sceneStarts - Indices into the unskipped frames
+ * @param {number} frameSkip
+ * @param {number[]} runStarts - Output-frame index where each written frame begins
+ * @param {number} keptCount - Frames left after frame skip
+ * @param {number[] | null} [order] - Playback order from getPlaybackOrder
+ * @returns {number[]} Ascending written-frame indices, never 0
+ */
+export function mapSceneCuts(sceneStarts, frameSkip, runStarts, keptCount, order = null) {
+  const skip = Math.max(1, frameSkip);
+  /** @type {number[]} */
+  let starts = [];
+  for (const start of sceneStarts) {
+    const kept = Math.ceil(start / skip);
+    if (kept >= keptCount) break;
+    starts.push(kept);
+  }
+  if (order) {
+    starts = reorderSceneStarts(starts, order, keptCount);
+  }
+
+  /** @type {number[]} */
+  const cuts = [];
+  let run = 0;
+  for (const position of starts) {
+    while (run + 1 < runStarts.length && runStarts[run + 1] <= position) run++;
+    if (run > 0 && run !== cuts[cuts.length - 1]) {
+      cuts.push(run);
+    }
+  }
+  return cuts;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SPRITE SHEETS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Largest sprite sheet side in pixels; browsers refuse bigger canvases */
+export const SPRITE_SHEET_MAX_SIDE = 16384;
+
+/** @type {Readonly<Record<import('./types.js').SpriteSheetFormat, 'image/png'|'image/webp'>>} */
+const SPRITE_SHEET_MIME_TYPES = { png: 'image/png', webp: 'image/webp' };
+
+/**
+ * Get the MIME type of a sprite sheet format
+ * @param {import('./types.js').SpriteSheetFormat} format
+ * @returns {'image/png'|'image/webp'}
+ */
+export function getSpriteSheetMimeType(format) {
+  return SPRITE_SHEET_MIME_TYPES[format] ?? 'image/png';
+}
+
+/**
+ * Lay frames out as a grid of equal cells, filled row by row.
+ *
+ * Automatic columns give the sheet closest to a square in pixels (wide
+ * crops get fewer columns), which keeps both sides under the canvas limit
+ * for as long as possible.
+ *
+ * @param {number} frameCount
+ * @param {{ width: number, height: number }} cell - Size of one frame
+ * @param {number} columns - Requested columns, 0 = automatic
+ * @returns {{ columns: number, rows: number, width: number, height: number }}
+ */
+export function calculateSpriteGrid(frameCount, cell, columns) {
+  const count = Math.max(1, frameCount);
+  const cols =
+    columns > 0
+      ? Math.min(Math.round(columns), count)
+      : Math.min(count, Math.max(1, Math.ceil(Math.sqrt((count * cell.height) / cell.width))));
+  const rows = Math.ceil(count / cols);
+  return { columns: cols, rows, width: cols * cell.width, height: rows * cell.height };
+}
+
+/**
+ * Position of a frame's cell on the sheet
+ * @param {number} index - Frame index
+ * @param {number} columns - Cells per row
+ * @param {{ width: number, height: number }} cell
+ * @returns {{ x: number, y: number }}
+ */
+export function getSpriteCellPosition(index, columns, cell) {
+  return {
+    x: (index % columns) * cell.width,
+    y: Math.floor(index / columns) * cell.height,
+  };
+}
+
+/**
+ * Build the JSON atlas of a sprite sheet
+ * @param {Object} params
+ * @param {string} params.image - File name of the sheet
+ * @param {import('./types.js').SpriteSheetFormat} params.format
+ * @param {{ width: number, height: number }} params.cell - Size of one frame
+ * @param {number} params.columns - Cells per row
+ * @param {number[]} params.delaysMs - Display time of each frame
+ * @param {number} params.loopCount - 0 for infinite
+ * @returns {import('./types.js').SpriteAtlas}
+ */
+export function buildSpriteAtlas({ image, format, cell, columns, delaysMs, loopCount }) {
+  const grid = calculateSpriteGrid(delaysMs.length, cell, columns);
+  return {
+    frames: delaysMs.map((duration, i) => {
+      const { x, y } = getSpriteCellPosition(i, grid.columns, cell);
+      return {
+        filename: `frame-${i}`,
+        frame: { x, y, w: cell.width, h: cell.height },
+        duration,
+      };
+    }),
+    meta: {
+      app: 'glinfs',
+      image,
+      format: getSpriteSheetMimeType(format),
+      size: { w: grid.width, h: grid.height },
+      frameSize: { w: cell.width, h: cell.height },
+      columns: grid.columns,
+      rows: grid.rows,
+      loop: loopCount,
+    },
+  };
+}
+
+/**
+ * Format a keyframe offset, dropping float noise
+ * @param {number} percent
+ * @returns {string}
+ */
+function formatKeyframePercent(percent) {
+  return `${Number(percent.toFixed(4))}%`;
+}
+
+/**
+ * Format a CSS background offset
+ * @param {number} px
+ * @returns {string}
+ */
+function formatBackgroundOffset(px) {
+  return px === 0 ? '0' : `${-px}px`;
+}
+
+/**
+ * Build a CSS keyframe animation that plays a sprite sheet.
+ *
+ * Every frame gets its own keyframe at the moment it starts, and steps(1)
+ * holds each position until the next one. That plays grids (not just
+ * single rows) and keeps per-frame durations. A finite loop count stays
+ * on the last frame when it ends.
+ *
+ * @param {import('./types.js').SpriteAtlas} atlas
+ * @param {string} [className='sprite'] - Class of the animated element
+ * @returns {string}
+ */
+export function buildSpriteSheetCss(atlas, className = 'sprite') {
+  const totalMs = atlas.frames.reduce((sum, f) => sum + f.duration, 0) || 1;
+  const iterations = atlas.meta.loop > 0 ? `${atlas.meta.loop} forwards` : 'infinite';
+  const animationName = `${className}-play`;
+
+  /** @type {string[]} */
+  const keyframes = [];
+  let elapsedMs = 0;
+  for (const { frame, duration } of atlas.frames) {
+    const position = `${formatBackgroundOffset(frame.x)} ${formatBackgroundOffset(frame.y)}`;
+    keyframes.push(
+      `  ${formatKeyframePercent((elapsedMs / totalMs) * 100)} { background-position: ${position}; }`,
+    );
+    elapsedMs += duration;
+  }
+  // The last frame holds until the loop restarts
+  const last = atlas.frames[atlas.frames.length - 1];
+  if (last) {
+    keyframes.push(
+      `  100% { background-position: ${formatBackgroundOffset(last.frame.x)} ${formatBackgroundOffset(last.frame.y)}; }`,
+    );
+  }
+
+  return [
+    `.${className} {`,
+    `  width: ${atlas.meta.frameSize.w}px;`,
+    `  height: ${atlas.meta.frameSize.h}px;`,
+    `  background: url("${atlas.meta.image}") no-repeat;`,
+    `  animation: ${animationName} ${totalMs}ms steps(1, end) ${iterations};`,
+    '}',
+    '',
+    `@keyframes ${animationName} {`,
+    ...keyframes,
+    '}',
+    '',
+  ].join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PNG SEQUENCES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Digits frame numbers are padded to at least */
+const PNG_SEQUENCE_MIN_DIGITS = 4;
+
+/**
+ * File name of a frame in a PNG sequence. Numbers start at 1 and are
+ * zero-padded so the files sort in playback order everywhere.
+ * @param {number} index - Frame index, from 0
+ * @param {number} frameCount - Frames in the sequence
+ * @returns {string}
+ */
+export function getPngSequenceFileName(index, frameCount) {
+  const digits = Math.max(PNG_SEQUENCE_MIN_DIGITS, String(frameCount).length);
+  return `frame-${String(index + 1).padStart(digits, '0')}.png`;
+}
+
+/**
+ * Build the manifest.json of a PNG sequence.
+ *
+ * Timestamps are capture times in milliseconds, counted from the earliest
+ * exported frame (the last one in a reverse export); durations are the delays the same selection would get
+ * as a GIF, so tools can rebuild the animation from the folder.
+ *
+ * @param {Object} params
+ * @param {import('../capture/types.js').Frame[]} params.frames - Exported frames in playback order
+ * @param {number[]} params.delaysMs - Display time of each frame
+ * @param {import('../editor/types.js').CropArea | null} params.crop
+ * @param {{ width: number, height: number }} params.size - Output size of every PNG
+ * @param {number} params.fps - Source FPS
+ * @returns {import('./types.js').PngSequenceManifest}
+ */
+export function buildPngSequenceManifest({ frames, delaysMs, crop, size, fps }) {
+  const originUs = frames.reduce(
+    (origin, frame) => Math.min(origin, frame.timestamp),
+    frames[0]?.timestamp ?? 0,
+  );
+  return {
+    app: 'glinfs',
+    version: 1,
+    width: size.width,
+    height: size.height,
+    sourceSize: { width: frames[0]?.width ?? 0, height: frames[0]?.height ?? 0 },
+    crop: crop ? { x: crop.x, y: crop.y, width: crop.width, height: crop.height } : null,
+    fps,
+    frameCount: frames.length,
+    frames: frames.map((frame, i) => ({
+      file: getPngSequenceFileName(i, frames.length),
+      timestampMs: Number(((frame.timestamp - originUs) / 1000).toFixed(3)),
+      durationMs: delaysMs[i],
+    })),
+  };
+}
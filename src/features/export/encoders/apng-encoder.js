@@ -0,0 +1,348 @@
+/**
+ * APNG Encoder Implementation
+ * Lossless true-color (RGBA) animated PNG written entirely in JavaScript
+ * @module features/export/encoders/apng-encoder
+ */
+
+import {
+  filterScanlines,
+  makeIhdr,
+  makePngChunk,
+  PNG_SIGNATURE,
+  zlibDeflate,
+} from '../../../shared/utils/png.js';
+
+/**
+ * @typedef {import('./types.js').EncoderInterface} EncoderInterface
+ * @typedef {import('./types.js').EncoderConfig} EncoderConfig
+ * @typedef {import('./types.js').FrameData} FrameData
+ * @typedef {import('./types.js').EncoderMetadata} EncoderMetadata
+ */
+
+/** @type {EncoderMetadata} */
+const METADATA = {
+  id: 'apng-js',
+  name: 'APNG (JavaScript)',
+  description: 'Lossless 24-bit color with alpha, no palette banding',
+  isWasm: false,
+  version: '1.0.0',
+  mimeType: 'image/png',
+  capabilities: {
+    supportsMaxColors: false,
+    supportsQuantizeFormat: false,
+    supportsDithering: false,
+    supportsLossless: false,
+  },
+};
+
+/** fcTL dispose_op: leave the canvas as the frame left it */
+const DISPOSE_OP_NONE = 0;
+
+/** fcTL blend_op values */
+export const BlendOp = {
+  /** Replace the region, alpha included */
+  SOURCE: 0,
+  /** Alpha-composite over the canvas; fully transparent pixels keep what is there */
+  OVER: 1,
+};
+
+/**
+ * Frame delays are written as delay_num / 1000 s; delay_num is 16-bit, so
+ * merged runs of unchanged frames stop growing at this many milliseconds.
+ */
+const MAX_DELAY_MS = 0xffff;
+
+/**
+ * Changed region of a frame relative to the previous one
+ * @typedef {Object} FrameRect
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * An encoded animation frame awaiting sequence numbers
+ * @typedef {Object} ApngFrame
+ * @property {FrameRect} rect - Region the frame covers
+ * @property {number} delayMs - Display duration in milliseconds
+ * @property {number} blendOp - BlendOp value
+ * @property {Uint8Array} data - zlib-compressed filtered scanlines
+ */
+
+/**
+ * View RGBA bytes as one 32-bit word per pixel for fast comparison
+ * @param {Uint8ClampedArray | Uint8Array} rgba
+ * @returns {Uint32Array}
+ */
+function asPixels(rgba) {
+  return new Uint32Array(rgba.buffer, rgba.byteOffset, rgba.byteLength >> 2);
+}
+
+/**
+ * Find the bounding box of pixels that differ between two frames.
+ *
+ * @param {Uint8ClampedArray | Uint8Array} prev - Previous frame RGBA
+ * @param {Uint8ClampedArray | Uint8Array} next - Next frame RGBA
+ * @param {number} width
+ * @param {number} height
+ * @returns {FrameRect | null} null when the frames are identical
+ */
+export function findChangedRect(prev, next, width, height) {
+  const a = asPixels(prev);
+  const b = asPixels(next);
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (a[row + x] !== b[row + x]) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Cut a frame's changed region out for writing.
+ *
+ * When every changed pixel is fully opaque the region is written with
+ * BlendOp.OVER and its unchanged pixels zeroed to transparent — they then
+ * leave the canvas untouched and compress to almost nothing. A changed
+ * pixel with partial alpha cannot be composited exactly, so such regions
+ * fall back to BlendOp.SOURCE with the pixels copied verbatim.
+ *
+ * @param {Uint8ClampedArray | Uint8Array} prev - Previous frame RGBA
+ * @param {Uint8ClampedArray | Uint8Array} next - Next frame RGBA
+ * @param {number} width - Full frame width
+ * @param {FrameRect} rect - Region to extract
+ * @returns {{ rgba: Uint8Array, blendOp: number }}
+ */
+export function extractFrameRegion(prev, next, width, rect) {
+  const a = asPixels(prev);
+  const b = asPixels(next);
+  const out = new Uint8Array(rect.width * rect.height * 4);
+  const outPixels = asPixels(out);
+
+  let allChangedOpaque = true;
+  for (let y = 0; y < rect.height; y++) {
+    const src = (rect.y + y) * width + rect.x;
+    const dst = y * rect.width;
+    for (let x = 0; x < rect.width; x++) {
+      const pixel = b[src + x];
+      outPixels[dst + x] = pixel;
+      if (pixel !== a[src + x] && next[(src + x) * 4 + 3] !== 255) {
+        allChangedOpaque = false;
+      }
+    }
+  }
+
+  if (!allChangedOpaque) {
+    return { rgba: out, blendOp: BlendOp.SOURCE };
+  }
+
+  for (let y = 0; y < rect.height; y++) {
+    const src = (rect.y + y) * width + rect.x;
+    const dst = y * rect.width;
+    for (let x = 0; x < rect.width; x++) {
+      if (a[src + x] === b[src + x]) {
+        outPixels[dst + x] = 0;
+      }
+    }
+  }
+  return { rgba: out, blendOp: BlendOp.OVER };
+}
+
+/**
+ * Assemble encoded frames into an APNG file.
+ *
+ * Sequence numbers are assigned here (fcTL and fdAT share one counter), so
+ * frames merged during encoding never leave gaps. The first frame doubles
+ * as the default image and is stored in IDAT.
+ *
+ * @param {ApngFrame[]} frames
+ * @param {{ width: number, height: number, loopCount: number }} options
+ * @returns {Uint8Array}
+ */
+export function assembleApng(frames, { width, height, loopCount }) {
+  const actl = new Uint8Array(8);
+  const actlView = new DataView(actl.buffer);
+  actlView.setUint32(0, frames.length);
+  // num_plays shares GIF's meaning: 0 loops forever
+  actlView.setUint32(4, Math.max(0, Math.floor(loopCount)));
+
+  /** @type {Uint8Array[]} */
+  const parts = [
+    PNG_SIGNATURE,
+    makePngChunk('IHDR', makeIhdr(width, height)),
+    makePngChunk('acTL', actl),
+  ];
+
+  let sequence = 0;
+  frames.forEach((frame, index) => {
+    const fctl = new Uint8Array(26);
+    const view = new DataView(fctl.buffer);
+    view.setUint32(0, sequence++);
+    view.setUint32(4, frame.rect.width);
+    view.setUint32(8, frame.rect.height);
+    view.setUint32(12, frame.rect.x);
+    view.setUint32(16, frame.rect.y);
+    view.setUint16(20, Math.min(MAX_DELAY_MS, Math.max(0, Math.round(frame.delayMs))));
+    view.setUint16(22, 1000);
+    fctl[24] = DISPOSE_OP_NONE;
+    fctl[25] = frame.blendOp;
+    parts.push(makePngChunk('fcTL', fctl));
+
+    if (index === 0) {
+      parts.push(makePngChunk('IDAT', frame.data));
+    } else {
+      const fdat = new Uint8Array(4 + frame.data.length);
+      new DataView(fdat.buffer).setUint32(0, sequence++);
+      fdat.set(frame.data, 4);
+      parts.push(makePngChunk('fdAT', fdat));
+    }
+  });
+
+  parts.push(makePngChunk('IEND', new Uint8Array(0)));
+
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Create APNG encoder
+ * @returns {EncoderInterface}
+ */
+export function createApngEncoder() {
+  /** @type {EncoderConfig | null} */
+  let config = null;
+
+  /** @type {ApngFrame[]} */
+  let frames = [];
+
+  /** @type {Uint8ClampedArray | null} Previous frame, for change detection */
+  let previous = null;
+
+  return {
+    metadata: METADATA,
+
+    /**
+     * Initialize encoder
+     * @param {EncoderConfig} encoderConfig
+     */
+    init(encoderConfig) {
+      config = encoderConfig;
+      frames = [];
+      previous = null;
+    },
+
+    /**
+     * Add frame
+     *
+     * Async: compression goes through CompressionStream. The worker awaits
+     * each frame before submitting the next, so `previous` is never read
+     * while another frame is still being compressed.
+     *
+     * @param {FrameData} frameData
+     * @param {number} _frameIndex - Unused; frames are appended in call order
+     */
+    async addFrame(frameData, _frameIndex) {
+      if (!config) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+
+      const { rgba, width, height } = frameData;
+      if (width !== config.width || height !== config.height) {
+        throw new Error(
+          `Frame size ${width}x${height} does not match output ${config.width}x${config.height}`,
+        );
+      }
+
+      const delayMs = frameData.delayMs ?? config.frameDelayMs;
+
+      if (!previous) {
+        // The first frame is the default image and must cover the canvas
+        const data = await zlibDeflate(filterScanlines(rgba, width, height));
+        frames.push({
+          rect: { x: 0, y: 0, width, height },
+          delayMs,
+          blendOp: BlendOp.SOURCE,
+          data,
+        });
+        previous = rgba;
+        return;
+      }
+
+      const rect = findChangedRect(previous, rgba, width, height);
+      const last = frames[frames.length - 1];
+
+      // Nothing changed: extend the previous frame instead of writing one
+      if (!rect && last.delayMs + delayMs <= MAX_DELAY_MS) {
+        last.delayMs += delayMs;
+        previous = rgba;
+        return;
+      }
+
+      // A delay that cannot grow further still needs a frame; a single
+      // unchanged pixel written with SOURCE is the smallest valid one
+      const region = rect ?? { x: 0, y: 0, width: 1, height: 1 };
+      const { rgba: pixels, blendOp } = rect
+        ? extractFrameRegion(previous, rgba, width, region)
+        : { rgba: new Uint8Array(rgba.subarray(0, 4)), blendOp: BlendOp.SOURCE };
+
+      const data = await zlibDeflate(filterScanlines(pixels, region.width, region.height));
+      frames.push({ rect: region, delayMs, blendOp, data });
+      previous = rgba;
+    },
+
+    /**
+     * Complete encoding and get byte array
+     * @returns {Uint8Array}
+     */
+    finish() {
+      if (!config) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+      if (frames.length === 0) {
+        throw new Error('No frames to encode');
+      }
+
+      return assembleApng(frames, {
+        width: config.width,
+        height: config.height,
+        loopCount: config.loopCount,
+      });
+    },
+
+    /**
+     * Release resources
+     */
+    dispose() {
+      config = null;
+      frames = [];
+      previous = null;
+    },
+  };
+}
+
+/**
+ * Get APNG encoder metadata
+ * @returns {EncoderMetadata}
+ */
+export function getApngMetadata() {
+  return METADATA;
+}
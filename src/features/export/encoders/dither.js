@@ -0,0 +1,292 @@
+/**
+ * Dithering
+ * Maps RGBA pixels onto a quantized palette with error diffusion or ordered dithering
+ * @module features/export/encoders/dither
+ */
+
+/**
+ * @typedef {import('./types.js').DitherMethod} DitherMethod
+ * @typedef {number[][]} Palette - [r, g, b] (or [r, g, b, a]) entries from quantize()
+ */
+
+/**
+ * Selectable dithering algorithms, in UI order
+ * @type {ReadonlyArray<{ id: DitherMethod, name: string, description: string }>}
+ */
+export const DITHER_METHODS = [
+  {
+    id: 'floyd-steinberg',
+    name: 'Floyd–Steinberg',
+    description: 'Smoothest gradients, fine grain',
+  },
+  {
+    id: 'atkinson',
+    name: 'Atkinson',
+    description: 'Crisp, higher contrast; keeps flat UI areas clean',
+  },
+  {
+    id: 'sierra-lite',
+    name: 'Sierra Lite',
+    description: 'Close to Floyd–Steinberg, slightly faster',
+  },
+  {
+    id: 'bayer4',
+    name: 'Bayer 4×4',
+    description: 'Ordered pattern, stable across frames (no shimmer)',
+  },
+  {
+    id: 'bayer8',
+    name: 'Bayer 8×8',
+    description: 'Finer ordered pattern, stable across frames',
+  },
+];
+
+/**
+ * Error-diffusion kernels: [dx, dy, weight] taps plus the weight divisor.
+ * dx is relative to the scan direction, so serpentine rows mirror it.
+ * @type {Record<string, { taps: [number, number, number][], divisor: number }>}
+ */
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': {
+    taps: [
+      [1, 0, 7],
+      [-1, 1, 3],
+      [0, 1, 5],
+      [1, 1, 1],
+    ],
+    divisor: 16,
+  },
+  // Diffuses only 6/8 of the error: saturated areas stay clean
+  atkinson: {
+    taps: [
+      [1, 0, 1],
+      [2, 0, 1],
+      [-1, 1, 1],
+      [0, 1, 1],
+      [1, 1, 1],
+      [0, 2, 1],
+    ],
+    divisor: 8,
+  },
+  'sierra-lite': {
+    taps: [
+      [1, 0, 2],
+      [-1, 1, 1],
+      [0, 1, 1],
+    ],
+    divisor: 4,
+  },
+};
+
+/**
+ * Build a recursive Bayer threshold matrix
+ * @param {number} size - Power of two
+ * @returns {Float32Array} Row-major thresholds in [-0.5, 0.5)
+ */
+function buildBayerMatrix(size) {
+  /** @type {number[][]} */
+  let matrix = [[0]];
+  for (let n = 1; n < size; n *= 2) {
+    const next = Array.from({ length: n * 2 }, () => new Array(n * 2).fill(0));
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = matrix[y][x] * 4;
+        next[y][x] = v;
+        next[y][x + n] = v + 2;
+        next[y + n][x] = v + 3;
+        next[y + n][x + n] = v + 1;
+      }
+    }
+    matrix = next;
+  }
+  const cells = size * size;
+  return Float32Array.from(matrix.flat(), (v) => (v + 0.5) / cells - 0.5);
+}
+
+/** @type {Record<string, { size: number, matrix: Float32Array }>} */
+const BAYER_MATRICES = {
+  bayer4: { size: 4, matrix: buildBayerMatrix(4) },
+  bayer8: { size: 8, matrix: buildBayerMatrix(8) },
+};
+
+/**
+ * Create a nearest-palette-color lookup.
+ *
+ * Results are memoized per 15-bit (5 bits/channel) color, so each distinct
+ * color is searched against the palette once no matter how many pixels or
+ * frames use it. Reuse the matcher for as long as the palette is unchanged.
+ *
+ * @param {Palette} palette
+ * @returns {(r: number, g: number, b: number) => number} Palette index
+ */
+export function createPaletteMatcher(palette) {
+  const cache = new Int16Array(1 << 15).fill(-1);
+  const count = palette.length;
+  const pr = new Int32Array(count);
+  const pg = new Int32Array(count);
+  const pb = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    pr[i] = palette[i][0];
+    pg[i] = palette[i][1];
+    pb[i] = palette[i][2];
+  }
+
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const cached = cache[key];
+    if (cached >= 0) return cached;
+
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < count; i++) {
+      const dr = r - pr[i];
+      const dg = g - pg[i];
+      const db = b - pb[i];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+        if (distance === 0) break;
+      }
+    }
+    cache[key] = best;
+    return best;
+  };
+}
+
+/**
+ * @param {number} v
+ * @returns {number}
+ */
+const clamp255 = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+/**
+ * Error-diffusion dithering over a rolling window of row error buffers.
+ *
+ * Rows are scanned serpentine (alternating direction), which breaks up the
+ * diagonal "worm" artifacts a fixed left-to-right scan produces.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {Palette} palette
+ * @param {(r: number, g: number, b: number) => number} match
+ * @param {{ taps: [number, number, number][], divisor: number }} kernel
+ * @returns {Uint8Array}
+ */
+function diffuse(rgba, width, height, palette, match, kernel) {
+  const index = new Uint8Array(width * height);
+  const rows = 1 + Math.max(...kernel.taps.map(([, dy]) => dy));
+  // One RGB error row per kernel row, padded by 2 pixels each side
+  const stride = (width + 4) * 3;
+  const errors = Array.from({ length: rows }, () => new Float32Array(stride));
+
+  for (let y = 0; y < height; y++) {
+    const reverse = (y & 1) === 1;
+    const current = errors[0];
+    for (let step = 0; step < width; step++) {
+      const x = reverse ? width - 1 - step : step;
+      const p = (y * width + x) * 4;
+      const e = (x + 2) * 3;
+
+      const r = clamp255(rgba[p] + current[e]);
+      const g = clamp255(rgba[p + 1] + current[e + 1]);
+      const b = clamp255(rgba[p + 2] + current[e + 2]);
+
+      const i = match(Math.round(r), Math.round(g), Math.round(b));
+      index[y * width + x] = i;
+
+      const color = palette[i];
+      const er = (r - color[0]) / kernel.divisor;
+      const eg = (g - color[1]) / kernel.divisor;
+      const eb = (b - color[2]) / kernel.divisor;
+
+      for (const [dx, dy, weight] of kernel.taps) {
+        const tx = x + (reverse ? -dx : dx);
+        if (tx < 0 || tx >= width) continue;
+        const row = errors[dy];
+        const t = (tx + 2) * 3;
+        row[t] += er * weight;
+        row[t + 1] += eg * weight;
+        row[t + 2] += eb * weight;
+      }
+    }
+
+    // Rotate: the next row's buffer becomes current, the old one is reused
+    const done = errors.shift();
+    if (done) {
+      done.fill(0);
+      errors.push(done);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Ordered (Bayer) dithering.
+ *
+ * Each pixel is nudged by its matrix threshold scaled to the palette's
+ * typical spacing, so the pattern depends only on position — unchanged
+ * pixels stay unchanged between frames.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {Palette} palette
+ * @param {(r: number, g: number, b: number) => number} match
+ * @param {{ size: number, matrix: Float32Array }} bayer
+ * @returns {Uint8Array}
+ */
+function ordered(rgba, width, height, palette, match, bayer) {
+  const index = new Uint8Array(width * height);
+  // Average per-channel step between palette colors in a uniform cube
+  const spread = 255 / Math.max(1, Math.cbrt(palette.length) - 1);
+  const mask = bayer.size - 1;
+
+  for (let y = 0; y < height; y++) {
+    const row = (y & mask) * bayer.size;
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const offset = bayer.matrix[row + (x & mask)] * spread;
+      index[y * width + x] = match(
+        clamp255(Math.round(rgba[p] + offset)),
+        clamp255(Math.round(rgba[p + 1] + offset)),
+        clamp255(Math.round(rgba[p + 2] + offset)),
+      );
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Map RGBA pixels to palette indices with dithering.
+ *
+ * Drop-in for gifenc's applyPalette when dithering is on. Alpha is ignored:
+ * captured frames are opaque and the palette formats used here are RGB.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {Palette} palette
+ * @param {DitherMethod} method
+ * @param {(r: number, g: number, b: number) => number} [match] - Reusable matcher for this palette
+ * @returns {Uint8Array} One palette index per pixel
+ * @throws {Error} For unknown methods
+ */
+export function ditherToPalette(rgba, width, height, palette, method, match) {
+  const lookup = match ?? createPaletteMatcher(palette);
+
+  const kernel = DIFFUSION_KERNELS[method];
+  if (kernel) {
+    return diffuse(rgba, width, height, palette, lookup, kernel);
+  }
+
+  const bayer = BAYER_MATRICES[method];
+  if (bayer) {
+    return ordered(rgba, width, height, palette, lookup, bayer);
+  }
+
+  throw new Error(`Unknown dither method: ${method}`);
+}
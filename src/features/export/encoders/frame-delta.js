@@ -0,0 +1,162 @@
+/**
+ * Frame Delta Optimization
+ * Reduces each frame to the changed region of the previous output
+ * @module features/export/encoders/frame-delta
+ */
+
+/**
+ * @typedef {number[][]} Palette - [r, g, b] entries from quantize()
+ */
+
+/**
+ * Frame region to write, relative to the logical screen
+ * @typedef {Object} DeltaFrame
+ * @property {number} x - Left offset
+ * @property {number} y - Top offset
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} index - Palette indices for the region
+ * @property {boolean} transparent - Whether `index` uses the transparent index
+ */
+
+/**
+ * Create a delta optimizer for one animation.
+ *
+ * Tracks what a viewer shows after each written frame, so the next frame
+ * only needs the bounding box of pixels whose displayed color changes.
+ * Unchanged pixels inside the box become the transparent index, which LZW
+ * compresses to almost nothing. Frames must then use disposal 1 ("do not
+ * dispose") so the previous output stays visible underneath.
+ *
+ * A pixel also counts as unchanged when its source color is identical to
+ * the previous frame and the palette was not rebuilt in between: error
+ * diffusion can pick a different index for the same static pixel, and
+ * rewriting it would only add noise.
+ *
+ * @param {number} width
+ * @param {number} height
+ */
+export function createFrameOptimizer(width, height) {
+  const pixelCount = width * height;
+
+  /** RGB currently shown on the canvas */
+  const displayed = new Uint8Array(pixelCount * 3);
+
+  /** Source RGBA of the previous frame, one packed pixel per entry */
+  const previousSource = new Uint32Array(pixelCount);
+
+  /** Per-pixel "needs writing" flags, reused between frames */
+  const changed = new Uint8Array(pixelCount);
+
+  let hasFrame = false;
+
+  /**
+   * @param {Uint8Array | Uint8ClampedArray} rgba
+   * @returns {Uint32Array}
+   */
+  const packed = (rgba) =>
+    rgba.byteOffset % 4 === 0
+      ? new Uint32Array(rgba.buffer, rgba.byteOffset, pixelCount)
+      : new Uint32Array(Uint8Array.from(rgba).buffer);
+
+  /**
+   * Record a pixel's new color as displayed
+   * @param {number} p - Pixel offset
+   * @param {number[]} color
+   */
+  const paint = (p, color) => {
+    displayed[p * 3] = color[0];
+    displayed[p * 3 + 1] = color[1];
+    displayed[p * 3 + 2] = color[2];
+  };
+
+  return {
+    /**
+     * Reduce a fully indexed frame to what must be written
+     * @param {Uint8Array} index - Palette index per pixel of the full frame
+     * @param {Palette} palette - Palette `index` refers to
+     * @param {Uint8Array | Uint8ClampedArray} rgba - Source pixels of the frame
+     * @param {boolean} paletteChanged - Palette was rebuilt for this frame
+     * @param {number} transparentIndex - Index reserved for "keep previous pixel"
+     * @returns {DeltaFrame}
+     */
+    next(index, palette, rgba, paletteChanged, transparentIndex) {
+      const source = packed(rgba);
+
+      if (!hasFrame) {
+        hasFrame = true;
+        for (let p = 0; p < pixelCount; p++) {
+          paint(p, palette[index[p]]);
+        }
+        previousSource.set(source);
+        return { x: 0, y: 0, width, height, index, transparent: false };
+      }
+
+      let minX = width;
+      let minY = height;
+      let maxX = -1;
+      let maxY = -1;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const p = y * width + x;
+          let isChanged = 0;
+          if (paletteChanged || source[p] !== previousSource[p]) {
+            const color = palette[index[p]];
+            const d = p * 3;
+            isChanged =
+              color[0] !== displayed[d] ||
+              color[1] !== displayed[d + 1] ||
+              color[2] !== displayed[d + 2]
+                ? 1
+                : 0;
+          }
+          changed[p] = isChanged;
+          if (isChanged) {
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+          }
+        }
+      }
+      previousSource.set(source);
+
+      // Nothing changed: a single transparent pixel keeps the frame's delay
+      if (maxX < 0) {
+        return {
+          x: 0,
+          y: 0,
+          width: 1,
+          height: 1,
+          index: new Uint8Array([transparentIndex]),
+          transparent: true,
+        };
+      }
+
+      const regionWidth = maxX - minX + 1;
+      const regionHeight = maxY - minY + 1;
+      const region = new Uint8Array(regionWidth * regionHeight);
+      for (let y = 0; y < regionHeight; y++) {
+        const row = (minY + y) * width + minX;
+        for (let x = 0; x < regionWidth; x++) {
+          const p = row + x;
+          if (changed[p]) {
+            region[y * regionWidth + x] = index[p];
+            paint(p, palette[index[p]]);
+          } else {
+            region[y * regionWidth + x] = transparentIndex;
+          }
+        }
+      }
+
+      return {
+        x: minX,
+        y: minY,
+        width: regionWidth,
+        height: regionHeight,
+        index: region,
+        transparent: true,
+      };
+    },
+  };
+}
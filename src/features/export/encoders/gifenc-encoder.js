@@ -4,7 +4,10 @@
  * @module features/export/encoders/gifenc-encoder
  */
 
-import { applyPalette, GIFEncoder, quantize } from 'gifenc';
+import { applyPalette, GIFEncoder } from 'gifenc';
+import { createPalette } from '../quantizers/index.js';
+import { createPaletteMatcher, ditherToPalette } from './dither.js';
+import { createFrameOptimizer } from './frame-delta.js';
 
 /**
  * @typedef {import('./types.js').EncoderInterface} EncoderInterface
@@ -20,32 +23,148 @@ const METADATA = {
   description: 'Fast JavaScript encoder with quality controls',
   isWasm: false,
   version: '1.0.3',
+  mimeType: 'image/gif',
   capabilities: {
     supportsMaxColors: true,
     supportsQuantizeFormat: true,
     supportsDithering: true,
+    supportsLossless: false,
   },
 };
 
+/** GIF disposal method 1: leave the frame in place for the next one to draw over */
+const DISPOSE_KEEP = 1;
+
+/** Bytes gifenc writes for a Graphic Control Extension */
+const GCE_LENGTH = 8;
+
+/** Image Descriptor introducer */
+const IMAGE_SEPARATOR = 0x2c;
+
+/**
+ * Set the position of the image descriptor gifenc just wrote.
+ *
+ * gifenc always writes frames at (0, 0); sub-rectangle frames are written
+ * at their own size and moved into place here. The descriptor directly
+ * follows the frame's GCE, which starts at `frameStart`.
+ *
+ * @param {Uint8Array} bytes - Encoder stream view
+ * @param {number} frameStart - Stream length before writeFrame
+ * @param {number} x
+ * @param {number} y
+ */
+function positionFrame(bytes, frameStart, x, y) {
+  const descriptor = frameStart + GCE_LENGTH;
+  if (bytes[descriptor] !== IMAGE_SEPARATOR) {
+    throw new Error('Unexpected GIF stream layout: image descriptor not found');
+  }
+  bytes[descriptor + 1] = x & 0xff;
+  bytes[descriptor + 2] = (x >> 8) & 0xff;
+  bytes[descriptor + 3] = y & 0xff;
+  bytes[descriptor + 4] = (y >> 8) & 0xff;
+}
+
 /**
  * Whether addFrame should rebuild the palette for this frame.
  *
  * interval semantics: 1 = every frame; N>1 = frames 0, N, 2N, ...;
  * 0 = only when no palette exists yet (first frame / after init).
+ * Known scene cuts replace the N>1 and 0 schedules: colors only shift
+ * much at a cut, so one palette per scene costs a rebuild exactly where
+ * it pays off. Interval 1 already rebuilds at every cut.
  * Exported for unit tests - the schedule IS the perf contract (#99).
  *
  * @param {number} frameIndex
  * @param {number} interval
  * @param {boolean} hasPalette
+ * @param {ReadonlySet<number> | null} [sceneCuts] - Frames that start a new scene
  * @returns {boolean}
  */
-export function shouldQuantize(frameIndex, interval, hasPalette) {
+export function shouldQuantize(frameIndex, interval, hasPalette, sceneCuts = null) {
   if (!hasPalette) return true;
-  if (interval <= 0) return false;
   if (interval === 1) return true;
+  if (sceneCuts) return sceneCuts.has(frameIndex);
+  if (interval <= 0) return false;
   return frameIndex % interval === 0;
 }
 
+/** Entries in a GIF color table */
+const MAX_COLORS = 256;
+
+/**
+ * Colors to quantize to; frame optimization reserves the last slot for
+ * transparency
+ * @param {EncoderConfig} config
+ * @returns {number}
+ */
+function paletteSize(config) {
+  return config.optimizeFrames ? Math.max(2, config.maxColors - 1) : config.maxColors;
+}
+
+/**
+ * Put pinned colors into a palette.
+ *
+ * Pinned colors come first and are kept exactly, even where the quantize
+ * format (rgb565/rgb444) could not represent them; palette entries equal to
+ * a pinned color are dropped, and the rest fill the remaining slots.
+ * Exported for unit tests.
+ *
+ * @param {number[][]} palette
+ * @param {number[][]} pinned
+ * @param {number} size - Maximum entries in the result
+ * @returns {number[][]}
+ */
+export function pinColors(palette, pinned, size) {
+  const key = (/** @type {number[]} */ c) => (c[0] << 16) | (c[1] << 8) | c[2];
+  const result = [];
+  const seen = new Set();
+  for (const color of [...pinned, ...palette]) {
+    if (result.length >= size) break;
+    const k = key(color);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    result.push(color.slice(0, 3));
+  }
+  return result;
+}
+
+/**
+ * Map pixels that exactly match a pinned color onto its palette entry.
+ *
+ * Palette mapping memoizes by reduced-precision color (rgb565/rgb444 bins,
+ * 15-bit for dithering), so a pinned color can otherwise land on whichever
+ * entry its bin's first pixel picked.
+ *
+ * @param {Uint8Array} index - Palette indices, updated in place
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {Map<number, number>} pinnedIndex - Packed RGB -> palette index
+ */
+function keepPinnedPixels(index, rgba, pinnedIndex) {
+  for (let p = 0; p < index.length; p++) {
+    const o = p * 4;
+    const i = pinnedIndex.get((rgba[o] << 16) | (rgba[o + 1] << 8) | rgba[o + 2]);
+    if (i !== undefined) index[p] = i;
+  }
+}
+
+/**
+ * Quantize pixels to at most `size` colors, pinned colors included
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {number} size
+ * @param {EncoderConfig} config - Supplies the quantizer, format and pinned colors
+ * @returns {number[][]}
+ */
+function buildPalette(rgba, size, config) {
+  const quantizer = config.quantizer ?? 'gifenc';
+  const format = config.quantizeFormat || 'rgb565';
+  const pinned = config.pinnedColors ?? [];
+  if (pinned.length === 0) {
+    return createPalette(rgba, size, quantizer, format);
+  }
+  const quantized = createPalette(rgba, Math.max(2, size - pinned.length), quantizer, format);
+  return pinColors(quantized, pinned, size);
+}
+
 /**
  * Create gifenc encoder
  * @returns {EncoderInterface}
@@ -57,9 +176,27 @@ export function createGifencEncoder() {
   /** @type {EncoderConfig | null} */
   let config = null;
 
-  /** @type {ReturnType<typeof quantize> | null} Palette reused between scheduled rebuilds (#99) */
+  /** @type {number[][] | null} Palette reused between scheduled rebuilds (#99) */
   let palette = null;
 
+  /** @type {ReturnType<typeof createPaletteMatcher> | null} Nearest-color cache for `palette` */
+  let matcher = null;
+
+  /** @type {ReturnType<typeof createFrameOptimizer> | null} Set when config.optimizeFrames */
+  let optimizer = null;
+
+  /** @type {number[][] | null} Palette written as the global color table */
+  let globalPalette = null;
+
+  /** Palette was set up front (config.palette or config.paletteSample) and is never rebuilt */
+  let fixedPalette = false;
+
+  /** @type {Set<number> | null} Set when config.sceneCuts */
+  let sceneCuts = null;
+
+  /** @type {Map<number, number> | null} Pinned colors by packed RGB; they lead every palette */
+  let pinnedIndex = null;
+
   return {
     metadata: METADATA,
 
@@ -71,6 +208,34 @@ export function createGifencEncoder() {
       config = encoderConfig;
       encoder = GIFEncoder();
       palette = null;
+      matcher = null;
+      globalPalette = null;
+      sceneCuts = encoderConfig.sceneCuts ? new Set(encoderConfig.sceneCuts) : null;
+      optimizer = encoderConfig.optimizeFrames
+        ? createFrameOptimizer(encoderConfig.width, encoderConfig.height)
+        : null;
+
+      // A supplied palette, or two-pass mode, gives one palette for the
+      // whole clip: colors cannot shift between frames and no frame needs
+      // a local color table
+      const pinned = encoderConfig.pinnedColors ?? [];
+      pinnedIndex = null;
+      if (pinned.length > 0) {
+        const leading = pinColors([], pinned, paletteSize(encoderConfig));
+        pinnedIndex = new Map(leading.map((c, i) => [(c[0] << 16) | (c[1] << 8) | c[2], i]));
+      }
+      const sample = encoderConfig.paletteSample;
+      if (encoderConfig.palette?.length) {
+        // Frame optimization still needs a free slot for transparency
+        const size = optimizer ? MAX_COLORS - 1 : MAX_COLORS;
+        palette = pinColors(encoderConfig.palette, pinned, size);
+        fixedPalette = true;
+      } else if (sample?.length) {
+        palette = buildPalette(sample, paletteSize(encoderConfig), encoderConfig);
+        fixedPalette = true;
+      } else {
+        fixedPalette = false;
+      }
     },
 
     /**
@@ -84,26 +249,71 @@ export function createGifencEncoder() {
       }
 
       const { rgba, width, height } = frameData;
+      const delay = frameData.delayMs ?? config.frameDelayMs;
       const format = config.quantizeFormat || 'rgb565';
 
       // Palette rebuilding (quantize) dominates encode time (#99); the
-      // preset's paletteInterval schedules how often it actually runs.
+      // preset's paletteInterval, or the clip's scene cuts, schedule how
+      // often it actually runs.
       // Consecutive frames share most of their colors, so reusing the
       // palette between rebuilds trades negligible fidelity for the bulk
       // of the encode cost on balanced/fast presets.
-      if (shouldQuantize(frameIndex, config.paletteInterval ?? 1, palette !== null)) {
-        palette = quantize(rgba, config.maxColors, { format });
+      const rebuild =
+        !fixedPalette &&
+        shouldQuantize(frameIndex, config.paletteInterval ?? 1, palette !== null, sceneCuts);
+      if (rebuild) {
+        palette = buildPalette(rgba, paletteSize(config), config);
+        matcher = null;
+      }
+
+      // Map pixels to palette indices: dithered when requested, otherwise
+      // gifenc's nearest-color mapping in the same format
+      const dither = config.dither ?? 'none';
+      let index;
+      if (dither === 'none') {
+        index = applyPalette(rgba, palette, format);
+      } else {
+        matcher ??= createPaletteMatcher(palette);
+        index = ditherToPalette(rgba, width, height, palette, dither, matcher);
+      }
+      if (pinnedIndex) {
+        keepPinnedPixels(index, rgba, pinnedIndex);
+      }
+
+      if (!optimizer) {
+        // Write frame; a fixed palette is written once, as the global table
+        const writePalette = !fixedPalette || globalPalette === null;
+        globalPalette ??= palette;
+        encoder.writeFrame(index, width, height, {
+          palette: writePalette ? palette : null,
+          delay,
+          repeat: config.loopCount,
+        });
+        return;
       }
 
-      // Map pixels to palette indices with same format
-      const index = applyPalette(rgba, palette, format);
+      // Delta frame: only the changed region, unchanged pixels transparent
+      const transparentIndex = palette.length;
+      const delta = optimizer.next(index, palette, rgba, rebuild, transparentIndex);
+      const frameStart = encoder.bytesView().length;
+      const isFirst = globalPalette === null;
+      if (isFirst) {
+        globalPalette = palette;
+      }
 
-      // Write frame
-      encoder.writeFrame(index, width, height, {
-        palette,
-        delay: config.frameDelayMs,
+      encoder.writeFrame(delta.index, delta.width, delta.height, {
+        // A palette still equal to the global table needs no local copy
+        palette: isFirst || palette !== globalPalette ? [...palette, [0, 0, 0]] : null,
+        delay,
         repeat: config.loopCount,
+        transparent: delta.transparent,
+        transparentIndex,
+        dispose: DISPOSE_KEEP,
       });
+
+      if (delta.x !== 0 || delta.y !== 0) {
+        positionFrame(encoder.bytesView(), frameStart, delta.x, delta.y);
+      }
     },
 
     /**
@@ -128,6 +338,12 @@ export function createGifencEncoder() {
       encoder = null;
       config = null;
       palette = null;
+      matcher = null;
+      optimizer = null;
+      globalPalette = null;
+      fixedPalette = false;
+      sceneCuts = null;
+      pinnedIndex = null;
     },
   };
 }
@@ -18,10 +18,12 @@ const METADATA = {
   description: 'Blazing fast, best quality color quantization',
   isWasm: true,
   version: '1.0.0',
+  mimeType: 'image/gif',
   capabilities: {
     supportsMaxColors: false,
     supportsQuantizeFormat: false,
     supportsDithering: false,
+    supportsLossless: false,
   },
 };
 
@@ -271,7 +273,7 @@ export function createGifsicleEncoder() {
 
       // Add frame to encoder
       // Note: delay is in centiseconds (1/100th of a second)
-      const delayCentiseconds = Math.round(config.frameDelayMs / 10);
+      const delayCentiseconds = Math.round((frameData.delayMs ?? config.frameDelayMs) / 10);
       module._encoder_add_frame(encoderPtr, 0, 0, width, height, ptr, delayCentiseconds);
 
       // Free memory
@@ -0,0 +1,135 @@
+/**
+ * PNG Sequence Encoder Implementation
+ * Every frame as a lossless PNG file inside a ZIP archive, plus manifest.json
+ * @module features/export/encoders/png-sequence-encoder
+ */
+
+import { encodePngStream } from '../../../shared/utils/png.js';
+import { createZipWriter } from '../../../shared/utils/zip.js';
+
+/**
+ * @typedef {import('./types.js').EncoderInterface} EncoderInterface
+ * @typedef {import('./types.js').EncoderConfig} EncoderConfig
+ * @typedef {import('./types.js').FrameData} FrameData
+ * @typedef {import('./types.js').EncoderMetadata} EncoderMetadata
+ * @typedef {import('../types.js').PngSequenceManifest} PngSequenceManifest
+ */
+
+/** @type {EncoderMetadata} */
+const METADATA = {
+  id: 'png-zip',
+  name: 'PNG sequence (ZIP)',
+  description: 'One lossless PNG per frame with a JSON manifest',
+  isWasm: false,
+  version: '1.0.0',
+  mimeType: 'application/zip',
+  capabilities: {
+    supportsMaxColors: false,
+    supportsQuantizeFormat: false,
+    supportsDithering: false,
+    supportsLossless: false,
+  },
+};
+
+/**
+ * Create PNG sequence encoder
+ *
+ * Each frame is compressed band by band straight into its archive entry,
+ * and entries are kept as Blob parts, so neither a frame's PNG nor the
+ * archive is ever built as one buffer. Memory stays at about the frames
+ * in flight no matter how long the selection is.
+ *
+ * @returns {EncoderInterface}
+ */
+export function createPngSequenceEncoder() {
+  /** @type {EncoderConfig | null} */
+  let config = null;
+
+  /** @type {ReturnType<typeof createZipWriter> | null} */
+  let zip = null;
+
+  let frameCount = 0;
+
+  return {
+    metadata: METADATA,
+
+    /**
+     * Initialize encoder
+     * @param {EncoderConfig} encoderConfig - Must carry the manifest naming every file
+     */
+    init(encoderConfig) {
+      if (!encoderConfig.manifest) {
+        throw new Error('PNG sequence export needs a manifest');
+      }
+      config = encoderConfig;
+      zip = createZipWriter();
+      frameCount = 0;
+    },
+
+    /**
+     * Add frame
+     *
+     * Async: compression goes through CompressionStream. The worker awaits
+     * each frame before submitting the next, so only one entry is open.
+     *
+     * @param {FrameData} frameData
+     * @param {number} frameIndex - Position in the manifest
+     */
+    async addFrame(frameData, frameIndex) {
+      if (!config || !zip) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+
+      const { rgba, width, height } = frameData;
+      if (width !== config.width || height !== config.height) {
+        throw new Error(
+          `Frame size ${width}x${height} does not match output ${config.width}x${config.height}`,
+        );
+      }
+
+      const file = /** @type {PngSequenceManifest} */ (config.manifest).frames[frameIndex]?.file;
+      if (!file) {
+        throw new Error(`Frame ${frameIndex} is not in the manifest`);
+      }
+
+      const entry = zip.openEntry(file);
+      await encodePngStream(rgba, width, height, entry.write);
+      entry.close();
+      frameCount++;
+    },
+
+    /**
+     * Complete encoding and get the archive
+     * @returns {Blob}
+     */
+    finish() {
+      if (!config || !zip) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+      if (frameCount === 0) {
+        throw new Error('No frames to encode');
+      }
+
+      const manifest = JSON.stringify(config.manifest, null, 2);
+      zip.addFile('manifest.json', new TextEncoder().encode(manifest));
+      return zip.finish();
+    },
+
+    /**
+     * Release resources
+     */
+    dispose() {
+      config = null;
+      zip = null;
+      frameCount = 0;
+    },
+  };
+}
+
+/**
+ * Get PNG sequence encoder metadata
+ * @returns {EncoderMetadata}
+ */
+export function getPngSequenceMetadata() {
+  return METADATA;
+}
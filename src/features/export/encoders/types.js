@@ -9,6 +9,11 @@
  * @typedef {'rgb565'|'rgb444'} QuantizeFormat
  */
 
+/**
+ * Dithering algorithm applied when mapping pixels to the palette
+ * @typedef {'floyd-steinberg'|'atkinson'|'sierra-lite'|'bayer4'|'bayer8'} DitherMethod
+ */
+
 /**
  * Encoder preset configuration
  * @typedef {Object} EncoderPresetConfig
@@ -33,6 +38,23 @@
  * @property {number} frameDelayMs - Frame delay (ms)
  * @property {number} loopCount - Loop count (0 = infinite)
  * @property {QuantizeFormat} [quantizeFormat='rgb565'] - Quantization format
+ * @property {number} [paletteInterval=1] - Palette rebuild schedule (see EncoderPresetConfig)
+ * @property {import('../quantizers/types.js').QuantizerId} [quantizer='gifenc'] - Algorithm
+ *   that builds palettes (gifenc)
+ * @property {number[]} [sceneCuts] - Frame indices where a new scene begins; when set, the
+ *   palette is rebuilt exactly there instead of on the interval (gifenc)
+ * @property {DitherMethod|'none'} [dither='none'] - Dithering for palette encoders
+ * @property {boolean} [optimizeFrames=false] - Write each frame as the changed region of the
+ *   previous one, unchanged pixels transparent (gifenc)
+ * @property {number[][]} [palette] - Fixed [r, g, b] palette used for every frame instead of
+ *   quantizing (gifenc)
+ * @property {number[][]} [pinnedColors] - [r, g, b] colors every palette must contain exactly (gifenc)
+ * @property {Uint8ClampedArray} [paletteSample] - RGBA pixels sampled from the whole clip;
+ *   when set, one palette is built from them and written as the only color table (gifenc)
+ * @property {number} [quality] - Lossy quality 0.1-1.0 (true-color encoders)
+ * @property {boolean} [lossless] - Prefer lossless compression where supported
+ * @property {import('../types.js').PngSequenceManifest} [manifest] - File name and timing of
+ *   every frame (png-zip)
  */
 
 /**
@@ -41,6 +63,8 @@
  * @property {Uint8ClampedArray} rgba - RGBA pixel data
  * @property {number} width - Frame width
  * @property {number} height - Frame height
+ * @property {number} [delayMs] - Display time of this frame; falls back to
+ *   EncoderConfig.frameDelayMs (merged duplicate frames carry their summed delay)
  */
 
 /**
@@ -57,6 +81,7 @@
  * @property {boolean} supportsMaxColors - Supports color count limit
  * @property {boolean} supportsQuantizeFormat - Supports quantization format selection
  * @property {boolean} supportsDithering - Supports dithering option
+ * @property {boolean} supportsLossless - Supports a lossless/lossy switch
  */
 
 /**
@@ -67,12 +92,13 @@
  * @property {string} description - User-facing description
  * @property {boolean} isWasm - Whether WASM encoder
  * @property {string} version - Version
+ * @property {string} mimeType - MIME type of the produced file
  * @property {EncoderCapabilities} capabilities - Supported features
  */
 
 /**
  * Encoder ID
- * @typedef {'gifenc-js'|'gifsicle-wasm'} EncoderId
+ * @typedef {'gifenc-js'|'gifsicle-wasm'|'webp-native'|'apng-js'|'webm-webcodecs'|'mp4-webcodecs'|'sprite-sheet'|'png-zip'} EncoderId
  */
 
 /**
@@ -82,8 +108,9 @@
  * @typedef {Object} EncoderInterface
  * @property {EncoderMetadata} metadata - Encoder metadata
  * @property {(config: EncoderConfig) => void | Promise<void>} init - Initialize (sync or async)
- * @property {(frameData: FrameData, frameIndex: number) => void} addFrame - Add frame
- * @property {() => Uint8Array} finish - Complete encoding and get byte array
+ * @property {(frameData: FrameData, frameIndex: number) => void | Promise<void>} addFrame - Add frame (sync or async)
+ * @property {() => Uint8Array | Blob | Promise<Uint8Array | Blob>} finish - Complete encoding
+ *   and get the file (a Blob when the output is assembled from parts)
  * @property {() => void} dispose - Release resources
  */
 
@@ -0,0 +1,392 @@
+/**
+ * Video Encoder Implementation
+ * WebM (VP9/VP8) and MP4 (H.264) through WebCodecs VideoEncoder, muxed in JavaScript
+ * @module features/export/encoders/video-encoder
+ */
+
+import { muxMp4 } from '../muxers/mp4-muxer.js';
+import { muxWebm } from '../muxers/webm-muxer.js';
+
+/**
+ * @typedef {import('./types.js').EncoderInterface} EncoderInterface
+ * @typedef {import('./types.js').EncoderConfig} EncoderConfig
+ * @typedef {import('./types.js').FrameData} FrameData
+ * @typedef {import('./types.js').EncoderMetadata} EncoderMetadata
+ * @typedef {import('../muxers/types.js').VideoSample} VideoSample
+ */
+
+/**
+ * Output container
+ * @typedef {'webm'|'mp4'} VideoContainer
+ */
+
+/** Capabilities shared by both containers: no palette, no lossless mode */
+const VIDEO_CAPABILITIES = {
+  supportsMaxColors: false,
+  supportsQuantizeFormat: false,
+  supportsDithering: false,
+  supportsLossless: false,
+};
+
+/** @type {Record<VideoContainer, EncoderMetadata>} */
+const METADATA = {
+  webm: {
+    id: 'webm-webcodecs',
+    name: 'WebM (VP9)',
+    description: 'Small video file, plays in browsers and most chat apps',
+    isWasm: false,
+    version: '1.0.0',
+    mimeType: 'video/webm',
+    capabilities: VIDEO_CAPABILITIES,
+  },
+  mp4: {
+    id: 'mp4-webcodecs',
+    name: 'MP4 (H.264)',
+    description: 'Most compatible video format, plays almost everywhere',
+    isWasm: false,
+    version: '1.0.0',
+    mimeType: 'video/mp4',
+    capabilities: VIDEO_CAPABILITIES,
+  },
+};
+
+/**
+ * Codec strings to probe, best first.
+ * H.264 High/Main/Baseline at level 5.1 cover up to 4096x2304.
+ * @type {Record<VideoContainer, string[]>}
+ */
+const CODEC_CANDIDATES = {
+  webm: ['vp09.00.10.08', 'vp8'],
+  mp4: ['avc1.640033', 'avc1.4d0033', 'avc1.42e033'],
+};
+
+/** Default lossy quality when none is configured */
+const DEFAULT_QUALITY = 0.8;
+
+/** Bitrate cap in bits/s, matching the clip codec */
+const MAX_BITRATE = 20_000_000;
+
+/** Seconds between forced keyframes (seek granularity) */
+const KEYFRAME_INTERVAL_SEC = 2;
+
+/** Frames allowed to wait inside VideoEncoder before addFrame blocks */
+const MAX_ENCODE_QUEUE = 8;
+
+/**
+ * Calculate the target bitrate.
+ *
+ * Screen recordings compress well, so even the top of the quality range
+ * stays far below camera-video rates: 0.05-0.25 bits per pixel per frame.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} fps
+ * @param {number} quality - 0.1-1.0
+ * @returns {number} Bits per second
+ */
+export function calculateVideoBitrate(width, height, fps, quality) {
+  const bitsPerPixel = 0.05 + 0.2 * quality;
+  return Math.min(MAX_BITRATE, Math.round(width * height * fps * bitsPerPixel));
+}
+
+/**
+ * Round dimensions down to even numbers.
+ *
+ * 4:2:0 encoders (H.264 in particular) reject odd sizes; dropping the last
+ * row or column is invisible and keeps the crop otherwise untouched.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number }}
+ */
+export function toEvenDimensions(width, height) {
+  return { width: Math.max(2, width & ~1), height: Math.max(2, height & ~1) };
+}
+
+/**
+ * Whether WebCodecs video encoding exists in this context
+ * @returns {boolean}
+ */
+export function isVideoEncodingAvailable() {
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+/**
+ * Find the first codec the browser can encode at this size
+ * @param {VideoContainer} container
+ * @param {Omit<VideoEncoderConfig, 'codec'>} baseConfig
+ * @returns {Promise<VideoEncoderConfig | null>}
+ */
+async function findSupportedConfig(container, baseConfig) {
+  for (const codec of CODEC_CANDIDATES[container]) {
+    /** @type {VideoEncoderConfig} */
+    const config = { ...baseConfig, codec };
+    if (container === 'mp4') {
+      // Length-prefixed NAL units with an avcC description, as MP4 stores them
+      config.avc = { format: 'avc' };
+    }
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) return config;
+    } catch {
+      // Malformed or unknown codec string: try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Copy a BufferSource into a standalone Uint8Array
+ * @param {AllowSharedBufferSource | undefined} source
+ * @returns {Uint8Array | undefined}
+ */
+function copyDescription(source) {
+  if (!source) return undefined;
+  if (source instanceof ArrayBuffer) return new Uint8Array(source.slice(0));
+  if (ArrayBuffer.isView(source)) {
+    return new Uint8Array(
+      source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength),
+    );
+  }
+  return undefined;
+}
+
+/**
+ * Create a video encoder for one container.
+ *
+ * Video containers have no loop count: players loop through their own
+ * controls (the export preview sets `loop`), so config.loopCount is ignored.
+ *
+ * @param {VideoContainer} container
+ * @returns {EncoderInterface}
+ */
+function createVideoEncoder(container) {
+  /** @type {EncoderConfig | null} */
+  let config = null;
+
+  /** @type {VideoEncoder | null} */
+  let encoder = null;
+
+  /** @type {string} */
+  let codec = '';
+
+  /** @type {{ width: number, height: number }} */
+  let size = { width: 0, height: 0 };
+
+  /** @type {VideoSample[]} */
+  let samples = [];
+
+  /** @type {Uint8Array | undefined} */
+  let description;
+
+  /** @type {Error | null} First error reported by the encoder */
+  let encodeError = null;
+
+  let frameCount = 0;
+  let keyframeInterval = 1;
+
+  /** Presentation time of the next frame, in microseconds */
+  let nextTimestampUs = 0;
+
+  /** @type {Promise<never>} Rejects once the encoder reports an error */
+  let encoderFailed = new Promise(() => {});
+
+  const throwIfFailed = () => {
+    if (encodeError) throw encodeError;
+  };
+
+  const closeEncoder = () => {
+    if (encoder && encoder.state !== 'closed') {
+      encoder.close();
+    }
+    encoder = null;
+  };
+
+  return {
+    metadata: METADATA[container],
+
+    /**
+     * Initialize encoder
+     * @param {EncoderConfig} encoderConfig
+     */
+    async init(encoderConfig) {
+      if (!isVideoEncodingAvailable()) {
+        throw new Error('This browser cannot encode video (WebCodecs unavailable)');
+      }
+      closeEncoder();
+
+      config = encoderConfig;
+      size = toEvenDimensions(encoderConfig.width, encoderConfig.height);
+      samples = [];
+      description = undefined;
+      encodeError = null;
+      frameCount = 0;
+      nextTimestampUs = 0;
+
+      const fps = 1000 / encoderConfig.frameDelayMs;
+      keyframeInterval = Math.max(1, Math.round(KEYFRAME_INTERVAL_SEC * fps));
+
+      const supported = await findSupportedConfig(container, {
+        width: size.width,
+        height: size.height,
+        bitrate: calculateVideoBitrate(
+          size.width,
+          size.height,
+          fps,
+          encoderConfig.quality ?? DEFAULT_QUALITY,
+        ),
+        framerate: fps,
+        latencyMode: 'quality',
+      });
+      if (!supported) {
+        throw new Error(
+          `This browser cannot encode ${METADATA[container].name} at ${size.width}x${size.height}`,
+        );
+      }
+      codec = supported.codec;
+
+      /** @type {(reason: Error) => void} */
+      let failEncode = () => {};
+      encoderFailed = new Promise((_resolve, reject) => {
+        failEncode = reject;
+      });
+      // Swallow the rejection when nothing is racing it — without a handler
+      // an unconsumed encoderFailed would surface as an unhandled rejection.
+      encoderFailed.catch(() => {});
+
+      encoder = new VideoEncoder({
+        output: (chunk, metadata) => {
+          const data = new Uint8Array(chunk.byteLength);
+          chunk.copyTo(data);
+          samples.push({
+            data,
+            timestampUs: chunk.timestamp,
+            durationUs: chunk.duration ?? encoderConfig.frameDelayMs * 1000,
+            isKey: chunk.type === 'key',
+          });
+          if (metadata?.decoderConfig?.description && !description) {
+            description = copyDescription(metadata.decoderConfig.description);
+          }
+        },
+        error: (err) => {
+          encodeError = err instanceof Error ? err : new Error(String(err));
+          failEncode(encodeError);
+        },
+      });
+      encoder.configure(supported);
+    },
+
+    /**
+     * Add frame
+     *
+     * Async: waits for the encoder queue to drain below MAX_ENCODE_QUEUE so
+     * a fast producer cannot pile up raw frames inside VideoEncoder.
+     *
+     * @param {FrameData} frameData
+     * @param {number} _frameIndex - Unused; frames are timed in call order
+     */
+    async addFrame(frameData, _frameIndex) {
+      if (!encoder || !config) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+      throwIfFailed();
+
+      const { rgba, width, height } = frameData;
+      if (width !== config.width || height !== config.height) {
+        throw new Error(
+          `Frame size ${width}x${height} does not match output ${config.width}x${config.height}`,
+        );
+      }
+
+      // Merged duplicate frames carry a longer delay, so time accumulates
+      const durationUs = (frameData.delayMs ?? config.frameDelayMs) * 1000;
+      const frame = new VideoFrame(rgba, {
+        format: 'RGBA',
+        codedWidth: width,
+        codedHeight: height,
+        visibleRect: { x: 0, y: 0, width: size.width, height: size.height },
+        timestamp: Math.round(nextTimestampUs),
+        duration: Math.round(durationUs),
+      });
+      try {
+        encoder.encode(frame, { keyFrame: frameCount % keyframeInterval === 0 });
+      } finally {
+        frame.close();
+      }
+      frameCount++;
+      nextTimestampUs += durationUs;
+
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        const activeEncoder = encoder;
+        await Promise.race([
+          new Promise((resolve) =>
+            activeEncoder.addEventListener('dequeue', resolve, { once: true }),
+          ),
+          encoderFailed,
+        ]);
+      }
+    },
+
+    /**
+     * Complete encoding and get byte array
+     * @returns {Promise<Uint8Array>}
+     */
+    async finish() {
+      if (!encoder || !config) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+      if (frameCount === 0) {
+        throw new Error('No frames to encode');
+      }
+
+      await Promise.race([encoder.flush(), encoderFailed]);
+      closeEncoder();
+
+      // Chunks arrive in decode order; both muxers expect exactly that
+      const track = { codec, width: size.width, height: size.height, description };
+      return container === 'mp4' ? muxMp4(samples, track) : muxWebm(samples, track);
+    },
+
+    /**
+     * Release resources
+     */
+    dispose() {
+      closeEncoder();
+      config = null;
+      samples = [];
+      description = undefined;
+    },
+  };
+}
+
+/**
+ * Create WebM (VP9, falling back to VP8) encoder
+ * @returns {EncoderInterface}
+ */
+export function createWebmEncoder() {
+  return createVideoEncoder('webm');
+}
+
+/**
+ * Create MP4 (H.264) encoder
+ * @returns {EncoderInterface}
+ */
+export function createMp4Encoder() {
+  return createVideoEncoder('mp4');
+}
+
+/**
+ * Get WebM encoder metadata
+ * @returns {EncoderMetadata}
+ */
+export function getWebmMetadata() {
+  return METADATA.webm;
+}
+
+/**
+ * Get MP4 encoder metadata
+ * @returns {EncoderMetadata}
+ */
+export function getMp4Metadata() {
+  return METADATA.mp4;
+}
@@ -0,0 +1,386 @@
+/**
+ * Animated WebP Encoder Implementation
+ * Browser-native WebP still encoding (OffscreenCanvas.convertToBlob) muxed
+ * into an animated WebP container in JavaScript
+ * @module features/export/encoders/webp-encoder
+ */
+
+/**
+ * @typedef {import('./types.js').EncoderInterface} EncoderInterface
+ * @typedef {import('./types.js').EncoderConfig} EncoderConfig
+ * @typedef {import('./types.js').FrameData} FrameData
+ * @typedef {import('./types.js').EncoderMetadata} EncoderMetadata
+ */
+
+/** @type {EncoderMetadata} */
+const METADATA = {
+  id: 'webp-native',
+  name: 'Animated WebP',
+  description: 'True-color WebP, much smaller than GIF for UI captures',
+  isWasm: false,
+  version: '1.0.0',
+  mimeType: 'image/webp',
+  capabilities: {
+    supportsMaxColors: false,
+    supportsQuantizeFormat: false,
+    supportsDithering: false,
+    supportsLossless: true,
+  },
+};
+
+/** Default lossy quality when the config carries none */
+const DEFAULT_QUALITY = 0.8;
+
+/** Largest value of the 24-bit ANMF duration field (ms) */
+const MAX_FRAME_DURATION_MS = 0xffffff;
+
+/** VP8X feature flags (WebP container spec) */
+const VP8X_FLAGS = {
+  animation: 0x02,
+  alpha: 0x10,
+};
+
+/**
+ * A still image's bitstream chunks, ready to be wrapped in an ANMF frame
+ * @typedef {Object} WebpFrame
+ * @property {Uint8Array} data - ALPH (optional) + VP8/VP8L chunks, as written in the file
+ * @property {number} width - Frame width
+ * @property {number} height - Frame height
+ * @property {number} durationMs - Display duration in milliseconds
+ * @property {boolean} hasAlpha - Whether the bitstream carries alpha
+ */
+
+/**
+ * @typedef {Object} RiffChunk
+ * @property {string} fourcc - Chunk identifier
+ * @property {Uint8Array} payload - Chunk payload (without header or padding)
+ * @property {Uint8Array} raw - Header + payload + padding, as written in the file
+ */
+
+/**
+ * Split a still WebP file into its RIFF chunks.
+ *
+ * @param {Uint8Array} bytes - Complete RIFF/WEBP file
+ * @returns {RiffChunk[]}
+ * @throws {Error} If the bytes are not a WebP file
+ */
+export function parseWebpChunks(bytes) {
+  if (bytes.length < 12 || readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+    throw new Error('Not a WebP file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const riffEnd = Math.min(bytes.length, 8 + view.getUint32(4, true));
+
+  /** @type {RiffChunk[]} */
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= riffEnd) {
+    const fourcc = readFourCC(bytes, offset);
+    const size = view.getUint32(offset + 4, true);
+    const payloadEnd = offset + 8 + size;
+    if (payloadEnd > riffEnd) {
+      throw new Error(`Truncated WebP chunk: ${fourcc}`);
+    }
+    const paddedEnd = Math.min(riffEnd, payloadEnd + (size & 1));
+    chunks.push({
+      fourcc,
+      payload: bytes.subarray(offset + 8, payloadEnd),
+      raw: bytes.subarray(offset, paddedEnd),
+    });
+    offset = paddedEnd;
+  }
+  return chunks;
+}
+
+/**
+ * Extract the frame bitstream from a still WebP produced by the browser.
+ *
+ * Only ALPH, VP8 and VP8L belong inside an ANMF chunk; the still's own
+ * VP8X header and any metadata (ICCP/EXIF/XMP) are dropped.
+ *
+ * @param {Uint8Array} bytes - Complete still WebP file
+ * @returns {{ data: Uint8Array, hasAlpha: boolean }}
+ * @throws {Error} If no image bitstream is present
+ */
+export function extractFrameBitstream(bytes) {
+  const chunks = parseWebpChunks(bytes);
+  const alph = chunks.find((c) => c.fourcc === 'ALPH');
+  const image = chunks.find((c) => c.fourcc === 'VP8 ' || c.fourcc === 'VP8L');
+
+  if (!image) {
+    throw new Error('WebP still has no VP8/VP8L bitstream');
+  }
+
+  // VP8L header: 0x2F signature, then 14 bits width-1, 14 bits height-1
+  // and the alpha_is_used bit (bit 28 of the little-endian word)
+  const lossyAlpha = Boolean(alph) && image.fourcc === 'VP8 ';
+  const losslessAlpha = image.fourcc === 'VP8L' && ((image.payload[4] ?? 0) & 0x10) !== 0;
+
+  const parts = lossyAlpha && alph ? [alph.raw, image.raw] : [image.raw];
+  return { data: concatBytes(parts), hasAlpha: lossyAlpha || losslessAlpha };
+}
+
+/**
+ * Mux encoded frames into an animated WebP file.
+ *
+ * Layout: RIFF/WEBP, VP8X (animation flag), ANIM (background + loop
+ * count), then one ANMF per frame. Every frame covers the full canvas and
+ * is drawn without blending, so each replaces the previous one outright.
+ *
+ * @param {WebpFrame[]} frames
+ * @param {{ width: number, height: number, loopCount: number }} options
+ * @returns {Uint8Array}
+ */
+export function muxAnimatedWebp(frames, { width, height, loopCount }) {
+  const hasAlpha = frames.some((f) => f.hasAlpha);
+
+  const vp8x = new Uint8Array(10);
+  vp8x[0] = VP8X_FLAGS.animation | (hasAlpha ? VP8X_FLAGS.alpha : 0);
+  writeUint24(vp8x, 4, width - 1);
+  writeUint24(vp8x, 7, height - 1);
+
+  // Background color is BGRA; transparent black lets viewers show their own
+  // background. loopCount shares GIF's meaning: 0 loops forever.
+  const anim = new Uint8Array(6);
+  writeUint16(anim, 4, Math.max(0, Math.min(0xffff, Math.floor(loopCount))));
+
+  /** @type {Uint8Array[]} */
+  const parts = [makeChunk('VP8X', vp8x), makeChunk('ANIM', anim)];
+
+  for (const frame of frames) {
+    const header = new Uint8Array(16);
+    // X/Y offsets are stored divided by two; full-canvas frames sit at 0,0
+    writeUint24(header, 6, frame.width - 1);
+    writeUint24(header, 9, frame.height - 1);
+    writeUint24(
+      header,
+      12,
+      Math.max(0, Math.min(MAX_FRAME_DURATION_MS, Math.round(frame.durationMs))),
+    );
+    // Bit 1: do not blend with the previous canvas. Bit 0 (dispose) unset.
+    header[15] = 0x02;
+    parts.push(makeChunk('ANMF', concatBytes([header, frame.data])));
+  }
+
+  const body = concatBytes(parts);
+  const file = new Uint8Array(12 + body.length);
+  writeFourCC(file, 0, 'RIFF');
+  new DataView(file.buffer).setUint32(4, 4 + body.length, true);
+  writeFourCC(file, 8, 'WEBP');
+  file.set(body, 12);
+  return file;
+}
+
+/**
+ * Create animated WebP encoder
+ * @returns {EncoderInterface}
+ */
+export function createWebpEncoder() {
+  /** @type {EncoderConfig | null} */
+  let config = null;
+
+  /** @type {OffscreenCanvas | null} */
+  let canvas = null;
+
+  /** @type {OffscreenCanvasRenderingContext2D | null} */
+  let ctx = null;
+
+  /** @type {WebpFrame[]} */
+  let frames = [];
+
+  return {
+    metadata: METADATA,
+
+    /**
+     * Initialize encoder
+     * @param {EncoderConfig} encoderConfig
+     */
+    async init(encoderConfig) {
+      if (!(await isWebpAvailable())) {
+        throw new Error('This browser cannot encode WebP images');
+      }
+
+      config = encoderConfig;
+      canvas = new OffscreenCanvas(encoderConfig.width, encoderConfig.height);
+      ctx = canvas.getContext('2d');
+      if (!ctx) {
+        throw new Error('Failed to get OffscreenCanvas 2d context');
+      }
+      frames = [];
+    },
+
+    /**
+     * Add frame
+     *
+     * Async: the browser's WebP encoder only exposes a promise-based API.
+     * The worker awaits each frame before the next one is submitted, so
+     * the shared canvas is never drawn into while an encode is pending.
+     *
+     * @param {FrameData} frameData
+     * @param {number} _frameIndex - Unused; frames are appended in call order
+     */
+    async addFrame(frameData, _frameIndex) {
+      if (!canvas || !ctx || !config) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+
+      const { rgba, width, height } = frameData;
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      ctx.putImageData(new ImageData(rgba, width, height), 0, 0);
+
+      // Chromium switches to the lossless VP8L encoder at quality 1.0
+      const quality = config.lossless ? 1 : (config.quality ?? DEFAULT_QUALITY);
+      const blob = await canvas.convertToBlob({ type: 'image/webp', quality });
+      if (blob.type !== 'image/webp') {
+        throw new Error('This browser cannot encode WebP images');
+      }
+
+      const { data, hasAlpha } = extractFrameBitstream(new Uint8Array(await blob.arrayBuffer()));
+      frames.push({
+        data,
+        width,
+        height,
+        durationMs: frameData.delayMs ?? config.frameDelayMs,
+        hasAlpha,
+      });
+    },
+
+    /**
+     * Complete encoding and get byte array
+     * @returns {Uint8Array}
+     */
+    finish() {
+      if (!config) {
+        throw new Error('Encoder not initialized. Call init() first.');
+      }
+
+      return muxAnimatedWebp(frames, {
+        width: config.width,
+        height: config.height,
+        loopCount: config.loopCount,
+      });
+    },
+
+    /**
+     * Release resources
+     */
+    dispose() {
+      config = null;
+      canvas = null;
+      ctx = null;
+      frames = [];
+    },
+  };
+}
+
+/**
+ * Get WebP encoder metadata
+ * @returns {EncoderMetadata}
+ */
+export function getWebpMetadata() {
+  return METADATA;
+}
+
+/** @type {Promise<boolean> | null} */
+let availabilityPromise = null;
+
+/**
+ * Check whether this browser can encode WebP from a canvas.
+ *
+ * convertToBlob silently falls back to PNG for unsupported types, so the
+ * probe checks the returned blob's type rather than trusting the call.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function isWebpAvailable() {
+  if (!availabilityPromise) {
+    availabilityPromise = (async () => {
+      try {
+        if (typeof OffscreenCanvas === 'undefined') return false;
+        const blob = await new OffscreenCanvas(1, 1).convertToBlob({ type: 'image/webp' });
+        return blob.type === 'image/webp';
+      } catch {
+        return false;
+      }
+    })();
+  }
+  return availabilityPromise;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string}
+ */
+function readFourCC(bytes, offset) {
+  return String.fromCharCode(
+    bytes[offset],
+    bytes[offset + 1],
+    bytes[offset + 2],
+    bytes[offset + 3],
+  );
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {string} fourcc
+ */
+function writeFourCC(bytes, offset, fourcc) {
+  for (let i = 0; i < 4; i++) {
+    bytes[offset + i] = fourcc.charCodeAt(i);
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} value
+ */
+function writeUint16(bytes, offset, value) {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} value
+ */
+function writeUint24(bytes, offset, value) {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+  bytes[offset + 2] = (value >> 16) & 0xff;
+}
+
+/**
+ * Build a RIFF chunk (header + payload + pad byte for odd sizes)
+ * @param {string} fourcc
+ * @param {Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function makeChunk(fourcc, payload) {
+  const chunk = new Uint8Array(8 + payload.length + (payload.length & 1));
+  writeFourCC(chunk, 0, fourcc);
+  new DataView(chunk.buffer).setUint32(4, payload.length, true);
+  chunk.set(payload, 8);
+  return chunk;
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
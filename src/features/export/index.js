@@ -13,8 +13,10 @@ import {
 } from '../../shared/app-store.js';
 import { emit } from '../../shared/bus.js';
 import { navigate } from '../../shared/router.js';
+import { showToast } from '../../shared/toast.js';
 import { updateSetting } from '../../shared/user-settings.js';
 import {
+  drawAnnotation,
   getDrawableSource,
   isVideoFrameValid,
   renderFramePlaceholder,
@@ -22,9 +24,34 @@ import {
 } from '../../shared/utils/canvas.js';
 import { qsRequired } from '../../shared/utils/dom.js';
 import { throttle } from '../../shared/utils/performance.js';
+import { getKeptFrameIndices } from '../editor/core.js';
 import { initLiveMonitor } from '../editor/live-monitor.js';
-import { checkEncoderStatus, downloadBlob, encodeGif, openInNewTab } from './api.js';
-import { applyFrameSkip, generateFilename, getCroppedDimensions } from './core.js';
+import {
+  checkEncoderStatus,
+  copyToClipboard,
+  downloadBlob,
+  encodeGif,
+  encodeSpriteSheet,
+  encodeToTargetSize,
+  importPaletteFile,
+  openInNewTab,
+  readOutputPalette,
+} from './api.js';
+import {
+  calculateFrameDelays,
+  calculateOutputDimensions,
+  calculateOutputDuration,
+  generateFilename,
+  getCroppedDimensions,
+  getCutJoins,
+  getFileExtension,
+  getFrameAnnotations,
+  getFrameHolds,
+  getOutputFrames,
+  getSceneStarts,
+  supportsTargetSize,
+} from './core.js';
+import { serializeGpl } from './palette-file.js';
 import {
   cancelEncodingState,
   completeEncoding,
@@ -37,7 +64,12 @@ import {
   updateProgress,
   updateSettings,
 } from './state.js';
-import { renderExportScreen, updatePreviewPlaybackUI, updateProgressUI } from './ui.js';
+import {
+  renderExportScreen,
+  updateOutputSizeUI,
+  updatePreviewPlaybackUI,
+  updateProgressUI,
+} from './ui.js';
 
 /** @type {ReturnType<typeof createExportStore> | null} */
 let store = null;
@@ -57,6 +89,19 @@ let frames = [];
 /** @type {import('../editor/types.js').CropArea | null} */
 let cropArea = null;
 
+/** @type {number[] | undefined} Indices into `frames` where a new scene begins */
+let sceneStarts;
+
+/** @type {number[]} Indices into `frames` followed by frames cut in the editor */
+let cutJoins = [];
+
+/** @type {import('../editor/types.js').DelayOverrides} Holds set in the editor, by index into `frames` */
+let holds = {};
+
+/** Captions and shapes on each of `frames` */
+/** @type {import('../editor/types.js').Annotation[][] | undefined} */
+let frameAnnotations;
+
 /** @type {{ frameCount: number, width: number, height: number, duration: number, fps: number }} */
 let clipInfo = { frameCount: 0, width: 0, height: 0, duration: 0, fps: 30 };
 
@@ -93,6 +138,13 @@ let currentFrameIndex = 0;
 /** Last frame render time */
 let lastFrameTime = 0;
 
+/**
+ * Timestamp-based delays for the preview, recomputed only when the
+ * settings object changes (every update replaces it)
+ * @type {{ settings: import('./types.js').ExportSettings | null, delaysCs: number[] }}
+ */
+let previewDelays = { settings: null, delaysCs: [] };
+
 /** Default FPS */
 const DEFAULT_FPS = 30;
 
@@ -123,10 +175,19 @@ export function initExport() {
     return cleanup;
   }
 
-  // Get selected frames from clipPayload using range from editorPayload
-  const { start, end } = editorPayload.selectedRange;
-  frames = clipPayload.frames.slice(start, end + 1);
+  // Get selected frames from clipPayload using range from editorPayload,
+  // leaving out the ones cut in the editor (references only, nothing closed)
+  const kept = getKeptFrameIndices(editorPayload.selectedRange, editorPayload.cuts ?? []);
+  frames = kept.map((i) => clipPayload.frames[i]).filter(Boolean);
+  cutJoins = getCutJoins(kept);
+  holds = getFrameHolds(kept, editorPayload.delayOverrides);
+  frameAnnotations = getFrameAnnotations(kept, editorPayload.captions, editorPayload.shapes);
   cropArea = editorPayload?.cropArea || null;
+  sceneStarts = getSceneStarts(
+    editorPayload.scenes?.length ? editorPayload.scenes : clipPayload.scenes,
+    editorPayload.selectedRange,
+    kept,
+  );
   const fps = editorPayload?.fps || DEFAULT_FPS;
 
   if (frames.length === 0) {
@@ -153,7 +214,11 @@ export function initExport() {
     frameCount: frames.length,
     width: dims.width,
     height: dims.height,
-    duration: frames.length / fps,
+    // Held frames last their hold instead of one frame
+    duration: Object.values(holds).reduce(
+      (sum, ms) => sum + ms / 1000 - 1 / fps,
+      frames.length / fps,
+    ),
     fps,
   };
 
@@ -249,6 +314,9 @@ function render(container) {
       onTogglePlay: handleTogglePlay,
       onAdjustSettings: handleAdjustSettings,
       onCreateNew: handleCreateNew,
+      onImportPalette: handleImportPalette,
+      onSavePalette: handleSavePalette,
+      onCopySpriteCss: handleCopySpriteCss,
     },
     clipInfo,
   );
@@ -285,6 +353,10 @@ function handleSettingsChange(settings) {
   // Check if encoder is changing (requires full re-render)
   const encoderChanging =
     settings.encoderId !== undefined && settings.encoderId !== store.getState().settings.encoderId;
+  // WebP sprite sheets show quality controls that PNG ones do not
+  const spriteFormatChanging =
+    settings.spriteSheetFormat !== undefined &&
+    settings.spriteSheetFormat !== store.getState().settings.spriteSheetFormat;
 
   store.setState((state) =>
     updateSettings(state, settings, {
@@ -301,12 +373,18 @@ function handleSettingsChange(settings) {
     updateSetting('export', key, value);
   });
 
+  // Reflect the scaled output size without rebuilding the panel
+  updateOutputSizeUI(
+    qsRequired('#main-content'),
+    calculateOutputDimensions(clipInfo, store.getState().settings),
+  );
+
   // Reset frame index when settings change
   currentFrameIndex = 0;
   lastFrameTime = 0;
 
   // Re-render UI when encoder changes (shows different settings panel)
-  if (encoderChanging) {
+  if (encoderChanging || spriteFormatChanging) {
     render(qsRequired('#main-content'));
   }
 }
@@ -319,9 +397,14 @@ async function handleExport() {
 
   const state = store.getState();
 
-  // Create encoding job
-  const effectiveFrames = applyFrameSkip(frames, state.settings.frameSkip);
-  const job = createEncodingJob(effectiveFrames.length, state.settings.encoderId);
+  // Create encoding job. Lossless image exports are not a size search.
+  const isSpriteSheet = state.settings.encoderId === 'sprite-sheet';
+  const effectiveFrames = getOutputFrames(frames, state.settings);
+  const targetBytes =
+    state.settings.targetSizeEnabled && supportsTargetSize(state.settings.encoderId)
+      ? state.settings.targetSizeKB * 1024
+      : null;
+  const job = createEncodingJob(effectiveFrames.length, state.settings.encoderId, targetBytes);
 
   // Create AbortController for cancellation support
   encodingController = new AbortController();
@@ -332,34 +415,107 @@ async function handleExport() {
   // Re-render to show progress
   render(qsRequired('#main-content'));
 
+  /** @param {Parameters<typeof updateProgress>[1]} progress */
+  const onProgress = (progress) => {
+    if (!store) return;
+    store.setState((s) => updateProgress(s, progress));
+    emit('export:progress', { percent: progress.percent, frame: progress.current });
+  };
+
   try {
-    const result = await encodeGif(
-      {
-        frames,
-        crop: cropArea,
-        settings: state.settings,
-        fps: clipInfo.fps,
-        onProgress: (progress) => {
-          if (!store) return;
-          store.setState((s) => updateProgress(s, progress));
-          emit('export:progress', { percent: progress.percent, frame: progress.current });
-        },
-      },
-      encodingController.signal,
+    /** @type {Blob} */
+    let result;
+    /** @type {import('./types.js').TargetSizeReport | null} */
+    let sizeReport = null;
+    let outputSettings = state.settings;
+    /** Frames written, once duplicates are merged */
+    let frameCount = effectiveFrames.length;
+    /** @type {import('./types.js').SpriteSheetFiles | null} */
+    let spriteSheet = null;
+    // Generated up front: a sprite sheet's atlas and CSS refer to it by name
+    const filename = generateFilename(
+      'glinfs',
+      getFileExtension(state.settings.encoderId, state.settings),
     );
 
+    if (isSpriteSheet) {
+      const sheet = await encodeSpriteSheet(
+        {
+          frames,
+          crop: cropArea,
+          settings: state.settings,
+          fps: clipInfo.fps,
+          cutJoins,
+          holds,
+          annotations: frameAnnotations,
+          imageName: filename,
+          onProgress,
+        },
+        encodingController.signal,
+      );
+      result = sheet.blob;
+      spriteSheet = { atlas: sheet.atlas, css: sheet.css };
+    } else if (targetBytes) {
+      const outcome = await encodeToTargetSize(
+        {
+          frames,
+          crop: cropArea,
+          settings: state.settings,
+          fps: clipInfo.fps,
+          sceneStarts,
+          cutJoins,
+          holds,
+          annotations: frameAnnotations,
+          targetBytes,
+          onProgress,
+        },
+        encodingController.signal,
+      );
+      result = outcome.blob;
+      sizeReport = outcome.report;
+      outputSettings = outcome.settings;
+      frameCount = outcome.frameCount;
+    } else {
+      result = await encodeGif(
+        {
+          frames,
+          crop: cropArea,
+          settings: state.settings,
+          fps: clipInfo.fps,
+          sceneStarts,
+          cutJoins,
+          holds,
+          annotations: frameAnnotations,
+          onProgress: (progress) => {
+            frameCount = progress.total;
+            onProgress(progress);
+          },
+        },
+        encodingController.signal,
+      );
+    }
+
+    // The palette panel is informational; never fail a finished export over it
+    const tables = await readOutputPalette(result).catch(() => null);
     if (!store) return;
 
-    store.setState((s) => completeEncoding(s, result));
+    /** @type {import('./types.js').GifOutput} */
+    const output = {
+      blob: result,
+      size: result.size,
+      ...calculateOutputDimensions(clipInfo, outputSettings),
+      frameCount,
+      duration: calculateOutputDuration(frames, clipInfo.fps, outputSettings, cutJoins, holds),
+      palette: tables?.palette ?? null,
+      localPalettes: tables?.localPalettes ?? 0,
+      spriteSheet,
+    };
+    store.setState((s) => completeEncoding(s, result, { output, sizeReport }));
 
     // Record the result for this visit. The filename is generated once here
     // so repeated downloads of the same GIF keep the same name; the record
     // lives only as long as this mount (see cleanup).
-    setExportResult({
-      blob: result,
-      filename: generateFilename(),
-      completedAt: Date.now(),
-    });
+    setExportResult({ blob: result, filename, completedAt: Date.now() });
 
     emit('export:complete', { blob: result, size: result.size });
 
@@ -408,11 +564,67 @@ function handleDownload() {
   if (state.job?.result) {
     // Prefer the filename recorded when the export completed so repeated
     // downloads (or downloads after returning to this screen) match it
-    const filename = getExportResult()?.filename ?? generateFilename();
+    const filename =
+      getExportResult()?.filename ??
+      generateFilename('glinfs', getFileExtension(state.job.encoder, state.settings));
     downloadBlob(state.job.result, filename);
+
+    // The atlas and CSS go next to the sheet they describe
+    const spriteSheet = state.job.output?.spriteSheet;
+    if (spriteSheet) {
+      const name = filename.replace(/\.[^.]+$/, '');
+      downloadBlob(
+        new Blob([`${JSON.stringify(spriteSheet.atlas, null, 2)}\n`], {
+          type: 'application/json',
+        }),
+        `${name}.json`,
+      );
+      downloadBlob(new Blob([spriteSheet.css], { type: 'text/css' }), `${name}.css`);
+    }
+  }
+}
+
+/**
+ * Copy the sprite sheet's CSS animation snippet
+ */
+async function handleCopySpriteCss() {
+  const css = store?.getState().job?.output?.spriteSheet?.css;
+  if (!css) return;
+
+  const copied = await copyToClipboard(new Blob([css], { type: 'text/plain' }));
+  showToast(copied ? 'CSS copied to the clipboard' : 'Could not copy the CSS');
+}
+
+/**
+ * Load a palette file and use it for the next exports
+ * @param {File} file
+ */
+async function handleImportPalette(file) {
+  try {
+    const customPalette = await importPaletteFile(file);
+    if (!store) return;
+    handleSettingsChange({ customPalette });
+    render(qsRequired('#main-content'));
+  } catch (error) {
+    showToast(error instanceof Error ? error.message : 'Could not read the palette file');
   }
 }
 
+/**
+ * Save the palette of the finished GIF as a GIMP palette
+ */
+function handleSavePalette() {
+  if (!store) return;
+
+  const palette = store.getState().job?.output?.palette;
+  if (!palette?.length) return;
+
+  const gifName = getExportResult()?.filename ?? generateFilename('glinfs', 'gif');
+  const name = gifName.replace(/\.[^.]+$/, '');
+  const text = serializeGpl(name, palette);
+  downloadBlob(new Blob([text], { type: 'text/plain' }), `${name}.gpl`);
+}
+
 /**
  * Handle open in tab button click
  */
@@ -482,14 +694,26 @@ function handleCreateNew() {
 // Canvas Preview Playback
 // ============================================================
 
+/** Canvas smoothing that approximates each resampling filter in the preview */
+const PREVIEW_SMOOTHING = {
+  nearest: null,
+  bilinear: 'low',
+  bicubic: 'medium',
+  lanczos: 'high',
+};
+
 /**
- * Render a frame to the preview canvas with crop applied
- * Uses VideoFrame directly for GPU-accelerated rendering
+ * Render a frame to the preview canvas with crop and output scaling applied
+ * Uses VideoFrame directly for GPU-accelerated rendering; the resampling
+ * filter is approximated with canvas smoothing (the exact filter runs at
+ * export time, too slow for real-time playback)
  * @param {CanvasRenderingContext2D} ctx
  * @param {import('../capture/types.js').Frame} frame
  * @param {import('../editor/types.js').CropArea | null} crop
+ * @param {import('./types.js').ExportSettings} settings
+ * @param {import('../editor/types.js').Annotation[]} [annotations] - Drawn over the frame
  */
-function renderCroppedFrame(ctx, frame, crop) {
+function renderCroppedFrame(ctx, frame, crop, settings, annotations = []) {
   // Handle missing, invalid, or closed frame
   if (!frame?.frame || !isVideoFrameValid(frame.frame)) {
     const canvas = ctx.canvas;
@@ -505,17 +729,54 @@ function renderCroppedFrame(ctx, frame, crop) {
     return;
   }
 
-  if (crop) {
-    // Set canvas size to crop dimensions
-    syncCanvasSize(ctx.canvas, crop.width, crop.height);
+  const region = crop ?? { x: 0, y: 0, width: frame.width, height: frame.height };
+  const output = calculateOutputDimensions(region, settings);
+
+  // Canvas size is the output size; the crop region is scaled into it
+  syncCanvasSize(ctx.canvas, output.width, output.height);
+
+  const smoothing = PREVIEW_SMOOTHING[settings.resampleFilter];
+  ctx.imageSmoothingEnabled = smoothing !== null;
+  if (smoothing) {
+    ctx.imageSmoothingQuality = /** @type {ImageSmoothingQuality} */ (smoothing);
+  }
+
+  ctx.drawImage(
+    source,
+    region.x,
+    region.y,
+    region.width,
+    region.height,
+    0,
+    0,
+    output.width,
+    output.height,
+  );
 
-    // Draw cropped region
-    ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
-  } else {
-    // No crop - draw full frame
-    syncCanvasSize(ctx.canvas, frame.width, frame.height);
-    ctx.drawImage(source, 0, 0);
+  if (annotations.length > 0) {
+    ctx.save();
+    ctx.scale(output.width / region.width, output.height / region.height);
+    ctx.translate(-region.x, -region.y);
+    for (const annotation of annotations) {
+      drawAnnotation(ctx, annotation);
+    }
+    ctx.restore();
+  }
+}
+
+/**
+ * Get the per-frame delays the export will use
+ * @param {import('./types.js').ExportSettings} settings
+ * @returns {number[]} Centiseconds for each frame after frame skip
+ */
+function getPreviewDelaysCs(settings) {
+  if (previewDelays.settings !== settings) {
+    previewDelays = {
+      settings,
+      delaysCs: calculateFrameDelays(frames, clipInfo.fps, settings, cutJoins, holds),
+    };
   }
+  return previewDelays.delaysCs;
 }
 
 /**
@@ -534,9 +795,10 @@ function startPlaybackLoop() {
 
   // Render first frame immediately
   const state = store.getState();
-  const effectiveFrames = applyFrameSkip(frames, state.settings.frameSkip);
+  const effectiveFrames = getOutputFrames(frames, state.settings);
   if (effectiveFrames.length > 0) {
-    renderCroppedFrame(ctx, effectiveFrames[0], cropArea);
+    const annotations = frameAnnotations && getOutputFrames(frameAnnotations, state.settings);
+    renderCroppedFrame(ctx, effectiveFrames[0], cropArea, state.settings, annotations?.[0]);
   }
 
   function animate(timestamp) {
@@ -553,21 +815,32 @@ function startPlaybackLoop() {
       return;
     }
 
-    const effectiveFrames = applyFrameSkip(frames, state.settings.frameSkip);
+    const effectiveFrames = getOutputFrames(frames, state.settings);
     if (effectiveFrames.length === 0) {
       animationFrameId = requestAnimationFrame(animate);
       return;
     }
 
-    // Calculate frame delay based on settings
+    // Calculate the shown frame's delay based on settings
     const baseDelay = 1000 / clipInfo.fps;
-    const frameDelay = (baseDelay * state.settings.frameSkip) / state.settings.playbackSpeed;
+    const shownIndex = (currentFrameIndex + effectiveFrames.length - 1) % effectiveFrames.length;
+    const frameDelay =
+      state.settings.realTiming || Object.keys(holds).length > 0
+        ? getPreviewDelaysCs(state.settings)[shownIndex] * 10
+        : (baseDelay * state.settings.frameSkip) / state.settings.playbackSpeed;
 
     if (timestamp - lastFrameTime >= frameDelay) {
       const ctx = previewCanvas.getContext('2d');
       if (ctx) {
-        const frame = effectiveFrames[currentFrameIndex % effectiveFrames.length];
-        renderCroppedFrame(ctx, frame, cropArea);
+        const shown = currentFrameIndex % effectiveFrames.length;
+        const annotations = frameAnnotations && getOutputFrames(frameAnnotations, state.settings);
+        renderCroppedFrame(
+          ctx,
+          effectiveFrames[shown],
+          cropArea,
+          state.settings,
+          annotations?.[shown],
+        );
         currentFrameIndex = (currentFrameIndex + 1) % effectiveFrames.length;
         lastFrameTime = timestamp;
       }
@@ -643,7 +916,12 @@ function cleanup() {
   }
 
   frames = [];
+  previewDelays = { settings: null, delaysCs: [] };
   cropArea = null;
+  sceneStarts = undefined;
+  cutJoins = [];
+  holds = {};
+  frameAnnotations = undefined;
   store = null;
   previewCanvas = null;
   currentFrameIndex = 0;
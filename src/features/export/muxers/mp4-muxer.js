@@ -0,0 +1,259 @@
+/**
+ * MP4 Muxer
+ * Writes H.264 samples into a progressive (moov-first) ISO BMFF file
+ * @module features/export/muxers/mp4-muxer
+ */
+
+/**
+ * @typedef {import('./types.js').VideoSample} VideoSample
+ * @typedef {import('./types.js').VideoTrackInfo} VideoTrackInfo
+ */
+
+/** Media timescale: ticks per second (1 ms resolution) */
+const TIMESCALE = 1000;
+
+/** ISO-639-2 'und' packed into 15 bits */
+const LANGUAGE_UND = 0x55c4;
+
+/** 16.16 fixed-point identity matrix used by mvhd and tkhd */
+const UNITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Big-endian byte writer for box payloads
+ */
+function createWriter() {
+  /** @type {number[]} */
+  const bytes = [];
+  const writer = {
+    /** @param {number} v */
+    u8(v) {
+      bytes.push(v & 0xff);
+      return writer;
+    },
+    /** @param {number} v */
+    u16(v) {
+      bytes.push((v >>> 8) & 0xff, v & 0xff);
+      return writer;
+    },
+    /** @param {number} v */
+    u32(v) {
+      bytes.push((v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff);
+      return writer;
+    },
+    /** @param {string} s - ASCII only */
+    str(s) {
+      for (let i = 0; i < s.length; i++) bytes.push(s.charCodeAt(i));
+      return writer;
+    },
+    /** @param {number} n */
+    zeros(n) {
+      for (let i = 0; i < n; i++) bytes.push(0);
+      return writer;
+    },
+    done() {
+      return new Uint8Array(bytes);
+    },
+  };
+  return writer;
+}
+
+/**
+ * Build a box: 32-bit size, type, payload
+ * @param {string} type
+ * @param {...Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function box(type, ...payload) {
+  const body = concat(payload);
+  const header = createWriter()
+    .u32(8 + body.length)
+    .str(type)
+    .done();
+  return concat([header, body]);
+}
+
+/**
+ * Build a full box (version + flags header)
+ * @param {string} type
+ * @param {number} version
+ * @param {number} flags
+ * @param {...Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function fullBox(type, version, flags, ...payload) {
+  const header = createWriter()
+    .u8(version)
+    .u8(flags >> 16)
+    .u16(flags)
+    .done();
+  return box(type, header, ...payload);
+}
+
+/**
+ * Collapse per-sample durations into stts (count, delta) runs
+ * @param {number[]} durations - In timescale ticks
+ * @returns {[number, number][]}
+ */
+export function runLengthDurations(durations) {
+  /** @type {[number, number][]} */
+  const runs = [];
+  for (const duration of durations) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === duration) {
+      last[0]++;
+    } else {
+      runs.push([1, duration]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * @param {number} durationTicks
+ */
+function mvhd(durationTicks) {
+  const w = createWriter().u32(0).u32(0).u32(TIMESCALE).u32(durationTicks);
+  w.u32(0x00010000).u16(0x0100).zeros(10); // rate 1.0, volume 1.0, reserved
+  for (const v of UNITY_MATRIX) w.u32(v);
+  w.zeros(24).u32(2); // pre_defined, next_track_ID
+  return fullBox('mvhd', 0, 0, w.done());
+}
+
+/**
+ * @param {VideoTrackInfo} track
+ * @param {number} durationTicks
+ */
+function tkhd(track, durationTicks) {
+  const w = createWriter().u32(0).u32(0).u32(1).u32(0).u32(durationTicks);
+  w.zeros(8).u16(0).u16(0).u16(0).u16(0); // reserved, layer, alternate_group, volume, reserved
+  for (const v of UNITY_MATRIX) w.u32(v);
+  w.u32(track.width * 0x10000).u32(track.height * 0x10000);
+  // flags: track_enabled | track_in_movie
+  return fullBox('tkhd', 0, 3, w.done());
+}
+
+/**
+ * @param {number} durationTicks
+ */
+function mdhd(durationTicks) {
+  const w = createWriter().u32(0).u32(0).u32(TIMESCALE).u32(durationTicks);
+  w.u16(LANGUAGE_UND).u16(0);
+  return fullBox('mdhd', 0, 0, w.done());
+}
+
+function hdlr() {
+  const w = createWriter().u32(0).str('vide').zeros(12).str('VideoHandler').u8(0);
+  return fullBox('hdlr', 0, 0, w.done());
+}
+
+/**
+ * @param {VideoTrackInfo} track
+ */
+function avc1(track) {
+  if (!track.description) {
+    throw new Error('H.264 track is missing its avcC decoder configuration');
+  }
+  const w = createWriter().zeros(6).u16(1); // reserved, data_reference_index
+  w.zeros(16).u16(track.width).u16(track.height);
+  w.u32(0x00480000).u32(0x00480000).u32(0).u16(1); // 72 dpi, reserved, frame_count
+  w.zeros(32).u16(0x0018).u16(0xffff); // compressorname, depth, pre_defined = -1
+  return box('avc1', w.done(), box('avcC', track.description));
+}
+
+/**
+ * Build the sample table
+ * @param {VideoTrackInfo} track
+ * @param {VideoSample[]} samples
+ * @param {number} chunkOffset - Absolute file offset of the first sample
+ */
+function stbl(track, samples, chunkOffset) {
+  const stsd = fullBox('stsd', 0, 0, createWriter().u32(1).done(), avc1(track));
+
+  const durations = samples.map((s) => Math.max(1, Math.round(s.durationUs / 1000)));
+  const runs = runLengthDurations(durations);
+  const sttsWriter = createWriter().u32(runs.length);
+  for (const [count, delta] of runs) sttsWriter.u32(count).u32(delta);
+  const stts = fullBox('stts', 0, 0, sttsWriter.done());
+
+  const keyIndices = samples.flatMap((s, i) => (s.isKey ? [i + 1] : []));
+  const stssWriter = createWriter().u32(keyIndices.length);
+  for (const index of keyIndices) stssWriter.u32(index);
+  const stss = fullBox('stss', 0, 0, stssWriter.done());
+
+  // Every sample lives in one chunk: the mdat payload
+  const stsc = fullBox(
+    'stsc',
+    0,
+    0,
+    createWriter().u32(1).u32(1).u32(samples.length).u32(1).done(),
+  );
+
+  const stszWriter = createWriter().u32(0).u32(samples.length);
+  for (const sample of samples) stszWriter.u32(sample.data.length);
+  const stsz = fullBox('stsz', 0, 0, stszWriter.done());
+
+  const stco = fullBox('stco', 0, 0, createWriter().u32(1).u32(chunkOffset).done());
+
+  return box('stbl', stsd, stts, stss, stsc, stsz, stco);
+}
+
+/**
+ * @param {VideoTrackInfo} track
+ * @param {VideoSample[]} samples
+ * @param {number} durationTicks
+ * @param {number} chunkOffset
+ */
+function moov(track, samples, durationTicks, chunkOffset) {
+  const vmhd = fullBox('vmhd', 0, 1, createWriter().zeros(8).done());
+  const dref = fullBox('dref', 0, 0, createWriter().u32(1).done(), fullBox('url ', 0, 1));
+  const minf = box('minf', vmhd, box('dinf', dref), stbl(track, samples, chunkOffset));
+  const mdia = box('mdia', mdhd(durationTicks), hdlr(), minf);
+  const trak = box('trak', tkhd(track, durationTicks), mdia);
+  return box('moov', mvhd(durationTicks), trak);
+}
+
+/**
+ * Mux encoded H.264 samples into an MP4 file.
+ *
+ * The moov box is written before mdat so players can start without
+ * seeking to the end. Its size does not depend on the chunk offset value,
+ * so it is built once to measure and again with the real offset.
+ *
+ * @param {VideoSample[]} samples - In decode order, AVC (length-prefixed) format
+ * @param {VideoTrackInfo} track - Must carry the avcC `description`
+ * @returns {Uint8Array}
+ */
+export function muxMp4(samples, track) {
+  if (!track.codec.startsWith('avc1')) {
+    throw new Error(`Codec not supported in MP4: ${track.codec}`);
+  }
+
+  const ftyp = box(
+    'ftyp',
+    createWriter().str('isom').u32(0x200).str('isom').str('iso2').str('avc1').str('mp41').done(),
+  );
+
+  const last = samples[samples.length - 1];
+  const durationTicks = last ? Math.round((last.timestampUs + last.durationUs) / 1000) : 0;
+
+  const moovSize = moov(track, samples, durationTicks, 0).length;
+  const mdatHeaderSize = 8;
+  const chunkOffset = ftyp.length + moovSize + mdatHeaderSize;
+
+  const mdat = box('mdat', ...samples.map((s) => s.data));
+  return concat([ftyp, moov(track, samples, durationTicks, chunkOffset), mdat]);
+}
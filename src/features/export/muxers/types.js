@@ -0,0 +1,24 @@
+/**
+ * Muxer Type Definitions
+ * @module features/export/muxers/types
+ */
+
+/**
+ * One compressed video frame, as produced by VideoEncoder
+ * @typedef {Object} VideoSample
+ * @property {Uint8Array} data - Encoded bitstream for the frame
+ * @property {number} timestampUs - Presentation time in microseconds
+ * @property {number} durationUs - Display duration in microseconds
+ * @property {boolean} isKey - Whether the frame is a keyframe
+ */
+
+/**
+ * Track description shared by all muxers
+ * @typedef {Object} VideoTrackInfo
+ * @property {string} codec - WebCodecs codec string (e.g. 'vp09.00.10.08', 'avc1.640028')
+ * @property {number} width - Coded width in pixels
+ * @property {number} height - Coded height in pixels
+ * @property {Uint8Array} [description] - Decoder extradata (avcC for H.264)
+ */
+
+export {};
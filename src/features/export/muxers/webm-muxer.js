@@ -0,0 +1,323 @@
+/**
+ * WebM Muxer
+ * Writes VP8/VP9 samples into a seekable WebM (Matroska) file
+ * @module features/export/muxers/webm-muxer
+ */
+
+/**
+ * @typedef {import('./types.js').VideoSample} VideoSample
+ * @typedef {import('./types.js').VideoTrackInfo} VideoTrackInfo
+ */
+
+/** EBML element IDs (marker bits included, as written in the file) */
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+};
+
+/** Timestamps are written in milliseconds (TimecodeScale is in ns) */
+const TIMECODE_SCALE_NS = 1_000_000;
+
+/** SimpleBlock timecodes are int16 offsets from their cluster's timecode */
+const MAX_CLUSTER_SPAN_MS = 0x7fff;
+
+/** The single video track */
+const TRACK_NUMBER = 1;
+
+/** Matroska TrackType for video */
+const TRACK_TYPE_VIDEO = 1;
+
+/** SimpleBlock flag marking a keyframe */
+const SIMPLEBLOCK_KEYFRAME = 0x80;
+
+/**
+ * Map a WebCodecs codec string to its Matroska CodecID
+ * @param {string} codec
+ * @returns {string}
+ * @throws {Error} For codecs WebM cannot carry
+ */
+export function getWebmCodecId(codec) {
+  if (codec.startsWith('vp09')) return 'V_VP9';
+  if (codec === 'vp8') return 'V_VP8';
+  throw new Error(`Codec not supported in WebM: ${codec}`);
+}
+
+/**
+ * Encode an element ID (already carries its length marker)
+ * @param {number} id
+ * @returns {number[]}
+ */
+function idBytes(id) {
+  /** @type {number[]} */
+  const bytes = [];
+  let value = id;
+  while (value > 0) {
+    bytes.unshift(value & 0xff);
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+/**
+ * Encode an element data size as a variable-length integer.
+ *
+ * A length-n vint holds 7n value bits; the all-ones pattern is reserved
+ * for "unknown size", so each length tops out one below 2^(7n)-1.
+ *
+ * @param {number} size
+ * @returns {Uint8Array}
+ */
+export function encodeVint(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) {
+    length++;
+  }
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+/**
+ * Encode an unsigned integer in big-endian bytes
+ * @param {number} value
+ * @param {number} [fixedLength] - Pad to this many bytes (for patchable fields)
+ * @returns {Uint8Array}
+ */
+function uintBytes(value, fixedLength) {
+  /** @type {number[]} */
+  const bytes = [];
+  let v = value;
+  do {
+    bytes.unshift(v & 0xff);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+  while (fixedLength !== undefined && bytes.length < fixedLength) {
+    bytes.unshift(0);
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Build an element: ID, vint size, data
+ * @param {number} id
+ * @param {Uint8Array | Uint8Array[]} data
+ * @returns {Uint8Array}
+ */
+function element(id, data) {
+  const body = Array.isArray(data) ? concat(data) : data;
+  return concat([new Uint8Array(idBytes(id)), encodeVint(body.length), body]);
+}
+
+/**
+ * @param {number} id
+ * @param {number} value
+ * @param {number} [fixedLength]
+ */
+const uintElement = (id, value, fixedLength) => element(id, uintBytes(value, fixedLength));
+
+/**
+ * @param {number} id
+ * @param {string} value
+ */
+const stringElement = (id, value) => element(id, new TextEncoder().encode(value));
+
+/**
+ * @param {number} id
+ * @param {number} value
+ */
+function floatElement(id, value) {
+  const data = new Uint8Array(8);
+  new DataView(data.buffer).setFloat64(0, value);
+  return element(id, data);
+}
+
+/**
+ * Build a SimpleBlock for the video track
+ * @param {VideoSample} sample
+ * @param {number} relativeMs - Offset from the cluster timecode
+ * @returns {Uint8Array}
+ */
+function simpleBlock(sample, relativeMs) {
+  const header = new Uint8Array(4);
+  header[0] = 0x80 | TRACK_NUMBER; // track number as a 1-byte vint
+  new DataView(header.buffer).setInt16(1, relativeMs);
+  header[3] = sample.isKey ? SIMPLEBLOCK_KEYFRAME : 0;
+  return element(ID.SimpleBlock, [header, sample.data]);
+}
+
+/**
+ * Group samples into clusters.
+ *
+ * A cluster starts at every keyframe (so each one is a seek target) and
+ * whenever the next block's offset would overflow the int16 timecode.
+ *
+ * @param {VideoSample[]} samples
+ * @returns {{ timecodeMs: number, blocks: Uint8Array[] }[]}
+ */
+function buildClusters(samples) {
+  /** @type {{ timecodeMs: number, blocks: Uint8Array[] }[]} */
+  const clusters = [];
+  for (const sample of samples) {
+    const timeMs = Math.round(sample.timestampUs / 1000);
+    let current = clusters[clusters.length - 1];
+    if (!current || sample.isKey || timeMs - current.timecodeMs > MAX_CLUSTER_SPAN_MS) {
+      current = { timecodeMs: timeMs, blocks: [] };
+      clusters.push(current);
+    }
+    current.blocks.push(simpleBlock(sample, timeMs - current.timecodeMs));
+  }
+  return clusters;
+}
+
+/**
+ * Mux encoded video samples into a WebM file.
+ *
+ * Segment layout: SeekHead, Info, Tracks, Clusters, Cues. The SeekHead
+ * uses fixed 8-byte positions so its size is known before the offsets it
+ * points to; Cues come last and index every cluster for seeking.
+ *
+ * @param {VideoSample[]} samples - In decode order
+ * @param {VideoTrackInfo} track
+ * @returns {Uint8Array}
+ */
+export function muxWebm(samples, track) {
+  const codecId = getWebmCodecId(track.codec);
+
+  const header = element(ID.EBML, [
+    uintElement(ID.EBMLVersion, 1),
+    uintElement(ID.EBMLReadVersion, 1),
+    uintElement(ID.EBMLMaxIDLength, 4),
+    uintElement(ID.EBMLMaxSizeLength, 8),
+    stringElement(ID.DocType, 'webm'),
+    uintElement(ID.DocTypeVersion, 4),
+    uintElement(ID.DocTypeReadVersion, 2),
+  ]);
+
+  const last = samples[samples.length - 1];
+  const durationMs = last ? (last.timestampUs + last.durationUs) / 1000 : 0;
+
+  const info = element(ID.Info, [
+    uintElement(ID.TimecodeScale, TIMECODE_SCALE_NS),
+    floatElement(ID.Duration, durationMs),
+    stringElement(ID.MuxingApp, 'glinfs'),
+    stringElement(ID.WritingApp, 'glinfs'),
+  ]);
+
+  const tracks = element(ID.Tracks, [
+    element(ID.TrackEntry, [
+      uintElement(ID.TrackNumber, TRACK_NUMBER),
+      uintElement(ID.TrackUID, TRACK_NUMBER),
+      uintElement(ID.TrackType, TRACK_TYPE_VIDEO),
+      uintElement(ID.FlagLacing, 0),
+      stringElement(ID.CodecID, codecId),
+      element(ID.Video, [
+        uintElement(ID.PixelWidth, track.width),
+        uintElement(ID.PixelHeight, track.height),
+      ]),
+    ]),
+  ]);
+
+  /**
+   * @param {number} targetId
+   * @param {number} position
+   */
+  const seek = (targetId, position) =>
+    element(ID.Seek, [
+      element(ID.SeekID, new Uint8Array(idBytes(targetId))),
+      uintElement(ID.SeekPosition, position, 8),
+    ]);
+  const buildSeekHead = (/** @type {number[]} */ positions) =>
+    element(ID.SeekHead, [
+      seek(ID.Info, positions[0]),
+      seek(ID.Tracks, positions[1]),
+      seek(ID.Cues, positions[2]),
+    ]);
+
+  // Positions are relative to the start of the Segment's data
+  const seekHeadSize = buildSeekHead([0, 0, 0]).length;
+  const infoPosition = seekHeadSize;
+  const tracksPosition = infoPosition + info.length;
+  let position = tracksPosition + tracks.length;
+
+  /** @type {Uint8Array[]} */
+  const clusterElements = [];
+  /** @type {Uint8Array[]} */
+  const cuePoints = [];
+  for (const cluster of buildClusters(samples)) {
+    cuePoints.push(
+      element(ID.CuePoint, [
+        uintElement(ID.CueTime, cluster.timecodeMs),
+        element(ID.CueTrackPositions, [
+          uintElement(ID.CueTrack, TRACK_NUMBER),
+          uintElement(ID.CueClusterPosition, position),
+        ]),
+      ]),
+    );
+    const clusterElement = element(ID.Cluster, [
+      uintElement(ID.Timecode, cluster.timecodeMs),
+      ...cluster.blocks,
+    ]);
+    clusterElements.push(clusterElement);
+    position += clusterElement.length;
+  }
+
+  const cues = element(ID.Cues, cuePoints);
+  const seekHead = buildSeekHead([infoPosition, tracksPosition, position]);
+
+  const segment = element(ID.Segment, [seekHead, info, tracks, ...clusterElements, cues]);
+  return concat([header, segment]);
+}
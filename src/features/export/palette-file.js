@@ -0,0 +1,206 @@
+/**
+ * Palette Files
+ * Reads and writes color palettes: GIMP .gpl, Adobe .act, PNG swatch strips
+ * and the color tables of finished GIFs
+ * @module features/export/palette-file
+ */
+
+/**
+ * @typedef {[number, number, number]} RGB
+ */
+
+/** Most colors a GIF color table (and so any usable palette) can hold */
+export const MAX_PALETTE_COLORS = 256;
+
+/** Adobe .act: 256 RGB triplets, optionally followed by count and transparent index */
+const ACT_TABLE_BYTES = 768;
+const ACT_EXTENDED_BYTES = 772;
+
+/**
+ * Parse a #rrggbb color
+ * @param {string} hex
+ * @returns {RGB}
+ * @throws {Error} For anything but six hex digits
+ */
+export function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex.trim());
+  if (!match) {
+    throw new Error(`Invalid color: ${hex}`);
+  }
+  const value = Number.parseInt(match[1], 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Format a color as #rrggbb
+ * @param {ArrayLike<number>} rgb
+ * @returns {string}
+ */
+export function toHexColor(rgb) {
+  return `#${[rgb[0], rgb[1], rgb[2]].map((v) => v.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * @param {RGB[]} colors
+ * @returns {RGB[]}
+ * @throws {Error} When the palette is empty or too large for a GIF
+ */
+function checkColorCount(colors) {
+  if (colors.length === 0) {
+    throw new Error('Palette contains no colors');
+  }
+  if (colors.length > MAX_PALETTE_COLORS) {
+    throw new Error(
+      `Palette has ${colors.length} colors; a GIF palette holds at most ${MAX_PALETTE_COLORS}`,
+    );
+  }
+  return colors;
+}
+
+/**
+ * Parse a GIMP palette (.gpl)
+ * @param {string} text
+ * @returns {{ name: string, colors: RGB[] }}
+ * @throws {Error} When the header or a color line is malformed
+ */
+export function parseGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0]?.trim() !== 'GIMP Palette') {
+    throw new Error('Not a GIMP palette: missing "GIMP Palette" header');
+  }
+
+  let name = '';
+  /** @type {RGB[]} */
+  const colors = [];
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '' || line.startsWith('#') || line.startsWith('Columns:')) continue;
+    if (line.startsWith('Name:')) {
+      name = line.slice(5).trim();
+      continue;
+    }
+    const parts = line.split(/\s+/).slice(0, 3).map(Number);
+    if (parts.length < 3 || parts.some((v) => !Number.isInteger(v) || v < 0 || v > 255)) {
+      throw new Error(`Invalid color on line ${i + 1}: ${line}`);
+    }
+    colors.push(/** @type {RGB} */ (parts));
+  }
+  return { name, colors: checkColorCount(colors) };
+}
+
+/**
+ * Parse an Adobe Color Table (.act)
+ * @param {Uint8Array} bytes
+ * @returns {RGB[]}
+ * @throws {Error} For files of the wrong size
+ */
+export function parseAct(bytes) {
+  if (bytes.length !== ACT_TABLE_BYTES && bytes.length !== ACT_EXTENDED_BYTES) {
+    throw new Error(`Not an Adobe color table: expected 768 or 772 bytes, got ${bytes.length}`);
+  }
+  // The extended form stores how many entries are used (big-endian)
+  const declared =
+    bytes.length === ACT_EXTENDED_BYTES ? (bytes[768] << 8) | bytes[769] : MAX_PALETTE_COLORS;
+  const count = declared > 0 && declared <= MAX_PALETTE_COLORS ? declared : MAX_PALETTE_COLORS;
+
+  /** @type {RGB[]} */
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    colors.push([bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]]);
+  }
+  return colors;
+}
+
+/**
+ * Collect the colors of a swatch image, in reading order.
+ * Each distinct opaque color counts once however large its swatch is;
+ * transparent pixels (gaps between swatches) are skipped.
+ * @param {Uint8ClampedArray} rgba
+ * @returns {RGB[]}
+ * @throws {Error} When the image has no opaque pixels or too many colors
+ */
+export function extractSwatchColors(rgba) {
+  /** @type {Set<number>} */
+  const seen = new Set();
+  /** @type {RGB[]} */
+  const colors = [];
+  for (let p = 0; p < rgba.length; p += 4) {
+    if (rgba[p + 3] < 128) continue;
+    const key = (rgba[p] << 16) | (rgba[p + 1] << 8) | rgba[p + 2];
+    if (seen.has(key)) continue;
+    seen.add(key);
+    colors.push([rgba[p], rgba[p + 1], rgba[p + 2]]);
+    if (colors.length > MAX_PALETTE_COLORS) break;
+  }
+  return checkColorCount(colors);
+}
+
+/**
+ * Write a GIMP palette (.gpl)
+ * @param {string} name
+ * @param {ArrayLike<number>[]} colors
+ * @returns {string}
+ */
+export function serializeGpl(name, colors) {
+  const lines = ['GIMP Palette', `Name: ${name}`, 'Columns: 16', '#'];
+  for (const color of colors) {
+    const channels = [color[0], color[1], color[2]].map((v) => String(v).padStart(3, ' '));
+    lines.push(`${channels.join(' ')}\t${toHexColor(color)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read the color tables of a GIF
+ * @param {Uint8Array} bytes
+ * @returns {{ global: RGB[] | null, localTables: number } | null} null when not a GIF
+ */
+export function readGifColorTables(bytes) {
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  if (signature !== 'GIF89a' && signature !== 'GIF87a') return null;
+
+  /**
+   * @param {number} offset
+   * @param {number} count
+   * @returns {RGB[]}
+   */
+  const readTable = (offset, count) =>
+    Array.from({ length: count }, (_, i) => {
+      const o = offset + i * 3;
+      return /** @type {RGB} */ ([bytes[o], bytes[o + 1], bytes[o + 2]]);
+    });
+  /** @param {number} offset */
+  const skipSubBlocks = (offset) => {
+    let o = offset;
+    while (o < bytes.length && bytes[o] !== 0) o += bytes[o] + 1;
+    return o + 1;
+  };
+
+  const packed = bytes[10];
+  let offset = 13;
+  /** @type {RGB[] | null} */
+  let global = null;
+  if (packed & 0x80) {
+    const count = 1 << ((packed & 7) + 1);
+    global = readTable(offset, count);
+    offset += count * 3;
+  }
+
+  let localTables = 0;
+  while (offset < bytes.length && bytes[offset] !== 0x3b) {
+    if (bytes[offset] === 0x21) {
+      offset = skipSubBlocks(offset + 2);
+    } else if (bytes[offset] === 0x2c) {
+      const frameFlags = bytes[offset + 9];
+      offset += 10;
+      if (frameFlags & 0x80) {
+        localTables++;
+        offset += 3 * (1 << ((frameFlags & 7) + 1));
+      }
+      offset = skipSubBlocks(offset + 1); // LZW minimum code size, then data
+    } else {
+      break;
+    }
+  }
+  return { global, localTables };
+}
@@ -0,0 +1,51 @@
+/**
+ * Color Histogram
+ * Weighted distinct colors shared by the median-cut and k-means quantizers
+ * @module features/export/quantizers/histogram
+ */
+
+/**
+ * @typedef {import('./types.js').ColorHistogram} ColorHistogram
+ */
+
+/** Buckets at 5 bits per channel */
+const BUCKETS = 1 << 15;
+
+/**
+ * Build a color histogram of RGBA pixels (alpha is ignored)
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @returns {ColorHistogram}
+ */
+export function buildHistogram(rgba) {
+  const counts = new Uint32Array(BUCKETS);
+  const sums = new Float64Array(BUCKETS * 3);
+  for (let p = 0; p < rgba.length; p += 4) {
+    const r = rgba[p];
+    const g = rgba[p + 1];
+    const b = rgba[p + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    counts[key]++;
+    sums[key * 3] += r;
+    sums[key * 3 + 1] += g;
+    sums[key * 3 + 2] += b;
+  }
+
+  let length = 0;
+  for (let key = 0; key < BUCKETS; key++) {
+    if (counts[key] > 0) length++;
+  }
+
+  const colors = new Float32Array(length * 3);
+  const weights = new Uint32Array(length);
+  let i = 0;
+  for (let key = 0; key < BUCKETS; key++) {
+    const count = counts[key];
+    if (count === 0) continue;
+    colors[i * 3] = sums[key * 3] / count;
+    colors[i * 3 + 1] = sums[key * 3 + 1] / count;
+    colors[i * 3 + 2] = sums[key * 3 + 2] / count;
+    weights[i] = count;
+    i++;
+  }
+  return { colors, counts: weights, length };
+}
@@ -0,0 +1,44 @@
+/**
+ * Quantizers
+ * Selectable palette-building algorithms for the palette encoders
+ * @module features/export/quantizers
+ */
+
+import { quantize } from 'gifenc';
+import { buildHistogram } from './histogram.js';
+import { kmeans } from './kmeans.js';
+import { medianCut } from './median-cut.js';
+import { neuquant } from './neuquant.js';
+import { octree } from './octree.js';
+
+/**
+ * @typedef {import('./types.js').QuantizerId} QuantizerId
+ * @typedef {import('./types.js').Palette} Palette
+ */
+
+/**
+ * Build a palette of at most `maxColors` colors.
+ * Runs in the encoder worker; the UI lists the choices from QUANTIZERS in core.js.
+ * @param {Uint8Array | Uint8ClampedArray} rgba - Pixels to fit
+ * @param {number} maxColors
+ * @param {QuantizerId} quantizer
+ * @param {import('../encoders/types.js').QuantizeFormat} format - Precision for 'gifenc'
+ * @returns {Palette}
+ * @throws {Error} For unknown quantizers
+ */
+export function createPalette(rgba, maxColors, quantizer, format) {
+  switch (quantizer) {
+    case 'gifenc':
+      return quantize(rgba, maxColors, { format });
+    case 'median-cut':
+      return medianCut(buildHistogram(rgba), maxColors);
+    case 'kmeans':
+      return kmeans(buildHistogram(rgba), maxColors);
+    case 'octree':
+      return octree(rgba, maxColors);
+    case 'neuquant':
+      return neuquant(rgba, maxColors);
+    default:
+      throw new Error(`Unknown quantizer: ${quantizer}`);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Median Cut Quantizer
+ * Recursively splits the color space at the weighted median
+ * @module features/export/quantizers/median-cut
+ */
+
+/**
+ * @typedef {import('./types.js').ColorHistogram} ColorHistogram
+ * @typedef {import('./types.js').Palette} Palette
+ */
+
+/**
+ * A box of histogram entries with its weighted statistics
+ * @typedef {Object} Box
+ * @property {Int32Array} indices - Histogram entries in the box
+ * @property {number[]} mean - Weighted mean color
+ * @property {number} error - Weighted squared distance of the entries to the mean
+ * @property {number} axis - Channel with the most variance (0 = r, 1 = g, 2 = b)
+ */
+
+/**
+ * @param {ColorHistogram} histogram
+ * @param {Int32Array} indices
+ * @returns {Box}
+ */
+function createBox(histogram, indices) {
+  const { colors, counts } = histogram;
+  let total = 0;
+  const sum = [0, 0, 0];
+  const sumSq = [0, 0, 0];
+  for (const i of indices) {
+    const w = counts[i];
+    total += w;
+    for (let c = 0; c < 3; c++) {
+      const v = colors[i * 3 + c];
+      sum[c] += v * w;
+      sumSq[c] += v * v * w;
+    }
+  }
+
+  const mean = sum.map((s) => s / total);
+  // Per-channel weighted SSE: sum(w * v^2) - total * mean^2
+  const variance = sumSq.map((s, c) => Math.max(0, s - total * mean[c] * mean[c]));
+  const axis = variance.indexOf(Math.max(...variance));
+  return { indices, mean, error: variance[0] + variance[1] + variance[2], axis };
+}
+
+/**
+ * Split a box at the weighted median of its widest channel
+ * @param {ColorHistogram} histogram
+ * @param {Box} box
+ * @returns {[Box, Box]}
+ */
+function splitBox(histogram, box) {
+  const { colors, counts } = histogram;
+  const { indices, axis } = box;
+  indices.sort((a, b) => colors[a * 3 + axis] - colors[b * 3 + axis]);
+
+  let total = 0;
+  for (const i of indices) total += counts[i];
+
+  let cut = 0;
+  let running = 0;
+  while (cut < indices.length - 1 && running + counts[indices[cut]] <= total / 2) {
+    running += counts[indices[cut]];
+    cut++;
+  }
+  cut = Math.min(Math.max(cut, 1), indices.length - 1);
+
+  return [
+    createBox(histogram, indices.subarray(0, cut)),
+    createBox(histogram, indices.subarray(cut)),
+  ];
+}
+
+/**
+ * Reduce a histogram to at most `maxColors` colors.
+ *
+ * The box with the largest squared error is split next, so colors go
+ * where the image has the most variation rather than being spread evenly.
+ *
+ * @param {ColorHistogram} histogram
+ * @param {number} maxColors
+ * @returns {number[][]} Unrounded mean colors, one per box
+ */
+export function medianCutColors(histogram, maxColors) {
+  if (histogram.length === 0) return [[0, 0, 0]];
+
+  const boxes = [
+    createBox(
+      histogram,
+      Int32Array.from({ length: histogram.length }, (_, i) => i),
+    ),
+  ];
+  while (boxes.length < maxColors) {
+    let best = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].indices.length > 1 && (best < 0 || boxes[i].error > boxes[best].error)) {
+        best = i;
+      }
+    }
+    if (best < 0) break;
+    boxes.splice(best, 1, ...splitBox(histogram, boxes[best]));
+  }
+  return boxes.map((box) => box.mean);
+}
+
+/**
+ * Median cut quantization
+ * @param {ColorHistogram} histogram
+ * @param {number} maxColors
+ * @returns {Palette}
+ */
+export function medianCut(histogram, maxColors) {
+  return medianCutColors(histogram, maxColors).map((color) => color.map(Math.round));
+}
@@ -0,0 +1,159 @@
+/**
+ * NeuQuant Quantizer
+ * Kohonen self-organizing map color quantization (Anthony Dekker, 1994)
+ * @module features/export/quantizers/neuquant
+ */
+
+/**
+ * @typedef {import('./types.js').Palette} Palette
+ */
+
+/** Learning passes over the sampled pixels */
+const CYCLES = 100;
+
+/** Examine every Nth pixel (1 = all; 10 is the classic speed/quality balance) */
+const SAMPLE_FACTOR = 10;
+
+/** Radius shrinks by 1/RADIUS_DECAY per cycle */
+const RADIUS_DECAY = 30;
+
+/** Frequency/bias learning rates from the reference implementation */
+const BETA = 1 / 1024;
+const GAMMA = 1024;
+
+/** Steps through the image; one not dividing the pixel count visits all of it */
+const PRIMES = [499, 491, 487, 503];
+
+/**
+ * NeuQuant quantization.
+ *
+ * Neurons on a 1-D map are pulled toward sampled pixels, dragging their
+ * neighbors along with a strength and radius that decay over the run. A
+ * frequency bias keeps rarely winning neurons in play, so small but
+ * distinct areas still get colors. Fits smooth, photo-like gradients
+ * closely; slower than the box-splitting quantizers.
+ *
+ * Floating-point port of the reference integer implementation.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {number} maxColors
+ * @returns {Palette}
+ */
+export function neuquant(rgba, maxColors) {
+  const size = Math.max(1, maxColors);
+  const pixelCount = rgba.length >> 2;
+  if (pixelCount === 0) return [[0, 0, 0]];
+
+  // Neurons start on the gray diagonal
+  const network = new Float64Array(size * 3);
+  const bias = new Float64Array(size);
+  const freq = new Float64Array(size).fill(1 / size);
+  for (let i = 0; i < size; i++) {
+    const v = (i * 256) / size;
+    network[i * 3] = v;
+    network[i * 3 + 1] = v;
+    network[i * 3 + 2] = v;
+  }
+
+  // Tiny images are sampled whole
+  const sampleFactor = pixelCount < PRIMES[3] ? 1 : SAMPLE_FACTOR;
+  const samples = Math.max(1, Math.floor(pixelCount / sampleFactor));
+  const alphaDecay = 30 + (sampleFactor - 1) / 3;
+  const delta = Math.max(1, Math.floor(samples / CYCLES));
+  const step = PRIMES.find((prime) => pixelCount % prime !== 0) ?? 1;
+
+  let alpha = 1;
+  let radius = size >> 3;
+  let rad = radius <= 1 ? 0 : Math.floor(radius);
+  const radPower = new Float64Array(Math.max(1, rad));
+  const updateRadPower = () => {
+    for (let i = 0; i < rad; i++) {
+      radPower[i] = (alpha * (rad * rad - i * i)) / (rad * rad);
+    }
+  };
+  updateRadPower();
+
+  /**
+   * Find the closest neuron, and the winner once frequency bias is applied
+   * @param {number} r
+   * @param {number} g
+   * @param {number} b
+   * @returns {number} Biased winner
+   */
+  const contest = (r, g, b) => {
+    let bestDistance = Infinity;
+    let bestBiasDistance = Infinity;
+    let bestPos = 0;
+    let bestBiasPos = 0;
+    for (let i = 0; i < size; i++) {
+      const distance =
+        Math.abs(network[i * 3] - r) +
+        Math.abs(network[i * 3 + 1] - g) +
+        Math.abs(network[i * 3 + 2] - b);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestPos = i;
+      }
+      const biasDistance = distance - bias[i];
+      if (biasDistance < bestBiasDistance) {
+        bestBiasDistance = biasDistance;
+        bestBiasPos = i;
+      }
+      const betaFreq = freq[i] * BETA;
+      freq[i] -= betaFreq;
+      bias[i] += betaFreq * GAMMA;
+    }
+    freq[bestPos] += BETA;
+    bias[bestPos] -= BETA * GAMMA;
+    return bestBiasPos;
+  };
+
+  /**
+   * Move neuron i toward a color
+   * @param {number} i
+   * @param {number} strength - 0-1
+   * @param {number} r
+   * @param {number} g
+   * @param {number} b
+   */
+  const alter = (i, strength, r, g, b) => {
+    network[i * 3] -= strength * (network[i * 3] - r);
+    network[i * 3 + 1] -= strength * (network[i * 3 + 1] - g);
+    network[i * 3 + 2] -= strength * (network[i * 3 + 2] - b);
+  };
+
+  let pixel = 0;
+  for (let i = 1; i <= samples; i++) {
+    const p = pixel * 4;
+    const r = rgba[p];
+    const g = rgba[p + 1];
+    const b = rgba[p + 2];
+
+    const winner = contest(r, g, b);
+    alter(winner, alpha, r, g, b);
+    for (let m = 1; m < rad; m++) {
+      if (winner + m < size) alter(winner + m, radPower[m], r, g, b);
+      if (winner - m >= 0) alter(winner - m, radPower[m], r, g, b);
+    }
+
+    pixel = (pixel + step) % pixelCount;
+
+    if (i % delta === 0) {
+      alpha -= alpha / alphaDecay;
+      radius -= radius / RADIUS_DECAY;
+      rad = radius <= 1 ? 0 : Math.floor(radius);
+      updateRadPower();
+    }
+  }
+
+  /** @type {Palette} */
+  const palette = [];
+  for (let i = 0; i < size; i++) {
+    palette.push([
+      Math.min(255, Math.max(0, Math.round(network[i * 3]))),
+      Math.min(255, Math.max(0, Math.round(network[i * 3 + 1]))),
+      Math.min(255, Math.max(0, Math.round(network[i * 3 + 2]))),
+    ]);
+  }
+  return palette;
+}
@@ -0,0 +1,113 @@
+/**
+ * Octree Quantizer
+ * Gervautz–Purgathofer octree color reduction
+ * @module features/export/quantizers/octree
+ */
+
+/**
+ * @typedef {import('./types.js').Palette} Palette
+ */
+
+/** One level per bit of an 8-bit channel */
+const MAX_DEPTH = 8;
+
+/**
+ * @typedef {Object} OctreeNode
+ * @property {number} r - Channel sums of the pixels in the node
+ * @property {number} g
+ * @property {number} b
+ * @property {number} count - Pixels in the node
+ * @property {(OctreeNode | null)[] | null} children - null for leaves
+ */
+
+/**
+ * Octree quantization.
+ *
+ * Each pixel walks down one level per channel bit. Whenever there are more
+ * leaves than colors, the most recently created node on the deepest level
+ * that still has children is collapsed into a leaf, so memory stays bounded
+ * by the palette size. Colors follow the bit structure of RGB, which keeps
+ * flat UI and terminal colors distinct but spreads gradients coarsely.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {number} maxColors
+ * @returns {Palette}
+ */
+export function octree(rgba, maxColors) {
+  /** @type {OctreeNode[][]} Nodes with children, by depth */
+  const reducible = Array.from({ length: MAX_DEPTH }, () => []);
+  let leafCount = 0;
+
+  /**
+   * @param {number} depth
+   * @returns {OctreeNode}
+   */
+  const createNode = (depth) => {
+    const isLeaf = depth === MAX_DEPTH;
+    /** @type {OctreeNode} */
+    const node = { r: 0, g: 0, b: 0, count: 0, children: isLeaf ? null : new Array(8).fill(null) };
+    if (isLeaf) {
+      leafCount++;
+    } else {
+      reducible[depth].push(node);
+    }
+    return node;
+  };
+
+  const reduce = () => {
+    let depth = MAX_DEPTH - 1;
+    while (depth > 0 && reducible[depth].length === 0) depth--;
+    const node = reducible[depth].pop();
+    if (!node?.children) return;
+    let merged = 0;
+    for (const child of node.children) {
+      if (!child) continue;
+      node.r += child.r;
+      node.g += child.g;
+      node.b += child.b;
+      node.count += child.count;
+      merged++;
+    }
+    node.children = null;
+    leafCount -= merged - 1;
+  };
+
+  const root = createNode(0);
+  for (let p = 0; p < rgba.length; p += 4) {
+    const r = rgba[p];
+    const g = rgba[p + 1];
+    const b = rgba[p + 2];
+    let node = root;
+    for (let depth = 0; node.children; depth++) {
+      const shift = 7 - depth;
+      const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+      node = node.children[index] ??= createNode(depth + 1);
+    }
+    node.r += r;
+    node.g += g;
+    node.b += b;
+    node.count++;
+    while (leafCount > maxColors) reduce();
+  }
+
+  /** @type {Palette} */
+  const palette = [];
+  /** @param {OctreeNode} node */
+  const collect = (node) => {
+    if (!node.children) {
+      if (node.count > 0) {
+        palette.push([
+          Math.round(node.r / node.count),
+          Math.round(node.g / node.count),
+          Math.round(node.b / node.count),
+        ]);
+      }
+      return;
+    }
+    for (const child of node.children) {
+      if (child) collect(child);
+    }
+  };
+  collect(root);
+  return palette.length > 0 ? palette : [[0, 0, 0]];
+}
@@ -0,0 +1,38 @@
+/**
+ * Quantizer Type Definitions
+ * @module features/export/quantizers/types
+ */
+
+/**
+ * Color quantization algorithm
+ * - gifenc: gifenc's built-in quantize() in the preset's rgb565/rgb444 format
+ * - median-cut, octree, neuquant, kmeans: full 24-bit algorithms in this folder
+ * @typedef {'gifenc'|'median-cut'|'octree'|'neuquant'|'kmeans'} QuantizerId
+ */
+
+/**
+ * Palette of [r, g, b] entries, 0-255 integers
+ * @typedef {number[][]} Palette
+ */
+
+/**
+ * Distinct colors of an image, weighted by how many pixels use them.
+ * Colors are bucketed at 5 bits per channel; each bucket holds the exact
+ * mean of its pixels, so no precision is lost to the bucketing.
+ * @typedef {Object} ColorHistogram
+ * @property {Float32Array} colors - Mean r, g, b per bucket (3 entries each)
+ * @property {Uint32Array} counts - Pixels per bucket
+ * @property {number} length - Occupied buckets
+ */
+
+/**
+ * Quantizer description shown next to the encoder presets
+ * @typedef {Object} QuantizerMetadata
+ * @property {QuantizerId} id
+ * @property {string} name - Display name
+ * @property {string} description - What it is good at
+ * @property {1|2|3|4|5} speed - Relative speed, 5 = fastest
+ * @property {1|2|3|4|5} quality - Relative color fidelity, 5 = best
+ */
+
+export {};
@@ -4,7 +4,12 @@
  */
 
 import { createStore } from '../../shared/store.js';
-import { createDefaultSettings, estimateSize, getCroppedDimensions } from './core.js';
+import {
+  calculateOutputDimensions,
+  createDefaultSettings,
+  estimateSize,
+  getCroppedDimensions,
+} from './core.js';
 
 /**
  * Initialize preview state
@@ -40,7 +45,7 @@ export function initExportState() {
  */
 export function openDialog(state, clip, crop) {
   const frame = clip.frames[0];
-  const dims = getCroppedDimensions(frame, crop);
+  const dims = getCroppedDimensions(frame, crop, state.settings);
   const frameCount = clip.selectedRange.end - clip.selectedRange.start + 1;
 
   const estimatedBytes = estimateSize({
@@ -50,6 +55,7 @@ export function openDialog(state, clip, crop) {
     quality: state.settings.quality,
     dithering: state.settings.dithering,
     frameSkip: state.settings.frameSkip,
+    playbackDirection: state.settings.playbackDirection,
     encoderPreset: state.settings.encoderPreset,
   });
 
@@ -77,19 +83,21 @@ export function closeDialog(state) {
  * Update export settings
  * @param {import('./types.js').ExportState} state
  * @param {Partial<import('./types.js').ExportSettings>} settings
- * @param {{ frameCount: number, width: number, height: number }} dimensions
+ * @param {{ frameCount: number, width: number, height: number }} dimensions - Crop size, before scaling
  * @returns {import('./types.js').ExportState}
  */
 export function updateSettings(state, settings, dimensions) {
   const newSettings = { ...state.settings, ...settings };
+  const output = calculateOutputDimensions(dimensions, newSettings);
 
   const estimatedBytes = estimateSize({
     frameCount: dimensions.frameCount,
-    width: dimensions.width,
-    height: dimensions.height,
+    width: output.width,
+    height: output.height,
     quality: newSettings.quality,
     dithering: newSettings.dithering,
     frameSkip: newSettings.frameSkip,
+    playbackDirection: newSettings.playbackDirection,
     encoderPreset: newSettings.encoderPreset,
   });
 
@@ -104,9 +112,10 @@ export function updateSettings(state, settings, dimensions) {
  * Create a new encoding job
  * @param {number} totalFrames
  * @param {import('./encoders/types.js').EncoderId} encoder
+ * @param {number | null} [targetBytes=null] - File size budget; starts the job searching
  * @returns {import('./types.js').EncodingJob}
  */
-export function createEncodingJob(totalFrames, encoder) {
+export function createEncodingJob(totalFrames, encoder, targetBytes = null) {
   return {
     id: crypto.randomUUID(),
     status: 'preparing',
@@ -118,6 +127,10 @@ export function createEncodingJob(totalFrames, encoder) {
     encoder,
     result: null,
     error: null,
+    phase: targetBytes ? 'searching' : 'encoding',
+    targetBytes,
+    sizeReport: null,
+    output: null,
   };
 }
 
@@ -139,8 +152,12 @@ export function startEncoding(state, job) {
 
 /**
  * Update job progress
+ *
+ * `total` and `phase` are only sent by target file size exports, whose
+ * frame count changes with the frame skip the search settles on.
+ *
  * @param {import('./types.js').ExportState} state
- * @param {{ percent: number, current: number, estimatedRemaining?: number }} progress
+ * @param {{ percent: number, current: number, total?: number, phase?: import('./types.js').EncodingPhase, estimatedRemaining?: number }} progress
  * @returns {import('./types.js').ExportState}
  */
 export function updateProgress(state, progress) {
@@ -152,6 +169,8 @@ export function updateProgress(state, progress) {
       ...state.job,
       progress: progress.percent,
       currentFrame: progress.current,
+      totalFrames: progress.total ?? state.job.totalFrames,
+      phase: progress.phase ?? state.job.phase,
       estimatedRemaining: progress.estimatedRemaining ?? state.job.estimatedRemaining,
     },
   };
@@ -161,9 +180,12 @@ export function updateProgress(state, progress) {
  * Complete encoding
  * @param {import('./types.js').ExportState} state
  * @param {Blob} result
+ * @param {Object} [details]
+ * @param {import('./types.js').GifOutput | null} [details.output] - Frame count and length of the file
+ * @param {import('./types.js').TargetSizeReport | null} [details.sizeReport] - Settings a target size export chose
  * @returns {import('./types.js').ExportState}
  */
-export function completeEncoding(state, result) {
+export function completeEncoding(state, result, { output = null, sizeReport = null } = {}) {
   if (!state.job) return state;
 
   return {
@@ -173,6 +195,8 @@ export function completeEncoding(state, result) {
       status: 'complete',
       progress: 100,
       result,
+      sizeReport,
+      output,
     },
   };
 }
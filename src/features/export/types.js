@@ -8,6 +8,38 @@
  * @typedef {'quality'|'balanced'|'fast'} EncoderPreset
  */
 
+/**
+ * How the output size is chosen
+ * - original: crop size unchanged
+ * - percent: scalePercent of the crop size
+ * - fit: shrink to fit scaleMaxWidth x scaleMaxHeight (0 = no limit), never upscale
+ * - exact: scaleWidth x scaleHeight (height follows width when aspect is locked)
+ * @typedef {'original'|'percent'|'fit'|'exact'} ScaleMode
+ */
+
+/**
+ * Resampling filter used when the output size differs from the crop
+ * @typedef {'nearest'|'bilinear'|'bicubic'|'lanczos'} ResampleFilter
+ */
+
+/**
+ * Palette imported from a .gpl, .act or PNG swatch file
+ * @typedef {Object} CustomPalette
+ * @property {string} name - Palette or file name
+ * @property {string[]} colors - #rrggbb entries, at most 256
+ */
+
+/**
+ * Image format of a sprite sheet
+ * @typedef {'png'|'webp'} SpriteSheetFormat
+ */
+
+/**
+ * Order frames play in. Ping-pong runs forward then back, without
+ * repeating the end frames.
+ * @typedef {'forward'|'reverse'|'pingpong'} PlaybackDirection
+ */
+
 /**
  * Export settings
  * @typedef {Object} ExportSettings
@@ -15,10 +47,56 @@
  * @property {1|2|3|4|5} frameSkip - Use every Nth frame
  * @property {number} playbackSpeed - 0.25 to 4.0
  * @property {boolean} dithering - Enable dithering for smoother gradients
+ * @property {import('./encoders/types.js').DitherMethod} ditherMethod - Algorithm used when dithering
+ * @property {import('./quantizers/types.js').QuantizerId} quantizer - Algorithm that builds
+ *   palettes (gifenc)
+ * @property {boolean} optimizeFrames - Store only pixels that change between frames (gifenc)
+ * @property {boolean} globalPalette - Sample the whole selection for one shared palette (gifenc)
+ * @property {CustomPalette|null} customPalette - Imported palette used instead of quantizing (gifenc)
+ * @property {string[]} pinnedColors - #rrggbb colors every palette keeps exactly (gifenc)
+ * @property {boolean} realTiming - Time frames by their capture timestamps instead of the nominal FPS
+ * @property {PlaybackDirection} playbackDirection - Forward, reverse or ping-pong (boomerang)
+ * @property {boolean} mergeDuplicates - Write runs of identical frames as one longer frame
+ * @property {number} duplicateTolerance - Per-channel difference still treated as identical (0-32)
  * @property {number} loopCount - 0 for infinite, 1+ for specific count
  * @property {boolean} openInNewTab - Open result in new tab vs download
  * @property {EncoderPreset} encoderPreset - Selected encoder preset
  * @property {import('./encoders/types.js').EncoderId} encoderId - Selected encoder
+ * @property {boolean} lossless - Lossless output on encoders with supportsLossless
+ * @property {SpriteSheetFormat} spriteSheetFormat - Image format of sprite sheet exports
+ * @property {number} spriteSheetColumns - Sprite sheet columns, 0 = as square as possible
+ * @property {ScaleMode} scaleMode - Output size mode
+ * @property {number} scalePercent - Output size in percent of the crop (scaleMode 'percent')
+ * @property {number} scaleMaxWidth - Width limit in pixels, 0 = none (scaleMode 'fit')
+ * @property {number} scaleMaxHeight - Height limit in pixels, 0 = none (scaleMode 'fit')
+ * @property {number} scaleWidth - Output width, 0 = crop width (scaleMode 'exact')
+ * @property {number} scaleHeight - Output height, 0 = crop height (scaleMode 'exact')
+ * @property {boolean} scaleLockAspect - Derive the exact height from the width
+ * @property {ResampleFilter} resampleFilter - Filter used when resizing
+ * @property {boolean} targetSizeEnabled - Search settings until the file fits targetSizeKB
+ * @property {number} targetSizeKB - File size budget in kilobytes (1 KB = 1024 bytes)
+ * @property {number} [maxColors] - Explicit palette size; overrides the quality-derived count
+ */
+
+/**
+ * Settings chosen by a target file size export
+ * @typedef {Object} TargetSizeReport
+ * @property {number} targetBytes - Requested budget
+ * @property {boolean} fits - Whether the result is within the budget
+ * @property {number} quality - Chosen quality
+ * @property {number} maxColors - Chosen palette size
+ * @property {1|2|3|4|5} frameSkip - Chosen frame skip
+ * @property {number} width - Chosen output width
+ * @property {number} height - Chosen output height
+ * @property {number} trials - Sample encodes run during the search
+ * @property {number} encodes - Full encodes run (more than one when an estimate was too low)
+ */
+
+/**
+ * Encoding phase of a job
+ * - searching: trial encodes for a target file size
+ * - encoding: the full encode
+ * @typedef {'searching'|'encoding'} EncodingPhase
  */
 
 /**
@@ -39,6 +117,10 @@
  * @property {import('./encoders/types.js').EncoderId} encoder - Active encoder ID
  * @property {Blob|null} result - Output GIF blob when complete
  * @property {string|null} error - Error message if failed
+ * @property {EncodingPhase} phase - Current phase
+ * @property {number|null} targetBytes - Budget of a target file size export
+ * @property {TargetSizeReport|null} sizeReport - Settings a target file size export chose
+ * @property {GifOutput|null} output - Details of the written file when complete
  */
 
 /**
@@ -50,6 +132,65 @@
  * @property {number} height - Output height
  * @property {number} frameCount - Number of frames
  * @property {number} duration - Duration in seconds
+ * @property {number[][]|null} [palette] - Distinct [r, g, b] colors of the GIF's global
+ *   color table; null for other formats
+ * @property {number} [localPalettes] - Frames that carry their own color table
+ * @property {SpriteSheetFiles|null} [spriteSheet] - Atlas and CSS written next to a sprite
+ *   sheet; null for other formats
+ */
+
+/**
+ * One frame of a sprite sheet atlas. Field names follow the JSON-array
+ * atlas written by Aseprite and TexturePacker, so existing loaders read it.
+ * @typedef {Object} SpriteAtlasFrame
+ * @property {string} filename - Frame name, numbered from 0
+ * @property {{ x: number, y: number, w: number, h: number }} frame - Cell on the sheet
+ * @property {number} duration - Display time in milliseconds
+ */
+
+/**
+ * Sprite sheet atlas
+ * @typedef {Object} SpriteAtlas
+ * @property {SpriteAtlasFrame[]} frames - Frames in playback order
+ * @property {Object} meta
+ * @property {string} meta.app - Writing application
+ * @property {string} meta.image - File name of the sheet
+ * @property {'image/png'|'image/webp'} meta.format - MIME type of the sheet
+ * @property {{ w: number, h: number }} meta.size - Sheet size in pixels
+ * @property {{ w: number, h: number }} meta.frameSize - Size of every cell
+ * @property {number} meta.columns - Cells per row
+ * @property {number} meta.rows - Rows of cells
+ * @property {number} meta.loop - Loop count, 0 for infinite
+ */
+
+/**
+ * Files written next to a sprite sheet
+ * @typedef {Object} SpriteSheetFiles
+ * @property {SpriteAtlas} atlas - Frame rects and durations
+ * @property {string} css - Keyframe animation snippet that plays the sheet
+ */
+
+/**
+ * One file of a PNG sequence
+ * @typedef {Object} PngSequenceFrame
+ * @property {string} file - Name of the PNG in the archive
+ * @property {number} timestampMs - Capture time relative to the first exported frame
+ * @property {number} durationMs - Display time
+ */
+
+/**
+ * manifest.json written next to the frames of a PNG sequence
+ * @typedef {Object} PngSequenceManifest
+ * @property {string} app - Writing application
+ * @property {number} version - Manifest format version
+ * @property {number} width - Width of every PNG
+ * @property {number} height - Height of every PNG
+ * @property {{ width: number, height: number }} sourceSize - Size of the captured frames
+ * @property {{ x: number, y: number, width: number, height: number } | null} crop - Crop in
+ *   source pixels; null when the whole frame was exported
+ * @property {number} fps - Source FPS
+ * @property {number} frameCount - Files in the sequence
+ * @property {PngSequenceFrame[]} frames - Frames in playback order
  */
 
 /**
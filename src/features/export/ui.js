@@ -8,11 +8,27 @@ import { createElement, createErrorScreen, on } from '../../shared/utils/dom.js'
 import {
   formatBytes,
   formatDuration,
+  formatDurationPrecise,
   formatPercent,
   formatRemaining,
 } from '../../shared/utils/format.js';
 import { updateStepIndicator } from '../../shared/utils/step-indicator.js';
-import { ENCODER_PRESETS } from './core.js';
+import {
+  calculateOutputDimensions,
+  calculateSpriteGrid,
+  DUPLICATE_TOLERANCE,
+  ENCODER_PRESETS,
+  getOutputFrameCount,
+  PLAYBACK_DIRECTIONS,
+  QUANTIZERS,
+  RESAMPLE_FILTERS,
+  SPRITE_SHEET_MAX_SIDE,
+  supportsTargetSize,
+  TARGET_SIZE_KB,
+  TARGET_SIZE_PRESETS,
+} from './core.js';
+import { DITHER_METHODS } from './encoders/dither.js';
+import { toHexColor } from './palette-file.js';
 
 /**
  * Static encoder definitions for UI display
@@ -32,6 +48,42 @@ const ENCODER_OPTIONS = [
     description: 'Blazing fast, best quality color quantization',
     isWasm: true,
   },
+  {
+    id: 'webp-native',
+    name: 'Animated WebP',
+    description: 'True color, much smaller than GIF for UI captures',
+    isWasm: false,
+  },
+  {
+    id: 'apng-js',
+    name: 'APNG (JavaScript)',
+    description: 'Lossless 24-bit color with alpha, no banding',
+    isWasm: false,
+  },
+  {
+    id: 'webm-webcodecs',
+    name: 'WebM video (VP9)',
+    description: 'Tiny files for long clips; plays as a muted looping video',
+    isWasm: false,
+  },
+  {
+    id: 'mp4-webcodecs',
+    name: 'MP4 video (H.264)',
+    description: 'Plays almost everywhere; best for long or detailed clips',
+    isWasm: false,
+  },
+  {
+    id: 'sprite-sheet',
+    name: 'Sprite sheet',
+    description: 'Frame grid in one PNG or WebP, with a JSON atlas and CSS animation',
+    isWasm: false,
+  },
+  {
+    id: 'png-zip',
+    name: 'PNG sequence (ZIP)',
+    description: 'Every frame as a lossless PNG, with a JSON manifest of timings and crop',
+    isWasm: false,
+  },
 ];
 
 /**
@@ -45,6 +97,9 @@ const ENCODER_OPTIONS = [
  * @property {() => void} onTogglePlay - Toggle preview playback
  * @property {() => void} onAdjustSettings - Return to settings after export complete
  * @property {() => void} onCreateNew - Start new capture, releasing current frames
+ * @property {(file: File) => void} [onImportPalette] - Load a .gpl/.act/PNG palette file
+ * @property {() => void} [onSavePalette] - Save the finished GIF's palette as .gpl
+ * @property {() => void} [onCopySpriteCss] - Copy the finished sprite sheet's CSS snippet
  */
 
 /** @type {readonly [1, 2, 3, 4, 5]} */
@@ -53,6 +108,41 @@ const FRAME_SKIP_OPTIONS = /** @type {const} */ ([1, 2, 3, 4, 5]);
 /** @type {readonly number[]} */
 const SPEED_OPTIONS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
 
+/** @type {ReadonlyArray<{ value: import('./types.js').ScaleMode, label: string }>} */
+const SCALE_MODE_OPTIONS = [
+  { value: 'original', label: 'Original size' },
+  { value: 'percent', label: 'Percentage' },
+  { value: 'fit', label: 'Max width / height' },
+  { value: 'exact', label: 'Exact size' },
+];
+
+/** @type {ReadonlyArray<{ value: import('./types.js').SpriteSheetFormat, label: string }>} */
+const SPRITE_SHEET_FORMATS = [
+  { value: 'png', label: 'PNG (lossless)' },
+  { value: 'webp', label: 'WebP (smaller)' },
+];
+
+/** Largest column count offered for sprite sheets */
+const SPRITE_SHEET_COLUMNS_MAX = 64;
+
+/**
+ * Format an output size for display
+ * @param {{ width: number, height: number }} size
+ * @returns {string}
+ */
+function formatSize(size) {
+  return `${size.width}\u00D7${size.height}`;
+}
+
+/**
+ * Format a 1-5 rating as filled/empty dots
+ * @param {number} value
+ * @returns {string}
+ */
+function formatRating(value) {
+  return '\u25CF'.repeat(value) + '\u25CB'.repeat(5 - value);
+}
+
 /**
  * Render the export screen
  * @param {HTMLElement} container
@@ -112,7 +202,12 @@ export function renderExportScreen(container, state, handlers, clipInfo) {
     previewWrapper.appendChild(renderError(state.job, handlers, cleanups));
   } else {
     // Show Canvas-based preview
-    const { element, canvas } = renderCanvasPreview(state.preview, handlers, clipInfo, cleanups);
+    const { element, canvas } = renderCanvasPreview(
+      state.preview,
+      handlers,
+      calculateOutputDimensions(clipInfo, state.settings),
+      cleanups,
+    );
     previewWrapper.appendChild(element);
     previewCanvas = canvas;
   }
@@ -153,8 +248,8 @@ export function renderExportScreen(container, state, handlers, clipInfo) {
       createElement('div', { className: 'export-status-section' }, [
         createElement('div', { className: 'status-item' }, [
           'Size: ',
-          createElement('span', { className: 'value' }, [
-            `${clipInfo.width}\u00D7${clipInfo.height}`,
+          createElement('span', { className: 'value', 'data-output-size': 'true' }, [
+            formatSize(calculateOutputDimensions(clipInfo, state.settings)),
           ]),
         ]),
       ]),
@@ -178,11 +273,11 @@ export function renderExportScreen(container, state, handlers, clipInfo) {
  * Uses the same pattern as Editor's canvas container
  * @param {import('./types.js').PreviewState} previewState
  * @param {ExportUIHandlers} handlers
- * @param {{ width: number, height: number }} clipInfo
+ * @param {{ width: number, height: number }} outputSize - Scaled output size
  * @param {(() => void)[]} cleanups
  * @returns {{ element: HTMLElement, canvas: HTMLCanvasElement }}
  */
-function renderCanvasPreview(previewState, handlers, clipInfo, cleanups) {
+function renderCanvasPreview(previewState, handlers, outputSize, cleanups) {
   // Canvas container - matches editor-canvas-container pattern
   const canvasContainer = createElement('div', { className: 'export-canvas-container' });
 
@@ -194,9 +289,9 @@ function renderCanvasPreview(previewState, handlers, clipInfo, cleanups) {
     })
   );
 
-  // Set initial canvas size to match clip dimensions
-  canvas.width = clipInfo.width;
-  canvas.height = clipInfo.height;
+  // Set initial canvas size to match the output dimensions
+  canvas.width = outputSize.width;
+  canvas.height = outputSize.height;
 
   canvasContainer.appendChild(canvas);
 
@@ -215,14 +310,29 @@ function renderCanvasPreview(previewState, handlers, clipInfo, cleanups) {
   canvasContainer.appendChild(playPauseBtn);
 
   // Size indicator
-  const sizeIndicator = createElement('div', { className: 'export-preview-size' }, [
-    `${clipInfo.width}\u00D7${clipInfo.height}`,
-  ]);
+  const sizeIndicator = createElement(
+    'div',
+    { className: 'export-preview-size', 'data-output-size': 'true' },
+    [formatSize(outputSize)],
+  );
   canvasContainer.appendChild(sizeIndicator);
 
   return { element: canvasContainer, canvas };
 }
 
+/**
+ * Show a new output size everywhere it is displayed, without re-rendering
+ * the settings panel the user is editing.
+ *
+ * @param {HTMLElement} container
+ * @param {{ width: number, height: number }} outputSize
+ */
+export function updateOutputSizeUI(container, outputSize) {
+  for (const el of container.querySelectorAll('[data-output-size]')) {
+    el.textContent = formatSize(outputSize);
+  }
+}
+
 /**
  * Keep the preview toggle's visual and accessible state in sync without
  * replacing the canvas that the playback loop is currently drawing into.
@@ -312,126 +422,1016 @@ function renderGifencSettings(state, handlers, cleanups) {
   // Quality slider
   const qualityRow = createElement('div', { className: 'setting-row' }, [
     createElement('div', { className: 'setting-header' }, [
-      createElement('span', { className: 'setting-label' }, ['Quality']),
-      createElement('span', { className: 'setting-value' }, [
-        `${Math.round(state.settings.quality * 100)}%`,
-      ]),
+      createElement('span', { className: 'setting-label' }, ['Quality']),
+      createElement('span', { className: 'setting-value' }, [
+        `${Math.round(state.settings.quality * 100)}%`,
+      ]),
+    ]),
+  ]);
+
+  const qualityInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'range',
+      min: '0.1',
+      max: '1.0',
+      step: '0.1',
+    })
+  );
+  qualityInput.value = String(state.settings.quality);
+
+  cleanups.push(
+    on(qualityInput, 'input', () => {
+      const valueEl = qualityRow.querySelector('.setting-value');
+      if (valueEl) {
+        valueEl.textContent = `${Math.round(Number(qualityInput.value) * 100)}%`;
+      }
+    }),
+  );
+  cleanups.push(
+    on(qualityInput, 'change', () => {
+      handlers.onSettingsChange({ quality: Number(qualityInput.value) });
+    }),
+  );
+
+  qualityRow.appendChild(qualityInput);
+  group.appendChild(qualityRow);
+
+  // Preset dropdown
+  const presetRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Preset']),
+    ]),
+  ]);
+
+  const presetSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      {},
+      ENCODER_PRESETS.map((preset) => createElement('option', { value: preset.id }, [preset.name])),
+    )
+  );
+  presetSelect.value = state.settings.encoderPreset;
+
+  const currentPreset = ENCODER_PRESETS.find((p) => p.id === state.settings.encoderPreset);
+  const presetDesc = createElement('div', { className: 'setting-description' }, [
+    currentPreset?.description || '',
+  ]);
+
+  cleanups.push(
+    on(presetSelect, 'change', () => {
+      const preset = ENCODER_PRESETS.find((p) => p.id === presetSelect.value);
+      if (preset) {
+        presetDesc.textContent = preset.description;
+      }
+      handlers.onSettingsChange({
+        encoderPreset: /** @type {import('./types.js').EncoderPreset} */ (presetSelect.value),
+      });
+    }),
+  );
+
+  presetRow.appendChild(presetSelect);
+  group.appendChild(presetRow);
+  group.appendChild(presetDesc);
+
+  // Quantizer dropdown, with its speed/quality tradeoff next to the preset
+  const quantizerRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Quantizer']),
+    ]),
+  ]);
+
+  const quantizerSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { id: 'quantizer-select' },
+      QUANTIZERS.map((quantizer) =>
+        createElement('option', { value: quantizer.id }, [quantizer.name]),
+      ),
+    )
+  );
+  quantizerSelect.value = state.settings.quantizer ?? 'gifenc';
+
+  const quantizerDesc = createElement('div', { className: 'setting-description' });
+  /** @param {string} id */
+  const describeQuantizer = (id) => {
+    const quantizer = QUANTIZERS.find((q) => q.id === id);
+    quantizerDesc.textContent = quantizer
+      ? `${quantizer.description} · Speed ${formatRating(quantizer.speed)} · Quality ${formatRating(quantizer.quality)}`
+      : '';
+  };
+  describeQuantizer(quantizerSelect.value);
+
+  cleanups.push(
+    on(quantizerSelect, 'change', () => {
+      describeQuantizer(quantizerSelect.value);
+      handlers.onSettingsChange({
+        quantizer: /** @type {import('./quantizers/types.js').QuantizerId} */ (
+          quantizerSelect.value
+        ),
+      });
+    }),
+  );
+
+  quantizerRow.appendChild(quantizerSelect);
+  group.appendChild(quantizerRow);
+  group.appendChild(quantizerDesc);
+
+  // Dithering checkbox
+  const ditherRow = createElement('div', { className: 'checkbox-row' });
+  const ditherCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'checkbox',
+      id: 'dither-check',
+    })
+  );
+  ditherCheckbox.checked = state.settings.dithering;
+
+  ditherRow.appendChild(ditherCheckbox);
+  ditherRow.appendChild(createElement('label', { for: 'dither-check' }, ['Enable dithering']));
+
+  const ditherHint = createElement('div', { className: 'setting-hint' }, [
+    'Smoother gradients, slightly larger files',
+  ]);
+
+  group.appendChild(ditherRow);
+  group.appendChild(ditherHint);
+
+  // Dithering method dropdown (only meaningful while dithering is on)
+  const methodRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Dithering Method']),
+    ]),
+  ]);
+
+  const methodSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      {},
+      DITHER_METHODS.map((method) => createElement('option', { value: method.id }, [method.name])),
+    )
+  );
+  methodSelect.value = state.settings.ditherMethod;
+  methodSelect.disabled = !state.settings.dithering;
+
+  const currentMethod = DITHER_METHODS.find((m) => m.id === state.settings.ditherMethod);
+  const methodDesc = createElement('div', { className: 'setting-description' }, [
+    currentMethod?.description || '',
+  ]);
+
+  cleanups.push(
+    on(methodSelect, 'change', () => {
+      const method = DITHER_METHODS.find((m) => m.id === methodSelect.value);
+      if (method) {
+        methodDesc.textContent = method.description;
+      }
+      handlers.onSettingsChange({
+        ditherMethod: /** @type {import('./encoders/types.js').DitherMethod} */ (
+          methodSelect.value
+        ),
+      });
+    }),
+  );
+  cleanups.push(
+    on(ditherCheckbox, 'change', () => {
+      methodSelect.disabled = !ditherCheckbox.checked;
+      handlers.onSettingsChange({ dithering: ditherCheckbox.checked });
+    }),
+  );
+
+  methodRow.appendChild(methodSelect);
+  group.appendChild(methodRow);
+  group.appendChild(methodDesc);
+
+  // Frame optimization checkbox
+  const optimizeRow = createElement('div', { className: 'checkbox-row' });
+  const optimizeCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'checkbox',
+      id: 'optimize-frames-check',
+    })
+  );
+  optimizeCheckbox.checked = state.settings.optimizeFrames;
+  cleanups.push(
+    on(optimizeCheckbox, 'change', () => {
+      handlers.onSettingsChange({ optimizeFrames: optimizeCheckbox.checked });
+    }),
+  );
+
+  optimizeRow.appendChild(optimizeCheckbox);
+  optimizeRow.appendChild(
+    createElement('label', { for: 'optimize-frames-check' }, ['Store only changed pixels']),
+  );
+  group.appendChild(optimizeRow);
+  group.appendChild(
+    createElement('div', { className: 'setting-hint' }, [
+      'Much smaller files for mostly static screen recordings',
+    ]),
+  );
+
+  // Global palette checkbox
+  const globalRow = createElement('div', { className: 'checkbox-row' });
+  const globalCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'checkbox',
+      id: 'global-palette-check',
+    })
+  );
+  globalCheckbox.checked = state.settings.globalPalette;
+  cleanups.push(
+    on(globalCheckbox, 'change', () => {
+      handlers.onSettingsChange({ globalPalette: globalCheckbox.checked });
+    }),
+  );
+
+  globalRow.appendChild(globalCheckbox);
+  globalRow.appendChild(
+    createElement('label', { for: 'global-palette-check' }, ['One palette for the whole clip']),
+  );
+  group.appendChild(globalRow);
+  group.appendChild(
+    createElement('div', { className: 'setting-hint' }, [
+      'Samples every frame first: no color flicker, no per-frame color tables',
+    ]),
+  );
+
+  group.appendChild(renderPaletteSettings(state, handlers, cleanups));
+
+  return group;
+}
+
+/**
+ * Render a row of color swatches
+ * @param {string[]} colors - #rrggbb
+ * @returns {HTMLElement}
+ */
+function renderSwatches(colors) {
+  return createElement(
+    'div',
+    { className: 'palette-swatches' },
+    colors.map((hex) =>
+      createElement('span', {
+        className: 'palette-swatch',
+        title: hex,
+        style: `background-color: ${hex}`,
+      }),
+    ),
+  );
+}
+
+/**
+ * Render custom palette import and pinned colors (gifenc)
+ * @param {import('./types.js').ExportState} state
+ * @param {ExportUIHandlers} handlers
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderPaletteSettings(state, handlers, cleanups) {
+  const section = createElement('div', {
+    className: 'setting-row palette-settings',
+    'data-palette-settings': 'true',
+  });
+  section.appendChild(
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Palette']),
+    ]),
+  );
+
+  let customPalette = state.settings.customPalette;
+  let pinnedColors = state.settings.pinnedColors ?? [];
+
+  const body = createElement('div', { className: 'palette-settings-body' });
+  section.appendChild(body);
+
+  const fileInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'file',
+      accept: '.gpl,.act,.png,image/png',
+      hidden: true,
+      'data-palette-file': 'true',
+    })
+  );
+  section.appendChild(fileInput);
+
+  const colorInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'color',
+      className: 'palette-pin-input',
+      'aria-label': 'Color to pin',
+    })
+  );
+  colorInput.value = '#0066ff';
+  const pinRow = createElement('div', { className: 'palette-pin-row' }, [
+    colorInput,
+    createElement(
+      'button',
+      { className: 'btn btn-ghost btn-sm', type: 'button', 'data-action': 'pin' },
+      ['Pin color'],
+    ),
+  ]);
+
+  const fill = () => {
+    body.replaceChildren();
+
+    if (customPalette) {
+      body.appendChild(renderSwatches(customPalette.colors));
+      body.appendChild(
+        createElement('div', { className: 'palette-meta' }, [
+          `${customPalette.name} \u00b7 ${customPalette.colors.length} colors`,
+          createElement(
+            'button',
+            { className: 'btn-text-link', type: 'button', 'data-action': 'clear-palette' },
+            ['Remove'],
+          ),
+        ]),
+      );
+    } else {
+      body.appendChild(
+        createElement(
+          'button',
+          { className: 'btn btn-ghost btn-sm', type: 'button', 'data-action': 'import-palette' },
+          ['Import palette\u2026'],
+        ),
+      );
+      body.appendChild(
+        createElement('div', { className: 'palette-meta' }, [
+          'GIMP .gpl, Adobe .act or a PNG swatch strip; used instead of quantizing',
+        ]),
+      );
+    }
+
+    body.appendChild(createElement('div', { className: 'palette-subtitle' }, ['Pinned colors']));
+    body.appendChild(
+      createElement(
+        'div',
+        { className: 'palette-pinned' },
+        pinnedColors.map((hex) =>
+          createElement('span', { className: 'palette-pinned-item' }, [
+            createElement('span', {
+              className: 'palette-swatch',
+              style: `background-color: ${hex}`,
+            }),
+            hex,
+            createElement(
+              'button',
+              {
+                className: 'palette-unpin',
+                type: 'button',
+                'data-action': 'unpin',
+                'data-color': hex,
+                'aria-label': `Unpin ${hex}`,
+              },
+              ['\u00d7'],
+            ),
+          ]),
+        ),
+      ),
+    );
+    body.appendChild(pinRow);
+    body.appendChild(
+      createElement('div', { className: 'palette-meta' }, [
+        'Kept exactly in every palette, e.g. brand colors',
+      ]),
+    );
+  };
+  fill();
+
+  cleanups.push(
+    on(section, 'click', (event) => {
+      const target = /** @type {HTMLElement} */ (event.target);
+      const button = /** @type {HTMLElement | null} */ (target.closest('[data-action]'));
+      switch (button?.dataset.action) {
+        case 'import-palette':
+          fileInput.click();
+          return;
+        case 'clear-palette':
+          customPalette = null;
+          handlers.onSettingsChange({ customPalette: null });
+          break;
+        case 'pin': {
+          const hex = colorInput.value.toLowerCase();
+          if (pinnedColors.includes(hex)) return;
+          pinnedColors = [...pinnedColors, hex];
+          handlers.onSettingsChange({ pinnedColors });
+          break;
+        }
+        case 'unpin':
+          pinnedColors = pinnedColors.filter((hex) => hex !== button.dataset.color);
+          handlers.onSettingsChange({ pinnedColors });
+          break;
+        default:
+          return;
+      }
+      fill();
+    }),
+  );
+  cleanups.push(
+    on(fileInput, 'change', () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = '';
+      if (file) {
+        handlers.onImportPalette?.(file);
+      }
+    }),
+  );
+
+  return section;
+}
+
+/**
+ * Render gifsicle-specific settings (info message)
+ * @returns {HTMLElement}
+ */
+function renderGifsicleSettings() {
+  const group = createElement('div', { className: 'settings-group encoder-settings-section' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Quality Settings']),
+  ]);
+
+  const infoBox = createElement('div', { className: 'encoder-info-box' }, [
+    createElement('div', { className: 'encoder-info-icon' }, ['\u2139\uFE0F']),
+    createElement('div', { className: 'encoder-info-content' }, [
+      createElement('p', { className: 'encoder-info-title' }, ['Automatic optimization']),
+      createElement('p', { className: 'encoder-info-description' }, [
+        'Gifsicle uses libimagequant to automatically optimize colors for the best possible quality. No manual adjustment needed.',
+      ]),
+    ]),
+  ]);
+
+  group.appendChild(infoBox);
+  return group;
+}
+
+/**
+ * Render APNG-specific settings (info message)
+ * @returns {HTMLElement}
+ */
+function renderApngSettings() {
+  const group = createElement('div', { className: 'settings-group encoder-settings-section' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Quality Settings']),
+  ]);
+
+  const infoBox = createElement('div', { className: 'encoder-info-box' }, [
+    createElement('div', { className: 'encoder-info-icon' }, ['\u2139\uFE0F']),
+    createElement('div', { className: 'encoder-info-content' }, [
+      createElement('p', { className: 'encoder-info-title' }, ['Lossless true color']),
+      createElement('p', { className: 'encoder-info-description' }, [
+        'Every pixel is kept exactly, with no palette reduction. Only the changed region of each frame is stored, so static screens stay small.',
+      ]),
+    ]),
+  ]);
+
+  group.appendChild(infoBox);
+  return group;
+}
+
+/**
+ * Render PNG sequence settings (info message)
+ * @returns {HTMLElement}
+ */
+function renderPngSequenceSettings() {
+  const group = createElement('div', { className: 'settings-group encoder-settings-section' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Quality Settings']),
+  ]);
+
+  const infoBox = createElement('div', { className: 'encoder-info-box' }, [
+    createElement('div', { className: 'encoder-info-icon' }, ['\u2139\uFE0F']),
+    createElement('div', { className: 'encoder-info-content' }, [
+      createElement('p', { className: 'encoder-info-title' }, ['One PNG per frame']),
+      createElement('p', { className: 'encoder-info-description' }, [
+        "Every selected frame is saved losslessly into a ZIP, with a manifest.json listing each frame's timestamp and the crop used. Duplicate frames are kept.",
+      ]),
+    ]),
+  ]);
+
+  group.appendChild(infoBox);
+  return group;
+}
+
+/**
+ * Render WebP-specific settings (lossless switch, lossy quality)
+ * @param {import('./types.js').ExportState} state
+ * @param {ExportUIHandlers} handlers
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderWebpSettings(state, handlers, cleanups) {
+  const group = createElement('div', { className: 'settings-group encoder-settings-section' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Quality Settings']),
+  ]);
+
+  // Lossless checkbox
+  const losslessRow = createElement('div', { className: 'checkbox-row' });
+  const losslessCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'checkbox',
+      id: 'lossless-check',
+    })
+  );
+  losslessCheckbox.checked = state.settings.lossless;
+
+  losslessRow.appendChild(losslessCheckbox);
+  losslessRow.appendChild(createElement('label', { for: 'lossless-check' }, ['Lossless']));
+  group.appendChild(losslessRow);
+  group.appendChild(
+    createElement('div', { className: 'setting-hint' }, [
+      'Pixel-exact text and UI; turn off for photo-like content',
+    ]),
+  );
+
+  // Quality slider (lossy only)
+  const qualityRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Quality']),
+      createElement('span', { className: 'setting-value' }, [
+        `${Math.round(state.settings.quality * 100)}%`,
+      ]),
+    ]),
+  ]);
+
+  const qualityInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'range',
+      min: '0.1',
+      max: '1.0',
+      step: '0.1',
+    })
+  );
+  qualityInput.value = String(state.settings.quality);
+  qualityInput.disabled = state.settings.lossless;
+
+  cleanups.push(
+    on(qualityInput, 'input', () => {
+      const valueEl = qualityRow.querySelector('.setting-value');
+      if (valueEl) {
+        valueEl.textContent = `${Math.round(Number(qualityInput.value) * 100)}%`;
+      }
+    }),
+  );
+  cleanups.push(
+    on(qualityInput, 'change', () => {
+      handlers.onSettingsChange({ quality: Number(qualityInput.value) });
+    }),
+  );
+  cleanups.push(
+    on(losslessCheckbox, 'change', () => {
+      qualityInput.disabled = losslessCheckbox.checked;
+      handlers.onSettingsChange({ lossless: losslessCheckbox.checked });
+    }),
+  );
+
+  qualityRow.appendChild(qualityInput);
+  group.appendChild(qualityRow);
+
+  return group;
+}
+
+/**
+ * Render video (WebM/MP4) settings: bitrate via the quality slider
+ * @param {import('./types.js').ExportState} state
+ * @param {ExportUIHandlers} handlers
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderVideoSettings(state, handlers, cleanups) {
+  const group = createElement('div', { className: 'settings-group encoder-settings-section' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Quality Settings']),
+  ]);
+
+  const qualityRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Quality']),
+      createElement('span', { className: 'setting-value' }, [
+        `${Math.round(state.settings.quality * 100)}%`,
+      ]),
+    ]),
+  ]);
+
+  const qualityInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'range',
+      min: '0.1',
+      max: '1.0',
+      step: '0.1',
+    })
+  );
+  qualityInput.value = String(state.settings.quality);
+
+  cleanups.push(
+    on(qualityInput, 'input', () => {
+      const valueEl = qualityRow.querySelector('.setting-value');
+      if (valueEl) {
+        valueEl.textContent = `${Math.round(Number(qualityInput.value) * 100)}%`;
+      }
+    }),
+  );
+  cleanups.push(
+    on(qualityInput, 'change', () => {
+      handlers.onSettingsChange({ quality: Number(qualityInput.value) });
+    }),
+  );
+
+  qualityRow.appendChild(qualityInput);
+  group.appendChild(qualityRow);
+  group.appendChild(
+    createElement('div', { className: 'setting-hint' }, [
+      'Higher quality raises the bitrate. Videos have no loop count; players loop them.',
+    ]),
+  );
+
+  return group;
+}
+
+/**
+ * Render sprite sheet settings: image format and grid columns
+ * @param {import('./types.js').ExportState} state
+ * @param {ExportUIHandlers} handlers
+ * @param {{ frameCount: number, width: number, height: number }} clipInfo
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderSpriteSheetSettings(state, handlers, clipInfo, cleanups) {
+  const { settings } = state;
+  const group = createElement('div', { className: 'settings-group encoder-settings-section' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Sprite Sheet']),
+  ]);
+
+  const formatSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { id: 'sprite-format-select' },
+      SPRITE_SHEET_FORMATS.map((format) =>
+        createElement('option', { value: format.value }, [format.label]),
+      ),
+    )
+  );
+  formatSelect.value = settings.spriteSheetFormat;
+  cleanups.push(
+    on(formatSelect, 'change', () => {
+      handlers.onSettingsChange({
+        spriteSheetFormat: /** @type {import('./types.js').SpriteSheetFormat} */ (
+          formatSelect.value
+        ),
+      });
+    }),
+  );
+  group.appendChild(
+    createElement('div', { className: 'setting-row' }, [
+      createElement('div', { className: 'setting-header' }, [
+        createElement('span', { className: 'setting-label' }, ['Format']),
+      ]),
+      formatSelect,
+    ]),
+  );
+
+  const columnsInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'number',
+      min: '0',
+      max: String(SPRITE_SHEET_COLUMNS_MAX),
+      step: '1',
+    })
+  );
+  columnsInput.value = String(settings.spriteSheetColumns);
+
+  const gridHint = createElement('div', { className: 'setting-hint' });
+  /** @param {number} columns */
+  const updateGridHint = (columns) => {
+    const cell = calculateOutputDimensions(clipInfo, settings);
+    const frameCount = getOutputFrameCount(
+      clipInfo.frameCount,
+      settings.frameSkip,
+      settings.playbackDirection,
+    );
+    const grid = calculateSpriteGrid(frameCount, cell, columns);
+    gridHint.textContent =
+      `${grid.columns}\u00D7${grid.rows} grid, ${formatSize(grid)} sheet` +
+      (grid.width > SPRITE_SHEET_MAX_SIDE || grid.height > SPRITE_SHEET_MAX_SIDE
+        ? ` \u2014 over the ${SPRITE_SHEET_MAX_SIDE} pixel limit`
+        : '');
+  };
+  updateGridHint(settings.spriteSheetColumns);
+
+  cleanups.push(
+    on(columnsInput, 'change', () => {
+      const columns = Math.min(
+        SPRITE_SHEET_COLUMNS_MAX,
+        Math.max(0, Math.round(Number(columnsInput.value)) || 0),
+      );
+      columnsInput.value = String(columns);
+      handlers.onSettingsChange({ spriteSheetColumns: columns });
+      updateGridHint(columns);
+    }),
+  );
+
+  group.appendChild(
+    createElement('div', { className: 'setting-row' }, [
+      createElement('div', { className: 'setting-header' }, [
+        createElement('span', { className: 'setting-label' }, ['Columns']),
+      ]),
+      createElement('label', { className: 'size-input' }, [
+        columnsInput,
+        createElement('span', { className: 'size-input-label' }, ['0 = auto']),
+      ]),
+    ]),
+  );
+  group.appendChild(gridHint);
+
+  return group;
+}
+
+/**
+ * Create a labeled number input for a pixel size
+ * @param {string} label
+ * @param {number} value
+ * @returns {{ field: HTMLElement, input: HTMLInputElement }}
+ */
+function createSizeInput(label, value) {
+  const input = /** @type {HTMLInputElement} */ (
+    createElement('input', { type: 'number', min: '0', max: '8192', step: '1' })
+  );
+  input.value = String(value);
+  const field = createElement('label', { className: 'size-input' }, [
+    createElement('span', { className: 'size-input-label' }, [label]),
+    input,
+  ]);
+  return { field, input };
+}
+
+/**
+ * Render output size settings: scale mode, its parameters and the
+ * resampling filter. Mode rows are toggled in place rather than re-rendered.
+ * @param {import('./types.js').ExportState} state
+ * @param {ExportUIHandlers} handlers
+ * @param {{ width: number, height: number }} clipInfo - Crop size before scaling
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderOutputSizeSettings(state, handlers, clipInfo, cleanups) {
+  const { settings } = state;
+  const group = createElement('div', { className: 'settings-group' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Output Size']),
+  ]);
+
+  // Mode
+  const modeRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Size']),
+      createElement('span', { className: 'setting-value', 'data-output-size': 'true' }, [
+        formatSize(calculateOutputDimensions(clipInfo, settings)),
+      ]),
+    ]),
+  ]);
+  const modeSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      {},
+      SCALE_MODE_OPTIONS.map((mode) =>
+        createElement('option', { value: mode.value }, [mode.label]),
+      ),
+    )
+  );
+  modeSelect.value = settings.scaleMode;
+  modeRow.appendChild(modeSelect);
+  group.appendChild(modeRow);
+
+  // Percentage
+  const percentRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Scale']),
+      createElement('span', { className: 'setting-value' }, [`${settings.scalePercent}%`]),
     ]),
   ]);
-
-  const qualityInput = /** @type {HTMLInputElement} */ (
-    createElement('input', {
-      type: 'range',
-      min: '0.1',
-      max: '1.0',
-      step: '0.1',
-    })
+  const percentInput = /** @type {HTMLInputElement} */ (
+    createElement('input', { type: 'range', min: '10', max: '200', step: '5' })
   );
-  qualityInput.value = String(state.settings.quality);
-
+  percentInput.value = String(settings.scalePercent);
   cleanups.push(
-    on(qualityInput, 'input', () => {
-      const valueEl = qualityRow.querySelector('.setting-value');
+    on(percentInput, 'input', () => {
+      const valueEl = percentRow.querySelector('.setting-value');
       if (valueEl) {
-        valueEl.textContent = `${Math.round(Number(qualityInput.value) * 100)}%`;
+        valueEl.textContent = `${percentInput.value}%`;
       }
     }),
   );
   cleanups.push(
-    on(qualityInput, 'change', () => {
-      handlers.onSettingsChange({ quality: Number(qualityInput.value) });
+    on(percentInput, 'change', () => {
+      handlers.onSettingsChange({ scalePercent: Number(percentInput.value) });
     }),
   );
+  percentRow.appendChild(percentInput);
+  group.appendChild(percentRow);
+
+  // Max width / height (0 = no limit)
+  const maxWidth = createSizeInput('Max W', settings.scaleMaxWidth);
+  const maxHeight = createSizeInput('Max H', settings.scaleMaxHeight);
+  const fitRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'size-input-pair' }, [maxWidth.field, maxHeight.field]),
+    createElement('div', { className: 'setting-description' }, [
+      'Shrinks to fit, never enlarges. 0 = no limit on that side.',
+    ]),
+  ]);
+  const handleFitChange = () => {
+    handlers.onSettingsChange({
+      scaleMaxWidth: Math.max(0, Math.round(Number(maxWidth.input.value) || 0)),
+      scaleMaxHeight: Math.max(0, Math.round(Number(maxHeight.input.value) || 0)),
+    });
+  };
+  cleanups.push(on(maxWidth.input, 'change', handleFitChange));
+  cleanups.push(on(maxHeight.input, 'change', handleFitChange));
+  group.appendChild(fitRow);
+
+  // Exact size with optional aspect lock
+  const exact = calculateOutputDimensions(clipInfo, { ...settings, scaleMode: 'exact' });
+  const exactWidth = createSizeInput('W', exact.width);
+  const exactHeight = createSizeInput('H', exact.height);
+  const lockCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', { type: 'checkbox', id: 'aspect-lock-check' })
+  );
+  lockCheckbox.checked = settings.scaleLockAspect;
+  const exactRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'size-input-pair' }, [exactWidth.field, exactHeight.field]),
+    createElement('div', { className: 'checkbox-row' }, [
+      lockCheckbox,
+      createElement('label', { for: 'aspect-lock-check' }, ['Lock aspect ratio']),
+    ]),
+  ]);
 
-  qualityRow.appendChild(qualityInput);
-  group.appendChild(qualityRow);
+  /**
+   * Commit the exact size; with the lock on, the edited side drives the other
+   * @param {'width' | 'height'} edited
+   */
+  const handleExactChange = (edited) => {
+    let width = Math.max(1, Math.round(Number(exactWidth.input.value) || clipInfo.width));
+    let height = Math.max(1, Math.round(Number(exactHeight.input.value) || clipInfo.height));
+    if (lockCheckbox.checked) {
+      if (edited === 'width') {
+        height = Math.max(1, Math.round((width * clipInfo.height) / clipInfo.width));
+      } else {
+        width = Math.max(1, Math.round((height * clipInfo.width) / clipInfo.height));
+      }
+    }
+    exactWidth.input.value = String(width);
+    exactHeight.input.value = String(height);
+    handlers.onSettingsChange({ scaleWidth: width, scaleHeight: height });
+  };
+  cleanups.push(on(exactWidth.input, 'change', () => handleExactChange('width')));
+  cleanups.push(on(exactHeight.input, 'change', () => handleExactChange('height')));
+  cleanups.push(
+    on(lockCheckbox, 'change', () => {
+      handlers.onSettingsChange({ scaleLockAspect: lockCheckbox.checked });
+      if (lockCheckbox.checked) {
+        handleExactChange('width');
+      }
+    }),
+  );
+  group.appendChild(exactRow);
 
-  // Preset dropdown
-  const presetRow = createElement('div', { className: 'setting-row' }, [
+  // Resampling filter (unused at original size)
+  const filterRow = createElement('div', { className: 'setting-row' }, [
     createElement('div', { className: 'setting-header' }, [
-      createElement('span', { className: 'setting-label' }, ['Preset']),
+      createElement('span', { className: 'setting-label' }, ['Resampling']),
     ]),
   ]);
-
-  const presetSelect = /** @type {HTMLSelectElement} */ (
+  const filterSelect = /** @type {HTMLSelectElement} */ (
     createElement(
       'select',
       {},
-      ENCODER_PRESETS.map((preset) => createElement('option', { value: preset.id }, [preset.name])),
+      RESAMPLE_FILTERS.map((filter) =>
+        createElement('option', { value: filter.id }, [filter.name]),
+      ),
     )
   );
-  presetSelect.value = state.settings.encoderPreset;
-
-  const currentPreset = ENCODER_PRESETS.find((p) => p.id === state.settings.encoderPreset);
-  const presetDesc = createElement('div', { className: 'setting-description' }, [
-    currentPreset?.description || '',
+  filterSelect.value = settings.resampleFilter;
+  const currentFilter = RESAMPLE_FILTERS.find((f) => f.id === settings.resampleFilter);
+  const filterDesc = createElement('div', { className: 'setting-description' }, [
+    currentFilter?.description || '',
   ]);
-
   cleanups.push(
-    on(presetSelect, 'change', () => {
-      const preset = ENCODER_PRESETS.find((p) => p.id === presetSelect.value);
-      if (preset) {
-        presetDesc.textContent = preset.description;
+    on(filterSelect, 'change', () => {
+      const filter = RESAMPLE_FILTERS.find((f) => f.id === filterSelect.value);
+      if (filter) {
+        filterDesc.textContent = filter.description;
       }
       handlers.onSettingsChange({
-        encoderPreset: /** @type {import('./types.js').EncoderPreset} */ (presetSelect.value),
+        resampleFilter: /** @type {import('./types.js').ResampleFilter} */ (filterSelect.value),
       });
     }),
   );
-
-  presetRow.appendChild(presetSelect);
-  group.appendChild(presetRow);
-  group.appendChild(presetDesc);
-
-  // Dithering checkbox
-  const ditherRow = createElement('div', { className: 'checkbox-row' });
-  const ditherCheckbox = /** @type {HTMLInputElement} */ (
-    createElement('input', {
-      type: 'checkbox',
-      id: 'dither-check',
-    })
-  );
-  ditherCheckbox.checked = state.settings.dithering;
+  filterRow.appendChild(filterSelect);
+  filterRow.appendChild(filterDesc);
+  group.appendChild(filterRow);
+
+  /** @param {import('./types.js').ScaleMode} mode */
+  const showModeRows = (mode) => {
+    percentRow.hidden = mode !== 'percent';
+    fitRow.hidden = mode !== 'fit';
+    exactRow.hidden = mode !== 'exact';
+    filterRow.hidden = mode === 'original';
+  };
+  showModeRows(settings.scaleMode);
 
   cleanups.push(
-    on(ditherCheckbox, 'change', () => {
-      handlers.onSettingsChange({ dithering: ditherCheckbox.checked });
+    on(modeSelect, 'change', () => {
+      const mode = /** @type {import('./types.js').ScaleMode} */ (modeSelect.value);
+      showModeRows(mode);
+      handlers.onSettingsChange({ scaleMode: mode });
     }),
   );
 
-  ditherRow.appendChild(ditherCheckbox);
-  ditherRow.appendChild(createElement('label', { for: 'dither-check' }, ['Enable dithering']));
-
-  const ditherHint = createElement('div', { className: 'setting-hint' }, [
-    'Smoother gradients, slightly larger files',
-  ]);
-
-  group.appendChild(ditherRow);
-  group.appendChild(ditherHint);
-
   return group;
 }
 
 /**
- * Render gifsicle-specific settings (info message)
+ * Render target file size settings: an on/off switch, the budget in KB and
+ * one-click presets for common upload limits
+ * @param {import('./types.js').ExportState} state
+ * @param {ExportUIHandlers} handlers
+ * @param {(() => void)[]} cleanups
  * @returns {HTMLElement}
  */
-function renderGifsicleSettings() {
-  const group = createElement('div', { className: 'settings-group encoder-settings-section' }, [
-    createElement('div', { className: 'settings-group-title' }, ['Quality Settings']),
+function renderTargetSizeSettings(state, handlers, cleanups) {
+  const { settings } = state;
+  const group = createElement('div', { className: 'settings-group' }, [
+    createElement('div', { className: 'settings-group-title' }, ['Target File Size']),
   ]);
 
-  const infoBox = createElement('div', { className: 'encoder-info-box' }, [
-    createElement('div', { className: 'encoder-info-icon' }, ['\u2139\uFE0F']),
-    createElement('div', { className: 'encoder-info-content' }, [
-      createElement('p', { className: 'encoder-info-title' }, ['Automatic optimization']),
-      createElement('p', { className: 'encoder-info-description' }, [
-        'Gifsicle uses libimagequant to automatically optimize colors for the best possible quality. No manual adjustment needed.',
-      ]),
+  const enabledCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', { type: 'checkbox', id: 'target-size-check' })
+  );
+  enabledCheckbox.checked = settings.targetSizeEnabled;
+  group.appendChild(
+    createElement('div', { className: 'checkbox-row' }, [
+      enabledCheckbox,
+      createElement('label', { for: 'target-size-check' }, ['Fit under a size limit']),
+    ]),
+  );
+
+  const sizeInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'number',
+      min: String(TARGET_SIZE_KB.min),
+      max: String(TARGET_SIZE_KB.max),
+      step: '1',
+    })
+  );
+  sizeInput.value = String(settings.targetSizeKB);
+
+  const presetButtons = TARGET_SIZE_PRESETS.map((preset) =>
+    createElement(
+      'button',
+      {
+        className: 'target-size-preset',
+        type: 'button',
+        title: preset.description,
+        'data-kilobytes': String(preset.kilobytes),
+      },
+      [preset.label],
+    ),
+  );
+
+  /** @param {number} kilobytes */
+  const markActivePreset = (kilobytes) => {
+    for (const button of presetButtons) {
+      button.classList.toggle('active', Number(button.dataset.kilobytes) === kilobytes);
+    }
+  };
+  markActivePreset(settings.targetSizeKB);
+
+  /** @param {number} kilobytes */
+  const commitSize = (kilobytes) => {
+    const clamped = Math.min(
+      TARGET_SIZE_KB.max,
+      Math.max(TARGET_SIZE_KB.min, Math.round(kilobytes) || TARGET_SIZE_KB.min),
+    );
+    sizeInput.value = String(clamped);
+    markActivePreset(clamped);
+    handlers.onSettingsChange({ targetSizeKB: clamped });
+  };
+
+  for (const button of presetButtons) {
+    cleanups.push(on(button, 'click', () => commitSize(Number(button.dataset.kilobytes))));
+  }
+  cleanups.push(on(sizeInput, 'change', () => commitSize(Number(sizeInput.value))));
+
+  const sizeRow = createElement('div', { className: 'setting-row' }, [
+    createElement('label', { className: 'size-input' }, [
+      sizeInput,
+      createElement('span', { className: 'size-input-label' }, ['KB']),
+    ]),
+    createElement('div', { className: 'target-size-presets' }, presetButtons),
+    createElement('div', { className: 'setting-description' }, [
+      'Lowers colors, size and frame rate as needed, using trial encodes',
     ]),
   ]);
+  sizeRow.hidden = !settings.targetSizeEnabled;
+  group.appendChild(sizeRow);
+
+  cleanups.push(
+    on(enabledCheckbox, 'change', () => {
+      sizeRow.hidden = !enabledCheckbox.checked;
+      handlers.onSettingsChange({ targetSizeEnabled: enabledCheckbox.checked });
+    }),
+  );
 
-  group.appendChild(infoBox);
   return group;
 }
 
@@ -507,6 +1507,129 @@ function renderPlaybackSettings(state, handlers, clipInfo, cleanups) {
   speedRow.appendChild(speedSelect);
   group.appendChild(speedRow);
 
+  // Playback direction
+  const directionRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Direction']),
+    ]),
+  ]);
+
+  const directionSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { className: 'playback-direction-select' },
+      PLAYBACK_DIRECTIONS.map((direction) =>
+        createElement('option', { value: direction.id, title: direction.description }, [
+          direction.name,
+        ]),
+      ),
+    )
+  );
+  directionSelect.value = state.settings.playbackDirection;
+
+  cleanups.push(
+    on(directionSelect, 'change', () => {
+      handlers.onSettingsChange({
+        playbackDirection: /** @type {import('./types.js').PlaybackDirection} */ (
+          directionSelect.value
+        ),
+      });
+    }),
+  );
+
+  directionRow.appendChild(directionSelect);
+  group.appendChild(directionRow);
+
+  // Timestamp-based timing
+  const timingRow = createElement('div', { className: 'checkbox-row' });
+  const timingCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'checkbox',
+      id: 'real-timing-check',
+    })
+  );
+  timingCheckbox.checked = state.settings.realTiming;
+  cleanups.push(
+    on(timingCheckbox, 'change', () => {
+      handlers.onSettingsChange({ realTiming: timingCheckbox.checked });
+    }),
+  );
+  timingRow.appendChild(timingCheckbox);
+  timingRow.appendChild(
+    createElement('label', { for: 'real-timing-check' }, ['Use real capture timing']),
+  );
+  group.appendChild(timingRow);
+  group.appendChild(
+    createElement('div', { className: 'setting-hint' }, [
+      'Frames play as long as they were on screen, so dropped frames do not speed up playback',
+    ]),
+  );
+
+  // Duplicate frame merging
+  const mergeRow = createElement('div', { className: 'checkbox-row' });
+  const mergeCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'checkbox',
+      id: 'merge-duplicates-check',
+    })
+  );
+  mergeCheckbox.checked = state.settings.mergeDuplicates;
+  mergeRow.appendChild(mergeCheckbox);
+  mergeRow.appendChild(
+    createElement('label', { for: 'merge-duplicates-check' }, ['Merge duplicate frames']),
+  );
+  group.appendChild(mergeRow);
+
+  const formatTolerance = (/** @type {number} */ value) => (value === 0 ? 'Exact' : `±${value}`);
+
+  const toleranceRow = createElement('div', { className: 'setting-row' }, [
+    createElement('div', { className: 'setting-header' }, [
+      createElement('span', { className: 'setting-label' }, ['Tolerance']),
+      createElement('span', { className: 'setting-value' }, [
+        formatTolerance(state.settings.duplicateTolerance),
+      ]),
+    ]),
+  ]);
+  toleranceRow.hidden = !state.settings.mergeDuplicates;
+
+  const toleranceInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'range',
+      min: String(DUPLICATE_TOLERANCE.min),
+      max: String(DUPLICATE_TOLERANCE.max),
+      step: '1',
+    })
+  );
+  toleranceInput.value = String(state.settings.duplicateTolerance);
+
+  cleanups.push(
+    on(mergeCheckbox, 'change', () => {
+      toleranceRow.hidden = !mergeCheckbox.checked;
+      handlers.onSettingsChange({ mergeDuplicates: mergeCheckbox.checked });
+    }),
+  );
+  cleanups.push(
+    on(toleranceInput, 'input', () => {
+      const valueEl = toleranceRow.querySelector('.setting-value');
+      if (valueEl) {
+        valueEl.textContent = formatTolerance(Number(toleranceInput.value));
+      }
+    }),
+  );
+  cleanups.push(
+    on(toleranceInput, 'change', () => {
+      handlers.onSettingsChange({ duplicateTolerance: Number(toleranceInput.value) });
+    }),
+  );
+
+  toleranceRow.appendChild(toleranceInput);
+  group.appendChild(toleranceRow);
+  group.appendChild(
+    createElement('div', { className: 'setting-hint' }, [
+      'Still stretches become one longer frame; higher tolerance also ignores capture noise',
+    ]),
+  );
+
   return group;
 }
 
@@ -514,7 +1637,7 @@ function renderPlaybackSettings(state, handlers, clipInfo, cleanups) {
  * Render settings panel
  * @param {import('./types.js').ExportState} state
  * @param {ExportUIHandlers} handlers
- * @param {{ frameCount: number }} clipInfo
+ * @param {{ frameCount: number, width: number, height: number }} clipInfo
  * @param {(() => void)[]} cleanups
  * @returns {HTMLElement}
  */
@@ -544,11 +1667,35 @@ function renderSettingsPanel(state, handlers, clipInfo, cleanups) {
   // 2. Encoder-specific settings (dynamic based on selected encoder)
   if (state.settings.encoderId === 'gifenc-js') {
     content.appendChild(renderGifencSettings(state, handlers, cleanups));
+  } else if (state.settings.encoderId === 'webp-native') {
+    content.appendChild(renderWebpSettings(state, handlers, cleanups));
+  } else if (state.settings.encoderId === 'apng-js') {
+    content.appendChild(renderApngSettings());
+  } else if (
+    state.settings.encoderId === 'webm-webcodecs' ||
+    state.settings.encoderId === 'mp4-webcodecs'
+  ) {
+    content.appendChild(renderVideoSettings(state, handlers, cleanups));
+  } else if (state.settings.encoderId === 'sprite-sheet') {
+    content.appendChild(renderSpriteSheetSettings(state, handlers, clipInfo, cleanups));
+    if (state.settings.spriteSheetFormat === 'webp') {
+      content.appendChild(renderWebpSettings(state, handlers, cleanups));
+    }
+  } else if (state.settings.encoderId === 'png-zip') {
+    content.appendChild(renderPngSequenceSettings());
   } else {
     content.appendChild(renderGifsicleSettings());
   }
 
-  // 3. Common playback settings (always visible)
+  // 3. Output size (always visible)
+  content.appendChild(renderOutputSizeSettings(state, handlers, clipInfo, cleanups));
+
+  // 4. Target file size (not for lossless image exports)
+  if (supportsTargetSize(state.settings.encoderId)) {
+    content.appendChild(renderTargetSizeSettings(state, handlers, cleanups));
+  }
+
+  // 5. Common playback settings (always visible)
   content.appendChild(renderPlaybackSettings(state, handlers, clipInfo, cleanups));
 
   panel.appendChild(content);
@@ -565,6 +1712,30 @@ function renderSettingsPanel(state, handlers, clipInfo, cleanups) {
   return panel;
 }
 
+/**
+ * Progress heading for the job's phase
+ * @param {import('./types.js').EncodingJob} job
+ * @returns {string}
+ */
+function getProgressTitle(job) {
+  if (job.phase === 'searching' && job.targetBytes) {
+    return `Finding settings under ${formatBytes(job.targetBytes)}...`;
+  }
+  return 'Creating your GIF...';
+}
+
+/**
+ * Progress counter for the job's phase
+ * @param {import('./types.js').EncodingJob} job
+ * @returns {string}
+ */
+function getProgressDetail(job) {
+  if (job.phase === 'searching') {
+    return `Trial encode ${job.currentFrame}`;
+  }
+  return `${job.currentFrame} / ${job.totalFrames} frames`;
+}
+
 /**
  * Render encoding progress
  * @param {import('./types.js').EncodingJob} job
@@ -575,7 +1746,7 @@ function renderSettingsPanel(state, handlers, clipInfo, cleanups) {
 function renderEncodingProgress(job, handlers, cleanups) {
   const progress = createElement('div', { className: 'export-progress' }, [
     createElement('div', { className: 'progress-icon' }, ['\u2699\uFE0F']),
-    createElement('h2', { className: 'progress-title' }, ['Creating your GIF...']),
+    createElement('h2', { className: 'progress-title' }, [getProgressTitle(job)]),
     createElement('div', { className: 'progress-bar-container' }, [
       createElement('div', { className: 'progress-bar' }, [
         createElement('div', {
@@ -584,7 +1755,7 @@ function renderEncodingProgress(job, handlers, cleanups) {
         }),
       ]),
       createElement('div', { className: 'progress-info' }, [
-        createElement('span', {}, [`${job.currentFrame} / ${job.totalFrames} frames`]),
+        createElement('span', {}, [getProgressDetail(job)]),
         createElement('span', { className: 'percent' }, [formatPercent(job.progress / 100)]),
       ]),
     ]),
@@ -605,6 +1776,45 @@ function renderEncodingProgress(job, handlers, cleanups) {
   return progress;
 }
 
+/**
+ * Summarize the settings a target file size export chose
+ * @param {import('./types.js').TargetSizeReport} report
+ * @returns {HTMLElement}
+ */
+function renderSizeReport(report) {
+  const target = formatBytes(report.targetBytes);
+  const items = [
+    ['Size', `${report.width}\u00D7${report.height}`],
+    ['Colors', String(report.maxColors)],
+    ['Quality', formatPercent(report.quality)],
+    ['Frames', report.frameSkip === 1 ? 'All' : `Every ${report.frameSkip}`],
+  ];
+
+  return createElement(
+    'div',
+    { className: `complete-size-report${report.fits ? '' : ' complete-size-report-missed'}` },
+    [
+      createElement('div', { className: 'size-report-title' }, [
+        report.fits
+          ? `Fits under ${target}`
+          : `Could not get under ${target} \u2014 this is the smallest result`,
+      ]),
+      createElement(
+        'dl',
+        { className: 'size-report-settings' },
+        items.flatMap(([label, value]) => [
+          createElement('dt', {}, [label]),
+          createElement('dd', {}, [value]),
+        ]),
+      ),
+      createElement('div', { className: 'size-report-meta' }, [
+        `${report.trials} trial ${report.trials === 1 ? 'encode' : 'encodes'}, ` +
+          `${report.encodes} full ${report.encodes === 1 ? 'encode' : 'encodes'}`,
+      ]),
+    ],
+  );
+}
+
 /**
  * Render complete state
  * @param {import('./types.js').EncodingJob} job
@@ -621,14 +1831,40 @@ function renderComplete(job, handlers, cleanups) {
   // Left: GIF Preview
   const previewSection = createElement('div', { className: 'complete-preview-section' });
 
-  if (job.result) {
+  const isArchive = job.result?.type === 'application/zip';
+
+  if (job.result && isArchive) {
+    // A ZIP has nothing to show inline; describe what is inside instead
+    previewSection.appendChild(
+      createElement('div', { className: 'complete-preview-archive' }, [
+        createElement('div', { className: 'complete-preview-archive-icon' }, ['\u{1F5C2}\uFE0F']),
+        createElement('p', {}, [`${job.output?.frameCount ?? 0} PNG frames + manifest.json`]),
+      ]),
+    );
+  } else if (job.result) {
     const blobUrl = URL.createObjectURL(job.result);
-    const previewImg = createElement('img', {
-      className: 'complete-preview-img',
-      src: blobUrl,
-      alt: 'Exported GIF preview',
-    });
-    previewSection.appendChild(previewImg);
+    if (job.result.type.startsWith('video/')) {
+      const previewVideo = /** @type {HTMLVideoElement} */ (
+        createElement('video', {
+          className: 'complete-preview-img',
+          src: blobUrl,
+          autoplay: true,
+          loop: true,
+          playsinline: true,
+        })
+      );
+      // The attribute alone does not mute a script-created element, and
+      // autoplay is only allowed while muted
+      previewVideo.muted = true;
+      previewSection.appendChild(previewVideo);
+    } else {
+      const previewImg = createElement('img', {
+        className: 'complete-preview-img',
+        src: blobUrl,
+        alt: 'Exported GIF preview',
+      });
+      previewSection.appendChild(previewImg);
+    }
 
     // Cleanup blob URL when done
     cleanups.push(() => URL.revokeObjectURL(blobUrl));
@@ -660,14 +1896,48 @@ function renderComplete(job, handlers, cleanups) {
       createElement('div', { className: 'stat-label' }, ['File Size']),
     ]),
   ]);
+  if (job.output) {
+    fileStats.appendChild(
+      createElement('div', { className: 'complete-stat-card' }, [
+        createElement('div', { className: 'stat-value' }, [String(job.output.frameCount)]),
+        createElement('div', { className: 'stat-label' }, ['Frames']),
+      ]),
+    );
+    fileStats.appendChild(
+      createElement('div', { className: 'complete-stat-card' }, [
+        createElement('div', { className: 'stat-value' }, [
+          formatDurationPrecise(job.output.duration),
+        ]),
+        createElement('div', { className: 'stat-label' }, ['Duration']),
+      ]),
+    );
+  }
   infoSection.appendChild(fileStats);
 
+  if (job.sizeReport) {
+    infoSection.appendChild(renderSizeReport(job.sizeReport));
+  }
+
+  if (job.output?.palette?.length) {
+    infoSection.appendChild(renderOutputPalette(job.output, handlers, cleanups));
+  }
+
+  if (job.output?.spriteSheet) {
+    infoSection.appendChild(renderSpriteSheetFiles(job.output.spriteSheet, handlers, cleanups));
+  }
+
   // Primary action: Download
   const primaryActions = createElement('div', { className: 'complete-primary-actions' });
 
   const downloadBtn = createElement('button', { className: 'btn-download-large', type: 'button' }, [
     createDownloadSVG(),
-    createElement('span', {}, ['Download GIF']),
+    createElement('span', {}, [
+      job.output?.spriteSheet
+        ? 'Download Sheet, Atlas & CSS'
+        : isArchive
+          ? 'Download ZIP'
+          : 'Download GIF',
+    ]),
   ]);
   cleanups.push(on(downloadBtn, 'click', handlers.onDownload));
   primaryActions.appendChild(downloadBtn);
@@ -681,7 +1951,10 @@ function renderComplete(job, handlers, cleanups) {
     createElement('span', {}, ['Open in New Tab']),
   ]);
   cleanups.push(on(openBtn, 'click', handlers.onOpenInTab));
-  secondaryActions.appendChild(openBtn);
+  // Browsers download archives instead of showing them
+  if (!isArchive) {
+    secondaryActions.appendChild(openBtn);
+  }
 
   const adjustBtn = createElement('button', { className: 'btn-action-secondary', type: 'button' }, [
     createSettingsSVG(),
@@ -717,6 +1990,65 @@ function renderComplete(job, handlers, cleanups) {
   return complete;
 }
 
+/**
+ * Render the palette a GIF encode produced
+ * @param {import('./types.js').GifOutput} output
+ * @param {ExportUIHandlers} handlers
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderOutputPalette(output, handlers, cleanups) {
+  const palette = output.palette ?? [];
+  const hexColors = palette.map(toHexColor);
+
+  const meta = [`${palette.length} colors in the global table`];
+  if (output.localPalettes) {
+    meta.push(`${output.localPalettes} frames add their own palette`);
+  }
+
+  const saveBtn = createElement('button', { className: 'btn btn-ghost btn-sm', type: 'button' }, [
+    'Save as .gpl',
+  ]);
+  if (handlers.onSavePalette) {
+    cleanups.push(on(saveBtn, 'click', handlers.onSavePalette));
+  }
+
+  return createElement('div', { className: 'complete-palette', 'data-output-palette': 'true' }, [
+    createElement('div', { className: 'size-report-title' }, ['Palette']),
+    renderSwatches(hexColors),
+    createElement('div', { className: 'size-report-meta' }, [meta.join(' \u00b7 ')]),
+    saveBtn,
+  ]);
+}
+
+/**
+ * Render the grid and CSS snippet of a finished sprite sheet
+ * @param {import('./types.js').SpriteSheetFiles} spriteSheet
+ * @param {ExportUIHandlers} handlers
+ * @param {(() => void)[]} cleanups
+ * @returns {HTMLElement}
+ */
+function renderSpriteSheetFiles(spriteSheet, handlers, cleanups) {
+  const { meta } = spriteSheet.atlas;
+
+  const copyBtn = createElement('button', { className: 'btn btn-ghost btn-sm', type: 'button' }, [
+    'Copy CSS',
+  ]);
+  if (handlers.onCopySpriteCss) {
+    cleanups.push(on(copyBtn, 'click', handlers.onCopySpriteCss));
+  }
+
+  return createElement('div', { className: 'complete-palette', 'data-sprite-sheet': 'true' }, [
+    createElement('div', { className: 'size-report-title' }, ['Sprite sheet']),
+    createElement('div', { className: 'size-report-meta' }, [
+      `${meta.columns}\u00D7${meta.rows} grid of ${formatSize({ width: meta.frameSize.w, height: meta.frameSize.h })} frames \u00b7 ` +
+        `${formatSize({ width: meta.size.w, height: meta.size.h })} sheet`,
+    ]),
+    createElement('pre', { className: 'sprite-css-snippet' }, [spriteSheet.css]),
+    copyBtn,
+  ]);
+}
+
 /**
  * Create checkmark SVG icon
  * @returns {SVGSVGElement}
@@ -841,9 +2173,14 @@ export function updateProgressUI(container, job) {
     /** @type {HTMLElement} */ (fill).style.width = `${job.progress}%`;
   }
 
+  const title = container.querySelector('.progress-title');
+  if (title) {
+    title.textContent = getProgressTitle(job);
+  }
+
   const info = container.querySelectorAll('.progress-info span');
   if (info.length >= 2) {
-    info[0].textContent = `${job.currentFrame} / ${job.totalFrames} frames`;
+    info[0].textContent = getProgressDetail(job);
     info[1].textContent = formatPercent(job.progress / 100);
   }
 
@@ -0,0 +1,119 @@
+/**
+ * Codec Configuration Records
+ * Derives WebCodecs codec strings from the decoder configuration boxes
+ * MP4 and WebM files carry (avcC, hvcC, vpcC, av1C)
+ * @module features/import/codec-config
+ */
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const hex2 = (value) => value.toString(16).padStart(2, '0');
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const dec2 = (value) => String(value).padStart(2, '0');
+
+/**
+ * H.264 codec string from an AVCDecoderConfigurationRecord
+ * @param {Uint8Array} avcC
+ * @param {string} [type='avc1'] - Sample entry type (avc1 or avc3)
+ * @returns {string} e.g. 'avc1.64001f'
+ * @throws {Error} When the record is truncated
+ */
+export function avcCodecString(avcC, type = 'avc1') {
+  if (avcC.length < 4) {
+    throw new Error('Truncated H.264 decoder configuration');
+  }
+  return `${type}.${hex2(avcC[1])}${hex2(avcC[2])}${hex2(avcC[3])}`;
+}
+
+/**
+ * H.265 codec string from an HEVCDecoderConfigurationRecord, following
+ * ISO/IEC 14496-15 Annex E: profile space and idc, bit-reversed
+ * compatibility flags, tier and level, then the constraint bytes with
+ * trailing zero bytes dropped
+ * @param {Uint8Array} hvcC
+ * @param {string} [type='hvc1'] - Sample entry type (hvc1 or hev1)
+ * @returns {string} e.g. 'hvc1.1.6.L93.B0'
+ * @throws {Error} When the record is truncated
+ */
+export function hevcCodecString(hvcC, type = 'hvc1') {
+  if (hvcC.length < 13) {
+    throw new Error('Truncated H.265 decoder configuration');
+  }
+  const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+  const tier = hvcC[1] & 0x20 ? 'H' : 'L';
+  const profileIdc = hvcC[1] & 0x1f;
+
+  const compatibility = ((hvcC[2] << 24) | (hvcC[3] << 16) | (hvcC[4] << 8) | hvcC[5]) >>> 0;
+  let reversed = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    reversed = (reversed << 1) | ((compatibility >>> bit) & 1);
+  }
+
+  const constraints = Array.from(hvcC.subarray(6, 12));
+  while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+    constraints.pop();
+  }
+
+  return [
+    type,
+    `${profileSpace}${profileIdc}`,
+    (reversed >>> 0).toString(16).toUpperCase(),
+    `${tier}${hvcC[12]}`,
+    ...constraints.map((v) => v.toString(16).toUpperCase()),
+  ].join('.');
+}
+
+/**
+ * VP9 codec string from a VPCodecConfigurationRecord (the vpcC payload
+ * after its version/flags header)
+ * @param {Uint8Array} vpcC
+ * @returns {string} e.g. 'vp09.00.10.08'
+ */
+export function vp9CodecString(vpcC) {
+  if (vpcC.length < 3) return 'vp09.00.10.08';
+  return `vp09.${dec2(vpcC[0])}.${dec2(vpcC[1])}.${dec2(vpcC[2] >> 4)}`;
+}
+
+/**
+ * VP9 codec string from a Matroska CodecPrivate: a list of
+ * (id, length, value) features where 1 = profile, 2 = level, 3 = bit depth
+ * @param {Uint8Array | undefined} codecPrivate
+ * @returns {string}
+ */
+export function vp9CodecStringFromFeatures(codecPrivate) {
+  const features = { 1: 0, 2: 10, 3: 8 };
+  if (codecPrivate) {
+    for (let p = 0; p + 2 < codecPrivate.length; p += 2 + codecPrivate[p + 1]) {
+      const id = codecPrivate[p];
+      if (codecPrivate[p + 1] === 1 && id in features) {
+        features[/** @type {1|2|3} */ (id)] = codecPrivate[p + 2];
+      }
+    }
+  }
+  return `vp09.${dec2(features[1])}.${dec2(features[2])}.${dec2(features[3])}`;
+}
+
+/**
+ * AV1 codec string from an AV1CodecConfigurationRecord
+ * @param {Uint8Array} av1C
+ * @returns {string} e.g. 'av01.0.08M.08'
+ * @throws {Error} When the record is truncated
+ */
+export function av1CodecString(av1C) {
+  if (av1C.length < 3) {
+    throw new Error('Truncated AV1 decoder configuration');
+  }
+  const profile = av1C[1] >> 5;
+  const level = av1C[1] & 0x1f;
+  const tier = av1C[2] & 0x80 ? 'H' : 'M';
+  const highBitDepth = (av1C[2] & 0x40) !== 0;
+  const twelveBit = (av1C[2] & 0x20) !== 0;
+  const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+  return `av01.${profile}.${dec2(level)}${tier}.${dec2(bitDepth)}`;
+}
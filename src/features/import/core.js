@@ -0,0 +1,181 @@
+/**
+ * Import Core - pure helpers for turning files into clips
+ * @module features/import/core
+ */
+
+/** Frame rates of captured clips */
+const CLIP_FPS_OPTIONS = /** @type {const} */ ([15, 30, 60]);
+
+/**
+ * Pick the clip FPS closest to a file's typical frame delay.
+ *
+ * GIF and video delays vary from frame to frame, so the median delay is
+ * snapped to the nearest captured-clip rate by ratio (10 fps -> 15,
+ * 50 fps -> 60). The median ignores the long holds many GIFs put on
+ * their first or last frame. The exact delays survive as frame
+ * timestamps for Real timing playback and export.
+ *
+ * @param {number[]} delaysMs
+ * @returns {15|30|60}
+ */
+export function estimateClipFps(delaysMs) {
+  const sorted = delaysMs.filter((d) => d > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return 30;
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const fps = 1000 / median;
+
+  let best = CLIP_FPS_OPTIONS[0];
+  for (const option of CLIP_FPS_OPTIONS) {
+    if (Math.abs(Math.log(option / fps)) < Math.abs(Math.log(best / fps))) {
+      best = option;
+    }
+  }
+  return best;
+}
+
+/**
+ * Frame start times from per-frame delays
+ * @param {number[]} delaysMs
+ * @returns {number[]} Microseconds, first frame at 0
+ */
+export function delaysToTimestamps(delaysMs) {
+  const timestamps = [];
+  let elapsedUs = 0;
+  for (const delay of delaysMs) {
+    timestamps.push(elapsedUs);
+    elapsedUs += delay * 1000;
+  }
+  return timestamps;
+}
+
+/**
+ * Raw memory a decoded clip will hold, at the same RGBA w*h*4 estimate the
+ * capture budget uses (#96)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} frameCount
+ * @returns {number} MB
+ */
+export function estimateImportMemoryMB(width, height, frameCount) {
+  return (width * height * 4 * frameCount) / (1024 * 1024);
+}
+
+/**
+ * Whether a file is a GIF, by type or extension (drag-and-drop from some
+ * file managers leaves the type empty)
+ * @param {{ name: string, type: string }} file
+ * @returns {boolean}
+ */
+export function isGifFile(file) {
+  return file.type === 'image/gif' || /\.gif$/i.test(file.name);
+}
+
+/**
+ * Whether a file is an MP4 (or QuickTime) video, by type or extension
+ * @param {{ name: string, type: string }} file
+ * @returns {boolean}
+ */
+export function isMp4File(file) {
+  return /^video\/(mp4|quicktime|x-m4v)$/.test(file.type) || /\.(mp4|m4v|mov)$/i.test(file.name);
+}
+
+/**
+ * Whether a file is a WebM (or Matroska) video, by type or extension
+ * @param {{ name: string, type: string }} file
+ * @returns {boolean}
+ */
+export function isWebmFile(file) {
+  return /^video\/(webm|x-matroska)$/.test(file.type) || /\.(webm|mkv)$/i.test(file.name);
+}
+
+/**
+ * Tidy a demuxed sample list for decoding.
+ *
+ * Drops anything before the first keyframe (a decoder cannot start
+ * there), shifts presentation times so the first frame shows at 0, and
+ * derives each duration from the gap to the next frame in presentation
+ * order. The last frame keeps the container's duration, falling back to
+ * the median gap when the container has none.
+ *
+ * @param {import('./types.js').DemuxedSample[]} samples - In decode order
+ * @returns {import('./types.js').DemuxedSample[]}
+ * @throws {Error} When there is nothing decodable
+ */
+export function finalizeSamples(samples) {
+  if (samples.length === 0) {
+    throw new Error('Video contains no frames');
+  }
+  const firstKey = samples.findIndex((s) => s.isKey);
+  if (firstKey === -1) {
+    throw new Error('Video contains no keyframe');
+  }
+
+  const kept = samples.slice(firstKey).map((s) => ({ ...s }));
+  const presentation = [...kept].sort((a, b) => a.timestampUs - b.timestampUs);
+  const start = presentation[0].timestampUs;
+  for (const sample of kept) sample.timestampUs -= start;
+
+  const gaps = [];
+  for (let i = 0; i < presentation.length - 1; i++) {
+    presentation[i].durationUs = presentation[i + 1].timestampUs - presentation[i].timestampUs;
+    if (presentation[i].durationUs > 0) gaps.push(presentation[i].durationUs);
+  }
+  const last = presentation[presentation.length - 1];
+  if (!(last.durationUs > 0)) {
+    gaps.sort((a, b) => a - b);
+    last.durationUs = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 1_000_000 / 30;
+  }
+  return kept;
+}
+
+/**
+ * Whether a file is a still image usable in a sequence (PNG, JPEG or WebP)
+ * @param {{ name: string, type: string }} file
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+  return /^image\/(png|jpeg|webp)$/.test(file.type) || /\.(png|jpe?g|webp)$/i.test(file.name);
+}
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Order files the way a person reads their names: digit runs compare by
+ * value, so frame-2.png comes before frame-10.png. Files from a dropped
+ * folder sort by their path inside it.
+ * @template {{ name: string, webkitRelativePath?: string }} T
+ * @param {T[]} files
+ * @returns {T[]} A sorted copy
+ */
+export function sortByNaturalName(files) {
+  const key = (/** @type {T} */ file) => file.webkitRelativePath || file.name;
+  return [...files].sort((a, b) => naturalCollator.compare(key(a), key(b)));
+}
+
+/**
+ * Where an image lands in a frame of another size.
+ *
+ * 'letterbox' scales it to fit inside the frame with its aspect ratio kept
+ * and centers it (the rest stays background); 'stretch' fills the frame.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @param {'letterbox'|'stretch'} fit
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function fitImageRect(width, height, frameWidth, frameHeight, fit) {
+  if (fit === 'stretch') {
+    return { x: 0, y: 0, width: frameWidth, height: frameHeight };
+  }
+  const scale = Math.min(frameWidth / width, frameHeight / height);
+  const fitWidth = Math.round(width * scale);
+  const fitHeight = Math.round(height * scale);
+  return {
+    x: Math.floor((frameWidth - fitWidth) / 2),
+    y: Math.floor((frameHeight - fitHeight) / 2),
+    width: fitWidth,
+    height: fitHeight,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Dropped Files
+ * Collects the files of a drop, descending into dropped folders
+ * @module features/import/dropped-files
+ */
+
+/**
+ * Read every entry of a directory. readEntries() returns the listing in
+ * batches (100 at a time in Chrome) and an empty batch at the end.
+ * @param {FileSystemDirectoryEntry} directory
+ * @returns {Promise<FileSystemEntry[]>}
+ */
+async function readAllEntries(directory) {
+  const reader = directory.createReader();
+  /** @type {FileSystemEntry[]} */
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+}
+
+/**
+ * Files under an entry, with webkitRelativePath-style paths so folder
+ * contents sort by their place in the tree
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<File[]>}
+ */
+async function readEntryFiles(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) =>
+      /** @type {FileSystemFileEntry} */ (entry).file(resolve, reject),
+    );
+    const path = entry.fullPath.replace(/^\//, '');
+    // Loose files keep their own name; only folder contents need a path
+    if (path !== file.name) {
+      Object.defineProperty(file, 'webkitRelativePath', { value: path });
+    }
+    return [file];
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(/** @type {FileSystemDirectoryEntry} */ (entry));
+    const nested = await Promise.all(children.map(readEntryFiles));
+    return nested.flat();
+  }
+  return [];
+}
+
+/**
+ * The files of a drop. Dropped folders are read recursively; browsers
+ * without the entries API get the plain file list (folders then simply
+ * contribute nothing).
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function readDroppedFiles(dataTransfer) {
+  // Both lists must be taken synchronously, before the drop event returns
+  const files = Array.from(dataTransfer.files ?? []);
+  const entries = Array.from(dataTransfer.items ?? [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.() ?? null);
+  if (entries.length === 0 || entries.some((entry) => entry === null)) {
+    return files;
+  }
+  try {
+    const nested = await Promise.all(
+      entries.map((entry) => readEntryFiles(/** @type {FileSystemEntry} */ (entry))),
+    );
+    return nested.flat();
+  } catch {
+    return files;
+  }
+}
@@ -0,0 +1,351 @@
+/**
+ * GIF Decoder
+ * Parses GIF87a/GIF89a files and composites their frames into full RGBA images
+ * @module features/import/gif-decoder
+ */
+
+/**
+ * One image of a GIF, still LZW-compressed
+ * @typedef {Object} GifImage
+ * @property {number} left - Offset on the logical screen
+ * @property {number} top
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} interlaced - Rows stored in the four-pass interlaced order
+ * @property {Uint8Array | null} colorTable - Local RGB table; null uses the global one
+ * @property {number} transparentIndex - Palette index left unpainted, -1 for none
+ * @property {number} disposal - 0/1 keep, 2 restore to background, 3 restore previous
+ * @property {number} delayMs - Display time (browser-normalized, see GIF_MIN_DELAY_MS)
+ * @property {number} minCodeSize - LZW minimum code size
+ * @property {Uint8Array} data - Concatenated LZW sub-block payload
+ */
+
+/**
+ * A parsed GIF
+ * @typedef {Object} GifFile
+ * @property {number} width - Logical screen width
+ * @property {number} height - Logical screen height
+ * @property {Uint8Array | null} globalColorTable - RGB triplets
+ * @property {number} loopCount - NETSCAPE2.0 loop count (0 = forever, -1 = no extension)
+ * @property {GifImage[]} images
+ */
+
+/** Browsers show delays of 0 or 1 cs as 10 cs; imports match what people saw */
+const GIF_MIN_DELAY_MS = 20;
+const GIF_DEFAULT_DELAY_MS = 100;
+
+/** Largest LZW code width */
+const MAX_CODE_BITS = 12;
+
+/** Interlaced row order: [first row, step] per pass */
+const INTERLACE_PASSES = [
+  [0, 8],
+  [4, 8],
+  [2, 4],
+  [1, 2],
+];
+
+/**
+ * Parse a GIF's structure without decompressing its images.
+ *
+ * A file cut short after at least one complete image keeps the images read
+ * so far, as browsers do; anything earlier is an error.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {GifFile}
+ * @throws {Error} When the data is not a GIF or holds no complete image
+ */
+export function parseGif(bytes) {
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  if (signature !== 'GIF89a' && signature !== 'GIF87a') {
+    throw new Error('Not a GIF file');
+  }
+  if (bytes.length < 13) {
+    throw new Error('GIF file is truncated');
+  }
+
+  const u16 = (/** @type {number} */ o) => bytes[o] | (bytes[o + 1] << 8);
+  /**
+   * @param {number} offset - First sub-block length byte
+   * @returns {{ data: Uint8Array, end: number }}
+   */
+  const readSubBlocks = (offset) => {
+    /** @type {Uint8Array[]} */
+    const parts = [];
+    let length = 0;
+    let o = offset;
+    while (o < bytes.length && bytes[o] !== 0) {
+      const size = bytes[o];
+      if (o + 1 + size > bytes.length) throw new Error('GIF file is truncated');
+      parts.push(bytes.subarray(o + 1, o + 1 + size));
+      length += size;
+      o += size + 1;
+    }
+    if (o >= bytes.length) throw new Error('GIF file is truncated');
+    const data = new Uint8Array(length);
+    let cursor = 0;
+    for (const part of parts) {
+      data.set(part, cursor);
+      cursor += part.length;
+    }
+    return { data, end: o + 1 };
+  };
+
+  const width = u16(6);
+  const height = u16(8);
+  const packed = bytes[10];
+  let offset = 13;
+  /** @type {Uint8Array | null} */
+  let globalColorTable = null;
+  if (packed & 0x80) {
+    const size = 3 * (1 << ((packed & 7) + 1));
+    globalColorTable = bytes.slice(offset, offset + size);
+    offset += size;
+  }
+
+  /** @type {GifImage[]} */
+  const images = [];
+  let loopCount = -1;
+  // Graphic Control Extension values for the next image
+  let transparentIndex = -1;
+  let disposal = 0;
+  let delayMs = GIF_DEFAULT_DELAY_MS;
+
+  try {
+    while (offset < bytes.length && bytes[offset] !== 0x3b) {
+      const introducer = bytes[offset];
+      if (introducer === 0x21) {
+        const label = bytes[offset + 1];
+        const { data, end } = readSubBlocks(offset + 2);
+        if (label === 0xf9 && data.length >= 4) {
+          disposal = (data[0] >> 2) & 7;
+          transparentIndex = data[0] & 1 ? data[3] : -1;
+          const delayCs = data[1] | (data[2] << 8);
+          delayMs = delayCs * 10 < GIF_MIN_DELAY_MS ? GIF_DEFAULT_DELAY_MS : delayCs * 10;
+        } else if (
+          label === 0xff &&
+          String.fromCharCode(...data.subarray(0, 11)) === 'NETSCAPE2.0' &&
+          data[11] === 1
+        ) {
+          loopCount = data[12] | (data[13] << 8);
+        }
+        offset = end;
+      } else if (introducer === 0x2c) {
+        if (offset + 10 > bytes.length) throw new Error('GIF file is truncated');
+        const descriptor = offset;
+        const flags = bytes[offset + 9];
+        offset += 10;
+        /** @type {Uint8Array | null} */
+        let colorTable = null;
+        if (flags & 0x80) {
+          const size = 3 * (1 << ((flags & 7) + 1));
+          colorTable = bytes.slice(offset, offset + size);
+          offset += size;
+        }
+        const minCodeSize = bytes[offset];
+        const { data, end } = readSubBlocks(offset + 1);
+        images.push({
+          left: u16(descriptor + 1),
+          top: u16(descriptor + 3),
+          width: u16(descriptor + 5),
+          height: u16(descriptor + 7),
+          interlaced: (flags & 0x40) !== 0,
+          colorTable,
+          transparentIndex,
+          disposal,
+          delayMs,
+          minCodeSize,
+          data,
+        });
+        offset = end;
+        // A Graphic Control Extension applies to the one image that follows it
+        transparentIndex = -1;
+        disposal = 0;
+        delayMs = GIF_DEFAULT_DELAY_MS;
+      } else {
+        throw new Error(`Unexpected GIF block 0x${introducer.toString(16)}`);
+      }
+    }
+  } catch (error) {
+    if (images.length === 0) throw error;
+  }
+
+  if (images.length === 0) {
+    throw new Error('GIF file contains no frames');
+  }
+  return { width, height, globalColorTable, loopCount, images };
+}
+
+/**
+ * Decompress a GIF image's LZW data into palette indices.
+ * Missing trailing pixels (a short or damaged stream) stay index 0.
+ * @param {Uint8Array} data
+ * @param {number} minCodeSize
+ * @param {number} pixelCount
+ * @returns {Uint8Array}
+ */
+export function decodeLzw(data, minCodeSize, pixelCount) {
+  const output = new Uint8Array(pixelCount);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  // Each code is stored as (prefix code, last byte, length)
+  const prefix = new Int16Array(1 << MAX_CODE_BITS);
+  const suffix = new Uint8Array(1 << MAX_CODE_BITS);
+  const lengths = new Uint16Array(1 << MAX_CODE_BITS);
+  for (let i = 0; i < clearCode; i++) {
+    prefix[i] = -1;
+    suffix[i] = i;
+    lengths[i] = 1;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let out = 0;
+  let bits = 0;
+  let bitCount = 0;
+  let position = 0;
+
+  while (out < pixelCount) {
+    while (bitCount < codeSize && position < data.length) {
+      bits |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    if (bitCount < codeSize) break;
+    const code = bits & ((1 << codeSize) - 1);
+    bits >>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    // The one code not yet in the table: previous string + its first byte
+    const known = code < nextCode;
+    if (!known && (code !== nextCode || previous < 0)) break;
+    const walk = known ? code : previous;
+
+    // Write the string backwards from its last byte; the walk ends on its first
+    const length = lengths[walk] + (known ? 0 : 1);
+    const start = out;
+    let c = walk;
+    let first = 0;
+    for (let i = lengths[walk] - 1; i >= 0; i--) {
+      first = suffix[c];
+      if (start + i < pixelCount) output[start + i] = first;
+      c = prefix[c];
+    }
+    if (!known && start + length - 1 < pixelCount) output[start + length - 1] = first;
+    out += length;
+
+    if (previous >= 0 && nextCode < 1 << MAX_CODE_BITS) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = first;
+      lengths[nextCode] = lengths[previous] + 1;
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < MAX_CODE_BITS) codeSize++;
+    }
+    previous = code;
+  }
+
+  return output;
+}
+
+/**
+ * Reorder interlaced rows into top-to-bottom order
+ * @param {Uint8Array} indices
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+function deinterlace(indices, width, height) {
+  const rows = new Uint8Array(indices.length);
+  let source = 0;
+  for (const [first, step] of INTERLACE_PASSES) {
+    for (let y = first; y < height; y += step) {
+      rows.set(indices.subarray(source * width, (source + 1) * width), y * width);
+      source++;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Decode a GIF's frames as the full logical screen, one at a time.
+ *
+ * Follows what browsers show: each image is drawn over what the previous
+ * frame left behind (transparent pixels let it through), then disposed
+ * before the next — left in place (0/1), cleared to transparent (2; the
+ * background color is ignored, as every current browser does), or
+ * restored to the canvas from before it was drawn (3). Images partly
+ * outside the logical screen are clipped.
+ *
+ * Each yielded buffer is a fresh copy the caller may keep or transfer.
+ *
+ * @param {GifFile} gif
+ * @returns {Generator<{ rgba: Uint8ClampedArray, delayMs: number }>}
+ */
+export function* decodeGifFrames(gif) {
+  const { width, height } = gif;
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  /** @type {Uint8ClampedArray | null} */
+  let saved = null;
+  /** @type {GifImage | null} */
+  let previous = null;
+
+  for (const image of gif.images) {
+    if (previous?.disposal === 2) {
+      clearRect(canvas, width, height, previous);
+    } else if (previous?.disposal === 3 && saved) {
+      canvas.set(saved);
+    }
+    saved = image.disposal === 3 ? canvas.slice() : null;
+
+    const table = image.colorTable ?? gif.globalColorTable;
+    let indices = decodeLzw(image.data, image.minCodeSize, image.width * image.height);
+    if (image.interlaced) {
+      indices = deinterlace(indices, image.width, image.height);
+    }
+    if (table) {
+      const colors = table.length / 3;
+      for (let y = 0; y < image.height; y++) {
+        const cy = image.top + y;
+        if (cy >= height) break;
+        for (let x = 0; x < image.width; x++) {
+          const cx = image.left + x;
+          if (cx >= width) break;
+          const index = indices[y * image.width + x];
+          if (index === image.transparentIndex || index >= colors) continue;
+          const p = (cy * width + cx) * 4;
+          canvas[p] = table[index * 3];
+          canvas[p + 1] = table[index * 3 + 1];
+          canvas[p + 2] = table[index * 3 + 2];
+          canvas[p + 3] = 255;
+        }
+      }
+    }
+
+    yield { rgba: canvas.slice(), delayMs: image.delayMs };
+    previous = image;
+  }
+}
+
+/**
+ * Clear an image's rectangle to transparent (disposal 2)
+ * @param {Uint8ClampedArray} canvas
+ * @param {number} width
+ * @param {number} height
+ * @param {GifImage} image
+ */
+function clearRect(canvas, width, height, image) {
+  const right = Math.min(width, image.left + image.width);
+  const bottom = Math.min(height, image.top + image.height);
+  for (let y = image.top; y < bottom; y++) {
+    canvas.fill(0, (y * width + image.left) * 4, (y * width + right) * 4);
+  }
+}
@@ -0,0 +1,436 @@
+/**
+ * Import Feature Entry Point
+ * @module features/import
+ *
+ * Turns files the user drops or picks (GIFs, MP4 and WebM videos, and
+ * sequences of PNG, JPEG or WebP images) into clips. Imported clips enter the
+ * app-store exactly like captured ones — setClipPayload to open them,
+ * enqueueClip to park them — so the editor, crop, trim, scene detection and
+ * re-export need no special cases. Frames are decoded only after the queue
+ * and memory budget have agreed to take them.
+ */
+
+import {
+  enqueueClip,
+  getClipPayload,
+  getClipQueueLimit,
+  isClipQueueFull,
+  setClipPayload,
+} from '../../shared/app-store.js';
+import { emit } from '../../shared/bus.js';
+import { loadSettings } from '../../shared/user-settings.js';
+import { fitWithinLongEdge } from '../../shared/utils/geometry.js';
+import {
+  announceMemoryBudget,
+  buildMemoryBudgetMessage,
+  projectIncomingMemory,
+} from '../capture/clip-service.js';
+import {
+  delaysToTimestamps,
+  estimateClipFps,
+  estimateImportMemoryMB,
+  fitImageRect,
+  isGifFile,
+  isImageFile,
+  isMp4File,
+  isWebmFile,
+  sortByNaturalName,
+} from './core.js';
+import { decodeGifFrames, parseGif } from './gif-decoder.js';
+import { demuxMp4 } from './mp4-demuxer.js';
+import { decodeVideo, isVideoDecodable } from './video-decoder.js';
+import { demuxWebm } from './webm-demuxer.js';
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {boolean} ok
+ * @property {'unsupported'|'invalid'|'queue-full'|'memory-budget'} [reason] - Present when refused
+ * @property {string} [message] - User-facing explanation of a refusal
+ * @property {import('../../shared/app-store.js').ClipPayload} [payload] - The imported clip
+ */
+
+/**
+ * A parsed file, before any frame is decoded
+ * @typedef {{ kind: 'gif', gif: import('./gif-decoder.js').GifFile }
+ *         | { kind: 'video', video: import('./types.js').DemuxedVideo }} ClipSource
+ */
+
+/** Frames decoded between yields to the event loop, so the page keeps painting */
+const FRAMES_PER_YIELD = 8;
+
+const QUEUE_FULL_MESSAGE = 'Clip queue full — delete a clip or raise the limit in Settings';
+
+/**
+ * Whether a file can be imported as a clip
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isImportableFile(file) {
+  return isGifFile(file) || isMp4File(file) || isWebmFile(file) || isImageFile(file);
+}
+
+export { isImageFile };
+
+/**
+ * Parse or demux a file's bytes
+ * @param {{ name: string, type: string }} file
+ * @param {Uint8Array} bytes
+ * @returns {ClipSource}
+ * @throws {Error} When the contents are malformed
+ */
+function readClipSource(file, bytes) {
+  if (isGifFile(file)) {
+    return { kind: 'gif', gif: parseGif(bytes) };
+  }
+  return { kind: 'video', video: isMp4File(file) ? demuxMp4(bytes) : demuxWebm(bytes) };
+}
+
+/**
+ * Close frames that never made it into the store
+ * @param {import('../capture/types.js').Frame[]} frames
+ */
+function closeFrames(frames) {
+  for (const frame of frames) {
+    try {
+      if (!frame.frame.closed) frame.frame.close();
+    } catch {
+      // Already closed
+    }
+  }
+}
+
+/**
+ * Decode a parsed GIF into clip frames
+ * @param {import('./gif-decoder.js').GifFile} gif
+ * @returns {Promise<{ frames: import('../capture/types.js').Frame[], delaysMs: number[] }>}
+ */
+async function createGifFrames(gif) {
+  const delaysMs = gif.images.map((image) => image.delayMs);
+  const timestamps = delaysToTimestamps(delaysMs);
+  /** @type {import('../capture/types.js').Frame[]} */
+  const frames = [];
+  try {
+    let index = 0;
+    for (const { rgba, delayMs } of decodeGifFrames(gif)) {
+      const frame = new VideoFrame(rgba, {
+        format: 'RGBA',
+        codedWidth: gif.width,
+        codedHeight: gif.height,
+        timestamp: timestamps[index],
+        duration: delayMs * 1000,
+      });
+      frames.push({
+        id: crypto.randomUUID(),
+        frame,
+        timestamp: timestamps[index],
+        width: gif.width,
+        height: gif.height,
+      });
+      index++;
+      if (index % FRAMES_PER_YIELD === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+  } catch (error) {
+    closeFrames(frames);
+    throw error;
+  }
+  return { frames, delaysMs };
+}
+
+/**
+ * Decode a demuxed video into clip frames of the given size
+ * @param {ArrayBuffer} buffer - The file; transferred to the decoder
+ * @param {import('./types.js').DemuxedVideo} video
+ * @param {{ width: number, height: number }} size
+ * @param {((decoded: number, total: number) => void) | undefined} onProgress
+ * @returns {Promise<{ frames: import('../capture/types.js').Frame[], delaysMs: number[] }>}
+ * @throws {Error} When decoding fails
+ */
+async function createVideoFrames(buffer, video, size, onProgress) {
+  const result = await decodeVideo(buffer, video, size, { onProgress });
+  if (!result.ok) {
+    throw new Error(result.error);
+  }
+  const frames = result.frames.map((frame) => ({
+    id: crypto.randomUUID(),
+    frame,
+    timestamp: frame.timestamp,
+    width: size.width,
+    height: size.height,
+  }));
+  const delaysMs = [...video.samples]
+    .sort((a, b) => a.timestampUs - b.timestampUs)
+    .map((sample) => sample.durationUs / 1000);
+  return { frames, delaysMs };
+}
+
+/**
+ * Draw image files onto frames of one size, in order
+ * @param {File[]} images - Sorted; the first is already decoded
+ * @param {ImageBitmap} first
+ * @param {{ width: number, height: number }} size
+ * @param {{ fps: number, fit: 'letterbox'|'stretch' }} options
+ * @param {((decoded: number, total: number) => void) | undefined} onProgress
+ * @returns {Promise<import('../capture/types.js').Frame[]>}
+ * @throws {Error} Naming the first image that cannot be decoded
+ */
+async function createImageFrames(images, first, size, { fps, fit }, onProgress) {
+  const canvas = new OffscreenCanvas(size.width, size.height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Failed to get OffscreenCanvas 2d context');
+  }
+  const durationUs = 1_000_000 / fps;
+
+  /** @type {import('../capture/types.js').Frame[]} */
+  const frames = [];
+  try {
+    for (let i = 0; i < images.length; i++) {
+      /** @type {ImageBitmap} */
+      let bitmap;
+      try {
+        bitmap = i === 0 ? first : await createImageBitmap(images[i]);
+      } catch {
+        throw new Error(`${images[i].name} is not a readable image`);
+      }
+      // The first image defines the frame, so it always fills it
+      const rect =
+        i === 0
+          ? { x: 0, y: 0, width: size.width, height: size.height }
+          : fitImageRect(bitmap.width, bitmap.height, size.width, size.height, fit);
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, size.width, size.height);
+      ctx.drawImage(bitmap, rect.x, rect.y, rect.width, rect.height);
+      bitmap.close();
+
+      const timestamp = Math.round(i * durationUs);
+      frames.push({
+        id: crypto.randomUUID(),
+        frame: new VideoFrame(canvas, { timestamp, duration: Math.round(durationUs) }),
+        timestamp,
+        width: size.width,
+        height: size.height,
+      });
+      onProgress?.(i + 1, images.length);
+    }
+  } catch (error) {
+    closeFrames(frames);
+    throw error;
+  } finally {
+    first.close();
+  }
+  return frames;
+}
+
+/**
+ * Name an image sequence after its folder, or its first file
+ * @param {File[]} images - Sorted
+ * @returns {string}
+ */
+function getSequenceName(images) {
+  const folder = images[0].webkitRelativePath?.split('/').slice(0, -1).join('/');
+  if (folder) return folder;
+  return images.length === 1 ? images[0].name : `${images[0].name} + ${images.length - 1} more`;
+}
+
+/**
+ * Refuse when storing a clip would overflow the queue. Opening demotes the
+ * current active clip into the queue, so both paths need a free slot
+ * unless nothing is active yet.
+ * @param {boolean} activate
+ * @returns {ImportResult | null} null when there is room
+ */
+function checkQueueRoom(activate) {
+  const needsSlot = !activate || getClipPayload() !== null;
+  if (needsSlot && isClipQueueFull()) {
+    emit('clip:queue-full', { limit: getClipQueueLimit() });
+    return { ok: false, reason: 'queue-full', message: QUEUE_FULL_MESSAGE };
+  }
+  return null;
+}
+
+/**
+ * Refuse clips the memory budget cannot hold, at their decoded size
+ * @param {number} width
+ * @param {number} height
+ * @param {number} frameCount
+ * @returns {ImportResult | null} null when the clip fits
+ */
+function checkMemoryBudget(width, height, frameCount) {
+  const projection = projectIncomingMemory(estimateImportMemoryMB(width, height, frameCount));
+  if (projection.over) {
+    announceMemoryBudget(projection);
+    return { ok: false, reason: 'memory-budget', message: buildMemoryBudgetMessage(projection) };
+  }
+  return null;
+}
+
+/**
+ * Hand decoded frames to the app-store as a clip
+ * @param {string} name - For the import event
+ * @param {import('../capture/types.js').Frame[]} frames
+ * @param {number} fps - Rate the clip plays and exports at without Real timing
+ * @param {boolean} activate
+ * @returns {ImportResult}
+ */
+function storeClip(name, frames, fps, activate) {
+  /** @type {import('../../shared/app-store.js').ClipPayload} */
+  const payload = {
+    frames,
+    fps,
+    imported: true,
+    capturedAt: Date.now(),
+    sceneDetectionEnabled: loadSettings().capture.sceneDetection,
+  };
+  const stored = activate ? setClipPayload(payload) : enqueueClip(payload);
+  if (!stored.ok) {
+    // The queue filled while decoding; these frames are still ours
+    closeFrames(frames);
+    return { ok: false, reason: 'queue-full', message: QUEUE_FULL_MESSAGE };
+  }
+
+  emit('import:clip-imported', {
+    name,
+    frameCount: frames.length,
+    fps: payload.fps,
+    activated: activate,
+  });
+  return { ok: true, payload };
+}
+
+/**
+ * Import a file as a clip.
+ *
+ * `activate` makes it the active clip (the previous one demotes into the
+ * queue, as with Create Clip); otherwise it joins the queue like Clip Now
+ * and the mounted screen is left alone. Refusals destroy nothing and are
+ * decided before any frame is decoded.
+ *
+ * Videos are demuxed here and decoded in a worker, downscaled to the
+ * capture resolution limit like live frames, so the memory budget is
+ * checked against the size the clip will actually occupy.
+ *
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {boolean} [options.activate=false]
+ * @param {(decoded: number, total: number) => void} [options.onProgress] - Video decode progress
+ * @returns {Promise<ImportResult>}
+ */
+export async function importClipFile(file, { activate = false, onProgress } = {}) {
+  if (!isImportableFile(file)) {
+    return {
+      ok: false,
+      reason: 'unsupported',
+      message: `${file.name} is not a GIF, MP4, WebM or image file`,
+    };
+  }
+  if (isImageFile(file)) {
+    return importImageSequence([file], { activate, onProgress });
+  }
+
+  /** @type {ArrayBuffer} */
+  let buffer;
+  /** @type {ClipSource} */
+  let source;
+  try {
+    buffer = await file.arrayBuffer();
+    source = readClipSource(file, new Uint8Array(buffer));
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : String(error);
+    return { ok: false, reason: 'invalid', message: `Could not read ${file.name}: ${detail}` };
+  }
+
+  if (source.kind === 'video' && !(await isVideoDecodable(source.video))) {
+    return {
+      ok: false,
+      reason: 'unsupported',
+      message: `This browser cannot decode the video in ${file.name} (${source.video.codec})`,
+    };
+  }
+
+  const queueRefusal = checkQueueRoom(activate);
+  if (queueRefusal) return queueRefusal;
+
+  const settings = loadSettings().capture;
+  const size =
+    source.kind === 'gif'
+      ? { width: source.gif.width, height: source.gif.height }
+      : fitWithinLongEdge(source.video.width, source.video.height, settings.captureResolutionLimit);
+  const frameCount = source.kind === 'gif' ? source.gif.images.length : source.video.samples.length;
+  const budgetRefusal = checkMemoryBudget(size.width, size.height, frameCount);
+  if (budgetRefusal) return budgetRefusal;
+
+  /** @type {{ frames: import('../capture/types.js').Frame[], delaysMs: number[] }} */
+  let decoded;
+  try {
+    decoded =
+      source.kind === 'gif'
+        ? await createGifFrames(source.gif)
+        : await createVideoFrames(buffer, source.video, size, onProgress);
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : String(error);
+    return { ok: false, reason: 'invalid', message: `Could not decode ${file.name}: ${detail}` };
+  }
+  return storeClip(file.name, decoded.frames, estimateClipFps(decoded.delaysMs), activate);
+}
+
+/**
+ * Import PNG, JPEG or WebP images as one clip, one image per frame.
+ *
+ * Frames follow natural filename order (shot-2 before shot-10) and are
+ * spaced by the Image Sequence Frame Rate setting, which the clip keeps as
+ * its fps so playback and export run at that rate with or without Real
+ * timing. The first image sets the frame size (downscaled to the capture
+ * resolution limit); images of another size are letterboxed or stretched
+ * to it per the Image Sequence Size Mismatch setting. Files that are not
+ * images are ignored.
+ *
+ * @param {File[]} files
+ * @param {Object} [options]
+ * @param {boolean} [options.activate=false]
+ * @param {(decoded: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<ImportResult>}
+ */
+export async function importImageSequence(files, { activate = false, onProgress } = {}) {
+  const images = sortByNaturalName(files.filter(isImageFile));
+  if (images.length === 0) {
+    return { ok: false, reason: 'unsupported', message: 'No PNG, JPEG or WebP images to import' };
+  }
+  const name = getSequenceName(images);
+
+  /** @type {ImageBitmap} */
+  let first;
+  try {
+    first = await createImageBitmap(images[0]);
+  } catch {
+    return { ok: false, reason: 'invalid', message: `Could not read ${images[0].name}` };
+  }
+
+  const settings = loadSettings().capture;
+  const size = fitWithinLongEdge(first.width, first.height, settings.captureResolutionLimit);
+  const refusal =
+    checkQueueRoom(activate) ?? checkMemoryBudget(size.width, size.height, images.length);
+  if (refusal) {
+    first.close();
+    return refusal;
+  }
+
+  const fps = Math.min(60, Math.max(1, Number(settings.imageSequenceFps) || 10));
+  /** @type {import('../capture/types.js').Frame[]} */
+  let frames;
+  try {
+    frames = await createImageFrames(
+      images,
+      first,
+      size,
+      { fps, fit: settings.imageSequenceFit === 'stretch' ? 'stretch' : 'letterbox' },
+      onProgress,
+    );
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : String(error);
+    return { ok: false, reason: 'invalid', message: `Could not import ${name}: ${detail}` };
+  }
+
+  return storeClip(name, frames, fps, activate);
+}
@@ -0,0 +1,466 @@
+/**
+ * MP4 Demuxer
+ * Locates the video samples of an ISO BMFF (MP4 / MOV) file, progressive
+ * or fragmented
+ * @module features/import/mp4-demuxer
+ */
+
+import { av1CodecString, avcCodecString, hevcCodecString, vp9CodecString } from './codec-config.js';
+import { finalizeSamples } from './core.js';
+
+/**
+ * @typedef {import('./types.js').DemuxedSample} DemuxedSample
+ * @typedef {import('./types.js').DemuxedVideo} DemuxedVideo
+ */
+
+/**
+ * @typedef {Object} Box
+ * @property {string} type
+ * @property {number} start - Offset of the box header
+ * @property {number} dataStart - Offset of the payload
+ * @property {number} end - Offset just past the box
+ */
+
+/**
+ * Per-track sample defaults from mvex/trex, overridable per fragment
+ * @typedef {Object} SampleDefaults
+ * @property {number} duration
+ * @property {number} size
+ * @property {number} flags
+ */
+
+/** Sample flag: sample_is_non_sync_sample */
+const NON_SYNC_SAMPLE = 0x10000;
+
+/** VisualSampleEntry fields between the box header and its child boxes */
+const VISUAL_SAMPLE_ENTRY_BYTES = 78;
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+const readU64 = (view, offset) => view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string}
+ */
+const readType = (view, offset) =>
+  String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+
+/**
+ * List the boxes in a byte range. A box running past the range (a
+ * truncated file) is clipped to it.
+ * @param {DataView} view
+ * @param {number} start
+ * @param {number} end
+ * @returns {Box[]}
+ */
+function readBoxes(view, start, end) {
+  /** @type {Box[]} */
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readType(view, offset + 4);
+    let dataStart = offset + 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = readU64(view, offset + 8);
+      dataStart = offset + 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < dataStart - offset) break;
+    boxes.push({ type, start: offset, dataStart, end: Math.min(end, offset + size) });
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * @param {DataView} view
+ * @param {Box | undefined} parent
+ * @param {string} type
+ * @returns {Box | undefined}
+ */
+function child(view, parent, type) {
+  return parent
+    ? readBoxes(view, parent.dataStart, parent.end).find((b) => b.type === type)
+    : undefined;
+}
+
+/**
+ * Follow a path of nested box types
+ * @param {DataView} view
+ * @param {Box | undefined} parent
+ * @param {string[]} path
+ * @returns {Box | undefined}
+ */
+function descend(view, parent, path) {
+  let box = parent;
+  for (const type of path) box = child(view, box, type);
+  return box;
+}
+
+/**
+ * Codec string and extradata from the first sample entry of an stsd box
+ * @param {Uint8Array} bytes
+ * @param {DataView} view
+ * @param {Box} stsd
+ * @returns {{ codec: string, codedWidth: number, codedHeight: number, description?: Uint8Array }}
+ * @throws {Error} For codecs WebCodecs cannot be configured with from this file
+ */
+function readSampleEntry(bytes, view, stsd) {
+  // Full box header + entry_count
+  const [entry] = readBoxes(view, stsd.dataStart + 8, stsd.end);
+  if (!entry) {
+    throw new Error('MP4 video track has no sample description');
+  }
+  const codedWidth = view.getUint16(entry.dataStart + 24);
+  const codedHeight = view.getUint16(entry.dataStart + 26);
+  const configs = readBoxes(view, entry.dataStart + VISUAL_SAMPLE_ENTRY_BYTES, entry.end);
+  /** @param {string} type */
+  const config = (type) => {
+    const box = configs.find((b) => b.type === type);
+    return box ? bytes.slice(box.dataStart, box.end) : null;
+  };
+
+  switch (entry.type) {
+    case 'avc1':
+    case 'avc3': {
+      const avcC = config('avcC');
+      if (!avcC) throw new Error('H.264 track is missing its avcC decoder configuration');
+      return {
+        codec: avcCodecString(avcC, entry.type),
+        codedWidth,
+        codedHeight,
+        description: avcC,
+      };
+    }
+    case 'hvc1':
+    case 'hev1': {
+      const hvcC = config('hvcC');
+      if (!hvcC) throw new Error('H.265 track is missing its hvcC decoder configuration');
+      return {
+        codec: hevcCodecString(hvcC, entry.type),
+        codedWidth,
+        codedHeight,
+        description: hvcC,
+      };
+    }
+    case 'vp09': {
+      const vpcC = config('vpcC');
+      // Skip the vpcC full-box version/flags
+      return {
+        codec: vp9CodecString(vpcC ? vpcC.subarray(4) : new Uint8Array()),
+        codedWidth,
+        codedHeight,
+      };
+    }
+    case 'av01': {
+      const av1C = config('av1C');
+      if (!av1C) throw new Error('AV1 track is missing its av1C decoder configuration');
+      return { codec: av1CodecString(av1C), codedWidth, codedHeight };
+    }
+    default:
+      throw new Error(`Unsupported video codec: ${entry.type.trim()}`);
+  }
+}
+
+/**
+ * Expand a progressive sample table (stbl) into samples
+ * @param {DataView} view
+ * @param {Box} stbl
+ * @param {number} timescale
+ * @returns {DemuxedSample[]}
+ */
+function readSampleTable(view, stbl, timescale) {
+  const boxes = readBoxes(view, stbl.dataStart, stbl.end);
+  /** @param {string} type */
+  const find = (type) => boxes.find((b) => b.type === type);
+
+  const stsz = find('stsz');
+  if (!stsz) return [];
+  const fixedSize = view.getUint32(stsz.dataStart + 4);
+  const count = view.getUint32(stsz.dataStart + 8);
+  /** @param {number} i */
+  const sizeOf = (i) => fixedSize || view.getUint32(stsz.dataStart + 12 + i * 4);
+
+  // Chunk offsets
+  const stco = find('stco');
+  const co64 = find('co64');
+  /** @type {number[]} */
+  const chunkOffsets = [];
+  if (stco) {
+    const entries = view.getUint32(stco.dataStart + 4);
+    for (let i = 0; i < entries; i++) chunkOffsets.push(view.getUint32(stco.dataStart + 8 + i * 4));
+  } else if (co64) {
+    const entries = view.getUint32(co64.dataStart + 4);
+    for (let i = 0; i < entries; i++) chunkOffsets.push(readU64(view, co64.dataStart + 8 + i * 8));
+  }
+
+  // Samples per chunk, as runs starting at a (1-based) first chunk
+  const stsc = find('stsc');
+  /** @type {{ firstChunk: number, perChunk: number }[]} */
+  const chunkRuns = [];
+  if (stsc) {
+    const entries = view.getUint32(stsc.dataStart + 4);
+    for (let i = 0; i < entries; i++) {
+      const o = stsc.dataStart + 8 + i * 12;
+      chunkRuns.push({ firstChunk: view.getUint32(o), perChunk: view.getUint32(o + 4) });
+    }
+  }
+
+  // Decode-time deltas
+  const stts = find('stts');
+  /** @type {number[]} */
+  const deltas = [];
+  if (stts) {
+    const entries = view.getUint32(stts.dataStart + 4);
+    for (let i = 0; i < entries && deltas.length < count; i++) {
+      const o = stts.dataStart + 8 + i * 8;
+      const runLength = view.getUint32(o);
+      const delta = view.getUint32(o + 4);
+      for (let j = 0; j < runLength && deltas.length < count; j++) deltas.push(delta);
+    }
+  }
+
+  // Composition offsets (B-frames)
+  const ctts = find('ctts');
+  /** @type {number[]} */
+  const compositionOffsets = [];
+  if (ctts) {
+    const signed = view.getUint8(ctts.dataStart) === 1;
+    const entries = view.getUint32(ctts.dataStart + 4);
+    for (let i = 0; i < entries && compositionOffsets.length < count; i++) {
+      const o = ctts.dataStart + 8 + i * 8;
+      const runLength = view.getUint32(o);
+      const offset = signed ? view.getInt32(o + 4) : view.getUint32(o + 4);
+      for (let j = 0; j < runLength && compositionOffsets.length < count; j++) {
+        compositionOffsets.push(offset);
+      }
+    }
+  }
+
+  // Sync samples; without stss every sample is a keyframe
+  const stss = find('stss');
+  /** @type {Set<number> | null} */
+  let syncSamples = null;
+  if (stss) {
+    syncSamples = new Set();
+    const entries = view.getUint32(stss.dataStart + 4);
+    for (let i = 0; i < entries; i++) syncSamples.add(view.getUint32(stss.dataStart + 8 + i * 4));
+  }
+
+  /** @type {DemuxedSample[]} */
+  const samples = [];
+  let decodeTime = 0;
+  let run = 0;
+  for (let chunk = 1, index = 0; chunk <= chunkOffsets.length && index < count; chunk++) {
+    while (run + 1 < chunkRuns.length && chunkRuns[run + 1].firstChunk <= chunk) run++;
+    const perChunk = chunkRuns[run]?.perChunk ?? 0;
+    let offset = chunkOffsets[chunk - 1];
+    for (let j = 0; j < perChunk && index < count; j++, index++) {
+      const size = sizeOf(index);
+      const delta = deltas[index] ?? 0;
+      samples.push({
+        offset,
+        size,
+        timestampUs: ((decodeTime + (compositionOffsets[index] ?? 0)) * 1e6) / timescale,
+        durationUs: (delta * 1e6) / timescale,
+        isKey: syncSamples ? syncSamples.has(index + 1) : true,
+      });
+      offset += size;
+      decodeTime += delta;
+    }
+  }
+  return samples;
+}
+
+/**
+ * Append the samples of one movie fragment (moof) for a track
+ * @param {DataView} view
+ * @param {Box} moof
+ * @param {number} trackId
+ * @param {SampleDefaults} trackDefaults
+ * @param {number} timescale
+ * @param {{ decodeTime: number }} state - Running decode time across fragments
+ * @param {DemuxedSample[]} samples
+ */
+function readFragment(view, moof, trackId, trackDefaults, timescale, state, samples) {
+  for (const traf of readBoxes(view, moof.dataStart, moof.end)) {
+    if (traf.type !== 'traf') continue;
+    const boxes = readBoxes(view, traf.dataStart, traf.end);
+    const tfhd = boxes.find((b) => b.type === 'tfhd');
+    if (!tfhd || view.getUint32(tfhd.dataStart + 4) !== trackId) continue;
+
+    const tfhdFlags = view.getUint32(tfhd.dataStart) & 0xffffff;
+    let o = tfhd.dataStart + 8;
+    let base = moof.start;
+    if (tfhdFlags & 0x1) {
+      base = readU64(view, o);
+      o += 8;
+    }
+    if (tfhdFlags & 0x2) o += 4; // sample_description_index
+    const defaults = { ...trackDefaults };
+    if (tfhdFlags & 0x8) {
+      defaults.duration = view.getUint32(o);
+      o += 4;
+    }
+    if (tfhdFlags & 0x10) {
+      defaults.size = view.getUint32(o);
+      o += 4;
+    }
+    if (tfhdFlags & 0x20) defaults.flags = view.getUint32(o);
+
+    const tfdt = boxes.find((b) => b.type === 'tfdt');
+    if (tfdt) {
+      state.decodeTime =
+        view.getUint8(tfdt.dataStart) === 1
+          ? readU64(view, tfdt.dataStart + 4)
+          : view.getUint32(tfdt.dataStart + 4);
+    }
+
+    let cursor = base;
+    for (const trun of boxes) {
+      if (trun.type !== 'trun') continue;
+      const version = view.getUint8(trun.dataStart);
+      const flags = view.getUint32(trun.dataStart) & 0xffffff;
+      const count = view.getUint32(trun.dataStart + 4);
+      let p = trun.dataStart + 8;
+      if (flags & 0x1) {
+        cursor = base + view.getInt32(p);
+        p += 4;
+      }
+      let firstFlags = null;
+      if (flags & 0x4) {
+        firstFlags = view.getUint32(p);
+        p += 4;
+      }
+      for (let i = 0; i < count && p <= trun.end; i++) {
+        let duration = defaults.duration;
+        let size = defaults.size;
+        let sampleFlags = i === 0 && firstFlags !== null ? firstFlags : defaults.flags;
+        let compositionOffset = 0;
+        if (flags & 0x100) {
+          duration = view.getUint32(p);
+          p += 4;
+        }
+        if (flags & 0x200) {
+          size = view.getUint32(p);
+          p += 4;
+        }
+        if (flags & 0x400) {
+          sampleFlags = view.getUint32(p);
+          p += 4;
+        }
+        if (flags & 0x800) {
+          compositionOffset = version === 1 ? view.getInt32(p) : view.getUint32(p);
+          p += 4;
+        }
+        samples.push({
+          offset: cursor,
+          size,
+          timestampUs: ((state.decodeTime + compositionOffset) * 1e6) / timescale,
+          durationUs: (duration * 1e6) / timescale,
+          isKey: (sampleFlags & NON_SYNC_SAMPLE) === 0,
+        });
+        cursor += size;
+        state.decodeTime += duration;
+      }
+    }
+  }
+}
+
+/**
+ * Demux the first video track of an MP4 file.
+ *
+ * Reads the sample tables of a progressive file (moov-first or
+ * moov-last) and the moof fragments of a fragmented one, as written by
+ * MediaRecorder and many screen recorders. Edit lists are ignored:
+ * presentation starts at the first frame. Samples whose data lies past
+ * the end of a truncated file are dropped.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {DemuxedVideo}
+ * @throws {Error} When the file is not an MP4, has no video track or uses
+ *   an unsupported codec
+ */
+export function demuxMp4(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const top = readBoxes(view, 0, bytes.length);
+  if (top.length === 0 || !['ftyp', 'moov', 'mdat', 'wide', 'free'].includes(top[0].type)) {
+    throw new Error('Not an MP4 file');
+  }
+  const moov = top.find((b) => b.type === 'moov');
+  if (!moov) {
+    throw new Error('MP4 file has no movie header');
+  }
+
+  const trak = readBoxes(view, moov.dataStart, moov.end).find((b) => {
+    if (b.type !== 'trak') return false;
+    const hdlr = descend(view, b, ['mdia', 'hdlr']);
+    return hdlr !== undefined && readType(view, hdlr.dataStart + 8) === 'vide';
+  });
+  if (!trak) {
+    throw new Error('MP4 file has no video track');
+  }
+
+  const tkhd = child(view, trak, 'tkhd');
+  const mdhd = descend(view, trak, ['mdia', 'mdhd']);
+  const stbl = descend(view, trak, ['mdia', 'minf', 'stbl']);
+  const stsd = child(view, stbl, 'stsd');
+  if (!tkhd || !mdhd || !stbl || !stsd) {
+    throw new Error('MP4 video track is incomplete');
+  }
+
+  const tkhdV1 = view.getUint8(tkhd.dataStart) === 1;
+  const trackId = view.getUint32(tkhd.dataStart + (tkhdV1 ? 20 : 12));
+  // Display size: the last two 16.16 fields of tkhd
+  const width = view.getUint32(tkhd.end - 8) >>> 16;
+  const height = view.getUint32(tkhd.end - 4) >>> 16;
+  const timescale = view.getUint32(
+    mdhd.dataStart + (view.getUint8(mdhd.dataStart) === 1 ? 20 : 12),
+  );
+  if (!timescale) {
+    throw new Error('MP4 video track has no timescale');
+  }
+
+  const entry = readSampleEntry(bytes, view, stsd);
+  const samples = readSampleTable(view, stbl, timescale);
+
+  /** @type {SampleDefaults} */
+  const defaults = { duration: 0, size: 0, flags: 0 };
+  const mvex = child(view, moov, 'mvex');
+  const trex = mvex
+    ? readBoxes(view, mvex.dataStart, mvex.end).find(
+        (b) => b.type === 'trex' && view.getUint32(b.dataStart + 4) === trackId,
+      )
+    : undefined;
+  if (trex) {
+    defaults.duration = view.getUint32(trex.dataStart + 12);
+    defaults.size = view.getUint32(trex.dataStart + 16);
+    defaults.flags = view.getUint32(trex.dataStart + 20);
+  }
+  const state = { decodeTime: 0 };
+  for (const moof of top) {
+    if (moof.type === 'moof')
+      readFragment(view, moof, trackId, defaults, timescale, state, samples);
+  }
+
+  const complete = samples.filter((s) => s.size > 0 && s.offset + s.size <= bytes.length);
+  return {
+    ...entry,
+    width: width || entry.codedWidth,
+    height: height || entry.codedHeight,
+    samples: finalizeSamples(complete),
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Import Type Definitions
+ * @module features/import/types
+ */
+
+/**
+ * One compressed frame located in a video file
+ * @typedef {Object} DemuxedSample
+ * @property {number} offset - Byte offset of the frame data in the file
+ * @property {number} size - Byte length of the frame data
+ * @property {number} timestampUs - Presentation time in microseconds, first frame at 0
+ * @property {number} durationUs - Display duration in microseconds
+ * @property {boolean} isKey - Whether the frame decodes on its own
+ */
+
+/**
+ * The video track of a demuxed file, ready for VideoDecoder.configure()
+ * @typedef {Object} DemuxedVideo
+ * @property {string} codec - WebCodecs codec string (e.g. 'avc1.64001f', 'vp09.00.10.08')
+ * @property {number} codedWidth - Coded width in pixels
+ * @property {number} codedHeight - Coded height in pixels
+ * @property {number} width - Display width in pixels
+ * @property {number} height - Display height in pixels
+ * @property {Uint8Array} [description] - Decoder extradata (avcC / hvcC)
+ * @property {DemuxedSample[]} samples - In decode order, starting at a keyframe
+ */
+
+export {};
@@ -0,0 +1,108 @@
+/**
+ * Video Decoder - main-thread bridge to the video import worker
+ * @module features/import/video-decoder
+ *
+ * One worker per import, terminated when the job settles. Results are
+ * result-objects, never rejections (like the clip codec manager):
+ * { ok:true, frames } | { ok:false, error }. The worker factory is
+ * injectable so unit tests can drive the protocol without real Workers or
+ * WebCodecs.
+ */
+
+/**
+ * @typedef {import('./types.js').DemuxedVideo} DemuxedVideo
+ */
+
+/**
+ * @typedef {{ ok: true, frames: VideoFrame[] } | { ok: false, error: string }} VideoDecodeResult
+ */
+
+/**
+ * Whether this browser can decode a demuxed track
+ * @param {DemuxedVideo} video
+ * @returns {Promise<boolean>}
+ */
+export async function isVideoDecodable(video) {
+  const VideoDecoderCtor = globalThis.VideoDecoder;
+  if (typeof VideoDecoderCtor?.isConfigSupported !== 'function') return false;
+  try {
+    const support = await VideoDecoderCtor.isConfigSupported({
+      codec: video.codec,
+      codedWidth: video.codedWidth,
+      codedHeight: video.codedHeight,
+      ...(video.description ? { description: video.description } : {}),
+    });
+    return support?.supported === true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decode a demuxed video into VideoFrames of the given size.
+ *
+ * The file buffer is TRANSFERRED to the worker: the caller must not use it
+ * afterwards. Decoded frames are owned by the caller.
+ *
+ * @param {ArrayBuffer} buffer - The whole file the samples point into
+ * @param {DemuxedVideo} video
+ * @param {{ width: number, height: number }} size - Output frame size
+ * @param {Object} [options]
+ * @param {(decoded: number, total: number) => void} [options.onProgress]
+ * @param {() => Worker} [options.createWorker] - Worker factory (test seam)
+ * @returns {Promise<VideoDecodeResult>}
+ */
+export function decodeVideo(buffer, video, size, options = {}) {
+  const createWorker =
+    options.createWorker ??
+    (() =>
+      new Worker(new URL('../../workers/video-import-worker.js', import.meta.url), {
+        type: 'module',
+      }));
+
+  return new Promise((resolve) => {
+    const worker = createWorker();
+    /** @param {VideoDecodeResult} result */
+    const settle = (result) => {
+      worker.terminate();
+      resolve(result);
+    };
+
+    worker.onmessage = (e) => {
+      const { type, payload } = e.data;
+      switch (type) {
+        case 'PROGRESS':
+          options.onProgress?.(payload.decoded, payload.total);
+          break;
+        case 'DECODE_RESULT':
+          settle({ ok: true, frames: payload.frames });
+          break;
+        case 'JOB_ERROR':
+          settle({ ok: false, error: payload.message });
+          break;
+      }
+    };
+    worker.onerror = (e) => {
+      settle({ ok: false, error: e.message || 'Video decoder worker failed' });
+    };
+
+    worker.postMessage(
+      {
+        type: 'DECODE',
+        payload: {
+          buffer,
+          config: {
+            codec: video.codec,
+            codedWidth: video.codedWidth,
+            codedHeight: video.codedHeight,
+            description: video.description,
+          },
+          samples: video.samples,
+          width: size.width,
+          height: size.height,
+        },
+      },
+      [buffer],
+    );
+  });
+}
@@ -0,0 +1,353 @@
+/**
+ * WebM Demuxer
+ * Locates the video blocks of a WebM (Matroska) file, including the
+ * unknown-size live streams MediaRecorder writes
+ * @module features/import/webm-demuxer
+ */
+
+import {
+  av1CodecString,
+  avcCodecString,
+  hevcCodecString,
+  vp9CodecStringFromFeatures,
+} from './codec-config.js';
+import { finalizeSamples } from './core.js';
+
+/**
+ * @typedef {import('./types.js').DemuxedSample} DemuxedSample
+ * @typedef {import('./types.js').DemuxedVideo} DemuxedVideo
+ */
+
+/** EBML element IDs (marker bits included, as written in the file) */
+const ID = {
+  EBML: 0x1a45dfa3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  ReferenceBlock: 0xfb,
+};
+
+/** Matroska TrackType for video */
+const TRACK_TYPE_VIDEO = 1;
+
+/** Default TimecodeScale: millisecond timestamps */
+const DEFAULT_TIMECODE_SCALE_NS = 1_000_000;
+
+/** SimpleBlock flag marking a keyframe */
+const SIMPLEBLOCK_KEYFRAME = 0x80;
+
+/** Block flag bits selecting a lacing mode */
+const BLOCK_LACING = 0x06;
+
+/**
+ * @typedef {Object} ElementHeader
+ * @property {number} id
+ * @property {number} dataStart
+ * @property {number} size - Data size; Infinity when unknown
+ */
+
+/**
+ * @typedef {Object} VideoTrackEntry
+ * @property {number} number
+ * @property {string} codecId
+ * @property {Uint8Array} [codecPrivate]
+ * @property {number} defaultDurationNs
+ * @property {number} pixelWidth
+ * @property {number} pixelHeight
+ */
+
+/**
+ * Read a variable-length integer
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {boolean} keepMarker - IDs keep their length marker, sizes drop it
+ * @returns {{ value: number, length: number, unknown: boolean } | null} null past the end
+ */
+function readVint(bytes, offset, keepMarker) {
+  if (offset >= bytes.length) return null;
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    if (bytes[offset + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {ElementHeader | null} null when the header is cut off
+ */
+function readHeader(bytes, offset) {
+  const id = readVint(bytes, offset, true);
+  if (!id) return null;
+  const size = readVint(bytes, offset + id.length, false);
+  if (!size) return null;
+  return {
+    id: id.value,
+    dataStart: offset + id.length + size.length,
+    size: size.unknown ? Infinity : size.value,
+  };
+}
+
+/**
+ * List the child elements of a known-size master element
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @returns {ElementHeader[]}
+ */
+function readChildren(bytes, start, end) {
+  /** @type {ElementHeader[]} */
+  const children = [];
+  let offset = start;
+  while (offset < end) {
+    const header = readHeader(bytes, offset);
+    if (!header || header.size === Infinity) break;
+    children.push(header);
+    offset = header.dataStart + header.size;
+  }
+  return children;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {ElementHeader} element
+ * @returns {number}
+ */
+function readUint(bytes, element) {
+  let value = 0;
+  for (let i = 0; i < element.size; i++) value = value * 256 + bytes[element.dataStart + i];
+  return value;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {ElementHeader} element
+ * @returns {string}
+ */
+function readString(bytes, element) {
+  return new TextDecoder()
+    .decode(bytes.subarray(element.dataStart, element.dataStart + element.size))
+    .replace(/\0+$/, '');
+}
+
+/**
+ * Find the first video track in a Tracks element
+ * @param {Uint8Array} bytes
+ * @param {ElementHeader} tracks
+ * @returns {VideoTrackEntry | null}
+ */
+function readVideoTrack(bytes, tracks) {
+  for (const entry of readChildren(bytes, tracks.dataStart, tracks.dataStart + tracks.size)) {
+    if (entry.id !== ID.TrackEntry) continue;
+    /** @type {VideoTrackEntry} */
+    const track = {
+      number: 0,
+      codecId: '',
+      defaultDurationNs: 0,
+      pixelWidth: 0,
+      pixelHeight: 0,
+    };
+    let type = 0;
+    for (const field of readChildren(bytes, entry.dataStart, entry.dataStart + entry.size)) {
+      if (field.id === ID.TrackNumber) track.number = readUint(bytes, field);
+      else if (field.id === ID.TrackType) type = readUint(bytes, field);
+      else if (field.id === ID.CodecID) track.codecId = readString(bytes, field);
+      else if (field.id === ID.CodecPrivate) {
+        track.codecPrivate = bytes.slice(field.dataStart, field.dataStart + field.size);
+      } else if (field.id === ID.DefaultDuration) track.defaultDurationNs = readUint(bytes, field);
+      else if (field.id === ID.Video) {
+        for (const v of readChildren(bytes, field.dataStart, field.dataStart + field.size)) {
+          if (v.id === ID.PixelWidth) track.pixelWidth = readUint(bytes, v);
+          else if (v.id === ID.PixelHeight) track.pixelHeight = readUint(bytes, v);
+        }
+      }
+    }
+    if (type === TRACK_TYPE_VIDEO) return track;
+  }
+  return null;
+}
+
+/**
+ * WebCodecs configuration for a Matroska video track
+ * @param {VideoTrackEntry} track
+ * @returns {{ codec: string, description?: Uint8Array }}
+ * @throws {Error} For codecs WebCodecs cannot be configured with from this file
+ */
+function getCodecConfig(track) {
+  const { codecId, codecPrivate } = track;
+  switch (codecId) {
+    case 'V_VP8':
+      return { codec: 'vp8' };
+    case 'V_VP9':
+      return { codec: vp9CodecStringFromFeatures(codecPrivate) };
+    case 'V_AV1':
+      return { codec: codecPrivate ? av1CodecString(codecPrivate) : 'av01.0.08M.08' };
+    case 'V_MPEG4/ISO/AVC':
+      if (!codecPrivate) throw new Error('H.264 track is missing its decoder configuration');
+      return { codec: avcCodecString(codecPrivate), description: codecPrivate };
+    case 'V_MPEGH/ISO/HEVC':
+      if (!codecPrivate) throw new Error('H.265 track is missing its decoder configuration');
+      return { codec: hevcCodecString(codecPrivate), description: codecPrivate };
+    default:
+      throw new Error(`Unsupported video codec: ${codecId || 'unknown'}`);
+  }
+}
+
+/**
+ * Parse a Block / SimpleBlock header
+ * @param {Uint8Array} bytes
+ * @param {ElementHeader} block
+ * @returns {{ track: number, relativeTime: number, flags: number, dataStart: number } | null}
+ */
+function readBlockHeader(bytes, block) {
+  const track = readVint(bytes, block.dataStart, false);
+  if (!track) return null;
+  const o = block.dataStart + track.length;
+  if (o + 3 > block.dataStart + block.size) return null;
+  const relativeTime = (((bytes[o] << 8) | bytes[o + 1]) << 16) >> 16;
+  return { track: track.value, relativeTime, flags: bytes[o + 2], dataStart: o + 3 };
+}
+
+/**
+ * Demux the first video track of a WebM file.
+ *
+ * Segment and Cluster sizes may be unknown (live recordings never go
+ * back to patch them), so the segment is read as a flat stream: those two
+ * are entered rather than skipped, and a Cluster ends wherever the next
+ * one begins. Blocks cut off by a truncated file are dropped.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {DemuxedVideo}
+ * @throws {Error} When the file is not WebM, has no video track or uses an
+ *   unsupported codec or lacing
+ */
+export function demuxWebm(bytes) {
+  const ebml = readHeader(bytes, 0);
+  if (!ebml || ebml.id !== ID.EBML || ebml.size === Infinity) {
+    throw new Error('Not a WebM file');
+  }
+  const docType = readChildren(bytes, ebml.dataStart, ebml.dataStart + ebml.size).find(
+    (e) => e.id === ID.DocType,
+  );
+  if (docType && !['webm', 'matroska'].includes(readString(bytes, docType))) {
+    throw new Error('Not a WebM file');
+  }
+
+  let timecodeScaleNs = DEFAULT_TIMECODE_SCALE_NS;
+  /** @type {VideoTrackEntry | null} */
+  let track = null;
+  let clusterTime = 0;
+  /** @type {{ offset: number, size: number, time: number, isKey: boolean }[]} */
+  const blocks = [];
+
+  /**
+   * @param {ElementHeader} block
+   * @param {boolean | null} isKey - null: read the SimpleBlock flag
+   */
+  const addBlock = (block, isKey) => {
+    const header = readBlockHeader(bytes, block);
+    if (!header || !track || header.track !== track.number) return;
+    if (header.flags & BLOCK_LACING) {
+      throw new Error('Laced video blocks are not supported');
+    }
+    blocks.push({
+      offset: header.dataStart,
+      size: block.dataStart + block.size - header.dataStart,
+      time: clusterTime + header.relativeTime,
+      isKey: isKey ?? (header.flags & SIMPLEBLOCK_KEYFRAME) !== 0,
+    });
+  };
+
+  let offset = ebml.dataStart + ebml.size;
+  while (offset < bytes.length) {
+    const element = readHeader(bytes, offset);
+    if (!element) break;
+    // Entered, not skipped: their children follow in the stream
+    if (element.id === ID.Segment || element.id === ID.Cluster) {
+      offset = element.dataStart;
+      continue;
+    }
+    if (element.size === Infinity) {
+      throw new Error('Unsupported unknown-size element in WebM file');
+    }
+    const end = element.dataStart + element.size;
+    if (end > bytes.length) break;
+
+    switch (element.id) {
+      case ID.Info: {
+        const scale = readChildren(bytes, element.dataStart, end).find(
+          (e) => e.id === ID.TimecodeScale,
+        );
+        if (scale) timecodeScaleNs = readUint(bytes, scale) || DEFAULT_TIMECODE_SCALE_NS;
+        break;
+      }
+      case ID.Tracks:
+        track ??= readVideoTrack(bytes, element);
+        break;
+      case ID.Timecode:
+        clusterTime = readUint(bytes, element);
+        break;
+      case ID.SimpleBlock:
+        addBlock(element, null);
+        break;
+      case ID.BlockGroup: {
+        const children = readChildren(bytes, element.dataStart, end);
+        const block = children.find((e) => e.id === ID.Block);
+        if (block) addBlock(block, !children.some((e) => e.id === ID.ReferenceBlock));
+        break;
+      }
+      default:
+        break;
+    }
+    offset = end;
+  }
+
+  if (!track) {
+    throw new Error('WebM file has no video track');
+  }
+
+  const video = track;
+  const config = getCodecConfig(video);
+  const toUs = timecodeScaleNs / 1000;
+  /** @type {DemuxedSample[]} */
+  const samples = blocks.map((block) => ({
+    offset: block.offset,
+    size: block.size,
+    timestampUs: block.time * toUs,
+    durationUs: video.defaultDurationNs / 1000,
+    isKey: block.isKey,
+  }));
+
+  return {
+    ...config,
+    codedWidth: video.pixelWidth,
+    codedHeight: video.pixelHeight,
+    width: video.pixelWidth,
+    height: video.pixelHeight,
+    samples: finalizeSamples(samples),
+  };
+}
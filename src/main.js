@@ -12,6 +12,13 @@ import {
   promoteClipFromQueue,
 } from './features/editor/index.js';
 import { initExport } from './features/export/index.js';
+import { readDroppedFiles } from './features/import/dropped-files.js';
+import {
+  importClipFile,
+  importImageSequence,
+  isImageFile,
+  isImportableFile,
+} from './features/import/index.js';
 import { initLoading } from './features/loading/index.js';
 import { initSettings } from './features/settings/index.js';
 import {
@@ -290,6 +297,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Clip Now header button, queue badge popover and global Shift+C (#95)
   setupClipQueueHeader();
 
+  // Dropping a GIF or video anywhere imports it as a clip
+  setupFileDrop();
+
   // Persistent live-capture PiP (#94) — mounted once, reacts to route/bus
   // events on its own; must be wired before initRouter() processes the
   // initial hash so its onRouteChange listener sees that first navigation.
@@ -494,6 +504,83 @@ function setupClipQueueHeader() {
   refresh();
 }
 
+// ============================================================
+// File Drop Import
+// ============================================================
+
+/**
+ * Accept GIFs, videos and images (or folders of them) dropped anywhere on
+ * the page. All dropped images together become one image-sequence clip.
+ *
+ * On the capture screen a dropped file becomes the active clip and opens
+ * like Create Clip. Everywhere else it joins the clip queue like Clip Now,
+ * so an open editor or export is never swapped out from under the user.
+ */
+function setupFileDrop() {
+  /** @param {DragEvent} e */
+  const hasFiles = (e) => e.dataTransfer?.types.includes('Files') ?? false;
+
+  document.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    if (e.dataTransfer) e.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('file-drop-active');
+  });
+  document.addEventListener('dragleave', (e) => {
+    // relatedTarget is null only when the drag leaves the window
+    if (e.relatedTarget === null) document.body.classList.remove('file-drop-active');
+  });
+  document.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove('file-drop-active');
+    if (!e.dataTransfer) return;
+    void readDroppedFiles(e.dataTransfer).then(importDroppedFiles);
+  });
+}
+
+/**
+ * @param {File[]} files
+ */
+async function importDroppedFiles(files) {
+  const importable = files.filter(isImportableFile);
+  if (importable.length === 0) {
+    showToast('Only GIF, MP4, WebM and PNG/JPEG/WebP image files can be imported');
+    return;
+  }
+
+  const images = importable.filter(isImageFile);
+  /** @type {{ name: string, run: (activate: boolean) => ReturnType<typeof importClipFile> }[]} */
+  const jobs = importable
+    .filter((file) => !isImageFile(file))
+    .map((file) => ({ name: file.name, run: (activate) => importClipFile(file, { activate }) }));
+  if (images.length > 0) {
+    jobs.push({
+      name: images.length === 1 ? images[0].name : `${images.length} images`,
+      run: (activate) => importImageSequence(images, { activate }),
+    });
+  }
+
+  // Only one file can become the active clip; the rest queue behind it
+  let activate = getCurrentRoute() === '/capture';
+  for (const job of jobs) {
+    const result = await job.run(activate);
+    if (!result.ok) {
+      if (result.message) {
+        showToast(result.message);
+        announce(result.message);
+      }
+      return;
+    }
+    if (activate && result.payload) {
+      activate = false;
+      navigate(result.payload.sceneDetectionEnabled ? '/loading' : '/editor');
+    } else {
+      announce(`${job.name} added to the clip queue`);
+    }
+  }
+}
+
 /**
  * Announce message to screen readers
  * @param {string} message - Message to announce
@@ -67,6 +67,12 @@ import { resetThumbnailCache } from './utils/thumbnail-cache.js';
  * back. Kept small on purpose: only what the user would notice losing.
  * @property {import('../features/editor/types.js').FrameRange} selectedRange
  * @property {import('../features/editor/types.js').CropArea|null} cropArea
+ * @property {import('../features/editor/types.js').AspectRatio} [selectedAspectRatio]
+ * @property {import('../features/editor/types.js').FrameRange[]} [cuts]
+ * @property {import('../features/editor/types.js').DelayOverrides} [delayOverrides]
+ * @property {import('../features/editor/types.js').Caption[]} [captions]
+ * @property {import('../features/editor/types.js').Shape[]} [shapes]
+ * @property {import('../features/editor/types.js').EditHistory} [history] - Undo/redo steps
  * @property {number} playbackSpeed
  * @property {number} currentFrame
  */
@@ -74,8 +80,9 @@ import { resetThumbnailCache } from './utils/thumbnail-cache.js';
 /**
  * @typedef {Object} ClipPayload
  * @property {import('../features/capture/types.js').Frame[]} frames - Captured frames
- * @property {15|30|60} fps - Capture FPS setting
+ * @property {number} fps - Capture FPS setting: 15, 30 or 60, or 1-60 for imported clips
  * @property {number} capturedAt - Timestamp when clip was created
+ * @property {boolean} [imported] - Clip was read from a file rather than captured
  * @property {boolean} [sceneDetectionEnabled] - Whether to run scene detection in editor
  * @property {import('../features/scene-detection/types.js').Scene[]} [scenes] - Pre-computed scenes from capture
  * @property {string} [id] - Stable clip identity across promote/demote round-trips
@@ -109,8 +116,9 @@ import { resetThumbnailCache } from './utils/thumbnail-cache.js';
  * @property {number} frameCount - Frame count, stable across compression
  * @property {CompressedClip|null} compressed - Compressed bytes ('compressed'/'decoding' only)
  * @property {number} [byteLengthMB] - Compressed size in MB (set once compressed)
- * @property {15|30|60} fps - Capture FPS
+ * @property {number} fps - Capture FPS
  * @property {number} capturedAt - Timestamp when clip was created
+ * @property {boolean} [imported] - Import flag carried with the clip
  * @property {boolean} [sceneDetectionEnabled] - Scene detection flag carried with the clip
  * @property {import('../features/scene-detection/types.js').Scene[]} [scenes] - Scenes carried with the clip
  * @property {SavedEditorState|null} [savedEditorState] - Editor state saved at demote time
@@ -136,6 +144,11 @@ import { resetThumbnailCache } from './utils/thumbnail-cache.js';
  * @property {import('../features/editor/types.js').CropArea|null} cropArea - Crop region
  * @property {import('../features/editor/types.js').Clip} clip - Full clip data (for state restoration)
  * @property {number} fps - FPS for export timing
+ * @property {import('../features/scene-detection/types.js').Scene[]} [scenes] - Detected scenes (clip frame indices)
+ * @property {import('../features/editor/types.js').FrameRange[]} [cuts] - Excluded ranges (clip frame indices), left out of the export
+ * @property {import('../features/editor/types.js').DelayOverrides} [delayOverrides] - Hold times (clip frame indices) written as frame delays
+ * @property {import('../features/editor/types.js').Caption[]} [captions] - Text burned into the frames (clip frame indices)
+ * @property {import('../features/editor/types.js').Shape[]} [shapes] - Shapes burned into the frames (clip frame indices)
  */
 
 /**
@@ -371,6 +384,7 @@ function activeToQueueEntry(active, editorState) {
     compressed: null,
     fps: active.fps,
     capturedAt: active.capturedAt,
+    imported: active.imported,
     sceneDetectionEnabled: active.sceneDetectionEnabled,
     // Scenes detected while editing supersede whatever the payload carried
     scenes: editorState?.scenes?.length ? editorState.scenes : active.scenes,
@@ -378,6 +392,12 @@ function activeToQueueEntry(active, editorState) {
       ? {
           selectedRange: editorState.selectedRange,
           cropArea: editorState.cropArea,
+          selectedAspectRatio: editorState.selectedAspectRatio,
+          cuts: editorState.cuts,
+          delayOverrides: editorState.delayOverrides,
+          captions: editorState.captions,
+          shapes: editorState.shapes,
+          history: editorState.history,
           playbackSpeed: editorState.playbackSpeed,
           currentFrame: editorState.currentFrame,
         }
@@ -644,6 +664,7 @@ export function enqueueClip(payload) {
     compressed: null,
     fps: payload.fps,
     capturedAt: payload.capturedAt,
+    imported: payload.imported,
     sceneDetectionEnabled: payload.sceneDetectionEnabled,
     scenes: payload.scenes,
     savedEditorState: payload.savedEditorState ?? null,
@@ -708,6 +729,7 @@ export function promoteQueuedClip(id, currentEditorState = null) {
     frames: entry.frames,
     fps: entry.fps,
     capturedAt: entry.capturedAt,
+    imported: entry.imported,
     sceneDetectionEnabled: entry.sceneDetectionEnabled,
     scenes: entry.scenes,
     thumbnailDataUrl: entry.thumbnailDataUrl,
@@ -962,7 +984,12 @@ export function validateClipPayload(payload) {
     errors.push('ClipPayload.frames cannot be empty');
   }
 
-  if (typeof p.fps !== 'number' || ![15, 30, 60].includes(p.fps)) {
+  if (p.imported === true) {
+    // Image sequences play at whatever rate they were imported at
+    if (typeof p.fps !== 'number' || !(p.fps >= 1 && p.fps <= 60)) {
+      errors.push('ClipPayload.fps must be between 1 and 60 for imported clips');
+    }
+  } else if (typeof p.fps !== 'number' || ![15, 30, 60].includes(p.fps)) {
     errors.push('ClipPayload.fps must be 15, 30, or 60');
   }
 
@@ -1016,6 +1043,24 @@ export function validateEditorPayload(payload) {
     }
   }
 
+  if (p.cuts !== undefined && !Array.isArray(p.cuts)) {
+    errors.push('EditorPayload.cuts must be an array');
+  }
+
+  if (
+    p.delayOverrides !== undefined &&
+    (typeof p.delayOverrides !== 'object' || p.delayOverrides === null)
+  ) {
+    errors.push('EditorPayload.delayOverrides must be an object');
+  }
+
+  if (p.captions !== undefined && !Array.isArray(p.captions)) {
+    errors.push('EditorPayload.captions must be an array');
+  }
+  if (p.shapes !== undefined && !Array.isArray(p.shapes)) {
+    errors.push('EditorPayload.shapes must be an array');
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -33,6 +33,10 @@ const STORAGE_KEY = 'glinfs_user_settings';
  *   (ring buffer + active clip + queue), conservatively estimated at raw
  *   RGBA w*h*4. The buffer is clamped to a share of it and clip creation is
  *   refused beyond it (#96).
+ * @property {number} imageSequenceFps - Frame rate of clips imported from
+ *   image sequences (1-60, default 10)
+ * @property {'letterbox'|'stretch'} imageSequenceFit - How images of a
+ *   different size than the first one in a sequence are fitted to it
  */
 
 /**
@@ -41,10 +45,35 @@ const STORAGE_KEY = 'glinfs_user_settings';
  * @property {1|2|3|4|5} frameSkip - Frame skip rate
  * @property {number} playbackSpeed - Playback speed multiplier (0.25-4.0)
  * @property {boolean} dithering - Dithering enabled
+ * @property {'floyd-steinberg'|'atkinson'|'sierra-lite'|'bayer4'|'bayer8'} ditherMethod - Dithering algorithm
+ * @property {'gifenc'|'median-cut'|'octree'|'neuquant'|'kmeans'} quantizer - Palette-building algorithm (GIF)
+ * @property {boolean} optimizeFrames - Store only changed pixels per frame (GIF)
+ * @property {boolean} globalPalette - Build one palette from the whole clip (GIF)
+ * @property {{ name: string, colors: string[] }|null} customPalette - Imported palette used
+ *   instead of quantizing (GIF); colors as #rrggbb
+ * @property {string[]} pinnedColors - #rrggbb colors every GIF palette must keep exactly
+ * @property {boolean} realTiming - Time frames by their capture timestamps
+ * @property {'forward'|'reverse'|'pingpong'} playbackDirection - Frame order in preview and export
+ * @property {boolean} mergeDuplicates - Merge identical consecutive frames into one longer frame
+ * @property {number} duplicateTolerance - Per-channel difference still treated as identical (0-32)
  * @property {number} loopCount - Loop count (0 = infinite)
  * @property {boolean} openInNewTab - Open result in new tab
  * @property {'quality'|'balanced'|'fast'} encoderPreset - Encoder quality preset
- * @property {'gifenc-js'|'gifsicle-wasm'} encoderId - Encoder to use
+ * @property {'gifenc-js'|'gifsicle-wasm'|'webp-native'|'apng-js'|'webm-webcodecs'|'mp4-webcodecs'|'sprite-sheet'|'png-zip'} encoderId - Encoder to use
+ * @property {boolean} lossless - Prefer lossless output on encoders that support it
+ * @property {'png'|'webp'} spriteSheetFormat - Image format of sprite sheet exports
+ * @property {number} spriteSheetColumns - Sprite sheet columns, 0 = as square as possible
+ * @property {'original'|'percent'|'fit'|'exact'} scaleMode - Output size mode
+ * @property {number} scalePercent - Output size in percent (10-200)
+ * @property {number} scaleMaxWidth - Fit width limit, 0 = none
+ * @property {number} scaleMaxHeight - Fit height limit, 0 = none
+ * @property {number} scaleWidth - Exact output width, 0 = crop width
+ * @property {number} scaleHeight - Exact output height, 0 = crop height
+ * @property {boolean} scaleLockAspect - Keep the crop's aspect ratio for exact sizes
+ * @property {'nearest'|'bilinear'|'bicubic'|'lanczos'} resampleFilter - Resampling filter
+ * @property {boolean} targetSizeEnabled - Fit exports under targetSizeKB
+ * @property {number} targetSizeKB - Target file size in kilobytes
+ * @property {'png'|'jpeg'|'webp'} stillFormat - Image format of frames saved from the editor
  */
 
 /**
@@ -60,16 +89,42 @@ const DEFAULT_SETTINGS = {
     clipQueueLimit: 10,
     captureResolutionLimit: 1920,
     memoryBudgetMB: 4000,
+    imageSequenceFps: 10,
+    imageSequenceFit: 'letterbox',
   },
   export: {
     quality: 0.8,
     frameSkip: 1,
     playbackSpeed: 1.0,
     dithering: true,
+    ditherMethod: 'floyd-steinberg',
+    quantizer: 'gifenc',
+    optimizeFrames: false,
+    globalPalette: false,
+    customPalette: null,
+    pinnedColors: [],
+    realTiming: false,
+    playbackDirection: 'forward',
+    mergeDuplicates: false,
+    duplicateTolerance: 0,
     loopCount: 0,
     openInNewTab: false,
     encoderPreset: 'balanced',
     encoderId: 'gifenc-js',
+    lossless: true,
+    spriteSheetFormat: 'png',
+    spriteSheetColumns: 0,
+    scaleMode: 'original',
+    scalePercent: 50,
+    scaleMaxWidth: 640,
+    scaleMaxHeight: 0,
+    scaleWidth: 0,
+    scaleHeight: 0,
+    scaleLockAspect: true,
+    resampleFilter: 'lanczos',
+    targetSizeEnabled: false,
+    targetSizeKB: 10240,
+    stillFormat: 'png',
   },
   thumbnailQuality: 'auto', // 'auto' | 'low' | 'standard' | 'high' | 'ultra'
 };
@@ -132,6 +187,22 @@ export const SETTINGS_METADATA = {
         step: 500,
         format: (v) => (v >= 1000 ? `${(v / 1000).toFixed(1)} GB` : `${v} MB`),
       },
+      imageSequenceFps: {
+        label: 'Image Sequence Frame Rate',
+        type: 'range',
+        min: 1,
+        max: 60,
+        step: 1,
+        format: (v) => `${v} FPS`,
+      },
+      imageSequenceFit: {
+        label: 'Image Sequence Size Mismatch',
+        type: 'select',
+        options: [
+          { value: 'letterbox', label: 'Letterbox to first image' },
+          { value: 'stretch', label: 'Stretch to first image' },
+        ],
+      },
     },
   },
   export: {
@@ -168,6 +239,61 @@ export const SETTINGS_METADATA = {
         label: 'Dithering',
         type: 'boolean',
       },
+      ditherMethod: {
+        label: 'Dithering Method',
+        type: 'select',
+        options: [
+          { value: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+          { value: 'atkinson', label: 'Atkinson' },
+          { value: 'sierra-lite', label: 'Sierra Lite' },
+          { value: 'bayer4', label: 'Bayer 4×4' },
+          { value: 'bayer8', label: 'Bayer 8×8' },
+        ],
+      },
+      quantizer: {
+        label: 'Quantizer',
+        type: 'select',
+        options: [
+          { value: 'gifenc', label: 'gifenc (default)' },
+          { value: 'median-cut', label: 'Median cut' },
+          { value: 'octree', label: 'Octree' },
+          { value: 'neuquant', label: 'NeuQuant' },
+          { value: 'kmeans', label: 'K-means' },
+        ],
+      },
+      optimizeFrames: {
+        label: 'Frame Optimization',
+        type: 'boolean',
+      },
+      globalPalette: {
+        label: 'Global Palette',
+        type: 'boolean',
+      },
+      realTiming: {
+        label: 'Real Capture Timing',
+        type: 'boolean',
+      },
+      playbackDirection: {
+        label: 'Playback Direction',
+        type: 'select',
+        options: [
+          { value: 'forward', label: 'Forward' },
+          { value: 'reverse', label: 'Reverse' },
+          { value: 'pingpong', label: 'Ping-pong' },
+        ],
+      },
+      mergeDuplicates: {
+        label: 'Merge Duplicate Frames',
+        type: 'boolean',
+      },
+      duplicateTolerance: {
+        label: 'Duplicate Tolerance',
+        type: 'number',
+        min: 0,
+        max: 32,
+        step: 1,
+        format: (v) => (v === 0 ? 'Exact' : `±${v}`),
+      },
       loopCount: {
         label: 'Loop Count',
         type: 'number',
@@ -195,6 +321,81 @@ export const SETTINGS_METADATA = {
         options: [
           { value: 'gifenc-js', label: 'gifenc-js' },
           { value: 'gifsicle-wasm', label: 'gifsicle-wasm' },
+          { value: 'webp-native', label: 'Animated WebP' },
+          { value: 'apng-js', label: 'APNG' },
+          { value: 'webm-webcodecs', label: 'WebM video' },
+          { value: 'mp4-webcodecs', label: 'MP4 video' },
+          { value: 'sprite-sheet', label: 'Sprite sheet' },
+          { value: 'png-zip', label: 'PNG sequence (ZIP)' },
+        ],
+      },
+      lossless: {
+        label: 'Lossless WebP',
+        type: 'boolean',
+      },
+      spriteSheetFormat: {
+        label: 'Sprite Sheet Format',
+        type: 'select',
+        options: [
+          { value: 'png', label: 'PNG' },
+          { value: 'webp', label: 'WebP' },
+        ],
+      },
+      spriteSheetColumns: {
+        label: 'Sprite Sheet Columns',
+        type: 'number',
+        min: 0,
+        max: 64,
+        step: 1,
+        format: (v) => (v === 0 ? 'Auto' : String(v)),
+      },
+      scaleMode: {
+        label: 'Output Size',
+        type: 'select',
+        options: [
+          { value: 'original', label: 'Original' },
+          { value: 'percent', label: 'Percentage' },
+          { value: 'fit', label: 'Max width / height' },
+          { value: 'exact', label: 'Exact size' },
+        ],
+      },
+      scalePercent: {
+        label: 'Scale Percentage',
+        type: 'range',
+        min: 10,
+        max: 200,
+        step: 5,
+        format: (v) => `${v}%`,
+      },
+      resampleFilter: {
+        label: 'Resampling Filter',
+        type: 'select',
+        options: [
+          { value: 'nearest', label: 'Nearest' },
+          { value: 'bilinear', label: 'Bilinear' },
+          { value: 'bicubic', label: 'Bicubic' },
+          { value: 'lanczos', label: 'Lanczos' },
+        ],
+      },
+      targetSizeEnabled: {
+        label: 'Fit Under Target Size',
+        type: 'boolean',
+      },
+      targetSizeKB: {
+        label: 'Target Size',
+        type: 'number',
+        min: 16,
+        max: 1048576,
+        step: 16,
+        format: (v) => (v >= 1024 ? `${Math.round((v / 1024) * 10) / 10} MB` : `${v} KB`),
+      },
+      stillFormat: {
+        label: 'Frame Still Format',
+        type: 'select',
+        options: [
+          { value: 'png', label: 'PNG' },
+          { value: 'jpeg', label: 'JPEG' },
+          { value: 'webp', label: 'WebP' },
         ],
       },
     },
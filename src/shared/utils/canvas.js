@@ -216,3 +216,205 @@ export function createFrameThumbnailDataUrl(frame, maxDimension = 160) {
     return null;
   }
 }
+
+// ============================================================================
+// Caption Rendering
+// ============================================================================
+
+/** Gap between caption text and the edge of its pill, in font sizes */
+const CAPTION_PADDING = 0.35;
+
+/** Caption line height, in font sizes */
+const CAPTION_LINE_HEIGHT = 1.2;
+
+/**
+ * Break caption text into lines no wider than the box. Explicit line
+ * breaks are kept; a word wider than the box gets a line of its own.
+ *
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx - Font already set
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+export function wrapCaptionText(ctx, text, maxWidth) {
+  /** @type {string[]} */
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Draw a caption in frame coordinates: the text centered in its box, over
+ * an optional rounded pill and with an optional outline.
+ *
+ * The editor preview, frame stills and export all draw through here, so
+ * the burned-in text matches what was placed.
+ *
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+ * @param {import('../../features/editor/types.js').Caption} caption
+ */
+export function drawCaption(ctx, caption) {
+  const { fontSize } = caption;
+  const padding = fontSize * CAPTION_PADDING;
+  const lineHeight = fontSize * CAPTION_LINE_HEIGHT;
+
+  ctx.save();
+  ctx.font = `${fontSize}px ${caption.font}`;
+  const lines = wrapCaptionText(ctx, caption.text, Math.max(1, caption.width - padding * 2));
+  const textWidth = Math.max(...lines.map((line) => ctx.measureText(line).width));
+  const textHeight = lines.length * lineHeight;
+  const centerX = caption.x + caption.width / 2;
+  const top = caption.y + (caption.height - textHeight) / 2;
+
+  if (caption.background) {
+    const pillHeight = textHeight + padding * 2;
+    ctx.fillStyle = caption.background;
+    ctx.beginPath();
+    ctx.roundRect(
+      centerX - textWidth / 2 - padding,
+      top - padding,
+      textWidth + padding * 2,
+      pillHeight,
+      Math.min(pillHeight / 2, fontSize),
+    );
+    ctx.fill();
+  }
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(2, fontSize / 6);
+  lines.forEach((line, i) => {
+    const y = top + lineHeight * (i + 0.5);
+    if (caption.outline) {
+      ctx.strokeStyle = caption.outline;
+      ctx.strokeText(line, centerX, y);
+    }
+    ctx.fillStyle = caption.color;
+    ctx.fillText(line, centerX, y);
+  });
+  ctx.restore();
+}
+
+// ============================================================================
+// Shape Rendering
+// ============================================================================
+
+/** Opacity of the dimming around a fully faded-in spotlight */
+const SPOTLIGHT_DIM = 0.6;
+
+/**
+ * How far a spotlight's dimming reaches past its box, in frame pixels.
+ * Anything beyond the canvas is clipped, so this only has to exceed the
+ * largest frame.
+ */
+const SPOTLIGHT_REACH = 100_000;
+
+/** Arrow head length, in stroke widths */
+const ARROW_HEAD_SCALE = 3;
+
+/**
+ * Draw a shape in frame coordinates
+ *
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+ * @param {import('../../features/editor/types.js').Shape} shape
+ * @param {number} [opacity] - 0-1, from the shape's fade
+ */
+export function drawShape(ctx, shape, opacity = 1) {
+  const { x, y, width, height, strokeWidth } = shape;
+  const points = shape.points.map((p) => ({ x: x + p.x * width, y: y + p.y * height }));
+
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.lineWidth = strokeWidth;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+
+  switch (shape.kind) {
+    case 'rect':
+      ctx.rect(x, y, width, height);
+      ctx.stroke();
+      break;
+    case 'ellipse':
+      ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+      ctx.stroke();
+      break;
+    case 'spotlight':
+      // The box is a hole in a dimmed sheet over everything else
+      ctx.globalAlpha = opacity * SPOTLIGHT_DIM;
+      ctx.fillStyle = '#000000';
+      ctx.rect(-SPOTLIGHT_REACH, -SPOTLIGHT_REACH, SPOTLIGHT_REACH * 2, SPOTLIGHT_REACH * 2);
+      ctx.rect(x, y, width, height);
+      ctx.fill('evenodd');
+      break;
+    case 'pen':
+      for (const [i, p] of points.entries()) {
+        if (i === 0) {
+          ctx.moveTo(p.x, p.y);
+        } else {
+          ctx.lineTo(p.x, p.y);
+        }
+      }
+      ctx.stroke();
+      break;
+    case 'arrow': {
+      const [tail, head] = points;
+      if (!tail || !head) break;
+      const angle = Math.atan2(head.y - tail.y, head.x - tail.x);
+      const headLength = Math.min(
+        strokeWidth * ARROW_HEAD_SCALE + 6,
+        Math.hypot(head.x - tail.x, head.y - tail.y),
+      );
+      // The shaft stops where the head starts so its round cap stays hidden
+      ctx.moveTo(tail.x, tail.y);
+      ctx.lineTo(
+        head.x - Math.cos(angle) * headLength * 0.5,
+        head.y - Math.sin(angle) * headLength * 0.5,
+      );
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(head.x, head.y);
+      ctx.lineTo(
+        head.x - headLength * Math.cos(angle - Math.PI / 6),
+        head.y - headLength * Math.sin(angle - Math.PI / 6),
+      );
+      ctx.lineTo(
+        head.x - headLength * Math.cos(angle + Math.PI / 6),
+        head.y - headLength * Math.sin(angle + Math.PI / 6),
+      );
+      ctx.closePath();
+      ctx.fill();
+      break;
+    }
+  }
+  ctx.restore();
+}
+
+/**
+ * Draw one annotation of a frame: a caption, or a shape at its fade
+ *
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+ * @param {import('../../features/editor/types.js').Annotation} annotation
+ */
+export function drawAnnotation(ctx, annotation) {
+  if (annotation.type === 'shape') {
+    drawShape(ctx, annotation.shape, annotation.opacity);
+  } else {
+    drawCaption(ctx, annotation.caption);
+  }
+}
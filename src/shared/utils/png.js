@@ -0,0 +1,292 @@
+/**
+ * PNG Utilities
+ * @module shared/utils/png
+ *
+ * Byte-level building blocks for writing PNG-family files in JavaScript:
+ * CRC-32, chunk framing, scanline filtering and zlib compression through
+ * the platform's CompressionStream (available in workers).
+ */
+
+/** The 8-byte PNG file signature */
+export const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** PNG color type for 8-bit RGBA */
+export const COLOR_TYPE_RGBA = 6;
+
+/** Bytes per RGBA pixel */
+const BYTES_PER_PIXEL = 4;
+
+/** Rows filtered and compressed per step by encodePngStream */
+const STREAM_ROWS = 64;
+
+/** Compressed bytes encodePngStream gathers into one IDAT chunk */
+const IDAT_CHUNK_BYTES = 1 << 16;
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * Lazily build the CRC-32 (IEEE 802.3) lookup table
+ * @returns {Uint32Array}
+ */
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+/**
+ * Update a running CRC-32 with more bytes.
+ *
+ * Pass the previous return value as `crc` to checksum data that arrives in
+ * pieces; start from 0.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0] - CRC of the bytes seen so far
+ * @returns {number} Unsigned 32-bit CRC
+ */
+export function crc32(bytes, crc = 0) {
+  const table = getCrcTable();
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    c = table[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk: length, type, data, CRC over type + data
+ * @param {string} type - Four-character chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array}
+ */
+export function makePngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Build IHDR data for an 8-bit RGBA image
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function makeIhdr(width, height) {
+  const data = new Uint8Array(13);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  data[8] = 8; // bit depth
+  data[9] = COLOR_TYPE_RGBA;
+  // compression, filter and interlace methods all 0
+  return data;
+}
+
+/**
+ * Paeth predictor (PNG spec 9.4)
+ * @param {number} a - Left
+ * @param {number} b - Above
+ * @param {number} c - Upper left
+ * @returns {number}
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Filter RGBA scanlines for compression.
+ *
+ * Each row gets whichever of the five standard filters yields the smallest
+ * sum of absolute (signed) residuals — the heuristic libpng uses, which
+ * suits flat UI regions (Sub/Up) and gradients (Paeth) alike.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba - Pixel data, row-major
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array} Filter-type byte + filtered bytes per row
+ */
+export function filterScanlines(rgba, width, height) {
+  return filterScanlineRows(rgba, width, 0, height);
+}
+
+/**
+ * Filter a band of RGBA scanlines, as filterScanlines does for the whole
+ * image. Rows are predicted from the real row above the band, so bands
+ * filtered one after another concatenate into the same bytes.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba - Pixel data of the whole image, row-major
+ * @param {number} width
+ * @param {number} startRow - First row of the band
+ * @param {number} endRow - Row after the band
+ * @returns {Uint8Array} Filter-type byte + filtered bytes per row of the band
+ */
+export function filterScanlineRows(rgba, width, startRow, endRow) {
+  const stride = width * BYTES_PER_PIXEL;
+  const out = new Uint8Array((endRow - startRow) * (stride + 1));
+  /** @type {Uint8Array[]} */
+  const candidates = Array.from({ length: 5 }, () => new Uint8Array(stride));
+
+  for (let y = startRow; y < endRow; y++) {
+    const row = y * stride;
+    const prev = row - stride;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+
+    for (let filter = 0; filter < 5; filter++) {
+      const line = candidates[filter];
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const x = rgba[row + i];
+        const a = i >= BYTES_PER_PIXEL ? rgba[row + i - BYTES_PER_PIXEL] : 0;
+        const b = y > 0 ? rgba[prev + i] : 0;
+        const c = y > 0 && i >= BYTES_PER_PIXEL ? rgba[prev + i - BYTES_PER_PIXEL] : 0;
+        let v;
+        switch (filter) {
+          case 0:
+            v = x;
+            break;
+          case 1:
+            v = x - a;
+            break;
+          case 2:
+            v = x - b;
+            break;
+          case 3:
+            v = x - ((a + b) >> 1);
+            break;
+          default:
+            v = x - paeth(a, b, c);
+        }
+        v &= 0xff;
+        line[i] = v;
+        score += v < 128 ? v : 256 - v;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+      }
+    }
+
+    const offset = (y - startRow) * (stride + 1);
+    out[offset] = bestFilter;
+    out.set(candidates[bestFilter], offset + 1);
+  }
+
+  return out;
+}
+
+/**
+ * Compress bytes into a zlib (RFC 1950) stream, as PNG IDAT/fdAT expects
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function zlibDeflate(bytes) {
+  const stream = new CompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+  // Not awaited: the readable side must be drained concurrently or a large
+  // input would fill the stream's queue and stall the write.
+  const written = writer.write(bytes).then(() => writer.close());
+
+  /** @type {Uint8Array[]} */
+  const parts = [];
+  let total = 0;
+  const reader = stream.readable.getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    total += value.length;
+  }
+  await written;
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Encode RGBA pixels as a PNG, handing the file out in pieces as it is
+ * written.
+ *
+ * Rows are filtered and compressed a band at a time, and the compressed
+ * output is cut into IDAT chunks as it arrives (a PNG may split its image
+ * data across any number of them). Neither a filtered nor a compressed
+ * copy of the whole image is ever held, which is what lets long exports
+ * stream frame after frame into an archive.
+ *
+ * @param {Uint8Array | Uint8ClampedArray} rgba - Pixel data, row-major
+ * @param {number} width
+ * @param {number} height
+ * @param {(bytes: Uint8Array) => void} onData - Receives the file's bytes in order
+ * @returns {Promise<void>} Settles once the last piece was handed out
+ */
+export async function encodePngStream(rgba, width, height, onData) {
+  onData(PNG_SIGNATURE);
+  onData(makePngChunk('IHDR', makeIhdr(width, height)));
+
+  const stream = new CompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+  // Rows are fed while the output is drained; either side alone would
+  // stall once the stream's queue fills
+  const feed = async () => {
+    for (let y = 0; y < height; y += STREAM_ROWS) {
+      await writer.write(filterScanlineRows(rgba, width, y, Math.min(height, y + STREAM_ROWS)));
+    }
+    await writer.close();
+  };
+
+  /** @type {Uint8Array[]} */
+  let pending = [];
+  let pendingBytes = 0;
+  const flush = () => {
+    if (pendingBytes === 0) return;
+    const data = new Uint8Array(pendingBytes);
+    let offset = 0;
+    for (const part of pending) {
+      data.set(part, offset);
+      offset += part.length;
+    }
+    onData(makePngChunk('IDAT', data));
+    pending = [];
+    pendingBytes = 0;
+  };
+  const drain = async () => {
+    const reader = stream.readable.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      pending.push(value);
+      pendingBytes += value.length;
+      if (pendingBytes >= IDAT_CHUNK_BYTES) flush();
+    }
+  };
+
+  await Promise.all([feed(), drain()]);
+  flush();
+  onData(makePngChunk('IEND', new Uint8Array(0)));
+}
@@ -0,0 +1,279 @@
+/**
+ * ZIP Writer
+ * @module shared/utils/zip
+ *
+ * Writes uncompressed (stored) ZIP archives a piece at a time. Entry data is
+ * handed over in chunks and each chunk becomes a Blob straight away, so the
+ * archive is assembled from Blob parts the browser may keep out of the
+ * JavaScript heap instead of one growing buffer. Stored is the right method
+ * for the payloads written here (PNG files are already deflated).
+ *
+ * ZIP64 records are only added when an archive needs them: more than 65535
+ * entries or data past the 4 GiB mark.
+ */
+
+import { crc32 } from './png.js';
+
+/** Local file header signature */
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/** Central directory file header signature */
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+
+/** End of central directory record signature */
+const EOCD_SIGNATURE = 0x06054b50;
+
+/** ZIP64 end of central directory record signature */
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+
+/** ZIP64 end of central directory locator signature */
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+
+/** ZIP64 extended information extra field tag */
+const ZIP64_EXTRA_TAG = 0x0001;
+
+/** General purpose flag: file names are UTF-8 */
+const FLAG_UTF8 = 0x0800;
+
+/** Version needed to extract: 2.0 for stored files, 4.5 for ZIP64 */
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+
+/** Largest value of a 32-bit field; also the ZIP64 placeholder */
+const MAX_UINT32 = 0xffffffff;
+
+/** Largest value of a 16-bit field; also the ZIP64 placeholder */
+const MAX_UINT16 = 0xffff;
+
+/**
+ * A file as the central directory describes it
+ * @typedef {Object} ZipEntry
+ * @property {Uint8Array} name - UTF-8 file name
+ * @property {number} crc - CRC-32 of the data
+ * @property {number} size - Data length in bytes
+ * @property {number} offset - Offset of the local header in the archive
+ * @property {number} time - MS-DOS time
+ * @property {number} date - MS-DOS date
+ */
+
+/**
+ * Receives the data of one file
+ * @typedef {Object} ZipEntrySink
+ * @property {(chunk: Uint8Array) => void} write - Append bytes to the file
+ * @property {() => void} close - End the file
+ */
+
+/**
+ * @typedef {Object} ZipWriter
+ * @property {(name: string, date?: Date) => ZipEntrySink} openEntry - Start a file; only one may be open at a time
+ * @property {(name: string, bytes: Uint8Array, date?: Date) => void} addFile - Add a file held in memory
+ * @property {() => Blob} finish - Write the central directory and return the archive
+ */
+
+/**
+ * MS-DOS date and time fields (local time, 2-second resolution, 1980+)
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+export function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Write a 64-bit little-endian unsigned integer
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} value - Safe integer
+ */
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+/**
+ * Local file header; written once the entry's CRC and size are known
+ * @param {ZipEntry} entry
+ * @returns {Uint8Array}
+ */
+function makeLocalHeader(entry) {
+  const header = new Uint8Array(30 + entry.name.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+  view.setUint16(4, VERSION_DEFAULT, true);
+  view.setUint16(6, FLAG_UTF8, true);
+  view.setUint16(8, 0, true); // method: stored
+  view.setUint16(10, entry.time, true);
+  view.setUint16(12, entry.date, true);
+  view.setUint32(14, entry.crc, true);
+  view.setUint32(18, entry.size, true); // compressed size
+  view.setUint32(22, entry.size, true); // uncompressed size
+  view.setUint16(26, entry.name.length, true);
+  view.setUint16(28, 0, true); // extra field length
+  header.set(entry.name, 30);
+  return header;
+}
+
+/**
+ * Central directory header; entries past 4 GiB carry their offset in a
+ * ZIP64 extra field
+ * @param {ZipEntry} entry
+ * @returns {Uint8Array}
+ */
+function makeCentralHeader(entry) {
+  const zip64 = entry.offset >= MAX_UINT32;
+  const extraLength = zip64 ? 12 : 0;
+  const header = new Uint8Array(46 + entry.name.length + extraLength);
+  const view = new DataView(header.buffer);
+  const version = zip64 ? VERSION_ZIP64 : VERSION_DEFAULT;
+  view.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+  view.setUint16(4, version, true); // version made by
+  view.setUint16(6, version, true); // version needed
+  view.setUint16(8, FLAG_UTF8, true);
+  view.setUint16(10, 0, true); // method: stored
+  view.setUint16(12, entry.time, true);
+  view.setUint16(14, entry.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, entry.size, true);
+  view.setUint32(24, entry.size, true);
+  view.setUint16(28, entry.name.length, true);
+  view.setUint16(30, extraLength, true);
+  // comment length, disk number, internal and external attributes stay 0
+  view.setUint32(42, zip64 ? MAX_UINT32 : entry.offset, true);
+  header.set(entry.name, 46);
+  if (zip64) {
+    const extra = 46 + entry.name.length;
+    view.setUint16(extra, ZIP64_EXTRA_TAG, true);
+    view.setUint16(extra + 2, 8, true);
+    setUint64(view, extra + 4, entry.offset);
+  }
+  return header;
+}
+
+/**
+ * End of central directory, preceded by the ZIP64 record and locator when
+ * the counts or offsets do not fit the classic fields
+ * @param {number} count - Number of entries
+ * @param {number} directoryOffset
+ * @param {number} directorySize
+ * @returns {Uint8Array}
+ */
+function makeEndRecords(count, directoryOffset, directorySize) {
+  const zip64 = count >= MAX_UINT16 || directoryOffset >= MAX_UINT32 || directorySize >= MAX_UINT32;
+  const zip64Length = zip64 ? 56 + 20 : 0;
+  const records = new Uint8Array(zip64Length + 22);
+  const view = new DataView(records.buffer);
+
+  if (zip64) {
+    view.setUint32(0, ZIP64_EOCD_SIGNATURE, true);
+    setUint64(view, 4, 56 - 12); // size of the rest of the record
+    view.setUint16(12, VERSION_ZIP64, true);
+    view.setUint16(14, VERSION_ZIP64, true);
+    // disk numbers stay 0
+    setUint64(view, 24, count);
+    setUint64(view, 32, count);
+    setUint64(view, 40, directorySize);
+    setUint64(view, 48, directoryOffset);
+
+    view.setUint32(56, ZIP64_LOCATOR_SIGNATURE, true);
+    setUint64(view, 64, directoryOffset + directorySize); // offset of the ZIP64 record
+    view.setUint32(72, 1, true); // total number of disks
+  }
+
+  const eocd = zip64Length;
+  view.setUint32(eocd, EOCD_SIGNATURE, true);
+  view.setUint16(eocd + 8, Math.min(count, MAX_UINT16), true);
+  view.setUint16(eocd + 10, Math.min(count, MAX_UINT16), true);
+  view.setUint32(eocd + 12, Math.min(directorySize, MAX_UINT32), true);
+  view.setUint32(eocd + 16, Math.min(directoryOffset, MAX_UINT32), true);
+  return records;
+}
+
+/**
+ * Create a ZIP writer.
+ *
+ * Files are written one after another: open an entry, write its data in
+ * as many chunks as convenient, close it, then open the next.
+ *
+ * @returns {ZipWriter}
+ */
+export function createZipWriter() {
+  const encoder = new TextEncoder();
+  /** @type {BlobPart[]} */
+  const parts = [];
+  /** @type {ZipEntry[]} */
+  const entries = [];
+  let offset = 0;
+  let entryOpen = false;
+  let finished = false;
+
+  /**
+   * @param {string} name
+   * @param {Date} [date]
+   * @returns {ZipEntrySink}
+   */
+  function openEntry(name, date = new Date()) {
+    if (finished) throw new Error('ZIP archive already finished');
+    if (entryOpen) throw new Error('Close the previous ZIP entry first');
+    entryOpen = true;
+
+    /** @type {Blob[]} */
+    const data = [];
+    let crc = 0;
+    let size = 0;
+    let closed = false;
+
+    return {
+      write(chunk) {
+        if (closed) throw new Error(`ZIP entry ${name} is closed`);
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        data.push(new Blob([chunk]));
+      },
+      close() {
+        if (closed) return;
+        closed = true;
+        entryOpen = false;
+        if (size >= MAX_UINT32) {
+          throw new Error(`${name} is too large for a ZIP entry`);
+        }
+        /** @type {ZipEntry} */
+        const entry = { name: encoder.encode(name), crc, size, offset, ...toDosDateTime(date) };
+        const header = makeLocalHeader(entry);
+        parts.push(header, ...data);
+        offset += header.length + size;
+        entries.push(entry);
+      },
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {Uint8Array} bytes
+   * @param {Date} [date]
+   */
+  function addFile(name, bytes, date) {
+    const sink = openEntry(name, date);
+    sink.write(bytes);
+    sink.close();
+  }
+
+  function finish() {
+    if (entryOpen) throw new Error('Close the last ZIP entry first');
+    finished = true;
+    const directoryOffset = offset;
+    let directorySize = 0;
+    for (const entry of entries) {
+      const header = makeCentralHeader(entry);
+      parts.push(header);
+      directorySize += header.length;
+    }
+    parts.push(makeEndRecords(entries.length, directoryOffset, directorySize));
+    return new Blob(parts, { type: 'application/zip' });
+  }
+
+  return { openEntry, addFile, finish };
+}
@@ -4,8 +4,12 @@
  * @module workers/gif-encoder-worker
  */
 
+import { createApngEncoder } from '../features/export/encoders/apng-encoder.js';
 import { createGifencEncoder } from '../features/export/encoders/gifenc-encoder.js';
 import { createGifsicleEncoder } from '../features/export/encoders/gifsicle-encoder.js';
+import { createPngSequenceEncoder } from '../features/export/encoders/png-sequence-encoder.js';
+import { createMp4Encoder, createWebmEncoder } from '../features/export/encoders/video-encoder.js';
+import { createWebpEncoder } from '../features/export/encoders/webp-encoder.js';
 import { Commands, Events } from './worker-protocol.js';
 
 /**
@@ -15,6 +19,11 @@ import { Commands, Events } from './worker-protocol.js';
 const encoderFactories = {
   'gifenc-js': createGifencEncoder,
   'gifsicle-wasm': createGifsicleEncoder,
+  'webp-native': createWebpEncoder,
+  'apng-js': createApngEncoder,
+  'webm-webcodecs': createWebmEncoder,
+  'mp4-webcodecs': createMp4Encoder,
+  'png-zip': createPngSequenceEncoder,
 };
 
 /** @type {import('../features/export/encoders/types.js').EncoderInterface | null} */
@@ -39,6 +48,16 @@ let startTime = 0;
  */
 let sessionAborted = false;
 
+/**
+ * Tail of the command chain. Encoders may complete addFrame/finish
+ * asynchronously (webp-native awaits the browser's image encoder), and the
+ * worker does not wait for an async onmessage handler before dispatching
+ * the next message — so every command is chained behind the previous one
+ * to keep frames in submission order and FINISH behind the last frame.
+ * @type {Promise<void>}
+ */
+let commandChain = Promise.resolve();
+
 /**
  * Send event to main thread
  * @param {import('./worker-protocol.js').WorkerEvent} event
@@ -81,6 +100,17 @@ async function handleInit(message) {
       frameDelayMs: message.frameDelayMs,
       loopCount: message.loopCount,
       quantizeFormat: message.quantizeFormat,
+      paletteInterval: message.paletteInterval,
+      sceneCuts: message.sceneCuts,
+      quantizer: message.quantizer,
+      dither: message.dither,
+      optimizeFrames: message.optimizeFrames,
+      palette: message.palette,
+      pinnedColors: message.pinnedColors,
+      paletteSample: message.paletteSample,
+      quality: message.quality,
+      lossless: message.lossless,
+      manifest: message.manifest,
     });
 
     totalFrames = message.totalFrames;
@@ -106,7 +136,7 @@ async function handleInit(message) {
  * Handle add frame command
  * @param {import('./worker-protocol.js').AddFrameMessage} message
  */
-function handleAddFrame(message) {
+async function handleAddFrame(message) {
   if (sessionAborted) {
     // A prior frame already failed this session; the encoder may be in an
     // inconsistent state so it must not receive further frames. Silently
@@ -122,11 +152,12 @@ function handleAddFrame(message) {
 
     const rgba = new Uint8ClampedArray(message.rgbaData);
 
-    encoder.addFrame(
+    await encoder.addFrame(
       {
         rgba,
         width: message.width,
         height: message.height,
+        delayMs: message.delayMs,
       },
       message.frameIndex,
     );
@@ -154,7 +185,7 @@ function handleAddFrame(message) {
 /**
  * Handle finish command
  */
-function handleFinish() {
+async function handleFinish() {
   if (sessionAborted) {
     // A frame already failed; finishing now would silently produce a GIF
     // missing frames (#45). Fail fast instead.
@@ -171,20 +202,19 @@ function handleFinish() {
       throw new Error('Encoder not initialized');
     }
 
-    const bytes = encoder.finish();
+    const output = await encoder.finish();
     const duration = Date.now() - startTime;
-
-    // Send ArrayBuffer as Transferable
-    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
-
-    postEvent(
-      {
-        event: Events.COMPLETE,
-        gifData: buffer,
-        duration,
-      },
-      [buffer],
-    );
+    const mimeType = encoder.metadata?.mimeType ?? 'image/gif';
+
+    if (output instanceof Blob) {
+      // Blobs are passed by reference; reading one into a buffer here
+      // would put the whole file in memory twice
+      postEvent({ event: Events.COMPLETE, gifData: output, mimeType, duration });
+    } else {
+      // Send ArrayBuffer as Transferable
+      const buffer = output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength);
+      postEvent({ event: Events.COMPLETE, gifData: buffer, mimeType, duration }, [buffer]);
+    }
 
     // Cleanup
     encoder.dispose();
@@ -219,23 +249,21 @@ function handleCancel() {
 }
 
 /**
- * Message handler
- * @param {MessageEvent<import('./worker-protocol.js').WorkerMessage>} event
+ * Dispatch a single command
+ * @param {import('./worker-protocol.js').WorkerMessage} message
  */
-self.onmessage = async (event) => {
-  const message = event.data;
-
+async function handleMessage(message) {
   switch (message.command) {
     case Commands.INIT:
       await handleInit(message);
       break;
 
     case Commands.ADD_FRAME:
-      handleAddFrame(message);
+      await handleAddFrame(message);
       break;
 
     case Commands.FINISH:
-      handleFinish();
+      await handleFinish();
       break;
 
     case Commands.CANCEL:
@@ -249,6 +277,18 @@ self.onmessage = async (event) => {
         code: 'UNKNOWN_COMMAND',
       });
   }
+}
+
+/**
+ * Message handler
+ * @param {MessageEvent<import('./worker-protocol.js').WorkerMessage>} event
+ * @returns {Promise<void>} Settles once this command has been handled
+ */
+self.onmessage = (event) => {
+  const message = event.data;
+  // Handlers report their own failures as ERROR events and never reject
+  commandChain = commandChain.then(() => handleMessage(message));
+  return commandChain;
 };
 
 /**
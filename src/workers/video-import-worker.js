@@ -0,0 +1,146 @@
+/**
+ * Video Import Worker - decodes an imported video file off the main thread
+ *
+ * Receives the file bytes (transferred) and the sample table the main
+ * thread demuxed, decodes with WebCodecs VideoDecoder and downscales every
+ * frame to the capture resolution limit as it comes out, so full-size
+ * decoder output never piles up. Scaling through an ImageBitmap also
+ * normalizes the decoder's pixel format (often NV12 or I420) to RGB, which
+ * is what the editor and export paths read back.
+ *
+ * Frame-ownership contract (same as the clip codec worker's DECODE):
+ * output frames are transferred to the main thread in DECODE_RESULT, which
+ * owns them from then on. On failure they are closed here (the main thread
+ * never saw them).
+ *
+ * @module workers/video-import-worker
+ */
+
+/** Samples queued in the decoder before feeding pauses for output */
+const MAX_DECODE_QUEUE = 8;
+
+/** Progress is reported every N frames */
+const PROGRESS_INTERVAL = 10;
+
+self.onmessage = (e) => {
+  const { type, payload } = e.data;
+  if (type === 'DECODE') {
+    void handleDecode(payload);
+  }
+};
+
+/**
+ * Close a VideoFrame, tolerating already-closed frames
+ * @param {VideoFrame} frame
+ */
+function closeSafe(frame) {
+  try {
+    frame.close();
+  } catch {
+    // Already closed
+  }
+}
+
+/**
+ * @param {Object} payload
+ * @param {ArrayBuffer} payload.buffer - The whole file
+ * @param {{ codec: string, codedWidth: number, codedHeight: number, description?: Uint8Array }} payload.config
+ * @param {import('../features/import/types.js').DemuxedSample[]} payload.samples
+ * @param {number} payload.width - Output width
+ * @param {number} payload.height - Output height
+ */
+async function handleDecode({ buffer, config, samples, width, height }) {
+  /** @type {VideoFrame[]} */
+  const frames = [];
+  /** @type {VideoDecoder | null} */
+  let decoder = null;
+  let aborted = false;
+  try {
+    const bytes = new Uint8Array(buffer);
+
+    /** @type {(err: Error) => void} */
+    let failDecode = () => {};
+    const decoderFailed = new Promise((_, reject) => {
+      failDecode = reject;
+    });
+    decoderFailed.catch(() => {});
+
+    // Scaling is async; a chain keeps output in decoder order
+    let scaling = Promise.resolve();
+
+    /** @param {VideoFrame} decoded */
+    const scaleFrame = async (decoded) => {
+      try {
+        const bitmap = await createImageBitmap(decoded, {
+          resizeWidth: width,
+          resizeHeight: height,
+          resizeQuality: 'high',
+        });
+        const frame = new VideoFrame(bitmap, {
+          timestamp: decoded.timestamp,
+          ...(decoded.duration != null ? { duration: decoded.duration } : {}),
+        });
+        bitmap.close();
+        if (aborted) {
+          frame.close();
+          return;
+        }
+        frames.push(frame);
+        if (frames.length % PROGRESS_INTERVAL === 0) {
+          self.postMessage({
+            type: 'PROGRESS',
+            payload: { decoded: frames.length, total: samples.length },
+          });
+        }
+      } finally {
+        decoded.close();
+      }
+    };
+
+    decoder = new VideoDecoder({
+      output: (decoded) => {
+        scaling = scaling.then(() => scaleFrame(decoded));
+        scaling.catch((err) => failDecode(err instanceof Error ? err : new Error(String(err))));
+      },
+      error: (err) => failDecode(err instanceof Error ? err : new Error(String(err))),
+    });
+    decoder.configure({
+      codec: config.codec,
+      codedWidth: config.codedWidth,
+      codedHeight: config.codedHeight,
+      ...(config.description ? { description: config.description } : {}),
+    });
+
+    for (const sample of samples) {
+      while (decoder.decodeQueueSize > MAX_DECODE_QUEUE) {
+        const target = decoder;
+        await Promise.race([
+          new Promise((resolve) => target.addEventListener('dequeue', resolve, { once: true })),
+          decoderFailed,
+        ]);
+      }
+      decoder.decode(
+        new EncodedVideoChunk({
+          type: sample.isKey ? 'key' : 'delta',
+          timestamp: sample.timestampUs,
+          duration: sample.durationUs,
+          data: bytes.subarray(sample.offset, sample.offset + sample.size),
+        }),
+      );
+    }
+
+    await Promise.race([decoder.flush(), decoderFailed]);
+    await Promise.race([scaling, decoderFailed]);
+    decoder.close();
+
+    frames.sort((a, b) => a.timestamp - b.timestamp);
+    self.postMessage({ type: 'DECODE_RESULT', payload: { frames } }, frames);
+  } catch (err) {
+    // The main thread never owned these frames — close them here
+    aborted = true;
+    for (const frame of frames) closeSafe(frame);
+    if (decoder && decoder.state !== 'closed') decoder.close();
+    const message = err instanceof Error ? err.message : 'Decode failed';
+    self.postMessage({ type: 'JOB_ERROR', payload: { message } });
+  }
+}
@@ -56,6 +56,18 @@ function createWorkerError(message, code, context) {
  * @property {number} frameDelayMs - Frame delay (ms)
  * @property {number} loopCount - Loop count
  * @property {import('../features/export/encoders/types.js').QuantizeFormat} [quantizeFormat] - Quantization format
+ * @property {number} [paletteInterval] - Palette rebuild schedule (gifenc)
+ * @property {number[]} [sceneCuts] - Frames that start a new scene (gifenc)
+ * @property {import('../features/export/quantizers/types.js').QuantizerId} [quantizer] - Palette algorithm (gifenc)
+ * @property {import('../features/export/encoders/types.js').DitherMethod|'none'} [dither] - Dithering (gifenc)
+ * @property {boolean} [optimizeFrames] - Write only changed regions (gifenc)
+ * @property {number[][]} [palette] - Fixed palette instead of quantizing (gifenc)
+ * @property {number[][]} [pinnedColors] - Colors every palette must contain (gifenc)
+ * @property {Uint8ClampedArray} [paletteSample] - Whole-clip pixels for one global palette (gifenc)
+ * @property {number} [quality] - Lossy quality 0.1-1.0 (true-color encoders)
+ * @property {boolean} [lossless] - Prefer lossless compression where supported
+ * @property {import('../features/export/types.js').PngSequenceManifest} [manifest] - File names
+ *   and timings of a PNG sequence (png-zip)
  */
 
 /**
@@ -86,7 +98,7 @@ export class GifEncoderManager {
      */
     this.onError = null;
 
-    /** @type {((data: ArrayBuffer) => void) | null} */
+    /** @type {((data: ArrayBuffer | Blob, mimeType?: string) => void) | null} */
     this._resolveComplete = null;
 
     /** @type {((error: Error) => void) | null} */
@@ -203,9 +215,22 @@ export class GifEncoderManager {
           frameDelayMs: config.frameDelayMs,
           loopCount: config.loopCount,
           quantizeFormat: config.quantizeFormat,
+          paletteInterval: config.paletteInterval,
+          sceneCuts: config.sceneCuts,
+          quantizer: config.quantizer,
+          dither: config.dither,
+          optimizeFrames: config.optimizeFrames,
+          palette: config.palette,
+          pinnedColors: config.pinnedColors,
+          paletteSample: config.paletteSample,
+          quality: config.quality,
+          lossless: config.lossless,
+          manifest: config.manifest,
         });
 
-        this.worker.postMessage(initMessage);
+        // The palette sample is only needed by the worker; hand its buffer over
+        const sample = config.paletteSample;
+        this.worker.postMessage(initMessage, sample ? [sample.buffer] : []);
       } catch (error) {
         settle('reject', error instanceof Error ? error : new Error('Failed to create worker'));
       }
@@ -244,8 +269,9 @@ export class GifEncoderManager {
    * @param {number} width - Frame width
    * @param {number} height - Frame height
    * @param {number} frameIndex - Frame index
+   * @param {number} [delayMs] - Display time of this frame (defaults to the config's frameDelayMs)
    */
-  addFrame(rgba, width, height, frameIndex) {
+  addFrame(rgba, width, height, frameIndex, delayMs) {
     if (!this.worker || !this._isInitialized) {
       throw createWorkerError(
         'Worker not initialized. Call init() first.',
@@ -254,7 +280,7 @@ export class GifEncoderManager {
       );
     }
 
-    const { message, transfer } = createAddFrameMessage(rgba, width, height, frameIndex);
+    const { message, transfer } = createAddFrameMessage(rgba, width, height, frameIndex, delayMs);
     this.worker.postMessage(message, transfer);
   }
 
@@ -274,8 +300,12 @@ export class GifEncoderManager {
         return;
       }
 
-      this._resolveComplete = (gifData) => {
-        resolve(new Blob([gifData], { type: 'image/gif' }));
+      this._resolveComplete = (gifData, mimeType = 'image/gif') => {
+        resolve(
+          gifData instanceof Blob && gifData.type === mimeType
+            ? gifData
+            : new Blob([gifData], { type: mimeType }),
+        );
       };
 
       this._rejectComplete = reject;
@@ -341,7 +371,7 @@ export class GifEncoderManager {
           break;
 
         case Events.COMPLETE:
-          this._resolveComplete?.(data.gifData);
+          this._resolveComplete?.(data.gifData, data.mimeType);
           this._resolveComplete = null;
           this._rejectComplete = null;
           break;
@@ -50,6 +50,18 @@ export const Events = {
  * @property {number} frameDelayMs - Frame delay (ms)
  * @property {number} loopCount - Loop count
  * @property {import('../features/export/encoders/types.js').QuantizeFormat} [quantizeFormat] - Quantization format
+ * @property {number} [paletteInterval] - Palette rebuild schedule (gifenc)
+ * @property {number[]} [sceneCuts] - Frames that start a new scene (gifenc)
+ * @property {import('../features/export/quantizers/types.js').QuantizerId} [quantizer] - Palette algorithm (gifenc)
+ * @property {import('../features/export/encoders/types.js').DitherMethod|'none'} [dither] - Dithering (gifenc)
+ * @property {boolean} [optimizeFrames] - Write only changed regions (gifenc)
+ * @property {number[][]} [palette] - Fixed palette instead of quantizing (gifenc)
+ * @property {number[][]} [pinnedColors] - Colors every palette must contain (gifenc)
+ * @property {Uint8ClampedArray} [paletteSample] - Whole-clip pixels for one global palette (gifenc)
+ * @property {number} [quality] - Lossy quality 0.1-1.0 (true-color encoders)
+ * @property {boolean} [lossless] - Prefer lossless compression where supported
+ * @property {import('../features/export/types.js').PngSequenceManifest} [manifest] - File names
+ *   and timings of a PNG sequence (png-zip)
  */
 
 /**
@@ -60,6 +72,7 @@ export const Events = {
  * @property {number} width - Frame width
  * @property {number} height - Frame height
  * @property {number} frameIndex - Frame index
+ * @property {number} [delayMs] - Display time of this frame; overrides the config's frameDelayMs
  */
 
 /**
@@ -99,7 +112,9 @@ export const Events = {
  * Complete event
  * @typedef {Object} CompleteEvent
  * @property {typeof Events.COMPLETE} event
- * @property {ArrayBuffer} gifData - GIF data (Transferable)
+ * @property {ArrayBuffer | Blob} gifData - Encoded file data (ArrayBuffers are transferred;
+ *   encoders that assemble their output as a Blob hand it over as is)
+ * @property {string} [mimeType='image/gif'] - MIME type of the encoded file
  * @property {number} duration - Encoding time (ms)
  */
 
@@ -153,9 +168,10 @@ export function createInitMessage(config) {
  * @param {number} width
  * @param {number} height
  * @param {number} frameIndex
+ * @param {number} [delayMs] - Per-frame display time (defaults to the config's frameDelayMs)
  * @returns {{ message: AddFrameMessage, transfer: ArrayBuffer[] }}
  */
-export function createAddFrameMessage(rgba, width, height, frameIndex) {
+export function createAddFrameMessage(rgba, width, height, frameIndex, delayMs) {
   // Transfer the buffer directly when the view spans it entirely; only a
   // view into a larger buffer needs the exact byte range copied out.
   const coversWholeBuffer = rgba.byteOffset === 0 && rgba.byteLength === rgba.buffer.byteLength;
@@ -170,6 +186,7 @@ export function createAddFrameMessage(rgba, width, height, frameIndex) {
       width,
       height,
       frameIndex,
+      ...(delayMs !== undefined && { delayMs }),
     },
     transfer: [buffer],
   };
@@ -0,0 +1,224 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  createCaption,
+  DEFAULT_CAPTION_STYLE,
+  dragAnnotationBox,
+  findCaptionAt,
+  getCaptionsAt,
+  MAX_CAPTION_FONT_SIZE,
+  normalizeCaptions,
+  updateCaption,
+} from '../../../src/features/editor/core.js';
+import { isSameSnapshot, takeSnapshot } from '../../../src/features/editor/history.js';
+import { initEditor } from '../../../src/features/editor/index.js';
+import {
+  commitEdit,
+  createEditorStore,
+  getEditedCaption,
+  goToFrame,
+  selectCaption,
+  setCaptions,
+  setMode,
+  undoEdit,
+} from '../../../src/features/editor/state.js';
+import { resetAppStore, setClipPayload } from '../../../src/shared/app-store.js';
+import { createFrames } from './helpers/frames.js';
+
+/** Frames roomy enough for the caption boxes below */
+const FRAME_OPTIONS = { width: 200, height: 100, intervalUs: 100_000 };
+
+const FRAME = /** @type {any} */ ({ width: 200, height: 100 });
+
+/**
+ * @param {Partial<import('../../../src/features/editor/types.js').Caption>} [changes]
+ */
+function caption(changes = {}) {
+  return {
+    ...createCaption({ x: 10, y: 10, width: 80, height: 30 }, { start: 0, end: 4 }),
+    ...changes,
+  };
+}
+
+describe('caption helpers', () => {
+  it('creates captions in the default style or the one given', () => {
+    const plain = createCaption({ x: 1.4, y: 2.6, width: 50, height: 20 }, { start: 2, end: 5 });
+
+    expect(plain).toMatchObject({
+      text: 'Text',
+      x: 1,
+      y: 3,
+      start: 2,
+      end: 5,
+      ...DEFAULT_CAPTION_STYLE,
+    });
+
+    const styled = createCaption(plain, plain, { ...plain, color: '#ff0000', background: null });
+
+    expect(styled.id).not.toBe(plain.id);
+    expect(styled).toMatchObject({ color: '#ff0000', background: null, font: plain.font });
+  });
+
+  it('draws, moves and resizes boxes inside the frame', () => {
+    const box = { x: 10, y: 10, width: 80, height: 30 };
+
+    expect(dragAnnotationBox(box, 'draw', { x: 150, y: 20 }, { x: 120, y: 60 }, FRAME)).toEqual({
+      x: 120,
+      y: 20,
+      width: 30,
+      height: 40,
+    });
+    // Moves stop at the frame edge
+    expect(dragAnnotationBox(box, 'move', { x: 20, y: 20 }, { x: 500, y: 20 }, FRAME)).toEqual({
+      x: 120,
+      y: 10,
+      width: 80,
+      height: 30,
+    });
+    expect(
+      dragAnnotationBox(box, 'bottom-right', { x: 90, y: 40 }, { x: 100, y: 60 }, FRAME),
+    ).toEqual({ x: 10, y: 10, width: 90, height: 50 });
+  });
+
+  it('keeps ranges in the clip and font sizes in bounds', () => {
+    const inBounds = caption();
+    const [kept, swapped, clamped] = normalizeCaptions(
+      [inBounds, caption({ start: 7, end: 2 }), caption({ start: -3, end: 40, fontSize: 9999 })],
+      10,
+    );
+
+    expect(kept).toBe(inBounds);
+    expect(swapped).toMatchObject({ start: 2, end: 7 });
+    expect(clamped).toMatchObject({ start: 0, end: 9, fontSize: MAX_CAPTION_FONT_SIZE });
+  });
+
+  it('finds the captions on a frame, topmost first under the pointer', () => {
+    const lower = caption({ start: 0, end: 4 });
+    const upper = caption({ start: 3, end: 6 });
+    // Still pickable, so it can be given text again
+    const empty = caption({ text: '  ', start: 0, end: 1 });
+    const captions = [lower, upper, empty];
+
+    expect(getCaptionsAt(captions, 2)).toEqual([lower]);
+    expect(getCaptionsAt(captions, 4)).toEqual([lower, upper]);
+    expect(findCaptionAt(captions, 4, { x: 20, y: 20 })).toBe(upper);
+    expect(findCaptionAt(captions, 1, { x: 20, y: 20 })).toBe(empty);
+    expect(findCaptionAt(captions, 4, { x: 150, y: 20 })).toBeNull();
+  });
+});
+
+describe('captions in the editor state', () => {
+  it('adds captions as one undoable step and drops the selection with them', () => {
+    const store = createEditorStore(/** @type {any} */ (createFrames(10, FRAME_OPTIONS)), 10);
+    const added = caption({ end: 30 });
+
+    store.setState((s) =>
+      selectCaption(commitEdit(s, setCaptions(s, [added]), 'Add caption'), added.id),
+    );
+
+    expect(store.getState().captions[0]).toMatchObject({ start: 0, end: 9 });
+    expect(store.getState().clip?.captions).toBe(store.getState().captions);
+    expect(store.getState().selectedCaptionId).toBe(added.id);
+
+    store.setState(undoEdit);
+
+    expect(store.getState().captions).toEqual([]);
+    expect(store.getState().selectedCaptionId).toBeNull();
+  });
+
+  it('folds a restyle of one caption into a single history step', () => {
+    const store = createEditorStore(/** @type {any} */ (createFrames(10, FRAME_OPTIONS)), 10);
+    const added = caption();
+    store.setState((s) => commitEdit(s, setCaptions(s, [added]), 'Add caption'));
+
+    for (const text of ['H', 'He', 'Hey']) {
+      store.setState((s) =>
+        commitEdit(s, setCaptions(s, updateCaption(s.captions, added.id, { text })), 'Caption'),
+      );
+    }
+
+    expect(store.getState().history.past.map((step) => step.label)).toEqual([
+      'Add caption',
+      'Caption',
+    ]);
+    store.setState(undoEdit);
+    expect(store.getState().captions[0].text).toBe('Text');
+  });
+
+  it('sees a caption list with the same captions as no edit', () => {
+    const state = setCaptions(
+      createEditorStore(/** @type {any} */ (createFrames(4, FRAME_OPTIONS)), 10).getState(),
+      [caption({ end: 2 })],
+    );
+
+    expect(
+      isSameSnapshot(takeSnapshot(state), takeSnapshot(setCaptions(state, [...state.captions]))),
+    ).toBe(true);
+  });
+
+  it('outlines the selected caption only with the text tool on and on its frames', () => {
+    const added = caption({ start: 2, end: 4 });
+    let state = createEditorStore(
+      /** @type {any} */ (createFrames(10, FRAME_OPTIONS)),
+      10,
+    ).getState();
+    state = selectCaption(setCaptions(state, [added]), added.id);
+
+    expect(getEditedCaption(goToFrame(state, 3))).toBeNull();
+
+    state = setMode(state, 'caption');
+
+    expect(getEditedCaption(goToFrame(state, 3))).toBe(state.captions[0]);
+    expect(getEditedCaption(goToFrame(state, 6))).toBeNull();
+    expect(selectCaption(state, 'missing').selectedCaptionId).toBeNull();
+  });
+});
+
+describe('text tool shortcut', () => {
+  /** @type {(() => void) | null} */
+  let cleanup = null;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    resetAppStore();
+    localStorage.clear();
+    document.body.innerHTML = '<div id="main-content"></div>';
+  });
+
+  afterEach(() => {
+    cleanup?.();
+    cleanup = null;
+    resetAppStore();
+    document.body.innerHTML = '';
+    vi.useRealTimers();
+  });
+
+  /**
+   * @param {KeyboardEventInit} init
+   * @returns {KeyboardEvent}
+   */
+  function press(init) {
+    const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+    document.dispatchEvent(event);
+    vi.advanceTimersByTime(20);
+    return event;
+  }
+
+  const isToolOn = () => document.querySelector('.btn-caption-tool')?.classList.contains('active');
+
+  it('leaves T with a modifier to the browser', () => {
+    setClipPayload({
+      frames: /** @type {any} */ (createFrames(5, FRAME_OPTIONS)),
+      fps: 30,
+      capturedAt: 1000,
+    });
+    cleanup = initEditor();
+
+    for (const modifier of ['ctrlKey', 'metaKey', 'altKey']) {
+      expect(press({ key: 't', [modifier]: true }).defaultPrevented).toBe(false);
+    }
+    expect(isToolOn()).toBe(false);
+
+    expect(press({ key: 't' }).defaultPrevented).toBe(true);
+    expect(isToolOn()).toBe(true);
+  });
+});
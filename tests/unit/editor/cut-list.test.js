@@ -0,0 +1,205 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  addCut,
+  calculateSelectionInfo,
+  countKeptFrames,
+  createClip,
+  getKeptFrameIndices,
+  getNextPlaybackFrame,
+  getSelectedFrames,
+  normalizeCuts,
+  restoreCut,
+} from '../../../src/features/editor/core.js';
+import { renderFrameGridModal } from '../../../src/features/editor/frame-grid.js';
+import { createEditorStore, setCuts } from '../../../src/features/editor/state.js';
+import { createFrames } from './helpers/frames.js';
+
+const originalScrollIntoView = HTMLElement.prototype.scrollIntoView;
+
+describe('cut list helpers', () => {
+  it('sorts, clamps and merges touching cuts', () => {
+    const cuts = normalizeCuts(
+      [
+        { start: 8, end: 12 },
+        { start: 2, end: 3 },
+        { start: 4, end: 4 },
+      ],
+      10,
+    );
+
+    expect(cuts).toEqual([
+      { start: 2, end: 4 },
+      { start: 8, end: 9 },
+    ]);
+  });
+
+  it('splits a cut when the middle is restored', () => {
+    const cuts = addCut([], { start: 2, end: 8 }, 10);
+
+    expect(restoreCut(cuts, { start: 4, end: 5 })).toEqual([
+      { start: 2, end: 3 },
+      { start: 6, end: 8 },
+    ]);
+    expect(restoreCut(cuts, { start: 0, end: 9 })).toEqual([]);
+  });
+
+  it('lists and counts the frames that are left', () => {
+    const cuts = [
+      { start: 1, end: 2 },
+      { start: 5, end: 5 },
+    ];
+
+    expect(getKeptFrameIndices({ start: 0, end: 6 }, cuts)).toEqual([0, 3, 4, 6]);
+    expect(countKeptFrames({ start: 0, end: 6 }, cuts)).toBe(4);
+    expect(countKeptFrames({ start: 2, end: 4 }, cuts)).toBe(2);
+    expect(calculateSelectionInfo({ start: 0, end: 6 }, 10, cuts).formattedFrameCount).toBe(
+      '4 frames',
+    );
+  });
+});
+
+describe('getNextPlaybackFrame with cuts', () => {
+  const range = { start: 0, end: 9 };
+  const cuts = [
+    { start: 0, end: 1 },
+    { start: 4, end: 5 },
+    { start: 9, end: 9 },
+  ];
+
+  it('jumps over cuts and loops between the first and last kept frames', () => {
+    expect(getNextPlaybackFrame(3, range, 'forward', 1, cuts).index).toBe(6);
+    expect(getNextPlaybackFrame(8, range, 'forward', 1, cuts).index).toBe(2);
+    expect(getNextPlaybackFrame(2, range, 'reverse', -1, cuts).index).toBe(8);
+  });
+
+  it('turns around on kept frames in ping-pong', () => {
+    expect(getNextPlaybackFrame(8, range, 'pingpong', 1, cuts)).toEqual({ index: 7, step: -1 });
+    expect(getNextPlaybackFrame(6, range, 'pingpong', -1, cuts)).toEqual({ index: 3, step: -1 });
+    expect(getNextPlaybackFrame(2, range, 'pingpong', -1, cuts)).toEqual({ index: 3, step: 1 });
+  });
+
+  it('stays put when everything is cut', () => {
+    const all = [{ start: 0, end: 9 }];
+
+    expect(getNextPlaybackFrame(4, range, 'forward', 1, all)).toEqual({ index: 4, step: 1 });
+  });
+});
+
+describe('cuts in editor state', () => {
+  it('leaves the frames in the clip and out of getSelectedFrames', () => {
+    const frames = createFrames(6);
+    const store = createEditorStore(/** @type {any} */ (frames), 30);
+
+    store.setState((state) => setCuts(state, [{ start: 3, end: 1 }]));
+
+    const { clip, cuts } = store.getState();
+    expect(cuts).toEqual([{ start: 1, end: 3 }]);
+    expect(clip?.frames).toHaveLength(6);
+    expect(getSelectedFrames(/** @type {any} */ (clip)).map((f) => f.id)).toEqual(['0', '4', '5']);
+    for (const frame of frames) {
+      expect(frame.frame.close).not.toHaveBeenCalled();
+    }
+  });
+
+  it('starts every new clip without cuts', () => {
+    expect(createClip(/** @type {any} */ (createFrames(2))).cuts).toEqual([]);
+  });
+});
+
+describe('Frame Grid cut editing', () => {
+  let cleanup = () => {};
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="container"></div>';
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function getContext() {
+      return /** @type {CanvasRenderingContext2D} */ ({ canvas: this, fillRect: vi.fn() });
+    });
+    Object.defineProperty(HTMLElement.prototype, 'scrollIntoView', {
+      configurable: true,
+      value: vi.fn(),
+      writable: true,
+    });
+    vi.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => {
+      callback(0);
+      return 1;
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+    cleanup = () => {};
+    vi.restoreAllMocks();
+    if (originalScrollIntoView) {
+      Object.defineProperty(HTMLElement.prototype, 'scrollIntoView', {
+        configurable: true,
+        value: originalScrollIntoView,
+        writable: true,
+      });
+    } else {
+      delete HTMLElement.prototype.scrollIntoView;
+    }
+    document.body.innerHTML = '';
+  });
+
+  /**
+   * @param {import('../../../src/features/editor/types.js').FrameRange[]} initialCuts
+   */
+  function renderModal(initialCuts) {
+    const callbacks = { onApply: vi.fn(), onCancel: vi.fn(), onCutsChange: vi.fn() };
+    const result = renderFrameGridModal({
+      container: /** @type {HTMLElement} */ (document.querySelector('#container')),
+      frames: /** @type {any} */ (createFrames(8)),
+      initialRange: { start: 0, end: 7 },
+      initialCuts,
+      callbacks,
+    });
+    cleanup = result.cleanup;
+    return callbacks;
+  }
+
+  /**
+   * @param {number} index
+   * @param {'start' | 'end'} mark
+   */
+  function markFrame(index, mark) {
+    /** @type {HTMLElement} */ (
+      document.querySelector(`.frame-grid-item[data-index="${index}"] .action-${mark}`)
+    ).click();
+  }
+
+  /** @param {string} selector */
+  function click(selector) {
+    /** @type {HTMLElement} */ (document.querySelector(selector)).click();
+  }
+
+  it('cuts the marked frames and hands the list over on Apply', () => {
+    const callbacks = renderModal([]);
+
+    markFrame(2, 'start');
+    markFrame(4, 'end');
+    click('.frame-grid-btn-cut');
+
+    expect(document.querySelectorAll('.frame-grid-item.is-cut')).toHaveLength(3);
+    expect(document.querySelector('.frame-grid-selection-info')?.textContent).toContain('3 cut');
+
+    click('.frame-grid-btn-apply');
+
+    expect(callbacks.onCutsChange).toHaveBeenCalledWith([{ start: 2, end: 4 }]);
+    // Marks went back to the editor's selection
+    expect(callbacks.onApply).toHaveBeenCalledWith({ start: 0, end: 7 });
+  });
+
+  it('restores frames and leaves the list alone when nothing changed', () => {
+    const callbacks = renderModal([{ start: 1, end: 5 }]);
+    expect(document.querySelectorAll('.frame-grid-item.is-cut')).toHaveLength(5);
+
+    markFrame(3, 'start');
+    markFrame(3, 'end');
+    click('.frame-grid-btn-restore');
+
+    expect(document.querySelectorAll('.frame-grid-item.is-cut')).toHaveLength(4);
+
+    click('.frame-grid-btn-cancel');
+    expect(callbacks.onCutsChange).not.toHaveBeenCalled();
+  });
+});
@@ -2,11 +2,13 @@ import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import {
   createClip,
   getClipFps,
+  getFrameDisplayMs,
   getPlaybackIntervalMs,
 } from '../../../src/features/editor/core.js';
 import { initEditor } from '../../../src/features/editor/index.js';
 import { renderTimeline } from '../../../src/features/editor/timeline.js';
 import { resetAppStore, setClipPayload } from '../../../src/shared/app-store.js';
+import { resetSettings, updateSetting } from '../../../src/shared/user-settings.js';
 
 /**
  * Create mock ImageData for testing
@@ -88,6 +90,31 @@ describe('FPS-aware playback timing (issue #41)', () => {
     });
   });
 
+  describe('getFrameDisplayMs', () => {
+    /**
+     * @param {number[]} timesMs
+     */
+    const framesAt = (timesMs) => timesMs.map((ms, i) => createMockFrame(String(i), ms * 1000));
+
+    it('holds a frame until the next one was captured', () => {
+      const frames = framesAt([0, 50, 180]);
+      expect(getFrameDisplayMs(frames, 0, 30)).toBeCloseTo(50);
+      expect(getFrameDisplayMs(frames, 1, 30)).toBeCloseTo(130);
+    });
+
+    it('uses the nominal interval for the last frame', () => {
+      expect(getFrameDisplayMs(framesAt([0, 50]), 1, 20)).toBeCloseTo(50);
+    });
+
+    it('ignores non-increasing timestamps', () => {
+      expect(getFrameDisplayMs(framesAt([100, 100]), 0, 25)).toBeCloseTo(40);
+    });
+
+    it('scales with playback speed', () => {
+      expect(getFrameDisplayMs(framesAt([0, 80]), 0, 30, 2)).toBeCloseTo(40);
+    });
+  });
+
   describe('playback loop uses clip fps', () => {
     /** @type {(() => void) | null} */
     let cleanup = null;
@@ -137,6 +164,28 @@ describe('FPS-aware playback timing (issue #41)', () => {
       const intervalMs = setIntervalSpy.mock.calls[0][1];
       expect(intervalMs).toBeCloseTo(1000 / 15, 1);
     });
+
+    it('holds each frame for its captured duration with real timing', () => {
+      updateSetting('export', 'realTiming', true);
+      const setIntervalSpy = vi.spyOn(window, 'setInterval');
+      const setTimeoutSpy = vi.spyOn(window, 'setTimeout');
+
+      setClipPayload({
+        frames: [0, 120, 150].map((ms, i) => createMockFrame(String(i), ms * 1000)),
+        fps: 30,
+        capturedAt: Date.now(),
+      });
+
+      try {
+        cleanup = initEditor();
+
+        expect(setIntervalSpy).not.toHaveBeenCalled();
+        const delays = setTimeoutSpy.mock.calls.map(([, ms]) => ms);
+        expect(delays.some((ms) => Math.abs(ms - 120) < 5)).toBe(true);
+      } finally {
+        resetSettings();
+      }
+    });
   });
 
   describe('timeline hover timecode uses clip fps', () => {
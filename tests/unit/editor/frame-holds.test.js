@@ -0,0 +1,159 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  calculateSelectionInfo,
+  formatHold,
+  MAX_HOLD_MS,
+  MIN_HOLD_MS,
+  normalizeDelayOverrides,
+  setFrameHold,
+} from '../../../src/features/editor/core.js';
+import { renderFrameGridModal } from '../../../src/features/editor/frame-grid.js';
+import {
+  commitEdit,
+  createEditorStore,
+  setDelayOverrides,
+  undoEdit,
+} from '../../../src/features/editor/state.js';
+import { createFrames } from './helpers/frames.js';
+
+const originalScrollIntoView = HTMLElement.prototype.scrollIntoView;
+
+describe('frame hold helpers', () => {
+  it('sets, clamps and clears holds', () => {
+    let holds = setFrameHold({}, 4, 2000);
+    holds = setFrameHold(holds, 1, 5);
+    holds = setFrameHold(holds, 2, MAX_HOLD_MS * 2);
+
+    expect(holds).toEqual({ 1: MIN_HOLD_MS, 2: MAX_HOLD_MS, 4: 2000 });
+    expect(setFrameHold(holds, 4, null)).toEqual({ 1: MIN_HOLD_MS, 2: MAX_HOLD_MS });
+    expect(setFrameHold(holds, 4, 0)).not.toHaveProperty('4');
+  });
+
+  it('drops holds of frames the clip does not have', () => {
+    expect(normalizeDelayOverrides({ 0: 500, 3: 1000, 9: 1000, '-1': 1000 }, 4)).toEqual({
+      0: 500,
+      3: 1000,
+    });
+  });
+
+  it('counts held frames at their hold in the selection length', () => {
+    const info = calculateSelectionInfo({ start: 0, end: 9 }, 10, [{ start: 5, end: 5 }], {
+      5: 3000,
+      9: 2000,
+    });
+
+    // 9 kept frames at 0.1s, one of them held for 2s; the cut hold is ignored
+    expect(info.duration).toBeCloseTo(2.8);
+    expect(formatHold(2000)).toBe('2s');
+    expect(formatHold(250)).toBe('0.25s');
+  });
+});
+
+describe('holds in editor state', () => {
+  it('stores holds on the clip and undoes them', () => {
+    const store = createEditorStore(
+      /** @type {any} */ (createFrames(5, { intervalUs: 100_000 })),
+      10,
+    );
+
+    store.setState((s) => commitEdit(s, setDelayOverrides(s, { 4: 2000, 7: 100 }), 'Hold'));
+
+    expect(store.getState().delayOverrides).toEqual({ 4: 2000 });
+    expect(store.getState().clip?.delayOverrides).toEqual({ 4: 2000 });
+    expect(store.getState().history.past.map((entry) => entry.label)).toEqual(['Hold']);
+
+    store.setState(undoEdit);
+    expect(store.getState().delayOverrides).toEqual({});
+  });
+});
+
+describe('Frame Grid hold editing', () => {
+  let cleanup = () => {};
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="container"></div>';
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function getContext() {
+      return /** @type {CanvasRenderingContext2D} */ ({ canvas: this, fillRect: vi.fn() });
+    });
+    Object.defineProperty(HTMLElement.prototype, 'scrollIntoView', {
+      configurable: true,
+      value: vi.fn(),
+      writable: true,
+    });
+    vi.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => {
+      callback(0);
+      return 1;
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+    cleanup = () => {};
+    vi.restoreAllMocks();
+    if (originalScrollIntoView) {
+      Object.defineProperty(HTMLElement.prototype, 'scrollIntoView', {
+        configurable: true,
+        value: originalScrollIntoView,
+        writable: true,
+      });
+    } else {
+      delete HTMLElement.prototype.scrollIntoView;
+    }
+    document.body.innerHTML = '';
+  });
+
+  /**
+   * @param {import('../../../src/features/editor/types.js').DelayOverrides} initialDelayOverrides
+   */
+  function renderModal(initialDelayOverrides) {
+    const callbacks = { onApply: vi.fn(), onCancel: vi.fn(), onDelayOverridesChange: vi.fn() };
+    const result = renderFrameGridModal({
+      container: /** @type {HTMLElement} */ (document.querySelector('#container')),
+      frames: /** @type {any} */ (createFrames(6, { intervalUs: 100_000 })),
+      initialRange: { start: 0, end: 5 },
+      initialDelayOverrides,
+      callbacks,
+    });
+    cleanup = result.cleanup;
+    return callbacks;
+  }
+
+  /** @param {string} value */
+  function enterHold(value) {
+    const input = /** @type {HTMLInputElement} */ (
+      document.querySelector('.frame-grid-hold-input')
+    );
+    input.value = value;
+    input.dispatchEvent(new Event('change'));
+  }
+
+  it('holds the focused frame and hands the holds over on Apply', () => {
+    const callbacks = renderModal({});
+
+    /** @type {HTMLElement} */ (document.querySelector('.frame-grid-item[data-index="5"]')).focus();
+    expect(document.querySelector('.frame-grid-hold-label')?.textContent).toBe('Hold frame 6');
+    enterHold('2');
+
+    expect(
+      document.querySelector('.frame-grid-item[data-index="5"] .frame-grid-hold')?.textContent,
+    ).toBe('2s');
+
+    /** @type {HTMLElement} */ (document.querySelector('.frame-grid-btn-apply')).click();
+    expect(callbacks.onDelayOverridesChange).toHaveBeenCalledWith({ 5: 2000 });
+  });
+
+  it('shows existing holds and clears one with an empty value', () => {
+    const callbacks = renderModal({ 0: 1500 });
+
+    expect(document.querySelectorAll('.frame-grid-hold')).toHaveLength(1);
+    expect(
+      /** @type {HTMLInputElement} */ (document.querySelector('.frame-grid-hold-input')).value,
+    ).toBe('1.5');
+
+    enterHold('');
+    expect(document.querySelectorAll('.frame-grid-hold')).toHaveLength(0);
+
+    /** @type {HTMLElement} */ (document.querySelector('.frame-grid-btn-apply')).click();
+    expect(callbacks.onDelayOverridesChange).toHaveBeenCalledWith({});
+  });
+});
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { encodeFrameStill } from '../../../src/features/editor/api.js';
+import { getStillFileName, getStillFormat } from '../../../src/features/editor/core.js';
+import { createSolidFrame, MockImageData } from '../export/helpers/encoder-fakes.js';
+
+/** Calls made on the still canvas of the current test */
+/** @type {{ drawn: number, puts: { value: number, width: number, height: number }[], toBlob: any[] }} */
+let calls;
+
+/** Type toBlob answers with; null = the requested type */
+/** @type {string | null} */
+let blobTypeOverride = null;
+
+beforeEach(() => {
+  calls = { drawn: 0, puts: [], toBlob: [] };
+  blobTypeOverride = null;
+  vi.stubGlobal('ImageData', MockImageData);
+  vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () {
+    return /** @type {any} */ ({
+      canvas: this,
+      drawImage: () => calls.drawn++,
+      putImageData: (/** @type {any} */ image) =>
+        calls.puts.push({ value: image.data[0], width: image.width, height: image.height }),
+    });
+  });
+  vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(
+    function (callback, type, quality) {
+      calls.toBlob.push({ type, quality, size: [this.width, this.height] });
+      callback(new Blob(['still'], { type: blobTypeOverride ?? type }));
+    },
+  );
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('still formats', () => {
+  it('maps each format to its type and extension', () => {
+    expect(getStillFormat('png')).toEqual({ mimeType: 'image/png', extension: 'png' });
+    expect(getStillFormat('jpeg')).toEqual({ mimeType: 'image/jpeg', extension: 'jpg' });
+    expect(getStillFormat('webp')).toEqual({ mimeType: 'image/webp', extension: 'webp' });
+  });
+
+  it('falls back to PNG for unknown formats', () => {
+    expect(getStillFormat(/** @type {any} */ ('bmp')).mimeType).toBe('image/png');
+  });
+
+  it('names the file after the 1-based frame number', () => {
+    const name = getStillFileName(41, 'jpeg', new Date(2024, 2, 9, 13, 45, 31));
+
+    expect(name).toMatch(/^glinfs-frame-42-.+\.jpg$/);
+  });
+});
+
+describe('encodeFrameStill', () => {
+  it('draws the whole frame like the preview when nothing is cropped', async () => {
+    const frame = createSolidFrame(10, 0, { size: 8 });
+
+    const blob = await encodeFrameStill(/** @type {any} */ (frame), null, 'png');
+
+    expect(blob.type).toBe('image/png');
+    expect(calls.drawn).toBe(1);
+    expect(calls.toBlob[0].size).toEqual([8, 8]);
+    expect(frame.frame.copyTo).not.toHaveBeenCalled();
+  });
+
+  it('applies the crop through getFrameRGBA', async () => {
+    const frame = createSolidFrame(20, 0, { size: 8 });
+    const crop = { x: 2, y: 1, width: 4, height: 3 };
+
+    await encodeFrameStill(/** @type {any} */ (frame), crop, 'png');
+
+    expect(frame.frame.copyTo).toHaveBeenCalledWith(expect.any(Uint8ClampedArray), {
+      rect: { x: 2, y: 1, width: 4, height: 3 },
+      format: 'RGBA',
+    });
+    expect(calls.puts).toEqual([{ value: 20, width: 4, height: 3 }]);
+    expect(calls.toBlob[0].size).toEqual([4, 3]);
+  });
+
+  it('passes the lossy formats a quality', async () => {
+    const blob = await encodeFrameStill(
+      /** @type {any} */ (createSolidFrame(1, 0, { size: 8 })),
+      null,
+      'webp',
+    );
+
+    expect(blob.type).toBe('image/webp');
+    expect(calls.toBlob[0]).toMatchObject({ type: 'image/webp', quality: 0.92 });
+  });
+
+  it('fails when the browser cannot write the format', async () => {
+    blobTypeOverride = 'image/png';
+
+    await expect(
+      encodeFrameStill(/** @type {any} */ (createSolidFrame(1, 0, { size: 8 })), null, 'webp'),
+    ).rejects.toThrow('cannot write WEBP');
+  });
+
+  it('refuses closed frames', async () => {
+    const frame = createSolidFrame(1, 0, { size: 8 });
+    /** @type {any} */ (frame.frame).closed = true;
+
+    await expect(encodeFrameStill(/** @type {any} */ (frame), null, 'png')).rejects.toThrow(
+      'no longer available',
+    );
+  });
+});
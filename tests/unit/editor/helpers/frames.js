@@ -0,0 +1,26 @@
+/**
+ * Shared frame factory for editor tests
+ * @module tests/unit/editor/helpers/frames
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Create lightweight frames; their pixels are never read
+ * @param {number} count
+ * @param {{ prefix?: string, width?: number, height?: number, intervalUs?: number }} [options] -
+ *   Ids are the prefix plus the index; frames are captured intervalUs apart
+ * @returns {import('../../../../src/features/capture/types.js').Frame[]}
+ */
+export function createFrames(
+  count,
+  { prefix = '', width = 16, height = 9, intervalUs = 33_333 } = {},
+) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `${prefix}${index}`,
+    frame: /** @type {any} */ ({ close: vi.fn() }),
+    timestamp: index * intervalUs,
+    width,
+    height,
+  }));
+}
@@ -0,0 +1,222 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  COALESCE_MS,
+  createHistory,
+  MAX_HISTORY_STEPS,
+  recordEdit,
+  travelHistory,
+} from '../../../src/features/editor/history.js';
+import { initEditor } from '../../../src/features/editor/index.js';
+import {
+  commitEdit,
+  createEditorStore,
+  redoEdit,
+  stepHistory,
+  undoEdit,
+  updateCrop,
+  updateRange,
+} from '../../../src/features/editor/state.js';
+import {
+  enqueueClip,
+  getClipQueue,
+  resetAppStore,
+  setClipPayload,
+} from '../../../src/shared/app-store.js';
+import { createFrames } from './helpers/frames.js';
+
+/** Room for the crop edited below */
+const FRAME_SIZE = { width: 100, height: 100 };
+
+/**
+ * @param {number} start
+ * @param {number} end
+ * @returns {import('../../../src/features/editor/types.js').EditSnapshot}
+ */
+function snapshot(start, end) {
+  return {
+    selectedRange: { start, end },
+    cropArea: null,
+    selectedAspectRatio: 'free',
+    cuts: [],
+    delayOverrides: {},
+    captions: [],
+    shapes: [],
+  };
+}
+
+describe('history stack', () => {
+  it('ignores edits that change nothing', () => {
+    const history = createHistory();
+
+    expect(recordEdit(history, snapshot(0, 9), snapshot(0, 9), 'Selection', 0)).toBe(history);
+  });
+
+  it('folds a run of the same edit into one step', () => {
+    let history = createHistory();
+    history = recordEdit(history, snapshot(0, 9), snapshot(1, 9), 'Selection', 0);
+    history = recordEdit(history, snapshot(1, 9), snapshot(2, 9), 'Selection', 100);
+    history = recordEdit(history, snapshot(2, 9), snapshot(3, 9), 'Selection', 200);
+
+    expect(history.past).toHaveLength(1);
+    expect(history.past[0].snapshot).toEqual(snapshot(0, 9));
+
+    // A pause or a different kind of edit starts a new step
+    history = recordEdit(
+      history,
+      snapshot(3, 9),
+      snapshot(4, 9),
+      'Selection',
+      200 + COALESCE_MS + 1,
+    );
+    history = recordEdit(
+      history,
+      snapshot(4, 9),
+      snapshot(4, 8),
+      'Cut list',
+      200 + COALESCE_MS + 2,
+    );
+    expect(history.past.map((entry) => entry.label)).toEqual([
+      'Selection',
+      'Selection',
+      'Cut list',
+    ]);
+  });
+
+  it('drops the oldest steps past the limit', () => {
+    let history = createHistory();
+    for (let i = 0; i < MAX_HISTORY_STEPS + 5; i++) {
+      history = recordEdit(history, snapshot(i, 99), snapshot(i + 1, 99), 'Selection', i * 1000);
+    }
+
+    expect(history.past).toHaveLength(MAX_HISTORY_STEPS);
+    expect(history.past[0].snapshot.selectedRange.start).toBe(5);
+  });
+
+  it('jumps several steps back and forward again', () => {
+    let history = createHistory();
+    for (let i = 0; i < 3; i++) {
+      history = recordEdit(history, snapshot(i, 9), snapshot(i + 1, 9), 'Selection', i * 1000);
+    }
+
+    const back = /** @type {NonNullable<ReturnType<typeof travelHistory>>} */ (
+      travelHistory(history, snapshot(3, 9), -2)
+    );
+    expect(back.snapshot).toEqual(snapshot(1, 9));
+    expect([back.history.past.length, back.history.future.length]).toEqual([1, 2]);
+
+    const forward = travelHistory(back.history, back.snapshot, 5);
+    expect(forward?.snapshot).toEqual(snapshot(3, 9));
+    expect(travelHistory(history, snapshot(3, 9), 1)).toBeNull();
+  });
+});
+
+describe('editor edits', () => {
+  it('undoes and redoes range and crop edits together with their state', () => {
+    const store = createEditorStore(/** @type {any} */ (createFrames(10, FRAME_SIZE)), 30);
+    const crop = {
+      x: 10,
+      y: 10,
+      width: 50,
+      height: 50,
+      aspectRatio: /** @type {const} */ ('free'),
+    };
+
+    store.setState((s) => commitEdit(s, updateRange(s, { start: 2, end: 7 }), 'Selection', 0));
+    store.setState((s) => commitEdit(s, updateCrop(s, crop), 'Crop', 1000));
+
+    store.setState(undoEdit);
+    expect(store.getState().cropArea).toBeNull();
+    expect(store.getState().clip?.cropArea).toBeNull();
+
+    store.setState(undoEdit);
+    expect(store.getState().selectedRange).toEqual({ start: 0, end: 9 });
+
+    store.setState((s) => stepHistory(s, 2));
+    expect(store.getState().selectedRange).toEqual({ start: 2, end: 7 });
+    expect(store.getState().cropArea).toEqual(crop);
+    expect(redoEdit(store.getState())).toBe(store.getState());
+  });
+});
+
+describe('undo in the editor screen', () => {
+  /** @type {(() => void) | null} */
+  let cleanup = null;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    resetAppStore();
+    localStorage.clear();
+    window.__TEST_HOOKS__ = /** @type {any} */ ({});
+    document.body.innerHTML = '<div id="main-content"></div>';
+  });
+
+  afterEach(() => {
+    cleanup?.();
+    cleanup = null;
+    resetAppStore();
+    delete window.__TEST_HOOKS__;
+    document.body.innerHTML = '';
+    vi.useRealTimers();
+  });
+
+  /** @param {{ key: string, shift?: boolean }} options */
+  function press({ key, shift = false }) {
+    document.dispatchEvent(
+      new KeyboardEvent('keydown', { key, ctrlKey: true, shiftKey: shift, bubbles: true }),
+    );
+    vi.advanceTimersByTime(20);
+  }
+
+  function activeRatio() {
+    return /** @type {HTMLElement | null} */ (document.querySelector('.aspect-btn.active'))?.dataset
+      .ratio;
+  }
+
+  it('undoes with Ctrl+Z, redoes with Ctrl+Shift+Z and lists the steps', () => {
+    setClipPayload({ frames: createFrames(5, FRAME_SIZE), fps: 30, capturedAt: 1000 });
+    cleanup = initEditor();
+
+    /** @type {HTMLElement} */ (document.querySelector('.aspect-btn[data-ratio="1:1"]')).click();
+    vi.advanceTimersByTime(20);
+    expect(activeRatio()).toBe('1:1');
+
+    press({ key: 'z' });
+    expect(activeRatio()).toBe('free');
+    expect([...document.querySelectorAll('.history-item')].map((item) => item.textContent)).toEqual(
+      ['Start', 'Aspect ratio'],
+    );
+    expect(document.querySelector('.history-item.is-current')?.textContent).toBe('Start');
+
+    press({ key: 'Z', shift: true });
+    expect(activeRatio()).toBe('1:1');
+  });
+
+  it('keeps the history through a demote/promote round-trip', () => {
+    setClipPayload({
+      frames: createFrames(5, { ...FRAME_SIZE, prefix: 'a' }),
+      fps: 30,
+      capturedAt: 2000,
+    });
+    enqueueClip({
+      frames: createFrames(5, { ...FRAME_SIZE, prefix: 'b' }),
+      fps: 30,
+      capturedAt: 1000,
+    });
+    cleanup = initEditor();
+
+    /** @type {HTMLElement} */ (document.querySelector('.aspect-btn[data-ratio="16:9"]')).click();
+    vi.advanceTimersByTime(20);
+
+    // Switch to the queued clip, then back; clips are listed newest first
+    const first = getClipQueue()[0].id;
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: '2', code: 'Digit2' }));
+    vi.advanceTimersByTime(20);
+    expect(getClipQueue()[0].id).not.toBe(first);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: '1', code: 'Digit1' }));
+    vi.advanceTimersByTime(20);
+
+    expect(activeRatio()).toBe('16:9');
+    press({ key: 'z' });
+    expect(activeRatio()).toBe('free');
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { createClip } from '../../../src/features/editor/core.js';
+import { createClip, getNextPlaybackFrame } from '../../../src/features/editor/core.js';
 import {
   goToFrame,
   initEditorState,
@@ -175,3 +175,37 @@ describe('Playback State Toggle (US2)', () => {
     });
   });
 });
+
+describe('getNextPlaybackFrame', () => {
+  const range = { start: 2, end: 5 };
+
+  it('loops forward back to the range start', () => {
+    expect(getNextPlaybackFrame(3, range, 'forward')).toEqual({ index: 4, step: 1 });
+    expect(getNextPlaybackFrame(5, range, 'forward')).toEqual({ index: 2, step: 1 });
+  });
+
+  it('loops in reverse back to the range end', () => {
+    expect(getNextPlaybackFrame(3, range, 'reverse')).toEqual({ index: 2, step: -1 });
+    expect(getNextPlaybackFrame(2, range, 'reverse')).toEqual({ index: 5, step: -1 });
+  });
+
+  it('bounces in ping-pong without showing an end frame twice', () => {
+    /** @type {number[]} */
+    const shown = [2];
+    let step = 1;
+    for (let i = 0; i < 8; i++) {
+      const next = getNextPlaybackFrame(shown[shown.length - 1], range, 'pingpong', step);
+      shown.push(next.index);
+      step = next.step;
+    }
+
+    expect(shown).toEqual([2, 3, 4, 5, 4, 3, 2, 3, 4]);
+  });
+
+  it('holds a single-frame range', () => {
+    expect(getNextPlaybackFrame(3, { start: 3, end: 3 }, 'pingpong', -1)).toEqual({
+      index: 3,
+      step: 1,
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  createCaption,
+  createShape,
+  DEFAULT_SHAPE_STYLE,
+  dragAnnotationBox,
+  findShapeAt,
+  getAnnotationsAt,
+  getShapeOpacity,
+  MAX_SHAPE_STROKE,
+  normalizeShapes,
+  updateShape,
+} from '../../../src/features/editor/core.js';
+import { initEditor } from '../../../src/features/editor/index.js';
+import {
+  commitEdit,
+  createEditorStore,
+  getEditedShape,
+  goToFrame,
+  selectShape,
+  setMode,
+  setShapes,
+  undoEdit,
+} from '../../../src/features/editor/state.js';
+import { resetAppStore, setClipPayload } from '../../../src/shared/app-store.js';
+import { createFrames } from './helpers/frames.js';
+
+const FRAME = /** @type {any} */ ({ width: 200, height: 100 });
+
+/** Frames roomy enough for the shapes below */
+const FRAME_OPTIONS = { width: 200, height: 100, intervalUs: 100_000 };
+
+/**
+ * @param {Partial<import('../../../src/features/editor/types.js').Shape>} [changes]
+ */
+function box(changes = {}) {
+  return {
+    ...createShape(
+      'rect',
+      [
+        { x: 10, y: 10 },
+        { x: 90, y: 40 },
+      ],
+      { start: 0, end: 4 },
+    ),
+    ...changes,
+  };
+}
+
+describe('shape helpers', () => {
+  it('keeps the drag points of arrows relative to their box', () => {
+    const arrow = createShape(
+      'arrow',
+      [
+        { x: 90.4, y: 10 },
+        { x: 10, y: 50.6 },
+      ],
+      { start: 1, end: 3 },
+    );
+
+    expect(arrow).toMatchObject({
+      x: 10,
+      y: 10,
+      width: 80,
+      height: 41,
+      start: 1,
+      end: 3,
+      ...DEFAULT_SHAPE_STYLE,
+    });
+    // Tail at the top right, head at the bottom left
+    expect(arrow.points).toEqual([
+      { x: 1, y: 0 },
+      { x: 0, y: 1 },
+    ]);
+  });
+
+  it('follows its box when moved or resized, pen strokes included', () => {
+    const pen = createShape(
+      'pen',
+      [
+        { x: 0, y: 0 },
+        { x: 50, y: 20 },
+        { x: 100, y: 0 },
+      ],
+      { start: 0, end: 0 },
+      { color: '#00ff00' },
+    );
+
+    expect(pen.points[1]).toEqual({ x: 0.5, y: 1 });
+    expect(pen.color).toBe('#00ff00');
+    expect(pen.strokeWidth).toBe(DEFAULT_SHAPE_STYLE.strokeWidth);
+
+    const [moved] = updateShape(
+      [pen],
+      pen.id,
+      dragAnnotationBox(pen, 'right', { x: 100, y: 10 }, { x: 150, y: 10 }, FRAME),
+    );
+
+    expect(moved).toMatchObject({ width: 150, points: pen.points });
+  });
+
+  it('drops the points of shapes drawn by their box', () => {
+    expect(box().points).toEqual([]);
+  });
+
+  it('keeps ranges in the clip and strokes and fades in bounds', () => {
+    const inBounds = box();
+    const [kept, swapped, clamped] = normalizeShapes(
+      [
+        inBounds,
+        box({ start: 7, end: 2 }),
+        box({ start: -3, end: 40, strokeWidth: 999, fadeIn: -2, fadeOut: 2.6 }),
+      ],
+      10,
+    );
+
+    expect(kept).toBe(inBounds);
+    expect(swapped).toMatchObject({ start: 2, end: 7 });
+    expect(clamped).toMatchObject({
+      start: 0,
+      end: 9,
+      strokeWidth: MAX_SHAPE_STROKE,
+      fadeIn: 0,
+      fadeOut: 3,
+    });
+  });
+
+  it('fades in and out over the given frames', () => {
+    const shape = box({ start: 2, end: 8, fadeIn: 1, fadeOut: 3 });
+
+    expect([1, 2, 3, 4, 5, 6, 7, 8, 9].map((i) => getShapeOpacity(shape, i))).toEqual([
+      0, 0.5, 1, 1, 1, 0.75, 0.5, 0.25, 0,
+    ]);
+  });
+
+  it('picks the topmost shape, with room around thin strokes', () => {
+    const lower = box();
+    const upper = box({ x: 50, y: 50, width: 20, height: 20, strokeWidth: 12, start: 3 });
+    const shapes = [lower, upper];
+
+    expect(findShapeAt(shapes, 4, { x: 60, y: 60 })).toBe(upper);
+    expect(findShapeAt(shapes, 2, { x: 60, y: 60 })).toBeNull();
+    expect(findShapeAt(shapes, 4, { x: 80, y: 80 })).toBe(upper);
+    expect(findShapeAt(shapes, 4, { x: 150, y: 90 })).toBeNull();
+  });
+
+  it('draws shapes under the captions of a frame', () => {
+    const text = createCaption({ x: 0, y: 0, width: 50, height: 20 }, { start: 0, end: 4 });
+    const faded = box({ fadeIn: 1 });
+    const hidden = box({ start: 3 });
+
+    expect(getAnnotationsAt([text], [faded, hidden], 0)).toEqual([
+      { type: 'shape', shape: faded, opacity: 0.5 },
+      { type: 'caption', caption: text },
+    ]);
+  });
+});
+
+describe('shapes in the editor state', () => {
+  it('adds shapes as one undoable step and drops the selection with them', () => {
+    const store = createEditorStore(/** @type {any} */ (createFrames(10, FRAME_OPTIONS)), 10);
+    const added = box({ end: 30 });
+
+    store.setState((s) => selectShape(commitEdit(s, setShapes(s, [added]), 'Add shape'), added.id));
+
+    expect(store.getState().shapes[0]).toMatchObject({ start: 0, end: 9 });
+    expect(store.getState().clip?.shapes).toBe(store.getState().shapes);
+    expect(store.getState().selectedShapeId).toBe(added.id);
+
+    store.setState(undoEdit);
+
+    expect(store.getState().shapes).toEqual([]);
+    expect(store.getState().selectedShapeId).toBeNull();
+  });
+
+  it('outlines the selected shape only with the shape tool on and on its frames', () => {
+    const added = box({ start: 2, end: 4 });
+    let state = createEditorStore(
+      /** @type {any} */ (createFrames(10, FRAME_OPTIONS)),
+      10,
+    ).getState();
+    state = selectShape(setShapes(state, [added]), added.id);
+
+    expect(getEditedShape(goToFrame(state, 3))).toBeNull();
+
+    state = setMode(state, 'shape');
+
+    expect(getEditedShape(goToFrame(state, 3))).toBe(state.shapes[0]);
+    expect(getEditedShape(goToFrame(state, 6))).toBeNull();
+    expect(selectShape(state, 'missing').selectedShapeId).toBeNull();
+  });
+});
+
+describe('shape tool shortcut', () => {
+  /** @type {(() => void) | null} */
+  let cleanup = null;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    resetAppStore();
+    localStorage.clear();
+    document.body.innerHTML = '<div id="main-content"></div>';
+  });
+
+  afterEach(() => {
+    cleanup?.();
+    cleanup = null;
+    resetAppStore();
+    document.body.innerHTML = '';
+    vi.useRealTimers();
+  });
+
+  /**
+   * @param {KeyboardEventInit} init
+   * @returns {KeyboardEvent}
+   */
+  function press(init) {
+    const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+    document.dispatchEvent(event);
+    vi.advanceTimersByTime(20);
+    return event;
+  }
+
+  const activeKind = () =>
+    /** @type {HTMLElement | null} */ (document.querySelector('.shape-kind-btn.active'))?.dataset
+      .kind;
+
+  it('leaves D with a modifier to the browser', () => {
+    setClipPayload({
+      frames: /** @type {any} */ (createFrames(5, FRAME_OPTIONS)),
+      fps: 30,
+      capturedAt: 1000,
+    });
+    cleanup = initEditor();
+
+    for (const modifier of ['ctrlKey', 'metaKey', 'altKey']) {
+      expect(press({ key: 'd', [modifier]: true }).defaultPrevented).toBe(false);
+    }
+    expect(activeKind()).toBeUndefined();
+
+    expect(press({ key: 'd' }).defaultPrevented).toBe(true);
+    expect(activeKind()).toBe('arrow');
+  });
+});
@@ -479,72 +479,41 @@ describe('getBlobSize', () => {
 describe('scaleFrame', () => {
   it('should scale image data to target dimensions', () => {
     // Arrange
-    const sourceData = new Uint8ClampedArray(100 * 100 * 4);
     const sourceImageData = {
-      data: sourceData,
+      data: new Uint8ClampedArray(100 * 100 * 4).fill(200),
       width: 100,
       height: 100,
     };
 
-    const mockSrcCtx = {
-      putImageData: vi.fn(),
-    };
-
-    const scaledData = new Uint8ClampedArray(50 * 50 * 4);
-    const mockDstCtx = {
-      imageSmoothingEnabled: false,
-      imageSmoothingQuality: '',
-      drawImage: vi.fn(),
-      clearRect: vi.fn(),
-      getImageData: vi.fn().mockReturnValue({
-        data: scaledData,
-        width: 50,
-        height: 50,
-      }),
-    };
-
-    let canvasCount = 0;
-    vi.spyOn(document, 'createElement').mockImplementation((tag) => {
-      if (tag === 'canvas') {
-        canvasCount++;
-        const canvas = {
-          width: 0,
-          height: 0,
-          getContext: vi.fn().mockReturnValue(canvasCount === 1 ? mockSrcCtx : mockDstCtx),
-        };
-        return canvas;
-      }
-      return {};
-    });
-
     // Act
     const result = scaleFrame(sourceImageData, 50, 50);
 
     // Assert
-    expect(mockSrcCtx.putImageData).toHaveBeenCalledWith(sourceImageData, 0, 0);
-    expect(mockDstCtx.imageSmoothingEnabled).toBe(true);
-    expect(mockDstCtx.imageSmoothingQuality).toBe('high');
-    expect(mockDstCtx.drawImage).toHaveBeenCalled();
-    expect(mockDstCtx.getImageData).toHaveBeenCalledWith(0, 0, 50, 50);
     expect(result.width).toBe(50);
     expect(result.height).toBe(50);
+    expect(result.data.length).toBe(50 * 50 * 4);
+    expect(result.data[0]).toBe(200);
   });
 
-  it('should throw when source canvas context fails', () => {
-    // Arrange
+  it('should use the requested filter', () => {
+    // Arrange: 2x1 black/white, doubled horizontally
     const sourceImageData = {
-      data: new Uint8ClampedArray(100),
-      width: 10,
-      height: 10,
+      data: new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255]),
+      width: 2,
+      height: 1,
     };
 
-    vi.spyOn(document, 'createElement').mockImplementation(() => ({
-      width: 0,
-      height: 0,
-      getContext: vi.fn().mockReturnValue(null),
-    }));
+    // Act
+    const result = scaleFrame(sourceImageData, 4, 1, 'nearest');
 
-    // Act & Assert
-    expect(() => scaleFrame(sourceImageData, 5, 5)).toThrow('Failed to get source canvas context');
+    // Assert: nearest duplicates pixels without blending
+    expect(Array.from(result.data.filter((_, i) => i % 4 === 0))).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should throw for an unknown filter', () => {
+    const sourceImageData = { data: new Uint8ClampedArray(16), width: 2, height: 2 };
+
+    // @ts-expect-error - invalid filter on purpose
+    expect(() => scaleFrame(sourceImageData, 1, 1, 'sinc')).toThrow('Unknown resample filter');
   });
 });
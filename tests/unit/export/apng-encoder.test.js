@@ -0,0 +1,189 @@
+import { inflateSync } from 'node:zlib';
+import { describe, expect, it } from 'vitest';
+import {
+  BlendOp,
+  createApngEncoder,
+  extractFrameRegion,
+  findChangedRect,
+  getApngMetadata,
+} from '../../../src/features/export/encoders/apng-encoder.js';
+
+/**
+ * Split a PNG into chunks
+ * @param {Uint8Array} bytes
+ */
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    chunks.push({ type, data, view: new DataView(data.buffer, data.byteOffset, data.byteLength) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Solid RGBA frame
+ * @param {number} width
+ * @param {number} height
+ * @param {[number, number, number, number]} color
+ */
+function solid(width, height, color) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < rgba.length; i += 4) rgba.set(color, i);
+  return rgba;
+}
+
+/**
+ * Set one pixel
+ * @param {Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} x
+ * @param {number} y
+ * @param {[number, number, number, number]} color
+ */
+function setPixel(rgba, width, x, y, color) {
+  rgba.set(color, (y * width + x) * 4);
+}
+
+const CONFIG = { width: 4, height: 3, maxColors: 256, frameDelayMs: 50, loopCount: 0 };
+
+describe('apng encoder', () => {
+  it('reports true-color metadata producing image/png', () => {
+    const metadata = getApngMetadata();
+    expect(metadata.id).toBe('apng-js');
+    expect(metadata.mimeType).toBe('image/png');
+    expect(metadata.capabilities.supportsMaxColors).toBe(false);
+  });
+
+  describe('findChangedRect', () => {
+    it('returns null for identical frames', () => {
+      const a = solid(4, 3, [1, 2, 3, 255]);
+      expect(findChangedRect(a, a.slice(), 4, 3)).toBeNull();
+    });
+
+    it('returns the bounding box of changed pixels', () => {
+      const a = solid(4, 3, [1, 2, 3, 255]);
+      const b = a.slice();
+      setPixel(b, 4, 1, 0, [9, 9, 9, 255]);
+      setPixel(b, 4, 2, 2, [9, 9, 9, 255]);
+      expect(findChangedRect(a, b, 4, 3)).toEqual({ x: 1, y: 0, width: 2, height: 3 });
+    });
+  });
+
+  describe('extractFrameRegion', () => {
+    it('zeroes unchanged pixels and blends OVER when changes are opaque', () => {
+      const a = solid(4, 3, [1, 2, 3, 255]);
+      const b = a.slice();
+      setPixel(b, 4, 1, 1, [9, 9, 9, 255]);
+      setPixel(b, 4, 2, 2, [8, 8, 8, 255]);
+
+      const { rgba, blendOp } = extractFrameRegion(a, b, 4, { x: 1, y: 1, width: 2, height: 2 });
+      expect(blendOp).toBe(BlendOp.OVER);
+      expect(Array.from(rgba)).toEqual([9, 9, 9, 255, 0, 0, 0, 0, 0, 0, 0, 0, 8, 8, 8, 255]);
+    });
+
+    it('copies the region verbatim with SOURCE when a change has partial alpha', () => {
+      const a = solid(2, 1, [1, 2, 3, 255]);
+      const b = a.slice();
+      setPixel(b, 2, 0, 0, [9, 9, 9, 128]);
+
+      const { rgba, blendOp } = extractFrameRegion(a, b, 2, { x: 0, y: 0, width: 2, height: 1 });
+      expect(blendOp).toBe(BlendOp.SOURCE);
+      expect(Array.from(rgba)).toEqual([9, 9, 9, 128, 1, 2, 3, 255]);
+    });
+  });
+
+  describe('createApngEncoder', () => {
+    it('writes IHDR, acTL and a full first frame in IDAT', async () => {
+      const encoder = createApngEncoder();
+      encoder.init({ ...CONFIG, loopCount: 2 });
+      await encoder.addFrame({ rgba: solid(4, 3, [10, 20, 30, 255]), width: 4, height: 3 }, 0);
+      const bytes = await encoder.finish();
+
+      expect(Array.from(bytes.subarray(0, 8))).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+      const chunks = readChunks(bytes);
+      expect(chunks.map((c) => c.type)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'IEND']);
+
+      const [, actl, fctl, idat] = chunks;
+      expect(actl.view.getUint32(0)).toBe(1); // num_frames
+      expect(actl.view.getUint32(4)).toBe(2); // num_plays
+      expect(fctl.view.getUint32(4)).toBe(4);
+      expect(fctl.view.getUint32(8)).toBe(3);
+      expect(fctl.view.getUint16(20) / fctl.view.getUint16(22)).toBeCloseTo(0.05);
+      // 3 rows of filter byte + 16 bytes
+      expect(inflateSync(idat.data).length).toBe(3 * 17);
+    });
+
+    it('crops later frames to the changed region with consecutive sequence numbers', async () => {
+      const encoder = createApngEncoder();
+      encoder.init(CONFIG);
+
+      const first = solid(4, 3, [10, 20, 30, 255]);
+      const second = first.slice();
+      setPixel(second, 4, 2, 1, [200, 0, 0, 255]);
+
+      await encoder.addFrame({ rgba: first, width: 4, height: 3 }, 0);
+      await encoder.addFrame({ rgba: second, width: 4, height: 3 }, 1);
+      const chunks = readChunks(await encoder.finish());
+
+      expect(chunks.map((c) => c.type)).toEqual([
+        'IHDR',
+        'acTL',
+        'fcTL',
+        'IDAT',
+        'fcTL',
+        'fdAT',
+        'IEND',
+      ]);
+      const fctl = chunks[4];
+      expect(fctl.view.getUint32(0)).toBe(1); // sequence
+      expect(fctl.view.getUint32(4)).toBe(1); // width
+      expect(fctl.view.getUint32(8)).toBe(1); // height
+      expect(fctl.view.getUint32(12)).toBe(2); // x
+      expect(fctl.view.getUint32(16)).toBe(1); // y
+      expect(fctl.data[25]).toBe(BlendOp.OVER);
+
+      const fdat = chunks[5];
+      expect(fdat.view.getUint32(0)).toBe(2);
+      expect(Array.from(inflateSync(fdat.data.subarray(4)))).toEqual([0, 200, 0, 0, 255]);
+    });
+
+    it('folds unchanged frames into the previous delay', async () => {
+      const encoder = createApngEncoder();
+      encoder.init(CONFIG);
+      const frame = solid(4, 3, [10, 20, 30, 255]);
+
+      await encoder.addFrame({ rgba: frame, width: 4, height: 3 }, 0);
+      await encoder.addFrame({ rgba: frame.slice(), width: 4, height: 3 }, 1);
+      await encoder.addFrame({ rgba: frame.slice(), width: 4, height: 3 }, 2);
+      const chunks = readChunks(await encoder.finish());
+
+      const actl = chunks.find((c) => c.type === 'acTL');
+      const fctls = chunks.filter((c) => c.type === 'fcTL');
+      expect(actl?.view.getUint32(0)).toBe(1);
+      expect(fctls).toHaveLength(1);
+      expect(fctls[0].view.getUint16(20)).toBe(150);
+    });
+
+    it('rejects frames that do not match the output size', async () => {
+      const encoder = createApngEncoder();
+      encoder.init(CONFIG);
+      await expect(
+        encoder.addFrame({ rgba: solid(2, 2, [0, 0, 0, 255]), width: 2, height: 2 }, 0),
+      ).rejects.toThrow('does not match output');
+    });
+
+    it('throws when used before init', async () => {
+      const encoder = createApngEncoder();
+      await expect(
+        encoder.addFrame({ rgba: solid(4, 3, [0, 0, 0, 255]), width: 4, height: 3 }, 0),
+      ).rejects.toThrow('Encoder not initialized');
+      expect(() => encoder.finish()).toThrow('Encoder not initialized');
+    });
+  });
+});
@@ -1,8 +1,25 @@
 import { describe, expect, it } from 'vitest';
 import {
   applyFrameSkip,
+  applySizeLevel,
+  buildSizeLadder,
   calculateFrameDelay,
+  calculateFrameDelays,
+  calculateOutputDimensions,
+  calculateOutputDuration,
+  calculatePaletteStride,
   calculateProgress,
+  calculateTimestampDelays,
+  extrapolateSize,
+  fitsMergedDelay,
+  getCroppedDimensions,
+  getSceneStarts,
+  isDuplicateFrame,
+  mapSceneCuts,
+  selectPaletteFrames,
+  selectSampleIndices,
+  subsamplePixels,
+  usesGlobalPalette,
 } from '../../../src/features/export/core.js';
 
 /**
@@ -191,3 +208,320 @@ describe('calculateProgress', () => {
     expect(result.estimatedRemaining).toBe(0);
   });
 });
+
+describe('calculateOutputDimensions', () => {
+  const source = { width: 800, height: 600 };
+
+  it('keeps the source size in original mode', () => {
+    expect(calculateOutputDimensions(source, { scaleMode: 'original' })).toEqual(source);
+  });
+
+  it('scales by percentage', () => {
+    const size = calculateOutputDimensions(source, { scaleMode: 'percent', scalePercent: 50 });
+    expect(size).toEqual({ width: 400, height: 300 });
+  });
+
+  it('fits inside max bounds without upscaling', () => {
+    const fit = { scaleMode: 'fit', scaleMaxWidth: 400, scaleMaxHeight: 0 };
+    expect(calculateOutputDimensions(source, fit)).toEqual({ width: 400, height: 300 });
+
+    const larger = { scaleMode: 'fit', scaleMaxWidth: 1600, scaleMaxHeight: 1200 };
+    expect(calculateOutputDimensions(source, larger)).toEqual(source);
+  });
+
+  it('derives the other side from width when the aspect is locked', () => {
+    const exact = {
+      scaleMode: 'exact',
+      scaleWidth: 400,
+      scaleHeight: 999,
+      scaleLockAspect: true,
+    };
+    expect(calculateOutputDimensions(source, exact)).toEqual({ width: 400, height: 300 });
+  });
+
+  it('uses both sides as given when the aspect is unlocked', () => {
+    const exact = {
+      scaleMode: 'exact',
+      scaleWidth: 320,
+      scaleHeight: 320,
+      scaleLockAspect: false,
+    };
+    expect(calculateOutputDimensions(source, exact)).toEqual({ width: 320, height: 320 });
+  });
+});
+
+describe('getCroppedDimensions', () => {
+  it('applies output scaling to the crop when settings are given', () => {
+    const frame = createMockFrame('f1');
+    const crop = { x: 0, y: 0, width: 80, height: 40 };
+
+    expect(getCroppedDimensions(frame, crop)).toEqual({ width: 80, height: 40 });
+    expect(getCroppedDimensions(frame, crop, { scaleMode: 'percent', scalePercent: 50 })).toEqual({
+      width: 40,
+      height: 20,
+    });
+  });
+});
+
+describe('buildSizeLadder', () => {
+  const settings = /** @type {import('../../../src/features/export/types.js').ExportSettings} */ ({
+    quality: 1,
+    frameSkip: 1,
+    encoderPreset: 'quality',
+  });
+
+  it('starts from the given settings', () => {
+    const [first] = buildSizeLadder(settings);
+    expect(first).toEqual({ quality: 1, maxColors: 256, frameSkip: 1, scale: 1 });
+  });
+
+  it('only ever steps knobs down', () => {
+    const ladder = buildSizeLadder(settings);
+    for (let i = 1; i < ladder.length; i++) {
+      expect(ladder[i].maxColors).toBeLessThanOrEqual(ladder[i - 1].maxColors);
+      expect(ladder[i].scale).toBeLessThanOrEqual(ladder[i - 1].scale);
+      expect(ladder[i].frameSkip).toBeGreaterThanOrEqual(ladder[i - 1].frameSkip);
+    }
+    const last = ladder[ladder.length - 1];
+    expect(last.frameSkip).toBe(5);
+    expect(last.maxColors).toBe(16);
+  });
+});
+
+describe('applySizeLevel', () => {
+  const settings = /** @type {import('../../../src/features/export/types.js').ExportSettings} */ ({
+    quality: 1,
+    frameSkip: 1,
+    lossless: true,
+    scaleMode: 'percent',
+    scalePercent: 50,
+  });
+
+  it('returns rung 0 unchanged', () => {
+    const level = { quality: 1, maxColors: 256, frameSkip: 1, scale: 1 };
+    expect(applySizeLevel(settings, level, { width: 200, height: 100 }, true)).toBe(settings);
+  });
+
+  it('pins an exact size relative to the configured output', () => {
+    const level = { quality: 0.7, maxColors: 64, frameSkip: 2, scale: 0.5 };
+
+    const applied = applySizeLevel(settings, level, { width: 200, height: 100 });
+
+    expect(applied).toMatchObject({
+      quality: 0.7,
+      maxColors: 64,
+      frameSkip: 2,
+      lossless: false,
+      scaleMode: 'exact',
+      scaleWidth: 50,
+      scaleHeight: 25,
+    });
+  });
+});
+
+describe('selectSampleIndices', () => {
+  it('returns every frame for short clips', () => {
+    expect(selectSampleIndices(5)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('spreads runs of consecutive frames over the clip', () => {
+    expect(selectSampleIndices(100, 3, 2)).toEqual([0, 1, 49, 50, 98, 99]);
+  });
+});
+
+describe('extrapolateSize', () => {
+  it('scales per-frame bytes to the full frame count', () => {
+    expect(extrapolateSize(1024 + 500, 5, 50)).toBe(1024 + 5000);
+  });
+});
+
+describe('isDuplicateFrame', () => {
+  it('requires identical pixels at zero tolerance', () => {
+    const a = new Uint8ClampedArray([10, 20, 30, 255]);
+    expect(isDuplicateFrame(a, new Uint8ClampedArray(a), 0)).toBe(true);
+    expect(isDuplicateFrame(a, new Uint8ClampedArray([10, 21, 30, 255]), 0)).toBe(false);
+  });
+
+  it('ignores per-channel differences up to the tolerance', () => {
+    const a = new Uint8ClampedArray([10, 20, 30, 255]);
+    expect(isDuplicateFrame(a, new Uint8ClampedArray([13, 17, 30, 255]), 3)).toBe(true);
+    expect(isDuplicateFrame(a, new Uint8ClampedArray([14, 20, 30, 255]), 3)).toBe(false);
+  });
+
+  it('never matches frames of different sizes', () => {
+    expect(isDuplicateFrame(new Uint8ClampedArray(4), new Uint8ClampedArray(8), 32)).toBe(false);
+  });
+});
+
+describe('fitsMergedDelay', () => {
+  it('keeps merged delays within 16-bit milliseconds', () => {
+    expect(fitsMergedDelay(6553)).toBe(true);
+    expect(fitsMergedDelay(6554)).toBe(false);
+  });
+});
+
+/**
+ * Create frames captured at the given times
+ * @param {number[]} timesMs - Capture time of each frame in ms
+ */
+function createTimedFrames(timesMs) {
+  return timesMs.map((ms, i) => ({ ...createMockFrame(String(i)), timestamp: ms * 1000 }));
+}
+
+describe('calculateTimestampDelays', () => {
+  it('uses the gap to the next capture, and 1/fps for the last frame', () => {
+    const frames = createTimedFrames([0, 100, 150, 400]);
+
+    expect(calculateTimestampDelays(frames, 10, 1, 1)).toEqual([10, 5, 25, 10]);
+  });
+
+  it('carries centisecond rounding error into later frames', () => {
+    // 60 fps: 1.67 cs per frame would round to 2 cs every time and run slow
+    const frames = createTimedFrames(Array.from({ length: 30 }, (_, i) => (i * 1000) / 30));
+    const delays = calculateTimestampDelays(frames, 30, 1, 1);
+
+    expect(delays.slice(0, 3)).toEqual([3, 4, 3]);
+    expect(delays.reduce((sum, d) => sum + d, 0)).toBe(100);
+  });
+
+  it('applies frame skip and playback speed', () => {
+    const frames = createTimedFrames([0, 40, 200, 240, 400]);
+
+    // Kept frames 0, 2, 4 last 200 ms, 200 ms and one nominal 100 ms
+    expect(calculateTimestampDelays(frames, 10, 2, 2)).toEqual([10, 10, 5]);
+  });
+
+  it('falls back to the nominal interval for unusable timestamps', () => {
+    const frames = createTimedFrames([0, 0, Number.NaN, 300]);
+
+    expect(calculateTimestampDelays(frames, 20, 1, 1)).toEqual([5, 5, 5, 5]);
+  });
+
+  it('never writes delays below the GIF minimum', () => {
+    const frames = createTimedFrames([0, 5, 10, 15]);
+
+    expect(calculateTimestampDelays(frames, 200, 1, 1).every((d) => d >= 2)).toBe(true);
+  });
+});
+
+describe('calculateFrameDelays', () => {
+  it('repeats calculateFrameDelay for every kept frame without real timing', () => {
+    const frames = createTimedFrames([0, 10, 500, 510, 520]);
+    const settings = { frameSkip: 2, playbackSpeed: 1, realTiming: false };
+
+    expect(calculateFrameDelays(frames, 30, settings)).toEqual([7, 7, 7]);
+  });
+
+  it('uses capture timestamps with real timing', () => {
+    const frames = createTimedFrames([0, 10, 500, 510, 520]);
+    const settings = { frameSkip: 2, playbackSpeed: 1, realTiming: true };
+
+    expect(calculateFrameDelays(frames, 30, settings)).toEqual([50, 2, 3]);
+  });
+});
+
+describe('calculateOutputDuration', () => {
+  it('sums the delay of every frame left after frame skip', () => {
+    // 7 frames, every 2nd kept = 4 frames of 7 cs (2 * 33.3 ms, rounded)
+    const frames = createTimedFrames([0, 1, 2, 3, 4, 5, 6]);
+    const settings = { frameSkip: 2, playbackSpeed: 1, realTiming: false };
+
+    expect(calculateOutputDuration(frames, 30, settings)).toBeCloseTo(0.28);
+  });
+
+  it('matches the captured span with real timing', () => {
+    const frames = createTimedFrames([0, 250, 600, 1900]);
+    const settings = { frameSkip: 1, playbackSpeed: 1, realTiming: true };
+
+    expect(calculateOutputDuration(frames, 10, settings)).toBeCloseTo(2);
+  });
+});
+
+describe('usesGlobalPalette', () => {
+  it('applies only to gifenc exports with the setting on', () => {
+    expect(usesGlobalPalette({ globalPalette: true, encoderId: 'gifenc-js' })).toBe(true);
+    expect(usesGlobalPalette({ globalPalette: false, encoderId: 'gifenc-js' })).toBe(false);
+    expect(usesGlobalPalette({ globalPalette: true, encoderId: 'gifsicle-wasm' })).toBe(false);
+  });
+});
+
+describe('selectPaletteFrames', () => {
+  it('uses every frame of a short clip', () => {
+    expect(selectPaletteFrames(4, 8)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('takes the middle frame of each stratum of a long clip', () => {
+    expect(selectPaletteFrames(100, 4)).toEqual([12, 37, 62, 87]);
+  });
+});
+
+describe('calculatePaletteStride', () => {
+  it('keeps every pixel within budget', () => {
+    expect(calculatePaletteStride(1000, 10, 20000)).toBe(1);
+  });
+
+  it('skips pixels to stay within budget', () => {
+    expect(calculatePaletteStride(1920 * 1080, 64, 1 << 20)).toBe(127);
+  });
+});
+
+describe('subsamplePixels', () => {
+  const rgba = new Uint8ClampedArray(Array.from({ length: 6 }, (_, p) => [p, p, p, 255]).flat());
+
+  it('copies every Nth pixel', () => {
+    expect(Array.from(subsamplePixels(rgba, 2, 0))).toEqual([
+      0, 0, 0, 255, 2, 2, 2, 255, 4, 4, 4, 255,
+    ]);
+  });
+
+  it('starts at the offset modulo the stride', () => {
+    expect(Array.from(subsamplePixels(rgba, 4, 5))).toEqual([1, 1, 1, 255, 5, 5, 5, 255]);
+  });
+});
+
+describe('getSceneStarts', () => {
+  const scenes = [0, 40, 90, 150].map((startFrame, i) => ({
+    id: `scene-${i}`,
+    startFrame,
+    endFrame: startFrame + 9,
+    confidence: 1,
+    timestamp: 0,
+    duration: 0,
+  }));
+
+  it('returns scene starts inside the range relative to its first frame', () => {
+    expect(getSceneStarts(scenes, { start: 30, end: 120 })).toEqual([10, 60]);
+  });
+
+  it('omits a cut on the first exported frame', () => {
+    expect(getSceneStarts(scenes, { start: 40, end: 100 })).toEqual([50]);
+  });
+
+  it('returns undefined when no scenes were detected', () => {
+    expect(getSceneStarts([], { start: 0, end: 10 })).toBeUndefined();
+    expect(getSceneStarts(undefined, { start: 0, end: 10 })).toBeUndefined();
+  });
+});
+
+describe('mapSceneCuts', () => {
+  const identity = (/** @type {number} */ n) => Array.from({ length: n }, (_, i) => i);
+
+  it('keeps cuts unchanged without frame skip or merging', () => {
+    expect(mapSceneCuts([3, 7], 1, identity(10), 10)).toEqual([3, 7]);
+  });
+
+  it('moves cuts to the next frame kept by frame skip', () => {
+    // Skip 3 keeps frames 0, 3, 6, 9
+    expect(mapSceneCuts([4, 6], 3, identity(4), 4)).toEqual([2]);
+  });
+
+  it('drops cuts after the last kept frame', () => {
+    // Skip 2 of 4 frames keeps 0 and 2; a cut at 3 has no frame to land on
+    expect(mapSceneCuts([3], 2, identity(2), 2)).toEqual([]);
+  });
+
+  it('lands on the merged run containing the cut', () => {
+    // Written frames start at kept frames 0, 4, 5
+    expect(mapSceneCuts([2, 4, 6], 1, [0, 4, 5], 8)).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,237 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import {
+  __resetFrameExtractionCacheForTests,
+  encodeGif,
+} from '../../../src/features/export/api.js';
+import { getFrameAnnotations } from '../../../src/features/export/core.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+/** Value written over the pixels by every drawn caption */
+const TEXT_VALUE = 255;
+
+/** Value written over the pixels by every stroked shape */
+const SHAPE_VALUE = 128;
+
+/** Translations applied before captions were drawn */
+/** @type {{ x: number, y: number }[]} */
+let translations;
+
+/** Opacity of every stroked shape */
+/** @type {number[]} */
+let strokeAlphas;
+
+/**
+ * Canvas whose text drawing paints every pixel TEXT_VALUE and whose strokes
+ * paint every pixel SHAPE_VALUE
+ */
+class FakeOffscreenCanvas {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    let pixels = new Uint8ClampedArray(0);
+    this.ctx = {
+      putImageData: (/** @type {{ data: Uint8ClampedArray }} */ image) => {
+        pixels = new Uint8ClampedArray(image.data);
+      },
+      getImageData: () => ({ data: pixels }),
+      clearRect: () => {},
+      translate: (/** @type {number} */ x, /** @type {number} */ y) => translations.push({ x, y }),
+      fillText: () => pixels.fill(TEXT_VALUE),
+      measureText: (/** @type {string} */ text) => ({ width: text.length }),
+      save: () => {},
+      restore: () => {},
+      beginPath: () => {},
+      roundRect: () => {},
+      fill: () => {},
+      strokeText: () => {},
+      globalAlpha: 1,
+      rect: () => {},
+      stroke: () => {
+        strokeAlphas.push(this.ctx.globalAlpha);
+        pixels.fill(SHAPE_VALUE);
+      },
+    };
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+}
+
+/**
+ * @param {number} start
+ * @param {number} end
+ * @param {string} [text]
+ */
+function createCaption(start, end, text = 'Hi') {
+  return {
+    id: `caption-${start}-${end}`,
+    text,
+    x: 2,
+    y: 2,
+    width: 4,
+    height: 4,
+    start,
+    end,
+    font: 'serif',
+    fontSize: 8,
+    color: '#ffffff',
+    background: null,
+    outline: null,
+  };
+}
+
+/**
+ * @param {number} start
+ * @param {number} end
+ * @param {{ fadeIn?: number, fadeOut?: number }} [fade]
+ */
+function createBox(start, end, fade = {}) {
+  return {
+    id: `shape-${start}-${end}`,
+    kind: 'rect',
+    x: 2,
+    y: 2,
+    width: 4,
+    height: 4,
+    points: [],
+    start,
+    end,
+    color: '#ff0000',
+    strokeWidth: 2,
+    fadeIn: 0,
+    fadeOut: 0,
+    ...fade,
+  };
+}
+
+/**
+ * @param {ReturnType<typeof createCaption>} caption
+ */
+const asAnnotation = (caption) => ({ type: 'caption', caption });
+
+describe('getFrameAnnotations', () => {
+  it('lists the captions of each exported frame', () => {
+    const early = createCaption(0, 3);
+    const late = createCaption(6, 9);
+    // Clip frames 2..7 exported with 4 and 5 cut
+    const kept = [2, 3, 6, 7];
+
+    expect(getFrameAnnotations(kept, [early, late])).toEqual(
+      [[early], [early], [late], [late]].map((list) => list.map(asAnnotation)),
+    );
+  });
+
+  it('puts shapes under captions, at the opacity of their fade', () => {
+    const caption = createCaption(0, 9);
+    const box = /** @type {any} */ (createBox(2, 3, { fadeIn: 1 }));
+
+    expect(getFrameAnnotations([2, 3], [caption], [box])).toEqual([
+      [{ type: 'shape', shape: box, opacity: 0.5 }, asAnnotation(caption)],
+      [{ type: 'shape', shape: box, opacity: 1 }, asAnnotation(caption)],
+    ]);
+  });
+
+  it('has nothing to draw without captions on the exported frames', () => {
+    expect(getFrameAnnotations([2, 3], [createCaption(5, 6), createCaption(0, 9, ' ')])).toBe(
+      undefined,
+    );
+    expect(getFrameAnnotations([2, 3])).toBe(undefined);
+  });
+});
+
+describe('encodeGif with captions', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager();
+    translations = [];
+    strokeAlphas = [];
+    __resetFrameExtractionCacheForTests();
+    vi.stubGlobal('OffscreenCanvas', FakeOffscreenCanvas);
+    vi.stubGlobal(
+      'ImageData',
+      class {
+        /**
+         * @param {Uint8ClampedArray} data
+         * @param {number} width
+         * @param {number} height
+         */
+        constructor(data, width, height) {
+          this.data = data;
+          this.width = width;
+          this.height = height;
+        }
+      },
+    );
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    __resetFrameExtractionCacheForTests();
+  });
+
+  it('burns captions into their frames after the crop', async () => {
+    const frames = [10, 20, 30].map((value, i) => createSolidFrame(value, i, { size: 8 }));
+    const annotations = /** @type {any} */ ([[], [asAnnotation(createCaption(1, 1))], []]);
+
+    await encodeGif({
+      frames,
+      crop: { x: 1, y: 2, width: 4, height: 4, aspectRatio: 'free' },
+      settings: GIF_SETTINGS,
+      fps: 10,
+      annotations,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([10, TEXT_VALUE, 30]);
+    // Boxes are in frame coordinates; the crop origin moves them into place
+    expect(translations).toEqual([{ x: -1, y: -2 }]);
+  });
+
+  it('keeps each caption on its frame in reverse', async () => {
+    const frames = [10, 20, 30].map((value, i) => createSolidFrame(value, i, { size: 8 }));
+    const annotations = /** @type {any} */ ([[asAnnotation(createCaption(0, 0))], [], []]);
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...GIF_SETTINGS, playbackDirection: 'reverse' },
+      fps: 10,
+      annotations,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([30, 20, TEXT_VALUE]);
+  });
+
+  it('burns shapes in at their fade opacity', async () => {
+    const frames = [10, 20, 30].map((value, i) => createSolidFrame(value, i, { size: 8 }));
+    const box = createBox(1, 2, { fadeOut: 1 });
+    const annotations = /** @type {any} */ (getFrameAnnotations([0, 1, 2], [], [box]));
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: GIF_SETTINGS,
+      fps: 10,
+      annotations,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([10, SHAPE_VALUE, SHAPE_VALUE]);
+    expect(strokeAlphas).toEqual([1, 0.5]);
+  });
+});
@@ -16,6 +16,7 @@ describe('createDefaultSettings', () => {
     expect(settings.frameSkip).toBe(1);
     expect(settings.playbackSpeed).toBe(1);
     expect(settings.dithering).toBe(true);
+    expect(settings.optimizeFrames).toBe(false);
     expect(settings.loopCount).toBe(0);
     expect(settings.openInNewTab).toBe(false);
     expect(settings.encoderPreset).toBe('balanced');
@@ -0,0 +1,157 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import { encodeGif } from '../../../src/features/export/api.js';
+import { usesGlobalPalette } from '../../../src/features/export/core.js';
+import {
+  createGifencEncoder,
+  pinColors,
+} from '../../../src/features/export/encoders/gifenc-encoder.js';
+import { readGifColorTables } from '../../../src/features/export/palette-file.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+const BRAND_BLUE = [26, 115, 232];
+
+describe('pinColors', () => {
+  it('puts pinned colors first and drops their duplicates', () => {
+    const palette = [
+      [0, 0, 0],
+      [26, 115, 232],
+      [255, 255, 255],
+    ];
+
+    expect(pinColors(palette, [BRAND_BLUE], 4)).toEqual([BRAND_BLUE, [0, 0, 0], [255, 255, 255]]);
+  });
+
+  it('drops quantized colors beyond the size', () => {
+    const palette = [
+      [0, 0, 0],
+      [255, 255, 255],
+    ];
+
+    expect(pinColors(palette, [BRAND_BLUE], 2)).toEqual([BRAND_BLUE, [0, 0, 0]]);
+  });
+});
+
+describe('gifenc palettes', () => {
+  const width = 16;
+  const height = 4;
+
+  /** A gradient with a brand blue band in the first row */
+  function createFrame() {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+      const x = p % width;
+      rgba.set(p < width ? [...BRAND_BLUE, 255] : [x * 16, 128, 255 - x * 16, 255], p * 4);
+    }
+    return rgba;
+  }
+
+  /**
+   * @param {Partial<import('../../../src/features/export/encoders/types.js').EncoderConfig>} options
+   */
+  function encode(options) {
+    const encoder = createGifencEncoder();
+    encoder.init({
+      width,
+      height,
+      maxColors: 8,
+      frameDelayMs: 100,
+      loopCount: 0,
+      quantizeFormat: 'rgb444',
+      ...options,
+    });
+    encoder.addFrame({ rgba: createFrame(), width, height }, 0);
+    encoder.addFrame({ rgba: createFrame(), width, height }, 1);
+    const bytes = /** @type {Uint8Array} */ (encoder.finish());
+    encoder.dispose();
+    return /** @type {NonNullable<ReturnType<typeof readGifColorTables>>} */ (
+      readGifColorTables(bytes)
+    );
+  }
+
+  it('keeps pinned colors exactly in every palette', () => {
+    const tables = encode({ pinnedColors: [BRAND_BLUE] });
+
+    expect(tables.global?.[0]).toEqual(BRAND_BLUE);
+  });
+
+  it.each([false, true])('keeps pinned colors with dithering %s', (dithered) => {
+    const tables = encode({
+      pinnedColors: [BRAND_BLUE],
+      dither: dithered ? 'floyd-steinberg' : 'none',
+      optimizeFrames: true,
+    });
+
+    expect(tables.global?.[0]).toEqual(BRAND_BLUE);
+  });
+
+  it('uses a supplied palette as the only color table', () => {
+    const palette = [[0, 0, 0], [255, 255, 255], BRAND_BLUE];
+
+    const tables = encode({ palette, maxColors: 256 });
+
+    expect(tables.global?.slice(0, 3)).toEqual(palette);
+    expect(tables.localTables).toBe(0);
+  });
+});
+
+describe('encodeGif palette settings', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager();
+  });
+
+  const frames = [createSolidFrame(100, 0, { size: 2 })];
+
+  const SETTINGS = { ...GIF_SETTINGS, globalPalette: true };
+
+  it('sends imported and pinned colors as RGB', async () => {
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: {
+        ...SETTINGS,
+        customPalette: { name: 'Brand', colors: ['#000000', '#1a73e8'] },
+        pinnedColors: ['#1a73e8'],
+      },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.palette).toEqual([[0, 0, 0], BRAND_BLUE]);
+    expect(manager.config.pinnedColors).toEqual([BRAND_BLUE]);
+    // The imported palette replaces two-pass sampling
+    expect(manager.config.paletteSample).toBeUndefined();
+  });
+
+  it('omits palette options that are not set', async () => {
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...SETTINGS, customPalette: null, pinnedColors: [] },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.palette).toBeUndefined();
+    expect(manager.config.pinnedColors).toBeUndefined();
+  });
+});
+
+describe('usesGlobalPalette with an imported palette', () => {
+  it('skips sampling when a palette was imported', () => {
+    const customPalette = { name: 'Brand', colors: ['#000000'] };
+
+    expect(usesGlobalPalette({ globalPalette: true, encoderId: 'gifenc-js', customPalette })).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import { getKeptFrameIndices } from '../../../src/features/editor/core.js';
+import { encodeGif } from '../../../src/features/export/api.js';
+import {
+  calculateFrameDelays,
+  calculateOutputDuration,
+  getCutJoins,
+  getSceneStarts,
+} from '../../../src/features/export/core.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+const SETTINGS = {
+  ...GIF_SETTINGS,
+  realTiming: true,
+  playbackDirection: /** @type {const} */ ('forward'),
+};
+
+// Clip frames 0-9 with 3-6 cut: 0 1 2 | 7 8 9
+const clip = Array.from({ length: 10 }, (_, i) => createSolidFrame(i, i));
+const kept = getKeptFrameIndices({ start: 0, end: 9 }, [{ start: 3, end: 6 }]);
+const frames = kept.map((i) => clip[i]);
+
+describe('cut joins', () => {
+  it('marks the frames followed by a cut', () => {
+    expect(kept).toEqual([0, 1, 2, 7, 8, 9]);
+    expect(getCutJoins(kept)).toEqual([2]);
+    expect(getCutJoins([4, 5, 6])).toEqual([]);
+  });
+
+  it('leaves the time of cut frames out of real timing', () => {
+    const joins = getCutJoins(kept);
+
+    // Without the join the frame before the cut would last 500ms
+    expect(calculateFrameDelays(/** @type {any} */ (frames), 10, SETTINGS)[2]).toBe(50);
+    expect(calculateFrameDelays(/** @type {any} */ (frames), 10, SETTINGS, joins)).toEqual([
+      10, 10, 10, 10, 10, 10,
+    ]);
+    expect(calculateOutputDuration(/** @type {any} */ (frames), 10, SETTINGS, joins)).toBeCloseTo(
+      0.6,
+    );
+  });
+
+  it('moves scene starts inside a cut to the first frame after it', () => {
+    const scenes = [
+      { startFrame: 0, endFrame: 4 },
+      { startFrame: 5, endFrame: 7 },
+      { startFrame: 8, endFrame: 9 },
+    ];
+
+    expect(getSceneStarts(/** @type {any} */ (scenes), { start: 0, end: 9 }, kept)).toEqual([3, 4]);
+  });
+});
+
+describe('encodeGif with cut frames', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager();
+  });
+
+  it('writes only the kept frames without closing the cut ones', async () => {
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: SETTINGS,
+      fps: 10,
+      cutJoins: getCutJoins(kept),
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([0, 1, 2, 7, 8, 9]);
+    expect(manager.frames.map((f) => f.delayMs)).toEqual([100, 100, 100, 100, 100, 100]);
+    for (const frame of clip) {
+      expect(frame.frame.close).not.toHaveBeenCalled();
+    }
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createPaletteMatcher,
+  DITHER_METHODS,
+  ditherToPalette,
+} from '../../../src/features/export/encoders/dither.js';
+import { createGifencEncoder } from '../../../src/features/export/encoders/gifenc-encoder.js';
+
+const BLACK_WHITE = [
+  [0, 0, 0],
+  [255, 255, 255],
+];
+
+/**
+ * Solid-color RGBA image
+ * @param {number} width
+ * @param {number} height
+ * @param {[number, number, number]} rgb
+ */
+function solid(width, height, [r, g, b]) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < rgba.length; i += 4) {
+    rgba[i] = r;
+    rgba[i + 1] = g;
+    rgba[i + 2] = b;
+    rgba[i + 3] = 255;
+  }
+  return rgba;
+}
+
+/** @param {Uint8Array} index */
+const whiteShare = (index) => index.reduce((sum, i) => sum + i, 0) / index.length;
+
+describe('dither', () => {
+  describe('createPaletteMatcher', () => {
+    it('returns the nearest palette entry', () => {
+      const match = createPaletteMatcher([
+        [0, 0, 0],
+        [255, 0, 0],
+        [0, 0, 255],
+      ]);
+      expect(match(10, 10, 10)).toBe(0);
+      expect(match(240, 20, 10)).toBe(1);
+      expect(match(20, 10, 200)).toBe(2);
+    });
+  });
+
+  describe('ditherToPalette', () => {
+    it.each(DITHER_METHODS.map((m) => m.id))(
+      '%s renders mid gray as a black/white mix of roughly equal density',
+      (method) => {
+        const index = ditherToPalette(solid(32, 32, [128, 128, 128]), 32, 32, BLACK_WHITE, method);
+        const share = whiteShare(index);
+        expect(share).toBeGreaterThan(0.3);
+        expect(share).toBeLessThan(0.7);
+      },
+    );
+
+    it.each(DITHER_METHODS.map((m) => m.id))(
+      '%s leaves colors that are exactly in the palette untouched',
+      (method) => {
+        const index = ditherToPalette(solid(8, 8, [255, 255, 255]), 8, 8, BLACK_WHITE, method);
+        expect(index.every((i) => i === 1)).toBe(true);
+      },
+    );
+
+    it('tracks gradient density with error diffusion', () => {
+      const dark = ditherToPalette(solid(16, 16, [64, 64, 64]), 16, 16, BLACK_WHITE, 'sierra-lite');
+      const light = ditherToPalette(
+        solid(16, 16, [192, 192, 192]),
+        16,
+        16,
+        BLACK_WHITE,
+        'sierra-lite',
+      );
+      expect(whiteShare(dark)).toBeCloseTo(0.25, 1);
+      expect(whiteShare(light)).toBeCloseTo(0.75, 1);
+    });
+
+    it('gives ordered dithering a position-only pattern', () => {
+      const rgba = solid(8, 8, [100, 100, 100]);
+      const first = ditherToPalette(rgba, 8, 8, BLACK_WHITE, 'bayer8');
+      const second = ditherToPalette(rgba, 8, 8, BLACK_WHITE, 'bayer8');
+      expect(Array.from(first)).toEqual(Array.from(second));
+      // 4x4 tiles repeat every 4 pixels
+      const bayer4 = ditherToPalette(rgba, 8, 8, BLACK_WHITE, 'bayer4');
+      expect(Array.from(bayer4.subarray(0, 4))).toEqual(Array.from(bayer4.subarray(4, 8)));
+    });
+
+    it('rejects unknown methods', () => {
+      expect(() =>
+        ditherToPalette(solid(1, 1, [0, 0, 0]), 1, 1, BLACK_WHITE, /** @type {any} */ ('noise')),
+      ).toThrow('Unknown dither method');
+    });
+  });
+
+  describe('gifenc integration', () => {
+    it('produces a different image when dithering is enabled', () => {
+      const width = 32;
+      const height = 8;
+      // Horizontal gray ramp quantized to 4 colors bands without dithering
+      const rgba = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const p = (y * width + x) * 4;
+          rgba.fill(x * 8, p, p + 3);
+          rgba[p + 3] = 255;
+        }
+      }
+
+      /** @param {'none' | 'floyd-steinberg'} dither */
+      const encode = (dither) => {
+        const encoder = createGifencEncoder();
+        encoder.init({ width, height, maxColors: 4, frameDelayMs: 100, loopCount: 0, dither });
+        encoder.addFrame({ rgba: new Uint8ClampedArray(rgba), width, height }, 0);
+        return /** @type {Uint8Array} */ (encoder.finish());
+      };
+
+      const plain = encode('none');
+      const dithered = encode('floyd-steinberg');
+      expect(String.fromCharCode(...dithered.subarray(0, 6))).toBe('GIF89a');
+      expect(Array.from(dithered)).not.toEqual(Array.from(plain));
+    });
+  });
+});
@@ -246,6 +246,24 @@ describe('palette scheduling (#99)', () => {
     }
   });
 
+  it('quantizes exactly at scene cuts instead of the interval', async () => {
+    const { shouldQuantize } = await import(
+      '../../../src/features/export/encoders/gifenc-encoder.js'
+    );
+    const cuts = new Set([7, 25]);
+    for (const interval of [0, 10]) {
+      expect([0, 7, 10, 20, 25].map((i) => shouldQuantize(i, interval, i > 0, cuts))).toEqual([
+        true,
+        true,
+        false,
+        false,
+        true,
+      ]);
+    }
+    // Every frame on the quality preset, scenes or not
+    expect(shouldQuantize(3, 1, true, cuts)).toBe(true);
+  });
+
   it('always quantizes when no palette exists regardless of interval', async () => {
     const { shouldQuantize } = await import(
       '../../../src/features/export/encoders/gifenc-encoder.js'
@@ -5,6 +5,7 @@ import {
   calculateProgress,
   generateFilename,
   getCroppedDimensions,
+  getFileExtension,
 } from '../../../src/features/export/core.js';
 
 /**
@@ -175,4 +176,19 @@ describe('GIF Encoding Functions (US3)', () => {
       expect(filename).toMatch(/^glinfs-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.gif$/);
     });
   });
+
+  describe('getFileExtension', () => {
+    it('maps each encoder to its output format', () => {
+      expect(getFileExtension('gifenc-js')).toBe('gif');
+      expect(getFileExtension('gifsicle-wasm')).toBe('gif');
+      expect(getFileExtension('webp-native')).toBe('webp');
+      expect(getFileExtension('apng-js')).toBe('png');
+      expect(getFileExtension('webm-webcodecs')).toBe('webm');
+      expect(getFileExtension('mp4-webcodecs')).toBe('mp4');
+    });
+
+    it('feeds generateFilename', () => {
+      expect(generateFilename('glinfs', getFileExtension('webp-native'))).toMatch(/\.webp$/);
+    });
+  });
 });
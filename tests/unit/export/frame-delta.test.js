@@ -0,0 +1,201 @@
+import { describe, expect, it } from 'vitest';
+import { createFrameOptimizer } from '../../../src/features/export/encoders/frame-delta.js';
+import { createGifencEncoder } from '../../../src/features/export/encoders/gifenc-encoder.js';
+
+const PALETTE = [
+  [0, 0, 0],
+  [255, 255, 255],
+  [255, 0, 0],
+];
+const TRANSPARENT = PALETTE.length;
+
+/**
+ * Build RGBA for an indexed image using PALETTE
+ * @param {number[]} index
+ * @returns {Uint8ClampedArray}
+ */
+function toRGBA(index) {
+  const rgba = new Uint8ClampedArray(index.length * 4);
+  index.forEach((i, p) => {
+    rgba.set([...PALETTE[i], 255], p * 4);
+  });
+  return rgba;
+}
+
+describe('createFrameOptimizer', () => {
+  it('passes the first frame through whole', () => {
+    const optimizer = createFrameOptimizer(2, 2);
+    const index = new Uint8Array([0, 1, 1, 0]);
+
+    const delta = optimizer.next(index, PALETTE, toRGBA([0, 1, 1, 0]), true, TRANSPARENT);
+
+    expect(delta).toMatchObject({ x: 0, y: 0, width: 2, height: 2, transparent: false });
+    expect(delta.index).toBe(index);
+  });
+
+  it('crops to the changed pixels and marks unchanged ones transparent', () => {
+    const optimizer = createFrameOptimizer(4, 3);
+    const first = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+    const second = [0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, 0];
+    optimizer.next(new Uint8Array(first), PALETTE, toRGBA(first), true, TRANSPARENT);
+
+    const delta = optimizer.next(
+      new Uint8Array(second),
+      PALETTE,
+      toRGBA(second),
+      false,
+      TRANSPARENT,
+    );
+
+    expect(delta).toMatchObject({ x: 1, y: 1, width: 2, height: 2, transparent: true });
+    expect(Array.from(delta.index)).toEqual([2, TRANSPARENT, TRANSPARENT, 2]);
+  });
+
+  it('compares against what is displayed, not just the previous frame', () => {
+    const optimizer = createFrameOptimizer(2, 1);
+    optimizer.next(new Uint8Array([0, 0]), PALETTE, toRGBA([0, 0]), true, TRANSPARENT);
+    optimizer.next(new Uint8Array([1, 0]), PALETTE, toRGBA([1, 0]), false, TRANSPARENT);
+
+    // Pixel 0 returns to black: must be rewritten even though frame 2 differs from frame 1 there
+    const delta = optimizer.next(
+      new Uint8Array([0, 0]),
+      PALETTE,
+      toRGBA([0, 0]),
+      false,
+      TRANSPARENT,
+    );
+
+    expect(delta).toMatchObject({ x: 0, y: 0, width: 1, height: 1 });
+    expect(Array.from(delta.index)).toEqual([0]);
+  });
+
+  it('keeps static source pixels even if dithering picked another index', () => {
+    const optimizer = createFrameOptimizer(2, 1);
+    const rgba = toRGBA([0, 0]);
+    optimizer.next(new Uint8Array([0, 0]), PALETTE, rgba, true, TRANSPARENT);
+
+    const delta = optimizer.next(new Uint8Array([1, 0]), PALETTE, rgba, false, TRANSPARENT);
+
+    expect(delta).toMatchObject({ width: 1, height: 1 });
+    expect(Array.from(delta.index)).toEqual([TRANSPARENT]);
+  });
+
+  it('rechecks static pixels after a palette rebuild', () => {
+    const optimizer = createFrameOptimizer(2, 1);
+    const rgba = toRGBA([0, 0]);
+    optimizer.next(new Uint8Array([0, 0]), PALETTE, rgba, true, TRANSPARENT);
+
+    const rebuilt = [[10, 10, 10], ...PALETTE.slice(1)];
+    const delta = optimizer.next(new Uint8Array([0, 0]), rebuilt, rgba, true, TRANSPARENT);
+
+    expect(delta).toMatchObject({ x: 0, y: 0, width: 2, height: 1 });
+    expect(Array.from(delta.index)).toEqual([0, 0]);
+  });
+});
+
+/**
+ * Walk a GIF and collect its image descriptors
+ * @param {Uint8Array} bytes
+ * @returns {{ x: number, y: number, width: number, height: number, disposal: number, transparent: boolean }[]}
+ */
+function readFrames(bytes) {
+  const u16 = (/** @type {number} */ o) => bytes[o] | (bytes[o + 1] << 8);
+  const skipSubBlocks = (/** @type {number} */ o) => {
+    let offset = o;
+    while (bytes[offset] !== 0) offset += bytes[offset] + 1;
+    return offset + 1;
+  };
+
+  let offset = 13;
+  if (bytes[10] & 0x80) offset += 3 * (1 << ((bytes[10] & 7) + 1));
+
+  const frames = [];
+  let gce = { disposal: 0, transparent: false };
+  while (bytes[offset] !== 0x3b) {
+    if (bytes[offset] === 0x21) {
+      if (bytes[offset + 1] === 0xf9) {
+        const packed = bytes[offset + 3];
+        gce = { disposal: (packed >> 2) & 7, transparent: (packed & 1) === 1 };
+      }
+      offset = skipSubBlocks(offset + 2);
+    } else if (bytes[offset] === 0x2c) {
+      const packed = bytes[offset + 9];
+      frames.push({
+        x: u16(offset + 1),
+        y: u16(offset + 3),
+        width: u16(offset + 5),
+        height: u16(offset + 7),
+        ...gce,
+      });
+      offset += 10;
+      if (packed & 0x80) offset += 3 * (1 << ((packed & 7) + 1));
+      offset = skipSubBlocks(offset + 1); // LZW minimum code size, then data
+    } else {
+      throw new Error(`Unexpected block 0x${bytes[offset].toString(16)} at ${offset}`);
+    }
+  }
+  return frames;
+}
+
+describe('gifenc frame optimization', () => {
+  const width = 32;
+  const height = 24;
+
+  /**
+   * A mostly static frame with a small moving square
+   * @param {number} step
+   */
+  function createFrame(step) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+      const x = p % width;
+      rgba.set([x * 8, 40, 200 - x * 4, 255], p * 4);
+    }
+    for (let y = 4; y < 8; y++) {
+      for (let x = 4 + step; x < 8 + step; x++) {
+        rgba.set([255, 255, 255, 255], (y * width + x) * 4);
+      }
+    }
+    return rgba;
+  }
+
+  /** @param {boolean} optimizeFrames */
+  function encode(optimizeFrames) {
+    const encoder = createGifencEncoder();
+    encoder.init({
+      width,
+      height,
+      maxColors: 64,
+      frameDelayMs: 100,
+      loopCount: 0,
+      paletteInterval: 0,
+      optimizeFrames,
+    });
+    for (let i = 0; i < 4; i++) {
+      encoder.addFrame({ rgba: createFrame(i), width, height }, i);
+    }
+    const bytes = /** @type {Uint8Array} */ (encoder.finish());
+    encoder.dispose();
+    return bytes;
+  }
+
+  it('writes later frames as positioned sub-rectangles that keep the previous frame', () => {
+    const frames = readFrames(encode(true));
+
+    expect(frames).toHaveLength(4);
+    expect(frames[0]).toMatchObject({ x: 0, y: 0, width, height });
+    // The square moves one pixel right: old column cleared, new column drawn
+    expect(frames[1]).toMatchObject({ x: 4, y: 4, width: 5, height: 4, disposal: 1 });
+    expect(frames[1].transparent).toBe(true);
+  });
+
+  it('produces a smaller file than full frames', () => {
+    expect(encode(true).length).toBeLessThan(encode(false).length);
+  });
+
+  it('leaves output unchanged when disabled', () => {
+    const frames = readFrames(encode(false));
+
+    expect(frames.every((f) => f.x === 0 && f.y === 0 && f.width === width)).toBe(true);
+  });
+});
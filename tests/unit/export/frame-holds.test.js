@@ -0,0 +1,79 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import { encodeGif } from '../../../src/features/export/api.js';
+import {
+  calculateFrameDelays,
+  calculateOutputDuration,
+  getFrameHolds,
+} from '../../../src/features/export/core.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+describe('getFrameHolds', () => {
+  it('moves holds onto the exported frames and drops the rest', () => {
+    // Clip frames 2..7 exported with 4 and 5 cut
+    const kept = [2, 3, 6, 7];
+
+    expect(getFrameHolds(kept, { 0: 500, 3: 1000, 5: 900, 7: 2000 })).toEqual({ 1: 1000, 3: 2000 });
+    expect(getFrameHolds(kept)).toEqual({});
+  });
+});
+
+describe('delays with holds', () => {
+  const frames = /** @type {any} */ ([0, 1, 2, 3].map((i) => createSolidFrame(i, i)));
+
+  it('writes the hold in place of the constant delay', () => {
+    expect(calculateFrameDelays(frames, 10, GIF_SETTINGS, [], { 3: 2000 })).toEqual([
+      10, 10, 10, 200,
+    ]);
+    expect(calculateOutputDuration(frames, 10, GIF_SETTINGS, [], { 3: 2000 })).toBeCloseTo(2.3);
+  });
+
+  it('keeps the hold whatever the playback speed', () => {
+    const settings = { ...GIF_SETTINGS, playbackSpeed: 2 };
+
+    expect(calculateFrameDelays(frames, 10, settings, [], { 0: 1000 })).toEqual([100, 5, 5, 5]);
+    expect(
+      calculateFrameDelays(frames, 10, { ...settings, realTiming: true }, [], { 0: 1000 }),
+    ).toEqual([100, 5, 5, 5]);
+  });
+
+  it('lends a skipped frame its hold to the frame kept for it', () => {
+    const settings = { ...GIF_SETTINGS, frameSkip: 2 };
+
+    expect(calculateFrameDelays(frames, 10, settings, [], { 1: 1000 })).toEqual([110, 20]);
+  });
+
+  it('moves the hold with its frame in reverse', () => {
+    const settings = { ...GIF_SETTINGS, playbackDirection: /** @type {const} */ ('reverse') };
+
+    expect(calculateFrameDelays(frames, 10, settings, [], { 3: 2000 })).toEqual([200, 10, 10, 10]);
+  });
+});
+
+describe('encodeGif with holds', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager();
+  });
+
+  it('sends a variable delay per frame', async () => {
+    await encodeGif({
+      frames: [10, 20, 30].map((value, i) => createSolidFrame(value, i)),
+      crop: null,
+      settings: GIF_SETTINGS,
+      fps: 10,
+      holds: { 2: 2000 },
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.delayMs)).toEqual([100, 100, 2000]);
+  });
+});
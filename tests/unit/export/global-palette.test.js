@@ -0,0 +1,162 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import { encodeGif } from '../../../src/features/export/api.js';
+import { createGifencEncoder } from '../../../src/features/export/encoders/gifenc-encoder.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+/**
+ * Walk a GIF and report which color tables it contains
+ * @param {Uint8Array} bytes
+ * @returns {{ globalTable: boolean, localTables: number, frames: number }}
+ */
+function readColorTables(bytes) {
+  const skipSubBlocks = (/** @type {number} */ o) => {
+    let offset = o;
+    while (bytes[offset] !== 0) offset += bytes[offset] + 1;
+    return offset + 1;
+  };
+
+  const globalTable = (bytes[10] & 0x80) !== 0;
+  let offset = 13;
+  if (globalTable) offset += 3 * (1 << ((bytes[10] & 7) + 1));
+
+  let localTables = 0;
+  let frames = 0;
+  while (bytes[offset] !== 0x3b) {
+    if (bytes[offset] === 0x21) {
+      offset = skipSubBlocks(offset + 2);
+    } else if (bytes[offset] === 0x2c) {
+      const packed = bytes[offset + 9];
+      frames++;
+      offset += 10;
+      if (packed & 0x80) {
+        localTables++;
+        offset += 3 * (1 << ((packed & 7) + 1));
+      }
+      offset = skipSubBlocks(offset + 1);
+    } else {
+      throw new Error(`Unexpected block 0x${bytes[offset].toString(16)} at ${offset}`);
+    }
+  }
+  return { globalTable, localTables, frames };
+}
+
+describe('gifenc global palette', () => {
+  const width = 16;
+  const height = 8;
+
+  /**
+   * Solid frame whose color drifts with `step`, so per-frame palettes differ
+   * @param {number} step
+   */
+  function createFrame(step) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+      rgba.set([step * 60, (p % width) * 16, 255 - step * 60, 255], p * 4);
+    }
+    return rgba;
+  }
+
+  /**
+   * @param {boolean} optimizeFrames
+   * @param {Uint8ClampedArray} [paletteSample]
+   */
+  function encode(optimizeFrames, paletteSample) {
+    const encoder = createGifencEncoder();
+    encoder.init({
+      width,
+      height,
+      maxColors: 32,
+      frameDelayMs: 100,
+      loopCount: 0,
+      paletteInterval: 1,
+      optimizeFrames,
+      paletteSample,
+    });
+    for (let i = 0; i < 4; i++) {
+      encoder.addFrame({ rgba: createFrame(i), width, height }, i);
+    }
+    const bytes = /** @type {Uint8Array} */ (encoder.finish());
+    encoder.dispose();
+    return bytes;
+  }
+
+  /** Every frame concatenated, as encodeGif would sample a short clip */
+  function createSample() {
+    const frames = [0, 1, 2, 3].map(createFrame);
+    const sample = new Uint8ClampedArray(frames.reduce((sum, f) => sum + f.length, 0));
+    frames.forEach((f, i) => {
+      sample.set(f, i * f.length);
+    });
+    return sample;
+  }
+
+  it.each([false, true])('writes only the global table (optimizeFrames: %s)', (optimize) => {
+    const tables = readColorTables(encode(optimize, createSample()));
+
+    expect(tables).toEqual({ globalTable: true, localTables: 0, frames: 4 });
+  });
+
+  it('writes local tables for per-frame palettes without a sample', () => {
+    const tables = readColorTables(encode(false));
+
+    expect(tables.localTables).toBe(3);
+  });
+});
+
+describe('encodeGif palette sampling', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager();
+  });
+
+  /**
+   * @param {number} count - Frame i is filled with i * 10
+   */
+  function createFrames(count) {
+    return Array.from({ length: count }, (_, i) => createSolidFrame(i * 10, i, { timestamp: i }));
+  }
+
+  const SETTINGS = { ...GIF_SETTINGS, globalPalette: true };
+
+  it('sends pixels from every selected frame to the encoder', async () => {
+    const frames = createFrames(6);
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...SETTINGS, frameSkip: 2 },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    const sample = manager.config.paletteSample;
+    expect(sample).toBeInstanceOf(Uint8ClampedArray);
+    // Frame skip keeps frames 0, 2, 4: 16 pixels each
+    expect(sample.length).toBe(3 * 16 * 4);
+    expect(new Set(sample)).toEqual(new Set([0, 20, 40]));
+  });
+
+  it.each([
+    ['the setting is off', { globalPalette: false }],
+    ['the encoder is not gifenc', { encoderId: 'gifsicle-wasm' }],
+  ])('omits the sample when %s', async (_, overrides) => {
+    await encodeGif({
+      frames: createFrames(3),
+      crop: null,
+      settings: { ...SETTINGS, ...overrides },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.paletteSample).toBeUndefined();
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Shared fakes for tests that read or encode frames
+ * @module tests/unit/export/helpers/encoder-fakes
+ *
+ * Also stands in for the worker manager module, so a test of encodeGif
+ * routes it here and installs a fresh recording manager before each encode:
+ *
+ *   vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+ *
+ *   beforeEach(() => {
+ *     manager = installRecordingManager();
+ *   });
+ */
+
+import { vi } from 'vitest';
+
+/** Manager the next encode is handed */
+/** @type {RecordingManager | null} */
+let installed = null;
+
+/**
+ * Settings of a plain GIF export; tests spread in what they vary
+ */
+export const GIF_SETTINGS = {
+  quality: 0.7,
+  frameSkip: 1,
+  playbackSpeed: 1,
+  realTiming: false,
+  encoderPreset: 'balanced',
+  loopCount: 0,
+  encoderId: 'gifenc-js',
+  mergeDuplicates: false,
+  duplicateTolerance: 0,
+};
+
+/**
+ * Fake manager that records the init config and every submitted frame, and
+ * reports PROGRESS synchronously
+ */
+export class RecordingManager {
+  /**
+   * @param {Blob} [result] - What finish() resolves with
+   */
+  constructor(result = new Blob(['GIF89a'], { type: 'image/gif' })) {
+    this.result = result;
+    this.onProgress = null;
+    this.onError = null;
+    /** @type {any} */
+    this.config = null;
+    /** @type {{ frameIndex: number, delayMs: number | undefined, value: number }[]} */
+    this.frames = [];
+  }
+
+  async init(config) {
+    this.config = config;
+  }
+
+  addFrame(rgba, _width, _height, frameIndex, delayMs) {
+    this.frames.push({ frameIndex, delayMs, value: rgba[0] });
+    this.onProgress?.({
+      percent: Math.round((this.frames.length / this.config.totalFrames) * 100),
+      frameIndex,
+      totalFrames: this.config.totalFrames,
+    });
+  }
+
+  async finish() {
+    return this.result;
+  }
+
+  cancel() {}
+
+  dispose() {}
+}
+
+/**
+ * Hand out a new recording manager to the next encode
+ * @param {Blob} [result] - What the encode resolves with
+ * @returns {RecordingManager}
+ */
+export function installRecordingManager(result) {
+  installed = new RecordingManager(result);
+  return installed;
+}
+
+/**
+ * Replaces createEncoderManager of the worker manager module
+ * @returns {RecordingManager}
+ */
+export function createEncoderManager() {
+  if (!installed) {
+    throw new Error('Test did not install a fake manager');
+  }
+  return installed;
+}
+
+/**
+ * Create a square frame filled with one gray value
+ * @param {number} value - Every byte of its pixels
+ * @param {number} index
+ * @param {{ size?: number, timestamp?: number }} [options] - Timestamp in microseconds,
+ *   one frame per 100ms by default
+ */
+export function createSolidFrame(value, index, { size = 4, timestamp = index * 100_000 } = {}) {
+  return {
+    id: `frame-${index}`,
+    frame: {
+      codedWidth: size,
+      codedHeight: size,
+      copyTo: vi.fn(async (/** @type {Uint8ClampedArray} */ buffer) => {
+        buffer.fill(value);
+      }),
+      close: vi.fn(),
+    },
+    timestamp,
+    width: size,
+    height: size,
+  };
+}
+
+/**
+ * Stands in for ImageData, which jsdom lacks; stub it in with
+ * vi.stubGlobal('ImageData', MockImageData)
+ */
+export class MockImageData {
+  /**
+   * @param {Uint8ClampedArray} data
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+}
@@ -0,0 +1,180 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import { encodeGif } from '../../../src/features/export/api.js';
+import { calculateFrameDelay, createDefaultSettings } from '../../../src/features/export/core.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+/**
+ * @param {number[]} values - One gray value per frame
+ */
+function createFrames(values) {
+  return values.map((value, i) => createSolidFrame(value, i, { timestamp: i }));
+}
+
+const SETTINGS = { ...GIF_SETTINGS, mergeDuplicates: true };
+
+describe('encodeGif duplicate frame merging', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager();
+  });
+
+  it('writes one frame per run with the summed delay', async () => {
+    const frames = createFrames([10, 10, 10, 50, 90, 90]);
+    const delayMs = calculateFrameDelay(30, 1, 1) * 10;
+
+    await encodeGif({ frames, crop: null, settings: SETTINGS, fps: 30, onProgress: vi.fn() });
+
+    expect(manager.config.totalFrames).toBe(3);
+    expect(manager.frames).toEqual([
+      { frameIndex: 0, delayMs: delayMs * 3, value: 10 },
+      { frameIndex: 1, delayMs, value: 50 },
+      { frameIndex: 2, delayMs: delayMs * 2, value: 90 },
+    ]);
+  });
+
+  it('keeps the total length equal to the unmerged export', async () => {
+    const frames = createFrames([0, 0, 0, 0, 0, 200, 200]);
+    const settings = { ...SETTINGS, frameSkip: 2, playbackSpeed: 1.5 };
+    const delayMs = calculateFrameDelay(60, 1.5, 2) * 10;
+
+    await encodeGif({ frames, crop: null, settings, fps: 60, onProgress: vi.fn() });
+
+    // Frame skip keeps frames 0, 2, 4, 6
+    const total = manager.frames.reduce((sum, f) => sum + (f.delayMs ?? 0), 0);
+    expect(total).toBe(delayMs * 4);
+    expect(manager.frames).toHaveLength(2);
+  });
+
+  it('treats frames within the tolerance as duplicates', async () => {
+    const frames = createFrames([100, 103, 97, 120]);
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...SETTINGS, duplicateTolerance: 3 },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([100, 120]);
+  });
+
+  it('compares against the first frame of a run so drift cannot accumulate', async () => {
+    const frames = createFrames([100, 102, 104, 106]);
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...SETTINGS, duplicateTolerance: 2 },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([100, 104]);
+  });
+
+  it('reports the reduced frame count through progress', async () => {
+    const frames = createFrames([5, 5, 5, 5, 9]);
+    const onProgress = vi.fn();
+
+    await encodeGif({ frames, crop: null, settings: SETTINGS, fps: 30, onProgress });
+
+    expect(onProgress).toHaveBeenCalled();
+    for (const [progress] of onProgress.mock.calls) {
+      expect(progress.total).toBe(2);
+    }
+  });
+
+  it('splits runs whose delay would exceed the 16-bit millisecond limit', async () => {
+    // 2 fps: 50 cs per frame, so at most 131 frames (65.5 s) per merged frame
+    const frames = createFrames(new Array(140).fill(7));
+
+    await encodeGif({ frames, crop: null, settings: SETTINGS, fps: 2, onProgress: vi.fn() });
+
+    expect(manager.frames.map((f) => f.delayMs)).toEqual([131 * 500, 9 * 500]);
+  });
+
+  it('sums captured delays when merging with real timing', async () => {
+    const frames = createFrames([3, 3, 3, 8]).map((frame, i) => ({
+      ...frame,
+      timestamp: [0, 100000, 450000, 500000][i],
+    }));
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...SETTINGS, realTiming: true },
+      fps: 10,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.delayMs)).toEqual([500, 100]);
+  });
+
+  it('maps scene starts onto the merged frames', async () => {
+    // Written frames: [0-2], [3], [4-5]; scenes start at frames 3 and 5
+    const frames = createFrames([10, 10, 10, 50, 90, 90]);
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: SETTINGS,
+      fps: 30,
+      sceneStarts: [3, 5],
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.sceneCuts).toEqual([1, 2]);
+  });
+
+  it('leaves the palette schedule alone without scenes', async () => {
+    await encodeGif({
+      frames: createFrames([1, 2]),
+      crop: null,
+      settings: SETTINGS,
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.sceneCuts).toBeUndefined();
+  });
+
+  it('sends every frame when merging is off', async () => {
+    const frames = createFrames([1, 1, 1]);
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...SETTINGS, mergeDuplicates: false },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.totalFrames).toBe(3);
+    expect(manager.frames).toHaveLength(3);
+  });
+
+  it('keeps every frame with the default settings', async () => {
+    const frames = createFrames([1, 1, 1]);
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: createDefaultSettings(),
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.totalFrames).toBe(3);
+    expect(manager.frames).toHaveLength(3);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import { muxMp4, runLengthDurations } from '../../../src/features/export/muxers/mp4-muxer.js';
+
+/**
+ * Find a box by path (e.g. ['moov', 'trak', 'mdia'])
+ * @param {Uint8Array} bytes
+ * @param {string[]} path
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {{ start: number, end: number, dataStart: number } | null}
+ */
+function findBox(bytes, path, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  let offset = start;
+  while (offset < end) {
+    const size = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type === path[0]) {
+      const found = { start: offset, end: offset + size, dataStart: offset + 8 };
+      return path.length === 1 ? found : findBox(bytes, path.slice(1), found.dataStart, found.end);
+    }
+    offset += size;
+  }
+  return null;
+}
+
+/** @param {Uint8Array} bytes */
+const topLevelTypes = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const types = [];
+  for (let offset = 0; offset < bytes.length; offset += view.getUint32(offset)) {
+    types.push(String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)));
+  }
+  return types;
+};
+
+const STBL = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+const track = {
+  codec: 'avc1.640033',
+  width: 320,
+  height: 240,
+  description: new Uint8Array([1, 0x64, 0, 0x33, 0xff]),
+};
+
+const samples = [
+  { data: new Uint8Array([1, 1]), timestampUs: 0, durationUs: 100_000, isKey: true },
+  { data: new Uint8Array([2, 2, 2]), timestampUs: 100_000, durationUs: 100_000, isKey: false },
+  { data: new Uint8Array([3]), timestampUs: 200_000, durationUs: 50_000, isKey: true },
+];
+
+describe('mp4 muxer', () => {
+  describe('runLengthDurations', () => {
+    it('collapses equal consecutive durations', () => {
+      expect(runLengthDurations([100, 100, 100, 40, 100])).toEqual([
+        [3, 100],
+        [1, 40],
+        [1, 100],
+      ]);
+      expect(runLengthDurations([])).toEqual([]);
+    });
+  });
+
+  describe('muxMp4', () => {
+    const file = muxMp4(samples, track);
+    const view = new DataView(file.buffer);
+
+    it('writes ftyp, moov, then mdat', () => {
+      expect(topLevelTypes(file)).toEqual(['ftyp', 'moov', 'mdat']);
+    });
+
+    it('points stco at the first sample inside mdat', () => {
+      const stco = findBox(file, [...STBL, 'stco']);
+      if (!stco) throw new Error('missing stco');
+      const offset = view.getUint32(stco.dataStart + 8);
+      expect(Array.from(file.subarray(offset, offset + 6))).toEqual([1, 1, 2, 2, 2, 3]);
+    });
+
+    it('records sizes, keyframes, durations and the avcC description', () => {
+      const stsz = findBox(file, [...STBL, 'stsz']);
+      const stss = findBox(file, [...STBL, 'stss']);
+      const stts = findBox(file, [...STBL, 'stts']);
+      const avcC = findBox(file, [...STBL, 'stsd']);
+      if (!stsz || !stss || !stts || !avcC) throw new Error('missing sample table box');
+
+      expect(view.getUint32(stsz.dataStart + 8)).toBe(3);
+      expect([12, 16, 20].map((o) => view.getUint32(stsz.dataStart + o))).toEqual([2, 3, 1]);
+
+      expect(view.getUint32(stss.dataStart + 4)).toBe(2);
+      expect([8, 12].map((o) => view.getUint32(stss.dataStart + o))).toEqual([1, 3]);
+
+      // Two runs: 2 x 100 ms, 1 x 50 ms
+      expect(view.getUint32(stts.dataStart + 4)).toBe(2);
+      expect([8, 12, 16, 20].map((o) => view.getUint32(stts.dataStart + o))).toEqual([
+        2, 100, 1, 50,
+      ]);
+
+      const bytes = Array.from(file.subarray(avcC.dataStart, avcC.end));
+      const index = bytes.findIndex(
+        (_b, i) => String.fromCharCode(...bytes.slice(i, i + 4)) === 'avcC',
+      );
+      expect(bytes.slice(index + 4, index + 9)).toEqual(Array.from(track.description));
+    });
+
+    it('sets the movie duration from the last sample end', () => {
+      const mvhd = findBox(file, ['moov', 'mvhd']);
+      if (!mvhd) throw new Error('missing mvhd');
+      expect(view.getUint32(mvhd.dataStart + 12)).toBe(1000); // timescale
+      expect(view.getUint32(mvhd.dataStart + 16)).toBe(250);
+    });
+
+    it('rejects non-H.264 tracks and tracks without avcC', () => {
+      expect(() => muxMp4(samples, { ...track, codec: 'vp8' })).toThrow('not supported in MP4');
+      expect(() => muxMp4(samples, { ...track, description: undefined })).toThrow('avcC');
+    });
+  });
+});
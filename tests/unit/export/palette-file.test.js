@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest';
+import { createGifencEncoder } from '../../../src/features/export/encoders/gifenc-encoder.js';
+import {
+  extractSwatchColors,
+  parseAct,
+  parseGpl,
+  parseHexColor,
+  readGifColorTables,
+  serializeGpl,
+  toHexColor,
+} from '../../../src/features/export/palette-file.js';
+
+describe('hex colors', () => {
+  it('round-trips #rrggbb', () => {
+    expect(parseHexColor('#1A73e8')).toEqual([26, 115, 232]);
+    expect(toHexColor([26, 115, 232])).toBe('#1a73e8');
+  });
+
+  it('rejects malformed colors', () => {
+    expect(() => parseHexColor('#fff')).toThrow('Invalid color');
+  });
+});
+
+describe('parseGpl', () => {
+  it('reads the name and colors, skipping comments and columns', () => {
+    const text = [
+      'GIMP Palette',
+      'Name: Brand',
+      'Columns: 4',
+      '# exported',
+      ' 26 115 232\tBlue',
+      '255 255 255 White',
+      '',
+    ].join('\r\n');
+
+    expect(parseGpl(text)).toEqual({
+      name: 'Brand',
+      colors: [
+        [26, 115, 232],
+        [255, 255, 255],
+      ],
+    });
+  });
+
+  it('requires the header', () => {
+    expect(() => parseGpl('0 0 0\n')).toThrow('GIMP Palette');
+  });
+
+  it('reports the line of an invalid color', () => {
+    expect(() => parseGpl('GIMP Palette\n0 0 0\n300 0 0\n')).toThrow('line 3');
+  });
+
+  it('rejects palettes without colors', () => {
+    expect(() => parseGpl('GIMP Palette\nName: Empty\n')).toThrow('no colors');
+  });
+});
+
+describe('parseAct', () => {
+  it('reads all 256 entries of a plain table', () => {
+    const bytes = new Uint8Array(768);
+    bytes.set([1, 2, 3], 0);
+    bytes.set([4, 5, 6], 765);
+
+    const colors = parseAct(bytes);
+
+    expect(colors).toHaveLength(256);
+    expect(colors[0]).toEqual([1, 2, 3]);
+    expect(colors[255]).toEqual([4, 5, 6]);
+  });
+
+  it('honors the color count of the extended form', () => {
+    const bytes = new Uint8Array(772);
+    bytes.set([10, 20, 30, 40, 50, 60], 0);
+    bytes.set([0, 2, 0xff, 0xff], 768);
+
+    expect(parseAct(bytes)).toEqual([
+      [10, 20, 30],
+      [40, 50, 60],
+    ]);
+  });
+
+  it('rejects other sizes', () => {
+    expect(() => parseAct(new Uint8Array(100))).toThrow('768 or 772');
+  });
+});
+
+describe('extractSwatchColors', () => {
+  it('lists each opaque color once in reading order', () => {
+    const rgba = new Uint8ClampedArray([
+      255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 0, 0, 0, 255, 0, 255, 255, 0, 0, 255,
+    ]);
+
+    expect(extractSwatchColors(rgba)).toEqual([
+      [255, 0, 0],
+      [0, 255, 0],
+    ]);
+  });
+
+  it('rejects images with more than 256 colors', () => {
+    const rgba = new Uint8ClampedArray(300 * 4);
+    for (let i = 0; i < 300; i++) rgba.set([i & 0xff, i >> 8, 0, 255], i * 4);
+
+    expect(() => extractSwatchColors(rgba)).toThrow('at most 256');
+  });
+});
+
+describe('serializeGpl', () => {
+  it('writes a palette parseGpl reads back', () => {
+    const colors = [
+      [0, 0, 0],
+      [26, 115, 232],
+    ];
+
+    const text = serializeGpl('Export', colors);
+
+    expect(text.startsWith('GIMP Palette\nName: Export\n')).toBe(true);
+    expect(parseGpl(text)).toEqual({ name: 'Export', colors });
+  });
+});
+
+describe('readGifColorTables', () => {
+  it('reads the global table and counts local tables', () => {
+    const encoder = createGifencEncoder();
+    encoder.init({ width: 2, height: 1, maxColors: 4, frameDelayMs: 100, loopCount: 0 });
+    encoder.addFrame(
+      { rgba: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255]), width: 2, height: 1 },
+      0,
+    );
+    encoder.addFrame(
+      { rgba: new Uint8ClampedArray([0, 255, 0, 255, 0, 0, 0, 255]), width: 2, height: 1 },
+      1,
+    );
+    const bytes = /** @type {Uint8Array} */ (encoder.finish());
+
+    const tables = readGifColorTables(bytes);
+
+    expect(tables?.localTables).toBe(1);
+    expect(tables?.global).toEqual(expect.arrayContaining([[255, 0, 0]]));
+  });
+
+  it('returns null for other files', () => {
+    expect(readGifColorTables(new TextEncoder().encode('\x89PNG\r\n'))).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import { encodeGif } from '../../../src/features/export/api.js';
+import {
+  calculateFrameDelays,
+  calculateOutputDuration,
+  getOutputFrameCount,
+  getOutputFrames,
+  getPlaybackOrder,
+  mapSceneCuts,
+} from '../../../src/features/export/core.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+describe('getPlaybackOrder', () => {
+  it('keeps capture order going forward', () => {
+    expect(getPlaybackOrder(4, 'forward')).toBeNull();
+    expect(getPlaybackOrder(4)).toBeNull();
+  });
+
+  it('plays the last frame first in reverse', () => {
+    expect(getPlaybackOrder(4, 'reverse')).toEqual([3, 2, 1, 0]);
+  });
+
+  it('turns around in ping-pong without repeating the end frames', () => {
+    expect(getPlaybackOrder(4, 'pingpong')).toEqual([0, 1, 2, 3, 2, 1]);
+    // Too short to turn around: plain forward
+    expect(getPlaybackOrder(2, 'pingpong')).toBeNull();
+    expect(getOutputFrameCount(4, 1, 'pingpong')).toBe(6);
+    expect(getOutputFrameCount(9, 2, 'pingpong')).toBe(8);
+    expect(getOutputFrameCount(2, 1, 'pingpong')).toBe(2);
+  });
+
+  it('applies the direction after frame skip', () => {
+    const frames = [0, 1, 2, 3, 4].map((v) => createSolidFrame(v, v));
+
+    const output = getOutputFrames(/** @type {any} */ (frames), {
+      frameSkip: 2,
+      playbackDirection: 'pingpong',
+    });
+
+    expect(output.map((f) => f.id)).toEqual(['frame-0', 'frame-2', 'frame-4', 'frame-2']);
+    // References, not copies
+    expect(output[3]).toBe(frames[2]);
+  });
+});
+
+describe('delays and duration', () => {
+  // Captured at 0, 100, 300 and 600 ms
+  const frames = /** @type {any} */ (
+    [0, 100_000, 300_000, 600_000].map((t, i) => createSolidFrame(i, i, { timestamp: t }))
+  );
+
+  it('keeps each frame its own captured delay in reverse', () => {
+    const forward = calculateFrameDelays(frames, 10, { ...GIF_SETTINGS, realTiming: true });
+
+    const reverse = calculateFrameDelays(frames, 10, {
+      ...GIF_SETTINGS,
+      realTiming: true,
+      playbackDirection: 'reverse',
+    });
+
+    expect(reverse).toEqual([...forward].reverse());
+  });
+
+  it('counts the way back in a ping-pong duration', () => {
+    const settings = { ...GIF_SETTINGS, playbackDirection: /** @type {const} */ ('pingpong') };
+
+    expect(calculateFrameDelays(frames, 10, settings)).toEqual([10, 10, 10, 10, 10, 10]);
+    expect(calculateOutputDuration(frames, 10, settings)).toBeCloseTo(0.6);
+  });
+});
+
+describe('mapSceneCuts in playback order', () => {
+  it('moves cuts to the scene boundaries of a reversed selection', () => {
+    // Scenes [0-2] and [3-5], reversed: 5 4 3 | 2 1 0
+    const order = /** @type {number[]} */ (getPlaybackOrder(6, 'reverse'));
+
+    expect(mapSceneCuts([3], 1, [0, 1, 2, 3, 4, 5], 6, order)).toEqual([3]);
+  });
+
+  it('cuts on the way out and on the way back in ping-pong', () => {
+    // 0 1 2 | 3 4 5 4 3 | 2 1
+    const order = /** @type {number[]} */ (getPlaybackOrder(6, 'pingpong'));
+    const runStarts = order.map((_, i) => i);
+
+    expect(mapSceneCuts([3], 1, runStarts, 6, order)).toEqual([3, 8]);
+  });
+});
+
+describe('encodeGif with a playback direction', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager();
+  });
+
+  it('writes a reversed selection last frame first', async () => {
+    const frames = [10, 20, 30].map((value, i) => createSolidFrame(value, i));
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...GIF_SETTINGS, playbackDirection: 'reverse' },
+      fps: 10,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([30, 20, 10]);
+  });
+
+  it('reads each frame again on the way back instead of copying it', async () => {
+    const frames = [10, 20, 30, 40].map((value, i) => createSolidFrame(value, i));
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...GIF_SETTINGS, playbackDirection: 'pingpong' },
+      fps: 10,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.totalFrames).toBe(6);
+    expect(manager.frames.map((f) => f.value)).toEqual([10, 20, 30, 40, 30, 20]);
+    expect(frames[0].frame.copyTo).toHaveBeenCalledTimes(1);
+    expect(frames[1].frame.copyTo).toHaveBeenCalledTimes(2);
+    expect(frames[3].frame.copyTo).toHaveBeenCalledTimes(1);
+  });
+});
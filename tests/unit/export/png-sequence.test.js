@@ -0,0 +1,220 @@
+// @vitest-environment node
+import { inflateSync } from 'node:zlib';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../../src/workers/worker-manager.js', () => import('./helpers/encoder-fakes.js'));
+
+import { encodeGif } from '../../../src/features/export/api.js';
+import {
+  buildPngSequenceManifest,
+  getFileExtension,
+  getPngSequenceFileName,
+  supportsTargetSize,
+} from '../../../src/features/export/core.js';
+import {
+  createPngSequenceEncoder,
+  getPngSequenceMetadata,
+} from '../../../src/features/export/encoders/png-sequence-encoder.js';
+import {
+  createSolidFrame,
+  GIF_SETTINGS,
+  installRecordingManager,
+} from './helpers/encoder-fakes.js';
+
+/**
+ * Create a solid frame captured 5s into a 30fps recording
+ * @param {number} value
+ * @param {number} index
+ * @param {number} [size]
+ */
+function createCapturedFrame(value, index, size) {
+  return createSolidFrame(value, index, { size, timestamp: 5_000_000 + index * 33_333 });
+}
+
+/**
+ * Files of a stored ZIP, read front to back through the local headers
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, Uint8Array>>}
+ */
+async function readStoredZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const files = new Map();
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength;
+    files.set(name, bytes.subarray(start, start + size));
+    offset = start + size;
+  }
+  return files;
+}
+
+/**
+ * Decode the pixels of a PNG written by encodePngStream (filter bytes kept)
+ * @param {Uint8Array} png
+ */
+function readPngImageData(png) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  /** @type {Uint8Array[]} */
+  const idat = [];
+  for (let offset = 8; offset < png.length; ) {
+    const length = view.getUint32(offset);
+    if (String.fromCharCode(...png.subarray(offset + 4, offset + 8)) === 'IDAT') {
+      idat.push(png.subarray(offset + 8, offset + 8 + length));
+    }
+    offset += 12 + length;
+  }
+  return {
+    width: view.getUint32(16),
+    height: view.getUint32(20),
+    filtered: new Uint8Array(inflateSync(Buffer.concat(idat))),
+  };
+}
+
+const SETTINGS = { ...GIF_SETTINGS, encoderId: 'png-zip', mergeDuplicates: true };
+
+describe('PNG sequence naming and manifest', () => {
+  it('numbers files from 1, padded to at least four digits', () => {
+    expect(getPngSequenceFileName(0, 3)).toBe('frame-0001.png');
+    expect(getPngSequenceFileName(41, 120)).toBe('frame-0042.png');
+    expect(getPngSequenceFileName(0, 12000)).toBe('frame-00001.png');
+  });
+
+  it('lists every frame relative to the first with its duration', () => {
+    const frames = [0, 1, 2].map((i) => createCapturedFrame(0, i, 8));
+
+    const manifest = buildPngSequenceManifest({
+      frames: /** @type {any} */ (frames),
+      delaysMs: [30, 40, 30],
+      crop: { x: 2, y: 1, width: 4, height: 4 },
+      size: { width: 4, height: 4 },
+      fps: 30,
+    });
+
+    expect(manifest).toMatchObject({
+      width: 4,
+      height: 4,
+      sourceSize: { width: 8, height: 8 },
+      crop: { x: 2, y: 1, width: 4, height: 4 },
+      fps: 30,
+      frameCount: 3,
+    });
+    expect(manifest.frames).toEqual([
+      { file: 'frame-0001.png', timestampMs: 0, durationMs: 30 },
+      { file: 'frame-0002.png', timestampMs: 33.333, durationMs: 40 },
+      { file: 'frame-0003.png', timestampMs: 66.666, durationMs: 30 },
+    ]);
+  });
+
+  it('is a ZIP with no size target', () => {
+    expect(getFileExtension('png-zip')).toBe('zip');
+    expect(supportsTargetSize('png-zip')).toBe(false);
+    expect(supportsTargetSize('sprite-sheet')).toBe(false);
+    expect(supportsTargetSize('gifenc-js')).toBe(true);
+  });
+});
+
+describe('png sequence encoder', () => {
+  const manifest = buildPngSequenceManifest({
+    frames: /** @type {any} */ ([0, 1].map((i) => createCapturedFrame(0, i, 2))),
+    delaysMs: [50, 50],
+    crop: null,
+    size: { width: 2, height: 2 },
+    fps: 20,
+  });
+  const config = { width: 2, height: 2, maxColors: 256, frameDelayMs: 50, loopCount: 0, manifest };
+
+  it('produces application/zip', () => {
+    expect(getPngSequenceMetadata()).toMatchObject({ id: 'png-zip', mimeType: 'application/zip' });
+  });
+
+  it('writes one PNG per frame and the manifest into the archive', async () => {
+    const encoder = createPngSequenceEncoder();
+    encoder.init(config);
+    const red = new Uint8ClampedArray(16);
+    for (let i = 0; i < 16; i += 4) red.set([255, 0, 0, 255], i);
+    await encoder.addFrame({ rgba: red, width: 2, height: 2 }, 0);
+    await encoder.addFrame({ rgba: new Uint8ClampedArray(16).fill(7), width: 2, height: 2 }, 1);
+
+    const blob = /** @type {Blob} */ (await encoder.finish());
+
+    expect(blob.type).toBe('application/zip');
+    const files = await readStoredZip(blob);
+    expect([...files.keys()]).toEqual(['frame-0001.png', 'frame-0002.png', 'manifest.json']);
+    const first = readPngImageData(/** @type {Uint8Array} */ (files.get('frame-0001.png')));
+    expect([first.width, first.height]).toEqual([2, 2]);
+    // Two rows, each a filter byte and two RGBA pixels
+    expect(first.filtered.length).toBe(2 * (2 * 4 + 1));
+    const written = JSON.parse(new TextDecoder().decode(files.get('manifest.json')));
+    expect(written).toEqual(manifest);
+  });
+
+  it('needs a manifest to name the files', () => {
+    const encoder = createPngSequenceEncoder();
+    expect(() => encoder.init({ ...config, manifest: undefined })).toThrow('needs a manifest');
+  });
+
+  it('rejects frames of the wrong size', async () => {
+    const encoder = createPngSequenceEncoder();
+    encoder.init(config);
+
+    await expect(
+      encoder.addFrame({ rgba: new Uint8ClampedArray(36), width: 3, height: 3 }, 0),
+    ).rejects.toThrow('does not match output 2x2');
+  });
+});
+
+describe('encodeGif with png-zip', () => {
+  /** @type {import('./helpers/encoder-fakes.js').RecordingManager} */
+  let manager;
+
+  beforeEach(() => {
+    manager = installRecordingManager(new Blob(['zip'], { type: 'application/zip' }));
+  });
+
+  it('sends every frame, duplicates included, with the manifest', async () => {
+    const frames = [10, 10, 10, 50].map((value, i) => createCapturedFrame(value, i, 8));
+    const crop = { x: 2, y: 2, width: 4, height: 4 };
+
+    const blob = await encodeGif({
+      frames,
+      crop,
+      settings: SETTINGS,
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(blob.type).toBe('application/zip');
+    expect(manager.frames.map((f) => f.value)).toEqual([10, 10, 10, 50]);
+    const { manifest } = manager.config;
+    expect(manager.config.encoderId).toBe('png-zip');
+    expect(manifest.crop).toEqual(crop);
+    expect([manifest.width, manifest.height]).toEqual([4, 4]);
+    expect(manifest.frames.map((/** @type {any} */ f) => f.file)).toEqual([
+      'frame-0001.png',
+      'frame-0002.png',
+      'frame-0003.png',
+      'frame-0004.png',
+    ]);
+  });
+
+  it('keeps only the frames left by frame skip', async () => {
+    const frames = [1, 2, 3, 4, 5].map((value, i) => createCapturedFrame(value, i));
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: { ...SETTINGS, frameSkip: 2 },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.frames.map((f) => f.value)).toEqual([1, 3, 5]);
+    expect(manager.config.manifest.frames.map((/** @type {any} */ f) => f.timestampMs)).toEqual([
+      0, 66.666, 133.332,
+    ]);
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, expect, it, vi } from 'vitest';
+
+const managerFactory = vi.hoisted(() => ({
+  /** @type {(() => any) | null} */
+  create: null,
+}));
+
+vi.mock('../../../src/workers/worker-manager.js', () => ({
+  createEncoderManager: () => {
+    if (!managerFactory.create) {
+      throw new Error('Test did not install a fake manager factory');
+    }
+    return managerFactory.create();
+  },
+}));
+
+import { encodeGif } from '../../../src/features/export/api.js';
+import { QUANTIZERS } from '../../../src/features/export/core.js';
+import { createGifencEncoder } from '../../../src/features/export/encoders/gifenc-encoder.js';
+import { readGifColorTables } from '../../../src/features/export/palette-file.js';
+import { buildHistogram } from '../../../src/features/export/quantizers/histogram.js';
+import { createPalette } from '../../../src/features/export/quantizers/index.js';
+
+/** @type {import('../../../src/features/export/quantizers/types.js').QuantizerId[]} */
+const ALGORITHMS = ['median-cut', 'octree', 'neuquant', 'kmeans'];
+
+/**
+ * RGBA pixels repeating the given colors, `repeat` pixels each
+ * @param {number[][]} colors
+ * @param {number} [repeat=16]
+ */
+function createImage(colors, repeat = 16) {
+  const rgba = new Uint8ClampedArray(colors.length * repeat * 4);
+  colors.forEach((color, i) => {
+    for (let k = 0; k < repeat; k++) rgba.set([...color, 255], (i * repeat + k) * 4);
+  });
+  return rgba;
+}
+
+/** Smooth two-axis gradient with more colors than any palette */
+function createGradient() {
+  const size = 64;
+  const rgba = new Uint8ClampedArray(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      rgba.set([x * 4, y * 4, 255 - x * 2, 255], (y * size + x) * 4);
+    }
+  }
+  return rgba;
+}
+
+/**
+ * Mean squared error of mapping every pixel to its nearest palette color
+ * @param {Uint8ClampedArray} rgba
+ * @param {number[][]} palette
+ */
+function meanError(rgba, palette) {
+  let total = 0;
+  for (let p = 0; p < rgba.length; p += 4) {
+    let best = Infinity;
+    for (const color of palette) {
+      const d =
+        (rgba[p] - color[0]) ** 2 + (rgba[p + 1] - color[1]) ** 2 + (rgba[p + 2] - color[2]) ** 2;
+      if (d < best) best = d;
+    }
+    total += best;
+  }
+  return total / (rgba.length / 4);
+}
+
+const PRIMARIES = [
+  [255, 0, 0],
+  [0, 255, 0],
+  [0, 0, 255],
+  [255, 255, 255],
+];
+
+describe('buildHistogram', () => {
+  it('keeps exact colors and pixel counts', () => {
+    const histogram = buildHistogram(createImage([[10, 20, 30]], 5));
+
+    expect(histogram.length).toBe(1);
+    expect(Array.from(histogram.colors)).toEqual([10, 20, 30]);
+    expect(histogram.counts[0]).toBe(5);
+  });
+});
+
+describe('createPalette', () => {
+  it.each(ALGORITHMS)('%s stays within the color limit', (quantizer) => {
+    const palette = createPalette(createGradient(), 16, quantizer, 'rgb565');
+
+    expect(palette.length).toBeGreaterThan(0);
+    expect(palette.length).toBeLessThanOrEqual(16);
+    for (const color of palette) {
+      expect(color).toHaveLength(3);
+      for (const v of color) {
+        expect(Number.isInteger(v) && v >= 0 && v <= 255).toBe(true);
+      }
+    }
+  });
+
+  it.each(['median-cut', 'octree', 'kmeans'])(
+    '%s reproduces images with few colors exactly',
+    (quantizer) => {
+      const palette = createPalette(createImage(PRIMARIES), 8, quantizer, 'rgb565');
+
+      expect(palette).toHaveLength(PRIMARIES.length);
+      expect(palette).toEqual(expect.arrayContaining(PRIMARIES));
+    },
+  );
+
+  it('neuquant learns colors close to the image', () => {
+    const rgba = createImage(PRIMARIES, 256);
+
+    const palette = createPalette(rgba, 16, 'neuquant', 'rgb565');
+
+    // A gray-diagonal starting palette would be ~21000 off
+    expect(meanError(rgba, palette)).toBeLessThan(200);
+  });
+
+  it('k-means never does worse than the median cut it starts from', () => {
+    const rgba = createGradient();
+
+    const kmeansError = meanError(rgba, createPalette(rgba, 16, 'kmeans', 'rgb565'));
+    const medianCutError = meanError(rgba, createPalette(rgba, 16, 'median-cut', 'rgb565'));
+
+    expect(kmeansError).toBeLessThanOrEqual(medianCutError);
+  });
+
+  it('uses gifenc at the requested precision', () => {
+    const palette = createPalette(createImage([[255, 255, 255]]), 4, 'gifenc', 'rgb444');
+
+    expect(palette.length).toBeLessThanOrEqual(4);
+  });
+
+  it('rejects unknown quantizers', () => {
+    expect(() =>
+      createPalette(createImage(PRIMARIES), 4, /** @type {any} */ ('popularity'), 'rgb565'),
+    ).toThrow('Unknown quantizer: popularity');
+  });
+});
+
+describe('QUANTIZERS', () => {
+  it('describes every quantizer with a 1-5 speed and quality', () => {
+    expect(QUANTIZERS.map((q) => q.id)).toEqual(['gifenc', ...ALGORITHMS]);
+    for (const quantizer of QUANTIZERS) {
+      expect(quantizer.speed).toBeGreaterThanOrEqual(1);
+      expect(quantizer.speed).toBeLessThanOrEqual(5);
+      expect(quantizer.quality).toBeGreaterThanOrEqual(1);
+      expect(quantizer.quality).toBeLessThanOrEqual(5);
+    }
+  });
+});
+
+describe('gifenc with a selected quantizer', () => {
+  it('writes the quantizer palette with exact 24-bit colors', () => {
+    // rgb444 would round these; the JS quantizers work at full precision
+    const colors = [
+      [17, 34, 51],
+      [201, 102, 3],
+    ];
+    const encoder = createGifencEncoder();
+    encoder.init({
+      width: 4,
+      height: 4,
+      maxColors: 4,
+      frameDelayMs: 100,
+      loopCount: 0,
+      quantizeFormat: 'rgb444',
+      quantizer: 'median-cut',
+    });
+    encoder.addFrame({ rgba: createImage(colors, 8), width: 4, height: 4 }, 0);
+    const tables = readGifColorTables(/** @type {Uint8Array} */ (encoder.finish()));
+    encoder.dispose();
+
+    expect(tables?.global?.slice(0, 2)).toEqual(expect.arrayContaining(colors));
+  });
+
+  it('is sent to the encoder by encodeGif', async () => {
+    const manager = {
+      /** @type {any} */
+      config: null,
+      onProgress: null,
+      onError: null,
+      async init(/** @type {any} */ config) {
+        this.config = config;
+      },
+      addFrame() {},
+      async finish() {
+        return new Blob(['gif'], { type: 'image/gif' });
+      },
+      cancel() {},
+      dispose() {},
+    };
+    managerFactory.create = () => manager;
+    const frames = [
+      {
+        id: 'frame-0',
+        frame: {
+          codedWidth: 2,
+          codedHeight: 2,
+          copyTo: vi.fn(async (/** @type {Uint8ClampedArray} */ buffer) => buffer.fill(50)),
+          close: vi.fn(),
+        },
+        timestamp: 0,
+        width: 2,
+        height: 2,
+      },
+    ];
+
+    await encodeGif({
+      frames,
+      crop: null,
+      settings: {
+        quality: 0.7,
+        frameSkip: 1,
+        playbackSpeed: 1,
+        encoderPreset: 'balanced',
+        loopCount: 0,
+        encoderId: 'gifenc-js',
+        quantizer: 'kmeans',
+      },
+      fps: 30,
+      onProgress: vi.fn(),
+    });
+
+    expect(manager.config.quantizer).toBe('kmeans');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { resampleRGBA } from '../../../src/features/export/resample.js';
+
+/**
+ * Create a solid RGBA image
+ * @param {number} width
+ * @param {number} height
+ * @param {[number, number, number]} color
+ * @returns {Uint8ClampedArray}
+ */
+function solid(width, height, [r, g, b]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+  return data;
+}
+
+describe('resampleRGBA', () => {
+  it('returns a copy when the size is unchanged', () => {
+    const src = solid(4, 4, [10, 20, 30]);
+
+    const out = resampleRGBA(src, 4, 4, 4, 4);
+
+    expect(out).not.toBe(src);
+    expect(Array.from(out)).toEqual(Array.from(src));
+  });
+
+  it('copies exact source pixels with nearest', () => {
+    // 2x2 checker of black/white, doubled
+    const src = new Uint8ClampedArray([
+      0, 0, 0, 255, 255, 255, 255, 255, 255, 255, 255, 255, 0, 0, 0, 255,
+    ]);
+
+    const out = resampleRGBA(src, 2, 2, 4, 4, 'nearest');
+
+    const reds = Array.from(out.filter((_, i) => i % 4 === 0));
+    expect(reds).toEqual([0, 0, 255, 255, 0, 0, 255, 255, 255, 255, 0, 0, 255, 255, 0, 0]);
+  });
+
+  it('averages pixel pairs when halving with bilinear', () => {
+    // 4x1: 0, 100, 200, 200 -> 2x1
+    const src = new Uint8ClampedArray([
+      0, 0, 0, 255, 100, 0, 0, 255, 200, 0, 0, 255, 200, 0, 0, 255,
+    ]);
+
+    const out = resampleRGBA(src, 4, 1, 2, 1, 'bilinear');
+
+    // Widened tent filter: mostly the covered pair, slight bleed from neighbours
+    expect(out[0]).toBeGreaterThan(25);
+    expect(out[0]).toBeLessThan(75);
+    expect(out[4]).toBeGreaterThan(150);
+    expect(out[4]).toBeLessThanOrEqual(200);
+  });
+
+  it.each(['bilinear', 'bicubic', 'lanczos'])('keeps a solid color solid with %s', (filter) => {
+    const src = solid(9, 7, [37, 140, 220]);
+
+    const out = resampleRGBA(
+      src,
+      9,
+      7,
+      4,
+      3,
+      /** @type {import('../../../src/features/export/types.js').ResampleFilter} */ (filter),
+    );
+
+    expect(out.length).toBe(4 * 3 * 4);
+    for (let i = 0; i < out.length; i += 4) {
+      expect([out[i], out[i + 1], out[i + 2], out[i + 3]]).toEqual([37, 140, 220, 255]);
+    }
+  });
+
+  it('throws for an unknown filter', () => {
+    const src = solid(2, 2, [0, 0, 0]);
+
+    // @ts-expect-error - invalid filter on purpose
+    expect(() => resampleRGBA(src, 2, 2, 1, 1, 'sinc')).toThrow('Unknown resample filter');
+  });
+});
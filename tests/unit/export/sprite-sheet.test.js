@@ -0,0 +1,258 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { encodeSpriteSheet } from '../../../src/features/export/api.js';
+import {
+  buildSpriteAtlas,
+  buildSpriteSheetCss,
+  calculateSpriteGrid,
+  getFileExtension,
+} from '../../../src/features/export/core.js';
+import { createSolidFrame, MockImageData } from './helpers/encoder-fakes.js';
+
+/** Canvases created by the current test */
+/** @type {MockOffscreenCanvas[]} */
+let canvases = [];
+
+/** Type convertToBlob answers with; null = the requested type */
+/** @type {string | null} */
+let blobTypeOverride = null;
+
+class MockOffscreenCanvas {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    /** @type {{ value: number, x: number, y: number, width: number }[]} */
+    this.puts = [];
+    /** @type {ImageEncodeOptions | null} */
+    this.encodeOptions = null;
+    canvases.push(this);
+  }
+
+  getContext() {
+    return {
+      putImageData: (/** @type {any} */ image, /** @type {number} */ x, /** @type {number} */ y) =>
+        this.puts.push({ value: image.data[0], x, y, width: image.width }),
+    };
+  }
+
+  /** @param {ImageEncodeOptions} options */
+  async convertToBlob(options) {
+    this.encodeOptions = options;
+    return new Blob(['sheet'], { type: blobTypeOverride ?? options.type });
+  }
+}
+
+/**
+ * @param {number[]} values - One gray value per frame
+ */
+function createFrames(values) {
+  return values.map((value, i) => createSolidFrame(value, i));
+}
+
+const SETTINGS = {
+  quality: 0.7,
+  frameSkip: 1,
+  playbackSpeed: 1,
+  realTiming: false,
+  loopCount: 0,
+  lossless: true,
+  scaleMode: 'original',
+  resampleFilter: 'lanczos',
+  spriteSheetFormat: 'png',
+  spriteSheetColumns: 0,
+};
+
+/**
+ * @param {Partial<typeof SETTINGS>} [overrides]
+ * @param {ReturnType<typeof createSolidFrame>[]} [frames] - Five 4x4 frames by default
+ */
+function createParams(overrides = {}, frames = createFrames([10, 20, 30, 40, 50])) {
+  return {
+    frames,
+    crop: null,
+    settings: /** @type {any} */ ({ ...SETTINGS, ...overrides }),
+    fps: 10,
+    imageName: 'loader.png',
+    onProgress: vi.fn(),
+  };
+}
+
+beforeEach(() => {
+  canvases = [];
+  blobTypeOverride = null;
+  vi.stubGlobal('OffscreenCanvas', MockOffscreenCanvas);
+  vi.stubGlobal('ImageData', MockImageData);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('calculateSpriteGrid', () => {
+  it('picks the grid closest to a square sheet', () => {
+    expect(calculateSpriteGrid(10, { width: 100, height: 100 }, 0)).toEqual({
+      columns: 4,
+      rows: 3,
+      width: 400,
+      height: 300,
+    });
+    // Wide frames stack into fewer columns
+    expect(calculateSpriteGrid(12, { width: 400, height: 100 }, 0)).toMatchObject({
+      columns: 2,
+      rows: 6,
+    });
+  });
+
+  it('honors requested columns up to the frame count', () => {
+    expect(calculateSpriteGrid(5, { width: 10, height: 10 }, 5)).toMatchObject({
+      columns: 5,
+      rows: 1,
+    });
+    expect(calculateSpriteGrid(3, { width: 10, height: 10 }, 8)).toMatchObject({
+      columns: 3,
+      rows: 1,
+    });
+  });
+});
+
+describe('sprite atlas and CSS', () => {
+  const atlas = buildSpriteAtlas({
+    image: 'loader.webp',
+    format: 'webp',
+    cell: { width: 20, height: 10 },
+    columns: 2,
+    delaysMs: [100, 100, 200],
+    loopCount: 0,
+  });
+
+  it('lists each cell row by row with its duration', () => {
+    expect(atlas.frames).toEqual([
+      { filename: 'frame-0', frame: { x: 0, y: 0, w: 20, h: 10 }, duration: 100 },
+      { filename: 'frame-1', frame: { x: 20, y: 0, w: 20, h: 10 }, duration: 100 },
+      { filename: 'frame-2', frame: { x: 0, y: 10, w: 20, h: 10 }, duration: 200 },
+    ]);
+    expect(atlas.meta).toMatchObject({
+      image: 'loader.webp',
+      format: 'image/webp',
+      size: { w: 40, h: 20 },
+      frameSize: { w: 20, h: 10 },
+      columns: 2,
+      rows: 2,
+      loop: 0,
+    });
+  });
+
+  it('steps through every frame at its start time', () => {
+    const css = buildSpriteSheetCss(atlas);
+
+    expect(css).toContain('.sprite {');
+    expect(css).toContain('width: 20px;');
+    expect(css).toContain('background: url("loader.webp") no-repeat;');
+    expect(css).toContain('animation: sprite-play 400ms steps(1, end) infinite;');
+    expect(css).toContain('0% { background-position: 0 0; }');
+    expect(css).toContain('25% { background-position: -20px 0; }');
+    expect(css).toContain('50% { background-position: 0 -10px; }');
+    expect(css).toContain('100% { background-position: 0 -10px; }');
+  });
+
+  it('stops on the last frame after a finite loop count', () => {
+    const css = buildSpriteSheetCss({ ...atlas, meta: { ...atlas.meta, loop: 3 } }, 'spinner');
+
+    expect(css).toContain('animation: spinner-play 400ms steps(1, end) 3 forwards;');
+    expect(css).toContain('@keyframes spinner-play {');
+  });
+
+  it('names the file after the chosen format', () => {
+    expect(getFileExtension('sprite-sheet')).toBe('png');
+    expect(getFileExtension('sprite-sheet', { spriteSheetFormat: 'webp' })).toBe('webp');
+  });
+});
+
+describe('encodeSpriteSheet', () => {
+  it('draws the frames kept by frame skip into grid cells', async () => {
+    const params = createParams({ frameSkip: 2 });
+
+    const { blob, atlas, css } = await encodeSpriteSheet(params);
+
+    const [canvas] = canvases;
+    // Frames 10, 30 and 50 survive; 3 square cells make a 2x2 grid
+    expect([canvas.width, canvas.height]).toEqual([8, 8]);
+    expect(canvas.puts).toEqual([
+      { value: 10, x: 0, y: 0, width: 4 },
+      { value: 30, x: 4, y: 0, width: 4 },
+      { value: 50, x: 0, y: 4, width: 4 },
+    ]);
+    expect(blob.type).toBe('image/png');
+    expect(atlas.frames).toHaveLength(3);
+    // 10 fps with every 2nd frame: 200 ms each
+    expect(atlas.frames.map((f) => f.duration)).toEqual([200, 200, 200]);
+    expect(atlas.meta.image).toBe('loader.png');
+    expect(css).toContain('url("loader.png")');
+    expect(params.onProgress).toHaveBeenLastCalledWith({ percent: 100, current: 3, total: 3 });
+  });
+
+  it('crops each frame through getFrameRGBA', async () => {
+    const frames = [createSolidFrame(1, 0, { size: 8 }), createSolidFrame(2, 1, { size: 8 })];
+    const params = { ...createParams({}, frames), crop: { x: 2, y: 2, width: 4, height: 4 } };
+
+    const { atlas } = await encodeSpriteSheet(params);
+
+    expect(frames[0].frame.copyTo).toHaveBeenCalledWith(expect.any(Uint8ClampedArray), {
+      rect: { x: 2, y: 2, width: 4, height: 4 },
+      format: 'RGBA',
+    });
+    expect(atlas.meta.frameSize).toEqual({ w: 4, h: 4 });
+  });
+
+  it('scales frames to the output size', async () => {
+    const { atlas } = await encodeSpriteSheet(
+      createParams({ scaleMode: 'percent', scalePercent: 50, spriteSheetColumns: 5 }),
+    );
+
+    expect(canvases[0].puts.map((p) => [p.x, p.width])).toEqual([
+      [0, 2],
+      [2, 2],
+      [4, 2],
+      [6, 2],
+      [8, 2],
+    ]);
+    expect(atlas.meta.size).toEqual({ w: 10, h: 2 });
+  });
+
+  it('passes WebP quality to the browser encoder', async () => {
+    await encodeSpriteSheet(createParams({ spriteSheetFormat: 'webp', lossless: false }));
+
+    expect(canvases[0].encodeOptions).toEqual({ type: 'image/webp', quality: 0.7 });
+  });
+
+  it('fails when the browser cannot write the format', async () => {
+    blobTypeOverride = 'image/png';
+
+    await expect(encodeSpriteSheet(createParams({ spriteSheetFormat: 'webp' }))).rejects.toThrow(
+      'cannot write WEBP',
+    );
+  });
+
+  it('refuses sheets larger than a canvas can be', async () => {
+    const frames = [createSolidFrame(1, 0, { size: 9000 }), createSolidFrame(2, 1, { size: 9000 })];
+
+    await expect(
+      encodeSpriteSheet(createParams({ spriteSheetColumns: 2 }, frames)),
+    ).rejects.toThrow('18000×9000 sprite sheet');
+    expect(canvases).toHaveLength(0);
+  });
+
+  it('stops when cancelled', async () => {
+    const controller = new AbortController();
+    const params = createParams();
+    params.onProgress.mockImplementation(() => controller.abort());
+
+    await expect(encodeSpriteSheet(params, controller.signal)).rejects.toThrow(
+      'Encoding cancelled',
+    );
+    expect(canvases[0].puts).toHaveLength(1);
+  });
+});
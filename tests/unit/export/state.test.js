@@ -104,6 +104,16 @@ describe('updateSettings', () => {
 
     expect(high.estimatedSizeMB).toBeGreaterThan(low.estimatedSizeMB);
   });
+
+  it('estimates from the scaled output size', () => {
+    const state = initExportState();
+    const dims = { frameCount: 20, width: 200, height: 100 };
+
+    const full = updateSettings(state, { scaleMode: 'original' }, dims);
+    const half = updateSettings(state, { scaleMode: 'percent', scalePercent: 50 }, dims);
+
+    expect(half.estimatedSizeMB).toBeLessThan(full.estimatedSizeMB);
+  });
 });
 
 describe('createEncodingJob', () => {
@@ -184,6 +194,17 @@ describe('completeEncoding', () => {
     expect(next.job.progress).toBe(100);
     expect(next.job.result).toBe(blob);
   });
+
+  it('attaches the output details', () => {
+    const state = startEncoding(initExportState(), createEncodingJob(10, 'gifenc-js'));
+    const blob = new Blob(['gif-bytes']);
+    const output = { blob, size: blob.size, width: 4, height: 4, frameCount: 3, duration: 1 };
+
+    const next = completeEncoding(state, blob, { output });
+
+    expect(next.job.output).toBe(output);
+    expect(next.job.sizeReport).toBeNull();
+  });
 });
 
 describe('failEncoding', () => {
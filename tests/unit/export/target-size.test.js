@@ -0,0 +1,219 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+/**
+ * Mock the worker manager module so trial and full encodes run against a
+ * fake whose output size follows a simple model of the encoder config.
+ */
+const managerFactory = vi.hoisted(() => ({
+  /** @type {(() => any) | null} */
+  create: null,
+}));
+
+vi.mock('../../../src/workers/worker-manager.js', () => ({
+  createEncoderManager: () => {
+    if (!managerFactory.create) {
+      throw new Error('Test did not install a fake manager factory');
+    }
+    return managerFactory.create();
+  },
+}));
+
+import { encodeToTargetSize } from '../../../src/features/export/api.js';
+
+/**
+ * Fake manager producing `frames * width * height * maxColors / 256` bytes
+ * (plus a small header), so smaller settings always give smaller files.
+ */
+class SizedEncoderManager {
+  constructor() {
+    this.onProgress = null;
+    this.onError = null;
+    this.config = null;
+    this.frames = 0;
+  }
+
+  async init(config) {
+    this.config = config;
+  }
+
+  addFrame(_rgba, _width, _height, frameIndex) {
+    this.frames++;
+    this.onProgress?.({
+      percent: Math.round((this.frames / this.config.totalFrames) * 100),
+      frameIndex,
+      totalFrames: this.config.totalFrames,
+    });
+  }
+
+  async finish() {
+    const { width, height, maxColors } = this.config;
+    const bytes = 100 + Math.round((this.frames * width * height * maxColors) / 256);
+    return new Blob([new Uint8Array(bytes)], { type: 'image/gif' });
+  }
+
+  cancel() {}
+
+  dispose() {
+    this.onProgress = null;
+    this.onError = null;
+  }
+}
+
+/**
+ * @param {number} count
+ * @param {number} size - Square frame side
+ */
+function createFrames(count, size = 40) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `frame-${i}`,
+    frame: {
+      codedWidth: size,
+      codedHeight: size,
+      copyTo: vi.fn().mockResolvedValue(undefined),
+      close: vi.fn(),
+    },
+    timestamp: i,
+    width: size,
+    height: size,
+  }));
+}
+
+const SETTINGS = {
+  quality: 1,
+  frameSkip: 1,
+  playbackSpeed: 1,
+  dithering: false,
+  ditherMethod: 'floyd-steinberg',
+  encoderPreset: 'quality',
+  loopCount: 0,
+  encoderId: 'gifenc-js',
+  lossless: false,
+  scaleMode: 'original',
+  resampleFilter: 'nearest',
+  targetSizeEnabled: true,
+  targetSizeKB: 10,
+};
+
+describe('encodeToTargetSize', () => {
+  /** @type {SizedEncoderManager[]} */
+  let managers;
+
+  beforeEach(() => {
+    managers = [];
+    managerFactory.create = () => {
+      const manager = new SizedEncoderManager();
+      managers.push(manager);
+      return manager;
+    };
+  });
+
+  it('keeps the starting settings when they already fit', async () => {
+    const frames = createFrames(30);
+
+    const result = await encodeToTargetSize({
+      frames,
+      crop: null,
+      settings: SETTINGS,
+      fps: 30,
+      targetBytes: 1024 * 1024,
+      onProgress: () => {},
+    });
+
+    expect(result.settings).toBe(SETTINGS);
+    expect(result.report.fits).toBe(true);
+    expect(result.report.maxColors).toBe(256);
+    expect(result.report.width).toBe(40);
+    expect(result.blob.size).toBe(100 + 30 * 40 * 40);
+  });
+
+  it('steps settings down until the full encode fits the budget', async () => {
+    const frames = createFrames(30);
+    const targetBytes = 12 * 1024;
+
+    const result = await encodeToTargetSize({
+      frames,
+      crop: null,
+      settings: SETTINGS,
+      fps: 30,
+      targetBytes,
+      onProgress: () => {},
+    });
+
+    expect(result.report.fits).toBe(true);
+    expect(result.blob.size).toBeLessThanOrEqual(targetBytes);
+    expect(result.report.trials).toBeGreaterThan(0);
+    expect(result.report.encodes).toBeGreaterThanOrEqual(1);
+    // The reported settings are the ones the final encode ran with
+    const last = managers[managers.length - 1].config;
+    expect(last.maxColors).toBe(result.report.maxColors);
+    expect(last.width).toBe(result.report.width);
+  });
+
+  it('trial-encodes samples rather than the whole clip', async () => {
+    const frames = createFrames(60);
+
+    await encodeToTargetSize({
+      frames,
+      crop: null,
+      settings: SETTINGS,
+      fps: 30,
+      targetBytes: 12 * 1024,
+      onProgress: () => {},
+    });
+
+    const trialSizes = managers.map((m) => m.config.totalFrames).filter((n) => n < 30);
+    expect(trialSizes.length).toBeGreaterThan(0);
+  });
+
+  it('reports search progress before encoding progress', async () => {
+    /** @type {string[]} */
+    const phases = [];
+
+    await encodeToTargetSize({
+      frames: createFrames(30),
+      crop: null,
+      settings: SETTINGS,
+      fps: 30,
+      targetBytes: 12 * 1024,
+      onProgress: (progress) => phases.push(progress.phase),
+    });
+
+    expect(phases[0]).toBe('searching');
+    expect(phases[phases.length - 1]).toBe('encoding');
+    expect(phases.lastIndexOf('searching')).toBeLessThan(phases.indexOf('encoding'));
+  });
+
+  it('returns the smallest result when nothing fits', async () => {
+    const result = await encodeToTargetSize({
+      frames: createFrames(30),
+      crop: null,
+      settings: SETTINGS,
+      fps: 30,
+      targetBytes: 10,
+      onProgress: () => {},
+    });
+
+    expect(result.report.fits).toBe(false);
+    expect(result.report.maxColors).toBe(16);
+    expect(result.report.frameSkip).toBe(5);
+  });
+
+  it('rejects with AbortError when cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      encodeToTargetSize(
+        {
+          frames: createFrames(30),
+          crop: null,
+          settings: SETTINGS,
+          fps: 30,
+          targetBytes: 12 * 1024,
+          onProgress: () => {},
+        },
+        controller.signal,
+      ),
+    ).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
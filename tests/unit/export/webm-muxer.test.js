@@ -0,0 +1,141 @@
+import { describe, expect, it } from 'vitest';
+import {
+  encodeVint,
+  getWebmCodecId,
+  muxWebm,
+} from '../../../src/features/export/muxers/webm-muxer.js';
+
+/**
+ * Read one EBML element header
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ */
+function readElement(bytes, offset) {
+  const idLength = Math.clz32(bytes[offset]) - 23;
+  let id = 0;
+  for (let i = 0; i < idLength; i++) id = id * 256 + bytes[offset + i];
+
+  const sizeStart = offset + idLength;
+  const sizeLength = Math.clz32(bytes[sizeStart]) - 23;
+  let size = bytes[sizeStart] & (0xff >> sizeLength);
+  for (let i = 1; i < sizeLength; i++) size = size * 256 + bytes[sizeStart + i];
+
+  const dataStart = sizeStart + sizeLength;
+  return { id, dataStart, size, end: dataStart + size };
+}
+
+/**
+ * List the direct children of an element's data
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ */
+function children(bytes, start, end) {
+  const out = [];
+  let offset = start;
+  while (offset < end) {
+    const el = readElement(bytes, offset);
+    out.push({ ...el, offset });
+    offset = el.end;
+  }
+  return out;
+}
+
+/** @param {Uint8Array} bytes @param {{dataStart: number, size: number}} el */
+const readUint = (bytes, el) => {
+  let v = 0;
+  for (let i = 0; i < el.size; i++) v = v * 256 + bytes[el.dataStart + i];
+  return v;
+};
+
+const SEGMENT = 0x18538067;
+const CLUSTER = 0x1f43b675;
+const CUES = 0x1c53bb6b;
+const SEEK_HEAD = 0x114d9b74;
+
+/**
+ * @param {number} index
+ * @param {boolean} isKey
+ */
+const sample = (index, isKey) => ({
+  data: new Uint8Array([index, index, index]),
+  timestampUs: index * 100_000,
+  durationUs: 100_000,
+  isKey,
+});
+
+describe('webm muxer', () => {
+  describe('encodeVint', () => {
+    it('uses the shortest length and avoids the reserved all-ones value', () => {
+      expect(Array.from(encodeVint(0))).toEqual([0x80]);
+      expect(Array.from(encodeVint(126))).toEqual([0xfe]);
+      // 127 would be 0xff (unknown size) in one byte
+      expect(Array.from(encodeVint(127))).toEqual([0x40, 0x7f]);
+      expect(Array.from(encodeVint(0x3ffe))).toEqual([0x7f, 0xfe]);
+    });
+  });
+
+  describe('getWebmCodecId', () => {
+    it('maps VP9 and VP8 and rejects H.264', () => {
+      expect(getWebmCodecId('vp09.00.10.08')).toBe('V_VP9');
+      expect(getWebmCodecId('vp8')).toBe('V_VP8');
+      expect(() => getWebmCodecId('avc1.640033')).toThrow('not supported in WebM');
+    });
+  });
+
+  describe('muxWebm', () => {
+    const samples = [sample(0, true), sample(1, false), sample(2, true), sample(3, false)];
+    const file = muxWebm(samples, { codec: 'vp09.00.10.08', width: 640, height: 360 });
+
+    it('writes an EBML header with the webm DocType followed by one Segment', () => {
+      const top = children(file, 0, file.length);
+      expect(top.map((el) => el.id)).toEqual([0x1a45dfa3, SEGMENT]);
+      expect(top[1].end).toBe(file.length);
+      expect(new TextDecoder().decode(file)).toContain('webm');
+    });
+
+    it('starts a cluster at every keyframe with relative block timecodes', () => {
+      const segment = readElement(file, children(file, 0, file.length)[1].offset);
+      const clusters = children(file, segment.dataStart, segment.end).filter(
+        (el) => el.id === CLUSTER,
+      );
+      expect(clusters).toHaveLength(2);
+
+      const [timecode, first, second] = children(file, clusters[1].dataStart, clusters[1].end);
+      expect(readUint(file, timecode)).toBe(200);
+      // Track 1, +0 ms, keyframe flag
+      expect(Array.from(file.subarray(first.dataStart, first.dataStart + 4))).toEqual([
+        0x81, 0, 0, 0x80,
+      ]);
+      // +100 ms, not a keyframe
+      expect(Array.from(file.subarray(second.dataStart, second.dataStart + 4))).toEqual([
+        0x81, 0, 100, 0,
+      ]);
+      expect(Array.from(file.subarray(second.dataStart + 4, second.end))).toEqual([3, 3, 3]);
+    });
+
+    it('points the SeekHead at Cues and the Cues at each Cluster', () => {
+      const segment = readElement(file, children(file, 0, file.length)[1].offset);
+      const top = children(file, segment.dataStart, segment.end);
+      const relative = (/** @type {number} */ offset) => offset - segment.dataStart;
+
+      const seekHead = top.find((el) => el.id === SEEK_HEAD);
+      const cues = top.find((el) => el.id === CUES);
+      if (!seekHead || !cues) throw new Error('missing SeekHead or Cues');
+
+      const seekPositions = children(file, seekHead.dataStart, seekHead.end).map((seek) => {
+        const [, position] = children(file, seek.dataStart, seek.end);
+        return readUint(file, position);
+      });
+      expect(seekPositions).toContain(relative(cues.offset));
+
+      const clusterOffsets = top.filter((el) => el.id === CLUSTER).map((el) => relative(el.offset));
+      const cuePositions = children(file, cues.dataStart, cues.end).map((point) => {
+        const [, trackPositions] = children(file, point.dataStart, point.end);
+        const [, clusterPosition] = children(file, trackPositions.dataStart, trackPositions.end);
+        return readUint(file, clusterPosition);
+      });
+      expect(cuePositions).toEqual(clusterOffsets);
+    });
+  });
+});
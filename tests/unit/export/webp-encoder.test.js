@@ -0,0 +1,177 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createWebpEncoder,
+  extractFrameBitstream,
+  getWebpMetadata,
+  muxAnimatedWebp,
+  parseWebpChunks,
+} from '../../../src/features/export/encoders/webp-encoder.js';
+
+/**
+ * Build a RIFF chunk
+ * @param {string} fourcc
+ * @param {number[]} payload
+ */
+function chunk(fourcc, payload) {
+  const size = payload.length;
+  const bytes = [
+    ...Array.from(fourcc, (c) => c.charCodeAt(0)),
+    size & 0xff,
+    (size >> 8) & 0xff,
+    (size >> 16) & 0xff,
+    (size >> 24) & 0xff,
+    ...payload,
+  ];
+  if (size & 1) bytes.push(0);
+  return bytes;
+}
+
+/**
+ * Build a still WebP file from chunks
+ * @param {number[][]} chunks
+ */
+function webpFile(...chunks) {
+  const body = chunks.flat();
+  const size = body.length + 4;
+  return new Uint8Array([
+    ...Array.from('RIFF', (c) => c.charCodeAt(0)),
+    size & 0xff,
+    (size >> 8) & 0xff,
+    (size >> 16) & 0xff,
+    (size >> 24) & 0xff,
+    ...Array.from('WEBP', (c) => c.charCodeAt(0)),
+    ...body,
+  ]);
+}
+
+/** @param {Uint8Array} bytes @param {number} offset */
+const fourcc = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+/** @param {Uint8Array} bytes @param {number} offset */
+const u24 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+
+describe('webp encoder', () => {
+  describe('getWebpMetadata', () => {
+    it('reports a lossless-capable, non-palette encoder producing image/webp', () => {
+      const metadata = getWebpMetadata();
+      expect(metadata.id).toBe('webp-native');
+      expect(metadata.mimeType).toBe('image/webp');
+      expect(metadata.capabilities).toEqual({
+        supportsMaxColors: false,
+        supportsQuantizeFormat: false,
+        supportsDithering: false,
+        supportsLossless: true,
+      });
+    });
+  });
+
+  describe('parseWebpChunks', () => {
+    it('splits chunks and honors odd-size padding', () => {
+      const file = webpFile(chunk('VP8L', [0x2f, 1, 2]), chunk('EXIF', [9, 9]));
+      const chunks = parseWebpChunks(file);
+
+      expect(chunks.map((c) => c.fourcc)).toEqual(['VP8L', 'EXIF']);
+      expect(Array.from(chunks[0].payload)).toEqual([0x2f, 1, 2]);
+      // 8-byte header + 3-byte payload + 1 pad byte
+      expect(chunks[0].raw.length).toBe(12);
+    });
+
+    it('rejects non-WebP input', () => {
+      expect(() => parseWebpChunks(new Uint8Array([0x47, 0x49, 0x46, 0x38]))).toThrow(
+        'Not a WebP file',
+      );
+    });
+
+    it('rejects a chunk running past the RIFF end', () => {
+      const file = webpFile(chunk('VP8 ', [1, 2, 3, 4]));
+      // Claim a payload larger than the file
+      file[16] = 0xff;
+      expect(() => parseWebpChunks(file)).toThrow('Truncated WebP chunk');
+    });
+  });
+
+  describe('extractFrameBitstream', () => {
+    it('keeps ALPH + VP8 for lossy stills with alpha and drops VP8X/metadata', () => {
+      const vp8x = chunk('VP8X', [0x10, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+      const alph = chunk('ALPH', [1, 2]);
+      const vp8 = chunk('VP8 ', [3, 4, 5, 6]);
+      const { data, hasAlpha } = extractFrameBitstream(
+        webpFile(vp8x, alph, vp8, chunk('XMP ', [7])),
+      );
+
+      expect(hasAlpha).toBe(true);
+      expect(Array.from(data)).toEqual([...alph, ...vp8]);
+    });
+
+    it('reads the VP8L alpha_is_used bit', () => {
+      const opaque = extractFrameBitstream(webpFile(chunk('VP8L', [0x2f, 0, 0, 0, 0x00])));
+      const alpha = extractFrameBitstream(webpFile(chunk('VP8L', [0x2f, 0, 0, 0, 0x10])));
+      expect(opaque.hasAlpha).toBe(false);
+      expect(alpha.hasAlpha).toBe(true);
+    });
+
+    it('throws when no image bitstream is present', () => {
+      expect(() => extractFrameBitstream(webpFile(chunk('EXIF', [1, 2])))).toThrow(
+        'no VP8/VP8L bitstream',
+      );
+    });
+  });
+
+  describe('muxAnimatedWebp', () => {
+    const frameData = new Uint8Array(chunk('VP8 ', [1, 2, 3, 4]));
+
+    it('writes VP8X, ANIM and one ANMF per frame with a consistent RIFF size', () => {
+      const file = muxAnimatedWebp(
+        [
+          { data: frameData, width: 320, height: 200, durationMs: 100, hasAlpha: false },
+          { data: frameData, width: 320, height: 200, durationMs: 40, hasAlpha: false },
+        ],
+        { width: 320, height: 200, loopCount: 0 },
+      );
+
+      const chunks = parseWebpChunks(file);
+      expect(chunks.map((c) => c.fourcc)).toEqual(['VP8X', 'ANIM', 'ANMF', 'ANMF']);
+      expect(new DataView(file.buffer).getUint32(4, true)).toBe(file.length - 8);
+
+      const vp8x = chunks[0].payload;
+      expect(vp8x[0] & 0x02).toBe(0x02); // animation
+      expect(vp8x[0] & 0x10).toBe(0); // no alpha
+      expect(u24(vp8x, 4) + 1).toBe(320);
+      expect(u24(vp8x, 7) + 1).toBe(200);
+
+      const durations = chunks.slice(2).map((c) => u24(c.payload, 12));
+      expect(durations).toEqual([100, 40]);
+      // Frame payload follows the 16-byte ANMF header verbatim
+      expect(fourcc(chunks[2].payload, 16)).toBe('VP8 ');
+      // No blending, no dispose
+      expect(chunks[2].payload[15]).toBe(0x02);
+    });
+
+    it('stores loopCount in ANIM and sets the alpha flag when any frame has alpha', () => {
+      const file = muxAnimatedWebp(
+        [{ data: frameData, width: 2, height: 2, durationMs: 100, hasAlpha: true }],
+        { width: 2, height: 2, loopCount: 3 },
+      );
+      const [vp8x, anim] = parseWebpChunks(file);
+
+      expect(vp8x.payload[0] & 0x10).toBe(0x10);
+      expect(anim.payload[4] | (anim.payload[5] << 8)).toBe(3);
+    });
+  });
+
+  describe('createWebpEncoder', () => {
+    it('throws when addFrame is called before init', async () => {
+      const encoder = createWebpEncoder();
+      await expect(
+        encoder.addFrame({ rgba: new Uint8ClampedArray(16), width: 2, height: 2 }, 0),
+      ).rejects.toThrow('Encoder not initialized');
+    });
+
+    it('fails init when the browser cannot encode WebP', async () => {
+      // jsdom has no OffscreenCanvas
+      const encoder = createWebpEncoder();
+      await expect(
+        encoder.init({ width: 2, height: 2, maxColors: 256, frameDelayMs: 100, loopCount: 0 }),
+      ).rejects.toThrow('cannot encode WebP');
+    });
+  });
+});
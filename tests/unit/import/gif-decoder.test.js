@@ -0,0 +1,212 @@
+import { GIFEncoder } from 'gifenc';
+import { describe, expect, it } from 'vitest';
+import { decodeGifFrames, decodeLzw, parseGif } from '../../../src/features/import/gif-decoder.js';
+
+const RED = [255, 0, 0];
+const GREEN = [0, 255, 0];
+const BLUE = [0, 0, 255];
+const WHITE = [255, 255, 255];
+
+/**
+ * @typedef {Object} TestFrame
+ * @property {number[]} index - Palette index per pixel
+ * @property {number} width
+ * @property {number} height
+ * @property {number[][]} [palette] - Local table (the first frame's is global)
+ * @property {number} [delay] - ms
+ * @property {number} [dispose]
+ * @property {number} [transparentIndex]
+ */
+
+/**
+ * Write a GIF with gifenc
+ * @param {TestFrame[]} frames
+ * @param {number[][]} palette - Used by frames without their own
+ * @returns {Uint8Array}
+ */
+function createGif(frames, palette) {
+  const gif = GIFEncoder();
+  frames.forEach((frame, i) => {
+    gif.writeFrame(new Uint8Array(frame.index), frame.width, frame.height, {
+      palette: i === 0 ? palette : frame.palette,
+      delay: frame.delay ?? 100,
+      dispose: frame.dispose ?? -1,
+      transparent: frame.transparentIndex !== undefined,
+      transparentIndex: frame.transparentIndex ?? 0,
+    });
+  });
+  gif.finish();
+  return gif.bytes();
+}
+
+/**
+ * Pixels of a decoded frame as [r, g, b, a] tuples
+ * @param {Uint8ClampedArray} rgba
+ */
+function pixels(rgba) {
+  return Array.from({ length: rgba.length / 4 }, (_, p) =>
+    Array.from(rgba.subarray(p * 4, p * 4 + 4)),
+  );
+}
+
+describe('parseGif', () => {
+  it('reads the screen size, loop count and frame delays', () => {
+    const bytes = createGif(
+      [
+        { index: [0, 1, 1, 0], width: 2, height: 2, delay: 250 },
+        { index: [1, 1, 1, 1], width: 2, height: 2, delay: 40 },
+      ],
+      [RED, GREEN],
+    );
+
+    const gif = parseGif(bytes);
+
+    expect(gif.width).toBe(2);
+    expect(gif.height).toBe(2);
+    expect(gif.loopCount).toBe(0);
+    expect(gif.images.map((image) => image.delayMs)).toEqual([250, 40]);
+  });
+
+  it('shows zero delays the way browsers do', () => {
+    const bytes = createGif([{ index: [0], width: 1, height: 1, delay: 0 }], [RED, GREEN]);
+
+    expect(parseGif(bytes).images[0].delayMs).toBe(100);
+  });
+
+  it('rejects files that are not GIFs', () => {
+    expect(() => parseGif(new TextEncoder().encode('\x89PNG\r\n\x1a\n....'))).toThrow(
+      'Not a GIF file',
+    );
+  });
+
+  it('keeps the complete frames of a truncated file', () => {
+    const bytes = createGif(
+      [
+        { index: [0, 0, 0, 0], width: 2, height: 2 },
+        { index: [1, 1, 1, 1], width: 2, height: 2 },
+      ],
+      [RED, GREEN],
+    );
+
+    const gif = parseGif(bytes.subarray(0, bytes.length - 6));
+
+    expect(gif.images).toHaveLength(1);
+  });
+});
+
+describe('decodeLzw', () => {
+  it('round-trips gifenc output, including repeated runs', () => {
+    const index = Array.from({ length: 300 }, (_, i) => (i < 150 ? 3 : i % 4));
+    const bytes = createGif([{ index, width: 20, height: 15 }], [RED, GREEN, BLUE, WHITE]);
+    const [image] = parseGif(bytes).images;
+
+    const decoded = decodeLzw(image.data, image.minCodeSize, 300);
+
+    expect(Array.from(decoded)).toEqual(index);
+  });
+});
+
+describe('decodeGifFrames', () => {
+  it('uses local color tables', () => {
+    const bytes = createGif(
+      [
+        { index: [0], width: 1, height: 1 },
+        { index: [0], width: 1, height: 1, palette: [BLUE, WHITE] },
+      ],
+      [RED, GREEN],
+    );
+
+    const frames = [...decodeGifFrames(parseGif(bytes))];
+
+    expect(pixels(frames[0].rgba)).toEqual([[...RED, 255]]);
+    expect(pixels(frames[1].rgba)).toEqual([[...BLUE, 255]]);
+  });
+
+  it('lets the previous frame show through transparent pixels', () => {
+    const bytes = createGif(
+      [
+        { index: [0, 0], width: 2, height: 1, dispose: 1 },
+        { index: [1, 2], width: 2, height: 1, transparentIndex: 2 },
+      ],
+      [RED, GREEN, BLUE, WHITE],
+    );
+
+    const [, second] = [...decodeGifFrames(parseGif(bytes))];
+
+    expect(pixels(second.rgba)).toEqual([
+      [...GREEN, 255],
+      [...RED, 255],
+    ]);
+  });
+
+  it('clears to transparent for disposal 2', () => {
+    const bytes = createGif(
+      [
+        { index: [0, 0, 0, 0], width: 2, height: 2, dispose: 1 },
+        { index: [1], width: 1, height: 1, dispose: 2 },
+        { index: [2], width: 1, height: 1, transparentIndex: 2 },
+      ],
+      [RED, GREEN, BLUE, WHITE],
+    );
+
+    const frames = [...decodeGifFrames(parseGif(bytes))];
+
+    expect(pixels(frames[1].rgba)[0]).toEqual([...GREEN, 255]);
+    // The second frame's rectangle was cleared; the rest stays
+    expect(pixels(frames[2].rgba)).toEqual([
+      [0, 0, 0, 0],
+      [...RED, 255],
+      [...RED, 255],
+      [...RED, 255],
+    ]);
+  });
+
+  it('restores the previous canvas for disposal 3', () => {
+    const bytes = createGif(
+      [
+        { index: [0, 0], width: 2, height: 1, dispose: 1 },
+        { index: [1], width: 1, height: 1, dispose: 3 },
+        { index: [2], width: 1, height: 1, transparentIndex: 2 },
+      ],
+      [RED, GREEN, BLUE, WHITE],
+    );
+
+    const frames = [...decodeGifFrames(parseGif(bytes))];
+
+    expect(pixels(frames[2].rgba)).toEqual([
+      [...RED, 255],
+      [...RED, 255],
+    ]);
+  });
+
+  it('reorders interlaced rows', () => {
+    // Rows 0..7 stored in interlaced order: 0, 4, 2, 6, 1, 3, 5, 7
+    const rows = [0, 1, 2, 3, 0, 1, 2, 3];
+    const stored = [0, 4, 2, 6, 1, 3, 5, 7].map((y) => rows[y]);
+    const bytes = createGif([{ index: stored, width: 1, height: 8 }], [RED, GREEN, BLUE, WHITE]);
+    // Set the interlace flag of the image descriptor (after header, LSD,
+    // 4-color global table and the NETSCAPE + graphic control extensions)
+    const descriptor = bytes.indexOf(0x2c, 13 + 12);
+    bytes[descriptor + 9] |= 0x40;
+
+    const [frame] = [...decodeGifFrames(parseGif(bytes))];
+
+    const colors = [RED, GREEN, BLUE, WHITE];
+    expect(pixels(frame.rgba)).toEqual(rows.map((i) => [...colors[i], 255]));
+  });
+
+  it('yields independent copies', () => {
+    const bytes = createGif(
+      [
+        { index: [0], width: 1, height: 1 },
+        { index: [1], width: 1, height: 1 },
+      ],
+      [RED, GREEN],
+    );
+
+    const frames = [...decodeGifFrames(parseGif(bytes))];
+
+    expect(frames[0].rgba).not.toBe(frames[1].rgba);
+    expect(pixels(frames[0].rgba)).toEqual([[...RED, 255]]);
+  });
+});
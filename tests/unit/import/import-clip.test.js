@@ -0,0 +1,177 @@
+import { GIFEncoder } from 'gifenc';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  delaysToTimestamps,
+  estimateClipFps,
+  isGifFile,
+} from '../../../src/features/import/core.js';
+import { importClipFile } from '../../../src/features/import/index.js';
+import {
+  enqueueClip,
+  getClipPayload,
+  getClipQueue,
+  resetAppStore,
+  setClipPayload,
+} from '../../../src/shared/app-store.js';
+import { updateSetting } from '../../../src/shared/user-settings.js';
+
+/** Mock VideoFrame for jsdom (which has no WebCodecs) */
+class MockVideoFrame {
+  /**
+   * @param {Uint8ClampedArray} data
+   * @param {{ codedWidth: number, codedHeight: number, timestamp: number }} init
+   */
+  constructor(data, init) {
+    this.data = data;
+    this.codedWidth = init.codedWidth;
+    this.codedHeight = init.codedHeight;
+    this.timestamp = init.timestamp;
+    this.closed = false;
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * A 4x2 GIF with one solid frame per delay
+ * @param {number[]} delays - ms
+ */
+function createGifFile(delays, name = 'old-tool.gif') {
+  const gif = GIFEncoder();
+  delays.forEach((delay, i) => {
+    gif.writeFrame(new Uint8Array(8).fill(i % 2), 4, 2, {
+      palette:
+        i === 0
+          ? [
+              [0, 0, 0],
+              [255, 255, 255],
+            ]
+          : undefined,
+      delay,
+    });
+  });
+  gif.finish();
+  const bytes = gif.bytes();
+  return /** @type {File} */ (
+    /** @type {unknown} */ ({
+      name,
+      type: 'image/gif',
+      arrayBuffer: async () => bytes.slice().buffer,
+    })
+  );
+}
+
+function createMockFrames(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(i),
+    frame: { close: vi.fn(), closed: false },
+    timestamp: i,
+    width: 4,
+    height: 2,
+  }));
+}
+
+beforeEach(() => {
+  resetAppStore();
+  localStorage.clear();
+  updateSetting('capture', 'sceneDetection', false);
+  vi.stubGlobal('VideoFrame', MockVideoFrame);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('estimateClipFps', () => {
+  it.each([
+    [[100, 100, 100], 15],
+    [[33, 34, 33], 30],
+    [[20, 20], 60],
+    [[2000, 40, 40, 40, 3000], 30],
+  ])('maps delays %j to %i fps', (delays, fps) => {
+    expect(estimateClipFps(delays)).toBe(fps);
+  });
+
+  it('defaults to 30 fps without usable delays', () => {
+    expect(estimateClipFps([])).toBe(30);
+  });
+});
+
+describe('delaysToTimestamps', () => {
+  it('starts at zero and accumulates in microseconds', () => {
+    expect(delaysToTimestamps([100, 250, 40])).toEqual([0, 100000, 350000]);
+  });
+});
+
+describe('isGifFile', () => {
+  it('accepts the MIME type or the extension', () => {
+    expect(isGifFile({ name: 'a.bin', type: 'image/gif' })).toBe(true);
+    expect(isGifFile({ name: 'LOOP.GIF', type: '' })).toBe(true);
+    expect(isGifFile({ name: 'a.png', type: 'image/png' })).toBe(false);
+  });
+});
+
+describe('importClipFile', () => {
+  it('makes the GIF the active clip with its frame timing', async () => {
+    const result = await importClipFile(createGifFile([100, 100, 300]), { activate: true });
+
+    expect(result.ok).toBe(true);
+    const payload = getClipPayload();
+    expect(payload?.frames).toHaveLength(3);
+    expect(payload?.fps).toBe(15);
+    expect(payload?.frames.map((f) => f.timestamp)).toEqual([0, 100000, 200000]);
+    expect(payload?.frames[0]).toMatchObject({ width: 4, height: 2 });
+    expect(payload?.sceneDetectionEnabled).toBe(false);
+  });
+
+  it('queues the clip without touching the active one', async () => {
+    const active = { frames: createMockFrames(2), fps: 30, capturedAt: Date.now() };
+    setClipPayload(active);
+
+    const result = await importClipFile(createGifFile([50, 50]));
+
+    expect(result.ok).toBe(true);
+    expect(getClipPayload()).toBe(active);
+    expect(getClipQueue()).toHaveLength(1);
+    expect(getClipQueue()[0].frameCount).toBe(2);
+  });
+
+  it('refuses a full queue before decoding anything', async () => {
+    updateSetting('capture', 'clipQueueLimit', 1);
+    enqueueClip({ frames: createMockFrames(1), fps: 30, capturedAt: Date.now() });
+    const construct = vi.fn();
+    vi.stubGlobal('VideoFrame', construct);
+
+    const result = await importClipFile(createGifFile([100]));
+
+    expect(result).toMatchObject({ ok: false, reason: 'queue-full' });
+    expect(construct).not.toHaveBeenCalled();
+  });
+
+  it('refuses clips over the memory budget', async () => {
+    updateSetting('capture', 'memoryBudgetMB', 0.00001);
+
+    const result = await importClipFile(createGifFile([100, 100]), { activate: true });
+
+    expect(result).toMatchObject({ ok: false, reason: 'memory-budget' });
+    expect(result.message).toContain('budget');
+    expect(getClipPayload()).toBeNull();
+  });
+
+  it('reports files that are not GIFs', async () => {
+    const file = /** @type {File} */ (
+      /** @type {unknown} */ ({
+        name: 'broken.gif',
+        type: 'image/gif',
+        arrayBuffer: async () => new ArrayBuffer(4),
+      })
+    );
+
+    const result = await importClipFile(file);
+
+    expect(result).toMatchObject({ ok: false, reason: 'invalid' });
+    expect(result.message).toContain('broken.gif');
+  });
+});
@@ -0,0 +1,298 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getClipFps, getPlaybackIntervalMs } from '../../../src/features/editor/core.js';
+import { calculateFrameDelays } from '../../../src/features/export/core.js';
+import { fitImageRect, sortByNaturalName } from '../../../src/features/import/core.js';
+import { readDroppedFiles } from '../../../src/features/import/dropped-files.js';
+import { importClipFile, importImageSequence } from '../../../src/features/import/index.js';
+import { getClipPayload, getClipQueue, resetAppStore } from '../../../src/shared/app-store.js';
+import { updateSetting } from '../../../src/shared/user-settings.js';
+
+/** Image sizes by file name; anything missing fails to decode */
+const IMAGE_SIZES = new Map();
+
+/** drawImage calls of the current import, one per frame */
+/** @type {{ source: any, x: number, y: number, width: number, height: number }[]} */
+let draws = [];
+
+class MockOffscreenCanvas {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getContext() {
+    return {
+      fillStyle: '',
+      fillRect: vi.fn(),
+      drawImage: (source, x, y, width, height) => draws.push({ source, x, y, width, height }),
+    };
+  }
+}
+
+class MockVideoFrame {
+  /**
+   * @param {MockOffscreenCanvas} canvas
+   * @param {{ timestamp: number }} init
+   */
+  constructor(canvas, init) {
+    this.codedWidth = canvas.width;
+    this.codedHeight = canvas.height;
+    this.timestamp = init.timestamp;
+    this.closed = false;
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {number} [width]
+ * @param {number} [height]
+ */
+function createImage(name, width = 800, height = 600) {
+  IMAGE_SIZES.set(name, { width, height });
+  return /** @type {File} */ (/** @type {unknown} */ ({ name, type: 'image/png' }));
+}
+
+beforeEach(() => {
+  resetAppStore();
+  localStorage.clear();
+  updateSetting('capture', 'sceneDetection', false);
+  IMAGE_SIZES.clear();
+  draws = [];
+  vi.stubGlobal('OffscreenCanvas', MockOffscreenCanvas);
+  vi.stubGlobal('VideoFrame', MockVideoFrame);
+  vi.stubGlobal(
+    'createImageBitmap',
+    vi.fn(async (/** @type {File} */ file) => {
+      const size = IMAGE_SIZES.get(file.name);
+      if (!size) throw new DOMException('The source image could not be decoded.');
+      return { ...size, name: file.name, close: vi.fn() };
+    }),
+  );
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('sortByNaturalName', () => {
+  it('orders digit runs by value', () => {
+    const names = ['shot-10.png', 'shot-2.png', 'Shot-1.png', 'shot-100.png'];
+    const sorted = sortByNaturalName(names.map((name) => ({ name })));
+    expect(sorted.map((f) => f.name)).toEqual([
+      'Shot-1.png',
+      'shot-2.png',
+      'shot-10.png',
+      'shot-100.png',
+    ]);
+  });
+
+  it('sorts folder contents by their path', () => {
+    const files = [
+      { name: 'a.png', webkitRelativePath: 'run/step-10/a.png' },
+      { name: 'b.png', webkitRelativePath: 'run/step-9/b.png' },
+    ];
+    expect(sortByNaturalName(files).map((f) => f.name)).toEqual(['b.png', 'a.png']);
+  });
+});
+
+describe('fitImageRect', () => {
+  it('letterboxes a wider image into the frame', () => {
+    expect(fitImageRect(1600, 600, 800, 600, 'letterbox')).toEqual({
+      x: 0,
+      y: 150,
+      width: 800,
+      height: 300,
+    });
+  });
+
+  it('pillarboxes a taller image and upscales smaller ones', () => {
+    expect(fitImageRect(200, 300, 800, 600, 'letterbox')).toEqual({
+      x: 200,
+      y: 0,
+      width: 400,
+      height: 600,
+    });
+  });
+
+  it('fills the frame when stretching', () => {
+    expect(fitImageRect(1600, 600, 800, 600, 'stretch')).toEqual({
+      x: 0,
+      y: 0,
+      width: 800,
+      height: 600,
+    });
+  });
+});
+
+describe('importImageSequence', () => {
+  it('builds one frame per image in natural order at the chosen fps', async () => {
+    updateSetting('capture', 'imageSequenceFps', 4);
+    const files = ['step-10.png', 'step-2.png', 'step-1.png'].map((name) => createImage(name));
+
+    const result = await importImageSequence(files, { activate: true });
+
+    expect(result.ok).toBe(true);
+    expect(draws.map((d) => d.source.name)).toEqual(['step-1.png', 'step-2.png', 'step-10.png']);
+    const clip = getClipPayload();
+    expect(clip?.frames.map((f) => f.timestamp)).toEqual([0, 250000, 500000]);
+    expect(clip?.fps).toBe(4);
+    expect(clip?.imported).toBe(true);
+  });
+
+  it('plays and exports at the chosen fps without Real timing', async () => {
+    updateSetting('capture', 'imageSequenceFps', 4);
+
+    await importImageSequence([createImage('1.png'), createImage('2.png')], { activate: true });
+
+    const clip = /** @type {import('../../../src/shared/app-store.js').ClipPayload} */ (
+      getClipPayload()
+    );
+    expect(getPlaybackIntervalMs(getClipFps(/** @type {any} */ (clip)))).toBe(250);
+    expect(
+      calculateFrameDelays(clip.frames, clip.fps, {
+        frameSkip: 1,
+        playbackSpeed: 1,
+        realTiming: false,
+      }),
+    ).toEqual([25, 25]);
+  });
+
+  it('letterboxes images that differ from the first', async () => {
+    const files = [createImage('1.png', 800, 600), createImage('2.png', 1600, 600)];
+
+    await importImageSequence(files);
+
+    expect(draws[0]).toMatchObject({ x: 0, y: 0, width: 800, height: 600 });
+    expect(draws[1]).toMatchObject({ x: 0, y: 150, width: 800, height: 300 });
+    expect(getClipQueue()).toHaveLength(1);
+  });
+
+  it('stretches mismatched images when configured', async () => {
+    updateSetting('capture', 'imageSequenceFit', 'stretch');
+    const files = [createImage('1.png', 800, 600), createImage('2.png', 1600, 600)];
+
+    await importImageSequence(files);
+
+    expect(draws[1]).toMatchObject({ x: 0, y: 0, width: 800, height: 600 });
+  });
+
+  it('downscales to the capture resolution limit', async () => {
+    updateSetting('capture', 'captureResolutionLimit', 1280);
+
+    await importImageSequence([createImage('retina.png', 2560, 1600)], { activate: true });
+
+    expect(getClipPayload()?.frames[0]).toMatchObject({ width: 1280, height: 800 });
+  });
+
+  it('refuses sequences over the memory budget before drawing', async () => {
+    updateSetting('capture', 'memoryBudgetMB', 500);
+    // 1920x1080 RGBA is ~7.9 MB per frame
+    const files = Array.from({ length: 70 }, (_, i) => createImage(`${i}.png`, 1920, 1080));
+
+    const result = await importImageSequence(files);
+
+    expect(result).toMatchObject({ ok: false, reason: 'memory-budget' });
+    expect(draws).toHaveLength(0);
+  });
+
+  it('names the image that cannot be decoded and keeps nothing', async () => {
+    const good = createImage('1.png');
+    const broken = /** @type {File} */ (/** @type {unknown} */ ({ name: '2.png', type: '' }));
+
+    const result = await importImageSequence([good, broken], { activate: true });
+
+    expect(result).toMatchObject({ ok: false, reason: 'invalid' });
+    expect(result.message).toContain('2.png');
+    expect(getClipPayload()).toBeNull();
+  });
+
+  it('ignores files that are not images', async () => {
+    const notImage = /** @type {File} */ (/** @type {unknown} */ ({ name: 'notes.txt', type: '' }));
+
+    expect(await importImageSequence([notImage])).toMatchObject({
+      ok: false,
+      reason: 'unsupported',
+    });
+  });
+
+  it('imports a single image through importClipFile', async () => {
+    const result = await importClipFile(createImage('one.webp'));
+
+    expect(result.ok).toBe(true);
+    expect(getClipQueue()).toHaveLength(1);
+  });
+});
+
+describe('readDroppedFiles', () => {
+  /**
+   * @param {string} fullPath
+   */
+  const fileEntry = (fullPath) => {
+    const name = fullPath.split('/').pop() ?? '';
+    return {
+      isFile: true,
+      isDirectory: false,
+      fullPath,
+      file: (/** @type {(f: File) => void} */ resolve) => resolve(new File(['x'], name)),
+    };
+  };
+
+  /**
+   * Directory whose reader returns its children in batches of two
+   * @param {string} fullPath
+   * @param {any[]} children
+   */
+  const directoryEntry = (fullPath, children) => ({
+    isFile: false,
+    isDirectory: true,
+    fullPath,
+    createReader: () => {
+      let offset = 0;
+      return {
+        readEntries: (/** @type {(entries: any[]) => void} */ resolve) => {
+          resolve(children.slice(offset, offset + 2));
+          offset += 2;
+        },
+      };
+    },
+  });
+
+  it('reads dropped folders recursively with relative paths', async () => {
+    const folder = directoryEntry('/run', [
+      fileEntry('/run/1.png'),
+      fileEntry('/run/2.png'),
+      directoryEntry('/run/nested', [fileEntry('/run/nested/3.png')]),
+    ]);
+    const dataTransfer = /** @type {DataTransfer} */ (
+      /** @type {unknown} */ ({
+        files: [],
+        items: [{ kind: 'file', webkitGetAsEntry: () => folder }],
+      })
+    );
+
+    const files = await readDroppedFiles(dataTransfer);
+
+    expect(files.map((f) => f.webkitRelativePath)).toEqual([
+      'run/1.png',
+      'run/2.png',
+      'run/nested/3.png',
+    ]);
+  });
+
+  it('falls back to the file list without the entries API', async () => {
+    const file = new File(['x'], 'a.png');
+    const dataTransfer = /** @type {DataTransfer} */ (
+      /** @type {unknown} */ ({ files: [file], items: [{ kind: 'file' }] })
+    );
+
+    expect(await readDroppedFiles(dataTransfer)).toEqual([file]);
+  });
+});
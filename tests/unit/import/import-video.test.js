@@ -0,0 +1,250 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { muxWebm } from '../../../src/features/export/muxers/webm-muxer.js';
+import { importClipFile, isImportableFile } from '../../../src/features/import/index.js';
+import { decodeVideo } from '../../../src/features/import/video-decoder.js';
+import { getClipPayload, getClipQueue, resetAppStore } from '../../../src/shared/app-store.js';
+import { updateSetting } from '../../../src/shared/user-settings.js';
+
+/** Frame stand-in the fake worker "decodes" */
+class MockVideoFrame {
+  /**
+   * @param {number} timestamp
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(timestamp, width, height) {
+    this.timestamp = timestamp;
+    this.codedWidth = width;
+    this.codedHeight = height;
+    this.closed = false;
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * Fake video import worker: answers DECODE with one frame per sample at
+ * the requested size, or with JOB_ERROR when `failWith` is set
+ */
+class FakeWorker {
+  /** @type {FakeWorker[]} */
+  static instances = [];
+
+  /** @type {string | null} */
+  static failWith = null;
+
+  constructor() {
+    /** @type {((e: { data: any }) => void) | null} */
+    this.onmessage = null;
+    /** @type {((e: { message: string }) => void) | null} */
+    this.onerror = null;
+    /** @type {any} */
+    this.payload = null;
+    /** @type {Transferable[]} */
+    this.transfer = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  /**
+   * @param {{ type: string, payload: any }} message
+   * @param {Transferable[]} transfer
+   */
+  postMessage(message, transfer) {
+    this.payload = message.payload;
+    this.transfer = transfer;
+    const { samples, width, height } = message.payload;
+    queueMicrotask(() => {
+      if (FakeWorker.failWith) {
+        this.onmessage?.({
+          data: { type: 'JOB_ERROR', payload: { message: FakeWorker.failWith } },
+        });
+        return;
+      }
+      this.onmessage?.({
+        data: { type: 'PROGRESS', payload: { decoded: samples.length, total: samples.length } },
+      });
+      const frames = samples.map(
+        (/** @type {any} */ s) => new MockVideoFrame(s.timestampUs, width, height),
+      );
+      this.onmessage?.({ data: { type: 'DECODE_RESULT', payload: { frames } } });
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * A WebM file with `count` frames at 1/fps spacing
+ * @param {number} count
+ * @param {number} fps
+ * @param {{ width?: number, height?: number, name?: string }} [options]
+ */
+function createWebmFile(count, fps, { width = 3840, height = 2160, name = 'qa-run.webm' } = {}) {
+  const durationUs = 1_000_000 / fps;
+  const bytes = muxWebm(
+    Array.from({ length: count }, (_, i) => ({
+      data: new Uint8Array([i]),
+      timestampUs: i * durationUs,
+      durationUs,
+      isKey: i === 0,
+    })),
+    { codec: 'vp8', width, height },
+  );
+  return /** @type {File} */ (
+    /** @type {unknown} */ ({
+      name,
+      type: 'video/webm',
+      arrayBuffer: async () => bytes.slice().buffer,
+    })
+  );
+}
+
+beforeEach(() => {
+  resetAppStore();
+  localStorage.clear();
+  updateSetting('capture', 'sceneDetection', false);
+  FakeWorker.instances = [];
+  FakeWorker.failWith = null;
+  vi.stubGlobal('Worker', FakeWorker);
+  vi.stubGlobal('VideoDecoder', {
+    isConfigSupported: vi.fn(async () => ({ supported: true })),
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('importClipFile with videos', () => {
+  it('accepts MP4 and WebM files', () => {
+    expect(isImportableFile({ name: 'clip.mp4', type: '' })).toBe(true);
+    expect(isImportableFile({ name: 'clip', type: 'video/webm' })).toBe(true);
+    expect(isImportableFile({ name: 'clip.avi', type: 'video/x-msvideo' })).toBe(false);
+  });
+
+  it('decodes at the capture resolution limit and keeps frame timing', async () => {
+    updateSetting('capture', 'captureResolutionLimit', 1280);
+
+    const result = await importClipFile(createWebmFile(6, 30), { activate: true });
+
+    expect(result.ok).toBe(true);
+    expect(FakeWorker.instances[0].payload).toMatchObject({ width: 1280, height: 720 });
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+    const clip = getClipPayload();
+    expect(clip?.fps).toBe(30);
+    expect(clip?.frames).toHaveLength(6);
+    expect(clip?.frames[0]).toMatchObject({ width: 1280, height: 720, timestamp: 0 });
+    expect(clip?.frames[1].timestamp).toBe(33000);
+  });
+
+  it('transfers the file to the worker instead of copying it', async () => {
+    await importClipFile(createWebmFile(2, 30));
+
+    const [worker] = FakeWorker.instances;
+    expect(worker.transfer).toEqual([worker.payload.buffer]);
+  });
+
+  it('queues the clip when not activating', async () => {
+    const result = await importClipFile(createWebmFile(3, 60));
+
+    expect(result.ok).toBe(true);
+    expect(getClipPayload()).toBeNull();
+    expect(getClipQueue()).toHaveLength(1);
+  });
+
+  it('checks the memory budget at the downscaled size before decoding', async () => {
+    updateSetting('capture', 'captureResolutionLimit', 1920);
+    // 1920x1080 RGBA is ~7.9 MB per frame
+    updateSetting('capture', 'memoryBudgetMB', 100);
+
+    const refused = await importClipFile(createWebmFile(20, 30));
+    expect(refused).toMatchObject({ ok: false, reason: 'memory-budget' });
+    expect(FakeWorker.instances).toHaveLength(0);
+
+    const accepted = await importClipFile(createWebmFile(12, 30));
+    expect(accepted.ok).toBe(true);
+  });
+
+  it('refuses codecs the browser cannot decode', async () => {
+    vi.stubGlobal('VideoDecoder', { isConfigSupported: async () => ({ supported: false }) });
+
+    const result = await importClipFile(createWebmFile(2, 30));
+
+    expect(result).toMatchObject({ ok: false, reason: 'unsupported' });
+    expect(result.message).toContain('vp8');
+    expect(FakeWorker.instances).toHaveLength(0);
+  });
+
+  it('reports decoder failures without storing a clip', async () => {
+    FakeWorker.failWith = 'Decoding error';
+
+    const result = await importClipFile(createWebmFile(2, 30), { activate: true });
+
+    expect(result).toMatchObject({ ok: false, reason: 'invalid' });
+    expect(result.message).toContain('Decoding error');
+    expect(getClipPayload()).toBeNull();
+  });
+
+  it('reports malformed files', async () => {
+    const file = /** @type {File} */ (
+      /** @type {unknown} */ ({
+        name: 'broken.mp4',
+        type: 'video/mp4',
+        arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer,
+      })
+    );
+
+    const result = await importClipFile(file);
+
+    expect(result).toMatchObject({ ok: false, reason: 'invalid' });
+  });
+});
+
+describe('decodeVideo', () => {
+  it('forwards progress and settles once', async () => {
+    const onProgress = vi.fn();
+    const video = {
+      codec: 'vp8',
+      codedWidth: 4,
+      codedHeight: 4,
+      width: 4,
+      height: 4,
+      samples: [{ offset: 0, size: 1, timestampUs: 0, durationUs: 1000, isKey: true }],
+    };
+
+    const result = await decodeVideo(
+      new ArrayBuffer(1),
+      video,
+      { width: 2, height: 2 },
+      {
+        onProgress,
+        createWorker: () => /** @type {Worker} */ (/** @type {unknown} */ (new FakeWorker())),
+      },
+    );
+
+    expect(result.ok).toBe(true);
+    expect(onProgress).toHaveBeenCalledWith(1, 1);
+  });
+
+  it('turns worker crashes into a failed result', async () => {
+    const worker = new FakeWorker();
+    worker.postMessage = () => {
+      queueMicrotask(() => worker.onerror?.({ message: '' }));
+    };
+
+    const result = await decodeVideo(
+      new ArrayBuffer(1),
+      { codec: 'vp8', codedWidth: 2, codedHeight: 2, width: 2, height: 2, samples: [] },
+      { width: 2, height: 2 },
+      { createWorker: () => /** @type {Worker} */ (/** @type {unknown} */ (worker)) },
+    );
+
+    expect(result).toEqual({ ok: false, error: 'Video decoder worker failed' });
+    expect(worker.terminated).toBe(true);
+  });
+});
@@ -0,0 +1,281 @@
+import { describe, expect, it } from 'vitest';
+import { muxMp4 } from '../../../src/features/export/muxers/mp4-muxer.js';
+import { encodeVint, muxWebm } from '../../../src/features/export/muxers/webm-muxer.js';
+import {
+  av1CodecString,
+  avcCodecString,
+  hevcCodecString,
+  vp9CodecStringFromFeatures,
+} from '../../../src/features/import/codec-config.js';
+import { finalizeSamples, isMp4File, isWebmFile } from '../../../src/features/import/core.js';
+import { demuxMp4 } from '../../../src/features/import/mp4-demuxer.js';
+import { demuxWebm } from '../../../src/features/import/webm-demuxer.js';
+
+/** avcC for High profile, level 3.1 */
+const AVCC = new Uint8Array([1, 0x64, 0x00, 0x1f, 0xff, 0xe0, 0x00]);
+
+/**
+ * Encoded samples whose payloads are distinguishable by content
+ * @param {number} count
+ * @param {number} [durationUs]
+ */
+function createSamples(count, durationUs = 40000) {
+  return Array.from({ length: count }, (_, i) => ({
+    data: new Uint8Array(4 + i).fill(i + 1),
+    timestampUs: i * durationUs,
+    durationUs,
+    isKey: i % 3 === 0,
+  }));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {{ offset: number, size: number }} sample
+ */
+const payloadOf = (bytes, sample) =>
+  Array.from(bytes.subarray(sample.offset, sample.offset + sample.size));
+
+/**
+ * @param {...(number[] | Uint8Array)} parts
+ */
+function concat(...parts) {
+  return Uint8Array.from(parts.flatMap((p) => Array.from(p)));
+}
+
+/**
+ * @param {number} value
+ */
+const u32 = (value) => [
+  (value >>> 24) & 0xff,
+  (value >>> 16) & 0xff,
+  (value >>> 8) & 0xff,
+  value & 0xff,
+];
+
+/**
+ * @param {string} type
+ * @param {...(number[] | Uint8Array)} payload
+ */
+function box(type, ...payload) {
+  const body = concat(...payload);
+  return concat(
+    u32(8 + body.length),
+    Array.from(type, (c) => c.charCodeAt(0)),
+    body,
+  );
+}
+
+describe('codec strings', () => {
+  it('reads H.264 profile, compatibility and level', () => {
+    expect(avcCodecString(AVCC)).toBe('avc1.64001f');
+    expect(avcCodecString(AVCC, 'avc3')).toBe('avc3.64001f');
+  });
+
+  it('builds H.265 strings with reversed compatibility flags', () => {
+    // Main profile, Main tier, level 3.1, compatibility bits 1 and 2
+    const hvcC = new Uint8Array(23);
+    hvcC[1] = 0x01;
+    hvcC.set([0x60, 0, 0, 0], 2);
+    hvcC[6] = 0xb0;
+    hvcC[12] = 93;
+    expect(hevcCodecString(hvcC)).toBe('hvc1.1.6.L93.B0');
+  });
+
+  it('reads AV1 profile, level, tier and bit depth', () => {
+    expect(av1CodecString(new Uint8Array([0x81, 0x08, 0x00, 0x00]))).toBe('av01.0.08M.08');
+    expect(av1CodecString(new Uint8Array([0x81, 0x2d, 0xc0, 0x00]))).toBe('av01.1.13H.10');
+  });
+
+  it('reads VP9 features from Matroska CodecPrivate', () => {
+    expect(vp9CodecStringFromFeatures(undefined)).toBe('vp09.00.10.08');
+    expect(vp9CodecStringFromFeatures(new Uint8Array([1, 1, 2, 2, 1, 31, 3, 1, 10]))).toBe(
+      'vp09.02.31.10',
+    );
+  });
+});
+
+describe('video file detection', () => {
+  it('accepts the MIME type or the extension', () => {
+    expect(isMp4File({ name: 'a', type: 'video/mp4' })).toBe(true);
+    expect(isMp4File({ name: 'Screen Recording.MOV', type: '' })).toBe(true);
+    expect(isWebmFile({ name: 'a', type: 'video/webm' })).toBe(true);
+    expect(isWebmFile({ name: 'qa-run.mkv', type: '' })).toBe(true);
+    expect(isMp4File({ name: 'a.webm', type: 'video/webm' })).toBe(false);
+  });
+});
+
+describe('finalizeSamples', () => {
+  it('starts at the first keyframe and shifts time to zero', () => {
+    const samples = finalizeSamples([
+      { offset: 0, size: 1, timestampUs: 500, durationUs: 100, isKey: false },
+      { offset: 1, size: 1, timestampUs: 600, durationUs: 100, isKey: true },
+      { offset: 2, size: 1, timestampUs: 700, durationUs: 0, isKey: false },
+    ]);
+    expect(samples.map((s) => s.timestampUs)).toEqual([0, 100]);
+    // The last frame has no container duration: the median gap stands in
+    expect(samples.map((s) => s.durationUs)).toEqual([100, 100]);
+  });
+
+  it('derives durations in presentation order', () => {
+    // Decode order I P B: the B frame shows between I and P
+    const samples = finalizeSamples([
+      { offset: 0, size: 1, timestampUs: 0, durationUs: 40, isKey: true },
+      { offset: 1, size: 1, timestampUs: 80, durationUs: 40, isKey: false },
+      { offset: 2, size: 1, timestampUs: 30, durationUs: 40, isKey: false },
+    ]);
+    expect(samples.map((s) => s.durationUs)).toEqual([30, 40, 50]);
+  });
+
+  it('rejects tracks without a keyframe', () => {
+    expect(() =>
+      finalizeSamples([{ offset: 0, size: 1, timestampUs: 0, durationUs: 1, isKey: false }]),
+    ).toThrow('no keyframe');
+    expect(() => finalizeSamples([])).toThrow('no frames');
+  });
+});
+
+describe('demuxMp4', () => {
+  it('locates every sample of a progressive file', () => {
+    const encoded = createSamples(5);
+    const bytes = muxMp4(encoded, {
+      codec: 'avc1.64001f',
+      width: 320,
+      height: 180,
+      description: AVCC,
+    });
+
+    const video = demuxMp4(bytes);
+
+    expect(video.codec).toBe('avc1.64001f');
+    expect(Array.from(video.description ?? [])).toEqual(Array.from(AVCC));
+    expect([video.width, video.height, video.codedWidth, video.codedHeight]).toEqual([
+      320, 180, 320, 180,
+    ]);
+    expect(video.samples.map((s) => payloadOf(bytes, s))).toEqual(
+      encoded.map((s) => Array.from(s.data)),
+    );
+    expect(video.samples.map((s) => s.timestampUs)).toEqual([0, 40000, 80000, 120000, 160000]);
+    expect(video.samples.map((s) => s.isKey)).toEqual([true, false, false, true, false]);
+  });
+
+  it('drops samples cut off by a truncated file', () => {
+    const bytes = muxMp4(createSamples(4), {
+      codec: 'avc1.64001f',
+      width: 64,
+      height: 64,
+      description: AVCC,
+    });
+
+    expect(demuxMp4(bytes.subarray(0, bytes.length - 2)).samples).toHaveLength(3);
+  });
+
+  it('reads the fragments of a fragmented file', () => {
+    // Header from an empty progressive file; samples live in moof/mdat pairs
+    const header = muxMp4([], { codec: 'avc1.64001f', width: 64, height: 48, description: AVCC });
+    const fragment = (/** @type {number} */ baseTime, /** @type {number[][]} */ payloads) => {
+      const fullBox = (/** @type {string} */ type, /** @type {number} */ flags, ...payload) =>
+        box(type, u32(flags), ...payload);
+      const build = (/** @type {number} */ dataOffset) => {
+        const tfhd = fullBox('tfhd', 0x20000 | 0x8 | 0x20, u32(1), u32(40), u32(0x10000));
+        const tfdt = fullBox('tfdt', 0, u32(baseTime));
+        const trun = fullBox(
+          'trun',
+          0x1 | 0x4 | 0x200,
+          u32(payloads.length),
+          u32(dataOffset),
+          u32(0), // first sample: sync
+          ...payloads.map((p) => u32(p.length)),
+        );
+        return box('moof', fullBox('mfhd', 0, u32(1)), box('traf', tfhd, tfdt, trun));
+      };
+      const moofSize = build(0).length;
+      return concat(build(moofSize + 8), box('mdat', ...payloads));
+    };
+    const bytes = concat(header, fragment(0, [[1], [2, 2]]), fragment(80, [[3, 3, 3]]));
+
+    const video = demuxMp4(bytes);
+
+    expect(video.samples.map((s) => payloadOf(bytes, s))).toEqual([[1], [2, 2], [3, 3, 3]]);
+    expect(video.samples.map((s) => s.timestampUs)).toEqual([0, 40000, 80000]);
+    expect(video.samples.map((s) => s.isKey)).toEqual([true, false, true]);
+  });
+
+  it('rejects files that are not MP4', () => {
+    expect(() => demuxMp4(new TextEncoder().encode('GIF89a not a movie'))).toThrow(
+      'Not an MP4 file',
+    );
+  });
+});
+
+describe('demuxWebm', () => {
+  it('locates every block of a seekable file', () => {
+    const encoded = createSamples(4);
+    const bytes = muxWebm(encoded, { codec: 'vp09.00.10.08', width: 640, height: 360 });
+
+    const video = demuxWebm(bytes);
+
+    expect(video.codec).toBe('vp09.00.10.08');
+    expect([video.width, video.height]).toEqual([640, 360]);
+    expect(video.samples.map((s) => payloadOf(bytes, s))).toEqual(
+      encoded.map((s) => Array.from(s.data)),
+    );
+    expect(video.samples.map((s) => s.timestampUs)).toEqual([0, 40000, 80000, 120000]);
+    expect(video.samples.map((s) => s.isKey)).toEqual([true, false, false, true]);
+  });
+
+  it('reads unknown-size segments and clusters as written by MediaRecorder', () => {
+    const element = (/** @type {number[]} */ id, /** @type {number[] | Uint8Array} */ data) =>
+      concat(id, encodeVint(data.length), data);
+    const unknownSize = [0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+    const block = (
+      /** @type {number} */ time,
+      /** @type {boolean} */ key,
+      /** @type {number} */ fill,
+    ) => element([0xa3], [0x81, 0, time, key ? 0x80 : 0, fill, fill]);
+
+    const bytes = concat(
+      element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], new TextEncoder().encode('webm'))),
+      [0x18, 0x53, 0x80, 0x67],
+      unknownSize,
+      element(
+        [0x16, 0x54, 0xae, 0x6b],
+        element(
+          [0xae],
+          [
+            ...element([0xd7], [1]),
+            ...element([0x83], [1]),
+            ...element([0x86], new TextEncoder().encode('V_VP8')),
+            ...element([0xe0], [...element([0xb0], [0x01, 0x00]), ...element([0xba], [0xb4])]),
+          ],
+        ),
+      ),
+      [0x1f, 0x43, 0xb6, 0x75],
+      unknownSize,
+      element([0xe7], [0]),
+      block(0, true, 1),
+      block(33, false, 2),
+      [0x1f, 0x43, 0xb6, 0x75],
+      unknownSize,
+      element([0xe7], [66]),
+      block(0, true, 3),
+    );
+
+    const video = demuxWebm(bytes);
+
+    expect(video.codec).toBe('vp8');
+    expect([video.width, video.height]).toEqual([256, 180]);
+    expect(video.samples.map((s) => payloadOf(bytes, s))).toEqual([
+      [1, 1],
+      [2, 2],
+      [3, 3],
+    ]);
+    expect(video.samples.map((s) => s.timestampUs)).toEqual([0, 33000, 66000]);
+    expect(video.samples.map((s) => s.isKey)).toEqual([true, false, true]);
+  });
+
+  it('rejects files that are not WebM', () => {
+    expect(() => demuxWebm(new Uint8Array([0, 0, 0, 24, 0x66, 0x74, 0x79, 0x70]))).toThrow(
+      'Not a WebM file',
+    );
+  });
+});
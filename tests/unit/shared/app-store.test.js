@@ -252,6 +252,15 @@ describe('validateClipPayload', () => {
       expect(result.valid).toBe(true);
     }
   });
+
+  it('accepts any rate from 1 to 60 for imported clips', () => {
+    const payload = { frames: [createMockFrame()], capturedAt: Date.now(), imported: true };
+
+    expect(validateClipPayload({ ...payload, fps: 4 }).valid).toBe(true);
+    expect(validateClipPayload({ ...payload, fps: 61 }).errors).toContain(
+      'ClipPayload.fps must be between 1 and 60 for imported clips',
+    );
+  });
 });
 
 describe('validateEditorPayload', () => {
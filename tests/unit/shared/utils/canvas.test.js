@@ -1,10 +1,13 @@
 import { describe, expect, it, vi } from 'vitest';
 import {
+  drawCaption,
+  drawShape,
   getContext2D,
   isFrameValid,
   isVideoFrameValid,
   renderFramePlaceholder,
   syncCanvasSize,
+  wrapCaptionText,
 } from '../../../../src/shared/utils/canvas.js';
 
 describe('getContext2D', () => {
@@ -187,3 +190,193 @@ describe('renderFramePlaceholder', () => {
     expect(ctx.fillText).not.toHaveBeenCalled();
   });
 });
+
+/**
+ * Context whose text is 10px wide per character
+ */
+function createTextContext() {
+  return {
+    save: vi.fn(),
+    restore: vi.fn(),
+    beginPath: vi.fn(),
+    roundRect: vi.fn(),
+    fill: vi.fn(),
+    fillText: vi.fn(),
+    strokeText: vi.fn(),
+    measureText: vi.fn((/** @type {string} */ text) => ({ width: text.length * 10 })),
+  };
+}
+
+/** @type {import('../../../../src/features/editor/types.js').Caption} */
+const CAPTION = {
+  id: 'c1',
+  text: 'Hello there world',
+  x: 100,
+  y: 50,
+  width: 140,
+  height: 100,
+  start: 0,
+  end: 3,
+  font: 'serif',
+  fontSize: 20,
+  color: '#ffffff',
+  background: '#000000',
+  outline: null,
+};
+
+describe('wrapCaptionText', () => {
+  it('wraps at the box width and keeps line breaks', () => {
+    const ctx = createTextContext();
+
+    expect(wrapCaptionText(/** @type {any} */ (ctx), 'one two three\nfour', 90)).toEqual([
+      'one two',
+      'three',
+      'four',
+    ]);
+  });
+
+  it('gives a word wider than the box its own line', () => {
+    const ctx = createTextContext();
+
+    expect(wrapCaptionText(/** @type {any} */ (ctx), 'a enormousword b', 50)).toEqual([
+      'a',
+      'enormousword',
+      'b',
+    ]);
+  });
+});
+
+describe('drawCaption', () => {
+  it('centers the lines in the box over a pill', () => {
+    const ctx = createTextContext();
+
+    drawCaption(/** @type {any} */ (ctx), CAPTION);
+
+    expect(/** @type {any} */ (ctx).font).toBe('20px serif');
+    // 140px box less 7px padding each side: two lines of 24px around y=100
+    expect(ctx.fillText.mock.calls).toEqual([
+      ['Hello there', 170, 88],
+      ['world', 170, 112],
+    ]);
+    const [x, y, width, height] = ctx.roundRect.mock.calls[0];
+    expect([x, y, width, height]).toEqual([108, 69, 124, 62]);
+    expect(ctx.strokeText).not.toHaveBeenCalled();
+    expect(ctx.restore).toHaveBeenCalled();
+  });
+
+  it('outlines the text and leaves the pill out', () => {
+    const ctx = createTextContext();
+
+    drawCaption(/** @type {any} */ (ctx), { ...CAPTION, background: null, outline: '#000000' });
+
+    expect(ctx.roundRect).not.toHaveBeenCalled();
+    expect(ctx.strokeText).toHaveBeenCalledTimes(2);
+    expect(ctx.strokeText.mock.invocationCallOrder[0]).toBeLessThan(
+      ctx.fillText.mock.invocationCallOrder[0],
+    );
+  });
+});
+
+/**
+ * Context that records the paths drawn and the alpha of each paint
+ */
+function createPathContext() {
+  const ctx = {
+    globalAlpha: 1,
+    fillStyle: '',
+    save: vi.fn(),
+    restore: vi.fn(),
+    beginPath: vi.fn(),
+    closePath: vi.fn(),
+    moveTo: vi.fn(),
+    lineTo: vi.fn(),
+    rect: vi.fn(),
+    ellipse: vi.fn(),
+    /** @type {{ alpha: number, rule?: string }[]} */
+    painted: [],
+    stroke: vi.fn(() => ctx.painted.push({ alpha: ctx.globalAlpha })),
+    fill: vi.fn((/** @type {string} */ rule) => ctx.painted.push({ alpha: ctx.globalAlpha, rule })),
+  };
+  return ctx;
+}
+
+/** @type {import('../../../../src/features/editor/types.js').Shape} */
+const SHAPE = {
+  id: 's1',
+  kind: 'rect',
+  x: 20,
+  y: 10,
+  width: 100,
+  height: 50,
+  points: [],
+  start: 0,
+  end: 3,
+  color: '#ef4444',
+  strokeWidth: 4,
+  fadeIn: 0,
+  fadeOut: 0,
+};
+
+describe('drawShape', () => {
+  it('strokes boxes and ellipses at the opacity given', () => {
+    const ctx = createPathContext();
+
+    drawShape(/** @type {any} */ (ctx), SHAPE, 0.5);
+    drawShape(/** @type {any} */ (ctx), { ...SHAPE, kind: 'ellipse' });
+
+    expect(ctx.rect).toHaveBeenCalledWith(20, 10, 100, 50);
+    expect(ctx.ellipse.mock.calls[0].slice(0, 4)).toEqual([70, 35, 50, 25]);
+    expect(ctx.painted).toEqual([{ alpha: 0.5 }, { alpha: 1 }]);
+    expect(ctx.restore).toHaveBeenCalledTimes(2);
+  });
+
+  it('draws a pen stroke through its points in frame coordinates', () => {
+    const ctx = createPathContext();
+
+    drawShape(/** @type {any} */ (ctx), {
+      ...SHAPE,
+      kind: 'pen',
+      points: [
+        { x: 0, y: 0 },
+        { x: 0.5, y: 1 },
+        { x: 1, y: 0 },
+      ],
+    });
+
+    expect(ctx.moveTo.mock.calls).toEqual([[20, 10]]);
+    expect(ctx.lineTo.mock.calls).toEqual([
+      [70, 60],
+      [120, 10],
+    ]);
+  });
+
+  it('ends an arrow in a filled head at its second point', () => {
+    const ctx = createPathContext();
+
+    drawShape(/** @type {any} */ (ctx), {
+      ...SHAPE,
+      kind: 'arrow',
+      points: [
+        { x: 0, y: 0 },
+        { x: 1, y: 0 },
+      ],
+      height: 0,
+    });
+
+    // 4px stroke: an 18px head, the shaft stopping halfway into it
+    expect(ctx.lineTo.mock.calls[0]).toEqual([111, 10]);
+    expect(ctx.moveTo.mock.calls[1]).toEqual([120, 10]);
+    expect(ctx.painted).toEqual([{ alpha: 1 }, { alpha: 1, rule: undefined }]);
+  });
+
+  it('dims everything but the spotlight box', () => {
+    const ctx = createPathContext();
+
+    drawShape(/** @type {any} */ (ctx), { ...SHAPE, kind: 'spotlight' }, 0.5);
+
+    expect(ctx.rect).toHaveBeenLastCalledWith(20, 10, 100, 50);
+    expect(ctx.fillStyle).toBe('#000000');
+    expect(ctx.painted).toEqual([{ alpha: 0.3, rule: 'evenodd' }]);
+    expect(ctx.stroke).not.toHaveBeenCalled();
+  });
+});
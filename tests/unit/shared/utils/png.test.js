@@ -0,0 +1,208 @@
+import { inflateSync } from 'node:zlib';
+import { describe, expect, it } from 'vitest';
+import {
+  crc32,
+  encodePngStream,
+  filterScanlineRows,
+  filterScanlines,
+  makeIhdr,
+  makePngChunk,
+  zlibDeflate,
+} from '../../../../src/shared/utils/png.js';
+
+/**
+ * Reverse PNG filtering (reference implementation for the tests)
+ * @param {Uint8Array} filtered
+ * @param {number} width
+ * @param {number} height
+ */
+function unfilter(filtered, width, height) {
+  const stride = width * 4;
+  const out = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const type = filtered[y * (stride + 1)];
+    for (let i = 0; i < stride; i++) {
+      const x = filtered[y * (stride + 1) + 1 + i];
+      const a = i >= 4 ? out[y * stride + i - 4] : 0;
+      const b = y > 0 ? out[(y - 1) * stride + i] : 0;
+      const c = y > 0 && i >= 4 ? out[(y - 1) * stride + i - 4] : 0;
+      let pred = 0;
+      if (type === 1) pred = a;
+      else if (type === 2) pred = b;
+      else if (type === 3) pred = (a + b) >> 1;
+      else if (type === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        pred = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      out[y * stride + i] = (x + pred) & 0xff;
+    }
+  }
+  return out;
+}
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    const bytes = new TextEncoder().encode('123456789');
+    expect(crc32(bytes)).toBe(0xcbf43926);
+  });
+
+  it('can be computed incrementally', () => {
+    const bytes = new TextEncoder().encode('123456789');
+    expect(crc32(bytes.subarray(4), crc32(bytes.subarray(0, 4)))).toBe(0xcbf43926);
+  });
+});
+
+describe('makePngChunk', () => {
+  it('writes length, type, data and a CRC over type + data', () => {
+    const chunk = makePngChunk('IEND', new Uint8Array(0));
+    // The IEND chunk is identical in every PNG
+    expect(Array.from(chunk)).toEqual([0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
+  });
+});
+
+describe('makeIhdr', () => {
+  it('describes an 8-bit RGBA image', () => {
+    const ihdr = makeIhdr(300, 2);
+    const view = new DataView(ihdr.buffer);
+    expect(view.getUint32(0)).toBe(300);
+    expect(view.getUint32(4)).toBe(2);
+    expect(ihdr[8]).toBe(8);
+    expect(ihdr[9]).toBe(6);
+  });
+});
+
+describe('filterScanlines', () => {
+  it('round-trips through the reference unfilter', () => {
+    const width = 7;
+    const height = 5;
+    const rgba = new Uint8Array(width * height * 4);
+    for (let i = 0; i < rgba.length; i++) {
+      rgba[i] = (i * 37 + (i >> 3) * 11) & 0xff;
+    }
+
+    const filtered = filterScanlines(rgba, width, height);
+    expect(filtered.length).toBe(height * (width * 4 + 1));
+    expect(unfilter(filtered, width, height)).toEqual(rgba);
+  });
+
+  it('picks a predicting filter for flat rows', () => {
+    const rgba = new Uint8Array(4 * 4 * 4).fill(200);
+    const filtered = filterScanlines(rgba, 4, 4);
+    // Row 0 cannot use Up; every row should avoid the None filter
+    for (let y = 0; y < 4; y++) {
+      expect(filtered[y * 17]).not.toBe(0);
+    }
+  });
+});
+
+describe('filterScanlineRows', () => {
+  it('filters bands that concatenate into the whole-image result', () => {
+    const width = 3;
+    const height = 6;
+    const rgba = new Uint8Array(width * height * 4).map((_, i) => (i * 53) & 0xff);
+
+    const bands = [
+      filterScanlineRows(rgba, width, 0, 2),
+      filterScanlineRows(rgba, width, 2, 5),
+      filterScanlineRows(rgba, width, 5, 6),
+    ];
+
+    const joined = new Uint8Array(bands.reduce((sum, b) => sum + b.length, 0));
+    let offset = 0;
+    for (const band of bands) {
+      joined.set(band, offset);
+      offset += band.length;
+    }
+    expect(joined).toEqual(filterScanlines(rgba, width, height));
+  });
+});
+
+describe('encodePngStream', () => {
+  /**
+   * Split a PNG into its chunks
+   * @param {Uint8Array} png
+   */
+  function readChunks(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    for (let offset = 8; offset < png.length; ) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+      const data = png.subarray(offset + 8, offset + 8 + length);
+      expect(view.getUint32(offset + 8 + length)).toBe(
+        crc32(png.subarray(offset + 4, offset + 8 + length)),
+      );
+      chunks.push({ type, data });
+      offset += 12 + length;
+    }
+    return chunks;
+  }
+
+  /**
+   * @param {Uint8Array} rgba
+   * @param {number} width
+   * @param {number} height
+   */
+  async function encode(rgba, width, height) {
+    /** @type {Uint8Array[]} */
+    const pieces = [];
+    await encodePngStream(rgba, width, height, (bytes) => pieces.push(bytes));
+    const png = new Uint8Array(pieces.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const piece of pieces) {
+      png.set(piece, offset);
+      offset += piece.length;
+    }
+    return { png, pieces };
+  }
+
+  it('writes a PNG whose image data decodes back to the pixels', async () => {
+    const width = 5;
+    const height = 150;
+    const rgba = new Uint8Array(width * height * 4).map((_, i) => (i * 31 + (i >> 5)) & 0xff);
+
+    const { png } = await encode(rgba, width, height);
+
+    expect(Array.from(png.subarray(0, 8))).toEqual([
+      0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ]);
+    const chunks = readChunks(png);
+    expect(chunks[0].type).toBe('IHDR');
+    expect(chunks[chunks.length - 1].type).toBe('IEND');
+    const idat = Buffer.concat(chunks.filter((c) => c.type === 'IDAT').map((c) => c.data));
+    const filtered = new Uint8Array(inflateSync(idat));
+    expect(unfilter(filtered, width, height)).toEqual(rgba);
+  });
+
+  it('splits large images across several IDAT chunks', async () => {
+    const width = 256;
+    const height = 256;
+    // Noise does not compress, so the image data outgrows one chunk
+    let seed = 1;
+    const rgba = new Uint8Array(width * height * 4).map(() => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return seed >> 16;
+    });
+
+    const { png, pieces } = await encode(rgba, width, height);
+
+    const chunks = readChunks(png);
+    const idats = chunks.filter((c) => c.type === 'IDAT');
+    expect(idats.length).toBeGreaterThan(1);
+    // Each chunk is handed out as it is written, not as one file
+    expect(pieces.length).toBe(chunks.length + 1);
+    const filtered = new Uint8Array(inflateSync(Buffer.concat(idats.map((c) => c.data))));
+    expect(unfilter(filtered, width, height)).toEqual(rgba);
+  });
+});
+
+describe('zlibDeflate', () => {
+  it('produces a zlib stream that inflates back to the input', async () => {
+    const input = new Uint8Array(5000).map((_, i) => i % 251);
+    const compressed = await zlibDeflate(input);
+    expect(new Uint8Array(inflateSync(compressed))).toEqual(input);
+  });
+});
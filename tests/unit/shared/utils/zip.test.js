@@ -0,0 +1,130 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { crc32 } from '../../../../src/shared/utils/png.js';
+import { createZipWriter, toDosDateTime } from '../../../../src/shared/utils/zip.js';
+
+/**
+ * Find the central directory through the end records
+ * @param {Uint8Array} bytes - Whole archive
+ */
+function readEndRecords(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = bytes.length - 22;
+  expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(eocd + 10, true);
+  const offset = view.getUint32(eocd + 16, true);
+  if (count !== 0xffff) {
+    return { count, offset, zip64: false };
+  }
+  const locator = eocd - 20;
+  expect(view.getUint32(locator, true)).toBe(0x07064b50);
+  const record = Number(view.getBigUint64(locator + 8, true));
+  expect(view.getUint32(record, true)).toBe(0x06064b50);
+  return {
+    count: Number(view.getBigUint64(record + 32, true)),
+    offset: Number(view.getBigUint64(record + 48, true)),
+    zip64: true,
+  };
+}
+
+/**
+ * Read the files of an archive through its central directory
+ * @param {Blob} blob
+ */
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const { count, zip64, ...directory } = readEndRecords(bytes);
+  let { offset } = directory;
+
+  const decoder = new TextDecoder();
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    expect(view.getUint16(localOffset + 8, true)).toBe(0); // stored
+    expect(view.getUint32(localOffset + 14, true)).toBe(crc);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    expect(crc32(data)).toBe(crc);
+
+    files.push({ name, data, flags: view.getUint16(offset + 8, true) });
+    offset += 46 + nameLength + extraLength;
+  }
+  return { files, zip64 };
+}
+
+describe('createZipWriter', () => {
+  it('writes entries in the order they were added', async () => {
+    const zip = createZipWriter();
+    const entry = zip.openEntry('frames/frame-0001.png');
+    entry.write(new Uint8Array([1, 2, 3]));
+    entry.write(new Uint8Array([4, 5]));
+    entry.close();
+    zip.addFile('manifest.json', new TextEncoder().encode('{"ok":true}'));
+
+    const blob = zip.finish();
+
+    expect(blob.type).toBe('application/zip');
+    const { files, zip64 } = await readZip(blob);
+    expect(zip64).toBe(false);
+    expect(files.map((f) => f.name)).toEqual(['frames/frame-0001.png', 'manifest.json']);
+    expect(Array.from(files[0].data)).toEqual([1, 2, 3, 4, 5]);
+    expect(new TextDecoder().decode(files[1].data)).toBe('{"ok":true}');
+  });
+
+  it('marks names as UTF-8', async () => {
+    const zip = createZipWriter();
+    zip.addFile('größe.txt', new Uint8Array(0));
+
+    const { files } = await readZip(zip.finish());
+
+    expect(files[0].name).toBe('größe.txt');
+    expect(files[0].flags & 0x0800).toBe(0x0800);
+  });
+
+  it('allows one open entry at a time', () => {
+    const zip = createZipWriter();
+    zip.openEntry('a.png');
+
+    expect(() => zip.openEntry('b.png')).toThrow('Close the previous ZIP entry first');
+    expect(() => zip.finish()).toThrow('Close the last ZIP entry first');
+  });
+
+  it('adds ZIP64 records past 65535 entries', async () => {
+    const zip = createZipWriter();
+    const empty = new Uint8Array(0);
+    for (let i = 0; i < 0x10000; i++) {
+      zip.addFile(`${i}`, empty);
+    }
+
+    const bytes = new Uint8Array(await zip.finish().arrayBuffer());
+
+    const { count, offset, zip64 } = readEndRecords(bytes);
+    expect(zip64).toBe(true);
+    expect(count).toBe(0x10000);
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+  }, 20000);
+});
+
+describe('toDosDateTime', () => {
+  it('packs local time at two-second resolution', () => {
+    const { time, date } = toDosDateTime(new Date(2024, 2, 9, 13, 45, 31));
+
+    expect(time).toBe((13 << 11) | (45 << 5) | 15);
+    expect(date).toBe(((2024 - 1980) << 9) | (3 << 5) | 9);
+  });
+
+  it('clamps dates before 1980', () => {
+    expect(toDosDateTime(new Date(1970, 0, 1)).date >> 9).toBe(0);
+  });
+});
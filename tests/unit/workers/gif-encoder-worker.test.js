@@ -199,4 +199,85 @@ describe('gif-encoder-worker session abort (#45)', () => {
     expect(finish).toHaveBeenCalledTimes(1);
     expect(lastPosted('complete')).toBeDefined();
   });
+
+  it('chains commands so an async addFrame settles before FINISH runs', async () => {
+    /** @type {() => void} */
+    let releaseFrame = () => {};
+    addFrame.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          releaseFrame = () => resolve(undefined);
+        }),
+    );
+
+    await send({
+      command: 'init',
+      encoderId: 'gifenc-js',
+      width: 2,
+      height: 2,
+      totalFrames: 1,
+      maxColors: 256,
+      frameDelayMs: 100,
+      loopCount: 0,
+    });
+
+    // Dispatch without awaiting, as the worker runtime does
+    const frameDone = onmessage({ data: makeFrame(0) });
+    const finishDone = onmessage({ data: { command: 'finish' } });
+    await Promise.resolve();
+    expect(finish).not.toHaveBeenCalled();
+
+    releaseFrame();
+    await frameDone;
+    await finishDone;
+
+    expect(finish).toHaveBeenCalledTimes(1);
+    const events = postMessage.mock.calls.map(([msg]) => msg.event);
+    expect(events.indexOf('progress')).toBeLessThan(events.indexOf('complete'));
+    expect(lastPosted('complete').mimeType).toBe('image/gif');
+  });
+
+  it('forwards palette schedule, dithering and frame optimization from INIT to the encoder', async () => {
+    await send({
+      command: 'init',
+      encoderId: 'gifenc-js',
+      width: 2,
+      height: 2,
+      totalFrames: 1,
+      maxColors: 256,
+      frameDelayMs: 100,
+      loopCount: 0,
+      paletteInterval: 10,
+      dither: 'atkinson',
+      optimizeFrames: true,
+    });
+
+    expect(init).toHaveBeenCalledWith(
+      expect.objectContaining({ paletteInterval: 10, dither: 'atkinson', optimizeFrames: true }),
+    );
+  });
+
+  it('hands Blob output over as is instead of copying it into a buffer', async () => {
+    const archive = new Blob(['zip'], { type: 'application/zip' });
+    finish.mockReturnValue(/** @type {any} */ (archive));
+
+    await send({
+      command: 'init',
+      encoderId: 'gifenc-js',
+      width: 2,
+      height: 2,
+      totalFrames: 1,
+      maxColors: 256,
+      frameDelayMs: 100,
+      loopCount: 0,
+      manifest: { frames: [{ file: 'frame-0001.png' }] },
+    });
+    await send(makeFrame(0));
+    await send({ command: 'finish' });
+
+    expect(init).toHaveBeenCalledWith(expect.objectContaining({ manifest: expect.any(Object) }));
+    const complete = postMessage.mock.calls.find(([msg]) => msg.event === 'complete');
+    expect(complete?.[0].gifData).toBe(archive);
+    expect(complete?.[1]).toBeUndefined();
+  });
 });
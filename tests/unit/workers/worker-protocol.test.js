@@ -115,6 +115,19 @@ describe('Worker Protocol', () => {
       expect(message.frameIndex).toBe(5);
     });
 
+    it('should carry a per-frame delay only when one is given', () => {
+      // Arrange
+      const rgba = new Uint8ClampedArray(4 * 4 * 4);
+
+      // Act
+      const { message: merged } = createAddFrameMessage(rgba, 4, 4, 0, 300);
+      const { message: plain } = createAddFrameMessage(new Uint8ClampedArray(64), 4, 4, 1);
+
+      // Assert
+      expect(merged.delayMs).toBe(300);
+      expect(plain).not.toHaveProperty('delayMs');
+    });
+
     it('should create Transferable buffer', () => {
       // Arrange
       const rgba = new Uint8ClampedArray(10 * 10 * 4);